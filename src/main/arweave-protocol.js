@@ -0,0 +1,306 @@
+/**
+ * ar:// protocol handler
+ *
+ * Serves Arweave content on its own privileged scheme, the way
+ * `swarm/bzz-protocol.js` and `ipfs/ipfs-protocol.js` serve Swarm and IPFS.
+ * There is no local Arweave node, so every request is proxied to the
+ * gateway configured in settings (`arweaveGatewayUrl`, arweave.net by
+ * default).
+ *
+ * Hosts:
+ *  - ENS names (`ar://name.eth/…`, or a DNS name such as `ar://example.com`
+ *    that ENS resolves) resolve through ens-resolver.js and must carry an
+ *    arweave-ns contenthash.
+ *  - Transaction ids. Chromium lowercases standard-scheme hosts, so the
+ *    43-char base64url id can't be the URL host as-is. The renderer loads
+ *    the base32 form of the id bytes instead (52 chars — the same label
+ *    Arweave gateways use for their per-transaction sandbox subdomains) and
+ *    this handler decodes it back.
+ *
+ * Gateway addressing: gateways answer `/<txid>` with a redirect to
+ * `<sandbox>.<gateway>/<txid>`, so named gateways are addressed on the
+ * sandbox subdomain directly. Gateways on localhost or an IP address
+ * (arlocal, a self-hosted node) get the plain path form. Redirects that
+ * still point at the gateway are mapped back onto the `ar://` origin.
+ *
+ * Contract:
+ *  - GET / HEAD are retried on 502, 503, 504 with bounded backoff.
+ *  - 404 and other 4xx are returned immediately.
+ *  - Other methods are single-shot (consumable request body).
+ */
+
+const log = require('./logger');
+const { loadSettings } = require('./settings-store');
+const { resolveEnsContent } = require('./ens-resolver');
+const { isEnsHost, isDnsEnsName } = require('../shared/origin-utils');
+const {
+  stripRequestHeaders,
+  jsonErrorResponse,
+  fetchWithRetry,
+  isGatewayUnreachable,
+} = require('./gateway-proxy');
+
+const DEFAULT_GATEWAY_URL = 'https://arweave.net';
+
+// Public gateways are remote and usually warm; a short schedule covers a
+// flaky edge without holding the tab for long.
+const RETRY_DELAYS_MS = [500, 1500, 4000];
+const ATTEMPT_TIMEOUT_MS = 30_000;
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+
+const TX_ID_RE = /^[A-Za-z0-9_-]{43}$/;
+const SANDBOX_RE = /^[a-z2-7]{52}$/;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const TX_BYTES = 32;
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = ((value & 0xff) << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 0x1f];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 0x1f];
+  return output;
+}
+
+function base32Decode(str) {
+  const out = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of str) {
+    value = ((value & 0xff) << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * Sandbox label for a transaction id: lowercase, unpadded base32 of the
+ * 32 id bytes. Returns null for anything that isn't a transaction id.
+ */
+function toSandboxLabel(txId) {
+  if (!TX_ID_RE.test(txId || '')) return null;
+  const bytes = Buffer.from(txId, 'base64url');
+  return bytes.length === TX_BYTES ? base32Encode(bytes) : null;
+}
+
+function fromSandboxLabel(label) {
+  if (!SANDBOX_RE.test(label || '')) return null;
+  const bytes = base32Decode(label);
+  return bytes.length === TX_BYTES ? bytes.toString('base64url') : null;
+}
+
+// The configured gateway, falling back to the default for anything that
+// isn't an http(s) URL so a bad setting can't turn into a file:// fetch.
+function getArweaveGatewayUrl() {
+  const configured = loadSettings()?.arweaveGatewayUrl;
+  try {
+    const parsed = new URL(configured);
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+      return parsed.origin;
+    }
+  } catch {
+    // fall through
+  }
+  return DEFAULT_GATEWAY_URL;
+}
+
+function isAddressHost(hostname) {
+  return (
+    hostname === 'localhost' || /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[')
+  );
+}
+
+function buildGatewayTarget(txId, parsed) {
+  const gateway = new URL(getArweaveGatewayUrl());
+  // The site root is requested as `/<txid>` so single-file transactions
+  // (which have no path manifest) are served too.
+  const subPath = parsed.pathname === '/' ? '' : parsed.pathname;
+  const path = `/${txId}${subPath}${parsed.search}`;
+  if (isAddressHost(gateway.hostname)) {
+    return { url: `${gateway.origin}${path}`, txId };
+  }
+  const sandboxHost = `${toSandboxLabel(txId)}.${gateway.host}`;
+  return { url: `${gateway.protocol}//${sandboxHost}${path}`, txId };
+}
+
+/**
+ * Translate an `ar://` URL to its gateway URL.
+ *
+ * Returns `null` for syntactically invalid input, `{ ok: true, url, txId }`
+ * on success, or `{ ok: false, status, message }` when an ENS host can't be
+ * served as Arweave content.
+ */
+async function buildGatewayRequest(requestUrl) {
+  let parsed;
+  try {
+    parsed = new URL(requestUrl);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'ar:') return null;
+
+  const host = parsed.hostname;
+  const txId = fromSandboxLabel(host);
+  if (txId) {
+    return { ok: true, ...buildGatewayTarget(txId, parsed) };
+  }
+  if (!isEnsHost(host) && !isDnsEnsName(host)) return null;
+
+  let result;
+  try {
+    result = await resolveEnsContent(host);
+  } catch (err) {
+    log.warn(`[ar-protocol] ENS resolver threw for ${host}: ${err.message}`);
+    return { ok: false, status: 502, message: `ENS resolver error: ${err.message}` };
+  }
+
+  if (result?.type === 'ok') {
+    if (result.protocol !== 'ar') {
+      return {
+        ok: false,
+        status: 404,
+        message: `ENS name ${host} resolves to ${result.protocol}, not Arweave`,
+      };
+    }
+    return { ok: true, ...buildGatewayTarget(result.decoded, parsed) };
+  }
+  if (result?.type === 'not_found') {
+    return {
+      ok: false,
+      status: 404,
+      message: `ENS name ${host} has no contenthash (${result.reason || 'unknown'})`,
+    };
+  }
+  if (result?.type === 'unsupported') {
+    return {
+      ok: false,
+      status: 415,
+      message: `ENS name ${host} contenthash format unsupported (${result.codec || 'unknown'})`,
+    };
+  }
+  if (result?.type === 'conflict') {
+    return { ok: false, status: 502, message: `ENS providers disagree on ${host}` };
+  }
+  return {
+    ok: false,
+    status: 502,
+    message: `ENS resolution failed for ${host}: ${result?.error || result?.reason || 'unknown'}`,
+  };
+}
+
+// Gateway redirects carry the `/<txid>` prefix (and, on the sandbox host
+// or the bare gateway, an absolute URL); either would take the tab off
+// `ar://`, so map them back onto the request's own origin.
+function rewriteRedirect(response, requestUrl, target) {
+  if (response.status < 300 || response.status >= 400) return response;
+  const location = response.headers.get('location');
+  if (!location) return response;
+
+  let resolved;
+  try {
+    resolved = new URL(location, target.url);
+  } catch {
+    return response;
+  }
+  const gatewayHost = new URL(getArweaveGatewayUrl()).host;
+  const targetHost = new URL(target.url).host;
+  if (resolved.host !== targetHost && resolved.host !== gatewayHost) return response;
+
+  const prefix = `/${target.txId}`;
+  let path = resolved.pathname;
+  if (path === prefix || path.startsWith(`${prefix}/`)) {
+    path = path.slice(prefix.length) || '/';
+  }
+  const original = new URL(requestUrl);
+  const headers = new Headers(response.headers);
+  headers.set('location', `ar://${original.host}${path}${resolved.search}`);
+  return new Response(response.body, { status: response.status, headers });
+}
+
+/**
+ * Core handler, exported for testability. `fetchImpl` defaults to global
+ * fetch but tests can inject a stub.
+ */
+async function handleArRequest(
+  request,
+  { fetchImpl = fetch, attemptTimeoutMs = ATTEMPT_TIMEOUT_MS } = {}
+) {
+  const built = await buildGatewayRequest(request.url);
+  if (!built) {
+    return jsonErrorResponse(400, 'invalid ar reference');
+  }
+  if (!built.ok) {
+    log.info(`[ar-protocol] ${built.status} for ${request.url}: ${built.message}`);
+    return jsonErrorResponse(built.status, built.message);
+  }
+
+  const headers = stripRequestHeaders(request.headers);
+  const method = request.method || 'GET';
+  const body = method === 'GET' || method === 'HEAD' ? undefined : request.body;
+
+  try {
+    const response = await fetchWithRetry(
+      built.url,
+      { method, headers, body, signal: request.signal },
+      {
+        fetchImpl,
+        attemptTimeoutMs,
+        retryDelays: RETRY_DELAYS_MS,
+        retryableStatuses: RETRYABLE_STATUSES,
+        logTag: 'ar-protocol',
+      }
+    );
+    return rewriteRedirect(response, request.url, built);
+  } catch (err) {
+    const code = err?.cause?.code || err?.code || '';
+    const unreachable = isGatewayUnreachable(err);
+    log.warn(
+      `[ar-protocol] fetch failed for ${built.url}: ${err?.message || err}` +
+        (code ? ` (${code})` : '')
+    );
+    return jsonErrorResponse(
+      unreachable ? 503 : 502,
+      unreachable ? 'arweave gateway unreachable' : 'arweave gateway error'
+    );
+  }
+}
+
+/**
+ * Register the `ar:` protocol handler on the given session. Call after
+ * `app.whenReady()`; the scheme must already have been registered
+ * privileged before `app.ready` — see `main/index.js`.
+ */
+function registerArProtocol(targetSession) {
+  if (!targetSession?.protocol?.handle) {
+    log.warn('[ar-protocol] session.protocol.handle unavailable — skipping');
+    return;
+  }
+  try {
+    targetSession.protocol.handle('ar', (request) => handleArRequest(request));
+    log.info('[ar-protocol] handler registered');
+  } catch (err) {
+    log.error('[ar-protocol] failed to register handler:', err);
+  }
+}
+
+module.exports = {
+  registerArProtocol,
+  handleArRequest,
+  buildGatewayRequest,
+  toSandboxLabel,
+  fromSandboxLabel,
+  getArweaveGatewayUrl,
+  DEFAULT_GATEWAY_URL,
+  RETRY_DELAYS_MS,
+};
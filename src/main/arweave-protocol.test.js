@@ -0,0 +1,174 @@
+const mockLoadSettings = jest.fn(() => ({}));
+jest.mock('./settings-store', () => ({
+  loadSettings: (...args) => mockLoadSettings(...args),
+}));
+
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockResolveEnsContent = jest.fn();
+jest.mock('./ens-resolver', () => ({
+  resolveEnsContent: (...args) => mockResolveEnsContent(...args),
+}));
+
+const {
+  buildGatewayRequest,
+  handleArRequest,
+  toSandboxLabel,
+  fromSandboxLabel,
+} = require('./arweave-protocol');
+
+const TX_ID = Buffer.alloc(32, 0xab).toString('base64url');
+const SANDBOX = toSandboxLabel(TX_ID);
+
+beforeEach(() => {
+  mockResolveEnsContent.mockReset();
+  mockLoadSettings.mockReturnValue({});
+});
+
+describe('sandbox labels', () => {
+  test('round-trip a transaction id through its lowercase base32 label', () => {
+    expect(SANDBOX).toMatch(/^[a-z2-7]{52}$/);
+    expect(fromSandboxLabel(SANDBOX)).toBe(TX_ID);
+  });
+
+  test('reject anything that is not 32 id bytes', () => {
+    expect(toSandboxLabel('short')).toBeNull();
+    expect(toSandboxLabel('!'.repeat(43))).toBeNull();
+    expect(fromSandboxLabel('a'.repeat(51))).toBeNull();
+    expect(fromSandboxLabel(SANDBOX.toUpperCase())).toBeNull();
+  });
+});
+
+describe('buildGatewayRequest', () => {
+  test('addresses the default gateway on the sandbox subdomain', async () => {
+    await expect(buildGatewayRequest(`ar://${SANDBOX}/img/a.png?v=1`)).resolves.toEqual({
+      ok: true,
+      url: `https://${SANDBOX}.arweave.net/${TX_ID}/img/a.png?v=1`,
+      txId: TX_ID,
+    });
+  });
+
+  test('requests the site root without a trailing slash', async () => {
+    const built = await buildGatewayRequest(`ar://${SANDBOX}/`);
+    expect(built.url).toBe(`https://${SANDBOX}.arweave.net/${TX_ID}`);
+  });
+
+  test('uses the path form for a local gateway', async () => {
+    mockLoadSettings.mockReturnValue({ arweaveGatewayUrl: 'http://localhost:1984/' });
+    const built = await buildGatewayRequest(`ar://${SANDBOX}/x`);
+    expect(built.url).toBe(`http://localhost:1984/${TX_ID}/x`);
+  });
+
+  test('falls back to the default gateway for non-http settings', async () => {
+    mockLoadSettings.mockReturnValue({ arweaveGatewayUrl: 'file:///etc' });
+    const built = await buildGatewayRequest(`ar://${SANDBOX}/`);
+    expect(built.url).toBe(`https://${SANDBOX}.arweave.net/${TX_ID}`);
+  });
+
+  test('returns null for unknown hosts without calling the resolver', async () => {
+    await expect(buildGatewayRequest('ar://not-a-tx/')).resolves.toBeNull();
+    await expect(buildGatewayRequest(`ipfs://${SANDBOX}/`)).resolves.toBeNull();
+    expect(mockResolveEnsContent).not.toHaveBeenCalled();
+  });
+
+  describe('ENS hosts', () => {
+    test('resolves ar://name.eth to its arweave-ns transaction', async () => {
+      mockResolveEnsContent.mockResolvedValue({ type: 'ok', protocol: 'ar', decoded: TX_ID });
+      await expect(buildGatewayRequest('ar://permaweb.eth/about')).resolves.toMatchObject({
+        ok: true,
+        url: `https://${SANDBOX}.arweave.net/${TX_ID}/about`,
+      });
+      expect(mockResolveEnsContent).toHaveBeenCalledWith('permaweb.eth');
+    });
+
+    test('resolves DNS names that ENS knows about', async () => {
+      mockResolveEnsContent.mockResolvedValue({ type: 'ok', protocol: 'ar', decoded: TX_ID });
+      await expect(buildGatewayRequest('ar://example.xyz/')).resolves.toMatchObject({ ok: true });
+      expect(mockResolveEnsContent).toHaveBeenCalledWith('example.xyz');
+    });
+
+    test('returns 404 when the contenthash uses another transport', async () => {
+      mockResolveEnsContent.mockResolvedValue({ type: 'ok', protocol: 'bzz', decoded: 'a' });
+      const built = await buildGatewayRequest('ar://swarm.eth/');
+      expect(built).toMatchObject({ ok: false, status: 404 });
+      expect(built.message).toMatch(/resolves to bzz, not Arweave/);
+    });
+
+    test('names the codec of unsupported contenthashes', async () => {
+      mockResolveEnsContent.mockResolvedValue({ type: 'unsupported', codec: 'skynet-ns' });
+      const built = await buildGatewayRequest('ar://old.eth/');
+      expect(built).toMatchObject({ ok: false, status: 415 });
+      expect(built.message).toMatch(/skynet-ns/);
+    });
+  });
+});
+
+describe('handleArRequest', () => {
+  const makeRequest = (url, { method = 'GET', headers = {} } = {}) => ({
+    url,
+    method,
+    headers: new Headers(headers),
+    body: null,
+    signal: new AbortController().signal,
+  });
+
+  test('returns 400 for invalid references without calling fetch', async () => {
+    const fetchImpl = jest.fn();
+    const res = await handleArRequest(makeRequest('ar://nope/'), { fetchImpl });
+    expect(res.status).toBe(400);
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  test('proxies to the gateway with stripped headers', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(new Response('hello', { status: 200 }));
+    const res = await handleArRequest(
+      makeRequest(`ar://${SANDBOX}/file.txt`, {
+        headers: { Origin: 'ar://x', Range: 'bytes=0-1' },
+      }),
+      { fetchImpl }
+    );
+    expect(res.status).toBe(200);
+    const [calledUrl, init] = fetchImpl.mock.calls[0];
+    expect(calledUrl).toBe(`https://${SANDBOX}.arweave.net/${TX_ID}/file.txt`);
+    expect(init.headers.get('Origin')).toBeNull();
+    expect(init.headers.get('Range')).toBe('bytes=0-1');
+  });
+
+  test('maps gateway redirects back onto the ar:// origin', async () => {
+    mockResolveEnsContent.mockResolvedValue({ type: 'ok', protocol: 'ar', decoded: TX_ID });
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValue(
+        new Response(null, { status: 301, headers: { Location: `/${TX_ID}/docs/?a=1` } })
+      );
+    const res = await handleArRequest(makeRequest('ar://permaweb.eth/docs'), { fetchImpl });
+    expect(res.status).toBe(301);
+    expect(res.headers.get('location')).toBe('ar://permaweb.eth/docs/?a=1');
+  });
+
+  test('leaves third-party redirects alone', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValue(
+        new Response(null, { status: 302, headers: { Location: 'https://example.com/' } })
+      );
+    const res = await handleArRequest(makeRequest(`ar://${SANDBOX}/y`), { fetchImpl });
+    expect(res.headers.get('location')).toBe('https://example.com/');
+  });
+
+  test('returns 503 when the gateway is unreachable', async () => {
+    const err = new Error('getaddrinfo failed');
+    err.code = 'ENOTFOUND';
+    const fetchImpl = jest.fn().mockRejectedValue(err);
+    const res = await handleArRequest(makeRequest(`ar://${SANDBOX}/x`, { method: 'POST' }), {
+      fetchImpl,
+    });
+    expect(res.status).toBe(503);
+    expect((await res.json()).message).toBe('arweave gateway unreachable');
+  });
+});
@@ -96,5 +96,6 @@ function registerBookmarksIpc() {
 }
 
 module.exports = {
+  loadBookmarks,
   registerBookmarksIpc,
 };
@@ -18,6 +18,8 @@ function getRpcManager() {
   return rpcManager;
 }
 
+const RPC_CHECK_TIMEOUT_MS = 8000;
+
 // Registry state
 let chains = {};
 let tokens = {};
@@ -252,6 +254,78 @@ function addCustomToken(token) {
   return { success: true, token: tokens[key], key };
 }
 
+/**
+ * Ask an RPC endpoint which chain it serves.
+ * @param {string} url
+ * @param {number} chainId - the chain the endpoint is supposed to serve
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+async function checkRpcChainId(url, chainId) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { success: false, error: `Invalid RPC URL: ${url}` };
+  }
+  const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && isLocal)) {
+    return { success: false, error: `RPC URL must use https: ${url}` };
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }),
+      signal: AbortSignal.timeout(RPC_CHECK_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      return { success: false, error: `${url} returned HTTP ${response.status}` };
+    }
+
+    const data = await response.json();
+    if (data.error || typeof data.result !== 'string') {
+      return { success: false, error: `${url} did not answer eth_chainId` };
+    }
+    const served = Number(BigInt(data.result));
+    if (served !== Number(chainId)) {
+      return { success: false, error: `${url} serves chain ${served}, not ${chainId}` };
+    }
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: `${url} is unreachable: ${err.message}` };
+  }
+}
+
+/**
+ * Add a chain proposed by a dApp (EIP-3085). A dApp can only add chains the
+ * registry doesn't know yet, never replace a built-in or custom one. Only RPC
+ * URLs that answer eth_chainId with the proposed chain ID are kept; the chain
+ * is rejected, with every RPC's failure, if none do.
+ * @param {Object} chain - registry-shaped chain with the proposed rpcUrls
+ * @param {string} origin - permission key of the proposing site
+ * @returns {Promise<Object>} addCustomChain() result
+ */
+async function addSuggestedChain(chain, origin) {
+  initRegistry();
+  if (chains[chain?.chainId]) {
+    return { success: false, error: `Chain ${chain.chainId} is already added` };
+  }
+
+  const urls = Array.isArray(chain?.rpcUrls) ? chain.rpcUrls : [];
+  if (urls.length === 0) {
+    return { success: false, error: 'At least one RPC URL is required' };
+  }
+
+  const checks = await Promise.all(urls.map((url) => checkRpcChainId(url, chain.chainId)));
+  const rpcUrls = urls.filter((_url, i) => checks[i].success);
+  if (rpcUrls.length === 0) {
+    return { success: false, error: checks.map((check) => check.error).join('; ') };
+  }
+
+  return addCustomChain({ ...chain, rpcUrls, hasPublicRpc: true, addedBy: origin });
+}
+
 /**
  * Remove a custom chain
  */
@@ -389,6 +463,10 @@ function registerChainRegistryIpc() {
     return addCustomToken(token);
   });
 
+  ipcMain.handle('chain-registry:add-suggested-chain', (_event, chain, origin) => {
+    return addSuggestedChain(chain, origin);
+  });
+
   ipcMain.handle('chain-registry:remove-chain', (_event, chainId) => {
     return removeCustomChain(chainId);
   });
@@ -417,6 +495,7 @@ module.exports = {
   getTokenKey,
   addCustomChain,
   addCustomToken,
+  addSuggestedChain,
   removeCustomChain,
   removeCustomToken,
   isChainAvailable,
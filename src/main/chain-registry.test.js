@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const IPC = require('../shared/ipc-channels');
+const {
+  createTempUserDataDir,
+  loadMainModule,
+  removeTempUserDataDir,
+} = require('../../test/helpers/main-process-test-utils');
+
+const CHAIN = {
+  chainId: 10,
+  chainIdHex: '0xa',
+  name: 'OP Mainnet',
+  nativeSymbol: 'ETH',
+  nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+  rpcUrls: ['https://good.example', 'https://wrong.example', 'http://plain.example'],
+  blockExplorer: 'https://optimistic.etherscan.io',
+};
+
+function rpcResponse(result) {
+  return { ok: true, json: async () => ({ jsonrpc: '2.0', id: 1, result }) };
+}
+
+describe('chain-registry', () => {
+  let userDataDir;
+  let originalFetch;
+
+  beforeEach(() => {
+    userDataDir = createTempUserDataDir();
+    originalFetch = global.fetch;
+    global.fetch = jest.fn(async (url) =>
+      rpcResponse(url === 'https://good.example' ? '0xa' : '0x1')
+    );
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    removeTempUserDataDir(userDataDir);
+  });
+
+  test('saves a suggested chain with only the RPCs that serve it, tagged with its origin', async () => {
+    const { mod, ipcMain } = loadMainModule(require.resolve('./chain-registry'), { userDataDir });
+    mod.registerChainRegistryIpc();
+
+    const result = await ipcMain.invoke(IPC.CHAIN_REGISTRY_ADD_SUGGESTED_CHAIN, CHAIN, 'app.eth');
+
+    expect(result.success).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({ method: 'eth_chainId' });
+
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(userDataDir, 'custom-chains.json'), 'utf-8')
+    );
+    expect(saved['10']).toMatchObject({
+      chainId: 10,
+      rpcUrls: ['https://good.example'],
+      hasPublicRpc: true,
+      builtin: false,
+      addedBy: 'app.eth',
+    });
+    expect(mod.getChain(10).addedBy).toBe('app.eth');
+  });
+
+  test('rejects a suggested chain when no RPC reports the proposed chain ID', async () => {
+    const { mod } = loadMainModule(require.resolve('./chain-registry'), { userDataDir });
+
+    const result = await mod.addSuggestedChain(
+      { ...CHAIN, rpcUrls: ['https://wrong.example'] },
+      'app.eth'
+    );
+
+    expect(result).toEqual({
+      success: false,
+      error: 'https://wrong.example serves chain 1, not 10',
+    });
+    expect(mod.getChain(10)).toBeNull();
+    expect(fs.existsSync(path.join(userDataDir, 'custom-chains.json'))).toBe(false);
+  });
+
+  test('reports every RPC failure when none of them serve the chain', async () => {
+    const { mod } = loadMainModule(require.resolve('./chain-registry'), { userDataDir });
+
+    const result = await mod.addSuggestedChain(
+      { ...CHAIN, rpcUrls: ['https://wrong.example', 'http://plain.example'] },
+      'app.eth'
+    );
+
+    expect(result).toEqual({
+      success: false,
+      error:
+        'https://wrong.example serves chain 1, not 10; RPC URL must use https: http://plain.example',
+    });
+  });
+
+  test('refuses to replace a chain the registry already has', async () => {
+    const { mod } = loadMainModule(require.resolve('./chain-registry'), { userDataDir });
+    expect(mod.addCustomChain({ ...CHAIN, rpcUrls: ['https://mine.example'] }).success).toBe(true);
+
+    const custom = await mod.addSuggestedChain(CHAIN, 'app.eth');
+    const builtin = await mod.addSuggestedChain(
+      { ...CHAIN, chainId: 1, chainIdHex: '0x1' },
+      'app.eth'
+    );
+
+    expect(custom).toEqual({ success: false, error: 'Chain 10 is already added' });
+    expect(builtin).toEqual({ success: false, error: 'Chain 1 is already added' });
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(mod.getChain(10).rpcUrls).toEqual(['https://mine.example']);
+  });
+});
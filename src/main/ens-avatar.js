@@ -0,0 +1,292 @@
+/**
+ * ENS avatar resolution (ENSIP-12)
+ *
+ * Turns a name's `avatar` text record into an image URL the browser chrome
+ * can display. The record itself comes from `resolveEnsProfile` (quorum,
+ * same trust levels as contenthash); this module only interprets it:
+ *
+ *  - `https://…` / `http://…` / `data:image/…` — used as-is.
+ *  - `ipfs://…` / `ipns://…` — mapped onto the local IPFS gateway.
+ *  - `ar://<txid>` — mapped onto the configured Arweave gateway.
+ *  - `eip155:1/erc721:<contract>/<id>` and `eip155:1/erc1155:…` — NFT
+ *    avatars. Ownership is checked against the name's `addr` record, as
+ *    ENSIP-12 requires, then `tokenURI` / `uri` is fetched and its
+ *    metadata `image` is resolved with the rules above.
+ *
+ * Only mainnet NFTs are supported: the ENS RPC pool is mainnet-only.
+ */
+
+const log = require('./logger');
+const { ipcMain } = require('electron');
+const { ethers } = require('ethers');
+const IPC = require('../shared/ipc-channels');
+const { convertProtocolUrl } = require('./request-rewriter');
+const { getArweaveGatewayUrl } = require('./arweave-protocol');
+const { resolveEnsProfile, resolveEnsAddress, getWorkingProvider } = require('./ens-resolver');
+
+const NFT_AVATAR_RE =
+  /^eip155:(?<chainId>\d+)\/(?<standard>erc721|erc1155):(?<contract>0x[0-9a-fA-F]{40})\/(?<tokenId>\d+)$/i;
+
+const NFT_ABI = [
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function tokenURI(uint256 tokenId) view returns (string)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function uri(uint256 id) view returns (string)',
+];
+
+const METADATA_TIMEOUT_MS = 10_000;
+// NFT metadata is a small JSON document; anything bigger is not metadata.
+const MAX_METADATA_BYTES = 256 * 1024;
+
+const AVATAR_CACHE_TTL_MS = 15 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 200;
+// `${name} ${record}` → { result, expiresAt }. Keyed on the record too, so
+// a changed avatar record (seen via the profile cache) misses here.
+const avatarCache = new Map();
+
+/**
+ * Parse an ENSIP-12 NFT reference. Returns `{ chainId, standard, contract,
+ * tokenId }` or null when `record` isn't an `eip155:` NFT URI.
+ */
+function parseNftAvatar(record) {
+  const match = NFT_AVATAR_RE.exec((record || '').trim());
+  if (!match) return null;
+  const { chainId, standard, contract, tokenId } = match.groups;
+  return {
+    chainId: Number(chainId),
+    standard: standard.toLowerCase(),
+    contract: ethers.getAddress(contract.toLowerCase()),
+    tokenId: BigInt(tokenId),
+  };
+}
+
+/**
+ * Map an image or metadata URI onto something fetchable over http(s), or
+ * a `data:` URL. Returns null for schemes we can't (or won't) display.
+ */
+function toHttpUrl(uri) {
+  const value = (uri || '').trim();
+  if (/^https?:\/\//i.test(value)) return value;
+  if (/^data:/i.test(value)) return value;
+  if (value.startsWith('ipfs://') || value.startsWith('ipns://')) {
+    const { converted, url } = convertProtocolUrl(value);
+    return converted ? url : null;
+  }
+  const ar = /^ar:\/\/([A-Za-z0-9_-]{43})(\/.*)?$/.exec(value);
+  if (ar) return `${getArweaveGatewayUrl()}/${ar[1]}${ar[2] || ''}`;
+  return null;
+}
+
+// The only data: URLs we hand the renderer are images; anything else (a
+// data:text/html avatar, say) would be displayed as a broken image at
+// best.
+function toImageUrl(uri) {
+  const url = toHttpUrl(uri);
+  if (!url) return null;
+  if (/^data:/i.test(url) && !/^data:image\//i.test(url)) return null;
+  return url;
+}
+
+// ERC-1155 `uri()` results may carry an `{id}` placeholder, substituted
+// with the lowercase 64-hex-char token id.
+function expandTokenUri(uri, tokenId) {
+  return uri.replace(/\{id\}/g, tokenId.toString(16).padStart(64, '0'));
+}
+
+/**
+ * Read a response body as text, giving up as soon as it passes `maxBytes`
+ * rather than buffering whatever the server sends.
+ */
+async function readLimitedText(response, maxBytes) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    await response.body?.cancel();
+    throw new Error('Metadata document too large');
+  }
+
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      throw new Error('Metadata document too large');
+    }
+    chunks.push(Buffer.from(value));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function fetchMetadata(uri, { fetchImpl = fetch } = {}) {
+  const dataMatch = /^data:application\/json(;base64)?,(.*)$/is.exec(uri);
+  if (dataMatch) {
+    const body = dataMatch[1]
+      ? Buffer.from(dataMatch[2], 'base64').toString('utf8')
+      : decodeURIComponent(dataMatch[2]);
+    return JSON.parse(body);
+  }
+
+  const url = toHttpUrl(uri);
+  if (!url || /^data:/i.test(url)) {
+    throw new Error(`Unsupported metadata URI: ${uri.slice(0, 64)}`);
+  }
+  const response = await fetchImpl(url, { signal: AbortSignal.timeout(METADATA_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Metadata fetch failed: HTTP ${response.status}`);
+  }
+  return JSON.parse(await readLimitedText(response, MAX_METADATA_BYTES));
+}
+
+// Metadata image fields in the order marketplaces read them. `image_data`
+// is inline SVG markup.
+function imageFromMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object') return null;
+  const image = metadata.image || metadata.image_url;
+  if (typeof image === 'string' && image) return toImageUrl(image);
+  if (typeof metadata.image_data === 'string' && metadata.image_data) {
+    return `data:image/svg+xml;base64,${Buffer.from(metadata.image_data).toString('base64')}`;
+  }
+  return null;
+}
+
+/**
+ * Resolve an NFT avatar for `name`. The token must be held by the name's
+ * `addr` record: an avatar pointing at someone else's NFT is rejected.
+ */
+async function resolveNftAvatar(name, nft, { fetchImpl } = {}) {
+  if (nft.chainId !== 1) {
+    return { success: false, reason: 'UNSUPPORTED_CHAIN', error: `NFT on chain ${nft.chainId}` };
+  }
+
+  const addrResult = await resolveEnsAddress(name);
+  if (!addrResult?.success) {
+    return {
+      success: false,
+      reason: 'NFT_OWNER_UNKNOWN',
+      error: `Cannot verify NFT owner: ${addrResult?.error || 'no address record'}`,
+    };
+  }
+  const owner = addrResult.address;
+
+  const provider = await getWorkingProvider();
+  const contract = new ethers.Contract(nft.contract, NFT_ABI, provider);
+
+  let tokenUri;
+  if (nft.standard === 'erc721') {
+    const [holder, uri] = await Promise.all([
+      contract.ownerOf(nft.tokenId),
+      contract.tokenURI(nft.tokenId),
+    ]);
+    if (holder.toLowerCase() !== owner.toLowerCase()) {
+      return { success: false, reason: 'NFT_NOT_OWNED', error: `${name} does not own this NFT` };
+    }
+    tokenUri = uri;
+  } else {
+    const [balance, uri] = await Promise.all([
+      contract.balanceOf(owner, nft.tokenId),
+      contract.uri(nft.tokenId),
+    ]);
+    if (balance === 0n) {
+      return { success: false, reason: 'NFT_NOT_OWNED', error: `${name} does not own this NFT` };
+    }
+    tokenUri = expandTokenUri(uri, nft.tokenId);
+  }
+
+  const metadata = await fetchMetadata(tokenUri, { fetchImpl });
+  const url = imageFromMetadata(metadata);
+  if (!url) {
+    return { success: false, reason: 'NO_IMAGE', error: 'NFT metadata has no displayable image' };
+  }
+  return { success: true, url, source: 'nft', nft: { ...nft, tokenId: nft.tokenId.toString() } };
+}
+
+/**
+ * Resolve `name`'s avatar to a displayable URL.
+ *
+ * Returns `{ success: true, name, url, source: 'uri' | 'nft', record,
+ * trust }` or `{ success: false, name, reason, error? }`. `trust` is the
+ * quorum trust of the profile lookup the avatar record came from.
+ */
+async function resolveEnsAvatar(name, { fetchImpl } = {}) {
+  const profile = await resolveEnsProfile(name);
+  const normalized = profile?.name || (name || '').trim().toLowerCase();
+
+  if (!profile?.success) {
+    return {
+      success: false,
+      name: normalized,
+      reason: profile?.reason || 'RESOLUTION_ERROR',
+      error: profile?.error,
+    };
+  }
+
+  const record = profile.records.avatar;
+  const cacheKey = `${normalized} ${record || ''}`;
+  const cached = avatarCache.get(cacheKey);
+  if (cached && Date.now() < cached.expiresAt) {
+    return { ...cached.result, trust: profile.trust };
+  }
+
+  let result;
+  if (!record) {
+    result = { success: false, reason: 'NO_AVATAR' };
+  } else {
+    const nft = parseNftAvatar(record);
+    if (nft) {
+      try {
+        result = await resolveNftAvatar(normalized, nft, { fetchImpl });
+      } catch (err) {
+        log.warn(`[ens-avatar] NFT avatar failed for ${normalized}: ${err.message}`);
+        result = { success: false, reason: 'NFT_ERROR', error: err.message };
+      }
+    } else {
+      const url = toImageUrl(record);
+      result = url
+        ? { success: true, url, source: 'uri' }
+        : { success: false, reason: 'UNSUPPORTED_AVATAR', error: 'Unsupported avatar URI' };
+    }
+  }
+
+  result = { ...result, name: normalized, record, trust: profile.trust };
+  // NFT failures are often transient (metadata host down); don't pin them.
+  if (result.success || result.reason !== 'NFT_ERROR') {
+    avatarCache.set(cacheKey, { result, expiresAt: Date.now() + AVATAR_CACHE_TTL_MS });
+    while (avatarCache.size > MAX_CACHE_ENTRIES) {
+      avatarCache.delete(avatarCache.keys().next().value);
+    }
+  }
+  return result;
+}
+
+function registerEnsAvatarIpc() {
+  ipcMain.handle(IPC.ENS_RESOLVE_AVATAR, async (_event, payload = {}) => {
+    const { name } = payload;
+    try {
+      return await resolveEnsAvatar(name);
+    } catch (err) {
+      log.error('[ens-avatar] avatar resolution error', err);
+      return {
+        success: false,
+        name: (name || '').trim().toLowerCase(),
+        reason: 'RESOLUTION_ERROR',
+        error: err.message,
+      };
+    }
+  });
+}
+
+// Test-only: drop cached avatar results.
+function clearAvatarCacheForTest() {
+  avatarCache.clear();
+}
+
+module.exports = {
+  registerEnsAvatarIpc,
+  resolveEnsAvatar,
+  parseNftAvatar,
+  clearAvatarCacheForTest,
+};
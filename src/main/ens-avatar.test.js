@@ -0,0 +1,256 @@
+jest.mock('electron', () => ({
+  ipcMain: { handle: jest.fn() },
+}));
+
+jest.mock('./logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockResolveEnsProfile = jest.fn();
+const mockResolveEnsAddress = jest.fn();
+jest.mock('./ens-resolver', () => ({
+  resolveEnsProfile: (...args) => mockResolveEnsProfile(...args),
+  resolveEnsAddress: (...args) => mockResolveEnsAddress(...args),
+  getWorkingProvider: async () => ({}),
+}));
+
+jest.mock('./request-rewriter', () => ({
+  convertProtocolUrl: (url) =>
+    url.startsWith('ipfs://')
+      ? { converted: true, url: `http://127.0.0.1:8080/ipfs/${url.slice(7)}` }
+      : { converted: false, url },
+}));
+
+jest.mock('./arweave-protocol', () => ({
+  getArweaveGatewayUrl: () => 'https://arweave.net',
+}));
+
+// NFT contract calls, keyed by method name.
+const mockNft = {
+  ownerOf: jest.fn(),
+  tokenURI: jest.fn(),
+  balanceOf: jest.fn(),
+  uri: jest.fn(),
+};
+jest.mock('ethers', () => {
+  const actual = jest.requireActual('ethers').ethers;
+  return {
+    ethers: {
+      ...actual,
+      Contract: jest.fn().mockImplementation(() => mockNft),
+    },
+  };
+});
+
+const { resolveEnsAvatar, parseNftAvatar, clearAvatarCacheForTest } = require('./ens-avatar');
+
+const OWNER = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+const CONTRACT = '0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB';
+const TRUST = { level: 'verified' };
+
+function profileWithAvatar(avatar) {
+  return { success: true, name: 'vitalik.eth', records: avatar ? { avatar } : {}, trust: TRUST };
+}
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), { status: 200 });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  clearAvatarCacheForTest();
+  mockResolveEnsAddress.mockResolvedValue({ success: true, address: OWNER });
+});
+
+describe('parseNftAvatar', () => {
+  test('parses ERC-721 and ERC-1155 references', () => {
+    expect(parseNftAvatar(`eip155:1/erc721:${CONTRACT.toLowerCase()}/1234`)).toEqual({
+      chainId: 1,
+      standard: 'erc721',
+      contract: CONTRACT,
+      tokenId: 1234n,
+    });
+    expect(parseNftAvatar(`eip155:1/ERC1155:${CONTRACT}/7`)).toMatchObject({
+      standard: 'erc1155',
+      tokenId: 7n,
+    });
+  });
+
+  test('returns null for plain URIs', () => {
+    expect(parseNftAvatar('https://example.com/a.png')).toBeNull();
+    expect(parseNftAvatar(`eip155:1/erc20:${CONTRACT}/1`)).toBeNull();
+  });
+});
+
+describe('resolveEnsAvatar', () => {
+  test('passes https avatars through with the profile trust', async () => {
+    mockResolveEnsProfile.mockResolvedValue(profileWithAvatar('https://example.com/me.png'));
+
+    await expect(resolveEnsAvatar('vitalik.eth')).resolves.toMatchObject({
+      success: true,
+      name: 'vitalik.eth',
+      url: 'https://example.com/me.png',
+      source: 'uri',
+      trust: TRUST,
+    });
+  });
+
+  test('maps ipfs:// and ar:// avatars onto their gateways', async () => {
+    mockResolveEnsProfile.mockResolvedValue(profileWithAvatar('ipfs://QmAvatar/a.png'));
+    expect((await resolveEnsAvatar('vitalik.eth')).url).toBe(
+      'http://127.0.0.1:8080/ipfs/QmAvatar/a.png'
+    );
+
+    const txId = 'a'.repeat(43);
+    mockResolveEnsProfile.mockResolvedValue(profileWithAvatar(`ar://${txId}`));
+    expect((await resolveEnsAvatar('vitalik.eth')).url).toBe(`https://arweave.net/${txId}`);
+  });
+
+  test('rejects non-image data URLs and unknown schemes', async () => {
+    mockResolveEnsProfile.mockResolvedValue(profileWithAvatar('data:text/html,<b>hi</b>'));
+    expect((await resolveEnsAvatar('vitalik.eth')).reason).toBe('UNSUPPORTED_AVATAR');
+
+    mockResolveEnsProfile.mockResolvedValue(profileWithAvatar('ftp://example.com/a.png'));
+    expect((await resolveEnsAvatar('vitalik.eth')).reason).toBe('UNSUPPORTED_AVATAR');
+  });
+
+  test('reports NO_AVATAR when the record is unset', async () => {
+    mockResolveEnsProfile.mockResolvedValue(profileWithAvatar(null));
+
+    await expect(resolveEnsAvatar('vitalik.eth')).resolves.toMatchObject({
+      success: false,
+      reason: 'NO_AVATAR',
+    });
+  });
+
+  test('passes profile failures through', async () => {
+    mockResolveEnsProfile.mockResolvedValue({ success: false, name: 'x.eth', reason: 'CONFLICT' });
+
+    await expect(resolveEnsAvatar('x.eth')).resolves.toMatchObject({
+      success: false,
+      reason: 'CONFLICT',
+    });
+  });
+
+  describe('NFT avatars', () => {
+    const ERC721 = `eip155:1/erc721:${CONTRACT}/42`;
+
+    test('resolves an owned ERC-721 through its metadata image', async () => {
+      mockResolveEnsProfile.mockResolvedValue(profileWithAvatar(ERC721));
+      mockNft.ownerOf.mockResolvedValue(OWNER.toLowerCase());
+      mockNft.tokenURI.mockResolvedValue('https://meta.example/42');
+      const fetchImpl = jest.fn().mockResolvedValue(jsonResponse({ image: 'ipfs://QmImg' }));
+
+      const result = await resolveEnsAvatar('vitalik.eth', { fetchImpl });
+
+      expect(result).toMatchObject({
+        success: true,
+        source: 'nft',
+        url: 'http://127.0.0.1:8080/ipfs/QmImg',
+        nft: { standard: 'erc721', contract: CONTRACT, tokenId: '42' },
+      });
+      expect(fetchImpl.mock.calls[0][0]).toBe('https://meta.example/42');
+    });
+
+    test('rejects an NFT the name does not own', async () => {
+      mockResolveEnsProfile.mockResolvedValue(profileWithAvatar(ERC721));
+      mockNft.ownerOf.mockResolvedValue('0x0000000000000000000000000000000000000001');
+      mockNft.tokenURI.mockResolvedValue('https://meta.example/42');
+      const fetchImpl = jest.fn();
+
+      const result = await resolveEnsAvatar('vitalik.eth', { fetchImpl });
+
+      expect(result).toMatchObject({ success: false, reason: 'NFT_NOT_OWNED' });
+      expect(fetchImpl).not.toHaveBeenCalled();
+    });
+
+    test('expands the ERC-1155 {id} placeholder and reads inline metadata', async () => {
+      mockResolveEnsProfile.mockResolvedValue(
+        profileWithAvatar(`eip155:1/erc1155:${CONTRACT}/255`)
+      );
+      mockNft.balanceOf.mockResolvedValue(1n);
+      mockNft.uri.mockResolvedValue('https://meta.example/{id}.json');
+      const fetchImpl = jest
+        .fn()
+        .mockResolvedValue(
+          jsonResponse({ image_data: '<svg xmlns="http://www.w3.org/2000/svg"/>' })
+        );
+
+      const result = await resolveEnsAvatar('vitalik.eth', { fetchImpl });
+
+      expect(fetchImpl.mock.calls[0][0]).toBe(`https://meta.example/${'0'.repeat(62)}ff.json`);
+      expect(result.url).toMatch(/^data:image\/svg\+xml;base64,/);
+    });
+
+    test('decodes data:application/json token URIs without fetching', async () => {
+      mockResolveEnsProfile.mockResolvedValue(profileWithAvatar(ERC721));
+      mockNft.ownerOf.mockResolvedValue(OWNER);
+      const metadata = Buffer.from(JSON.stringify({ image: 'https://img.example/1.png' }));
+      mockNft.tokenURI.mockResolvedValue(
+        `data:application/json;base64,${metadata.toString('base64')}`
+      );
+      const fetchImpl = jest.fn();
+
+      const result = await resolveEnsAvatar('vitalik.eth', { fetchImpl });
+
+      expect(result.url).toBe('https://img.example/1.png');
+      expect(fetchImpl).not.toHaveBeenCalled();
+    });
+
+    test('does not cache transient NFT failures', async () => {
+      mockResolveEnsProfile.mockResolvedValue(profileWithAvatar(ERC721));
+      mockNft.ownerOf.mockRejectedValueOnce(new Error('rpc down')).mockResolvedValue(OWNER);
+      mockNft.tokenURI.mockResolvedValue('https://meta.example/42');
+      const fetchImpl = jest.fn().mockResolvedValue(jsonResponse({ image: 'https://i.example/a' }));
+
+      expect((await resolveEnsAvatar('vitalik.eth', { fetchImpl })).reason).toBe('NFT_ERROR');
+      expect((await resolveEnsAvatar('vitalik.eth', { fetchImpl })).success).toBe(true);
+    });
+
+    test('refuses metadata whose declared length is over the limit without reading it', async () => {
+      mockResolveEnsProfile.mockResolvedValue(profileWithAvatar(ERC721));
+      mockNft.ownerOf.mockResolvedValue(OWNER);
+      mockNft.tokenURI.mockResolvedValue('https://meta.example/42');
+      let sent = 0;
+      const body = new ReadableStream({
+        pull(controller) {
+          sent += 64 * 1024;
+          controller.enqueue(new Uint8Array(64 * 1024));
+        },
+      });
+      const response = new Response(body, {
+        status: 200,
+        headers: { 'content-length': String(1024 * 1024) },
+      });
+
+      const result = await resolveEnsAvatar('vitalik.eth', { fetchImpl: async () => response });
+
+      expect(result).toMatchObject({ reason: 'NFT_ERROR', error: 'Metadata document too large' });
+      // Only the stream's own initial pull, nothing read on our side
+      expect(sent).toBeLessThanOrEqual(64 * 1024);
+    });
+
+    test('stops reading streamed metadata once it passes the limit', async () => {
+      mockResolveEnsProfile.mockResolvedValue(profileWithAvatar(ERC721));
+      mockNft.ownerOf.mockResolvedValue(OWNER);
+      mockNft.tokenURI.mockResolvedValue('https://meta.example/42');
+      let sent = 0;
+      const body = new ReadableStream({
+        pull(controller) {
+          sent += 64 * 1024;
+          controller.enqueue(new Uint8Array(64 * 1024));
+        },
+      });
+
+      const result = await resolveEnsAvatar('vitalik.eth', {
+        fetchImpl: async () => new Response(body, { status: 200 }),
+      });
+
+      expect(result).toMatchObject({ reason: 'NFT_ERROR', error: 'Metadata document too large' });
+      expect(sent).toBeLessThanOrEqual(6 * 64 * 1024);
+    });
+  });
+});
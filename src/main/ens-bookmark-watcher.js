@@ -0,0 +1,355 @@
+/**
+ * ENS Bookmark Watcher
+ *
+ * Bookmarked ENS sites change silently when their owner points the name at
+ * new content. This module periodically re-resolves the ENS names behind
+ * bookmarks (through `resolveEnsContent`, so with the same quorum and trust
+ * levels as navigation) and records when a name's content, resolver or
+ * owner changes. Each change raises a desktop notification, puts an
+ * "updated" badge on the bookmark and lands in the freedom://ens-updates
+ * digest with the old and new references.
+ *
+ * Only verified and user-configured answers are compared: an unverified,
+ * stale or conflicting resolution is exactly the noise that must not look
+ * like a site update. The owner comes from `resolveEnsOwner` (registry,
+ * unwrapping NameWrapper names) through a single RPC.
+ *
+ * Data model (ens-bookmark-watch.json):
+ *   { version,
+ *     names: { [name]: { uri, resolver, owner, block, checkedAt } },
+ *     changes: [{ id, name, label, fields, before, after, block, detectedAt, seen }] }
+ */
+
+const { app, ipcMain } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const log = require('./logger');
+const IPC = require('../shared/ipc-channels');
+const { isEnsHost, isDnsEnsName } = require('../shared/origin-utils');
+const { loadBookmarks } = require('./bookmarks-store');
+const { loadSettings } = require('./settings-store');
+const { resolveEnsContent, resolveEnsOwner } = require('./ens-resolver');
+const { createPeriodicCheck, notifyAll, broadcastUpdate } = require('./periodic-check');
+
+const WATCH_FILE = 'ens-bookmark-watch.json';
+const CURRENT_VERSION = 1;
+
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const CHECK_INITIAL_DELAY_MS = 3 * 60 * 1000;
+// Oldest changes are dropped beyond this many digest entries.
+const MAX_CHANGES = 100;
+
+const DIGEST_URL = 'freedom://ens-updates';
+
+const WATCHED_TRUST_LEVELS = new Set(['verified', 'user-configured']);
+const TARGET_SCHEMES = new Set(['ens', 'bzz', 'ipfs', 'ipns', 'ar']);
+const FIELDS = ['uri', 'resolver', 'owner'];
+
+let watchCache = null;
+
+function getWatchPath() {
+  return path.join(app.getPath('userData'), WATCH_FILE);
+}
+
+function createEmptyStore() {
+  return { version: CURRENT_VERSION, names: {}, changes: [] };
+}
+
+function loadWatch() {
+  if (watchCache !== null) {
+    return watchCache;
+  }
+
+  try {
+    const filePath = getWatchPath();
+    if (fs.existsSync(filePath)) {
+      watchCache = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } else {
+      watchCache = createEmptyStore();
+    }
+  } catch (err) {
+    log.error('[EnsWatch] Failed to load watch state:', err.message);
+    watchCache = createEmptyStore();
+  }
+
+  return watchCache;
+}
+
+function saveWatch() {
+  try {
+    fs.writeFileSync(getWatchPath(), JSON.stringify(watchCache, null, 2), 'utf-8');
+  } catch (err) {
+    log.error('[EnsWatch] Failed to save watch state:', err.message);
+  }
+}
+
+/**
+ * ENS name a bookmark target points at, or null for non-ENS targets.
+ * Covers the legacy `ens://name` form and transport URLs with an ENS host
+ * (`bzz://name.eth/`, `ipfs://example.com/`). `ipns://` DNS hosts are
+ * DNSLink, not ENS.
+ */
+function ensNameFromTarget(target) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    return null;
+  }
+  const scheme = url.protocol.slice(0, -1);
+  if (!TARGET_SCHEMES.has(scheme)) return null;
+  const host = url.hostname.toLowerCase();
+  if (isEnsHost(host)) return host;
+  if (scheme !== 'ipns' && isDnsEnsName(host)) return host;
+  return null;
+}
+
+// name → bookmarks ({ label, target }) that point at it.
+function getBookmarkedNames() {
+  const byName = new Map();
+  const bookmarks = loadBookmarks();
+  for (const bookmark of Array.isArray(bookmarks) ? bookmarks : []) {
+    const name = bookmark?.target ? ensNameFromTarget(bookmark.target) : null;
+    if (!name) continue;
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push({ label: bookmark.label || '', target: bookmark.target });
+  }
+  return byName;
+}
+
+// Registry owner (null when unowned), or undefined when the lookup failed.
+async function fetchOwner(name) {
+  const record = await resolveEnsOwner(name);
+  if (!record.success) {
+    log.warn(`[EnsWatch] Owner lookup failed for ${name}: ${record.error}`);
+    return undefined;
+  }
+  return record.owner;
+}
+
+// Current state of `name`, or null when the resolution can't be trusted
+// enough to compare. Fields that couldn't be determined are undefined
+// and never count as a change.
+async function snapshotName(name) {
+  let result;
+  try {
+    result = await resolveEnsContent(name);
+  } catch (err) {
+    log.warn(`[EnsWatch] Resolution failed for ${name}: ${err.message}`);
+    return null;
+  }
+  if (!WATCHED_TRUST_LEVELS.has(result?.trust?.level)) return null;
+  const ok = result.type === 'ok';
+  return {
+    uri: ok ? result.uri : null,
+    // Only content results carry the resolver address.
+    resolver: ok ? result.resolver || undefined : undefined,
+    owner: await fetchOwner(name),
+    block: result.trust.block?.number ?? null,
+  };
+}
+
+/**
+ * Fields that differ between two snapshots, ignoring unknown values.
+ */
+function diffSnapshots(before, after) {
+  return FIELDS.filter(
+    (field) =>
+      before[field] !== undefined &&
+      after[field] !== undefined &&
+      String(before[field] ?? '').toLowerCase() !== String(after[field] ?? '').toLowerCase()
+  );
+}
+
+function pickFields(snapshot, fields) {
+  const out = {};
+  for (const field of fields) out[field] = snapshot[field] ?? null;
+  return out;
+}
+
+async function runCheck() {
+  const store = loadWatch();
+  const bookmarked = getBookmarkedNames();
+  const found = [];
+
+  for (const name of Object.keys(store.names)) {
+    if (!bookmarked.has(name)) delete store.names[name];
+  }
+
+  for (const [name, bookmarks] of bookmarked) {
+    const snapshot = await snapshotName(name);
+    if (!snapshot) continue;
+
+    const previous = store.names[name];
+    const next = { ...previous };
+    for (const field of FIELDS) {
+      if (snapshot[field] !== undefined) next[field] = snapshot[field];
+    }
+    next.block = snapshot.block;
+    next.checkedAt = Date.now();
+    store.names[name] = next;
+
+    if (!previous) continue;
+    const fields = diffSnapshots(previous, snapshot);
+    if (fields.length === 0) continue;
+
+    const change = {
+      id: `${name}:${next.checkedAt}`,
+      name,
+      label: bookmarks[0].label || name,
+      fields,
+      before: pickFields(previous, fields),
+      after: pickFields(snapshot, fields),
+      block: snapshot.block,
+      detectedAt: next.checkedAt,
+      seen: false,
+    };
+    log.info(`[EnsWatch] ${name} changed: ${fields.join(', ')}`);
+    found.push(change);
+  }
+
+  if (found.length > 0) {
+    store.changes = [...found, ...store.changes].slice(0, MAX_CHANGES);
+  }
+  saveWatch();
+
+  if (found.length > 0) {
+    notifyAll(found, {
+      describe: (c) => ({ title: `${c.label} was updated`, body: describeChange(c) }),
+      summary: (count) => ({
+        title: `${count} bookmarked ENS sites changed`,
+        body: found.map((c) => c.name).join(', '),
+      }),
+      url: DIGEST_URL,
+      logTag: 'EnsWatch',
+    });
+    broadcastUpdate(IPC.ENS_WATCH_UPDATED);
+  }
+  return found;
+}
+
+const FIELD_LABELS = { uri: 'content', resolver: 'resolver', owner: 'owner' };
+
+function describeChange(change) {
+  if (change.fields.includes('uri')) {
+    return change.after.uri
+      ? `Now points to ${change.after.uri}`
+      : 'Its content record was removed';
+  }
+  return `Its ENS ${change.fields.map((f) => FIELD_LABELS[f]).join(' and ')} changed`;
+}
+
+/**
+ * Digest entries, newest first, each with the bookmarks that currently
+ * point at its name.
+ */
+function listChanges() {
+  const bookmarked = getBookmarkedNames();
+  return loadWatch().changes.map((change) => ({
+    ...change,
+    bookmarks: bookmarked.get(change.name) || [],
+  }));
+}
+
+/**
+ * Mark every change for `name` as seen (all names when omitted).
+ * @returns {number} how many entries changed
+ */
+function markSeen(name) {
+  let count = 0;
+  for (const change of loadWatch().changes) {
+    if (!change.seen && (!name || change.name === name)) {
+      change.seen = true;
+      count++;
+    }
+  }
+  if (count > 0) {
+    saveWatch();
+    broadcastUpdate(IPC.ENS_WATCH_UPDATED);
+  }
+  return count;
+}
+
+function clearChanges() {
+  const store = loadWatch();
+  const count = store.changes.length;
+  store.changes = [];
+  saveWatch();
+  broadcastUpdate(IPC.ENS_WATCH_UPDATED);
+  return count;
+}
+
+// First check shortly after launch, off the startup critical path.
+const watcher = createPeriodicCheck({
+  run: runCheck,
+  intervalMs: CHECK_INTERVAL_MS,
+  initialDelayMs: CHECK_INITIAL_DELAY_MS,
+  isEnabled: () => loadSettings().watchEnsBookmarks !== false,
+  logTag: 'EnsWatch',
+  failureMessage: 'Bookmark check failed',
+});
+
+/**
+ * Re-resolve every bookmarked ENS name once. The first sighting of a name
+ * only records a baseline. Returns the changes found in this run.
+ */
+const checkBookmarkedNames = watcher.check;
+const startEnsBookmarkWatcher = watcher.start;
+const stopEnsBookmarkWatcher = watcher.stop;
+
+function registerEnsWatchIpc() {
+  ipcMain.handle(IPC.ENS_WATCH_LIST, () => {
+    try {
+      return { success: true, changes: listChanges() };
+    } catch (err) {
+      log.error('[EnsWatch] Failed to list changes:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.ENS_WATCH_MARK_SEEN, (_event, name) => {
+    try {
+      return { success: true, count: markSeen(typeof name === 'string' ? name : null) };
+    } catch (err) {
+      log.error('[EnsWatch] Failed to mark changes seen:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.ENS_WATCH_CLEAR, () => {
+    try {
+      return { success: true, count: clearChanges() };
+    } catch (err) {
+      log.error('[EnsWatch] Failed to clear changes:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.ENS_WATCH_CHECK, async () => {
+    try {
+      return { success: true, changes: await checkBookmarkedNames() };
+    } catch (err) {
+      log.error('[EnsWatch] Manual check failed:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  log.info('[EnsWatch] IPC handlers registered');
+}
+
+function _resetCache() {
+  watchCache = null;
+}
+
+module.exports = {
+  ensNameFromTarget,
+  diffSnapshots,
+  checkBookmarkedNames,
+  listChanges,
+  markSeen,
+  clearChanges,
+  startEnsBookmarkWatcher,
+  stopEnsBookmarkWatcher,
+  registerEnsWatchIpc,
+  _resetCache,
+};
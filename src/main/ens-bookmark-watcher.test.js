@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const IPC = require('../shared/ipc-channels');
+const {
+  createTempUserDataDir,
+  loadMainModule,
+  removeTempUserDataDir,
+} = require('../../test/helpers/main-process-test-utils');
+
+const OWNER_A = '0x1111111111111111111111111111111111111111';
+const OWNER_B = '0x2222222222222222222222222222222222222222';
+
+const verified = (uri, extra = {}) => ({
+  type: 'ok',
+  uri,
+  resolver: '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63',
+  trust: { level: 'verified', block: { number: 100 } },
+  ...extra,
+});
+
+function loadWatcher(options = {}) {
+  const state = {
+    bookmarks: options.bookmarks || [],
+    results: { ...(options.results || {}) },
+    owners: { ...(options.owners || {}) },
+    settings: { watchEnsBookmarks: true },
+  };
+  const notifications = [];
+  class MockNotification {
+    static isSupported() {
+      return true;
+    }
+
+    constructor(opts) {
+      this.opts = opts;
+      this.on = jest.fn();
+      this.show = jest.fn();
+      notifications.push(this);
+    }
+  }
+  const send = jest.fn();
+
+  const ctx = loadMainModule(require.resolve('./ens-bookmark-watcher'), {
+    userDataDir: options.userDataDir,
+    windows: [{ isDestroyed: () => false, webContents: { send } }],
+    electronOverrides: { Notification: MockNotification },
+    extraMocks: {
+      [require.resolve('./logger')]: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      }),
+      [require.resolve('./bookmarks-store')]: () => ({
+        loadBookmarks: jest.fn(() => state.bookmarks),
+      }),
+      [require.resolve('./settings-store')]: () => ({
+        loadSettings: jest.fn(() => state.settings),
+      }),
+      [require.resolve('./ens-resolver')]: () => ({
+        resolveEnsContent: jest.fn(async (name) => {
+          const result = state.results[name];
+          if (result instanceof Error) throw result;
+          return result;
+        }),
+        resolveEnsOwner: jest.fn(async (name) =>
+          name in state.owners
+            ? { success: true, name, owner: state.owners[name], resolver: null }
+            : { success: false, name, reason: 'RESOLUTION_ERROR', error: 'owner lookup failed' }
+        ),
+      }),
+    },
+  });
+
+  return { ...ctx, state, notifications, send };
+}
+
+describe('ens-bookmark-watcher', () => {
+  let userDataDir;
+
+  beforeEach(() => {
+    userDataDir = createTempUserDataDir();
+  });
+
+  afterEach(() => {
+    removeTempUserDataDir(userDataDir);
+  });
+
+  test('extracts ENS names from bookmark targets', () => {
+    const { mod } = loadWatcher({ userDataDir });
+
+    expect(mod.ensNameFromTarget('ens://Vitalik.eth')).toBe('vitalik.eth');
+    expect(mod.ensNameFromTarget('bzz://swarm.eth/index.html')).toBe('swarm.eth');
+    expect(mod.ensNameFromTarget('ipfs://example.com/')).toBe('example.com');
+    expect(mod.ensNameFromTarget('ipns://docs.ipfs.tech')).toBeNull();
+    expect(mod.ensNameFromTarget('ipns://vitalik.eth')).toBe('vitalik.eth');
+    expect(mod.ensNameFromTarget('https://vitalik.eth')).toBeNull();
+    expect(mod.ensNameFromTarget('bzz://' + 'a'.repeat(64))).toBeNull();
+    expect(mod.ensNameFromTarget('not a url')).toBeNull();
+  });
+
+  test('records a baseline first, then reports content and owner changes', async () => {
+    const ctx = loadWatcher({
+      userDataDir,
+      bookmarks: [{ label: 'Vitalik', target: 'ens://vitalik.eth' }],
+      results: { 'vitalik.eth': verified('ipfs://QmOld') },
+      owners: { 'vitalik.eth': OWNER_A },
+    });
+
+    expect(await ctx.mod.checkBookmarkedNames()).toEqual([]);
+    expect(ctx.notifications).toHaveLength(0);
+
+    ctx.state.results['vitalik.eth'] = verified('ipfs://QmNew', {
+      trust: { level: 'verified', block: { number: 200 } },
+    });
+    ctx.state.owners['vitalik.eth'] = OWNER_B;
+    const changes = await ctx.mod.checkBookmarkedNames();
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      name: 'vitalik.eth',
+      label: 'Vitalik',
+      fields: ['uri', 'owner'],
+      before: { uri: 'ipfs://QmOld', owner: OWNER_A },
+      after: { uri: 'ipfs://QmNew', owner: OWNER_B },
+      block: 200,
+      seen: false,
+    });
+    expect(ctx.notifications).toHaveLength(1);
+    expect(ctx.notifications[0].opts).toEqual({
+      title: 'Vitalik was updated',
+      body: 'Now points to ipfs://QmNew',
+    });
+    expect(ctx.notifications[0].show).toHaveBeenCalled();
+    expect(ctx.send).toHaveBeenCalledWith(IPC.ENS_WATCH_UPDATED);
+
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(userDataDir, 'ens-bookmark-watch.json'), 'utf-8')
+    );
+    expect(saved.names['vitalik.eth']).toMatchObject({ uri: 'ipfs://QmNew', owner: OWNER_B });
+    expect(saved.changes).toHaveLength(1);
+
+    expect(ctx.mod.listChanges()[0].bookmarks).toEqual([
+      { label: 'Vitalik', target: 'ens://vitalik.eth' },
+    ]);
+  });
+
+  test('ignores untrusted resolutions and unknown owners', async () => {
+    const ctx = loadWatcher({
+      userDataDir,
+      bookmarks: [{ label: 'Site', target: 'bzz://site.eth/' }],
+      results: { 'site.eth': verified('bzz://aaa') },
+      owners: { 'site.eth': OWNER_A },
+    });
+    await ctx.mod.checkBookmarkedNames();
+
+    ctx.state.results['site.eth'] = verified('bzz://bbb', {
+      trust: { level: 'unverified', block: null },
+    });
+    expect(await ctx.mod.checkBookmarkedNames()).toEqual([]);
+
+    ctx.state.results['site.eth'] = new Error('all RPCs down');
+    expect(await ctx.mod.checkBookmarkedNames()).toEqual([]);
+
+    // Owner lookup failing is "unknown", not "changed".
+    delete ctx.state.owners['site.eth'];
+    ctx.state.results['site.eth'] = verified('bzz://aaa');
+    expect(await ctx.mod.checkBookmarkedNames()).toEqual([]);
+    expect(ctx.notifications).toHaveLength(0);
+  });
+
+  test('diffSnapshots compares addresses case-insensitively and skips unknown fields', () => {
+    const { mod } = loadWatcher({ userDataDir });
+
+    expect(
+      mod.diffSnapshots(
+        { uri: 'ipfs://a', resolver: OWNER_A.toUpperCase(), owner: OWNER_A },
+        { uri: 'ipfs://a', resolver: OWNER_A, owner: undefined }
+      )
+    ).toEqual([]);
+    expect(mod.diffSnapshots({ uri: 'ipfs://a' }, { uri: null })).toEqual(['uri']);
+  });
+
+  test('marks changes seen and clears them over IPC', async () => {
+    const ctx = loadWatcher({
+      userDataDir,
+      bookmarks: [
+        { label: 'A', target: 'ens://a.eth' },
+        { label: 'B', target: 'ens://b.eth' },
+      ],
+      results: { 'a.eth': verified('ipfs://a1'), 'b.eth': verified('ipfs://b1') },
+    });
+    ctx.mod.registerEnsWatchIpc();
+    await ctx.ipcMain.invoke(IPC.ENS_WATCH_CHECK);
+
+    ctx.state.results['a.eth'] = verified('ipfs://a2');
+    ctx.state.results['b.eth'] = verified('ipfs://b2');
+    const checked = await ctx.ipcMain.invoke(IPC.ENS_WATCH_CHECK);
+    expect(checked.success).toBe(true);
+    expect(checked.changes.map((c) => c.name)).toEqual(['a.eth', 'b.eth']);
+
+    expect(await ctx.ipcMain.invoke(IPC.ENS_WATCH_MARK_SEEN, 'a.eth')).toEqual({
+      success: true,
+      count: 1,
+    });
+    const listed = await ctx.ipcMain.invoke(IPC.ENS_WATCH_LIST);
+    expect(listed.changes.map((c) => [c.name, c.seen])).toEqual([
+      ['a.eth', true],
+      ['b.eth', false],
+    ]);
+
+    expect(await ctx.ipcMain.invoke(IPC.ENS_WATCH_MARK_SEEN)).toEqual({
+      success: true,
+      count: 1,
+    });
+    expect(await ctx.ipcMain.invoke(IPC.ENS_WATCH_CLEAR)).toEqual({ success: true, count: 2 });
+    expect((await ctx.ipcMain.invoke(IPC.ENS_WATCH_LIST)).changes).toEqual([]);
+  });
+
+  test('forgets names that are no longer bookmarked', async () => {
+    const ctx = loadWatcher({
+      userDataDir,
+      bookmarks: [{ label: 'A', target: 'ens://a.eth' }],
+      results: { 'a.eth': verified('ipfs://a1') },
+    });
+    await ctx.mod.checkBookmarkedNames();
+
+    ctx.state.bookmarks = [];
+    await ctx.mod.checkBookmarkedNames();
+    ctx.state.bookmarks = [{ label: 'A', target: 'ens://a.eth' }];
+    ctx.state.results['a.eth'] = verified('ipfs://a2');
+
+    // Re-bookmarking takes a fresh baseline instead of reporting the gap.
+    expect(await ctx.mod.checkBookmarkedNames()).toEqual([]);
+  });
+});
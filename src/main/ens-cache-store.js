@@ -0,0 +1,168 @@
+const log = require('./logger');
+const { app } = require('electron');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Persistent copy of verified ENS contenthash results. The resolver keeps
+// its in-memory caches as the source of truth while running; this store
+// only lets a restart skip a fresh quorum for results still within their
+// TTL, and lets an offline launch fall back to the last verified answer.
+// Only `ok` results at trust level 'verified' or 'user-configured' are
+// written — see ens-resolver.js.
+
+// Database instance (singleton)
+let db = null;
+
+/**
+ * Get or create the database connection
+ * @returns {Database.Database}
+ */
+function getDb() {
+  if (db) return db;
+
+  const dbPath = path.join(app.getPath('userData'), 'ens-cache.sqlite');
+  log.info('[EnsCache] Opening database:', dbPath);
+
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  migrateDatabase();
+
+  return db;
+}
+
+/**
+ * Close the database connection
+ */
+function closeDb() {
+  if (db) {
+    log.info('[EnsCache] Closing database');
+    db.close();
+    db = null;
+    statements = null;
+  }
+}
+
+/**
+ * Run database migrations based on user_version
+ */
+function migrateDatabase() {
+  const version = db.pragma('user_version', { simple: true });
+
+  if (version < 1) {
+    log.info('[EnsCache] Running migration to version 1');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ens_content (
+        name TEXT PRIMARY KEY,
+        result_json TEXT NOT NULL,
+        trust_level TEXT NOT NULL,
+        block_number INTEGER,
+        block_hash TEXT,
+        verified_at INTEGER NOT NULL
+      );
+    `);
+    db.pragma('user_version = 1');
+  }
+}
+
+// Prepared statements (lazily initialized)
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  const database = getDb();
+
+  statements = {
+    upsert: database.prepare(`
+      INSERT INTO ens_content (name, result_json, trust_level, block_number, block_hash, verified_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        result_json = excluded.result_json,
+        trust_level = excluded.trust_level,
+        block_number = excluded.block_number,
+        block_hash = excluded.block_hash,
+        verified_at = excluded.verified_at
+    `),
+    getByName: database.prepare(`
+      SELECT * FROM ens_content WHERE name = ?
+    `),
+    remove: database.prepare(`
+      DELETE FROM ens_content WHERE name = ?
+    `),
+  };
+
+  return statements;
+}
+
+// The cache is an optimisation: a broken or locked database file must
+// never fail a resolution, so every accessor logs and degrades instead of
+// throwing.
+
+/**
+ * Persist a verified contenthash result for `name` (already normalized).
+ * @param {string} name
+ * @param {object} result - resolver result with `trust.level` and `trust.block`
+ * @param {number} [verifiedAt] - epoch ms the result was resolved at
+ * @returns {boolean} whether the row was written
+ */
+function saveEnsContent(name, result, verifiedAt = Date.now()) {
+  try {
+    const block = result.trust?.block || {};
+    getStatements().upsert.run(
+      name,
+      JSON.stringify(result),
+      result.trust?.level || 'verified',
+      Number.isFinite(block.number) ? block.number : null,
+      block.hash || null,
+      verifiedAt
+    );
+    return true;
+  } catch (err) {
+    log.warn(`[EnsCache] Failed to save ${name}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Look up the persisted result for `name`.
+ * @param {string} name
+ * @returns {{result: object, trustLevel: string, blockNumber: number|null,
+ *   blockHash: string|null, verifiedAt: number}|null}
+ */
+function getEnsContent(name) {
+  try {
+    const row = getStatements().getByName.get(name);
+    if (!row) return null;
+    return {
+      result: JSON.parse(row.result_json),
+      trustLevel: row.trust_level,
+      blockNumber: row.block_number ?? null,
+      blockHash: row.block_hash ?? null,
+      verifiedAt: row.verified_at,
+    };
+  } catch (err) {
+    log.warn(`[EnsCache] Failed to read ${name}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Forget the persisted result for `name`.
+ * @param {string} name
+ * @returns {boolean} whether a row was removed
+ */
+function deleteEnsContent(name) {
+  try {
+    return getStatements().remove.run(name).changes > 0;
+  } catch (err) {
+    log.warn(`[EnsCache] Failed to delete ${name}: ${err.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  saveEnsContent,
+  getEnsContent,
+  deleteEnsContent,
+  closeDb,
+};
@@ -0,0 +1,99 @@
+const FakeBetterSqlite3EnsCacheDatabase = require('../../test/helpers/fake-better-sqlite3-ens-cache');
+const {
+  createTempUserDataDir,
+  loadMainModule,
+  removeTempUserDataDir,
+} = require('../../test/helpers/main-process-test-utils');
+
+function loadEnsCacheStore(options = {}) {
+  return loadMainModule(require.resolve('./ens-cache-store'), {
+    ...options,
+    extraMocks: {
+      'better-sqlite3': () => options.Database || FakeBetterSqlite3EnsCacheDatabase,
+      [require.resolve('./logger')]: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      }),
+    },
+  });
+}
+
+const VERIFIED_RESULT = {
+  type: 'ok',
+  name: 'vitalik.eth',
+  protocol: 'ipfs',
+  uri: 'ipfs://QmSite',
+  trust: { level: 'verified', block: { number: 19000000, hash: '0xabc' }, agreed: ['a', 'b'] },
+};
+
+describe('ens-cache-store', () => {
+  let userDataDir;
+  let mod;
+
+  beforeEach(() => {
+    userDataDir = createTempUserDataDir();
+    mod = null;
+  });
+
+  afterEach(() => {
+    if (mod?.closeDb) mod.closeDb();
+    removeTempUserDataDir(userDataDir);
+  });
+
+  test('round-trips a result with its trust level, block and timestamp', () => {
+    ({ mod } = loadEnsCacheStore({ userDataDir }));
+
+    expect(mod.saveEnsContent('vitalik.eth', VERIFIED_RESULT, 1700000000000)).toBe(true);
+
+    expect(mod.getEnsContent('vitalik.eth')).toEqual({
+      result: VERIFIED_RESULT,
+      trustLevel: 'verified',
+      blockNumber: 19000000,
+      blockHash: '0xabc',
+      verifiedAt: 1700000000000,
+    });
+    expect(mod.getEnsContent('other.eth')).toBeNull();
+  });
+
+  test('overwrites an earlier result for the same name', () => {
+    ({ mod } = loadEnsCacheStore({ userDataDir }));
+
+    mod.saveEnsContent('vitalik.eth', VERIFIED_RESULT, 1);
+    mod.saveEnsContent(
+      'vitalik.eth',
+      { ...VERIFIED_RESULT, uri: 'ipfs://QmNew', trust: { level: 'user-configured' } },
+      2
+    );
+
+    expect(mod.getEnsContent('vitalik.eth')).toMatchObject({
+      result: { uri: 'ipfs://QmNew' },
+      trustLevel: 'user-configured',
+      blockNumber: null,
+      verifiedAt: 2,
+    });
+  });
+
+  test('deletes a persisted result', () => {
+    ({ mod } = loadEnsCacheStore({ userDataDir }));
+
+    mod.saveEnsContent('vitalik.eth', VERIFIED_RESULT);
+
+    expect(mod.deleteEnsContent('vitalik.eth')).toBe(true);
+    expect(mod.deleteEnsContent('vitalik.eth')).toBe(false);
+    expect(mod.getEnsContent('vitalik.eth')).toBeNull();
+  });
+
+  test('degrades instead of throwing when the database cannot be opened', () => {
+    class BrokenDatabase {
+      constructor() {
+        throw new Error('SQLITE_CANTOPEN');
+      }
+    }
+    ({ mod } = loadEnsCacheStore({ userDataDir, Database: BrokenDatabase }));
+
+    expect(mod.saveEnsContent('vitalik.eth', VERIFIED_RESULT)).toBe(false);
+    expect(mod.getEnsContent('vitalik.eth')).toBeNull();
+    expect(mod.deleteEnsContent('vitalik.eth')).toBe(false);
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * ENS Publish
+ *
+ * "Set as contenthash for…" on freedom://publish: points an ENS name owned
+ * by one of the vault's wallets at a Swarm or IPFS publish.
+ *
+ * 1. `listOwnedNames` suggests names: each vault wallet's primary name
+ *    (reverse resolution), kept only when the registry still says a vault
+ *    wallet owns it.
+ * 2. `ENS_PUBLISH_SET_CONTENTHASH` encodes the EIP-1577 contenthash, builds
+ *    `setContenthash(node, hash)` on the name's resolver and hands it to the
+ *    shell window, which shows the normal dApp transaction review. Approving
+ *    there signs and sends through transaction-service.js; this module only
+ *    sees the resulting hash (or the rejection).
+ * 3. `ENS_PUBLISH_CONFIRM` waits for the receipt, drops the cached
+ *    resolution and re-resolves the name to confirm it now serves the
+ *    publish.
+ */
+
+const { ipcMain } = require('electron');
+const { ethers } = require('ethers');
+const log = require('./logger');
+const IPC = require('../shared/ipc-channels');
+const {
+  resolveEnsContent,
+  resolveEnsReverse,
+  resolveEnsOwner,
+  invalidateEnsContent,
+} = require('./ens-resolver');
+const { getDerivedWallets } = require('./identity-manager');
+const { waitForTransaction } = require('./wallet/transaction-service');
+
+// ENS lives on mainnet; resolver records are set there too.
+const ENS_CHAIN_ID = 1;
+
+// EIP-1577 prefixes — see the matching decoder in ens-resolver.js.
+//   0xe3 01 — ipfs-ns (varint), followed by the binary CIDv1
+//   0xe4 01 01 fa 01 1b 20 — swarm-ns, cidv1, swarm-manifest, keccak-256
+const IPFS_NS_PREFIX = '0xe301';
+const CIDV1_DAG_PB = '0170';
+const SWARM_NS_PREFIX = '0xe40101fa011b20';
+
+const RESOLVER_INTERFACE = new ethers.Interface([
+  'function setContenthash(bytes32 node, bytes hash)',
+]);
+
+// The review sits in the sidebar until the user acts; give up eventually
+// so an abandoned review doesn't pin the publish page's promise forever.
+const REVIEW_TIMEOUT_MS = 10 * 60 * 1000;
+
+const SWARM_REF_RE = /^[0-9a-f]{64}$/;
+const CIDV0_RE = /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/;
+const CIDV1_BASE32_RE = /^b[a-z2-7]+$/;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const pendingReviews = new Map(); // id → { resolve, timer }
+let nextReviewId = 1;
+
+// RFC 4648 base32 (lowercase, unpadded) → hex, for multibase 'b' CIDs.
+function base32ToHex(input) {
+  let bits = 0;
+  let value = 0;
+  let hex = '';
+  for (const char of input) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      hex += ((value >> bits) & 0xff).toString(16).padStart(2, '0');
+    }
+  }
+  return hex;
+}
+
+/**
+ * Parse a publish URL into the root reference a contenthash can point at.
+ * Paths are dropped: a contenthash names a whole site, not a file in it.
+ * @param {string} uri - `bzz://<ref>[/path]` or `ipfs://<cid>[/path]`
+ * @returns {{protocol: 'bzz'|'ipfs', reference: string, uri: string}}
+ */
+function parsePublishUri(uri) {
+  const match = /^(bzz|ipfs):\/\/([^/?#]+)/i.exec((uri || '').trim());
+  if (!match) {
+    throw new Error('Only bzz:// and ipfs:// publishes can be set as a contenthash');
+  }
+  const protocol = match[1].toLowerCase();
+  const reference = protocol === 'bzz' ? match[2].toLowerCase() : match[2];
+  if (protocol === 'bzz' && !SWARM_REF_RE.test(reference)) {
+    throw new Error('Encrypted or malformed Swarm references cannot be set as a contenthash');
+  }
+  if (protocol === 'ipfs' && !CIDV0_RE.test(reference) && !CIDV1_BASE32_RE.test(reference)) {
+    throw new Error(`Unsupported IPFS CID: ${reference}`);
+  }
+  return { protocol, reference, uri: `${protocol}://${reference}` };
+}
+
+/**
+ * EIP-1577 contenthash bytes for a publish URL.
+ * @param {string} uri
+ * @returns {string} 0x-prefixed hex
+ */
+function encodeContenthash(uri) {
+  const { protocol, reference } = parsePublishUri(uri);
+  if (protocol === 'bzz') {
+    return SWARM_NS_PREFIX + reference;
+  }
+  if (reference.startsWith('Qm')) {
+    // CIDv0 is a bare sha2-256 multihash; contenthashes carry it as CIDv1 dag-pb.
+    const multihash = ethers.toBeHex(ethers.decodeBase58(reference), 34).slice(2);
+    return IPFS_NS_PREFIX + CIDV1_DAG_PB + multihash;
+  }
+  const cid = base32ToHex(reference.slice(1));
+  if (!cid.startsWith('01')) {
+    throw new Error(`Unsupported IPFS CID: ${reference}`);
+  }
+  return IPFS_NS_PREFIX + cid;
+}
+
+// Two URLs name the same content when they encode to the same contenthash
+// (the resolver reports IPFS CIDs in v0 form even when v1 was set).
+function sameContent(a, b) {
+  try {
+    return encodeContenthash(a) === encodeContenthash(b);
+  } catch {
+    return false;
+  }
+}
+
+function findVaultWallet(wallets, address) {
+  if (!address) return null;
+  const lowered = address.toLowerCase();
+  return wallets.find((wallet) => wallet.address?.toLowerCase() === lowered) || null;
+}
+
+/**
+ * ENS names the vault's wallets currently own, found through each wallet's
+ * primary name. Names without a reverse record must be typed in by hand.
+ * @returns {Promise<Array<{name, walletIndex, walletName, address}>>}
+ */
+async function listOwnedNames() {
+  const wallets = (await getDerivedWallets()).filter((wallet) => wallet.address);
+  const names = new Map();
+
+  for (const wallet of wallets) {
+    const reverse = await resolveEnsReverse(wallet.address);
+    if (!reverse.success || names.has(reverse.name)) continue;
+    const record = await resolveEnsOwner(reverse.name);
+    const owner = record.success ? findVaultWallet(wallets, record.owner) : null;
+    if (!owner) continue;
+    names.set(record.name, {
+      name: record.name,
+      walletIndex: owner.index,
+      walletName: owner.name,
+      address: owner.address,
+    });
+  }
+
+  return [...names.values()];
+}
+
+/**
+ * Build the `setContenthash` transaction pointing `name` at `uri`, signed
+ * by whichever vault wallet owns the name.
+ * @returns {Promise<{name, uri, contenthash, walletIndex, address, chainId, tx}>}
+ */
+async function prepareContenthashUpdate(name, uri) {
+  const parsed = parsePublishUri(uri);
+  const contenthash = encodeContenthash(parsed.uri);
+
+  const record = await resolveEnsOwner(name);
+  if (!record.success) {
+    throw new Error(`Could not look up ${name}: ${record.error}`);
+  }
+  if (!record.owner) {
+    throw new Error(`${record.name} is not registered`);
+  }
+  const wallet = findVaultWallet(await getDerivedWallets(), record.owner);
+  if (!wallet) {
+    throw new Error(`${record.name} is owned by ${record.owner}, which is not one of your wallets`);
+  }
+  if (!record.resolver) {
+    throw new Error(`${record.name} has no resolver set`);
+  }
+
+  return {
+    name: record.name,
+    uri: parsed.uri,
+    contenthash,
+    walletIndex: wallet.index,
+    address: wallet.address,
+    chainId: ENS_CHAIN_ID,
+    tx: {
+      to: record.resolver,
+      value: '0',
+      data: RESOLVER_INTERFACE.encodeFunctionData('setContenthash', [
+        ethers.namehash(record.name),
+        contenthash,
+      ]),
+    },
+  };
+}
+
+// Ask the shell window to show the transaction review. Resolves with
+// `{ hash }` once the user approved and the transaction was sent, or
+// `{ error }` when they rejected it (or never answered).
+function requestReview(hostWebContents, update) {
+  return new Promise((resolve) => {
+    const id = nextReviewId++;
+    const timer = setTimeout(
+      () => settleReview(id, { error: 'Transaction review timed out' }),
+      REVIEW_TIMEOUT_MS
+    );
+    pendingReviews.set(id, { resolve, timer });
+    hostWebContents.send(IPC.ENS_PUBLISH_REVIEW, { id, ...update });
+  });
+}
+
+function settleReview(id, outcome) {
+  const pending = pendingReviews.get(id);
+  if (!pending) return false;
+  pendingReviews.delete(id);
+  clearTimeout(pending.timer);
+  pending.resolve(outcome);
+  return true;
+}
+
+/**
+ * Wait for the update to be mined, then re-resolve `name` with a fresh
+ * quorum to check it now points at `uri`.
+ */
+async function confirmContenthashUpdate(name, uri, txHash) {
+  const receipt = await waitForTransaction(txHash, ENS_CHAIN_ID);
+  if (receipt.status !== 'confirmed') {
+    return { success: false, error: 'The transaction failed on-chain', ...receipt };
+  }
+
+  invalidateEnsContent(name);
+  const result = await resolveEnsContent(name);
+  return {
+    success: true,
+    confirmed: result?.type === 'ok' && sameContent(result.uri, uri),
+    resolvedUri: result?.uri || null,
+    trustLevel: result?.trust?.level || null,
+    explorerUrl: receipt.explorerUrl,
+  };
+}
+
+function registerEnsPublishIpc() {
+  ipcMain.handle(IPC.ENS_PUBLISH_LIST_NAMES, async () => {
+    try {
+      return { success: true, names: await listOwnedNames() };
+    } catch (err) {
+      log.error('[EnsPublish] Failed to list owned names:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.ENS_PUBLISH_SET_CONTENTHASH, async (event, name, uri) => {
+    try {
+      const host = event.sender.hostWebContents;
+      if (!host) {
+        return { success: false, error: 'No window to review the transaction in' };
+      }
+      const update = await prepareContenthashUpdate(name, uri);
+      log.info(`[EnsPublish] Requesting review: ${update.name} → ${update.uri}`);
+      const outcome = await requestReview(host, update);
+      if (!outcome?.hash) {
+        return { success: false, error: outcome?.error || 'Transaction was not sent' };
+      }
+      return { success: true, name: update.name, uri: update.uri, hash: outcome.hash };
+    } catch (err) {
+      log.error('[EnsPublish] Failed to set contenthash:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.ENS_PUBLISH_REVIEW_RESULT, (_event, id, outcome = {}) => {
+    const hash = typeof outcome.hash === 'string' ? outcome.hash : null;
+    const error = typeof outcome.error === 'string' ? outcome.error : null;
+    return { success: settleReview(id, hash ? { hash } : { error }) };
+  });
+
+  ipcMain.handle(IPC.ENS_PUBLISH_CONFIRM, async (_event, name, uri, txHash) => {
+    try {
+      return await confirmContenthashUpdate(name, uri, txHash);
+    } catch (err) {
+      log.error('[EnsPublish] Failed to confirm contenthash update:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  log.info('[EnsPublish] IPC handlers registered');
+}
+
+module.exports = {
+  parsePublishUri,
+  encodeContenthash,
+  listOwnedNames,
+  prepareContenthashUpdate,
+  confirmContenthashUpdate,
+  registerEnsPublishIpc,
+};
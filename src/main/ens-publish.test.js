@@ -0,0 +1,231 @@
+const { ethers } = require('ethers');
+const IPC = require('../shared/ipc-channels');
+const { loadMainModule } = require('../../test/helpers/main-process-test-utils');
+
+const CID_V0 = 'QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4';
+const CID_V1 = 'bafybeibj6lixxzqtsb45ysdjnupvqkufgdvzqbnvmhw2kf7cfkesy7r7d4';
+const SWARM_REF = 'd1de9994b4d039f6548d191eb26786769f580809256b4685ef316805265ea162';
+const WALLET_A = '0x1111111111111111111111111111111111111111';
+const WALLET_B = '0x2222222222222222222222222222222222222222';
+const STRANGER = '0x3333333333333333333333333333333333333333';
+const RESOLVER = '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63';
+
+function loadEnsPublish(options = {}) {
+  const state = {
+    wallets: options.wallets || [
+      { index: 0, name: 'Main Wallet', address: WALLET_A },
+      { index: 1, name: 'Publishing', address: WALLET_B },
+    ],
+    reverse: { ...(options.reverse || {}) },
+    records: { ...(options.records || {}) },
+    content: { ...(options.content || {}) },
+    receipt: options.receipt || { status: 'confirmed', explorerUrl: 'https://etherscan.io/tx/0x1' },
+  };
+  const resolver = {
+    resolveEnsReverse: jest.fn(async (address) =>
+      state.reverse[address]
+        ? { success: true, address, name: state.reverse[address] }
+        : { success: false, address, reason: 'NO_REVERSE' }
+    ),
+    resolveEnsOwner: jest.fn(async (name) => {
+      const normalized = name.trim().toLowerCase();
+      const record = state.records[normalized];
+      return record
+        ? { success: true, name: normalized, ...record }
+        : { success: true, name: normalized, owner: null, resolver: null };
+    }),
+    resolveEnsContent: jest.fn(async (name) => state.content[name]),
+    invalidateEnsContent: jest.fn(() => true),
+  };
+  const transactions = {
+    waitForTransaction: jest.fn(async () => state.receipt),
+  };
+
+  const ctx = loadMainModule(require.resolve('./ens-publish'), {
+    extraMocks: {
+      [require.resolve('./logger')]: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      }),
+      [require.resolve('./ens-resolver')]: () => resolver,
+      [require.resolve('./identity-manager')]: () => ({
+        getDerivedWallets: jest.fn(async () => state.wallets),
+      }),
+      [require.resolve('./wallet/transaction-service')]: () => transactions,
+    },
+  });
+
+  return { ...ctx, state, resolver, transactions };
+}
+
+describe('ens-publish', () => {
+  test('encodes Swarm and IPFS publishes as EIP-1577 contenthashes', () => {
+    const { mod } = loadEnsPublish();
+
+    expect(mod.encodeContenthash(`bzz://${SWARM_REF}/`)).toBe(`0xe40101fa011b20${SWARM_REF}`);
+    // CIDv0 and its CIDv1 form produce the same bytes.
+    const fromV0 = mod.encodeContenthash(`ipfs://${CID_V0}`);
+    expect(fromV0).toMatch(/^0xe30101701220[0-9a-f]{64}$/);
+    expect(mod.encodeContenthash(`ipfs://${CID_V1}/index.html`)).toBe(fromV0);
+  });
+
+  test('rejects references a contenthash cannot carry', () => {
+    const { mod } = loadEnsPublish();
+
+    expect(() => mod.encodeContenthash('https://example.com')).toThrow(/bzz:\/\/ and ipfs:\/\//);
+    expect(() => mod.encodeContenthash(`bzz://${SWARM_REF}${SWARM_REF}`)).toThrow(/Encrypted/);
+    expect(() => mod.encodeContenthash('ipfs://not-a-cid')).toThrow(/Unsupported IPFS CID/);
+    expect(mod.parsePublishUri(`bzz://${SWARM_REF.toUpperCase()}/a/b`).uri).toBe(
+      `bzz://${SWARM_REF}`
+    );
+  });
+
+  test('lists primary names still owned by a vault wallet', async () => {
+    const { mod } = loadEnsPublish({
+      reverse: { [WALLET_A]: 'mine.eth', [WALLET_B]: 'sold.eth' },
+      records: {
+        'mine.eth': { owner: WALLET_B, resolver: RESOLVER },
+        'sold.eth': { owner: STRANGER, resolver: RESOLVER },
+      },
+    });
+
+    expect(await mod.listOwnedNames()).toEqual([
+      { name: 'mine.eth', walletIndex: 1, walletName: 'Publishing', address: WALLET_B },
+    ]);
+  });
+
+  test('builds setContenthash on the resolver, signed by the owning wallet', async () => {
+    const { mod } = loadEnsPublish({
+      records: { 'site.eth': { owner: WALLET_B, resolver: RESOLVER } },
+    });
+
+    const update = await mod.prepareContenthashUpdate('Site.eth', `bzz://${SWARM_REF}/`);
+
+    expect(update).toMatchObject({
+      name: 'site.eth',
+      uri: `bzz://${SWARM_REF}`,
+      walletIndex: 1,
+      address: WALLET_B,
+      chainId: 1,
+      tx: { to: RESOLVER, value: '0' },
+    });
+    const iface = new ethers.Interface(['function setContenthash(bytes32 node, bytes hash)']);
+    const [node, hash] = iface.decodeFunctionData('setContenthash', update.tx.data);
+    expect(node).toBe(ethers.namehash('site.eth'));
+    expect(hash).toBe(`0xe40101fa011b20${SWARM_REF}`);
+  });
+
+  test('refuses names the vault cannot update', async () => {
+    const { mod } = loadEnsPublish({
+      records: {
+        'theirs.eth': { owner: STRANGER, resolver: RESOLVER },
+        'bare.eth': { owner: WALLET_A, resolver: null },
+      },
+    });
+    const uri = `bzz://${SWARM_REF}`;
+
+    await expect(mod.prepareContenthashUpdate('theirs.eth', uri)).rejects.toThrow(
+      /not one of your wallets/
+    );
+    await expect(mod.prepareContenthashUpdate('bare.eth', uri)).rejects.toThrow(/no resolver/);
+    await expect(mod.prepareContenthashUpdate('free.eth', uri)).rejects.toThrow(/not registered/);
+  });
+
+  test('hands the transaction to the shell for review and returns the sent hash', async () => {
+    const ctx = loadEnsPublish({
+      records: { 'site.eth': { owner: WALLET_A, resolver: RESOLVER } },
+    });
+    const host = { send: jest.fn() };
+    ctx.mod.registerEnsPublishIpc();
+
+    const handler = ctx.ipcMain.handlers.get(IPC.ENS_PUBLISH_SET_CONTENTHASH);
+    const pending = handler({ sender: { hostWebContents: host } }, 'site.eth', `ipfs://${CID_V0}`);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(host.send).toHaveBeenCalledWith(
+      IPC.ENS_PUBLISH_REVIEW,
+      expect.objectContaining({ name: 'site.eth', walletIndex: 0, chainId: 1 })
+    );
+    const { id } = host.send.mock.calls[0][1];
+    expect(await ctx.ipcMain.invoke(IPC.ENS_PUBLISH_REVIEW_RESULT, id, { hash: '0xabc' })).toEqual({
+      success: true,
+    });
+    expect(await pending).toEqual({
+      success: true,
+      name: 'site.eth',
+      uri: `ipfs://${CID_V0}`,
+      hash: '0xabc',
+    });
+    // A review can only be settled once.
+    expect(await ctx.ipcMain.invoke(IPC.ENS_PUBLISH_REVIEW_RESULT, id, { hash: '0xdef' })).toEqual({
+      success: false,
+    });
+  });
+
+  test('reports a rejected review as a failure', async () => {
+    const ctx = loadEnsPublish({
+      records: { 'site.eth': { owner: WALLET_A, resolver: RESOLVER } },
+    });
+    const host = { send: jest.fn() };
+    ctx.mod.registerEnsPublishIpc();
+
+    const handler = ctx.ipcMain.handlers.get(IPC.ENS_PUBLISH_SET_CONTENTHASH);
+    const pending = handler(
+      { sender: { hostWebContents: host } },
+      'site.eth',
+      `bzz://${SWARM_REF}`
+    );
+    await new Promise((resolve) => setImmediate(resolve));
+    await ctx.ipcMain.invoke(IPC.ENS_PUBLISH_REVIEW_RESULT, host.send.mock.calls[0][1].id, {
+      error: 'User rejected the request',
+    });
+
+    expect(await pending).toEqual({ success: false, error: 'User rejected the request' });
+  });
+
+  test('confirms by invalidating and re-resolving the name', async () => {
+    const ctx = loadEnsPublish({
+      content: {
+        'site.eth': {
+          type: 'ok',
+          uri: `ipfs://${CID_V0}`,
+          trust: { level: 'verified' },
+        },
+      },
+    });
+    ctx.mod.registerEnsPublishIpc();
+
+    const result = await ctx.ipcMain.invoke(
+      IPC.ENS_PUBLISH_CONFIRM,
+      'site.eth',
+      `ipfs://${CID_V1}`,
+      '0xabc'
+    );
+
+    expect(ctx.transactions.waitForTransaction).toHaveBeenCalledWith('0xabc', 1);
+    expect(ctx.resolver.invalidateEnsContent).toHaveBeenCalledWith('site.eth');
+    expect(result).toEqual({
+      success: true,
+      confirmed: true,
+      resolvedUri: `ipfs://${CID_V0}`,
+      trustLevel: 'verified',
+      explorerUrl: 'https://etherscan.io/tx/0x1',
+    });
+  });
+
+  test('does not re-resolve when the transaction reverted', async () => {
+    const ctx = loadEnsPublish({ receipt: { status: 'failed', hash: '0xabc' } });
+    ctx.mod.registerEnsPublishIpc();
+
+    const result = await ctx.ipcMain.invoke(
+      IPC.ENS_PUBLISH_CONFIRM,
+      'site.eth',
+      `bzz://${SWARM_REF}`,
+      '0xabc'
+    );
+
+    expect(result).toMatchObject({ success: false, error: 'The transaction failed on-chain' });
+    expect(ctx.resolver.resolveEnsContent).not.toHaveBeenCalled();
+  });
+});
@@ -6,6 +6,7 @@ const IPC = require('../shared/ipc-channels');
 const { success, failure } = require('./ipc-contract');
 const { loadSettings, DEFAULT_ENS_PUBLIC_RPC_PROVIDERS } = require('./settings-store');
 const { prefetchGatewayUrl, NOOP_HANDLE: NOOP_PREFETCH } = require('./ens-prefetch');
+const ensCacheStore = require('./ens-cache-store');
 
 // Canonical ENS Universal Resolver — a DAO-owned proxy that delegates to
 // the current implementation, so future UR upgrades don't require a code
@@ -19,10 +20,40 @@ const UR_ABI = [
   'function reverse(bytes lookupAddress, uint256 coinType) view returns (string primary, address resolver, address reverseResolver)',
 ];
 
+// ENS registry and NameWrapper (mainnet). Only `resolveEnsOwner` reads
+// them directly; everything else goes through the Universal Resolver.
+const ENS_REGISTRY_ADDRESS = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+const REGISTRY_ABI = [
+  'function owner(bytes32 node) view returns (address)',
+  'function resolver(bytes32 node) view returns (address)',
+];
+const NAME_WRAPPER_ADDRESS = '0xD4416b13d2b3a9aBae7AcD5D6C2BbDBE25686401';
+const NAME_WRAPPER_ABI = ['function ownerOf(uint256 id) view returns (address)'];
+
 // bytes4(keccak256("contenthash(bytes32)"))
 const CONTENTHASH_SELECTOR = '0xbc1c58d1';
 // bytes4(keccak256("addr(bytes32)"))
 const ADDR_SELECTOR = '0x3b3b57de';
+// bytes4(keccak256("text(bytes32,string)"))
+const TEXT_SELECTOR = '0x59d1d43c';
+// bytes4(keccak256("multicall(bytes[])")) — the UR runs each inner call
+// against the name's resolver and returns the results as `bytes[]`, with a
+// failed call's revert data in place of its return value.
+const MULTICALL_SELECTOR = '0xac9650d8';
+
+// Text records fetched for the name-profile panel (ENSIP-5 global keys
+// plus the service keys people actually set). One multicall, one quorum.
+const PROFILE_TEXT_KEYS = [
+  'avatar',
+  'display',
+  'description',
+  'url',
+  'email',
+  'com.twitter',
+  'com.github',
+  'com.discord',
+  'org.telegram',
+];
 
 // SLIP-0044 coin type for Ethereum mainnet, used by UR.reverse.
 const ETH_COIN_TYPE = 60n;
@@ -38,6 +69,24 @@ const IPFS_CONTENTHASH_RE =
   /^0x(?<codecPrefix>e3010170|e5010172)(?<multihash>(?<mhCode>[0-9a-f]{2})(?<mhLen>[0-9a-f]{2})(?<digest>[0-9a-f]*))$/;
 const SWARM_CONTENTHASH_RE = /^0xe40101fa011b20(?<swarmHash>[0-9a-f]{64})$/;
 
+// Every other namespace is identified by its unsigned-varint multicodec
+// prefix. Names are the multicodec table names, which is also what the
+// renderer's unsupported-content interstitial keys its copy on.
+const CONTENTHASH_CODECS = new Map([
+  [0xe3, 'ipfs-ns'],
+  [0xe4, 'swarm-ns'],
+  [0xe5, 'ipns-ns'],
+  [0x01bc, 'onion'],
+  [0x01bd, 'onion3'],
+  [0xb19910, 'skynet-ns'],
+  [0xb29910, 'arweave-ns'],
+]);
+// Arweave transaction ids are 32 raw bytes, shown as 43-char base64url.
+const ARWEAVE_TX_BYTES = 32;
+// Onion contenthashes carry the address (without `.onion`) as ASCII:
+// 16 chars for v2 services, 56 for v3.
+const ONION_ADDRESS_RE = { onion: /^[a-z2-7]{16}$/, onion3: /^[a-z2-7]{56}$/ };
+
 // Read effective custom RPC URL from settings (empty string = disabled/unset)
 function getCustomRpcUrl() {
   try {
@@ -399,11 +448,14 @@ let cachedProviderUrl = null;
 // 15min; unverified answers expire in 60s so transient public-RPC noise
 // doesn't pin the user-facing result for long; conflict outcomes are
 // negative-cached for 10s purely to avoid re-entry storms on repeated
-// navigation attempts during an active lie.
+// navigation attempts during an active lie. Stale offline fallbacks (see
+// staleContentFallback) expire as fast as unverified answers so the next
+// navigation retries the RPCs.
 const TTL_BY_LEVEL = {
   verified: 15 * 60 * 1000,
   'user-configured': 15 * 60 * 1000,
   unverified: 60 * 1000,
+  stale: 60 * 1000,
   conflict: 10 * 1000,
 };
 const DEFAULT_CACHE_TTL_MS = 15 * 60 * 1000;
@@ -445,6 +497,11 @@ const ensAddressCache = new Map();
 // Address (lowercased 0x) → { result, expiresAt } for reverse lookups.
 const ensReverseCache = new Map();
 
+// Text-record lookups: one cache per record key (the shared cache helpers
+// key on the normalized name), plus one for whole-profile multicalls.
+const ensTextCaches = new Map();
+const ensProfileCache = new Map();
+
 // Get a working provider, trying each in sequence with fallback
 async function getWorkingProvider() {
   // If the cached provider's URL no longer matches the current settings, invalidate it
@@ -1105,7 +1162,54 @@ async function consensusResolve(normalizedName, callData, kind = 'content', opti
 }
 
 async function resolveEnsContent(name) {
-  return resolveWithCache(name, ensResultCache, doResolveEnsContent, 'content');
+  return resolveWithCache(name, ensResultCache, doResolveEnsContent, 'content', {
+    restore: restorePersistedContent,
+  });
+}
+
+// Trust levels whose `ok` results are persisted to ens-cache-store and may
+// later be served stale when every RPC is unreachable.
+const PERSISTED_TRUST_LEVELS = new Set(['verified', 'user-configured']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory miss: reuse the persisted result when it is still within its
+// TTL, so a restart doesn't re-run the quorum for names resolved minutes
+// ago. Returns the cache entry it seeded, or null.
+function restorePersistedContent(normalized) {
+  const entry = ensCacheStore.getEnsContent(normalized);
+  if (!entry) return null;
+  const expiresAt = entry.verifiedAt + ttlForResult(entry.result);
+  if (Date.now() >= expiresAt) return null;
+  const cached = { result: entry.result, expiresAt };
+  ensResultCache.set(normalized, cached);
+  capCache(ensResultCache);
+  return cached;
+}
+
+// Offline fallback. consensusResolve only throws when no RPC produced an
+// answer at all, so this never overrides a live not_found or conflict.
+// Serves the last verified contenthash, relabelled trust level 'stale'
+// (original level kept as `verifiedLevel`, resolution time as
+// `verifiedAt`), provided it is younger than `ensMaxStalenessDays`.
+// 0 disables the fallback.
+function staleContentFallback(normalized, err) {
+  const maxDays = Number(loadSettings().ensMaxStalenessDays) || 0;
+  if (maxDays <= 0) return null;
+  const entry = ensCacheStore.getEnsContent(normalized);
+  if (!entry || Date.now() - entry.verifiedAt > maxDays * DAY_MS) return null;
+  log.warn(
+    `[ens] RPCs unreachable for ${normalized} (${err.message}); ` +
+      `serving result verified at block ${entry.blockNumber ?? '?'}`
+  );
+  return cacheContentResult(normalized, {
+    ...entry.result,
+    trust: {
+      ...entry.result.trust,
+      level: 'stale',
+      verifiedLevel: entry.trustLevel,
+      verifiedAt: entry.verifiedAt,
+    },
+  });
 }
 
 // Decodes the UR's ABI-encoded return, parses the multicodec content hash,
@@ -1135,9 +1239,16 @@ async function doResolveEnsContent(normalized) {
   const node = ethers.namehash(normalized);
   const callData = CONTENTHASH_SELECTOR + node.slice(2);
 
-  const consensus = await consensusResolve(normalized, callData, 'content', {
-    onFirstData: prefetchOnFirstData,
-  });
+  let consensus;
+  try {
+    consensus = await consensusResolve(normalized, callData, 'content', {
+      onFirstData: prefetchOnFirstData,
+    });
+  } catch (err) {
+    const stale = staleContentFallback(normalized, err);
+    if (stale) return stale;
+    throw err;
+  }
   const { trust } = consensus;
 
   if (consensus.outcome === 'conflict') {
@@ -1186,23 +1297,33 @@ async function doResolveEnsContent(normalized) {
 
   const parsed = parseContentHashBytes(innerBytes);
   if (!parsed) {
-    log.warn(`[ens] UNSUPPORTED_CONTENTHASH_FORMAT for ${normalized}: ${innerBytes}`);
+    const codec = readContentHashCodec(innerBytes);
+    log.warn(`[ens] UNSUPPORTED_CONTENTHASH_FORMAT (${codec}) for ${normalized}: ${innerBytes}`);
     return cacheContentResult(normalized, {
       type: 'unsupported',
       reason: 'UNSUPPORTED_CONTENTHASH_FORMAT',
       name: normalized,
+      codec,
       contentHash: innerBytes,
       trust,
     });
   }
 
-  return cacheContentResult(normalized, { type: 'ok', name: normalized, ...parsed, trust });
+  return cacheContentResult(normalized, {
+    type: 'ok',
+    name: normalized,
+    ...parsed,
+    resolver: consensus.resolverAddress,
+    trust,
+  });
 }
 
 // Decode raw ENS contenthash bytes into our result shape. Mirrors ethers'
 // internal decoder bit-for-bit to preserve CIDv0 base58 output for IPFS
 // — a content-hash library would normalize everything to CIDv1, breaking
 // history/bookmark matching on names users already visited.
+// Arweave and onion contenthashes parse to `ar://<txid>` and
+// `http://<addr>.onion`; whether the renderer can load them is its call.
 // Returns null for any format we don't support.
 function parseContentHashBytes(hex0x) {
   const ipfs = hex0x.match(IPFS_CONTENTHASH_RE);
@@ -1229,10 +1350,59 @@ function parseContentHashBytes(hex0x) {
       decoded: hash,
     };
   }
+  const prefix = readVarint(hex0x);
+  if (!prefix) return null;
+  const payload = Buffer.from(hex0x.slice(2 + prefix.length * 2), 'hex');
+  const codec = CONTENTHASH_CODECS.get(prefix.value);
+  if (codec === 'arweave-ns' && payload.length === ARWEAVE_TX_BYTES) {
+    const txId = payload.toString('base64url');
+    return { codec, protocol: 'ar', uri: `ar://${txId}`, decoded: txId };
+  }
+  if (codec === 'onion' || codec === 'onion3') {
+    const address = payload.toString('latin1');
+    if (ONION_ADDRESS_RE[codec].test(address)) {
+      const host = `${address}.onion`;
+      return { codec, protocol: 'onion', uri: `http://${host}`, decoded: host };
+    }
+  }
+  return null;
+}
+
+// Read the leading unsigned varint (multicodec prefix) of a contenthash.
+// Returns `{ value, length }` in bytes, or null when the hex is malformed
+// or the varint runs past 4 bytes (no EIP-1577 namespace is that wide).
+function readVarint(hex0x) {
+  if (!/^0x(?:[0-9a-f]{2})+$/i.test(hex0x)) return null;
+  let value = 0;
+  for (let i = 0; i < 4 && 2 + i * 2 < hex0x.length; i++) {
+    const byte = parseInt(hex0x.slice(2 + i * 2, 4 + i * 2), 16);
+    value += (byte & 0x7f) * 2 ** (7 * i);
+    if ((byte & 0x80) === 0) return { value, length: i + 1 };
+  }
   return null;
 }
 
+// Name the namespace of a contenthash we couldn't parse: the multicodec
+// table name when we know it, else the raw code as hex. Lets the
+// renderer tell "this is a Skynet name" apart from "garbage bytes".
+function readContentHashCodec(hex0x) {
+  const prefix = readVarint(hex0x);
+  if (!prefix) return null;
+  return CONTENTHASH_CODECS.get(prefix.value) || `0x${prefix.value.toString(16)}`;
+}
+
+// Verified answers also update the persistent copy: `ok` results replace
+// it, any other verified outcome (the contenthash was removed or changed
+// to something unloadable) drops it. Unverified and conflicting answers
+// leave it alone — they are exactly the evidence we don't trust.
 function cacheContentResult(normalized, result) {
+  if (PERSISTED_TRUST_LEVELS.has(result.trust?.level)) {
+    if (result.type === 'ok') {
+      ensCacheStore.saveEnsContent(normalized, result);
+    } else {
+      ensCacheStore.deleteEnsContent(normalized);
+    }
+  }
   return cacheAndLog(ensResultCache, normalized, result, result.uri);
 }
 
@@ -1275,14 +1445,17 @@ function fastNormalize(trimmed) {
   return ens_normalize(trimmed);
 }
 
-async function resolveWithCache(name, cache, doResolve, label) {
+async function resolveWithCache(name, cache, doResolve, label, { restore } = {}) {
   const trimmed = (name || '').trim();
   if (!trimmed) {
     throw new Error('ENS name is empty');
   }
   const normalized = fastNormalize(trimmed);
 
-  const cached = cache.get(normalized);
+  let cached = cache.get(normalized);
+  if (!(cached && Date.now() < cached.expiresAt) && restore) {
+    cached = restore(normalized);
+  }
   if (cached && Date.now() < cached.expiresAt) {
     log.info(`[ens] ${label} cache hit for ${normalized}`);
     return cached.result;
@@ -1408,6 +1581,158 @@ function cacheAddressResult(normalized, result) {
   return cacheAndLog(ensAddressCache, normalized, result, result.address);
 }
 
+// Resolve a single text record (ENSIP-5). Same quorum and trust levels as
+// the contenthash / addr paths; unset records come back as NO_TEXT.
+async function resolveEnsText(name, key) {
+  if (typeof key !== 'string' || !key.trim()) {
+    return {
+      success: false,
+      name: (name || '').trim().toLowerCase(),
+      key,
+      reason: 'INVALID_KEY',
+      error: 'Text record key is empty',
+    };
+  }
+  const textKey = key.trim();
+  let cache = ensTextCaches.get(textKey);
+  if (!cache) {
+    cache = new Map();
+    ensTextCaches.set(textKey, cache);
+  }
+  return resolveWithCache(
+    name,
+    cache,
+    (normalized) => doResolveEnsText(normalized, textKey, cache),
+    `text:${textKey}`
+  );
+}
+
+function encodeTextCall(node, key) {
+  const args = ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'string'], [node, key]);
+  return TEXT_SELECTOR + args.slice(2);
+}
+
+// A `string` return is ABI (offset, length, data) — always a whole number
+// of words. Revert data carried back by a multicall (4-byte selector +
+// args) never is, so this doubles as the "did this call fail" check.
+function decodeTextValue(hex0x) {
+  if (!hex0x || hex0x === '0x' || (hex0x.length - 2) % 64 !== 0) return '';
+  try {
+    const [value] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], hex0x);
+    return value;
+  } catch {
+    return '';
+  }
+}
+
+// Same split as addr(): only NO_RESOLVER is a well-defined "nothing set";
+// any other revert means the resolver answered but not usefully.
+function textNotFoundResult(base, consensus) {
+  if (consensus.reason === 'NO_CONTENTHASH') {
+    return {
+      success: false,
+      ...base,
+      reason: 'RESOLUTION_ERROR',
+      error: consensus.error,
+      trust: consensus.trust,
+    };
+  }
+  return { success: false, ...base, reason: 'NO_RESOLVER', trust: consensus.trust };
+}
+
+async function doResolveEnsText(normalized, key, cache) {
+  const callData = encodeTextCall(ethers.namehash(normalized), key);
+  const consensus = await consensusResolve(normalized, callData, 'text');
+  const { trust } = consensus;
+  const base = { name: normalized, key };
+
+  if (consensus.outcome === 'conflict') {
+    return cacheAndLog(cache, normalized, {
+      success: false,
+      ...base,
+      reason: 'CONFLICT',
+      trust,
+      groups: consensus.groups,
+    });
+  }
+  if (consensus.outcome === 'not_found') {
+    return cacheAndLog(cache, normalized, textNotFoundResult(base, consensus));
+  }
+
+  const value = decodeTextValue(consensus.resolvedData);
+  if (!value) {
+    return cacheAndLog(cache, normalized, {
+      success: false,
+      ...base,
+      reason: 'NO_TEXT',
+      error: `No ${key} record set for ${normalized}`,
+      trust,
+    });
+  }
+  return cacheAndLog(cache, normalized, { success: true, ...base, value, trust }, `${key} record`);
+}
+
+// Resolve every PROFILE_TEXT_KEYS record in one UR multicall, so the
+// profile panel costs a single quorum wave rather than one per key.
+// `records` only carries keys that are actually set.
+async function resolveEnsProfile(name) {
+  return resolveWithCache(name, ensProfileCache, doResolveEnsProfile, 'profile');
+}
+
+async function doResolveEnsProfile(normalized) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const node = ethers.namehash(normalized);
+  const calls = PROFILE_TEXT_KEYS.map((key) => encodeTextCall(node, key));
+  const callData = MULTICALL_SELECTOR + coder.encode(['bytes[]'], [calls]).slice(2);
+
+  const consensus = await consensusResolve(normalized, callData, 'profile');
+  const { trust } = consensus;
+
+  if (consensus.outcome === 'conflict') {
+    return cacheAndLog(ensProfileCache, normalized, {
+      success: false,
+      name: normalized,
+      reason: 'CONFLICT',
+      trust,
+      groups: consensus.groups,
+    });
+  }
+  if (consensus.outcome === 'not_found') {
+    return cacheAndLog(
+      ensProfileCache,
+      normalized,
+      textNotFoundResult({ name: normalized }, consensus)
+    );
+  }
+
+  let results;
+  try {
+    [results] = coder.decode(['bytes[]'], consensus.resolvedData);
+  } catch (err) {
+    log.warn(`[ens] Failed to decode profile multicall for ${normalized}: ${err.message}`);
+    return cacheAndLog(ensProfileCache, normalized, {
+      success: false,
+      name: normalized,
+      reason: 'RESOLUTION_ERROR',
+      error: err.message,
+      trust,
+    });
+  }
+
+  const records = {};
+  PROFILE_TEXT_KEYS.forEach((key, i) => {
+    const value = decodeTextValue(results[i]);
+    if (value) records[key] = value;
+  });
+  const count = Object.keys(records).length;
+  return cacheAndLog(
+    ensProfileCache,
+    normalized,
+    { success: true, name: normalized, records, trust },
+    `profile (${count} record${count === 1 ? '' : 's'})`
+  );
+}
+
 // Shared cache-set + log-and-return for both lookup paths. `okValue` is
 // the success-case display (uri for content, address for addr); passing
 // a truthy value logs "Resolved → <value>", otherwise logs the reason.
@@ -1495,6 +1820,42 @@ function cacheReverseResult(normalizedAddress, result) {
   return cacheAndLog(ensReverseCache, normalizedAddress, result, result.name);
 }
 
+// Who controls `name` and which resolver the registry points it at. Names
+// held by the NameWrapper report the wrapped owner. Single RPC and
+// uncached, like reverse resolution: callers use it to decide whether a
+// vault wallet can update a record, and the transaction itself is the
+// final authority. `owner`/`resolver` are null when unset.
+async function resolveEnsOwner(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    return { success: false, name, reason: 'INVALID_NAME', error: 'ENS name is empty' };
+  }
+
+  let normalized;
+  try {
+    normalized = fastNormalize(trimmed);
+    const provider = await getWorkingProvider();
+    const node = ethers.namehash(normalized);
+    const registry = new ethers.Contract(ENS_REGISTRY_ADDRESS, REGISTRY_ABI, provider);
+    let [owner, resolver] = await Promise.all([registry.owner(node), registry.resolver(node)]);
+    if (owner.toLowerCase() === NAME_WRAPPER_ADDRESS.toLowerCase()) {
+      const wrapper = new ethers.Contract(NAME_WRAPPER_ADDRESS, NAME_WRAPPER_ABI, provider);
+      owner = await wrapper.ownerOf(BigInt(node));
+    }
+    const orNull = (address) =>
+      address && address !== ethers.ZeroAddress ? ethers.getAddress(address) : null;
+    return { success: true, name: normalized, owner: orNull(owner), resolver: orNull(resolver) };
+  } catch (err) {
+    log.info(`[ens] Owner lookup failed for ${normalized || trimmed}: ${err.message}`);
+    return {
+      success: false,
+      name: normalized || trimmed,
+      reason: 'RESOLUTION_ERROR',
+      error: err.message,
+    };
+  }
+}
+
 // Test an RPC URL by connecting and fetching the block number.
 // Note: this intentionally accepts any reachable http(s) URL — testing a
 // local node (anvil/geth on 127.0.0.1, an internal RPC, etc.) is the
@@ -1585,6 +1946,37 @@ function registerEnsIpc() {
     }
   });
 
+  ipcMain.handle(IPC.ENS_RESOLVE_TEXT, async (_event, payload = {}) => {
+    const { name, key } = payload;
+    try {
+      return await resolveEnsText(name, key);
+    } catch (err) {
+      log.error('[ens] text resolution error', err);
+      return {
+        success: false,
+        name: (name || '').trim().toLowerCase(),
+        key,
+        reason: 'RESOLUTION_ERROR',
+        error: err.message,
+      };
+    }
+  });
+
+  ipcMain.handle(IPC.ENS_RESOLVE_PROFILE, async (_event, payload = {}) => {
+    const { name } = payload;
+    try {
+      return await resolveEnsProfile(name);
+    } catch (err) {
+      log.error('[ens] profile resolution error', err);
+      return {
+        success: false,
+        name: (name || '').trim().toLowerCase(),
+        reason: 'RESOLUTION_ERROR',
+        error: err.message,
+      };
+    }
+  });
+
   // Drop the cached contenthash for `name`. Used by the renderer's
   // swarm-probe failure handler so a "Try Again" click does a fresh
   // resolution rather than re-probing a stale contenthash.
@@ -1594,8 +1986,9 @@ function registerEnsIpc() {
   });
 }
 
-// Drop the contenthash cache entry for `name` (no-op if absent). Returns
-// true when an entry was evicted, false otherwise.
+// Drop the contenthash cache entry for `name` (no-op if absent), including
+// the persisted copy so the next resolve runs a fresh quorum instead of
+// restoring it. Returns true when an in-memory entry was evicted.
 function invalidateEnsContent(name) {
   const trimmed = (name || '').trim();
   if (!trimmed) return false;
@@ -1607,6 +2000,7 @@ function invalidateEnsContent(name) {
   }
   const had = ensResultCache.has(key);
   ensResultCache.delete(key);
+  ensCacheStore.deleteEnsContent(key);
   if (had) {
     log.info(`[ens] content cache invalidated for ${key}`);
   }
@@ -1620,6 +2014,8 @@ function clearEnsCachesForTest() {
   ensResultCache.clear();
   ensAddressCache.clear();
   ensReverseCache.clear();
+  ensTextCaches.clear();
+  ensProfileCache.clear();
   inFlightResolves.clear();
 }
 
@@ -1628,10 +2024,15 @@ module.exports = {
   resolveEnsContent,
   resolveEnsAddress,
   resolveEnsReverse,
+  resolveEnsOwner,
+  resolveEnsText,
+  resolveEnsProfile,
+  getWorkingProvider,
   testRpcUrl,
   invalidateCachedProvider,
   invalidateEnsContent,
   universalResolverCall,
   isResolverNotFoundError,
   clearEnsCachesForTest,
+  PROFILE_TEXT_KEYS,
 };
@@ -12,6 +12,24 @@ jest.mock('./ens-prefetch', () => ({
   PREFETCH_TIMEOUT_MS: 10_000,
 }));
 
+// Mock the persistent result cache with a plain Map of rows keyed by name,
+// so tests can seed "results from a previous session" and inspect writes.
+const mockPersistedContent = new Map();
+jest.mock('./ens-cache-store', () => ({
+  saveEnsContent: jest.fn((name, result, verifiedAt = Date.now()) => {
+    mockPersistedContent.set(name, {
+      result,
+      trustLevel: result.trust.level,
+      blockNumber: result.trust.block?.number ?? null,
+      blockHash: result.trust.block?.hash ?? null,
+      verifiedAt,
+    });
+    return true;
+  }),
+  getEnsContent: jest.fn((name) => mockPersistedContent.get(name) || null),
+  deleteEnsContent: jest.fn((name) => mockPersistedContent.delete(name)),
+}));
+
 // Mock settings-store. Test provider list is small (3 URLs) so the quorum
 // wave is bounded regardless of test input. Individual tests override
 // mockLoadSettings when they need different values.
@@ -52,6 +70,9 @@ const mockGetResolver = jest.fn();
 const mockResolveName = jest.fn();
 const mockUrResolve = jest.fn();
 const mockUrReverse = jest.fn();
+const mockRegistryOwner = jest.fn();
+const mockRegistryResolver = jest.fn();
+const mockWrapperOwnerOf = jest.fn();
 
 // Last URL passed to JsonRpcProvider — lets per-provider test helpers know
 // which URL they're being called on during the current ur.resolve invocation.
@@ -115,6 +136,9 @@ jest.mock('ethers', () => {
           return mockUrResolve(...args);
         },
         reverse: (...args) => mockUrReverse(...args),
+        owner: (...args) => mockRegistryOwner(...args),
+        resolver: (...args) => mockRegistryResolver(...args),
+        ownerOf: (...args) => mockWrapperOwnerOf(...args),
       })),
       // Pure helpers — use the real implementations so the UR helper's
       // encoding and the inline contenthash decoder are actually exercised.
@@ -124,6 +148,7 @@ jest.mock('ethers', () => {
       encodeBase58: actual.encodeBase58,
       decodeBase58: actual.decodeBase58,
       getBytes: actual.getBytes,
+      getAddress: actual.getAddress,
       ZeroAddress: actual.ZeroAddress,
     },
   };
@@ -132,13 +157,18 @@ jest.mock('ethers', () => {
 const { ethers } = require('ethers');
 const {
   resolveEnsContent,
+  invalidateEnsContent,
   resolveEnsAddress,
   resolveEnsReverse,
+  resolveEnsOwner,
+  resolveEnsText,
+  resolveEnsProfile,
   testRpcUrl,
   invalidateCachedProvider,
   universalResolverCall,
   isResolverNotFoundError,
   clearEnsCachesForTest,
+  PROFILE_TEXT_KEYS,
 } = require('./ens-resolver');
 
 // Fake block anchor — stable hash so consensus legs querying the same
@@ -149,6 +179,7 @@ beforeEach(() => {
   jest.clearAllMocks();
   invalidateCachedProvider();
   clearEnsCachesForTest();
+  mockPersistedContent.clear();
   lastProviderUrl = null;
   mockProviderRouteMap = null;
   mockProviderAnchorMap = null;
@@ -217,6 +248,23 @@ function urReturnsAddress(address) {
   return [encoded, FAKE_RESOLVER];
 }
 
+// For text-like (dynamic `string` return).
+function urReturnsString(value) {
+  const encoded = actualEthers.AbiCoder.defaultAbiCoder().encode(['string'], [value]);
+  return [encoded, FAKE_RESOLVER];
+}
+
+// For a profile multicall: one ABI-encoded `string` per PROFILE_TEXT_KEYS
+// entry, `null` entries standing in for a reverted inner call.
+function urReturnsProfile(values) {
+  const coder = actualEthers.AbiCoder.defaultAbiCoder();
+  const REVERT = '0x08c379a0' + coder.encode(['string'], ['nope']).slice(2);
+  const items = PROFILE_TEXT_KEYS.map((key) =>
+    values[key] === null ? REVERT : coder.encode(['string'], [values[key] || ''])
+  );
+  return [coder.encode(['bytes[]'], [items]), FAKE_RESOLVER];
+}
+
 describe('ens-resolver', () => {
   describe('resolveEnsContent', () => {
     // Real IPFS v0 hash (34 bytes: 0x12 0x20 + 32-byte digest). Using a known
@@ -317,6 +365,62 @@ describe('ens-resolver', () => {
       expect(result.name).toBe('arweave.box');
     });
 
+    test('decodes arweave-ns contenthash to an ar:// transaction URI', async () => {
+      const txBytes = Buffer.alloc(32, 0xab);
+      mockUrResolve.mockResolvedValue(urReturnsBytes('0x90b2ca05' + txBytes.toString('hex')));
+
+      const result = await resolveEnsContent('permaweb.eth');
+
+      const txId = txBytes.toString('base64url');
+      expect(txId).toHaveLength(43);
+      expect(result).toMatchObject({
+        type: 'ok',
+        codec: 'arweave-ns',
+        protocol: 'ar',
+        uri: `ar://${txId}`,
+        decoded: txId,
+      });
+    });
+
+    test('decodes onion3 contenthash to the .onion address', async () => {
+      const address = 'a'.repeat(52) + 'qd2d';
+      mockUrResolve.mockResolvedValue(
+        urReturnsBytes('0xbd03' + Buffer.from(address, 'latin1').toString('hex'))
+      );
+
+      const result = await resolveEnsContent('hidden.eth');
+
+      expect(result).toMatchObject({
+        type: 'ok',
+        codec: 'onion3',
+        protocol: 'onion',
+        uri: `http://${address}.onion`,
+        decoded: `${address}.onion`,
+      });
+    });
+
+    test('names the codec of recognised but unsupported contenthashes', async () => {
+      // skynet-ns (0xb19910) + 34-byte skylink
+      mockUrResolve.mockResolvedValue(urReturnsBytes('0x90b2c605' + '01'.repeat(34)));
+
+      const result = await resolveEnsContent('skynet.eth');
+
+      expect(result).toMatchObject({
+        type: 'unsupported',
+        reason: 'UNSUPPORTED_CONTENTHASH_FORMAT',
+        codec: 'skynet-ns',
+      });
+    });
+
+    test('reports unknown codecs by their hex code', async () => {
+      mockUrResolve.mockResolvedValue(urReturnsBytes('0xf001' + 'cd'.repeat(8)));
+
+      const result = await resolveEnsContent('mystery.eth');
+
+      expect(result.type).toBe('unsupported');
+      expect(result.codec).toBe('0xf0');
+    });
+
     test('normalizes mixed-case input to lowercase', async () => {
       mockUrResolve.mockResolvedValue(urReturnsBytes(ipfsContenthashFor(IPFS_V0)));
 
@@ -581,6 +685,100 @@ describe('ens-resolver', () => {
     });
   });
 
+  describe('resolveEnsText', () => {
+    test('resolves a text record with quorum trust', async () => {
+      mockUrResolve.mockResolvedValue(urReturnsString('https://vitalik.ca'));
+
+      const result = await resolveEnsText('vitalik.eth', 'url');
+
+      expect(result).toMatchObject({
+        success: true,
+        name: 'vitalik.eth',
+        key: 'url',
+        value: 'https://vitalik.ca',
+      });
+      expect(result.trust.level).toBe('verified');
+      // text(bytes32,string) call data, namehash first
+      const [, callData] = mockUrResolve.mock.calls[0];
+      expect(callData.startsWith('0x59d1d43c' + actualEthers.namehash('vitalik.eth').slice(2))).toBe(true);
+    });
+
+    test('returns NO_TEXT for an unset (empty) record', async () => {
+      mockUrResolve.mockResolvedValue(urReturnsString(''));
+
+      const result = await resolveEnsText('blank.eth', 'com.github');
+
+      expect(result).toMatchObject({ success: false, reason: 'NO_TEXT', key: 'com.github' });
+    });
+
+    test('caches per key, not just per name', async () => {
+      mockUrResolve.mockResolvedValue(urReturnsString('value'));
+
+      await resolveEnsText('keys.eth', 'url');
+      await resolveEnsText('keys.eth', 'url');
+      expect(mockUrResolve).toHaveBeenCalledTimes(3);
+
+      await resolveEnsText('keys.eth', 'description');
+      expect(mockUrResolve).toHaveBeenCalledTimes(6);
+    });
+
+    test('rejects an empty key without touching the network', async () => {
+      const result = await resolveEnsText('vitalik.eth', ' ');
+
+      expect(result.reason).toBe('INVALID_KEY');
+      expect(mockUrResolve).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveEnsProfile', () => {
+    test('reads every profile key in one multicall per quorum leg', async () => {
+      mockUrResolve.mockResolvedValue(
+        urReturnsProfile({ avatar: 'ipfs://QmAvatar', 'com.github': 'vbuterin' })
+      );
+
+      const result = await resolveEnsProfile('vitalik.eth');
+
+      expect(result).toMatchObject({
+        success: true,
+        name: 'vitalik.eth',
+        records: { avatar: 'ipfs://QmAvatar', 'com.github': 'vbuterin' },
+      });
+      expect(Object.keys(result.records)).toHaveLength(2);
+      expect(result.trust.level).toBe('verified');
+      expect(mockUrResolve).toHaveBeenCalledTimes(3);
+      expect(mockUrResolve.mock.calls[0][1].startsWith('0xac9650d8')).toBe(true);
+    });
+
+    test('skips inner calls that reverted', async () => {
+      mockUrResolve.mockResolvedValue(urReturnsProfile({ avatar: null, url: 'https://a.example' }));
+
+      const result = await resolveEnsProfile('partial.eth');
+
+      expect(result.records).toEqual({ url: 'https://a.example' });
+    });
+
+    test('maps ResolverNotFound to NO_RESOLVER', async () => {
+      mockUrResolve.mockRejectedValue(new Error('execution reverted: ResolverNotFound("x.eth")'));
+
+      const result = await resolveEnsProfile('unreg.eth');
+
+      expect(result).toMatchObject({ success: false, reason: 'NO_RESOLVER' });
+    });
+
+    test('surfaces conflicting providers as CONFLICT', async () => {
+      routeByProvider(new Map([
+        [TEST_PROVIDERS[0], { kind: 'data', payload: urReturnsProfile({ url: 'https://a.example' }) }],
+        [TEST_PROVIDERS[1], { kind: 'data', payload: urReturnsProfile({ url: 'https://b.example' }) }],
+        [TEST_PROVIDERS[2], { kind: 'data', payload: urReturnsProfile({ url: 'https://c.example' }) }],
+      ]));
+
+      const result = await resolveEnsProfile('split.eth');
+
+      expect(result).toMatchObject({ success: false, reason: 'CONFLICT' });
+      expect(result.trust.level).toBe('conflict');
+    });
+  });
+
   describe('resolveEnsReverse', () => {
     const RESOLVER = '0x0000000000000000000000000000000000001234';
     // Unique per-test addresses avoid ensReverseCache pollution across tests.
@@ -704,6 +902,51 @@ describe('ens-resolver', () => {
     });
   });
 
+  describe('resolveEnsOwner', () => {
+    const OWNER = '0x1111111111111111111111111111111111111111';
+    const RESOLVER = '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63';
+    const NAME_WRAPPER = '0xD4416b13d2b3a9aBae7AcD5D6C2BbDBE25686401';
+
+    beforeEach(() => {
+      mockGetBlockNumber.mockResolvedValue(FAKE_BLOCK.number);
+    });
+
+    test('returns the registry owner and resolver', async () => {
+      mockRegistryOwner.mockResolvedValue(OWNER);
+      mockRegistryResolver.mockResolvedValue(RESOLVER.toLowerCase());
+
+      const result = await resolveEnsOwner('Site.ETH');
+
+      expect(result).toEqual({ success: true, name: 'site.eth', owner: OWNER, resolver: RESOLVER });
+      expect(mockRegistryOwner).toHaveBeenCalledWith(ethers.namehash('site.eth'));
+      expect(mockWrapperOwnerOf).not.toHaveBeenCalled();
+    });
+
+    test('unwraps NameWrapper names and reports unset fields as null', async () => {
+      mockRegistryOwner.mockResolvedValue(NAME_WRAPPER);
+      mockRegistryResolver.mockResolvedValue(ethers.ZeroAddress);
+      mockWrapperOwnerOf.mockResolvedValue(OWNER);
+
+      const result = await resolveEnsOwner('wrapped.eth');
+
+      expect(result).toMatchObject({ success: true, owner: OWNER, resolver: null });
+      expect(mockWrapperOwnerOf).toHaveBeenCalledWith(BigInt(ethers.namehash('wrapped.eth')));
+    });
+
+    test('reports lookup failures instead of throwing', async () => {
+      mockRegistryOwner.mockRejectedValue(new Error('network down'));
+      mockRegistryResolver.mockResolvedValue(RESOLVER);
+
+      expect(await resolveEnsOwner('site.eth')).toEqual({
+        success: false,
+        name: 'site.eth',
+        reason: 'RESOLUTION_ERROR',
+        error: 'network down',
+      });
+      expect((await resolveEnsOwner('  ')).reason).toBe('INVALID_NAME');
+    });
+  });
+
   describe('testRpcUrl', () => {
     test('returns success for working RPC endpoint', async () => {
       const result = await testRpcUrl('http://localhost:8545');
@@ -1791,4 +2034,155 @@ describe('ens-resolver', () => {
       expect(result.trust.level).toBe('verified');
     });
   });
+
+  describe('persistent cache and offline fallback', () => {
+    const IPFS_HASH = 'QmW81r84Aihiqqi2Jw6nM1LnpeMfRCenRxtjwHNkXVkZYa';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const networkErr = Object.assign(new Error('ECONNREFUSED'), { code: 'NETWORK_ERROR' });
+
+    function allProvidersDown() {
+      routeByProvider(new Map(TEST_PROVIDERS.map((url) => [url, { kind: 'reject', payload: networkErr }])));
+    }
+
+    function persist(name, ageMs, level = 'verified') {
+      mockPersistedContent.set(name, {
+        result: {
+          type: 'ok',
+          name,
+          codec: 'ipfs-ns',
+          protocol: 'ipfs',
+          uri: `ipfs://${IPFS_HASH}`,
+          decoded: IPFS_HASH,
+          trust: { level, block: { number: 19000000, hash: '0xfeed' }, agreed: ['a', 'b'] },
+        },
+        trustLevel: level,
+        blockNumber: 19000000,
+        blockHash: '0xfeed',
+        verifiedAt: Date.now() - ageMs,
+      });
+    }
+
+    function withMaxStalenessDays(days) {
+      mockLoadSettings.mockReturnValue({
+        ...mockLoadSettings(),
+        ensMaxStalenessDays: days,
+      });
+    }
+
+    test('persists verified ok results with their block', async () => {
+      mockUrResolve.mockResolvedValue(urReturnsBytes(ipfsContenthashFor(IPFS_HASH)));
+
+      const result = await resolveEnsContent('persist.eth');
+
+      expect(mockPersistedContent.get('persist.eth')).toMatchObject({
+        trustLevel: 'verified',
+        blockNumber: result.trust.block.number,
+        result: { type: 'ok', uri: `ipfs://${IPFS_HASH}` },
+      });
+    });
+
+    test('does not persist unverified results', async () => {
+      mockLoadSettings.mockReturnValue({
+        ...mockLoadSettings(),
+        ensPublicRpcProviders: [TEST_PROVIDERS[0]],
+      });
+      mockUrResolve.mockResolvedValue(urReturnsBytes(ipfsContenthashFor(IPFS_HASH)));
+
+      const result = await resolveEnsContent('single.eth');
+
+      expect(result.trust.level).toBe('unverified');
+      expect(mockPersistedContent.has('single.eth')).toBe(false);
+    });
+
+    test('a verified not-found drops the persisted result', async () => {
+      persist('removed.eth', 20 * 60 * 1000);
+      mockUrResolve.mockRejectedValue(new Error('execution reverted: ResolverNotFound("removed.eth")'));
+
+      const result = await resolveEnsContent('removed.eth');
+
+      expect(result.type).toBe('not_found');
+      expect(mockPersistedContent.has('removed.eth')).toBe(false);
+    });
+
+    test('restores a persisted result within its TTL without querying RPCs', async () => {
+      persist('restart.eth', 60 * 1000);
+
+      const result = await resolveEnsContent('restart.eth');
+
+      expect(result).toMatchObject({ type: 'ok', trust: { level: 'verified' } });
+      expect(mockUrResolve).not.toHaveBeenCalled();
+      expect(mockGetBlockNumber).not.toHaveBeenCalled();
+    });
+
+    test('re-runs the quorum once the persisted result is past its TTL', async () => {
+      persist('expired.eth', 20 * 60 * 1000);
+      mockUrResolve.mockResolvedValue(urReturnsBytes(swarmContenthashFor('b'.repeat(64))));
+
+      const result = await resolveEnsContent('expired.eth');
+
+      expect(result.uri).toBe(`bzz://${'b'.repeat(64)}`);
+      expect(mockPersistedContent.get('expired.eth').result.uri).toBe(`bzz://${'b'.repeat(64)}`);
+    });
+
+    test('serves the last verified result marked stale when every RPC is down', async () => {
+      withMaxStalenessDays(30);
+      const ageMs = 3 * DAY_MS;
+      persist('offline.eth', ageMs);
+      allProvidersDown();
+
+      const result = await resolveEnsContent('offline.eth');
+
+      expect(result).toMatchObject({
+        type: 'ok',
+        uri: `ipfs://${IPFS_HASH}`,
+        trust: {
+          level: 'stale',
+          verifiedLevel: 'verified',
+          block: { number: 19000000, hash: '0xfeed' },
+        },
+      });
+      expect(Date.now() - result.trust.verifiedAt).toBeGreaterThanOrEqual(ageMs);
+      // The stale copy never overwrites the verified row.
+      expect(mockPersistedContent.get('offline.eth').trustLevel).toBe('verified');
+    });
+
+    test('throws when the persisted result is older than the staleness limit', async () => {
+      withMaxStalenessDays(7);
+      persist('too-old.eth', 8 * DAY_MS);
+      allProvidersDown();
+
+      await expect(resolveEnsContent('too-old.eth')).rejects.toThrow(/providers failed/i);
+    });
+
+    test('a staleness limit of 0 disables the offline fallback', async () => {
+      withMaxStalenessDays(0);
+      persist('disabled.eth', 20 * 60 * 1000);
+      allProvidersDown();
+
+      await expect(resolveEnsContent('disabled.eth')).rejects.toThrow(/providers failed/i);
+    });
+
+    test('never falls back when RPCs answered', async () => {
+      withMaxStalenessDays(30);
+      persist('disputed.eth', 20 * 60 * 1000);
+      routeByProvider(new Map([
+        [TEST_PROVIDERS[0], { kind: 'data', payload: urReturnsBytes(swarmContenthashFor('a'.repeat(64))) }],
+        [TEST_PROVIDERS[1], { kind: 'data', payload: urReturnsBytes(swarmContenthashFor('b'.repeat(64))) }],
+        [TEST_PROVIDERS[2], { kind: 'data', payload: urReturnsBytes(swarmContenthashFor('c'.repeat(64))) }],
+      ]));
+
+      const result = await resolveEnsContent('disputed.eth');
+
+      expect(result.type).toBe('conflict');
+      expect(mockPersistedContent.has('disputed.eth')).toBe(true);
+    });
+
+    test('invalidateEnsContent also drops the persisted result', async () => {
+      persist('republished.eth', 60 * 1000);
+
+      invalidateEnsContent('republished.eth');
+
+      expect(mockPersistedContent.has('republished.eth')).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,189 @@
+/**
+ * Shared transport for the custom-scheme protocol handlers
+ * (`swarm/bzz-protocol.js`, `ipfs/ipfs-protocol.js`).
+ *
+ * Both handlers translate a privileged-scheme request into a request
+ * against a local gateway (Bee, Kubo) and stream the response back. The
+ * translation is protocol-specific; the transport — header hygiene,
+ * per-attempt deadlines, bounded retries on transient 5xx for idempotent
+ * methods, draining discarded bodies — is identical and lives here.
+ */
+
+const log = require('./logger');
+
+// Request headers we should not forward to a local gateway — either
+// Chromium-injected privileged-scheme noise or headers that refer to the
+// custom-scheme origin and would confuse the gateway. `cookie` /
+// `authorization` aren't a real security risk against localhost but
+// stripping them keeps the request shape consistent with how we strip
+// Origin / Referer.
+const STRIPPED_REQUEST_HEADERS = new Set([
+  'host',
+  'origin',
+  'referer',
+  'cookie',
+  'authorization',
+  // Connection / hop-by-hop
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+]);
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD']);
+
+function stripRequestHeaders(requestHeaders) {
+  const out = new Headers();
+  for (const [name, value] of requestHeaders.entries()) {
+    if (STRIPPED_REQUEST_HEADERS.has(name.toLowerCase())) continue;
+    out.append(name, value);
+  }
+  return out;
+}
+
+// JSON 4xx/5xx response with the `{ code, message }` body every handler
+// emits, so error pages and developer console messages don't see schema
+// drift between protocols or between hash-host and ENS-host failures.
+function jsonErrorResponse(status, message) {
+  return new Response(JSON.stringify({ code: status, message }), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function fetchOnce(gatewayUrl, init, fetchImpl, attemptTimeoutMs) {
+  // Per-attempt AbortController, linked to the upstream request signal so
+  // a webview cancellation still aborts the in-flight fetch, but with its
+  // own timeout so a stalled gateway response can't hang the retry loop.
+  const attemptCtl = new AbortController();
+  const upstream = init.signal;
+  const relayAbort = () => attemptCtl.abort();
+  if (upstream) {
+    if (upstream.aborted) attemptCtl.abort();
+    else upstream.addEventListener('abort', relayAbort, { once: true });
+  }
+  const timer = setTimeout(() => attemptCtl.abort(), attemptTimeoutMs);
+
+  try {
+    const response = await fetchImpl(gatewayUrl, { ...init, signal: attemptCtl.signal });
+    return { response };
+  } catch (err) {
+    // If we aborted but the upstream signal is still healthy, it was our
+    // attempt-level timeout — surface it as a transient error so the retry
+    // loop tries again rather than bubbling out the raw AbortError.
+    if (attemptCtl.signal.aborted && !upstream?.aborted) {
+      const e = new Error(`gateway fetch timed out after ${attemptTimeoutMs}ms`);
+      e.code = 'ATTEMPT_TIMEOUT';
+      return { error: e };
+    }
+    return { error: err };
+  } finally {
+    clearTimeout(timer);
+    if (upstream) upstream.removeEventListener('abort', relayAbort);
+  }
+}
+
+/**
+ * Fetch `gatewayUrl`, retrying transient failures for idempotent methods.
+ *
+ * `retryDelays[i]` is the delay BEFORE attempt i + 2. Errors (connection
+ * refused, per-attempt timeout) and any status in `retryableStatuses` are
+ * retried; everything else is returned as-is. Non-idempotent methods are
+ * single-shot because the request body is a consumable ReadableStream.
+ * Throws the last transport error if every attempt failed without a
+ * response.
+ */
+async function fetchWithRetry(
+  gatewayUrl,
+  { method, headers, body, signal },
+  { fetchImpl, attemptTimeoutMs, retryDelays, retryableStatuses, logTag }
+) {
+  const idempotent = IDEMPOTENT_METHODS.has(method.toUpperCase());
+
+  const attempt = async () => {
+    const init = { method, headers, signal, redirect: 'manual' };
+    // Web `fetch` requires `duplex: 'half'` for streaming request bodies. It's
+    // inert on GET/HEAD where body is undefined, so always passing it is safe.
+    if (body) {
+      init.body = body;
+      init.duplex = 'half';
+    }
+    return fetchOnce(gatewayUrl, init, fetchImpl, attemptTimeoutMs);
+  };
+
+  const shouldRetry = (result) =>
+    Boolean(result.error) || retryableStatuses.has(result.response.status);
+
+  let result = await attempt();
+  if (!idempotent) {
+    if (result.error) throw result.error;
+    return result.response;
+  }
+
+  for (let i = 0; i < retryDelays.length; i++) {
+    if (!shouldRetry(result)) break;
+    if (signal?.aborted) break;
+
+    // Drain the previous response body so Node's fetch releases the socket
+    // before we start the next attempt.
+    if (result.response) {
+      try {
+        await result.response.body?.cancel();
+      } catch {
+        // ignored — the body may already be closed
+      }
+    }
+
+    const delay = retryDelays[i];
+    log.debug(
+      `[${logTag}] retry ${i + 1}/${retryDelays.length} in ${delay}ms ` +
+        `(status=${result.response?.status ?? result.error?.code ?? 'error'}) ${gatewayUrl}`
+    );
+    await sleep(delay, signal);
+    if (signal?.aborted) break;
+    result = await attempt();
+  }
+
+  if (result.error) throw result.error;
+  return result.response;
+}
+
+// Classify a transport error thrown by `fetchWithRetry` into the status
+// handlers return to the page: 503 when the gateway isn't listening at
+// all, 502 for anything else.
+function isGatewayUnreachable(err) {
+  const code = err?.cause?.code || err?.code || '';
+  return code === 'ECONNREFUSED' || code === 'ECONNRESET' || code === 'ENOTFOUND';
+}
+
+module.exports = {
+  stripRequestHeaders,
+  jsonErrorResponse,
+  fetchWithRetry,
+  isGatewayUnreachable,
+  sleep,
+  STRIPPED_REQUEST_HEADERS,
+  IDEMPOTENT_METHODS,
+};
@@ -251,6 +251,23 @@ async function getPublisherKey(originIndex) {
   return identity.derivePublisherKey(mnemonic, originIndex);
 }
 
+/**
+ * Derive an IPNS publisher key at a specific site index.
+ * Vault must be unlocked. Like publisher keys, these are derived on demand.
+ * @param {number} siteIndex - Site index (0, 1, 2, ...)
+ * @returns {Promise<Object>} { privateKey, publicKey, path, siteIndex }
+ */
+async function getIpnsKey(siteIndex) {
+  const identity = await loadIdentityModule();
+  const mnemonic = identity.getMnemonic();
+
+  if (!mnemonic) {
+    throw new Error('Vault must be unlocked to derive IPNS keys');
+  }
+
+  return identity.deriveIpnsKey(mnemonic, siteIndex);
+}
+
 /**
  * Get the Bee data directory
  */
@@ -1223,6 +1240,7 @@ module.exports = {
   // Key operations
   getDerivedKeys,
   getPublisherKey,
+  getIpnsKey,
 
   // Multi-wallet operations
   getDerivedWallets,
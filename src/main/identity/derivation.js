@@ -30,6 +30,10 @@ const PATHS = {
   // Swarm publisher keys (secp256k1) - dedicated namespace for feed signing
   // One key per origin index: m/44'/73406'/{originIndex}'/0/0
   SWARM_PUBLISHER: "m/44'/73406'",       // base path (without trailing segments)
+
+  // IPNS publisher keys (Ed25519) - one key per published site
+  // m/44'/73407'/{siteIndex}'/0'/0' (all hardened, SLIP-0010)
+  IPNS_PUBLISHER: "m/44'/73407'", // base path (without trailing segments)
 };
 
 /**
@@ -167,6 +171,33 @@ function derivePublisherKey(mnemonic, originIndex) {
   };
 }
 
+/**
+ * Derive an IPNS publisher key at a specific site index.
+ * Uses SLIP-0010 path: m/44'/73407'/{siteIndex}'/0'/0'
+ * Each site gets its own Ed25519 key, and therefore its own IPNS name,
+ * separate from the node's PeerID at PATHS.IPFS.
+ * @param {string} mnemonic - BIP-39 mnemonic
+ * @param {number} siteIndex - Site index (0, 1, 2, ...)
+ * @returns {Object} { privateKey, publicKey, path, siteIndex }
+ */
+function deriveIpnsKey(mnemonic, siteIndex) {
+  if (!isValidMnemonic(mnemonic)) {
+    throw new Error('Invalid mnemonic');
+  }
+  if (typeof siteIndex !== 'number' || siteIndex < 0 || !Number.isInteger(siteIndex)) {
+    throw new Error('Site index must be a non-negative integer');
+  }
+
+  const seed = mnemonicToSeedSync(mnemonic);
+  const path = `${PATHS.IPNS_PUBLISHER}/${siteIndex}'/0'/0'`;
+  const key = deriveEd25519Key(seed, path);
+
+  return {
+    ...key,
+    siteIndex,
+  };
+}
+
 /**
  * Get the seed from a mnemonic (for direct use with SLIP-0010)
  * @param {string} mnemonic - BIP-39 mnemonic
@@ -187,6 +218,7 @@ module.exports = {
   deriveEd25519Key,
   deriveUserWallet,
   derivePublisherKey,
+  deriveIpnsKey,
   getSeed,
   PATHS,
 };
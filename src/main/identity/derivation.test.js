@@ -9,6 +9,7 @@ const {
   deriveEthereumKey,
   deriveEd25519Key,
   derivePublisherKey,
+  deriveIpnsKey,
   getSeed,
   PATHS,
 } = require('./derivation');
@@ -251,6 +252,37 @@ describe('derivation', () => {
     });
   });
 
+  describe('deriveIpnsKey', () => {
+    test('derives an Ed25519 key at the hardened site path', () => {
+      const key = deriveIpnsKey(TEST_MNEMONIC, 0);
+      expect(key.privateKey).toBeInstanceOf(Uint8Array);
+      expect(key.privateKey.length).toBe(32);
+      expect(key.publicKey.length).toBe(32);
+      expect(key.path).toBe("m/44'/73407'/0'/0'/0'");
+      expect(key.siteIndex).toBe(0);
+    });
+
+    test('different sites get different keys, deterministically', () => {
+      const hex = (k) => Buffer.from(k.publicKey).toString('hex');
+      expect(hex(deriveIpnsKey(TEST_MNEMONIC, 0))).not.toBe(hex(deriveIpnsKey(TEST_MNEMONIC, 1)));
+      expect(hex(deriveIpnsKey(TEST_MNEMONIC, 3))).toBe(hex(deriveIpnsKey(TEST_MNEMONIC, 3)));
+    });
+
+    test('site keys are separate from the node PeerID key', () => {
+      const keys = deriveAllKeys(TEST_MNEMONIC);
+      const site = deriveIpnsKey(TEST_MNEMONIC, 0);
+      expect(Buffer.from(site.publicKey).toString('hex')).not.toBe(
+        Buffer.from(keys.ipfsKey.publicKey).toString('hex')
+      );
+    });
+
+    test('validates mnemonic and index', () => {
+      expect(() => deriveIpnsKey('invalid', 0)).toThrow('Invalid mnemonic');
+      expect(() => deriveIpnsKey(TEST_MNEMONIC, -1)).toThrow('non-negative integer');
+      expect(() => deriveIpnsKey(TEST_MNEMONIC, 1.5)).toThrow('non-negative integer');
+    });
+  });
+
   describe('getSeed', () => {
     test('returns 64-byte seed', () => {
       const seed = getSeed(TEST_MNEMONIC);
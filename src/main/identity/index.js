@@ -13,6 +13,7 @@ const {
   deriveEd25519Key,
   deriveUserWallet,
   derivePublisherKey,
+  deriveIpnsKey,
   getSeed,
   PATHS,
 } = require('./derivation');
@@ -61,6 +62,7 @@ module.exports = {
   deriveEd25519Key,
   deriveUserWallet,
   derivePublisherKey,
+  deriveIpnsKey,
   getSeed,
   PATHS,
   createBeeKeystore,
@@ -41,43 +41,83 @@ const path = require('path');
 const { registerBaseIpcHandlers } = require('./ipc-handlers');
 const { registerRequestRewriter } = require('./request-rewriter');
 const { registerBzzProtocol } = require('./swarm/bzz-protocol');
-
-// Register `bzz:` as a privileged standard scheme. Must run before
-// `app.whenReady()` — see https://www.electronjs.org/docs/latest/api/protocol.
-// See README "Swarm Content Retrieval" for why this exists.
-protocol.registerSchemesAsPrivileged([
-  {
-    scheme: 'bzz',
-    privileges: {
-      standard: true,
-      secure: true,
-      supportFetchAPI: true,
-      corsEnabled: true,
-      stream: true,
-      allowServiceWorkers: true,
-    },
-  },
-]);
+const { registerIpfsProtocols } = require('./ipfs/ipfs-protocol');
+const { registerArProtocol } = require('./arweave-protocol');
+
+// Register `bzz:`, `ipfs:`, `ipns:` and `ar:` as privileged standard schemes. Must
+// run before `app.whenReady()` — see
+// https://www.electronjs.org/docs/latest/api/protocol.
+// See README "Swarm Content Retrieval" / "IPFS Content Retrieval" for why
+// these exist.
+const DWEB_SCHEME_PRIVILEGES = {
+  standard: true,
+  secure: true,
+  supportFetchAPI: true,
+  corsEnabled: true,
+  stream: true,
+  allowServiceWorkers: true,
+};
+protocol.registerSchemesAsPrivileged(
+  ['bzz', 'ipfs', 'ipns', 'ar'].map((scheme) => ({ scheme, privileges: DWEB_SCHEME_PRIVILEGES }))
+);
 const { registerSettingsIpc, loadSettings } = require('./settings-store');
 const { registerBookmarksIpc } = require('./bookmarks-store');
 const { registerHistoryIpc, closeDb: closeHistoryDb } = require('./history');
 const { registerFaviconsIpc } = require('./favicons');
 const { registerEnsIpc } = require('./ens-resolver');
+const { closeDb: closeEnsCacheDb } = require('./ens-cache-store');
+const {
+  registerEnsWatchIpc,
+  startEnsBookmarkWatcher,
+  stopEnsBookmarkWatcher,
+} = require('./ens-bookmark-watcher');
+const { registerEnsPublishIpc } = require('./ens-publish');
+const { registerEnsAvatarIpc } = require('./ens-avatar');
 const { registerBeeIpc, stopBee, startBee, setUseInjectedIdentity: setBeeInjectedIdentity } = require('./bee-manager');
 const { registerIpfsIpc, stopIpfs, startIpfs, setUseInjectedIdentity: setIpfsInjectedIdentity } = require('./ipfs-manager');
 const { registerRadicleIpc, stopRadicle, startRadicle, setUseInjectedIdentity: setRadicleInjectedIdentity } = require('./radicle-manager');
 const { registerIdentityIpc, hasVault } = require('./identity-manager');
 const { registerQuickUnlockIpc } = require('./quick-unlock');
 const { registerWalletIpc } = require('./wallet/wallet-ipc');
+const {
+  registerActivityIpc,
+  recordTransaction,
+  startActivityTracker,
+  stopActivityTracker,
+} = require('./wallet/activity-tracker');
+const { closeDb: closeWalletActivityDb } = require('./wallet/activity-store');
+const { registerAllowanceIpc } = require('./wallet/allowance-scanner');
 const { registerChainRegistryIpc } = require('./chain-registry');
 const { registerRpcManagerIpc } = require('./wallet/rpc-manager');
 const { registerDappPermissionsIpc } = require('./wallet/dapp-permissions');
-const { registerSwarmIpc } = require('./swarm/stamp-service');
+const { registerSwarmIpc, setActivityRecorder } = require('./swarm/stamp-service');
+const {
+  registerStampMonitorIpc,
+  startStampMonitor,
+  stopStampMonitor,
+} = require('./swarm/stamp-monitor');
+const {
+  registerContentHealthIpc,
+  startContentHealthMonitor,
+  stopContentHealthMonitor,
+} = require('./swarm/content-health');
 const { registerPublishIpc } = require('./swarm/publish-service');
 const { registerPublishHistoryIpc, closeDb: closePublishHistoryDb } = require('./swarm/publish-history');
 const { registerSwarmPermissionsIpc } = require('./swarm/swarm-permissions');
 const { registerSwarmProviderIpc } = require('./swarm/swarm-provider-ipc');
 const { registerFeedStoreIpc } = require('./swarm/feed-store');
+const { registerWebsiteIpc } = require('./swarm/website-service');
+const { registerActIpc } = require('./swarm/act-service');
+const { registerFeedResolverIpc } = require('./swarm/feed-resolver');
+const { registerIpfsPublishIpc } = require('./ipfs/publish-service');
+const { registerIpfsPinIpc } = require('./ipfs/pin-service');
+const {
+  registerIpnsIpc,
+  startIpnsRepublisher,
+  stopIpnsRepublisher,
+} = require('./ipfs/ipns-service');
+const { registerIpfsPermissionsIpc } = require('./ipfs/ipfs-permissions');
+const { registerIpfsProviderIpc } = require('./ipfs/ipfs-provider-ipc');
 const { registerGithubBridgeIpc, cleanupTempDirs } = require('./github-bridge');
 const { registerServiceRegistryIpc } = require('./service-registry');
 const { createMainWindow, setWindowTitle, getMainWindows } = require('./windows/mainWindow');
@@ -121,6 +161,9 @@ async function bootstrap() {
   registerHistoryIpc();
   registerFaviconsIpc();
   registerEnsIpc();
+  registerEnsWatchIpc();
+  registerEnsPublishIpc();
+  registerEnsAvatarIpc();
   registerBeeIpc();
   registerIpfsIpc();
   registerRadicleIpc();
@@ -129,16 +172,31 @@ async function bootstrap() {
   registerIdentityIpc();
   registerQuickUnlockIpc();
   registerWalletIpc();
+  registerActivityIpc();
+  registerAllowanceIpc();
   registerChainRegistryIpc();
   registerRpcManagerIpc();
   registerDappPermissionsIpc();
+  setActivityRecorder(recordTransaction);
   registerSwarmIpc();
+  registerStampMonitorIpc();
+  registerContentHealthIpc();
   registerPublishIpc();
   registerPublishHistoryIpc();
   registerSwarmPermissionsIpc();
   registerSwarmProviderIpc();
   registerFeedStoreIpc();
+  registerWebsiteIpc();
+  registerActIpc();
+  registerFeedResolverIpc();
+  registerIpfsPublishIpc();
+  registerIpfsPinIpc();
+  registerIpnsIpc();
+  registerIpfsPermissionsIpc();
+  registerIpfsProviderIpc();
   registerBzzProtocol(defaultSession);
+  registerIpfsProtocols(defaultSession);
+  registerArProtocol(defaultSession);
   registerRequestRewriter(defaultSession);
   allowInteractivePermissions(defaultSession);
   registerWebContentsHandlers();
@@ -167,6 +225,11 @@ async function bootstrap() {
   if (settings.startIpfsAtLaunch) {
     startIpfs();
   }
+  startIpnsRepublisher();
+  startEnsBookmarkWatcher();
+  startStampMonitor();
+  startContentHealthMonitor();
+  startActivityTracker();
   if (settings.enableRadicleIntegration && settings.startRadicleAtLaunch) {
     startRadicle();
   }
@@ -234,14 +297,22 @@ app.on('before-quit', async (event) => {
   }
   log.info('[App] All windows closed');
 
-  // Close history databases
+  // Close history and cache databases
   log.info('[App] Closing history databases...');
   closeHistoryDb();
   closePublishHistoryDb();
+  closeEnsCacheDb();
+  stopActivityTracker();
+  closeWalletActivityDb();
 
   // Clean up any GitHub bridge temp directories
   cleanupTempDirs();
 
+  stopIpnsRepublisher();
+  stopEnsBookmarkWatcher();
+  stopStampMonitor();
+  stopContentHealthMonitor();
+
   log.info('[App] Waiting for Bee, IPFS, and Radicle to stop...');
   await Promise.all([stopBee(), stopIpfs(), stopRadicle()]);
   log.info('[App] All processes stopped, quitting...');
@@ -0,0 +1,42 @@
+/**
+ * IPFS Provider Permissions
+ *
+ * Which origins may write through the user's Kubo node via window.ipfs.
+ * Same per-origin model as swarm/swarm-permissions.js, kept in its own file
+ * so connecting a page to one network doesn't grant it the other.
+ *
+ * Schema per origin:
+ *   { origin, connectedAt, lastUsed, autoApprove: { publish: false, names: false } }
+ *
+ * `publish` covers add/addFiles/pin; `names` covers IPNS publishes.
+ */
+
+const IPC = require('../../shared/ipc-channels');
+const { createPermissionStore } = require('../swarm/swarm-permissions');
+
+const ipfsPermissions = createPermissionStore({
+  file: 'ipfs-permissions.json',
+  logTag: '[IpfsPermissions]',
+  autoApproveTypes: ['publish', 'names'],
+  channels: {
+    get: IPC.IPFS_GET_PERMISSION,
+    grant: IPC.IPFS_GRANT_PERMISSION,
+    revoke: IPC.IPFS_REVOKE_PERMISSION,
+    getAll: IPC.IPFS_GET_ALL_PERMISSIONS,
+    updateLastUsed: IPC.IPFS_UPDATE_LAST_USED,
+    getAutoApprove: IPC.IPFS_GET_AUTO_APPROVE,
+    setAutoApprove: IPC.IPFS_SET_AUTO_APPROVE,
+  },
+});
+
+module.exports = {
+  getPermission: ipfsPermissions.getPermission,
+  grantPermission: ipfsPermissions.grantPermission,
+  revokePermission: ipfsPermissions.revokePermission,
+  getAllPermissions: ipfsPermissions.getAllPermissions,
+  updateLastUsed: ipfsPermissions.updateLastUsed,
+  getAutoApprove: ipfsPermissions.getAutoApprove,
+  setAutoApprove: ipfsPermissions.setAutoApprove,
+  registerIpfsPermissionsIpc: ipfsPermissions.registerIpc,
+  _resetCache: ipfsPermissions._resetCache,
+};
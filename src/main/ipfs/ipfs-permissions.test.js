@@ -0,0 +1,70 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const ipcHandlers = {};
+jest.mock('electron', () => ({
+  app: { getPath: jest.fn() },
+  ipcMain: {
+    handle: (channel, handler) => {
+      ipcHandlers[channel] = handler;
+    },
+  },
+}));
+
+const { app } = require('electron');
+const IPC = require('../../shared/ipc-channels');
+const swarmPermissions = require('../swarm/swarm-permissions');
+const {
+  getPermission,
+  grantPermission,
+  getAutoApprove,
+  setAutoApprove,
+  registerIpfsPermissionsIpc,
+  _resetCache,
+} = require('./ipfs-permissions');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipfs-perms-test-'));
+  app.getPath.mockReturnValue(tmpDir);
+  _resetCache();
+  swarmPermissions._resetCache();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('ipfs-permissions', () => {
+  test('grants carry the IPFS auto-approve types', () => {
+    expect(grantPermission('https://app.example')).toEqual({
+      origin: 'https://app.example',
+      connectedAt: expect.any(Number),
+      lastUsed: expect.any(Number),
+      autoApprove: { publish: false, names: false },
+    });
+    expect(setAutoApprove('https://app.example', 'names', true)).toBe(true);
+    expect(getAutoApprove('https://app.example', 'names')).toBe(true);
+    expect(setAutoApprove('https://app.example', 'feeds', true)).toBe(false);
+  });
+
+  test('is stored apart from Swarm permissions', () => {
+    grantPermission('app.eth');
+    expect(swarmPermissions.getPermission('app.eth')).toBeNull();
+    expect(fs.existsSync(path.join(tmpDir, 'ipfs-permissions.json'))).toBe(true);
+    expect(fs.existsSync(path.join(tmpDir, 'swarm-permissions.json'))).toBe(false);
+  });
+
+  test('registers handlers on the ipfs: channels', async () => {
+    registerIpfsPermissionsIpc();
+    await ipcHandlers[IPC.IPFS_GRANT_PERMISSION]({}, 'app.eth');
+    expect(ipcHandlers[IPC.IPFS_GET_PERMISSION]({}, 'app.eth')).toMatchObject({
+      origin: 'app.eth',
+    });
+    expect(getPermission('app.eth')).not.toBeNull();
+  });
+});
@@ -0,0 +1,414 @@
+/**
+ * ipfs:// and ipns:// protocol handlers
+ *
+ * Registers main-process handlers for the `ipfs:` and `ipns:` schemes
+ * (standard, secure, streaming, CORS-enabled; see
+ * `registerSchemesAsPrivileged` in index.js). Mirrors `swarm/bzz-protocol.js`:
+ * every `ipfs://<cid>/<path>` / `ipns://<name>/<path>` request — top-level
+ * navigation, sub-resource, `fetch`, media `Range`, service worker — is
+ * proxied to the Kubo gateway from here, so each CID / IPNS name is its own
+ * Chromium origin instead of every site sharing `http://localhost:8080`.
+ *
+ * Gateway addressing:
+ *
+ * Kubo serves `_redirects` (SPA fallbacks) and origin-relative paths only
+ * on its subdomain gateway (`<cid>.ipfs.localhost`). Node's resolver can't
+ * look up `*.localhost` and fetch won't let us override `Host`, so for the
+ * local node we connect to the gateway as-is and name the subdomain in
+ * `X-Forwarded-Host`, which Kubo honours for exactly this reverse-proxy
+ * case. External gateways get the plain path form (`/ipfs/<cid>/path`).
+ *
+ * Hosts under a standard scheme are lowercased by Chromium, so base58
+ * identifiers (CIDv0 `Qm…`, peer IDs `12D3Koo…`) can't survive as the
+ * URL host. The renderer rewrites them to CIDv1 (base32 for content,
+ * base36 for IPNS keys) before loading; ENS-resolved identifiers, which
+ * come back base58 from the contenthash, are converted here.
+ *
+ * Contract:
+ *  - GET / HEAD are retried on 500, 502, 503, 504 with bounded backoff.
+ *    Kubo answers 504 when a cold block fetch exceeds its retrieval
+ *    timeout; a second attempt usually finds providers already dialled.
+ *  - 404 and other 4xx are returned immediately.
+ *  - Other methods are single-shot (consumable request body).
+ *  - Response body is streamed; absolute redirects that point back at the
+ *    gateway are rewritten onto the custom-scheme origin.
+ */
+
+const { ethers } = require('ethers');
+const log = require('../logger');
+const { getIpfsGatewayUrl } = require('../service-registry');
+const { resolveEnsContent } = require('../ens-resolver');
+const { isEnsHost, isDnsEnsName } = require('../../shared/origin-utils');
+const {
+  stripRequestHeaders,
+  jsonErrorResponse,
+  fetchWithRetry,
+  isGatewayUnreachable,
+} = require('../gateway-proxy');
+
+// Kubo already blocks up to its own retrieval timeout per attempt, so the
+// schedule here is shorter than bzz-protocol's: a handful of retries that
+// cover a node that is still dialling providers.
+const RETRY_DELAYS_MS = [1000, 2000, 4000, 8000];
+
+// Per-attempt deadline. Longer than Kubo's default 30 s retrieval timeout
+// so a slow-but-progressing response isn't cut off, short enough that a
+// wedged gateway can't hang the tab indefinitely.
+const ATTEMPT_TIMEOUT_MS = 60_000;
+
+const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+
+// Case-insensitive identifiers that survive Chromium's host lowercasing.
+const CIDV1_BASE32_RE = /^b[a-z2-7]{50,}$/;
+const CIDV1_BASE36_RE = /^k[0-9a-z]{40,}$/;
+// Base58 forms as they come out of an ENS contenthash.
+const CIDV0_RE = /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/;
+const PEER_ID_BASE58_RE = /^(?:Qm|12D3Koo|1)[1-9A-HJ-NP-Za-km-z]{40,}$/;
+// DNSLink names (`docs.ipfs.tech`) — at least one dot, DNS label charset.
+const DNSLINK_RE = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+const MAX_DNS_LABEL = 63;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const CODEC_DAG_PB = 0x70;
+const CODEC_LIBP2P_KEY = 0x72;
+
+function base58ToBytes(str) {
+  const value = ethers.decodeBase58(str);
+  const body = value === 0n ? new Uint8Array(0) : ethers.toBeArray(value);
+  let leadingZeros = 0;
+  while (leadingZeros < str.length && str[leadingZeros] === '1') leadingZeros++;
+  const out = new Uint8Array(leadingZeros + body.length);
+  out.set(body, leadingZeros);
+  return out;
+}
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = ((value & 0xff) << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 0x1f];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 0x1f];
+  return output;
+}
+
+function base36Encode(bytes) {
+  let leadingZeros = 0;
+  while (leadingZeros < bytes.length && bytes[leadingZeros] === 0) leadingZeros++;
+  const rest = bytes.slice(leadingZeros);
+  const digits = rest.length ? BigInt(ethers.hexlify(rest)).toString(36) : '';
+  return '0'.repeat(leadingZeros) + digits;
+}
+
+function toCidV1(multihash, codec) {
+  const cid = new Uint8Array(multihash.length + 2);
+  cid[0] = 0x01;
+  cid[1] = codec;
+  cid.set(multihash, 2);
+  return cid;
+}
+
+/**
+ * Normalise an IPFS/IPNS identifier into a form that is valid as a
+ * lowercase DNS label (and therefore as a standard-scheme URL host).
+ * Returns null when the identifier isn't recognised.
+ *
+ * @param {'ipfs'|'ipns'} namespace
+ * @param {string} id - CID, IPNS key, or DNSLink name
+ * @returns {string|null}
+ */
+function toOriginSafeId(namespace, id) {
+  if (!id || typeof id !== 'string') return null;
+
+  if (namespace === 'ipfs') {
+    if (CIDV0_RE.test(id)) {
+      const mh = base58ToBytes(id);
+      if (mh.length !== 34 || mh[0] !== 0x12 || mh[1] !== 0x20) return null;
+      return 'b' + base32Encode(toCidV1(mh, CODEC_DAG_PB));
+    }
+    const lower = id.toLowerCase();
+    if (CIDV1_BASE32_RE.test(lower) || CIDV1_BASE36_RE.test(lower)) return lower;
+    return null;
+  }
+
+  if (PEER_ID_BASE58_RE.test(id)) {
+    try {
+      return 'k' + base36Encode(toCidV1(base58ToBytes(id), CODEC_LIBP2P_KEY));
+    } catch {
+      return null;
+    }
+  }
+  const lower = id.toLowerCase();
+  if (CIDV1_BASE36_RE.test(lower) || CIDV1_BASE32_RE.test(lower)) return lower;
+  if (DNSLINK_RE.test(lower)) return lower;
+  return null;
+}
+
+// Kubo's DNS-label inlining for DNSLink names on subdomain gateways:
+// `-` → `--`, then `.` → `-` (docs.ipfs.tech → docs-ipfs-tech).
+function toSubdomainLabel(id) {
+  return id.includes('.') ? id.replace(/-/g, '--').replace(/\./g, '-') : id;
+}
+
+function isLocalGateway(gatewayUrl) {
+  const host = gatewayUrl.hostname;
+  return host === 'localhost' || host === '127.0.0.1' || host === '[::1]';
+}
+
+/**
+ * Build the gateway request for `namespace`/`id` plus the path and query
+ * of the original custom-scheme URL.
+ *
+ * @returns {{ url: string, forwardedHost: string|null, origin: string }|null}
+ */
+function buildGatewayTarget(namespace, id, parsed) {
+  const gatewayBase = getIpfsGatewayUrl();
+  let gateway;
+  try {
+    gateway = new URL(gatewayBase);
+  } catch {
+    return null;
+  }
+  const tail = `${parsed.pathname}${parsed.search}`;
+
+  if (isLocalGateway(gateway)) {
+    const label = toSubdomainLabel(id);
+    if (label.length > MAX_DNS_LABEL) {
+      // Too long for a subdomain (e.g. base32 IPNS keys); path form still
+      // works, only `_redirects` support is lost.
+      return { url: `${gateway.origin}/${namespace}/${id}${tail}`, forwardedHost: null };
+    }
+    const port = gateway.port ? `:${gateway.port}` : '';
+    return {
+      url: `${gateway.origin}${tail}`,
+      forwardedHost: `${label}.${namespace}.localhost${port}`,
+    };
+  }
+
+  return { url: `${gateway.origin}/${namespace}/${id}${tail}`, forwardedHost: null };
+}
+
+/**
+ * Translate `ipfs://<host>/<path>?<q>` or `ipns://<host>/<path>?<q>` into
+ * a Kubo gateway request.
+ *
+ * `<host>` is either a CID / IPNS name (synchronous path) or an ENS name
+ * ending in .eth / .box, resolved through the in-process `ens-resolver`
+ * cache so the page's origin stays `ipfs://<name>/`. Cross-transport
+ * mismatches (an `ipfs://name.eth` whose contenthash is Swarm or IPNS)
+ * are refused the same way bzz-protocol refuses them.
+ *
+ * Returns one of:
+ *  - `{ ok: true, url, forwardedHost }` — usable gateway request.
+ *  - `{ ok: false, status, message }`   — semantic failure.
+ *  - `null`                             — malformed input (caller emits 400).
+ */
+async function buildGatewayRequest(requestUrl) {
+  let parsed;
+  try {
+    parsed = new URL(requestUrl);
+  } catch {
+    return null;
+  }
+
+  const namespace = parsed.protocol.replace(/:$/, '');
+  if (namespace !== 'ipfs' && namespace !== 'ipns') return null;
+
+  const host = parsed.hostname;
+  if (!host) return null;
+
+  // A DNS host under ipfs:// can only be an ENS name; under ipns:// it is
+  // a DNSLink name and goes to Kubo as-is.
+  if (isEnsHost(host) || (namespace === 'ipfs' && isDnsEnsName(host))) {
+    if (host.split('.').some((label) => label.length === 0)) return null;
+    return resolveEnsToGatewayRequest(namespace, host, parsed);
+  }
+
+  const id = toOriginSafeId(namespace, host);
+  if (!id) return null;
+  const target = buildGatewayTarget(namespace, id, parsed);
+  return target ? { ok: true, ...target } : null;
+}
+
+async function resolveEnsToGatewayRequest(namespace, host, parsed) {
+  let result;
+  try {
+    result = await resolveEnsContent(host);
+  } catch (err) {
+    log.warn(`[ipfs-protocol] ENS resolver threw for ${host}: ${err.message}`);
+    return { ok: false, status: 502, message: `ENS resolver error: ${err.message}` };
+  }
+
+  if (!result) {
+    return { ok: false, status: 502, message: `ENS resolver returned no result for ${host}` };
+  }
+
+  if (result.type === 'ok') {
+    if (result.protocol !== namespace) {
+      return {
+        ok: false,
+        status: 404,
+        message: `ENS name ${host} resolves to ${result.protocol}, not ${namespace.toUpperCase()}`,
+      };
+    }
+    const id = toOriginSafeId(namespace, result.decoded);
+    const target = id && buildGatewayTarget(namespace, id, parsed);
+    if (!target) {
+      return {
+        ok: false,
+        status: 415,
+        message: `ENS name ${host} contenthash format unsupported`,
+      };
+    }
+    return { ok: true, ...target };
+  }
+
+  if (result.type === 'not_found') {
+    return {
+      ok: false,
+      status: 404,
+      message: `ENS name ${host} has no contenthash (${result.reason || 'unknown'})`,
+    };
+  }
+
+  if (result.type === 'unsupported') {
+    return {
+      ok: false,
+      status: 415,
+      message: `ENS name ${host} contenthash format unsupported (${result.codec || 'unknown'})`,
+    };
+  }
+
+  if (result.type === 'conflict') {
+    return { ok: false, status: 502, message: `ENS providers disagree on ${host}` };
+  }
+
+  return {
+    ok: false,
+    status: 502,
+    message: `ENS resolution failed for ${host}: ${result.error || result.reason || 'unknown'}`,
+  };
+}
+
+// Kubo answers directory requests without a trailing slash with a 301.
+// On the subdomain gateway relative Locations already resolve against the
+// custom-scheme origin; absolute ones name the gateway (or its subdomain),
+// and path-gateway ones carry the `/ipfs/<cid>` prefix — either would take
+// the tab off `ipfs://`, so map them back onto the request's own origin.
+function rewriteRedirect(response, requestUrl, gatewayTarget) {
+  if (response.status < 300 || response.status >= 400) return response;
+  const location = response.headers.get('location');
+  if (!location) return response;
+  const isAbsolute = /^[a-z][a-z0-9+.-]*:/i.test(location);
+  if (!isAbsolute && gatewayTarget.forwardedHost) return response;
+
+  let target;
+  try {
+    target = new URL(location, gatewayTarget.url);
+  } catch {
+    return response;
+  }
+  const gatewayOrigin = new URL(gatewayTarget.url).origin;
+  const forwardedHost = gatewayTarget.forwardedHost;
+  const pointsAtGateway =
+    target.origin === gatewayOrigin || (forwardedHost && target.host === forwardedHost);
+  if (!pointsAtGateway) return response;
+
+  const original = new URL(requestUrl);
+  let path = target.pathname;
+  if (!forwardedHost) {
+    // Path-gateway form: strip the `/<namespace>/<id>` prefix again.
+    path = path.replace(/^\/ip[fn]s\/[^/]+/, '') || '/';
+  }
+  const headers = new Headers(response.headers);
+  headers.set('location', `${original.protocol}//${original.host}${path}${target.search}`);
+  return new Response(response.body, { status: response.status, headers });
+}
+
+/**
+ * Core handler, exported for testability. `fetchImpl` defaults to global
+ * fetch but tests can inject a stub.
+ */
+async function handleIpfsRequest(
+  request,
+  { fetchImpl = fetch, attemptTimeoutMs = ATTEMPT_TIMEOUT_MS } = {}
+) {
+  const built = await buildGatewayRequest(request.url);
+  if (!built) {
+    return jsonErrorResponse(400, 'invalid ipfs reference');
+  }
+  if (!built.ok) {
+    log.info(`[ipfs-protocol] ${built.status} for ${request.url}: ${built.message}`);
+    return jsonErrorResponse(built.status, built.message);
+  }
+
+  const headers = stripRequestHeaders(request.headers);
+  if (built.forwardedHost) {
+    headers.set('X-Forwarded-Host', built.forwardedHost);
+  }
+  const method = request.method || 'GET';
+  const body = method === 'GET' || method === 'HEAD' ? undefined : request.body;
+
+  try {
+    const response = await fetchWithRetry(
+      built.url,
+      { method, headers, body, signal: request.signal },
+      {
+        fetchImpl,
+        attemptTimeoutMs,
+        retryDelays: RETRY_DELAYS_MS,
+        retryableStatuses: RETRYABLE_STATUSES,
+        logTag: 'ipfs-protocol',
+      }
+    );
+    return rewriteRedirect(response, request.url, built);
+  } catch (err) {
+    const code = err?.cause?.code || err?.code || '';
+    const unreachable = isGatewayUnreachable(err);
+    log.warn(
+      `[ipfs-protocol] fetch failed for ${built.url}: ${err?.message || err}` +
+        (code ? ` (${code})` : '')
+    );
+    return jsonErrorResponse(
+      unreachable ? 503 : 502,
+      unreachable ? 'ipfs gateway unreachable' : 'ipfs gateway error'
+    );
+  }
+}
+
+/**
+ * Register the `ipfs:` and `ipns:` protocol handlers on the given session.
+ * Call after `app.whenReady()`. Both schemes must already have been
+ * registered privileged via `protocol.registerSchemesAsPrivileged` before
+ * `app.ready` — see `main/index.js`.
+ */
+function registerIpfsProtocols(targetSession) {
+  if (!targetSession?.protocol?.handle) {
+    log.warn('[ipfs-protocol] session.protocol.handle unavailable — skipping');
+    return;
+  }
+  for (const scheme of ['ipfs', 'ipns']) {
+    try {
+      targetSession.protocol.handle(scheme, (request) => handleIpfsRequest(request));
+      log.info(`[ipfs-protocol] ${scheme} handler registered`);
+    } catch (err) {
+      log.error(`[ipfs-protocol] failed to register ${scheme} handler:`, err);
+    }
+  }
+}
+
+module.exports = {
+  registerIpfsProtocols,
+  handleIpfsRequest,
+  buildGatewayRequest,
+  toOriginSafeId,
+  RETRY_DELAYS_MS,
+  RETRYABLE_STATUSES,
+  ATTEMPT_TIMEOUT_MS,
+};
@@ -0,0 +1,294 @@
+const mockGetIpfsGatewayUrl = jest.fn(() => 'http://127.0.0.1:8080');
+jest.mock('../service-registry', () => ({
+  getIpfsGatewayUrl: (...args) => mockGetIpfsGatewayUrl(...args),
+}));
+
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockResolveEnsContent = jest.fn();
+jest.mock('../ens-resolver', () => ({
+  resolveEnsContent: (...args) => mockResolveEnsContent(...args),
+}));
+
+const {
+  buildGatewayRequest,
+  handleIpfsRequest,
+  toOriginSafeId,
+  RETRY_DELAYS_MS,
+} = require('./ipfs-protocol');
+
+const CID_V0 = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+const CID_V1 = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+const PEER_ID = '12D3KooWD3eckifWpRn9wQpMG9R9hX3sD158z7EqHWmweQAJU5SA';
+const IPNS_KEY = 'k51qzi5uqu5dhdmyb9bd18pypu2wp5lpv2xnskfmrqa4lb5knqryrotb05e7or';
+
+describe('toOriginSafeId', () => {
+  test('converts base58 identifiers to lowercase-safe CIDv1 forms', () => {
+    expect(toOriginSafeId('ipfs', CID_V0)).toBe(CID_V1);
+    expect(toOriginSafeId('ipns', PEER_ID)).toBe(IPNS_KEY);
+  });
+
+  test('lowercases CIDv1 and DNSLink names', () => {
+    expect(toOriginSafeId('ipfs', CID_V1.toUpperCase())).toBe(CID_V1);
+    expect(toOriginSafeId('ipns', 'Docs.IPFS.tech')).toBe('docs.ipfs.tech');
+  });
+
+  test('rejects anything else', () => {
+    expect(toOriginSafeId('ipfs', 'not-a-cid')).toBeNull();
+    expect(toOriginSafeId('ipfs', 'docs.ipfs.tech')).toBeNull();
+    expect(toOriginSafeId('ipns', 'localhost')).toBeNull();
+    expect(toOriginSafeId('ipfs', '')).toBeNull();
+  });
+});
+
+describe('buildGatewayRequest', () => {
+  beforeEach(() => {
+    mockResolveEnsContent.mockReset();
+    mockGetIpfsGatewayUrl.mockReturnValue('http://127.0.0.1:8080');
+  });
+
+  test('addresses the local subdomain gateway via X-Forwarded-Host', async () => {
+    await expect(buildGatewayRequest(`ipfs://${CID_V1}/docs/index.html?v=1`)).resolves.toEqual({
+      ok: true,
+      url: 'http://127.0.0.1:8080/docs/index.html?v=1',
+      forwardedHost: `${CID_V1}.ipfs.localhost:8080`,
+    });
+  });
+
+  test('inlines DNSLink names into a single subdomain label', async () => {
+    await expect(buildGatewayRequest('ipns://en.wikipedia-on-ipfs.org/')).resolves.toEqual({
+      ok: true,
+      url: 'http://127.0.0.1:8080/',
+      forwardedHost: 'en-wikipedia--on--ipfs-org.ipns.localhost:8080',
+    });
+  });
+
+  test('uses the path form for remote gateways', async () => {
+    mockGetIpfsGatewayUrl.mockReturnValue('https://gateway.example');
+    await expect(buildGatewayRequest(`ipns://${IPNS_KEY}/a`)).resolves.toEqual({
+      ok: true,
+      url: `https://gateway.example/ipns/${IPNS_KEY}/a`,
+      forwardedHost: null,
+    });
+  });
+
+  test('returns null for unknown identifiers without calling the resolver', async () => {
+    await expect(buildGatewayRequest('ipfs://not-a-cid/')).resolves.toBeNull();
+    await expect(buildGatewayRequest('bzz://whatever/')).resolves.toBeNull();
+    expect(mockResolveEnsContent).not.toHaveBeenCalled();
+  });
+
+  describe('ENS hosts', () => {
+    test('resolves ipfs://name.eth to the CIDv1 form of the contenthash', async () => {
+      mockResolveEnsContent.mockResolvedValue({
+        type: 'ok',
+        protocol: 'ipfs',
+        decoded: CID_V0,
+        uri: `ipfs://${CID_V0}`,
+      });
+      await expect(buildGatewayRequest('ipfs://vitalik.eth/about')).resolves.toEqual({
+        ok: true,
+        url: 'http://127.0.0.1:8080/about',
+        forwardedHost: `${CID_V1}.ipfs.localhost:8080`,
+      });
+      expect(mockResolveEnsContent).toHaveBeenCalledWith('vitalik.eth');
+    });
+
+    test('resolves ipns://name.eth to the base36 key', async () => {
+      mockResolveEnsContent.mockResolvedValue({
+        type: 'ok',
+        protocol: 'ipns',
+        decoded: PEER_ID,
+        uri: `ipns://${PEER_ID}`,
+      });
+      const built = await buildGatewayRequest('ipns://name.eth/');
+      expect(built.forwardedHost).toBe(`${IPNS_KEY}.ipns.localhost:8080`);
+    });
+
+    test('resolves DNS names under ipfs:// but leaves ipns:// DNS names to DNSLink', async () => {
+      mockResolveEnsContent.mockResolvedValue({
+        type: 'ok',
+        protocol: 'ipfs',
+        decoded: CID_V0,
+        uri: `ipfs://${CID_V0}`,
+      });
+      const built = await buildGatewayRequest('ipfs://example.com/');
+      expect(built.forwardedHost).toBe(`${CID_V1}.ipfs.localhost:8080`);
+      expect(mockResolveEnsContent).toHaveBeenCalledWith('example.com');
+
+      mockResolveEnsContent.mockClear();
+      await buildGatewayRequest('ipns://docs.ipfs.tech/');
+      expect(mockResolveEnsContent).not.toHaveBeenCalled();
+    });
+
+    test('returns 404 when the contenthash uses another transport', async () => {
+      mockResolveEnsContent.mockResolvedValue({
+        type: 'ok',
+        protocol: 'bzz',
+        decoded: 'a'.repeat(64),
+      });
+      const built = await buildGatewayRequest('ipfs://meinhard.eth/');
+      expect(built).toMatchObject({ ok: false, status: 404 });
+      expect(built.message).toMatch(/resolves to bzz/);
+    });
+
+    test('returns 404 when ENS name has no contenthash record', async () => {
+      mockResolveEnsContent.mockResolvedValue({ type: 'not_found', reason: 'NO_CONTENTHASH' });
+      await expect(buildGatewayRequest('ipfs://empty.eth/')).resolves.toMatchObject({
+        ok: false,
+        status: 404,
+      });
+    });
+
+    test('returns 415 for unsupported contenthash formats', async () => {
+      mockResolveEnsContent.mockResolvedValue({ type: 'unsupported' });
+      await expect(buildGatewayRequest('ipfs://odd.eth/')).resolves.toMatchObject({
+        ok: false,
+        status: 415,
+      });
+    });
+
+    test('returns 502 when the resolver throws', async () => {
+      mockResolveEnsContent.mockRejectedValue(new Error('rpc down'));
+      await expect(buildGatewayRequest('ipfs://offline.eth/')).resolves.toMatchObject({
+        ok: false,
+        status: 502,
+      });
+    });
+  });
+});
+
+describe('handleIpfsRequest', () => {
+  beforeEach(() => {
+    mockResolveEnsContent.mockReset();
+    mockGetIpfsGatewayUrl.mockReturnValue('http://127.0.0.1:8080');
+  });
+
+  const makeRequest = (url, { method = 'GET', headers = {} } = {}) => ({
+    url,
+    method,
+    headers: new Headers(headers),
+    body: null,
+    signal: new AbortController().signal,
+  });
+
+  test('returns 400 for invalid references without calling fetch', async () => {
+    const fetchImpl = jest.fn();
+    const res = await handleIpfsRequest(makeRequest('ipfs://nope/'), { fetchImpl });
+    expect(res.status).toBe(400);
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  test('proxies to the gateway with X-Forwarded-Host and stripped headers', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(new Response('hello', { status: 200 }));
+    const res = await handleIpfsRequest(
+      makeRequest(`ipfs://${CID_V1}/file.txt`, {
+        headers: { Origin: 'ipfs://x', Range: 'bytes=0-1' },
+      }),
+      { fetchImpl }
+    );
+    expect(res.status).toBe(200);
+    const [calledUrl, init] = fetchImpl.mock.calls[0];
+    expect(calledUrl).toBe('http://127.0.0.1:8080/file.txt');
+    expect(init.headers.get('X-Forwarded-Host')).toBe(`${CID_V1}.ipfs.localhost:8080`);
+    expect(init.headers.get('Origin')).toBeNull();
+    expect(init.headers.get('Range')).toBe('bytes=0-1');
+  });
+
+  test('returns the ENS mismatch as a JSON 404 without fetching', async () => {
+    mockResolveEnsContent.mockResolvedValue({ type: 'ok', protocol: 'ipns', decoded: PEER_ID });
+    const fetchImpl = jest.fn();
+    const res = await handleIpfsRequest(makeRequest('ipfs://name.eth/'), { fetchImpl });
+    expect(res.status).toBe(404);
+    expect((await res.json()).message).toMatch(/resolves to ipns/);
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  test('rewrites absolute gateway redirects onto the custom-scheme origin', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(
+      new Response(null, {
+        status: 301,
+        headers: { Location: `http://${CID_V1}.ipfs.localhost:8080/docs/?a=1` },
+      })
+    );
+    const res = await handleIpfsRequest(makeRequest(`ipfs://${CID_V1}/docs`), { fetchImpl });
+    expect(res.status).toBe(301);
+    expect(res.headers.get('location')).toBe(`ipfs://${CID_V1}/docs/?a=1`);
+  });
+
+  test('strips the path-gateway prefix from redirects on remote gateways', async () => {
+    mockGetIpfsGatewayUrl.mockReturnValue('https://gateway.example');
+    const fetchImpl = jest.fn().mockResolvedValue(
+      new Response(null, {
+        status: 301,
+        headers: { Location: `https://gateway.example/ipfs/${CID_V1}/docs/` },
+      })
+    );
+    const res = await handleIpfsRequest(makeRequest(`ipfs://${CID_V1}/docs`), { fetchImpl });
+    expect(res.headers.get('location')).toBe(`ipfs://${CID_V1}/docs/`);
+  });
+
+  test('leaves relative and third-party redirects alone', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(new Response(null, { status: 302, headers: { Location: '/x/' } }))
+      .mockResolvedValueOnce(
+        new Response(null, { status: 302, headers: { Location: 'https://example.com/' } })
+      );
+    const first = await handleIpfsRequest(makeRequest(`ipfs://${CID_V1}/x`), { fetchImpl });
+    expect(first.headers.get('location')).toBe('/x/');
+    const second = await handleIpfsRequest(makeRequest(`ipfs://${CID_V1}/y`), { fetchImpl });
+    expect(second.headers.get('location')).toBe('https://example.com/');
+  });
+
+  test('does not retry 404', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(new Response('', { status: 404 }));
+    const res = await handleIpfsRequest(makeRequest(`ipfs://${CID_V1}/missing`), { fetchImpl });
+    expect(res.status).toBe(404);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries gateway timeouts (504)', async () => {
+    jest.useFakeTimers();
+    try {
+      const fetchImpl = jest
+        .fn()
+        .mockResolvedValueOnce(new Response('', { status: 504 }))
+        .mockResolvedValueOnce(new Response('ok', { status: 200 }));
+      const p = handleIpfsRequest(makeRequest(`ipfs://${CID_V1}/x`), { fetchImpl });
+      await Promise.resolve();
+      await Promise.resolve();
+      await jest.advanceTimersByTimeAsync(RETRY_DELAYS_MS[0] + 10);
+      const res = await p;
+      expect(res.status).toBe(200);
+      expect(fetchImpl).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('returns 503 when Kubo is unreachable', async () => {
+    const err = new Error('connect failed');
+    err.code = 'ECONNREFUSED';
+    const fetchImpl = jest.fn().mockRejectedValue(err);
+    jest.useFakeTimers();
+    try {
+      const p = handleIpfsRequest(makeRequest(`ipfs://${CID_V1}/x`), { fetchImpl });
+      for (const d of RETRY_DELAYS_MS) {
+        await Promise.resolve();
+        await Promise.resolve();
+        await jest.advanceTimersByTimeAsync(d + 1);
+      }
+      const res = await p;
+      expect(res.status).toBe(503);
+      expect((await res.json()).message).toBe('ipfs gateway unreachable');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
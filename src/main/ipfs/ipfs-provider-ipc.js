@@ -0,0 +1,527 @@
+/**
+ * IPFS Provider IPC — Main-Process Enforcement Layer
+ *
+ * The authority for page-facing window.ipfs requests, modelled on
+ * swarm/swarm-provider-ipc.js: the renderer shows the prompts, this module
+ * re-checks the origin's grant (ipfs-permissions.js), validates params and
+ * enforces size limits before anything reaches Kubo.
+ *
+ * Single IPC handler: ipfs:provider-execute
+ *   Receives { method, params, origin } from renderer.
+ *
+ * Origin trust follows the Swarm provider: the renderer derives it from the
+ * tab's display URL, which is the only place the dweb identity (ipfs://,
+ * ens://, bzz://) survives the request rewriter.
+ *
+ * Reads (cat, resolveName) are public network data and need no grant.
+ * Writes (add, addFiles, pin, publishName) need one. IPNS publishes use the
+ * origin as the site label in ipns-service.js, so each origin gets its own
+ * vault-derived key and cannot repoint another site's name.
+ */
+
+const { ipcMain } = require('electron');
+const IPC = require('../../shared/ipc-channels');
+const { normalizeOrigin } = require('../../shared/origin-utils');
+const { getPermission } = require('./ipfs-permissions');
+const { publishData, publishFilesFromContent } = require('./publish-service');
+const { addPin } = require('./pin-service');
+const { createName, publishName, toIpfsPath } = require('./ipns-service');
+const { kuboRpc } = require('./kubo-rpc');
+const { addEntry, updateEntry } = require('../swarm/publish-history');
+const { getService } = require('../service-registry');
+const { validateVirtualPath, normalizeBytes } = require('../provider-params');
+const { resetVaultAutoLockTimer } = require('../vault-timer');
+const log = require('../logger');
+
+const LIMITS = {
+  maxDataBytes: 10 * 1024 * 1024, // 10 MB
+  maxFilesBytes: 50 * 1024 * 1024, // 50 MB
+  maxFileCount: 100,
+  maxCatBytes: 10 * 1024 * 1024, // 10 MB
+};
+
+const ERRORS = {
+  USER_REJECTED: { code: 4001, message: 'User rejected the request' },
+  UNAUTHORIZED: { code: 4100, message: 'Origin not authorized' },
+  UNSUPPORTED_METHOD: { code: 4200, message: 'Method not supported' },
+  NODE_UNAVAILABLE: { code: 4900, message: 'IPFS node is not available' },
+  INVALID_PARAMS: { code: -32602, message: 'Invalid parameters' },
+  INTERNAL_ERROR: { code: -32603, message: 'Internal error' },
+};
+
+const KNOWN_METHODS = [
+  'ipfs_requestAccess',
+  'ipfs_getCapabilities',
+  'ipfs_add',
+  'ipfs_addFiles',
+  'ipfs_cat',
+  'ipfs_pin',
+  'ipfs_resolveName',
+  'ipfs_publishName',
+];
+
+// Methods that need a grant, mapped to their handlers.
+const WRITE_HANDLERS = {
+  ipfs_add: handleAdd,
+  ipfs_addFiles: handleAddFiles,
+  ipfs_pin: handlePin,
+  ipfs_publishName: handlePublishName,
+};
+
+const PREFLIGHT_TIMEOUT_MS = 5_000;
+const CAT_TIMEOUT_MS = 60_000;
+
+const invalidParams = (message, reason = 'invalid_params', extra = {}) => ({
+  error: { ...ERRORS.INVALID_PARAMS, message, data: { reason, ...extra } },
+});
+
+/**
+ * Execute an IPFS provider method.
+ * @param {string} method
+ * @param {*} params
+ * @param {string} origin - Normalized origin from renderer
+ * @returns {Promise<{ result?, error? }>}
+ */
+async function executeIpfsMethod(method, params, origin) {
+  try {
+    if (!method || typeof method !== 'string') {
+      return { error: { ...ERRORS.INVALID_PARAMS, message: 'Method is required' } };
+    }
+
+    if (!KNOWN_METHODS.includes(method)) {
+      return { error: { ...ERRORS.UNSUPPORTED_METHOD, message: `Unknown method: ${method}` } };
+    }
+
+    const normalizedOrigin = normalizeOrigin(origin);
+
+    if (method === 'ipfs_requestAccess') {
+      return handleRequestAccess(normalizedOrigin);
+    }
+
+    if (method === 'ipfs_getCapabilities') {
+      return handleGetCapabilities(normalizedOrigin);
+    }
+
+    // Content and names are public on the IPFS network; any gateway would
+    // serve them, so reading through the local node needs no grant.
+    if (method === 'ipfs_cat') {
+      return handleCat(params);
+    }
+
+    if (method === 'ipfs_resolveName') {
+      return handleResolveName(params);
+    }
+
+    if (!getPermission(normalizedOrigin)) {
+      return {
+        error: {
+          ...ERRORS.UNAUTHORIZED,
+          message: 'Origin not authorized. Call ipfs_requestAccess first.',
+        },
+      };
+    }
+
+    const result = await WRITE_HANDLERS[method](params, normalizedOrigin);
+    if (result.result) resetVaultAutoLockTimer();
+    return result;
+  } catch (err) {
+    log.error('[IpfsProvider] executeIpfsMethod failed:', err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+function handleRequestAccess(origin) {
+  if (!getPermission(origin)) {
+    return {
+      error: {
+        ...ERRORS.UNAUTHORIZED,
+        message: 'Permission not granted. Renderer should show prompt first.',
+      },
+    };
+  }
+  return { result: { connected: true, origin, capabilities: ['publish', 'pin', 'names'] } };
+}
+
+async function handleGetCapabilities(origin) {
+  const isConnected = !!getPermission(origin);
+  const preFlight = await checkIpfsPreFlight();
+
+  let reason = null;
+  if (!isConnected) reason = 'not-connected';
+  else if (!preFlight.ok) reason = preFlight.reason;
+
+  return {
+    result: {
+      canPublish: isConnected && preFlight.ok,
+      reason,
+      limits: { ...LIMITS },
+    },
+  };
+}
+
+async function requireNode() {
+  const preFlight = await checkIpfsPreFlight();
+  if (preFlight.ok) return null;
+  return {
+    error: {
+      ...ERRORS.NODE_UNAVAILABLE,
+      message: `Node not available: ${preFlight.reason}`,
+      data: { reason: preFlight.reason },
+    },
+  };
+}
+
+/**
+ * Handle ipfs_add: add a single string or binary payload.
+ */
+async function handleAdd(params, origin) {
+  if (!params || typeof params !== 'object') return invalidParams('params is required');
+
+  const { data, name, wrapWithDirectory } = params;
+  if (data === undefined || data === null) return invalidParams('data is required');
+
+  let payload = data;
+  const isString = typeof payload === 'string';
+  if (!isString) {
+    payload = normalizeBytes(payload);
+    if (!payload) return invalidParams('data must be a string, Uint8Array, or ArrayBuffer');
+  }
+
+  if (name !== undefined && name !== null) {
+    const nameResult = validateVirtualPath(name);
+    if (!nameResult.valid || name.includes('/')) {
+      return invalidParams(
+        nameResult.message || 'name must be a single path segment',
+        'invalid_name'
+      );
+    }
+  }
+
+  const size = isString ? Buffer.byteLength(payload, 'utf-8') : payload.length;
+  if (size > LIMITS.maxDataBytes) {
+    return invalidParams(
+      `Payload exceeds maximum size of ${LIMITS.maxDataBytes} bytes`,
+      'payload_too_large',
+      { limit: LIMITS.maxDataBytes, actual: size }
+    );
+  }
+
+  const unavailable = await requireNode();
+  if (unavailable) return unavailable;
+
+  const historyEntry = addEntry({
+    type: 'data',
+    name: name || 'Published data',
+    status: 'uploading',
+    origin,
+    protocol: 'ipfs',
+    bytesSize: size,
+  });
+
+  try {
+    const result = await publishData(payload, {
+      name: name || undefined,
+      wrapWithDirectory: wrapWithDirectory === true,
+    });
+    updateEntry(historyEntry.id, { status: 'completed', reference: result.cid });
+    log.info(`[IpfsProvider] add succeeded for ${origin}: ${result.ipfsUrl}`);
+    return { result: { cid: result.cid, ipfsUrl: result.ipfsUrl } };
+  } catch (err) {
+    updateEntry(historyEntry.id, { status: 'failed', errorMessage: err.message });
+    log.error(`[IpfsProvider] add failed for ${origin}:`, err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+/**
+ * Handle ipfs_addFiles: validate a file tree, enforce limits, add it as one
+ * wrapped directory.
+ */
+async function handleAddFiles(params, origin) {
+  if (!params || typeof params !== 'object') return invalidParams('params is required');
+
+  const { files } = params;
+  if (!Array.isArray(files) || files.length === 0) {
+    return invalidParams('files must be a non-empty array', 'empty_files');
+  }
+  if (files.length > LIMITS.maxFileCount) {
+    return invalidParams(`File count exceeds maximum of ${LIMITS.maxFileCount}`, 'too_many_files', {
+      limit: LIMITS.maxFileCount,
+      actual: files.length,
+    });
+  }
+
+  const seenPaths = new Set();
+  const normalizedFiles = [];
+  let totalSize = 0;
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    if (!file || typeof file !== 'object') {
+      return invalidParams(`files[${i}] is not a valid file object`);
+    }
+
+    const pathResult = validateVirtualPath(file.path);
+    if (!pathResult.valid) {
+      return invalidParams(`files[${i}].path: ${pathResult.message}`, 'invalid_path');
+    }
+    if (seenPaths.has(file.path)) {
+      return invalidParams(`Duplicate path: ${file.path}`, 'duplicate_path', { path: file.path });
+    }
+    seenPaths.add(file.path);
+
+    const bytes = normalizeBytes(file.bytes);
+    if (!bytes) {
+      return invalidParams(`files[${i}].bytes must be a Buffer, Uint8Array, or ArrayBuffer`);
+    }
+    totalSize += bytes.length;
+    normalizedFiles.push({ path: file.path, bytes });
+  }
+
+  // A path can't be both a file and a directory ("a" and "a/b").
+  for (const p of seenPaths) {
+    const segments = p.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      const parent = segments.slice(0, i).join('/');
+      if (seenPaths.has(parent)) {
+        return invalidParams(`${parent} is used as both a file and a directory`, 'invalid_path');
+      }
+    }
+  }
+
+  if (totalSize > LIMITS.maxFilesBytes) {
+    return invalidParams(
+      `Total size exceeds maximum of ${LIMITS.maxFilesBytes} bytes`,
+      'payload_too_large',
+      { limit: LIMITS.maxFilesBytes, actual: totalSize }
+    );
+  }
+
+  const unavailable = await requireNode();
+  if (unavailable) return unavailable;
+
+  const historyEntry = addEntry({
+    type: 'directory',
+    name: `${normalizedFiles.length} files`,
+    status: 'uploading',
+    origin,
+    protocol: 'ipfs',
+    bytesSize: totalSize,
+  });
+
+  try {
+    const result = await publishFilesFromContent(normalizedFiles);
+    updateEntry(historyEntry.id, { status: 'completed', reference: result.cid });
+    log.info(
+      `[IpfsProvider] addFiles succeeded for ${origin}: ${result.ipfsUrl} (${normalizedFiles.length} files)`
+    );
+    return { result: { cid: result.cid, ipfsUrl: result.ipfsUrl } };
+  } catch (err) {
+    updateEntry(historyEntry.id, { status: 'failed', errorMessage: err.message });
+    log.error(`[IpfsProvider] addFiles failed for ${origin}:`, err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+/**
+ * Turn a `cid` or `path` param into a Kubo content path. Accepts bare CIDs,
+ * `/ipfs/…`, `/ipns/…`, `ipfs://…` and `ipns://…`.
+ * @returns {string|null}
+ */
+function toContentPath(params) {
+  const raw = params?.path ?? params?.cid;
+  const value = typeof raw === 'string' ? raw.trim() : '';
+  if (!value || value.length > 1024) return null;
+
+  const url = value.match(/^(ipfs|ipns):\/\/(.+)$/i);
+  const contentPath = url ? `/${url[1].toLowerCase()}/${url[2]}` : value;
+
+  if (/^\/(ipfs|ipns)\/[a-zA-Z0-9.-]+(\/[^?#]*)?$/.test(contentPath)) return contentPath;
+  if (/^[a-zA-Z0-9]+$/.test(value)) return `/ipfs/${value}`;
+  return null;
+}
+
+/**
+ * Handle ipfs_cat: read up to LIMITS.maxCatBytes of a file. One byte past
+ * the limit is requested so oversized files are reported instead of being
+ * silently truncated.
+ */
+async function handleCat(params) {
+  const contentPath = toContentPath(params);
+  if (!contentPath) return invalidParams('cid or path must be an IPFS CID or path', 'invalid_path');
+
+  const { offset, length } = params;
+  if (offset !== undefined && offset !== null && (!Number.isInteger(offset) || offset < 0)) {
+    return invalidParams('offset must be a non-negative integer');
+  }
+  if (length !== undefined && length !== null) {
+    if (!Number.isInteger(length) || length < 0) {
+      return invalidParams('length must be a non-negative integer');
+    }
+    if (length > LIMITS.maxCatBytes) {
+      return invalidParams(
+        `length exceeds maximum of ${LIMITS.maxCatBytes} bytes`,
+        'payload_too_large',
+        { limit: LIMITS.maxCatBytes }
+      );
+    }
+  }
+
+  const unavailable = await requireNode();
+  if (unavailable) return unavailable;
+
+  try {
+    const bytes = await kuboRpc(
+      'cat',
+      { arg: contentPath, offset: offset ?? undefined, length: length ?? LIMITS.maxCatBytes + 1 },
+      { raw: true, timeoutMs: CAT_TIMEOUT_MS }
+    );
+    if (bytes.length > LIMITS.maxCatBytes) {
+      return invalidParams(
+        `Content exceeds maximum of ${LIMITS.maxCatBytes} bytes; read it in ranges with offset and length`,
+        'payload_too_large',
+        { limit: LIMITS.maxCatBytes }
+      );
+    }
+    return {
+      result: {
+        data: Buffer.from(bytes).toString('base64'),
+        encoding: 'base64',
+        size: bytes.length,
+      },
+    };
+  } catch (err) {
+    log.error(`[IpfsProvider] cat failed for ${contentPath}:`, err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+/**
+ * Handle ipfs_resolveName: resolve an IPNS name or DNSLink domain to the
+ * /ipfs/ path it currently points at.
+ */
+async function handleResolveName(params) {
+  const raw = typeof params?.name === 'string' ? params.name.trim() : '';
+  const name = raw
+    .replace(/^ipns:\/\//i, '')
+    .replace(/^\/ipns\//, '')
+    .replace(/\/+$/, '');
+  if (!name || name.length > 255 || !/^[a-zA-Z0-9.-]+$/.test(name)) {
+    return invalidParams('name must be an IPNS name or DNSLink domain', 'invalid_name');
+  }
+
+  const unavailable = await requireNode();
+  if (unavailable) return unavailable;
+
+  try {
+    const result = await kuboRpc('name/resolve', { arg: `/ipns/${name}`, recursive: true });
+    if (!result?.Path) {
+      return invalidParams(`${name} did not resolve`, 'name_not_found');
+    }
+    return { result: { name, path: result.Path } };
+  } catch (err) {
+    log.warn(`[IpfsProvider] resolveName failed for ${name}:`, err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+/**
+ * Handle ipfs_pin: recursively pin content, named after the requesting
+ * origin so it is recognisable in freedom://pins.
+ */
+async function handlePin(params, origin) {
+  const contentPath = toContentPath(params);
+  if (!contentPath) return invalidParams('cid or path must be an IPFS CID or path', 'invalid_path');
+
+  const unavailable = await requireNode();
+  if (unavailable) return unavailable;
+
+  try {
+    const result = await addPin(contentPath, { name: origin });
+    log.info(`[IpfsProvider] pin succeeded for ${origin}: ${result.cid}`);
+    return { result: { cid: result.cid, path: result.path } };
+  } catch (err) {
+    log.error(`[IpfsProvider] pin failed for ${origin}:`, err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+/**
+ * Handle ipfs_publishName: point this origin's IPNS name at IPFS content.
+ * The name is created on first use, which needs the vault unlocked to
+ * derive its key; later publishes reuse the key already in Kubo.
+ */
+async function handlePublishName(params, origin) {
+  if (!params || typeof params !== 'object') return invalidParams('params is required');
+
+  let value;
+  try {
+    value = toIpfsPath(params.value);
+  } catch (err) {
+    return invalidParams(err.message, 'invalid_value');
+  }
+
+  const unavailable = await requireNode();
+  if (unavailable) return unavailable;
+
+  // No publish-history row: IPNS records are listed on freedom://ipns.
+  try {
+    await createName(origin);
+    const entry = await publishName(origin, value);
+    log.info(`[IpfsProvider] publishName succeeded for ${origin}: ${entry.name} -> ${value}`);
+    return {
+      result: {
+        name: entry.name,
+        ipnsUrl: entry.ipnsUrl,
+        value: entry.value,
+        sequence: entry.sequence,
+        expiresAt: entry.expiresAt,
+      },
+    };
+  } catch (err) {
+    if (/vault must be unlocked/i.test(err.message)) {
+      return {
+        error: { ...ERRORS.UNAUTHORIZED, message: err.message, data: { reason: 'vault_locked' } },
+      };
+    }
+    log.error(`[IpfsProvider] publishName failed for ${origin}:`, err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+/**
+ * Pre-flight check: is a Kubo node registered and answering RPC?
+ * @returns {Promise<{ ok: boolean, reason?: string }>}
+ */
+async function checkIpfsPreFlight() {
+  if (!getService('ipfs')?.api) {
+    return { ok: false, reason: 'node-stopped' };
+  }
+  try {
+    await kuboRpc('id', {}, { timeoutMs: PREFLIGHT_TIMEOUT_MS });
+    return { ok: true };
+  } catch (err) {
+    log.warn('[IpfsProvider] Pre-flight check failed:', err.message);
+    return { ok: false, reason: 'node-stopped' };
+  }
+}
+
+/**
+ * Register the ipfs:provider-execute IPC handler.
+ */
+function registerIpfsProviderIpc() {
+  ipcMain.handle(IPC.IPFS_PROVIDER_EXECUTE, async (_event, args) => {
+    const { method, params, origin } = args || {};
+    return executeIpfsMethod(method, params, origin);
+  });
+
+  log.info('[IpfsProvider] IPC handler registered');
+}
+
+module.exports = {
+  registerIpfsProviderIpc,
+  executeIpfsMethod,
+  checkIpfsPreFlight,
+  toContentPath,
+  LIMITS,
+};
@@ -0,0 +1,316 @@
+const ipcHandlers = {};
+jest.mock('electron', () => ({
+  ipcMain: {
+    handle: (channel, handler) => {
+      ipcHandlers[channel] = handler;
+    },
+  },
+}));
+
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockGetPermission = jest.fn();
+jest.mock('./ipfs-permissions', () => ({
+  getPermission: mockGetPermission,
+}));
+
+const mockGetService = jest.fn();
+jest.mock('../service-registry', () => ({
+  getService: mockGetService,
+}));
+
+const mockKuboRpc = jest.fn();
+jest.mock('./kubo-rpc', () => ({
+  kuboRpc: mockKuboRpc,
+}));
+
+const mockPublishData = jest.fn();
+const mockPublishFilesFromContent = jest.fn();
+jest.mock('./publish-service', () => ({
+  publishData: mockPublishData,
+  publishFilesFromContent: mockPublishFilesFromContent,
+}));
+
+const mockAddPin = jest.fn();
+jest.mock('./pin-service', () => ({
+  addPin: mockAddPin,
+}));
+
+const mockCreateName = jest.fn();
+const mockPublishName = jest.fn();
+jest.mock('./ipns-service', () => ({
+  createName: mockCreateName,
+  publishName: mockPublishName,
+  toIpfsPath: (target) => {
+    if (typeof target !== 'string' || !/^[a-z0-9]+$/.test(target)) {
+      throw new Error('IPNS names can only point at IPFS content');
+    }
+    return `/ipfs/${target}`;
+  },
+}));
+
+const mockAddEntry = jest.fn().mockReturnValue({ id: 'test-id' });
+const mockUpdateEntry = jest.fn();
+jest.mock('../swarm/publish-history', () => ({
+  addEntry: mockAddEntry,
+  updateEntry: mockUpdateEntry,
+}));
+
+const mockResetVaultAutoLockTimer = jest.fn();
+jest.mock('../vault-timer', () => ({
+  resetVaultAutoLockTimer: mockResetVaultAutoLockTimer,
+}));
+
+const IPC = require('../../shared/ipc-channels');
+const { registerIpfsProviderIpc, toContentPath, LIMITS } = require('./ipfs-provider-ipc');
+
+registerIpfsProviderIpc();
+
+const CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+const PERMISSION = { origin: 'app.eth', autoApprove: { publish: false, names: false } };
+
+function invokeProvider(method, params, origin = 'app.eth') {
+  return ipcHandlers[IPC.IPFS_PROVIDER_EXECUTE]({}, { method, params, origin });
+}
+
+// Answer `id` for the pre-flight and defer everything else to `routes`.
+function mockKubo(routes = {}) {
+  mockKuboRpc.mockImplementation(async (command, params, options) => {
+    if (command === 'id') return { ID: '12D3KooW' };
+    if (routes[command]) return routes[command](params, options);
+    throw new Error(`unexpected RPC ${command}`);
+  });
+}
+
+describe('ipfs-provider-ipc', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetPermission.mockReturnValue(PERMISSION);
+    mockGetService.mockReturnValue({ api: 'http://127.0.0.1:5001' });
+    mockKubo();
+  });
+
+  describe('method dispatch', () => {
+    test('unknown method returns 4200', async () => {
+      const result = await invokeProvider('ipfs_dagPut', {});
+      expect(result.error.code).toBe(4200);
+    });
+
+    test('write methods require a grant', async () => {
+      mockGetPermission.mockReturnValue(null);
+      for (const method of ['ipfs_add', 'ipfs_addFiles', 'ipfs_pin', 'ipfs_publishName']) {
+        const result = await invokeProvider(method, { data: 'x' });
+        expect(result.error.code).toBe(4100);
+      }
+      expect(mockPublishData).not.toHaveBeenCalled();
+    });
+
+    test('requestAccess confirms an existing grant', async () => {
+      await expect(invokeProvider('ipfs_requestAccess', {})).resolves.toEqual({
+        result: { connected: true, origin: 'app.eth', capabilities: ['publish', 'pin', 'names'] },
+      });
+    });
+  });
+
+  describe('ipfs_getCapabilities', () => {
+    test('reports limits and the stopped node', async () => {
+      mockGetService.mockReturnValue({ api: null });
+      const { result } = await invokeProvider('ipfs_getCapabilities', {});
+      expect(result).toEqual({ canPublish: false, reason: 'node-stopped', limits: LIMITS });
+    });
+
+    test('not-connected takes precedence over node state', async () => {
+      mockGetPermission.mockReturnValue(null);
+      const { result } = await invokeProvider('ipfs_getCapabilities', {});
+      expect(result.reason).toBe('not-connected');
+    });
+  });
+
+  describe('ipfs_add', () => {
+    test('adds data, records history and keeps the vault alive', async () => {
+      mockPublishData.mockResolvedValue({ cid: CID, ipfsUrl: `ipfs://${CID}` });
+
+      const result = await invokeProvider('ipfs_add', { data: 'hello', name: 'note.txt' });
+
+      expect(result).toEqual({ result: { cid: CID, ipfsUrl: `ipfs://${CID}` } });
+      expect(mockPublishData).toHaveBeenCalledWith('hello', {
+        name: 'note.txt',
+        wrapWithDirectory: false,
+      });
+      expect(mockAddEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ origin: 'app.eth', protocol: 'ipfs', bytesSize: 5 })
+      );
+      expect(mockUpdateEntry).toHaveBeenCalledWith('test-id', {
+        status: 'completed',
+        reference: CID,
+      });
+      expect(mockResetVaultAutoLockTimer).toHaveBeenCalled();
+    });
+
+    test('rejects payloads over the limit before touching the node', async () => {
+      const result = await invokeProvider('ipfs_add', {
+        data: new Uint8Array(LIMITS.maxDataBytes + 1),
+      });
+      expect(result.error.data).toEqual({
+        reason: 'payload_too_large',
+        limit: LIMITS.maxDataBytes,
+        actual: LIMITS.maxDataBytes + 1,
+      });
+      expect(mockKuboRpc).not.toHaveBeenCalled();
+    });
+
+    test('rejects names with path separators', async () => {
+      const result = await invokeProvider('ipfs_add', { data: 'x', name: 'a/b.txt' });
+      expect(result.error.data.reason).toBe('invalid_name');
+    });
+
+    test('reports node-stopped when Kubo does not answer', async () => {
+      mockKuboRpc.mockRejectedValue(new Error('fetch failed'));
+      const result = await invokeProvider('ipfs_add', { data: 'x' });
+      expect(result.error).toMatchObject({ code: 4900, data: { reason: 'node-stopped' } });
+      expect(mockAddEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ipfs_addFiles', () => {
+    test('normalizes bytes and adds the tree', async () => {
+      mockPublishFilesFromContent.mockResolvedValue({ cid: CID, ipfsUrl: `ipfs://${CID}` });
+
+      const result = await invokeProvider('ipfs_addFiles', {
+        files: [
+          { path: 'index.html', bytes: { type: 'Buffer', data: [60, 112, 62] } },
+          { path: 'css/site.css', bytes: new Uint8Array([1, 2]) },
+        ],
+      });
+
+      expect(result.result.cid).toBe(CID);
+      const [files] = mockPublishFilesFromContent.mock.calls[0];
+      expect(files.map((f) => [f.path, f.bytes.length])).toEqual([
+        ['index.html', 3],
+        ['css/site.css', 2],
+      ]);
+    });
+
+    test.each([
+      [{ files: [] }, 'empty_files'],
+      [{ files: [{ path: '../x', bytes: new Uint8Array(1) }] }, 'invalid_path'],
+      [
+        {
+          files: [
+            { path: 'a', bytes: new Uint8Array(1) },
+            { path: 'a/b', bytes: new Uint8Array(1) },
+          ],
+        },
+        'invalid_path',
+      ],
+      [
+        {
+          files: Array.from({ length: LIMITS.maxFileCount + 1 }, (_, i) => ({
+            path: `f${i}`,
+            bytes: new Uint8Array(1),
+          })),
+        },
+        'too_many_files',
+      ],
+    ])('rejects invalid file trees (%#)', async (params, reason) => {
+      const result = await invokeProvider('ipfs_addFiles', params);
+      expect(result.error.data.reason).toBe(reason);
+      expect(mockPublishFilesFromContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ipfs_cat', () => {
+    test('returns base64 content without a grant', async () => {
+      mockGetPermission.mockReturnValue(null);
+      mockKubo({ cat: () => new Uint8Array([104, 105]) });
+
+      const result = await invokeProvider('ipfs_cat', { path: `ipfs://${CID}/a.txt` });
+
+      expect(result.result).toEqual({ data: 'aGk=', encoding: 'base64', size: 2 });
+      expect(mockKuboRpc).toHaveBeenCalledWith(
+        'cat',
+        { arg: `/ipfs/${CID}/a.txt`, offset: undefined, length: LIMITS.maxCatBytes + 1 },
+        expect.objectContaining({ raw: true })
+      );
+    });
+
+    test('reports content past the limit instead of truncating it', async () => {
+      mockKubo({ cat: () => new Uint8Array(LIMITS.maxCatBytes + 1) });
+      const result = await invokeProvider('ipfs_cat', { cid: CID });
+      expect(result.error.data).toEqual({ reason: 'payload_too_large', limit: LIMITS.maxCatBytes });
+    });
+
+    test('rejects ranges larger than the limit', async () => {
+      const result = await invokeProvider('ipfs_cat', {
+        cid: CID,
+        length: LIMITS.maxCatBytes + 1,
+      });
+      expect(result.error.data.reason).toBe('payload_too_large');
+      expect(mockKuboRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  test('toContentPath accepts CIDs, paths and URLs only', () => {
+    expect(toContentPath({ cid: CID })).toBe(`/ipfs/${CID}`);
+    expect(toContentPath({ path: `/ipns/docs.ipfs.tech/index.html` })).toBe(
+      '/ipns/docs.ipfs.tech/index.html'
+    );
+    expect(toContentPath({ path: `IPNS://k51abc` })).toBe('/ipns/k51abc');
+    expect(toContentPath({ path: 'https://example.com' })).toBeNull();
+    expect(toContentPath({})).toBeNull();
+  });
+
+  test('ipfs_resolveName resolves IPNS names and DNSLink domains', async () => {
+    mockKubo({ 'name/resolve': () => ({ Path: `/ipfs/${CID}` }) });
+    const result = await invokeProvider('ipfs_resolveName', { name: 'ipns://docs.ipfs.tech' });
+    expect(result.result).toEqual({ name: 'docs.ipfs.tech', path: `/ipfs/${CID}` });
+  });
+
+  test('ipfs_pin names the pin after the origin', async () => {
+    mockAddPin.mockResolvedValue({ cid: CID, path: `/ipfs/${CID}`, name: 'app.eth' });
+    const result = await invokeProvider('ipfs_pin', { cid: CID });
+    expect(result.result).toEqual({ cid: CID, path: `/ipfs/${CID}` });
+    expect(mockAddPin).toHaveBeenCalledWith(`/ipfs/${CID}`, { name: 'app.eth' });
+  });
+
+  describe('ipfs_publishName', () => {
+    test('publishes under the origin as the site', async () => {
+      mockCreateName.mockResolvedValue({ name: 'k51name' });
+      mockPublishName.mockResolvedValue({
+        name: 'k51name',
+        ipnsUrl: 'ipns://k51name',
+        value: `/ipfs/${CID}`,
+        sequence: 2,
+        expiresAt: 1234,
+      });
+
+      const result = await invokeProvider('ipfs_publishName', { value: CID });
+
+      expect(mockCreateName).toHaveBeenCalledWith('app.eth');
+      expect(mockPublishName).toHaveBeenCalledWith('app.eth', `/ipfs/${CID}`);
+      expect(result.result).toEqual({
+        name: 'k51name',
+        ipnsUrl: 'ipns://k51name',
+        value: `/ipfs/${CID}`,
+        sequence: 2,
+        expiresAt: 1234,
+      });
+    });
+
+    test('maps a locked vault to vault_locked', async () => {
+      mockCreateName.mockRejectedValue(new Error('Vault must be unlocked to derive IPNS keys'));
+      const result = await invokeProvider('ipfs_publishName', { value: CID });
+      expect(result.error).toMatchObject({ code: 4100, data: { reason: 'vault_locked' } });
+    });
+
+    test('rejects non-IPFS values', async () => {
+      const result = await invokeProvider('ipfs_publishName', { value: 'bzz://abc' });
+      expect(result.error.data.reason).toBe('invalid_value');
+      expect(mockCreateName).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,412 @@
+/**
+ * IPNS Name Service
+ *
+ * Publishes IPNS records for content the user has put on IPFS, using one
+ * vault-derived Ed25519 key per site (m/44'/73407'/{siteIndex}'/0'/0', see
+ * identity/derivation.js). Keys are imported into Kubo's keystore as
+ * `freedom-ipns-{siteIndex}` so Kubo does the record signing, and can be
+ * re-derived and re-imported from the mnemonic if the repo is reset.
+ *
+ * Data model (ipfs-ipns-names.json):
+ *   { version, nextSiteIndex, sites: { [site]: { siteIndex, name, value, sequence, expiresAt, ... } } }
+ *
+ * A background republisher re-signs records that are close to expiry, so a
+ * name keeps resolving even when the browser (and its node) was closed for
+ * longer than Kubo's own republish interval.
+ */
+
+const { app, ipcMain } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const log = require('../logger');
+const IPC = require('../../shared/ipc-channels');
+const { getService } = require('../service-registry');
+const { getIpnsKey } = require('../identity-manager');
+const { createIpfsIdentity } = require('../identity/formats');
+const { kuboRpc } = require('./kubo-rpc');
+
+const NAMES_FILE = 'ipfs-ipns-names.json';
+const CURRENT_VERSION = 1;
+
+const KEY_NAME_PREFIX = 'freedom-ipns-';
+// window.ipfs uses the page origin as the site label (ipfs-provider-ipc.js),
+// so this allows for long hostnames.
+const MAX_SITE_LENGTH = 255;
+
+// Record lifetime matches Kubo's default. The republisher renews anything
+// within REPUBLISH_WINDOW_MS of expiring, checking every REPUBLISH_CHECK_MS.
+const RECORD_LIFETIME_MS = 48 * 60 * 60 * 1000;
+const REPUBLISH_WINDOW_MS = 24 * 60 * 60 * 1000;
+const REPUBLISH_CHECK_MS = 60 * 60 * 1000;
+const REPUBLISH_INITIAL_DELAY_MS = 2 * 60 * 1000;
+
+// name/publish waits for the DHT put, which can take a few minutes.
+const PUBLISH_TIMEOUT_MS = 5 * 60 * 1000;
+
+let namesCache = null;
+let republishTimer = null;
+let republishStartTimer = null;
+const inFlight = new Set();
+
+function getNamesPath() {
+  return path.join(app.getPath('userData'), NAMES_FILE);
+}
+
+function createEmptyStore() {
+  return {
+    version: CURRENT_VERSION,
+    nextSiteIndex: 0,
+    sites: {},
+  };
+}
+
+function loadNames() {
+  if (namesCache !== null) {
+    return namesCache;
+  }
+
+  try {
+    const filePath = getNamesPath();
+    if (fs.existsSync(filePath)) {
+      namesCache = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } else {
+      namesCache = createEmptyStore();
+    }
+  } catch (err) {
+    log.error('[Ipns] Failed to load names:', err.message);
+    namesCache = createEmptyStore();
+  }
+
+  return namesCache;
+}
+
+function saveNames() {
+  try {
+    fs.writeFileSync(getNamesPath(), JSON.stringify(namesCache, null, 2), 'utf-8');
+  } catch (err) {
+    log.error('[Ipns] Failed to save names:', err.message);
+  }
+}
+
+function normalizeSite(site) {
+  const value = typeof site === 'string' ? site.trim().toLowerCase() : '';
+  if (!value) throw new Error('Site name is required');
+  if (value.length > MAX_SITE_LENGTH) {
+    throw new Error(`Site name must be at most ${MAX_SITE_LENGTH} characters`);
+  }
+  return value;
+}
+
+function keyNameFor(siteIndex) {
+  return `${KEY_NAME_PREFIX}${siteIndex}`;
+}
+
+function toPublicEntry(site, entry) {
+  return {
+    site,
+    siteIndex: entry.siteIndex,
+    name: entry.name,
+    ipnsUrl: `ipns://${entry.name}`,
+    value: entry.value || null,
+    sequence: entry.sequence ?? null,
+    expiresAt: entry.expiresAt || null,
+    publishedAt: entry.publishedAt || null,
+    lastError: entry.lastError || null,
+  };
+}
+
+/**
+ * Normalize something the user published into an immutable `/ipfs/` path.
+ * @param {string} target - `ipfs://cid/…`, `/ipfs/cid/…` or a bare CID
+ * @returns {string}
+ */
+function toIpfsPath(target) {
+  const value = typeof target === 'string' ? target.trim() : '';
+  if (!value) throw new Error('Nothing to publish');
+
+  if (value.startsWith('/ipfs/')) return value;
+  const urlMatch = value.match(/^ipfs:\/\/(.+)$/i);
+  if (urlMatch) return `/ipfs/${urlMatch[1]}`;
+  if (/^[a-zA-Z0-9]+$/.test(value)) return `/ipfs/${value}`;
+  throw new Error(`IPNS names can only point at IPFS content: ${value}`);
+}
+
+/**
+ * Make sure Kubo holds the site's key, importing it from the vault if not.
+ * An existing key is used as-is when it matches `expectedName`, so
+ * republishing works while the vault is locked. Any other key under our
+ * name (left over from another vault, or from before a new site took the
+ * index) is replaced.
+ *
+ * @param {number} siteIndex
+ * @param {string|null} expectedName - IPNS name recorded for the site
+ * @returns {Promise<string>} The IPNS name (base36 `k51…`)
+ */
+async function ensureKuboKey(siteIndex, expectedName = null) {
+  const keyName = keyNameFor(siteIndex);
+  const { Keys = [] } = await kuboRpc('key/list', { l: true, 'ipns-base': 'base36' });
+  const existing = Keys.find((key) => key.Name === keyName);
+
+  if (existing && existing.Id === expectedName) {
+    return existing.Id;
+  }
+  if (existing) {
+    log.warn(`[Ipns] Replacing stale key ${keyName} (${existing.Id})`);
+    await kuboRpc('key/rm', { arg: keyName });
+  }
+
+  const derived = await getIpnsKey(siteIndex);
+  const { privKey } = createIpfsIdentity(derived.privateKey, derived.publicKey);
+  const form = new FormData();
+  form.append('file', new Blob([Buffer.from(privKey, 'base64')]), 'key');
+
+  const imported = await kuboRpc(
+    'key/import',
+    { arg: keyName, format: 'libp2p-protobuf-cleartext', 'ipns-base': 'base36' },
+    { body: form }
+  );
+  log.info(`[Ipns] Imported key ${keyName} as ${imported.Id}`);
+  return imported.Id;
+}
+
+/**
+ * Read back the current record for a name so the list shows what the
+ * network sees. Best-effort: returns null when the record can't be fetched
+ * (e.g. the node has no peers yet).
+ *
+ * @param {string} name
+ * @returns {Promise<{ value: string, sequence: number, expiresAt: number }|null>}
+ */
+async function inspectRecord(name) {
+  try {
+    const record = await kuboRpc('routing/get', { arg: `/ipns/${name}` }, { raw: true });
+    const form = new FormData();
+    form.append('file', new Blob([record]), 'record');
+    const { Entry } = await kuboRpc('name/inspect', {}, { body: form });
+    const expiresAt = Date.parse(Entry?.Validity);
+    return {
+      value: Entry?.Value || null,
+      sequence: Number.isFinite(Entry?.Sequence) ? Entry.Sequence : null,
+      expiresAt: Number.isFinite(expiresAt) ? expiresAt : null,
+    };
+  } catch (err) {
+    log.warn(`[Ipns] Could not inspect record for ${name}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Create (or return) the IPNS name for a site. Allocates the next site
+ * index and imports the derived key; the vault must be unlocked.
+ *
+ * @param {string} site - User-facing site label
+ * @returns {Promise<Object>} Public name entry
+ */
+async function createName(site) {
+  const key = normalizeSite(site);
+  const store = loadNames();
+  if (store.sites[key]) return toPublicEntry(key, store.sites[key]);
+
+  const siteIndex = store.nextSiteIndex;
+  const name = await ensureKuboKey(siteIndex);
+
+  store.nextSiteIndex = siteIndex + 1;
+  store.sites[key] = {
+    siteIndex,
+    name,
+    value: null,
+    sequence: null,
+    expiresAt: null,
+    createdAt: Date.now(),
+    publishedAt: null,
+    lastError: null,
+  };
+  saveNames();
+
+  log.info(`[Ipns] Created name ${name} for ${key}`);
+  return toPublicEntry(key, store.sites[key]);
+}
+
+/**
+ * Point a site's IPNS name at IPFS content and record the resulting
+ * sequence number and expiry.
+ *
+ * @param {string} site
+ * @param {string} target - see toIpfsPath
+ * @returns {Promise<Object>} Public name entry
+ */
+async function publishName(site, target) {
+  const key = normalizeSite(site);
+  const store = loadNames();
+  const entry = store.sites[key];
+  if (!entry) throw new Error(`No IPNS name for ${key}`);
+
+  const value = toIpfsPath(target);
+  if (inFlight.has(key)) throw new Error(`${key} is already being published`);
+  inFlight.add(key);
+
+  try {
+    const name = await ensureKuboKey(entry.siteIndex, entry.name);
+    const startedAt = Date.now();
+    await kuboRpc(
+      'name/publish',
+      {
+        arg: value,
+        key: keyNameFor(entry.siteIndex),
+        lifetime: `${RECORD_LIFETIME_MS / 1000}s`,
+        'allow-offline': true,
+        'ipns-base': 'base36',
+      },
+      { timeoutMs: PUBLISH_TIMEOUT_MS }
+    );
+
+    const record = await inspectRecord(name);
+    Object.assign(entry, {
+      name,
+      value,
+      sequence: record?.sequence ?? null,
+      expiresAt: record?.expiresAt ?? startedAt + RECORD_LIFETIME_MS,
+      publishedAt: Date.now(),
+      lastError: null,
+    });
+    saveNames();
+
+    log.info(`[Ipns] Published ${name} -> ${value}`);
+    return toPublicEntry(key, entry);
+  } catch (err) {
+    entry.lastError = err.message;
+    saveNames();
+    throw err;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Re-sign the current value for a site, extending its expiry.
+ * @param {string} site
+ */
+async function republishName(site) {
+  const key = normalizeSite(site);
+  const entry = loadNames().sites[key];
+  if (!entry?.value) throw new Error(`${key} has not been published yet`);
+  return publishName(key, entry.value);
+}
+
+/**
+ * @returns {Array<Object>} Public name entries, newest first
+ */
+function listNames() {
+  const store = loadNames();
+  return Object.entries(store.sites)
+    .sort(([, a], [, b]) => (b.createdAt || 0) - (a.createdAt || 0))
+    .map(([site, entry]) => toPublicEntry(site, entry));
+}
+
+/**
+ * Republish every name whose record expires within REPUBLISH_WINDOW_MS.
+ * Skipped while no IPFS node is registered. Failures are recorded on the
+ * entry (shown in the list) and retried on the next check.
+ *
+ * @param {number} [now]
+ * @returns {Promise<string[]>} Sites that were republished
+ */
+async function republishDue(now = Date.now()) {
+  if (!getService('ipfs')?.api) return [];
+
+  const due = Object.entries(loadNames().sites).filter(
+    ([site, entry]) =>
+      entry.value &&
+      !inFlight.has(site) &&
+      (!entry.expiresAt || entry.expiresAt - now < REPUBLISH_WINDOW_MS)
+  );
+
+  const republished = [];
+  for (const [site, entry] of due) {
+    try {
+      await publishName(site, entry.value);
+      republished.push(site);
+    } catch (err) {
+      log.warn(`[Ipns] Republish failed for ${site}:`, err.message);
+    }
+  }
+  return republished;
+}
+
+function startIpnsRepublisher() {
+  if (republishTimer || republishStartTimer) return;
+  const check = () =>
+    republishDue().catch((err) => log.error('[Ipns] Republish check failed:', err.message));
+
+  // First check shortly after launch, once the node has had time to start.
+  republishStartTimer = setTimeout(() => {
+    republishStartTimer = null;
+    check();
+    republishTimer = setInterval(check, REPUBLISH_CHECK_MS);
+  }, REPUBLISH_INITIAL_DELAY_MS);
+}
+
+function stopIpnsRepublisher() {
+  clearTimeout(republishStartTimer);
+  clearInterval(republishTimer);
+  republishStartTimer = null;
+  republishTimer = null;
+}
+
+function registerIpnsIpc() {
+  ipcMain.handle(IPC.IPFS_IPNS_LIST, () => {
+    try {
+      return { success: true, names: listNames() };
+    } catch (err) {
+      log.error('[Ipns] Failed to list names:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.IPFS_IPNS_CREATE, async (_event, site) => {
+    try {
+      return { success: true, entry: await createName(site) };
+    } catch (err) {
+      log.error('[Ipns] Failed to create name:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.IPFS_IPNS_PUBLISH, async (_event, site, target) => {
+    try {
+      return { success: true, entry: await publishName(site, target) };
+    } catch (err) {
+      log.error('[Ipns] Failed to publish name:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.IPFS_IPNS_REPUBLISH, async (_event, site) => {
+    try {
+      return { success: true, entry: await republishName(site) };
+    } catch (err) {
+      log.error('[Ipns] Failed to republish name:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  log.info('[Ipns] IPC handlers registered');
+}
+
+function _resetCache() {
+  namesCache = null;
+}
+
+module.exports = {
+  toIpfsPath,
+  createName,
+  publishName,
+  republishName,
+  listNames,
+  republishDue,
+  startIpnsRepublisher,
+  stopIpnsRepublisher,
+  registerIpnsIpc,
+  RECORD_LIFETIME_MS,
+  _resetCache,
+};
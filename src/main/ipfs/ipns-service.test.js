@@ -0,0 +1,287 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockUserData = fs.mkdtempSync(path.join(os.tmpdir(), 'ipns-service-'));
+const ipcHandlers = {};
+jest.mock('electron', () => ({
+  app: { getPath: () => mockUserData },
+  ipcMain: {
+    handle: (channel, handler) => {
+      ipcHandlers[channel] = handler;
+    },
+  },
+}));
+
+jest.mock('../service-registry', () => ({
+  getIpfsApiUrl: jest.fn(() => 'http://127.0.0.1:5001'),
+  getService: jest.fn(() => ({ api: 'http://127.0.0.1:5001' })),
+}));
+
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../identity-manager', () => ({
+  getIpnsKey: jest.fn(async (siteIndex) => ({
+    privateKey: new Uint8Array(32).fill(siteIndex + 1),
+    publicKey: new Uint8Array(32).fill(0xaa),
+    siteIndex,
+  })),
+}));
+
+const IPC = require('../../shared/ipc-channels');
+const { getService } = require('../service-registry');
+const { getIpnsKey } = require('../identity-manager');
+const {
+  toIpfsPath,
+  createName,
+  publishName,
+  republishName,
+  listNames,
+  republishDue,
+  registerIpnsIpc,
+  RECORD_LIFETIME_MS,
+  _resetCache,
+} = require('./ipns-service');
+
+registerIpnsIpc();
+
+const CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+const NAME = 'k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8';
+const OTHER_NAME = 'k51qzi5uqu5dgutdk6i1ynyzgkqngpha5xpgia3a5qqp4jsh0u4csozksxel3r';
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+// Route mock fetches by RPC command so call order doesn't matter.
+function routeFetch(routes) {
+  return jest.fn(async (url, init) => {
+    const parsed = new URL(url);
+    const command = parsed.pathname.replace('/api/v0/', '');
+    const handler = routes[command];
+    if (!handler) throw new Error(`unexpected RPC ${command}`);
+    return handler(parsed.searchParams, init);
+  });
+}
+
+function kuboRoutes(overrides = {}) {
+  return {
+    'key/list': () => jsonResponse({ Keys: [] }),
+    'key/import': () => jsonResponse({ Name: 'freedom-ipns-0', Id: NAME }),
+    'name/publish': (params) => jsonResponse({ Name: NAME, Value: params.get('arg') }),
+    'routing/get': () => new Response(new Uint8Array([1, 2, 3])),
+    'name/inspect': () =>
+      jsonResponse({
+        Entry: { Value: `/ipfs/${CID}`, Sequence: 4, Validity: '2026-10-21T12:00:00Z' },
+      }),
+    ...overrides,
+  };
+}
+
+describe('ipfs ipns-service', () => {
+  beforeEach(() => {
+    fs.rmSync(path.join(mockUserData, 'ipfs-ipns-names.json'), { force: true });
+    _resetCache();
+    getIpnsKey.mockClear();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  afterAll(() => {
+    fs.rmSync(mockUserData, { recursive: true, force: true });
+  });
+
+  test('toIpfsPath accepts ipfs:// URLs, content paths and bare CIDs', () => {
+    expect(toIpfsPath(`ipfs://${CID}/index.html`)).toBe(`/ipfs/${CID}/index.html`);
+    expect(toIpfsPath(`/ipfs/${CID}`)).toBe(`/ipfs/${CID}`);
+    expect(toIpfsPath(` ${CID} `)).toBe(`/ipfs/${CID}`);
+    expect(() => toIpfsPath('bzz://abc')).toThrow('only point at IPFS content');
+  });
+
+  test('createName imports the derived key for the next site index', async () => {
+    const imports = [];
+    global.fetch = routeFetch(
+      kuboRoutes({
+        'key/import': async (params, init) => {
+          const file = init.body.get('file');
+          imports.push({
+            params: Object.fromEntries(params),
+            bytes: new Uint8Array(await file.arrayBuffer()),
+          });
+          return jsonResponse({ Name: params.get('arg'), Id: NAME });
+        },
+      })
+    );
+
+    const entry = await createName('  My Blog ');
+    expect(entry).toMatchObject({
+      site: 'my blog',
+      siteIndex: 0,
+      name: NAME,
+      ipnsUrl: `ipns://${NAME}`,
+      value: null,
+    });
+    expect(getIpnsKey).toHaveBeenCalledWith(0);
+    expect(imports).toHaveLength(1);
+    expect(imports[0].params).toMatchObject({
+      arg: 'freedom-ipns-0',
+      format: 'libp2p-protobuf-cleartext',
+    });
+    // libp2p PrivateKey protobuf: Ed25519 type, 64 bytes of priv || pub
+    expect(Array.from(imports[0].bytes.slice(0, 4))).toEqual([0x08, 0x01, 0x12, 0x40]);
+    expect(imports[0].bytes[4]).toBe(1);
+
+    await expect(createName('my blog')).resolves.toMatchObject({ siteIndex: 0 });
+    expect(imports).toHaveLength(1);
+  });
+
+  test('createName replaces a leftover key under the same name', async () => {
+    const removed = [];
+    global.fetch = routeFetch(
+      kuboRoutes({
+        'key/list': () => jsonResponse({ Keys: [{ Name: 'freedom-ipns-0', Id: OTHER_NAME }] }),
+        'key/rm': (params) => {
+          removed.push(params.get('arg'));
+          return jsonResponse({ Keys: [] });
+        },
+      })
+    );
+
+    await expect(createName('blog')).resolves.toMatchObject({ name: NAME });
+    expect(removed).toEqual(['freedom-ipns-0']);
+  });
+
+  test('publishName records the sequence and expiry Kubo signed', async () => {
+    global.fetch = routeFetch(kuboRoutes());
+    await createName('blog');
+
+    const published = [];
+    global.fetch = routeFetch(
+      kuboRoutes({
+        'key/list': () => jsonResponse({ Keys: [{ Name: 'freedom-ipns-0', Id: NAME }] }),
+        'name/publish': (params) => {
+          published.push(Object.fromEntries(params));
+          return jsonResponse({ Name: NAME, Value: params.get('arg') });
+        },
+      })
+    );
+    getIpnsKey.mockClear();
+
+    const entry = await publishName('blog', `ipfs://${CID}`);
+    expect(published).toEqual([
+      {
+        arg: `/ipfs/${CID}`,
+        key: 'freedom-ipns-0',
+        lifetime: '172800s',
+        'allow-offline': 'true',
+        'ipns-base': 'base36',
+      },
+    ]);
+    expect(entry).toMatchObject({
+      value: `/ipfs/${CID}`,
+      sequence: 4,
+      expiresAt: Date.parse('2026-10-21T12:00:00Z'),
+      lastError: null,
+    });
+    // The key was already in Kubo, so the vault wasn't needed.
+    expect(getIpnsKey).not.toHaveBeenCalled();
+  });
+
+  test('publishName falls back to the requested lifetime when the record is unreadable', async () => {
+    global.fetch = routeFetch(
+      kuboRoutes({
+        'routing/get': () => jsonResponse({ Message: 'routing: not found' }, 500),
+      })
+    );
+    await createName('blog');
+
+    const before = Date.now();
+    const entry = await publishName('blog', CID);
+    expect(entry.sequence).toBeNull();
+    expect(entry.expiresAt).toBeGreaterThanOrEqual(before + RECORD_LIFETIME_MS);
+  });
+
+  test('publish failures are kept on the entry', async () => {
+    global.fetch = routeFetch(kuboRoutes());
+    await createName('blog');
+
+    global.fetch = routeFetch(
+      kuboRoutes({
+        'key/list': () => jsonResponse({ Keys: [{ Name: 'freedom-ipns-0', Id: NAME }] }),
+        'name/publish': () => jsonResponse({ Message: 'no peers' }, 500),
+      })
+    );
+    await expect(publishName('blog', CID)).rejects.toThrow('no peers');
+    expect(listNames()[0].lastError).toBe('IPFS name/publish failed (500): no peers');
+  });
+
+  test('republishName requires a published value', async () => {
+    global.fetch = routeFetch(kuboRoutes());
+    await createName('blog');
+    await expect(republishName('blog')).rejects.toThrow('has not been published yet');
+  });
+
+  describe('republishDue', () => {
+    test('republishes only names close to expiry', async () => {
+      const now = Date.now();
+      const hours = (n) => new Date(now + n * 60 * 60 * 1000).toISOString();
+      let validity = hours(40);
+      const keys = [];
+      const published = [];
+      global.fetch = routeFetch(
+        kuboRoutes({
+          'key/list': () => jsonResponse({ Keys: keys }),
+          'key/import': (params) => {
+            const key = { Name: params.get('arg'), Id: `${params.get('arg')}-id` };
+            keys.push(key);
+            return jsonResponse(key);
+          },
+          'name/publish': (params) => {
+            published.push(params.get('key'));
+            return jsonResponse({});
+          },
+          'name/inspect': () =>
+            jsonResponse({ Entry: { Value: `/ipfs/${CID}`, Sequence: 1, Validity: validity } }),
+        })
+      );
+      await createName('fresh');
+      await createName('stale');
+      await publishName('fresh', CID);
+      validity = hours(3);
+      await publishName('stale', CID);
+
+      published.length = 0;
+      validity = hours(48);
+      await expect(republishDue(now)).resolves.toEqual(['stale']);
+      expect(published).toEqual(['freedom-ipns-1']);
+      expect(listNames().find((n) => n.site === 'stale').expiresAt).toBe(Date.parse(hours(48)));
+    });
+
+    test('does nothing while no IPFS node is registered', async () => {
+      getService.mockReturnValueOnce({ api: null });
+      global.fetch = jest.fn();
+      await expect(republishDue()).resolves.toEqual([]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('IPC', () => {
+    test('ipns-create validates the site name', async () => {
+      await expect(ipcHandlers[IPC.IPFS_IPNS_CREATE]({}, '   ')).resolves.toEqual({
+        success: false,
+        error: 'Site name is required',
+      });
+    });
+
+    test('ipns-list wraps the name entries', async () => {
+      expect(ipcHandlers[IPC.IPFS_IPNS_LIST]({})).toEqual({
+        success: true,
+        names: [],
+      });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Kubo RPC client
+ *
+ * Minimal POST helper for Kubo's `/api/v0/*` commands, shared by the pin
+ * and IPNS services. Content upload has its own streaming client in
+ * publish-service.js because it needs NDJSON progress.
+ */
+
+const { getIpfsApiUrl } = require('../service-registry');
+
+const RPC_TIMEOUT_MS = 30_000;
+
+/**
+ * POST a Kubo RPC command. `params` values may be arrays for repeated keys
+ * (`arg`). Throws with Kubo's `Message` on non-2xx.
+ *
+ * @param {string} command - e.g. 'pin/ls'
+ * @param {Object} [params]
+ * @param {{ timeoutMs?: number, body?: FormData, raw?: boolean }} [options] -
+ *   `timeoutMs: 0` disables the timeout; `body` is sent as multipart;
+ *   `raw` returns the response bytes instead of parsed JSON
+ * @returns {Promise<Object|Uint8Array>}
+ */
+async function kuboRpc(command, params = {}, { timeoutMs = RPC_TIMEOUT_MS, body, raw } = {}) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    for (const item of [].concat(value)) search.append(key, String(item));
+  }
+
+  const response = await fetch(`${getIpfsApiUrl()}/api/v0/${command}?${search}`, {
+    method: 'POST',
+    body,
+    signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined,
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    let message = text;
+    try {
+      message = JSON.parse(text).Message || text;
+    } catch {
+      // plain-text error body
+    }
+    throw new Error(
+      `IPFS ${command} failed (${response.status}): ${message || response.statusText}`
+    );
+  }
+
+  if (raw) return new Uint8Array(await response.arrayBuffer());
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : {};
+}
+
+module.exports = {
+  kuboRpc,
+  RPC_TIMEOUT_MS,
+};
@@ -0,0 +1,244 @@
+/**
+ * IPFS Pin Service
+ *
+ * Thin wrapper around Kubo's `/api/v0/pin/*` and `/api/v0/repo/stat` RPCs so
+ * content the user cares about survives repo garbage collection. Used by
+ * the "Pin this site" actions (page context menu, nodes panel) and the
+ * freedom://pins manager page.
+ *
+ * Pins are named after what the user pinned (ENS / DNSLink name or page
+ * title) via Kubo's pin names, so the list stays readable without a local
+ * side table.
+ */
+
+const { ipcMain } = require('electron');
+const log = require('../logger');
+const IPC = require('../../shared/ipc-channels');
+const { kuboRpc } = require('./kubo-rpc');
+const { resolveEnsContent } = require('../ens-resolver');
+const { isEnsHost, isDnsEnsName } = require('../../shared/origin-utils');
+
+// Listing, stats and IPNS resolution use kuboRpc's default timeout; pin/add
+// is left unbounded because it fetches the whole DAG.
+const SIZE_TIMEOUT_MS = 10_000;
+const SIZE_CONCURRENCY = 4;
+
+// Kubo rejects pin names longer than this.
+const MAX_PIN_NAME_LENGTH = 255;
+
+const PIN_TYPES = new Set(['recursive', 'direct']);
+
+async function resolveIpnsPath(name) {
+  const result = await kuboRpc('name/resolve', { arg: `/ipns/${name}`, recursive: true });
+  if (!result?.Path?.startsWith('/ipfs/')) {
+    throw new Error(`IPNS name ${name} did not resolve to an IPFS path`);
+  }
+  return result.Path;
+}
+
+async function resolveEnsPath(host) {
+  const result = await resolveEnsContent(host);
+  if (result?.type !== 'ok') {
+    throw new Error(`ENS name ${host} has no IPFS content`);
+  }
+  if (result.protocol === 'ipfs') return `/ipfs/${result.decoded}`;
+  if (result.protocol === 'ipns') return resolveIpnsPath(result.decoded);
+  throw new Error(`ENS name ${host} resolves to ${result.protocol}, not IPFS`);
+}
+
+/**
+ * Work out what to pin for a page URL, CID or content path.
+ *
+ * Pins the site root rather than the current sub-path. IPNS names (and
+ * ENS names pointing at IPNS) are resolved first so the pin holds the
+ * snapshot being viewed instead of a mutable pointer Kubo can't pin.
+ * `label` is the human-readable name (ENS or DNSLink) when there is one.
+ *
+ * @param {string} target - `ipfs://…`, `ipns://…`, `/ipfs/…`, `/ipns/…` or a bare CID
+ * @returns {Promise<{ path: string, label: string|null }>}
+ */
+async function resolvePinTarget(target) {
+  const value = typeof target === 'string' ? target.trim() : '';
+  if (!value) throw new Error('Nothing to pin');
+
+  const pathMatch = value.match(/^\/(ipfs|ipns)\/([^/?#]+)/);
+  const urlMatch = value.match(/^(ipfs|ipns):\/\/([^/?#]+)/i);
+  const match = pathMatch || urlMatch;
+
+  if (!match) {
+    if (/^[a-zA-Z0-9]+$/.test(value)) return { path: `/ipfs/${value}`, label: null };
+    throw new Error(`Not an IPFS address: ${value}`);
+  }
+
+  const namespace = match[1].toLowerCase();
+  const host = match[2];
+
+  if (isEnsHost(host) || (namespace === 'ipfs' && isDnsEnsName(host))) {
+    const name = host.toLowerCase();
+    return { path: await resolveEnsPath(name), label: name };
+  }
+  if (namespace === 'ipns') {
+    return { path: await resolveIpnsPath(host), label: host.includes('.') ? host : null };
+  }
+  return { path: `/ipfs/${host}`, label: null };
+}
+
+function toPinName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  return trimmed ? trimmed.slice(0, MAX_PIN_NAME_LENGTH) : undefined;
+}
+
+/**
+ * Recursively pin a site or CID.
+ *
+ * @param {string} target - see resolvePinTarget
+ * @param {{ name?: string }} [options] - fallback pin name (e.g. page title)
+ *   for targets without an ENS / DNSLink name
+ * @returns {Promise<{ cid: string, path: string, name: string|null }>}
+ */
+async function addPin(target, { name } = {}) {
+  const { path, label } = await resolvePinTarget(target);
+  const pinName = toPinName(label) || toPinName(name);
+  const result = await kuboRpc(
+    'pin/add',
+    { arg: path, recursive: true, name: pinName },
+    { timeoutMs: 0 }
+  );
+  const cid = result?.Pins?.[0] || path.split('/')[2];
+  log.info(`[IpfsPins] Pinned ${path} as ${cid}`);
+  return { cid, path, name: pinName || null };
+}
+
+/**
+ * Remove a recursive or direct pin. Kubo's `recursive=true` removes either
+ * kind; indirect pins can't be removed on their own.
+ */
+async function removePin(cid) {
+  await kuboRpc('pin/rm', { arg: cid, recursive: true });
+  log.info(`[IpfsPins] Unpinned ${cid}`);
+  return { cid };
+}
+
+// Cumulative DAG size from the root node. `offline` keeps a direct pin
+// whose children aren't local from triggering a network fetch.
+async function getPinSize(cid) {
+  try {
+    const stat = await kuboRpc(
+      'files/stat',
+      { arg: `/ipfs/${cid}`, offline: true },
+      { timeoutMs: SIZE_TIMEOUT_MS }
+    );
+    return Number.isFinite(stat?.CumulativeSize) ? stat.CumulativeSize : null;
+  } catch {
+    // Non-UnixFS roots (dag-cbor, raw leaves of other codecs) have no size.
+    return null;
+  }
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * List recursive and/or direct pins with their names and sizes. Indirect
+ * pins (children of recursive pins) are deliberately excluded — they can
+ * number in the millions and can't be unpinned individually.
+ *
+ * @param {{ type?: 'all'|'recursive'|'direct' }} [options]
+ * @returns {Promise<Array<{ cid: string, type: string, name: string|null, size: number|null }>>}
+ */
+async function listPins({ type = 'all' } = {}) {
+  const types = type === 'all' ? [...PIN_TYPES] : [type];
+  if (!types.every((t) => PIN_TYPES.has(t))) {
+    throw new Error(`Unsupported pin type: ${type}`);
+  }
+
+  const pins = [];
+  for (const pinType of types) {
+    const result = await kuboRpc('pin/ls', { type: pinType, names: true });
+    for (const [cid, info] of Object.entries(result?.Keys || {})) {
+      pins.push({ cid, type: info.Type || pinType, name: info.Name || null });
+    }
+  }
+
+  const sizes = await mapWithConcurrency(pins, SIZE_CONCURRENCY, (pin) => getPinSize(pin.cid));
+  return pins.map((pin, i) => ({ ...pin, size: sizes[i] }));
+}
+
+/**
+ * Repo usage from `/api/v0/repo/stat`. `StorageMax` is the GC target:
+ * Kubo's periodic GC (when enabled) runs once usage passes the watermark
+ * percentage of it.
+ */
+async function getRepoStat() {
+  const stat = await kuboRpc('repo/stat');
+  return {
+    repoSize: stat?.RepoSize ?? null,
+    storageMax: stat?.StorageMax ?? null,
+    numObjects: stat?.NumObjects ?? null,
+  };
+}
+
+function registerIpfsPinIpc() {
+  ipcMain.handle(IPC.IPFS_PIN_ADD, async (_event, target, options) => {
+    if (!target || typeof target !== 'string') {
+      return { success: false, error: 'Pin target is required' };
+    }
+    try {
+      return { success: true, ...(await addPin(target, options)) };
+    } catch (err) {
+      log.error('[IpfsPins] Failed to pin:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.IPFS_PIN_REMOVE, async (_event, cid) => {
+    if (!cid || typeof cid !== 'string') {
+      return { success: false, error: 'CID is required' };
+    }
+    try {
+      return { success: true, ...(await removePin(cid)) };
+    } catch (err) {
+      log.error('[IpfsPins] Failed to unpin:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.IPFS_PIN_LIST, async (_event, options) => {
+    try {
+      return { success: true, pins: await listPins(options) };
+    } catch (err) {
+      log.error('[IpfsPins] Failed to list pins:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.IPFS_REPO_STAT, async () => {
+    try {
+      return { success: true, stat: await getRepoStat() };
+    } catch (err) {
+      log.error('[IpfsPins] Failed to read repo stat:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  log.info('[IpfsPins] IPC handlers registered');
+}
+
+module.exports = {
+  resolvePinTarget,
+  addPin,
+  removePin,
+  listPins,
+  getRepoStat,
+  registerIpfsPinIpc,
+};
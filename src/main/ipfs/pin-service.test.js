@@ -0,0 +1,196 @@
+const ipcHandlers = {};
+jest.mock('electron', () => ({
+  ipcMain: {
+    handle: (channel, handler) => {
+      ipcHandlers[channel] = handler;
+    },
+  },
+}));
+
+jest.mock('../service-registry', () => ({
+  getIpfsApiUrl: jest.fn(() => 'http://127.0.0.1:5001'),
+}));
+
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../ens-resolver', () => ({
+  resolveEnsContent: jest.fn(),
+}));
+
+const IPC = require('../../shared/ipc-channels');
+const { resolveEnsContent } = require('../ens-resolver');
+const {
+  resolvePinTarget,
+  addPin,
+  listPins,
+  getRepoStat,
+  registerIpfsPinIpc,
+} = require('./pin-service');
+
+registerIpfsPinIpc();
+
+const CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+const CID_2 = 'bafkreidgvpkjawlxz6sffxzwgooowe5yt7i6wsyg236mfoks77nywkptdq';
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+// Route mock fetches by RPC command so call order doesn't matter.
+function routeFetch(routes) {
+  return jest.fn(async (url) => {
+    const parsed = new URL(url);
+    const command = parsed.pathname.replace('/api/v0/', '');
+    const handler = routes[command];
+    if (!handler) throw new Error(`unexpected RPC ${command}`);
+    return handler(parsed.searchParams);
+  });
+}
+
+describe('ipfs pin-service', () => {
+  afterEach(() => {
+    delete global.fetch;
+    resolveEnsContent.mockReset();
+  });
+
+  describe('resolvePinTarget', () => {
+    test('pins the root of an ipfs:// page, ignoring the sub-path', async () => {
+      await expect(resolvePinTarget(`ipfs://${CID}/docs/index.html?x=1`)).resolves.toEqual({
+        path: `/ipfs/${CID}`,
+        label: null,
+      });
+    });
+
+    test('accepts bare CIDs and content paths', async () => {
+      await expect(resolvePinTarget(CID)).resolves.toEqual({ path: `/ipfs/${CID}`, label: null });
+      await expect(resolvePinTarget(`/ipfs/${CID}/a`)).resolves.toEqual({
+        path: `/ipfs/${CID}`,
+        label: null,
+      });
+    });
+
+    test('resolves DNSLink names to the current snapshot', async () => {
+      global.fetch = routeFetch({
+        'name/resolve': (params) => {
+          expect(params.get('arg')).toBe('/ipns/docs.ipfs.tech');
+          return jsonResponse({ Path: `/ipfs/${CID}` });
+        },
+      });
+
+      await expect(resolvePinTarget('ipns://docs.ipfs.tech/install/')).resolves.toEqual({
+        path: `/ipfs/${CID}`,
+        label: 'docs.ipfs.tech',
+      });
+    });
+
+    test('resolves ENS names through the contenthash', async () => {
+      resolveEnsContent.mockResolvedValue({ type: 'ok', protocol: 'ipfs', decoded: CID });
+      await expect(resolvePinTarget('ipfs://Vitalik.eth/')).resolves.toEqual({
+        path: `/ipfs/${CID}`,
+        label: 'vitalik.eth',
+      });
+      expect(resolveEnsContent).toHaveBeenCalledWith('vitalik.eth');
+    });
+
+    test('refuses ENS names that point at Swarm', async () => {
+      resolveEnsContent.mockResolvedValue({
+        type: 'ok',
+        protocol: 'bzz',
+        decoded: 'ab'.repeat(32),
+      });
+      await expect(resolvePinTarget('ipfs://swarm.eth')).rejects.toThrow(/not IPFS/);
+    });
+
+    test('rejects non-IPFS addresses', async () => {
+      await expect(resolvePinTarget('https://example.com')).rejects.toThrow(/Not an IPFS address/);
+    });
+  });
+
+  test('addPin pins recursively with the ENS name, falling back to the given name', async () => {
+    resolveEnsContent.mockResolvedValue({ type: 'ok', protocol: 'ipfs', decoded: CID });
+    const seen = [];
+    global.fetch = routeFetch({
+      'pin/add': (params) => {
+        seen.push(Object.fromEntries(params));
+        return jsonResponse({ Pins: [params.get('arg').split('/')[2]] });
+      },
+    });
+
+    await expect(addPin('ipfs://vitalik.eth/', { name: 'Vitalik' })).resolves.toEqual({
+      cid: CID,
+      path: `/ipfs/${CID}`,
+      name: 'vitalik.eth',
+    });
+    await addPin(`ipfs://${CID}`, { name: '  My page  ' });
+
+    expect(seen).toEqual([
+      { arg: `/ipfs/${CID}`, recursive: 'true', name: 'vitalik.eth' },
+      { arg: `/ipfs/${CID}`, recursive: 'true', name: 'My page' },
+    ]);
+  });
+
+  test('listPins merges recursive and direct pins with sizes', async () => {
+    global.fetch = routeFetch({
+      'pin/ls': (params) =>
+        params.get('type') === 'recursive'
+          ? jsonResponse({ Keys: { [CID]: { Type: 'recursive', Name: 'site' } } })
+          : jsonResponse({ Keys: { [CID_2]: { Type: 'direct' } } }),
+      'files/stat': (params) =>
+        params.get('arg') === `/ipfs/${CID}`
+          ? jsonResponse({ CumulativeSize: 2048 })
+          : jsonResponse({ Message: 'not unixfs' }, 500),
+    });
+
+    await expect(listPins()).resolves.toEqual([
+      { cid: CID, type: 'recursive', name: 'site', size: 2048 },
+      { cid: CID_2, type: 'direct', name: null, size: null },
+    ]);
+  });
+
+  test('listPins rejects indirect listings', async () => {
+    await expect(listPins({ type: 'indirect' })).rejects.toThrow('Unsupported pin type');
+  });
+
+  test('getRepoStat maps repo/stat fields', async () => {
+    global.fetch = routeFetch({
+      'repo/stat': () => jsonResponse({ RepoSize: 100, StorageMax: 1000, NumObjects: 7 }),
+    });
+    await expect(getRepoStat()).resolves.toEqual({
+      repoSize: 100,
+      storageMax: 1000,
+      numObjects: 7,
+    });
+  });
+
+  describe('IPC', () => {
+    test('pin-remove surfaces Kubo errors', async () => {
+      global.fetch = routeFetch({
+        'pin/rm': () => jsonResponse({ Message: 'not pinned or pinned indirectly', Code: 0 }, 500),
+      });
+
+      await expect(ipcHandlers[IPC.IPFS_PIN_REMOVE]({}, CID)).resolves.toEqual({
+        success: false,
+        error: 'IPFS pin/rm failed (500): not pinned or pinned indirectly',
+      });
+    });
+
+    test('pin-add validates its target', async () => {
+      await expect(ipcHandlers[IPC.IPFS_PIN_ADD]({}, '')).resolves.toEqual({
+        success: false,
+        error: 'Pin target is required',
+      });
+    });
+
+    test('pin-list wraps the pin array', async () => {
+      global.fetch = routeFetch({
+        'pin/ls': () => jsonResponse({ Keys: {} }),
+      });
+      await expect(ipcHandlers[IPC.IPFS_PIN_LIST]({}, { type: 'direct' })).resolves.toEqual({
+        success: true,
+        pins: [],
+      });
+    });
+  });
+});
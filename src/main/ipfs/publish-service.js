@@ -0,0 +1,335 @@
+/**
+ * IPFS Publish Service
+ *
+ * Adds data, files and directories to the local Kubo node through the
+ * `/api/v0/add` RPC and pins them. The IPFS counterpart of
+ * `swarm/publish-service.js`: same IPC shape, same history store (rows are
+ * tagged `protocol: 'ipfs'`), so freedom://publish can target either
+ * network. Runs in the main process only — renderer interacts via IPC.
+ *
+ * Kubo reports progress inline on the add response (`progress=true`
+ * streams `{ Name, Bytes }` objects before the final `{ Name, Hash, Size }`
+ * entries), so there is no tag to poll: progress is pushed to the calling
+ * webContents on `ipfs:publish-progress` while the add is in flight.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { ipcMain } = require('electron');
+const log = require('../logger');
+const { getIpfsApiUrl } = require('../service-registry');
+const { addEntry, updateEntry } = require('../swarm/publish-history');
+
+// Same sentinel as swarm/publish-service.js: user-initiated publishes from
+// the freedom://publish UI.
+const USER_ORIGIN = 'freedom://publish';
+
+const PROGRESS_CHANNEL = 'ipfs:publish-progress';
+const DIRECTORY_CONTENT_TYPE = 'application/x-directory';
+
+/**
+ * Normalize the final Kubo add entry to a Freedom publish result.
+ */
+function normalizeAddResult(entry, bytesSize) {
+  const cid = entry?.Hash || null;
+  return {
+    reference: cid,
+    cid,
+    ipfsUrl: cid ? `ipfs://${cid}` : null,
+    bytesSize: bytesSize ?? null,
+  };
+}
+
+function buildAddUrl({ wrapWithDirectory = false } = {}) {
+  const params = new URLSearchParams({
+    pin: 'true',
+    // CIDv1 so the result is usable as an ipfs:// host as-is (base32,
+    // case-insensitive) — see ipfs/ipfs-protocol.js.
+    'cid-version': '1',
+    progress: 'true',
+    'wrap-with-directory': wrapWithDirectory ? 'true' : 'false',
+  });
+  return `${getIpfsApiUrl()}/api/v0/add?${params}`;
+}
+
+// Kubo reads the multipart filename as a slash-separated path, with each
+// segment percent-encoded.
+function encodeEntryPath(relPath) {
+  return relPath.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Collect a directory tree as multipart entries. Directories come before
+ * their children, which is the order Kubo's multipart reader expects.
+ */
+async function collectDirectoryEntries(dirPath, rootName) {
+  const entries = [{ type: 'directory', relPath: rootName }];
+  let totalSize = 0;
+
+  const walk = async (absDir, relDir) => {
+    const children = await fsp.readdir(absDir, { withFileTypes: true });
+    children.sort((a, b) => a.name.localeCompare(b.name));
+    for (const child of children) {
+      const abs = path.join(absDir, child.name);
+      const rel = `${relDir}/${child.name}`;
+      if (child.isDirectory()) {
+        entries.push({ type: 'directory', relPath: rel });
+        await walk(abs, rel);
+      } else if (child.isFile()) {
+        const stat = await fsp.stat(abs);
+        totalSize += stat.size;
+        entries.push({ type: 'file', relPath: rel, absPath: abs, size: stat.size });
+      }
+    }
+  };
+
+  await walk(dirPath, rootName);
+  return { entries, totalSize };
+}
+
+async function buildForm(entries) {
+  const form = new FormData();
+  for (const entry of entries) {
+    const name = encodeEntryPath(entry.relPath);
+    if (entry.type === 'directory') {
+      form.append('file', new Blob([], { type: DIRECTORY_CONTENT_TYPE }), name);
+    } else if (entry.absPath) {
+      // openAsBlob streams from disk rather than buffering the file.
+      form.append('file', await fs.openAsBlob(entry.absPath), name);
+    } else {
+      form.append('file', new Blob([entry.bytes]), name);
+    }
+  }
+  return form;
+}
+
+/**
+ * POST a multipart body to `/api/v0/add` and read the NDJSON response.
+ * Progress lines are reported through `onProgress`; returns the list of
+ * added entries (one per file/directory, root last).
+ */
+async function runAdd(entries, totalSize, { wrapWithDirectory, onProgress } = {}) {
+  const response = await fetch(buildAddUrl({ wrapWithDirectory }), {
+    method: 'POST',
+    body: await buildForm(entries),
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    let message = text;
+    try {
+      message = JSON.parse(text).Message || text;
+    } catch {
+      // plain-text error body
+    }
+    throw new Error(`IPFS add failed (${response.status}): ${message || response.statusText}`);
+  }
+
+  const added = [];
+  // `Bytes` is cumulative per file; sum the latest value of each file.
+  const bytesByName = new Map();
+  const report = () => {
+    if (!onProgress) return;
+    let sent = 0;
+    for (const bytes of bytesByName.values()) sent += bytes;
+    const progress = totalSize > 0 ? Math.min(100, Math.round((sent / totalSize) * 100)) : 0;
+    onProgress({ bytes: sent, total: totalSize, progress });
+  };
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const obj = JSON.parse(line);
+    if (obj.Hash) {
+      added.push(obj);
+    } else if (typeof obj.Bytes === 'number') {
+      bytesByName.set(obj.Name, obj.Bytes);
+      report();
+    }
+  };
+
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const chunk of response.body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffered.indexOf('\n')) !== -1) {
+      handleLine(buffered.slice(0, newline));
+      buffered = buffered.slice(newline + 1);
+    }
+  }
+  handleLine(buffered + decoder.decode());
+
+  if (added.length === 0) {
+    throw new Error('IPFS add returned no entries');
+  }
+  return added;
+}
+
+// The root of an add is the last entry: the wrapping directory (empty
+// Name) when wrap-with-directory is set, otherwise the top-level item.
+function rootEntry(added) {
+  return added[added.length - 1];
+}
+
+/**
+ * Publish raw data (string or Buffer) as a single file.
+ */
+async function publishData(data, options = {}) {
+  const bytes = Buffer.from(data);
+  const entries = [{ type: 'file', relPath: options.name || 'data.txt', bytes }];
+  const added = await runAdd(entries, bytes.length, options);
+  return normalizeAddResult(rootEntry(added), bytes.length);
+}
+
+/**
+ * Publish a file from a filesystem path.
+ */
+async function publishFile(filePath, options = {}) {
+  const stat = await fsp.stat(filePath);
+  const entries = [
+    { type: 'file', relPath: path.basename(filePath), absPath: filePath, size: stat.size },
+  ];
+  const added = await runAdd(entries, stat.size, options);
+  return normalizeAddResult(rootEntry(added), stat.size);
+}
+
+/**
+ * Publish a directory as a UnixFS directory. The directory itself is the
+ * root unless `wrapWithDirectory` is set, in which case the folder appears
+ * by name inside an outer directory.
+ */
+async function publishDirectory(dirPath, options = {}) {
+  const { entries, totalSize } = await collectDirectoryEntries(dirPath, path.basename(dirPath));
+  const added = await runAdd(entries, totalSize, options);
+  return normalizeAddResult(rootEntry(added), totalSize);
+}
+
+/**
+ * Publish in-memory files (from window.ipfs) as one directory. Paths are
+ * relative and already validated; parent directories are emitted before
+ * their children, and the result is always wrapped so the root CID is the
+ * directory holding every path.
+ *
+ * @param {Array<{ path: string, bytes: Buffer }>} files
+ * @param {{ onProgress?: Function }} [options]
+ */
+async function publishFilesFromContent(files, options = {}) {
+  const entries = [];
+  const seenDirs = new Set();
+  let totalSize = 0;
+
+  const sorted = [...files].sort((a, b) => a.path.localeCompare(b.path));
+  for (const file of sorted) {
+    const segments = file.path.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      const dir = segments.slice(0, i).join('/');
+      if (seenDirs.has(dir)) continue;
+      seenDirs.add(dir);
+      entries.push({ type: 'directory', relPath: dir });
+    }
+    totalSize += file.bytes.length;
+    entries.push({ type: 'file', relPath: file.path, bytes: file.bytes });
+  }
+
+  const added = await runAdd(entries, totalSize, { ...options, wrapWithDirectory: true });
+  return normalizeAddResult(rootEntry(added), totalSize);
+}
+
+// Progress sender bound to the invoking webContents. Webviews can navigate
+// away mid-upload, so a destroyed sender is silently skipped.
+function progressReporter(event) {
+  const sender = event?.sender;
+  if (!sender?.send) return undefined;
+  return (progress) => {
+    if (sender.isDestroyed?.()) return;
+    sender.send(PROGRESS_CHANNEL, progress);
+  };
+}
+
+function toPublishOptions(event, options) {
+  return {
+    wrapWithDirectory: options?.wrapWithDirectory === true,
+    onProgress: progressReporter(event),
+  };
+}
+
+async function runTracked(event, { type, name, options }, publish) {
+  const historyEntry = addEntry({
+    type,
+    name,
+    status: 'uploading',
+    origin: USER_ORIGIN,
+    protocol: 'ipfs',
+  });
+  try {
+    const result = await publish(toPublishOptions(event, options));
+    updateEntry(historyEntry.id, {
+      status: 'completed',
+      reference: result.cid,
+      bytesSize: result.bytesSize,
+    });
+    return { success: true, reference: result.cid, cid: result.cid, ipfsUrl: result.ipfsUrl };
+  } catch (err) {
+    log.error(`[IpfsPublish] Failed to publish ${type}:`, err.message);
+    updateEntry(historyEntry.id, { status: 'failed', errorMessage: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Register IPC handlers for IPFS publish operations.
+ *
+ * Same invariant as `registerPublishIpc` in swarm/publish-service.js:
+ * these accept raw filesystem paths and MUST only be reachable from the
+ * shell renderer and guardInternal()-wrapped internal pages.
+ */
+function registerIpfsPublishIpc() {
+  ipcMain.handle('ipfs:publish-data', async (event, data, options) => {
+    if (!data && data !== '') {
+      return { success: false, error: 'Data is required' };
+    }
+    return runTracked(event, { type: 'data', name: 'Text', options }, (opts) =>
+      publishData(data, opts)
+    );
+  });
+
+  ipcMain.handle('ipfs:publish-file', async (event, filePath, options) => {
+    if (!filePath || typeof filePath !== 'string') {
+      return { success: false, error: 'File path is required' };
+    }
+    if (!fs.existsSync(filePath)) {
+      return { success: false, error: `File not found: ${filePath}` };
+    }
+    const name = path.basename(filePath);
+    return runTracked(event, { type: 'file', name, options }, (opts) =>
+      publishFile(filePath, opts)
+    );
+  });
+
+  ipcMain.handle('ipfs:publish-directory', async (event, dirPath, options) => {
+    if (!dirPath || typeof dirPath !== 'string') {
+      return { success: false, error: 'Directory path is required' };
+    }
+    if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+      return { success: false, error: `Directory not found: ${dirPath}` };
+    }
+    const name = path.basename(dirPath);
+    return runTracked(event, { type: 'directory', name, options }, (opts) =>
+      publishDirectory(dirPath, opts)
+    );
+  });
+
+  log.info('[IpfsPublish] IPC handlers registered');
+}
+
+module.exports = {
+  normalizeAddResult,
+  buildAddUrl,
+  publishData,
+  publishFile,
+  publishDirectory,
+  publishFilesFromContent,
+  registerIpfsPublishIpc,
+  PROGRESS_CHANNEL,
+};
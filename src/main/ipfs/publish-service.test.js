@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ipcHandlers = {};
+jest.mock('electron', () => ({
+  ipcMain: {
+    handle: (channel, handler) => {
+      ipcHandlers[channel] = handler;
+    },
+  },
+}));
+
+jest.mock('../service-registry', () => ({
+  getIpfsApiUrl: jest.fn(() => 'http://127.0.0.1:5001'),
+}));
+
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../swarm/publish-history', () => ({
+  addEntry: jest.fn(() => ({ id: 7 })),
+  updateEntry: jest.fn(),
+}));
+
+const { addEntry, updateEntry } = require('../swarm/publish-history');
+const {
+  buildAddUrl,
+  normalizeAddResult,
+  publishData,
+  publishDirectory,
+  publishFilesFromContent,
+  registerIpfsPublishIpc,
+  PROGRESS_CHANNEL,
+} = require('./publish-service');
+
+registerIpfsPublishIpc();
+
+const CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+
+// Kubo streams NDJSON; split mid-line to exercise the line buffer.
+function ndjsonResponse(objects, status = 200) {
+  const text = objects.map((o) => JSON.stringify(o)).join('\n') + '\n';
+  const mid = Math.floor(text.length / 2);
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(text.slice(0, mid)));
+      controller.enqueue(encoder.encode(text.slice(mid)));
+      controller.close();
+    },
+  });
+  return new Response(body, { status });
+}
+
+function formEntries(init) {
+  return [...init.body.entries()].map(([field, value]) => ({
+    field,
+    name: value.name,
+    type: value.type,
+  }));
+}
+
+describe('ipfs publish-service', () => {
+  let fetchMock;
+  let tempDir;
+
+  beforeEach(() => {
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+    addEntry.mockClear();
+    updateEntry.mockClear();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'freedom-ipfs-publish-test-'));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('buildAddUrl pins, uses CIDv1 and requests progress', () => {
+    const url = new URL(buildAddUrl({ wrapWithDirectory: true }));
+    expect(url.origin + url.pathname).toBe('http://127.0.0.1:5001/api/v0/add');
+    expect(url.searchParams.get('pin')).toBe('true');
+    expect(url.searchParams.get('cid-version')).toBe('1');
+    expect(url.searchParams.get('progress')).toBe('true');
+    expect(url.searchParams.get('wrap-with-directory')).toBe('true');
+  });
+
+  test('normalizeAddResult builds the ipfs:// URL', () => {
+    expect(normalizeAddResult({ Name: 'x', Hash: CID }, 3)).toEqual({
+      reference: CID,
+      cid: CID,
+      ipfsUrl: `ipfs://${CID}`,
+      bytesSize: 3,
+    });
+  });
+
+  test('publishData returns the root entry and reports progress', async () => {
+    fetchMock.mockResolvedValue(
+      ndjsonResponse([
+        { Name: 'data.txt', Bytes: 5 },
+        { Name: 'data.txt', Hash: 'bafkfile', Size: '5' },
+        { Name: '', Hash: CID, Size: '60' },
+      ])
+    );
+    const onProgress = jest.fn();
+
+    const result = await publishData('hello', { wrapWithDirectory: true, onProgress });
+
+    expect(result.cid).toBe(CID);
+    expect(onProgress).toHaveBeenCalledWith({ bytes: 5, total: 5, progress: 100 });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toContain('wrap-with-directory=true');
+    expect(formEntries(init)).toEqual([{ field: 'file', name: 'data.txt', type: '' }]);
+  });
+
+  test('publishDirectory sends directories before their children', async () => {
+    const site = path.join(tempDir, 'my site');
+    fs.mkdirSync(path.join(site, 'css'), { recursive: true });
+    fs.writeFileSync(path.join(site, 'index.html'), '<h1>hi</h1>');
+    fs.writeFileSync(path.join(site, 'css', 'a.css'), 'body{}');
+    fetchMock.mockResolvedValue(ndjsonResponse([{ Name: 'my site', Hash: CID, Size: '99' }]));
+
+    const result = await publishDirectory(site);
+
+    expect(result).toEqual(expect.objectContaining({ cid: CID, bytesSize: 17 }));
+    const entries = formEntries(fetchMock.mock.calls[0][1]);
+    expect(entries.map((e) => e.name)).toEqual([
+      'my%20site',
+      'my%20site/css',
+      'my%20site/css/a.css',
+      'my%20site/index.html',
+    ]);
+    expect(entries[0].type).toBe('application/x-directory');
+  });
+
+  test('publishFilesFromContent adds parent directories and wraps the tree', async () => {
+    fetchMock.mockResolvedValue(ndjsonResponse([{ Name: '', Hash: CID, Size: '42' }]));
+
+    const result = await publishFilesFromContent([
+      { path: 'index.html', bytes: Buffer.from('<p>') },
+      { path: 'assets/img/a.png', bytes: Buffer.from([1, 2]) },
+    ]);
+
+    expect(result).toEqual(expect.objectContaining({ cid: CID, bytesSize: 5 }));
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toContain('wrap-with-directory=true');
+    expect(formEntries(init).map((e) => e.name)).toEqual([
+      'assets',
+      'assets/img',
+      'assets/img/a.png',
+      'index.html',
+    ]);
+  });
+
+  test('surfaces Kubo error messages', async () => {
+    fetchMock.mockResolvedValue(
+      new Response(JSON.stringify({ Message: 'repo full', Code: 0 }), { status: 500 })
+    );
+    await expect(publishData('x')).rejects.toThrow('IPFS add failed (500): repo full');
+  });
+
+  describe('IPC', () => {
+    const makeEvent = () => ({ sender: { send: jest.fn(), isDestroyed: () => false } });
+
+    test('ipfs:publish-data records an ipfs history row and pushes progress', async () => {
+      fetchMock.mockResolvedValue(
+        ndjsonResponse([
+          { Name: 'data.txt', Bytes: 2 },
+          { Name: 'data.txt', Hash: CID, Size: '2' },
+        ])
+      );
+      const event = makeEvent();
+
+      const result = await ipcHandlers['ipfs:publish-data'](event, 'hi');
+
+      expect(result).toEqual({
+        success: true,
+        reference: CID,
+        cid: CID,
+        ipfsUrl: `ipfs://${CID}`,
+      });
+      expect(addEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'data', protocol: 'ipfs', status: 'uploading' })
+      );
+      expect(updateEntry).toHaveBeenCalledWith(7, {
+        status: 'completed',
+        reference: CID,
+        bytesSize: 2,
+      });
+      expect(event.sender.send).toHaveBeenCalledWith(PROGRESS_CHANNEL, {
+        bytes: 2,
+        total: 2,
+        progress: 100,
+      });
+    });
+
+    test('ipfs:publish-file rejects missing files without touching history', async () => {
+      const result = await ipcHandlers['ipfs:publish-file'](
+        makeEvent(),
+        path.join(tempDir, 'nope.txt')
+      );
+      expect(result.success).toBe(false);
+      expect(addEntry).not.toHaveBeenCalled();
+    });
+
+    test('failed adds mark the history row failed', async () => {
+      const file = path.join(tempDir, 'a.txt');
+      fs.writeFileSync(file, 'abc');
+      const err = new Error('fetch failed');
+      fetchMock.mockRejectedValue(err);
+
+      const result = await ipcHandlers['ipfs:publish-file'](makeEvent(), file);
+
+      expect(result).toEqual({ success: false, error: 'fetch failed' });
+      expect(updateEntry).toHaveBeenCalledWith(7, {
+        status: 'failed',
+        errorMessage: 'fetch failed',
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Periodic Check
+ *
+ * Shared plumbing for the background monitors (ENS bookmark watcher, stamp
+ * monitor, content health): a single-flight check run on a timer, capped
+ * desktop notifications that open the relevant page when clicked, and the
+ * "state changed" broadcast the renderer listens for.
+ */
+
+const { BrowserWindow, Notification } = require('electron');
+const log = require('./logger');
+
+// More notices than this in one check collapse into a single notification.
+const MAX_NOTIFICATIONS_PER_CHECK = 3;
+
+/**
+ * Wrap `run` so overlapping calls share one run, and schedule it: first
+ * after `initialDelayMs` (off the startup critical path), then every
+ * `intervalMs` while `isEnabled()` allows.
+ * @param {Object} options
+ * @param {function(): Promise<*>} options.run
+ * @param {number} options.intervalMs
+ * @param {number} options.initialDelayMs
+ * @param {function(): boolean} options.isEnabled - checked before each scheduled run
+ * @param {string} options.logTag - log prefix, e.g. 'StampMonitor'
+ * @param {string} options.failureMessage - logged when a scheduled run throws
+ * @returns {{ check: function(): Promise<*>, start: function(): void, stop: function(): void }}
+ */
+function createPeriodicCheck({
+  run,
+  intervalMs,
+  initialDelayMs,
+  isEnabled,
+  logTag,
+  failureMessage,
+}) {
+  let checkTimer = null;
+  let checkStartTimer = null;
+  let checkInFlight = null;
+
+  function check() {
+    if (checkInFlight) return checkInFlight;
+    checkInFlight = run().finally(() => {
+      checkInFlight = null;
+    });
+    return checkInFlight;
+  }
+
+  function scheduledCheck() {
+    if (!isEnabled()) return;
+    check().catch((err) => log.warn(`[${logTag}] ${failureMessage}:`, err.message));
+  }
+
+  function start() {
+    if (checkTimer || checkStartTimer) return;
+    checkStartTimer = setTimeout(() => {
+      checkStartTimer = null;
+      scheduledCheck();
+      checkTimer = setInterval(scheduledCheck, intervalMs);
+    }, initialDelayMs);
+  }
+
+  function stop() {
+    clearTimeout(checkStartTimer);
+    clearInterval(checkTimer);
+    checkStartTimer = null;
+    checkTimer = null;
+  }
+
+  return { check, start, stop };
+}
+
+/**
+ * Bring the first open window forward, optionally opening `url` in a new tab.
+ */
+function focusMainWindow(url) {
+  const win = BrowserWindow.getAllWindows().find((w) => !w.isDestroyed());
+  if (!win) return;
+  if (win.isMinimized()) win.restore();
+  win.focus();
+  if (url) win.webContents.send('tab:new-with-url', url);
+}
+
+/**
+ * Show one desktop notification per item, or a single `summary` one when a
+ * check found more than MAX_NOTIFICATIONS_PER_CHECK.
+ * @param {Array} items
+ * @param {Object} options
+ * @param {function(*): { title: string, body: string }} options.describe
+ * @param {function(number): { title: string, body: string }} options.summary
+ * @param {string} [options.url] - page opened when a notification is clicked
+ * @param {string} options.logTag
+ */
+function notifyAll(items, { describe, summary, url, logTag }) {
+  if (!Notification?.isSupported?.()) return;
+  const notes =
+    items.length > MAX_NOTIFICATIONS_PER_CHECK ? [summary(items.length)] : items.map(describe);
+
+  for (const { title, body } of notes) {
+    try {
+      const notification = new Notification({ title, body });
+      notification.on('click', () => focusMainWindow(url));
+      notification.show();
+    } catch (err) {
+      log.warn(`[${logTag}] Failed to show notification:`, err.message);
+    }
+  }
+}
+
+/**
+ * Tell every window that `channel`'s state changed.
+ */
+function broadcastUpdate(channel) {
+  for (const win of BrowserWindow.getAllWindows()) {
+    try {
+      win.webContents.send(channel);
+    } catch {
+      // Window might be closing
+    }
+  }
+}
+
+module.exports = {
+  createPeriodicCheck,
+  notifyAll,
+  broadcastUpdate,
+  MAX_NOTIFICATIONS_PER_CHECK,
+};
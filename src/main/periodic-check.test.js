@@ -0,0 +1,130 @@
+const { loadMainModule } = require('../../test/helpers/main-process-test-utils');
+
+function loadPeriodicCheck() {
+  const notifications = [];
+  class MockNotification {
+    static isSupported() {
+      return true;
+    }
+
+    constructor(opts) {
+      this.opts = opts;
+      this.handlers = {};
+      this.on = jest.fn((event, fn) => {
+        this.handlers[event] = fn;
+      });
+      this.show = jest.fn();
+      notifications.push(this);
+    }
+  }
+  const win = {
+    isDestroyed: () => false,
+    isMinimized: () => false,
+    restore: jest.fn(),
+    focus: jest.fn(),
+    webContents: { send: jest.fn() },
+  };
+  const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+  const { mod } = loadMainModule(require.resolve('./periodic-check'), {
+    windows: [win],
+    electronOverrides: { Notification: MockNotification },
+    extraMocks: { [require.resolve('./logger')]: () => log },
+  });
+  return { mod, notifications, win, log };
+}
+
+describe('periodic-check', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('shares one run between overlapping checks', async () => {
+    const { mod } = loadPeriodicCheck();
+    let finish;
+    const run = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          finish = resolve;
+        })
+    );
+    const periodic = mod.createPeriodicCheck({ run, isEnabled: () => true });
+
+    const first = periodic.check();
+    const second = periodic.check();
+    finish('done');
+
+    expect(second).toBe(first);
+    await expect(first).resolves.toBe('done');
+    expect(run).toHaveBeenCalledTimes(1);
+
+    periodic.check();
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('runs after the initial delay, then on the interval while enabled', async () => {
+    jest.useFakeTimers();
+    const { mod, log } = loadPeriodicCheck();
+    let enabled = true;
+    const run = jest.fn(async () => {
+      throw new Error('boom');
+    });
+    const periodic = mod.createPeriodicCheck({
+      run,
+      intervalMs: 1000,
+      initialDelayMs: 500,
+      isEnabled: () => enabled,
+      logTag: 'Test',
+      failureMessage: 'Check failed',
+    });
+
+    periodic.start();
+    periodic.start();
+    jest.advanceTimersByTime(499);
+    expect(run).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(run).toHaveBeenCalledTimes(1);
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+    expect(log.warn).toHaveBeenCalledWith('[Test] Check failed:', 'boom');
+
+    enabled = false;
+    jest.advanceTimersByTime(1000);
+    expect(run).toHaveBeenCalledTimes(1);
+
+    enabled = true;
+    jest.advanceTimersByTime(1000);
+    expect(run).toHaveBeenCalledTimes(2);
+
+    periodic.stop();
+    jest.advanceTimersByTime(5000);
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('collapses more than the cap into one summary that opens the page', () => {
+    const { mod, notifications, win } = loadPeriodicCheck();
+    const options = {
+      describe: (n) => ({ title: `item ${n}`, body: '' }),
+      summary: (count) => ({ title: `${count} items`, body: '' }),
+      url: 'freedom://example',
+      logTag: 'Test',
+    };
+
+    mod.notifyAll([1, 2, 3], options);
+    expect(notifications.map((n) => n.opts.title)).toEqual(['item 1', 'item 2', 'item 3']);
+
+    notifications.length = 0;
+    mod.notifyAll([1, 2, 3, 4], options);
+    expect(notifications.map((n) => n.opts.title)).toEqual(['4 items']);
+
+    notifications[0].handlers.click();
+    expect(win.focus).toHaveBeenCalled();
+    expect(win.webContents.send).toHaveBeenCalledWith('tab:new-with-url', 'freedom://example');
+  });
+
+  test('broadcasts updates to every window', () => {
+    const { mod, win } = loadPeriodicCheck();
+    mod.broadcastUpdate('example:updated');
+    expect(win.webContents.send).toHaveBeenCalledWith('example:updated');
+  });
+});
@@ -28,6 +28,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   startSwarmProbe: (hash) => ipcRenderer.invoke('bzz:start-probe', { hash }),
   awaitSwarmProbe: (id) => ipcRenderer.invoke('bzz:await-probe', { id }),
   cancelSwarmProbe: (id) => ipcRenderer.invoke('bzz:cancel-probe', { id }),
+  resolveSwarmFeed: (owner, topic, index = null) =>
+    ipcRenderer.invoke('bzz:resolve-feed', { owner, topic, index }),
   setIpfsBase: (webContentsId, baseUrl) =>
     ipcRenderer.invoke('ipfs:set-base', { webContentsId, baseUrl }),
   clearIpfsBase: (webContentsId) => ipcRenderer.invoke('ipfs:clear-base', { webContentsId }),
@@ -53,7 +55,32 @@ contextBridge.exposeInMainWorld('electronAPI', {
   resolveEns: (name) => ipcRenderer.invoke('ens:resolve', { name }),
   resolveEnsAddress: (name) => ipcRenderer.invoke('ens:resolve-address', { name }),
   resolveEnsReverse: (address) => ipcRenderer.invoke('ens:resolve-reverse', { address }),
+  resolveEnsText: (name, key) => ipcRenderer.invoke('ens:resolve-text', { name, key }),
+  resolveEnsProfile: (name) => ipcRenderer.invoke('ens:resolve-profile', { name }),
+  resolveEnsAvatar: (name) => ipcRenderer.invoke('ens:resolve-avatar', { name }),
   invalidateEnsContent: (name) => ipcRenderer.invoke('ens:invalidate-content', { name }),
+  getEnsBookmarkUpdates: () => ipcRenderer.invoke('ens-watch:list'),
+  markEnsBookmarkUpdatesSeen: (name) => ipcRenderer.invoke('ens-watch:mark-seen', name),
+  onEnsBookmarkUpdates: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on('ens-watch:updated', handler);
+    return () => ipcRenderer.removeListener('ens-watch:updated', handler);
+  },
+  getSwarmContentHealth: () => ipcRenderer.invoke('swarm:content-health-status'),
+  onSwarmContentHealthUpdate: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on('swarm:content-health-updated', handler);
+    return () => ipcRenderer.removeListener('swarm:content-health-updated', handler);
+  },
+  // Review requests for "Set as contenthash" on freedom://publish; the
+  // answer goes back through respondEnsPublishReview.
+  onEnsPublishReview: (callback) => {
+    const handler = (_event, request) => callback(request);
+    ipcRenderer.on('ens-publish:review', handler);
+    return () => ipcRenderer.removeListener('ens-publish:review', handler);
+  },
+  respondEnsPublishReview: (id, outcome) =>
+    ipcRenderer.invoke('ens-publish:review-result', id, outcome),
   testEnsRpc: (url) => ipcRenderer.invoke('ens:test-rpc', { url }),
   // History
   getHistory: (options) => ipcRenderer.invoke('history:get', options),
@@ -213,6 +240,7 @@ contextBridge.exposeInMainWorld('ipfs', {
   stop: () => ipcRenderer.invoke('ipfs:stop'),
   getStatus: () => ipcRenderer.invoke('ipfs:getStatus'),
   checkBinary: () => ipcRenderer.invoke('ipfs:checkBinary'),
+  pinSite: (url, options) => ipcRenderer.invoke('ipfs:pin-add', url, options),
   onStatusUpdate: (callback) => {
     const handler = (_event, value) => callback(value);
     ipcRenderer.on('ipfs:statusUpdate', handler);
@@ -317,8 +345,25 @@ contextBridge.exposeInMainWorld('wallet', {
   getTransactionStatus: (txHash, chainId) => ipcRenderer.invoke('wallet:get-transaction-status', txHash, chainId),
   waitForTransaction: (txHash, chainId, confirmations) => ipcRenderer.invoke('wallet:wait-for-transaction', txHash, chainId, confirmations),
 
+  // Activity log
+  getActivity: () => ipcRenderer.invoke('wallet:get-activity'),
+  clearActivity: () => ipcRenderer.invoke('wallet:clear-activity'),
+  speedUpTransaction: (activityId) =>
+    ipcRenderer.invoke('wallet:replace-transaction', activityId, 'speed-up'),
+  cancelTransaction: (activityId) =>
+    ipcRenderer.invoke('wallet:replace-transaction', activityId, 'cancel'),
+  onActivityUpdate: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on('wallet:activity-updated', handler);
+    return () => ipcRenderer.removeListener('wallet:activity-updated', handler);
+  },
+
+  // Token approvals
+  scanAllowances: () => ipcRenderer.invoke('wallet:scan-allowances'),
+
   // dApp-specific operations (use specific wallet index)
   dappSendTransaction: (params, walletIndex) => ipcRenderer.invoke('wallet:dapp-send-transaction', params, walletIndex),
+  analyzeTransaction: (params) => ipcRenderer.invoke('wallet:analyze-transaction', params),
   signMessage: (message, walletIndex) => ipcRenderer.invoke('wallet:sign-message', message, walletIndex),
   signTypedData: (typedData, walletIndex) => ipcRenderer.invoke('wallet:sign-typed-data', typedData, walletIndex),
 
@@ -340,6 +385,15 @@ contextBridge.exposeInMainWorld('swarmNode', {
   publishFile: (filePath) => ipcRenderer.invoke('swarm:publish-file', filePath),
   publishDirectory: (dirPath) => ipcRenderer.invoke('swarm:publish-directory', dirPath),
   getUploadStatus: (tagUid) => ipcRenderer.invoke('swarm:get-upload-status', tagUid),
+  getStampMonitorStatus: () => ipcRenderer.invoke('swarm:stamp-monitor-status'),
+  setStampPolicy: (batchId, policy) =>
+    ipcRenderer.invoke('swarm:stamp-monitor-set-policy', batchId, policy),
+  checkStamps: () => ipcRenderer.invoke('swarm:stamp-monitor-check'),
+  onStampMonitorUpdate: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on('swarm:stamp-monitor-updated', handler);
+    return () => ipcRenderer.removeListener('swarm:stamp-monitor-updated', handler);
+  },
 });
 
 contextBridge.exposeInMainWorld('chainRegistry', {
@@ -349,6 +403,8 @@ contextBridge.exposeInMainWorld('chainRegistry', {
   getToken: (key) => ipcRenderer.invoke('chain-registry:get-token', key),
   addChain: (chain) => ipcRenderer.invoke('chain-registry:add-chain', chain),
   addToken: (token) => ipcRenderer.invoke('chain-registry:add-token', token),
+  addSuggestedChain: (chain, origin) =>
+    ipcRenderer.invoke('chain-registry:add-suggested-chain', chain, origin),
   removeChain: (chainId) => ipcRenderer.invoke('chain-registry:remove-chain', chainId),
   removeToken: (key) => ipcRenderer.invoke('chain-registry:remove-token', key),
   getAvailableChains: () => ipcRenderer.invoke('chain-registry:get-available-chains'),
@@ -398,8 +454,8 @@ contextBridge.exposeInMainWorld('swarmPermissions', {
 });
 
 contextBridge.exposeInMainWorld('swarmProvider', {
-  execute: (method, params, origin) =>
-    ipcRenderer.invoke('swarm:provider-execute', { method, params, origin }),
+  execute: (method, params, origin, webContentsId) =>
+    ipcRenderer.invoke('swarm:provider-execute', { method, params, origin, webContentsId }),
 });
 
 contextBridge.exposeInMainWorld('swarmFeedStore', {
@@ -410,3 +466,19 @@ contextBridge.exposeInMainWorld('swarmFeedStore', {
   setFeedIdentity: (origin, identityMode) => ipcRenderer.invoke('swarm:set-feed-identity', origin, identityMode),
   revokeFeedAccess: (origin) => ipcRenderer.invoke('swarm:revoke-feed-access', origin),
 });
+
+contextBridge.exposeInMainWorld('ipfsPermissions', {
+  getPermission: (origin) => ipcRenderer.invoke('ipfs:get-permission', origin),
+  grantPermission: (origin) => ipcRenderer.invoke('ipfs:grant-permission', origin),
+  revokePermission: (origin) => ipcRenderer.invoke('ipfs:revoke-permission', origin),
+  getAllPermissions: () => ipcRenderer.invoke('ipfs:get-all-permissions'),
+  updateLastUsed: (origin) => ipcRenderer.invoke('ipfs:update-last-used', origin),
+  getAutoApprove: (origin, type) => ipcRenderer.invoke('ipfs:get-auto-approve', origin, type),
+  setAutoApprove: (origin, type, enabled) =>
+    ipcRenderer.invoke('ipfs:set-auto-approve', origin, type, enabled),
+});
+
+contextBridge.exposeInMainWorld('ipfsProvider', {
+  execute: (method, params, origin) =>
+    ipcRenderer.invoke('ipfs:provider-execute', { method, params, origin }),
+});
@@ -85,7 +85,7 @@ describe('preload', () => {
       ipfsGatewayEnv: 'http://127.0.0.1:9090',
     });
 
-    expect(contextBridge.exposeInMainWorld).toHaveBeenCalledTimes(18);
+    expect(contextBridge.exposeInMainWorld).toHaveBeenCalledTimes(20);
     expect(Object.keys(exposures)).toEqual([
       'nodeConfig',
       'internalPages',
@@ -105,6 +105,8 @@ describe('preload', () => {
       'swarmPermissions',
       'swarmProvider',
       'swarmFeedStore',
+      'ipfsPermissions',
+      'ipfsProvider',
     ]);
     expect(ipcRenderer.sendSync).toHaveBeenCalledWith(IPC.GET_INTERNAL_PAGES);
     expect(exposures.nodeConfig).toEqual({
@@ -119,6 +121,7 @@ describe('preload', () => {
       [exposures.electronAPI, 'startSwarmProbe', ['a'.repeat(64)], IPC.BZZ_START_PROBE, [{ hash: 'a'.repeat(64) }]],
       [exposures.electronAPI, 'awaitSwarmProbe', ['probe-1'], IPC.BZZ_AWAIT_PROBE, [{ id: 'probe-1' }]],
       [exposures.electronAPI, 'cancelSwarmProbe', ['probe-1'], IPC.BZZ_CANCEL_PROBE, [{ id: 'probe-1' }]],
+      [exposures.electronAPI, 'resolveSwarmFeed', ['b'.repeat(40), 'c'.repeat(64), 3], IPC.BZZ_RESOLVE_FEED, [{ owner: 'b'.repeat(40), topic: 'c'.repeat(64), index: 3 }]],
       [exposures.electronAPI, 'setIpfsBase', [21, 'http://127.0.0.1:8080/ipfs/cid/'], IPC.IPFS_SET_BASE, [{ webContentsId: 21, baseUrl: 'http://127.0.0.1:8080/ipfs/cid/' }]],
       [exposures.electronAPI, 'clearIpfsBase', [21], IPC.IPFS_CLEAR_BASE, [{ webContentsId: 21 }]],
       [exposures.electronAPI, 'setRadBase', [31, 'http://127.0.0.1:8780/api/v1/repos/rid/'], IPC.RAD_SET_BASE, [{ webContentsId: 31, baseUrl: 'http://127.0.0.1:8780/api/v1/repos/rid/' }]],
@@ -133,6 +136,13 @@ describe('preload', () => {
       [exposures.electronAPI, 'resolveEns', ['myname.box'], IPC.ENS_RESOLVE, [{ name: 'myname.box' }]],
       [exposures.electronAPI, 'resolveEnsAddress', ['vitalik.eth'], IPC.ENS_RESOLVE_ADDRESS, [{ name: 'vitalik.eth' }]],
       [exposures.electronAPI, 'resolveEnsReverse', ['0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'], IPC.ENS_RESOLVE_REVERSE, [{ address: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045' }]],
+      [exposures.electronAPI, 'resolveEnsText', ['vitalik.eth', 'url'], IPC.ENS_RESOLVE_TEXT, [{ name: 'vitalik.eth', key: 'url' }]],
+      [exposures.electronAPI, 'resolveEnsProfile', ['vitalik.eth'], IPC.ENS_RESOLVE_PROFILE, [{ name: 'vitalik.eth' }]],
+      [exposures.electronAPI, 'resolveEnsAvatar', ['vitalik.eth'], IPC.ENS_RESOLVE_AVATAR, [{ name: 'vitalik.eth' }]],
+      [exposures.electronAPI, 'getEnsBookmarkUpdates', [], IPC.ENS_WATCH_LIST, []],
+      [exposures.electronAPI, 'markEnsBookmarkUpdatesSeen', ['vitalik.eth'], IPC.ENS_WATCH_MARK_SEEN, ['vitalik.eth']],
+      [exposures.electronAPI, 'getSwarmContentHealth', [], IPC.SWARM_CONTENT_HEALTH_STATUS, []],
+      [exposures.electronAPI, 'respondEnsPublishReview', [3, { hash: '0xabc' }], IPC.ENS_PUBLISH_REVIEW_RESULT, [3, { hash: '0xabc' }]],
       [exposures.electronAPI, 'getHistory', [{ limit: 10 }], IPC.HISTORY_GET, [{ limit: 10 }]],
       [exposures.electronAPI, 'addHistory', [{ url: 'https://example.com' }], IPC.HISTORY_ADD, [{ url: 'https://example.com' }]],
       [exposures.electronAPI, 'removeHistory', [7], IPC.HISTORY_REMOVE, [7]],
@@ -153,6 +163,7 @@ describe('preload', () => {
       [exposures.ipfs, 'stop', [], IPC.IPFS_STOP, []],
       [exposures.ipfs, 'getStatus', [], IPC.IPFS_GET_STATUS, []],
       [exposures.ipfs, 'checkBinary', [], IPC.IPFS_CHECK_BINARY, []],
+      [exposures.ipfs, 'pinSite', ['ipfs://cid/', { name: 'Site' }], IPC.IPFS_PIN_ADD, ['ipfs://cid/', { name: 'Site' }]],
       [exposures.radicle, 'start', [], IPC.RADICLE_START, []],
       [exposures.radicle, 'stop', [], IPC.RADICLE_STOP, []],
       [exposures.radicle, 'getStatus', [], IPC.RADICLE_GET_STATUS, []],
@@ -164,6 +175,25 @@ describe('preload', () => {
       [exposures.githubBridge, 'validateUrl', ['https://github.com/openai/project'], IPC.GITHUB_BRIDGE_VALIDATE_URL, ['https://github.com/openai/project']],
       [exposures.githubBridge, 'checkExisting', ['https://github.com/openai/project'], IPC.GITHUB_BRIDGE_CHECK_EXISTING, ['https://github.com/openai/project']],
       [exposures.serviceRegistry, 'getRegistry', [], IPC.SERVICE_REGISTRY_GET, []],
+      [exposures.ipfsPermissions, 'getPermission', ['app.eth'], IPC.IPFS_GET_PERMISSION, ['app.eth']],
+      [exposures.ipfsPermissions, 'grantPermission', ['app.eth'], IPC.IPFS_GRANT_PERMISSION, ['app.eth']],
+      [exposures.ipfsPermissions, 'revokePermission', ['app.eth'], IPC.IPFS_REVOKE_PERMISSION, ['app.eth']],
+      [exposures.ipfsPermissions, 'getAllPermissions', [], IPC.IPFS_GET_ALL_PERMISSIONS, []],
+      [exposures.ipfsPermissions, 'updateLastUsed', ['app.eth'], IPC.IPFS_UPDATE_LAST_USED, ['app.eth']],
+      [exposures.ipfsPermissions, 'getAutoApprove', ['app.eth', 'names'], IPC.IPFS_GET_AUTO_APPROVE, ['app.eth', 'names']],
+      [exposures.ipfsPermissions, 'setAutoApprove', ['app.eth', 'names', true], IPC.IPFS_SET_AUTO_APPROVE, ['app.eth', 'names', true]],
+      [exposures.ipfsProvider, 'execute', ['ipfs_cat', { cid: 'cid' }, 'app.eth'], IPC.IPFS_PROVIDER_EXECUTE, [{ method: 'ipfs_cat', params: { cid: 'cid' }, origin: 'app.eth' }]],
+      [exposures.swarmProvider, 'execute', ['swarm_gsocSubscribe', { identifier: 'inbox' }, 'app.eth', 7], IPC.SWARM_PROVIDER_EXECUTE, [{ method: 'swarm_gsocSubscribe', params: { identifier: 'inbox' }, origin: 'app.eth', webContentsId: 7 }]],
+      [exposures.swarmNode, 'getStampMonitorStatus', [], IPC.SWARM_STAMP_MONITOR_STATUS, []],
+      [exposures.swarmNode, 'setStampPolicy', ['ab'.repeat(32), { dilute: { aboveUsagePercent: 90 } }], IPC.SWARM_STAMP_MONITOR_SET_POLICY, ['ab'.repeat(32), { dilute: { aboveUsagePercent: 90 } }]],
+      [exposures.swarmNode, 'checkStamps', [], IPC.SWARM_STAMP_MONITOR_CHECK, []],
+      [exposures.wallet, 'getActivity', [], IPC.WALLET_GET_ACTIVITY, []],
+      [exposures.wallet, 'clearActivity', [], IPC.WALLET_CLEAR_ACTIVITY, []],
+      [exposures.wallet, 'scanAllowances', [], IPC.WALLET_SCAN_ALLOWANCES, []],
+      [exposures.wallet, 'speedUpTransaction', [7], IPC.WALLET_REPLACE_TRANSACTION, [7, 'speed-up']],
+      [exposures.wallet, 'cancelTransaction', [7], IPC.WALLET_REPLACE_TRANSACTION, [7, 'cancel']],
+      [exposures.wallet, 'analyzeTransaction', [{ chainId: 1 }], IPC.WALLET_ANALYZE_TRANSACTION, [{ chainId: 1 }]],
+      [exposures.chainRegistry, 'addSuggestedChain', [{ chainId: 10 }, 'app.eth'], IPC.CHAIN_REGISTRY_ADD_SUGGESTED_CHAIN, [{ chainId: 10 }, 'app.eth']],
     ];
 
     for (const [target, method, args, channel, expectedArgs] of invokeCases) {
@@ -217,7 +247,12 @@ describe('preload', () => {
       [exposures.electronAPI, 'onMoveTabRight', 'tab:move-right', [], []],
       [exposures.electronAPI, 'onReopenClosedTab', 'tab:reopen-closed', [], []],
       [exposures.electronAPI, 'onToggleBookmarkBar', IPC.BOOKMARKS_TOGGLE_BAR, [], []],
+      [exposures.electronAPI, 'onEnsBookmarkUpdates', IPC.ENS_WATCH_UPDATED, [], []],
+      [exposures.electronAPI, 'onSwarmContentHealthUpdate', IPC.SWARM_CONTENT_HEALTH_UPDATED, [], []],
+      [exposures.electronAPI, 'onEnsPublishReview', IPC.ENS_PUBLISH_REVIEW, [{ id: 1 }], [{ id: 1 }]],
       [exposures.electronAPI, 'onUpdateNotification', 'show-update-notification', [{ version: '1.2.3' }], [{ version: '1.2.3' }]],
+      [exposures.swarmNode, 'onStampMonitorUpdate', IPC.SWARM_STAMP_MONITOR_UPDATED, [], []],
+      [exposures.wallet, 'onActivityUpdate', IPC.WALLET_ACTIVITY_UPDATED, [], []],
       [exposures.githubBridge, 'onProgress', IPC.GITHUB_BRIDGE_PROGRESS, [{ step: 'cloning' }], [{ step: 'cloning' }]],
       [exposures.serviceRegistry, 'onUpdate', IPC.SERVICE_REGISTRY_UPDATE, [{ bee: { mode: 'bundled' } }], [{ bee: { mode: 'bundled' } }]],
     ];
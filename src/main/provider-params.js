@@ -0,0 +1,66 @@
+/**
+ * Provider Parameter Helpers
+ *
+ * Validation shared by the page-facing node providers (window.swarm in
+ * swarm/swarm-provider-ipc.js, window.ipfs in ipfs/ipfs-provider-ipc.js).
+ * Both accept file trees and binary payloads over IPC in the same shape.
+ */
+
+/**
+ * Validate a virtual path for manifest inclusion.
+ * @returns {{ valid: boolean, message?: string }}
+ */
+function validateVirtualPath(p) {
+  if (typeof p !== 'string' || p.length === 0) {
+    return { valid: false, message: 'Path must be a non-empty string' };
+  }
+  if (p.length > 256) {
+    return { valid: false, message: 'Path exceeds 256 characters' };
+  }
+  if (p.includes('\\')) {
+    return { valid: false, message: 'Backslashes are not allowed' };
+  }
+  if (p.startsWith('/')) {
+    return { valid: false, message: 'Leading slash is not allowed' };
+  }
+  // Check for control characters and null bytes
+  for (let i = 0; i < p.length; i++) {
+    if (p.charCodeAt(i) < 32) {
+      return { valid: false, message: 'Control characters are not allowed' };
+    }
+  }
+  const segments = p.split('/');
+  for (const seg of segments) {
+    if (seg === '') {
+      return { valid: false, message: 'Empty path segments are not allowed' };
+    }
+    if (seg === '.' || seg === '..') {
+      return { valid: false, message: '"." and ".." segments are not allowed' };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Normalize bytes from IPC — handles Buffer, Uint8Array, ArrayBuffer,
+ * and the JSON-serialized { type: 'Buffer', data: [...] } form.
+ * Returns Buffer or null if invalid.
+ */
+function normalizeBytes(bytes) {
+  if (Buffer.isBuffer(bytes) || bytes instanceof Uint8Array) {
+    return Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+  }
+  if (bytes instanceof ArrayBuffer) {
+    return Buffer.from(bytes);
+  }
+  // IPC sometimes serializes Buffer as { type: 'Buffer', data: [...] }
+  if (bytes && typeof bytes === 'object' && bytes.type === 'Buffer' && Array.isArray(bytes.data)) {
+    return Buffer.from(bytes.data);
+  }
+  return null;
+}
+
+module.exports = {
+  validateVirtualPath,
+  normalizeBytes,
+};
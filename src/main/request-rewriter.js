@@ -15,6 +15,7 @@ const sanitizeUrlForLog = (rawUrl) => {
       parsed.protocol === 'bzz:' ||
       parsed.protocol === 'ipfs:' ||
       parsed.protocol === 'ipns:' ||
+      parsed.protocol === 'ar:' ||
       parsed.protocol === 'freedom:'
     ) {
       return `${parsed.protocol}//<redacted>`;
@@ -25,6 +26,7 @@ const sanitizeUrlForLog = (rawUrl) => {
       rawUrl.startsWith('bzz://') ||
       rawUrl.startsWith('ipfs://') ||
       rawUrl.startsWith('ipns://') ||
+      rawUrl.startsWith('ar://') ||
       rawUrl.startsWith('freedom://')
     ) {
       return `${rawUrl.split('://')[0]}://<redacted>`;
@@ -67,7 +69,10 @@ function convertProtocolUrl(url) {
 
   // Note: `bzz://` is handled by the custom protocol handler in
   // `src/main/swarm/bzz-protocol.js`; see README "Swarm Content Retrieval".
-  // Requests for this scheme never reach the webRequest rewriter.
+  // Requests for this scheme never reach the webRequest rewriter. The same
+  // now holds for page loads of `ipfs://` / `ipns://`
+  // (`src/main/ipfs/ipfs-protocol.js`); the conversions below remain for
+  // callers that need a gateway URL (e.g. ens-prefetch).
 
   // Handle ipfs:// protocol
   if (url.startsWith('ipfs://')) {
@@ -63,6 +63,33 @@ const DEFAULT_SETTINGS = {
   // "Continue once" option. Turn off to navigate straight through with
   // only the amber shield for signal.
   blockUnverifiedEns: true,
+  // ENS lookups for plain DNS names (`example.com` imported via DNSSEC or
+  // served by an offchain resolver). 'off' treats them as https:// sites
+  // only; 'offer' checks each visited DNS site in the background and offers
+  // its ENS content; 'prefer' loads the ENS content for typed names and
+  // falls back to https://. `ens://example.com` works in every mode.
+  ensDnsNames: 'off',
+  // How old the last verified contenthash for a name may be and still be
+  // served (marked stale) when every ENS RPC is unreachable. 0 disables
+  // the offline fallback.
+  ensMaxStalenessDays: 30,
+  // Re-resolve bookmarked ENS names every few hours and notify when their
+  // content, resolver or owner changes (ens-bookmark-watcher.js).
+  watchEnsBookmarks: true,
+  // Poll postage batches and warn when one has fewer than stampWarnTtlDays
+  // left or is at least stampWarnUsagePercent full (stamp-monitor.js).
+  // Per-batch auto top-up policies spend at most stampAutoTopUpCapBzz xBZZ
+  // in any rolling 30 days; 0 turns auto top-ups off.
+  monitorStamps: true,
+  stampWarnTtlDays: 7,
+  stampWarnUsagePercent: 80,
+  stampAutoTopUpCapBzz: 1,
+  // Periodically ask Bee's stewardship endpoint whether published and
+  // bookmarked bzz:// references are still retrievable (content-health.js).
+  monitorContentHealth: true,
+  // Public gateway that ar:// (Arweave) content is proxied through. There
+  // is no local Arweave node, so this host sees every ar:// request.
+  arweaveGatewayUrl: 'https://arweave.net',
   sidebarOpen: false,
   sidebarWidth: 320,
 };
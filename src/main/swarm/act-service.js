@@ -0,0 +1,341 @@
+/**
+ * Swarm ACT (Access Control Trie) sharing
+ *
+ * An ACT upload is bound to a grantee list of secp256k1 public keys. Bee
+ * returns a reference that only the publisher and the grantees' Bee nodes
+ * can resolve, and only when the request carries the publisher key and the
+ * history address of the grantee list as `Swarm-Act-*` headers.
+ *
+ * Our side of that exchange is the local Bee node key (derived from the
+ * vault when identity injection is on):
+ *  - Shares we publish are recorded here with their grantee list, so
+ *    grantees can be added or revoked later and our own bzz:// requests
+ *    carry the right headers.
+ *  - Shares published by others arrive as `bzz://<ref>/?act-publisher=…
+ *    &act-history=…` links. bzz-protocol.js strips those parameters, sends
+ *    them as headers and, once Bee accepts them, records them here so the
+ *    page's sub-resources get the same headers.
+ *
+ * Revoking a grantee rotates the access key for what is published under
+ * the new history address. Bee keeps the old history entries, so content
+ * the revoked key could already read stays readable to it.
+ *
+ * Data model (swarm-act.json):
+ *   { version, shares: { [reference]: { name, publisher, granteeRef, historyAddress,
+ *     grantees: [compressedPubKey], batchId, createdAt, updatedAt } },
+ *     access: { [reference]: { publisher, historyAddress, seenAt } } }
+ */
+
+const { app, ipcMain } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const { PublicKey } = require('@ethersphere/bee-js');
+const log = require('../logger');
+const IPC = require('../../shared/ipc-channels');
+const { getBee, toHex } = require('./swarm-service');
+
+const ACT_FILE = 'swarm-act.json';
+const CURRENT_VERSION = 1;
+
+const MAX_GRANTEES = 100;
+const REFERENCE_RE = /^[0-9a-f]{64}([0-9a-f]{64})?$/;
+const COMPRESSED_KEY_RE = /^0[23][0-9a-f]{64}$/;
+// Raw x||y (as bee-js prints it), optionally with the SEC1 04 prefix.
+const UNCOMPRESSED_KEY_RE = /^(04)?[0-9a-f]{128}$/;
+
+let actCache = null;
+
+function getActPath() {
+  return path.join(app.getPath('userData'), ACT_FILE);
+}
+
+function createEmptyStore() {
+  return {
+    version: CURRENT_VERSION,
+    shares: {},
+    access: {},
+  };
+}
+
+function loadActStore() {
+  if (actCache !== null) {
+    return actCache;
+  }
+
+  try {
+    const filePath = getActPath();
+    if (fs.existsSync(filePath)) {
+      actCache = { ...createEmptyStore(), ...JSON.parse(fs.readFileSync(filePath, 'utf-8')) };
+    } else {
+      actCache = createEmptyStore();
+    }
+  } catch (err) {
+    log.error('[ACT] Failed to load ACT store:', err.message);
+    actCache = createEmptyStore();
+  }
+
+  return actCache;
+}
+
+function saveActStore() {
+  try {
+    fs.writeFileSync(getActPath(), JSON.stringify(actCache, null, 2), 'utf-8');
+  } catch (err) {
+    log.error('[ACT] Failed to save ACT store:', err.message);
+  }
+}
+
+function normalizeHex(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase().replace(/^0x/, '') : '';
+}
+
+function normalizeReference(reference) {
+  const value = normalizeHex(reference);
+  if (!REFERENCE_RE.test(value)) throw new Error('Invalid Swarm reference');
+  return value;
+}
+
+/**
+ * Validate a grantee public key and return it in compressed form, which is
+ * what Bee lists and what the `Swarm-Act-Publisher` header carries.
+ * @param {string} key - compressed (66 hex) or uncompressed (128/130 hex)
+ * @returns {string}
+ */
+function normalizePublicKey(key) {
+  const value = normalizeHex(key);
+  if (COMPRESSED_KEY_RE.test(value) || UNCOMPRESSED_KEY_RE.test(value)) {
+    try {
+      const bytes = value.length === 130 ? value.slice(2) : value;
+      return new PublicKey(bytes).toCompressedHex();
+    } catch {
+      // Right length but not a point on the curve; reported below.
+    }
+  }
+  throw new Error(`Invalid public key: ${String(key).slice(0, 20)}…`);
+}
+
+/**
+ * Validate and de-duplicate a list of grantee public keys.
+ * @param {string[]} grantees
+ * @returns {string[]} Compressed hex keys
+ */
+function normalizeGrantees(grantees) {
+  if (!Array.isArray(grantees)) throw new Error('Grantees must be a list of public keys');
+  const keys = [...new Set(grantees.map(normalizePublicKey))];
+  if (keys.length > MAX_GRANTEES) {
+    throw new Error(`At most ${MAX_GRANTEES} grantees per share`);
+  }
+  return keys;
+}
+
+/**
+ * Public key of the local Bee node, the ACT publisher for our uploads.
+ * @returns {Promise<string>} Compressed hex
+ */
+async function getNodePublicKey() {
+  const { publicKey } = await getBee().getNodeAddresses();
+  return publicKey.toCompressedHex();
+}
+
+/**
+ * Create a grantee list for an upload. The returned history address is
+ * passed to the upload as `actHistoryAddress`.
+ * @param {string} batchId
+ * @param {string[]} grantees
+ * @returns {Promise<{ publisher: string, granteeRef: string, historyAddress: string, grantees: string[] }>}
+ */
+async function createGranteeList(batchId, grantees) {
+  const keys = normalizeGrantees(grantees);
+  if (keys.length === 0) throw new Error('At least one grantee is required');
+
+  const bee = getBee();
+  const [publisher, created] = await Promise.all([
+    getNodePublicKey(),
+    bee.createGrantees(batchId, keys),
+  ]);
+  return {
+    publisher,
+    granteeRef: toHex(created.ref),
+    historyAddress: toHex(created.historyref),
+    grantees: keys,
+  };
+}
+
+function buildShareUrl(reference, access) {
+  const params = new URLSearchParams({
+    'act-publisher': access.publisher,
+    'act-history': access.historyAddress,
+  });
+  return `bzz://${reference}/?${params}`;
+}
+
+function toPublicShare(reference, share) {
+  return {
+    reference,
+    name: share.name,
+    bzzUrl: `bzz://${reference}`,
+    shareUrl: buildShareUrl(reference, share),
+    publisher: share.publisher,
+    historyAddress: share.historyAddress,
+    grantees: [...share.grantees],
+    createdAt: share.createdAt,
+    updatedAt: share.updatedAt,
+  };
+}
+
+/**
+ * Record an ACT upload we published.
+ * @param {string} reference
+ * @param {{ publisher: string, granteeRef: string, historyAddress: string,
+ *   grantees: string[], batchId: string, name?: string }} details
+ * @returns {Object} Public share entry
+ */
+function recordShare(reference, details) {
+  const ref = normalizeReference(reference);
+  const now = Date.now();
+  const store = loadActStore();
+  store.shares[ref] = {
+    name: details.name || null,
+    publisher: details.publisher,
+    granteeRef: details.granteeRef,
+    historyAddress: details.historyAddress,
+    grantees: details.grantees,
+    batchId: details.batchId,
+    createdAt: now,
+    updatedAt: now,
+  };
+  saveActStore();
+  log.info(`[ACT] Shared ${ref.slice(0, 12)}… with ${details.grantees.length} grantee(s)`);
+  return toPublicShare(ref, store.shares[ref]);
+}
+
+function listShares() {
+  const { shares } = loadActStore();
+  return Object.entries(shares)
+    .map(([reference, share]) => toPublicShare(reference, share))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Add and/or revoke grantees of a share. Bee writes a new grantee list and
+ * history entry; later reads use the new history address.
+ * @param {string} reference
+ * @param {{ add?: string[], revoke?: string[] }} changes
+ * @returns {Promise<Object>} Updated public share entry
+ */
+async function updateGrantees(reference, changes = {}) {
+  const ref = normalizeReference(reference);
+  const share = loadActStore().shares[ref];
+  if (!share) throw new Error('Not an access-controlled publish');
+
+  const add = normalizeGrantees(changes.add || []).filter((key) => !share.grantees.includes(key));
+  const revoke = normalizeGrantees(changes.revoke || []);
+  const unknown = revoke.find((key) => !share.grantees.includes(key));
+  if (unknown) throw new Error(`${unknown.slice(0, 12)}… is not a grantee`);
+  if (add.length === 0 && revoke.length === 0) return toPublicShare(ref, share);
+  if (share.grantees.length + add.length > MAX_GRANTEES) {
+    throw new Error(`At most ${MAX_GRANTEES} grantees per share`);
+  }
+
+  const patched = await getBee().patchGrantees(
+    share.batchId,
+    share.granteeRef,
+    share.historyAddress,
+    { add, revoke }
+  );
+
+  share.granteeRef = toHex(patched.ref);
+  share.historyAddress = toHex(patched.historyref);
+  share.grantees = [...share.grantees.filter((key) => !revoke.includes(key)), ...add];
+  share.updatedAt = Date.now();
+  saveActStore();
+  log.info(`[ACT] ${ref.slice(0, 12)}…: +${add.length} / -${revoke.length} grantee(s)`);
+  return toPublicShare(ref, share);
+}
+
+/**
+ * Parse the ACT parameters of a share link.
+ * @param {URLSearchParams} params
+ * @returns {{ publisher: string, historyAddress: string } | null}
+ */
+function parseShareParams(params) {
+  const publisher = normalizeHex(params.get('act-publisher'));
+  const historyAddress = normalizeHex(params.get('act-history'));
+  if (!COMPRESSED_KEY_RE.test(publisher) || !REFERENCE_RE.test(historyAddress)) return null;
+  return { publisher, historyAddress };
+}
+
+/**
+ * Remember the ACT parameters of a link shared with us. Only called once
+ * Bee has served the reference with them, so a page can't plant headers
+ * that break other content.
+ * @param {string} reference
+ * @param {{ publisher: string, historyAddress: string }} access
+ */
+function rememberAccess(reference, access) {
+  const ref = normalizeReference(reference);
+  const store = loadActStore();
+  if (store.shares[ref]) return;
+  const known = store.access[ref];
+  if (known?.publisher === access.publisher && known?.historyAddress === access.historyAddress) {
+    return;
+  }
+  store.access[ref] = {
+    publisher: access.publisher,
+    historyAddress: access.historyAddress,
+    seenAt: Date.now(),
+  };
+  saveActStore();
+}
+
+/**
+ * ACT parameters to send when fetching a reference, or null for public
+ * content.
+ * @param {string} reference
+ * @returns {{ publisher: string, historyAddress: string } | null}
+ */
+function getAccess(reference) {
+  const ref = normalizeHex(reference);
+  const { shares, access } = loadActStore();
+  const entry = shares[ref] || access[ref];
+  return entry ? { publisher: entry.publisher, historyAddress: entry.historyAddress } : null;
+}
+
+function registerActIpc() {
+  ipcMain.handle(IPC.SWARM_ACT_LIST, () => {
+    try {
+      return { success: true, shares: listShares() };
+    } catch (err) {
+      log.error('[ACT] Failed to list shares:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SWARM_ACT_UPDATE_GRANTEES, async (_event, reference, changes) => {
+    try {
+      return { success: true, share: await updateGrantees(reference, changes) };
+    } catch (err) {
+      log.error('[ACT] Failed to update grantees:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+function _resetCache() {
+  actCache = null;
+}
+
+module.exports = {
+  normalizePublicKey,
+  normalizeGrantees,
+  createGranteeList,
+  recordShare,
+  listShares,
+  updateGrantees,
+  buildShareUrl,
+  parseShareParams,
+  rememberAccess,
+  getAccess,
+  registerActIpc,
+  _resetCache,
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const { SigningKey } = require('ethers');
+const { PublicKey } = require('@ethersphere/bee-js');
+const IPC = require('../../shared/ipc-channels');
+const {
+  createTempUserDataDir,
+  loadMainModule,
+  removeTempUserDataDir,
+} = require('../../../test/helpers/main-process-test-utils');
+
+const keyFor = (seed) => new SigningKey(`0x${seed.repeat(32)}`);
+const ALICE = keyFor('11').compressedPublicKey.slice(2);
+const BOB = keyFor('22').compressedPublicKey.slice(2);
+const NODE = keyFor('33').compressedPublicKey.slice(2);
+const REF = 'ab'.repeat(32);
+const HISTORY = 'cd'.repeat(32);
+
+const hexRef = (hex) => ({ toHex: () => hex });
+
+function loadAct(userDataDir) {
+  const bee = {
+    getNodeAddresses: jest.fn(async () => ({ publicKey: new PublicKey(NODE) })),
+    createGrantees: jest.fn(async () => ({
+      ref: hexRef('01'.repeat(32)),
+      historyref: hexRef(HISTORY),
+    })),
+    patchGrantees: jest.fn(async () => ({
+      ref: hexRef('02'.repeat(32)),
+      historyref: hexRef('ef'.repeat(32)),
+    })),
+  };
+
+  const ctx = loadMainModule(require.resolve('./act-service'), {
+    userDataDir,
+    extraMocks: {
+      [require.resolve('../logger')]: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      }),
+      [require.resolve('./swarm-service')]: () => ({
+        getBee: () => bee,
+        toHex: (value) => value.toHex(),
+      }),
+    },
+  });
+
+  return { ...ctx, bee };
+}
+
+describe('act-service', () => {
+  let userDataDir;
+
+  beforeEach(() => {
+    userDataDir = createTempUserDataDir();
+  });
+
+  afterEach(() => {
+    removeTempUserDataDir(userDataDir);
+  });
+
+  test('normalizes grantee keys to compressed form and rejects junk', () => {
+    const { mod } = loadAct(userDataDir);
+    const uncompressed = keyFor('11').publicKey.slice(2); // 04 || x || y
+
+    expect(mod.normalizeGrantees([ALICE, `0x${ALICE.toUpperCase()}`, uncompressed])).toEqual([
+      ALICE,
+    ]);
+    expect(mod.normalizePublicKey(uncompressed.slice(2))).toBe(ALICE);
+    expect(() => mod.normalizeGrantees(['02abc'])).toThrow(/Invalid public key/);
+    expect(() => mod.normalizeGrantees(ALICE)).toThrow(/list of public keys/);
+  });
+
+  test('creates a grantee list published by the local node key', async () => {
+    const { mod, bee } = loadAct(userDataDir);
+
+    const list = await mod.createGranteeList('batch1', [ALICE, BOB]);
+
+    expect(bee.createGrantees).toHaveBeenCalledWith('batch1', [ALICE, BOB]);
+    expect(list).toEqual({
+      publisher: NODE,
+      granteeRef: '01'.repeat(32),
+      historyAddress: HISTORY,
+      grantees: [ALICE, BOB],
+    });
+    await expect(mod.createGranteeList('batch1', [])).rejects.toThrow(/At least one grantee/);
+  });
+
+  test('records shares with a share link and serves their ACT parameters', () => {
+    const { mod } = loadAct(userDataDir);
+
+    const share = mod.recordShare(REF, {
+      publisher: NODE,
+      granteeRef: '01'.repeat(32),
+      historyAddress: HISTORY,
+      grantees: [ALICE],
+      batchId: 'batch1',
+      name: 'notes.txt',
+    });
+
+    expect(share).toMatchObject({
+      reference: REF,
+      name: 'notes.txt',
+      bzzUrl: `bzz://${REF}`,
+      shareUrl: `bzz://${REF}/?act-publisher=${NODE}&act-history=${HISTORY}`,
+      grantees: [ALICE],
+    });
+    expect(mod.getAccess(REF)).toEqual({ publisher: NODE, historyAddress: HISTORY });
+    expect(mod.getAccess('99'.repeat(32))).toBeNull();
+
+    const saved = JSON.parse(fs.readFileSync(path.join(userDataDir, 'swarm-act.json'), 'utf-8'));
+    expect(saved.shares[REF]).toMatchObject({ batchId: 'batch1', granteeRef: '01'.repeat(32) });
+  });
+
+  test('adds and revokes grantees through a patched grantee list', async () => {
+    const { mod, bee } = loadAct(userDataDir);
+    mod.recordShare(REF, {
+      publisher: NODE,
+      granteeRef: '01'.repeat(32),
+      historyAddress: HISTORY,
+      grantees: [ALICE],
+      batchId: 'batch1',
+    });
+
+    const share = await mod.updateGrantees(REF, { add: [BOB], revoke: [ALICE] });
+
+    expect(bee.patchGrantees).toHaveBeenCalledWith('batch1', '01'.repeat(32), HISTORY, {
+      add: [BOB],
+      revoke: [ALICE],
+    });
+    expect(share.grantees).toEqual([BOB]);
+    expect(share.historyAddress).toBe('ef'.repeat(32));
+    expect(mod.getAccess(REF).historyAddress).toBe('ef'.repeat(32));
+
+    await expect(mod.updateGrantees(REF, { revoke: [ALICE] })).rejects.toThrow(/is not a grantee/);
+    await expect(mod.updateGrantees('99'.repeat(32), { add: [ALICE] })).rejects.toThrow(
+      /Not an access-controlled publish/
+    );
+    expect(bee.patchGrantees).toHaveBeenCalledTimes(1);
+  });
+
+  test('parses share-link parameters and remembers access to links from others', () => {
+    const { mod } = loadAct(userDataDir);
+    const params = new URLSearchParams({ 'act-publisher': BOB, 'act-history': HISTORY });
+
+    const access = mod.parseShareParams(params);
+    expect(access).toEqual({ publisher: BOB, historyAddress: HISTORY });
+    expect(mod.parseShareParams(new URLSearchParams({ 'act-publisher': BOB }))).toBeNull();
+
+    mod.rememberAccess(REF, access);
+    mod._resetCache();
+    expect(mod.getAccess(REF)).toEqual(access);
+  });
+
+  test('IPC handlers list shares and report grantee errors', async () => {
+    const ctx = loadAct(userDataDir);
+    ctx.mod.registerActIpc();
+    ctx.mod.recordShare(REF, {
+      publisher: NODE,
+      granteeRef: '01'.repeat(32),
+      historyAddress: HISTORY,
+      grantees: [ALICE],
+      batchId: 'batch1',
+    });
+
+    const list = await ctx.ipcMain.invoke(IPC.SWARM_ACT_LIST);
+    expect(list).toMatchObject({ success: true, shares: [{ reference: REF, grantees: [ALICE] }] });
+
+    const bad = await ctx.ipcMain.invoke(IPC.SWARM_ACT_UPDATE_GRANTEES, REF, { add: ['zz'] });
+    expect(bad).toEqual({ success: false, error: expect.stringMatching(/Invalid public key/) });
+  });
+});
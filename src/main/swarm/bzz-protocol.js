@@ -36,12 +36,28 @@
  *    by Bee for non-redundant content, so they're always safe to set.
  *  - Response body is streamed (no buffering), so large files and media
  *    Range requests don't balloon memory.
+ *  - ACT-protected references get `Swarm-Act-*` headers. They come from
+ *    act-service.js (our own shares, links opened before) or from the
+ *    `act-publisher` / `act-history` parameters of a share link, which are
+ *    stripped before the request reaches Bee.
+ *  - A GET / HEAD 404 on a directory path (`/`, `/docs/`) of a collection
+ *    without an index document is answered with a generated file listing
+ *    (see manifest-listing.js) instead of Bee's bare 404.
  */
 
 const log = require('../logger');
 const { getBeeApiUrl } = require('../service-registry');
 const { resolveEnsContent } = require('../ens-resolver');
-const { isEnsHost } = require('../../shared/origin-utils');
+const { parseShareParams, rememberAccess, getAccess } = require('./act-service');
+const { renderManifestListing } = require('./manifest-listing');
+const { parseFeedHost, resolveFeed } = require('./feed-resolver');
+const { isEnsHost, isDnsEnsName } = require('../../shared/origin-utils');
+const {
+  stripRequestHeaders,
+  jsonErrorResponse,
+  fetchWithRetry,
+  isGatewayUnreachable,
+} = require('../gateway-proxy');
 
 // Per-attempt retry schedule. First entry is the delay BEFORE the 2nd
 // attempt, etc. Total backoff budget ≈ sum of all values (~50s). The probe
@@ -63,50 +79,62 @@ const ATTEMPT_TIMEOUT_MS = 30_000;
 // rationale (the navigation probe handles the cold-start 404 case
 // upstream of subresource fetches).
 const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
-const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD']);
 
 // 64-char or 128-char lowercase/uppercase hex (unencrypted / encrypted refs).
 const BZZ_HASH_RE = /^[a-fA-F0-9]{64}([a-fA-F0-9]{64})?$/;
 
-// Request headers we should not forward to Bee — either Chromium-injected
-// privileged-scheme noise or headers that refer to the bzz:// origin and
-// would confuse the gateway. `cookie` / `authorization` aren't a real
-// security risk against localhost Bee but stripping them keeps the request
-// shape consistent with how we strip Origin / Referer.
-const STRIPPED_REQUEST_HEADERS = new Set([
-  'host',
-  'origin',
-  'referer',
-  'cookie',
-  'authorization',
-  // Connection / hop-by-hop
-  'connection',
-  'keep-alive',
-  'proxy-authenticate',
-  'proxy-authorization',
-  'te',
-  'trailer',
-  'transfer-encoding',
-  'upgrade',
-]);
-
+// Hop-by-hop and origin headers are stripped by the shared proxy (see
+// `gateway-proxy.js`); on top of that every request carries Bee's
+// retrieval hints.
 function sanitizeRequestHeaders(requestHeaders) {
-  const out = new Headers();
-  for (const [name, value] of requestHeaders.entries()) {
-    if (STRIPPED_REQUEST_HEADERS.has(name.toLowerCase())) continue;
-    out.append(name, value);
-  }
+  const out = stripRequestHeaders(requestHeaders);
   out.set('Swarm-Chunk-Retrieval-Timeout', '30s');
   out.set('Swarm-Redundancy-Strategy', '3');
   out.set('Swarm-Redundancy-Fallback-Mode', 'true');
   return out;
 }
 
+/**
+ * Split the ACT parameters off a share link
+ * (`bzz://<ref>/?act-publisher=<key>&act-history=<ref>`).
+ *
+ * Returns `{ url, reference, access }`: `url` without the parameters,
+ * `reference` for hex hosts (ACT lookups are per reference, so ENS hosts
+ * are left alone), `access` when the link carried valid parameters.
+ */
+function takeActParams(bzzUrl) {
+  let parsed;
+  try {
+    parsed = new URL(bzzUrl);
+  } catch {
+    return { url: bzzUrl, reference: null, access: null };
+  }
+  if (!BZZ_HASH_RE.test(parsed.hostname)) {
+    return { url: bzzUrl, reference: null, access: null };
+  }
+
+  const reference = parsed.hostname.toLowerCase();
+  const access = parseShareParams(parsed.searchParams);
+  if (!access) return { url: bzzUrl, reference, access: null };
+
+  parsed.searchParams.delete('act-publisher');
+  parsed.searchParams.delete('act-history');
+  return { url: parsed.toString(), reference, access };
+}
+
+function setActHeaders(headers, access) {
+  headers.set('Swarm-Act', 'true');
+  headers.set('Swarm-Act-Publisher', access.publisher);
+  headers.set('Swarm-Act-History-Address', access.historyAddress);
+}
+
 /**
  * Translate `bzz://<host>/<path>?<q>#<f>` into the Bee gateway URL.
  *
  * `<host>` is either:
  *  - a 64- or 128-char hex Swarm ref (synchronous path), OR
+ *  - a feed host, `<owner>.<topic>` or `<index>.<owner>.<topic>`, resolved
+ *    to the content reference of that feed update (see feed-resolver.js), OR
  *  - an ENS name ending in .eth / .box, resolved via the in-process
  *    `ens-resolver` cache. ENS resolution running here (not just in the
  *    renderer's address-bar pipeline) is what makes `bzz://name.eth/`
@@ -117,7 +145,8 @@ function sanitizeRequestHeaders(requestHeaders) {
  * Returns one of:
  *  - `{ ok: true, url }`              — usable Bee gateway URL.
  *  - `{ ok: false, status, message }` — semantic failure (404 mismatch /
- *    no contenthash, 415 unsupported codec, 502 resolver conflict/error).
+ *    no contenthash / no feed update, 415 unsupported codec, 502 resolver
+ *    conflict/error).
  *  - `null`                           — malformed input. Caller emits 400
  *    to keep the existing "invalid bzz reference" surface stable.
  */
@@ -138,7 +167,12 @@ async function buildGatewayUrl(bzzUrl) {
     };
   }
 
-  if (isEnsHost(host) && !hasEmptyLabel(host)) {
+  const feed = parseFeedHost(host);
+  if (feed) {
+    return resolveFeedToGatewayUrl(feed, parsed);
+  }
+
+  if ((isEnsHost(host) || isDnsEnsName(host)) && !hasEmptyLabel(host)) {
     return resolveEnsToGatewayUrl(host, parsed);
   }
 
@@ -154,6 +188,22 @@ function hasEmptyLabel(host) {
   return host.split('.').some((label) => label.length === 0);
 }
 
+// Resolve a feed host to the gateway URL of the update's content. A feed
+// without the requested update is a 404 like any missing content.
+async function resolveFeedToGatewayUrl(feed, parsed) {
+  try {
+    const update = await resolveFeed(feed.owner, feed.topic, feed.index);
+    return {
+      ok: true,
+      url: `${getBeeApiUrl()}/bzz/${update.reference}${parsed.pathname}${parsed.search}`,
+    };
+  } catch (err) {
+    const notFound = err.reason === 'feed_empty' || err.reason === 'entry_not_found';
+    if (!notFound) log.warn(`[bzz-protocol] feed lookup failed for ${parsed.host}: ${err.message}`);
+    return { ok: false, status: notFound ? 404 : 502, message: err.message };
+  }
+}
+
 // Resolve an ENS host to a Bee gateway URL. `parsed` is the original
 // `bzz://name.eth/path?q` URL — pathname/search are forwarded verbatim.
 // Cross-transport mismatches (e.g. bzz://swarm.eth where the contenthash
@@ -199,7 +249,7 @@ async function resolveEnsToGatewayUrl(host, parsed) {
     return {
       ok: false,
       status: 415,
-      message: `ENS name ${host} contenthash format unsupported`,
+      message: `ENS name ${host} contenthash format unsupported (${result.codec || 'unknown'})`,
     };
   }
 
@@ -215,122 +265,19 @@ async function resolveEnsToGatewayUrl(host, parsed) {
   };
 }
 
-// JSON 4xx/5xx response with the Swarm-shaped body the rest of the handler
-// emits, so error pages and developer console messages don't see schema
-// drift between hex-host and ENS-host failures.
-function jsonErrorResponse(status, message) {
-  return new Response(JSON.stringify({ code: status, message }), {
-    status,
-    headers: { 'Content-Type': 'application/json; charset=utf-8' },
-  });
-}
-
-function sleep(ms, signal) {
-  return new Promise((resolve) => {
-    if (signal?.aborted) {
-      resolve();
-      return;
-    }
-    const timer = setTimeout(() => {
-      if (signal) signal.removeEventListener('abort', onAbort);
-      resolve();
-    }, ms);
-    const onAbort = () => {
-      clearTimeout(timer);
-      resolve();
-    };
-    if (signal) signal.addEventListener('abort', onAbort, { once: true });
-  });
-}
-
-async function fetchOnce(gatewayUrl, init, fetchImpl, attemptTimeoutMs) {
-  // Per-attempt AbortController, linked to the upstream request signal so
-  // a webview cancellation still aborts the in-flight fetch, but with its
-  // own timeout so a stalled Bee response can't hang the retry loop.
-  const attemptCtl = new AbortController();
-  const upstream = init.signal;
-  const relayAbort = () => attemptCtl.abort();
-  if (upstream) {
-    if (upstream.aborted) attemptCtl.abort();
-    else upstream.addEventListener('abort', relayAbort, { once: true });
-  }
-  const timer = setTimeout(() => attemptCtl.abort(), attemptTimeoutMs);
-
+// Bee 404s a directory path of a collection that has no index document.
+// Render the manifest instead, addressed by the resolved reference so ENS
+// hosts get listings too. Returns null to keep Bee's response.
+async function renderDirectoryListing(gatewayUrl, method) {
+  const { pathname, searchParams } = new URL(gatewayUrl);
+  const match = pathname.match(/^\/bzz\/([^/]+)(\/.*)?$/);
+  if (!match) return null;
   try {
-    const response = await fetchImpl(gatewayUrl, { ...init, signal: attemptCtl.signal });
-    return { response };
+    return await renderManifestListing(match[1], match[2] || '/', searchParams, method);
   } catch (err) {
-    // If we aborted but the upstream signal is still healthy, it was our
-    // attempt-level timeout — surface it as a transient error so the retry
-    // loop tries again rather than bubbling out the raw AbortError.
-    if (attemptCtl.signal.aborted && !upstream?.aborted) {
-      const e = new Error(`bee fetch timed out after ${attemptTimeoutMs}ms`);
-      e.code = 'ATTEMPT_TIMEOUT';
-      return { error: e };
-    }
-    return { error: err };
-  } finally {
-    clearTimeout(timer);
-    if (upstream) upstream.removeEventListener('abort', relayAbort);
-  }
-}
-
-function shouldRetry(result) {
-  if (result.error) return true;
-  return RETRYABLE_STATUSES.has(result.response.status);
-}
-
-async function fetchWithRetry(
-  gatewayUrl,
-  { method, headers, body, signal },
-  fetchImpl,
-  attemptTimeoutMs
-) {
-  const idempotent = IDEMPOTENT_METHODS.has(method.toUpperCase());
-
-  const attempt = async () => {
-    const init = { method, headers, signal, redirect: 'manual' };
-    // Web `fetch` requires `duplex: 'half'` for streaming request bodies. It's
-    // inert on GET/HEAD where body is undefined, so always passing it is safe.
-    if (body) {
-      init.body = body;
-      init.duplex = 'half';
-    }
-    return fetchOnce(gatewayUrl, init, fetchImpl, attemptTimeoutMs);
-  };
-
-  let result = await attempt();
-  if (!idempotent) {
-    if (result.error) throw result.error;
-    return result.response;
-  }
-
-  for (let i = 0; i < RETRY_DELAYS_MS.length; i++) {
-    if (!shouldRetry(result)) break;
-    if (signal?.aborted) break;
-
-    // Drain the previous response body so Node's fetch releases the socket
-    // before we start the next attempt.
-    if (result.response) {
-      try {
-        await result.response.body?.cancel();
-      } catch {
-        // ignored — the body may already be closed
-      }
-    }
-
-    const delay = RETRY_DELAYS_MS[i];
-    log.debug(
-      `[bzz-protocol] retry ${i + 1}/${RETRY_DELAYS_MS.length} in ${delay}ms ` +
-        `(status=${result.response?.status ?? result.error?.code ?? 'error'}) ${gatewayUrl}`
-    );
-    await sleep(delay, signal);
-    if (signal?.aborted) break;
-    result = await attempt();
+    log.warn(`[bzz-protocol] directory listing failed for ${gatewayUrl}: ${err.message}`);
+    return null;
   }
-
-  if (result.error) throw result.error;
-  return result.response;
 }
 
 /**
@@ -342,7 +289,8 @@ async function handleBzzRequest(
   request,
   { fetchImpl = fetch, attemptTimeoutMs = ATTEMPT_TIMEOUT_MS } = {}
 ) {
-  const built = await buildGatewayUrl(request.url);
+  const act = takeActParams(request.url);
+  const built = await buildGatewayUrl(act.url);
   if (!built) {
     return jsonErrorResponse(400, 'invalid bzz reference');
   }
@@ -353,19 +301,38 @@ async function handleBzzRequest(
   const gatewayUrl = built.url;
 
   const headers = sanitizeRequestHeaders(request.headers);
+  const access = act.access || (act.reference && getAccess(act.reference));
+  if (access) setActHeaders(headers, access);
   const method = request.method || 'GET';
   const body = method === 'GET' || method === 'HEAD' ? undefined : request.body;
 
   try {
-    return await fetchWithRetry(
+    const response = await fetchWithRetry(
       gatewayUrl,
       { method, headers, body, signal: request.signal },
-      fetchImpl,
-      attemptTimeoutMs
+      {
+        fetchImpl,
+        attemptTimeoutMs,
+        retryDelays: RETRY_DELAYS_MS,
+        retryableStatuses: RETRYABLE_STATUSES,
+        logTag: 'bzz-protocol',
+      }
     );
+    // Only keep link parameters Bee accepted, so sub-resources (which
+    // don't carry them) get the same headers and a bad link can't break
+    // later loads of the reference.
+    if (act.access && response.ok) rememberAccess(act.reference, act.access);
+    if (response.status === 404 && !access && (method === 'GET' || method === 'HEAD')) {
+      const listing = await renderDirectoryListing(gatewayUrl, method);
+      if (listing) {
+        response.body?.cancel().catch(() => {});
+        return listing;
+      }
+    }
+    return response;
   } catch (err) {
     const code = err?.cause?.code || err?.code || '';
-    const isConnRefused = code === 'ECONNREFUSED' || code === 'ECONNRESET' || code === 'ENOTFOUND';
+    const isConnRefused = isGatewayUnreachable(err);
     log.warn(
       `[bzz-protocol] fetch failed for ${gatewayUrl}: ${err?.message || err}` +
         (code ? ` (${code})` : '')
@@ -400,6 +367,7 @@ module.exports = {
   registerBzzProtocol,
   handleBzzRequest,
   buildGatewayUrl,
+  takeActParams,
   sanitizeRequestHeaders,
   RETRY_DELAYS_MS,
   RETRYABLE_STATUSES,
@@ -17,12 +17,35 @@ jest.mock('../ens-resolver', () => ({
   resolveEnsContent: (...args) => mockResolveEnsContent(...args),
 }));
 
+// ACT lookups hit a JSON store in userData; a Map stands in for it.
+const mockActAccess = new Map();
+jest.mock('./act-service', () => ({
+  ...jest.requireActual('./act-service'),
+  getAccess: (reference) => mockActAccess.get(reference) || null,
+  rememberAccess: jest.fn((reference, access) => mockActAccess.set(reference, access)),
+}));
+
+// Directory listings load manifests from Bee; by default there is nothing
+// to list and Bee's 404 passes through.
+const mockRenderManifestListing = jest.fn(async () => null);
+jest.mock('./manifest-listing', () => ({
+  renderManifestListing: (...args) => mockRenderManifestListing(...args),
+}));
+
+const mockResolveFeed = jest.fn();
+jest.mock('./feed-resolver', () => ({
+  ...jest.requireActual('./feed-resolver'),
+  resolveFeed: (...args) => mockResolveFeed(...args),
+}));
+
 const {
   buildGatewayUrl,
+  takeActParams,
   sanitizeRequestHeaders,
   handleBzzRequest,
   RETRY_DELAYS_MS,
 } = require('./bzz-protocol');
+const { rememberAccess } = require('./act-service');
 
 const HASH = 'a'.repeat(64);
 const ENCRYPTED_HASH = 'a'.repeat(128);
@@ -68,6 +91,51 @@ describe('buildGatewayUrl', () => {
     expect(mockResolveEnsContent).not.toHaveBeenCalled();
   });
 
+  describe('feed hosts', () => {
+    const OWNER = 'b'.repeat(40);
+    const TOPIC = 'c'.repeat(64);
+
+    beforeEach(() => {
+      mockResolveFeed.mockReset();
+    });
+
+    test('resolves the latest update of bzz://<owner>.<topic>', async () => {
+      mockResolveFeed.mockResolvedValue({ reference: HASH, index: 4 });
+
+      await expect(buildGatewayUrl(`bzz://${OWNER}.${TOPIC}/blog/?p=2`)).resolves.toEqual({
+        ok: true,
+        url: `http://127.0.0.1:1633/bzz/${HASH}/blog/?p=2`,
+      });
+      expect(mockResolveFeed).toHaveBeenCalledWith(OWNER, TOPIC, null);
+      expect(mockResolveEnsContent).not.toHaveBeenCalled();
+    });
+
+    test('pins bzz://<index>.<owner>.<topic> to that update', async () => {
+      mockResolveFeed.mockResolvedValue({ reference: HASH, index: 2 });
+
+      await buildGatewayUrl(`bzz://2.${OWNER}.${TOPIC}/`);
+
+      expect(mockResolveFeed).toHaveBeenCalledWith(OWNER, TOPIC, 2);
+    });
+
+    test('maps a missing update to 404 and lookup failures to 502', async () => {
+      mockResolveFeed.mockRejectedValueOnce(
+        Object.assign(new Error('Feed entry not found at index 9'), { reason: 'entry_not_found' })
+      );
+      await expect(buildGatewayUrl(`bzz://9.${OWNER}.${TOPIC}/`)).resolves.toEqual({
+        ok: false,
+        status: 404,
+        message: 'Feed entry not found at index 9',
+      });
+
+      mockResolveFeed.mockRejectedValueOnce(new Error('socket hang up'));
+      await expect(buildGatewayUrl(`bzz://${OWNER}.${TOPIC}/`)).resolves.toMatchObject({
+        ok: false,
+        status: 502,
+      });
+    });
+  });
+
   describe('ENS hosts', () => {
     test('resolves .eth host via ENS resolver and proxies to the resolved hash', async () => {
       mockResolveEnsContent.mockResolvedValue({
@@ -99,6 +167,21 @@ describe('buildGatewayUrl', () => {
       });
     });
 
+    test('resolves a DNS name host via ENS resolver', async () => {
+      mockResolveEnsContent.mockResolvedValue({
+        type: 'ok',
+        protocol: 'bzz',
+        decoded: HASH,
+        uri: `bzz://${HASH}`,
+      });
+
+      await expect(buildGatewayUrl('bzz://example.com/')).resolves.toEqual({
+        ok: true,
+        url: `http://127.0.0.1:1633/bzz/${HASH}/`,
+      });
+      expect(mockResolveEnsContent).toHaveBeenCalledWith('example.com');
+    });
+
     test('returns 404 when ENS contenthash is IPFS, not Swarm', async () => {
       mockResolveEnsContent.mockResolvedValue({
         type: 'ok',
@@ -226,6 +309,29 @@ describe('buildGatewayUrl', () => {
   });
 });
 
+describe('takeActParams', () => {
+  const PUBLISHER = `02${'b'.repeat(64)}`;
+  const HISTORY = 'c'.repeat(64);
+
+  test('strips share-link parameters and keeps the rest of the query', () => {
+    expect(
+      takeActParams(`bzz://${HASH}/page?v=1&act-publisher=${PUBLISHER}&act-history=${HISTORY}`)
+    ).toEqual({
+      url: `bzz://${HASH}/page?v=1`,
+      reference: HASH,
+      access: { publisher: PUBLISHER, historyAddress: HISTORY },
+    });
+  });
+
+  test('leaves malformed parameters and ENS hosts untouched', () => {
+    const partial = `bzz://${HASH}/?act-publisher=${PUBLISHER}`;
+    expect(takeActParams(partial)).toEqual({ url: partial, reference: HASH, access: null });
+
+    const ens = `bzz://site.eth/?act-publisher=${PUBLISHER}&act-history=${HISTORY}`;
+    expect(takeActParams(ens)).toEqual({ url: ens, reference: null, access: null });
+  });
+});
+
 describe('sanitizeRequestHeaders', () => {
   test('strips hop-by-hop and origin headers, injects swarm retrieval hints', () => {
     const input = new Headers({
@@ -313,6 +419,104 @@ describe('handleBzzRequest', () => {
     expect(fetchImpl).not.toHaveBeenCalled();
   });
 
+  describe('ACT', () => {
+    const PUBLISHER = `03${'d'.repeat(64)}`;
+    const HISTORY = 'e'.repeat(64);
+    const shareUrl = `bzz://${HASH}/?act-publisher=${PUBLISHER}&act-history=${HISTORY}`;
+
+    beforeEach(() => {
+      mockActAccess.clear();
+      rememberAccess.mockClear();
+    });
+
+    test('sends share-link parameters as headers and remembers them for sub-resources', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue(new Response('ok', { status: 200 }));
+
+      await handleBzzRequest(makeRequest(shareUrl), { fetchImpl });
+
+      const [calledUrl, init] = fetchImpl.mock.calls[0];
+      expect(calledUrl).toBe(`http://127.0.0.1:1633/bzz/${HASH}/`);
+      expect(init.headers.get('Swarm-Act')).toBe('true');
+      expect(init.headers.get('Swarm-Act-Publisher')).toBe(PUBLISHER);
+      expect(init.headers.get('Swarm-Act-History-Address')).toBe(HISTORY);
+      expect(rememberAccess).toHaveBeenCalledWith(HASH, {
+        publisher: PUBLISHER,
+        historyAddress: HISTORY,
+      });
+
+      await handleBzzRequest(makeRequest(`bzz://${HASH}/style.css`), { fetchImpl });
+      expect(fetchImpl.mock.calls[1][1].headers.get('Swarm-Act-Publisher')).toBe(PUBLISHER);
+    });
+
+    test('does not remember parameters Bee rejected', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue(new Response('denied', { status: 404 }));
+
+      await handleBzzRequest(makeRequest(shareUrl), { fetchImpl });
+
+      expect(rememberAccess).not.toHaveBeenCalled();
+    });
+
+    test('public references get no ACT headers', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue(new Response('ok', { status: 200 }));
+
+      await handleBzzRequest(makeRequest(`bzz://${HASH}/`), { fetchImpl });
+
+      expect(fetchImpl.mock.calls[0][1].headers.has('Swarm-Act')).toBe(false);
+    });
+  });
+
+  describe('directory listings', () => {
+    beforeEach(() => {
+      mockRenderManifestListing.mockReset();
+      mockRenderManifestListing.mockResolvedValue(null);
+      mockActAccess.clear();
+    });
+
+    test('answers a directory 404 with the manifest listing', async () => {
+      const listing = new Response('<h1>Index of /docs/</h1>', { status: 200 });
+      mockRenderManifestListing.mockResolvedValue(listing);
+      const fetchImpl = jest.fn().mockResolvedValue(new Response('', { status: 404 }));
+
+      const res = await handleBzzRequest(makeRequest(`bzz://${HASH}/docs/?download=zip`), {
+        fetchImpl,
+      });
+
+      expect(res).toBe(listing);
+      expect(mockRenderManifestListing).toHaveBeenCalledWith(
+        HASH,
+        '/docs/',
+        new URLSearchParams({ download: 'zip' }),
+        'GET'
+      );
+    });
+
+    test('lists collections behind ENS names by their resolved reference', async () => {
+      mockResolveEnsContent.mockResolvedValue({ type: 'ok', protocol: 'bzz', decoded: HASH });
+      const fetchImpl = jest.fn().mockResolvedValue(new Response('', { status: 404 }));
+
+      const res = await handleBzzRequest(makeRequest('bzz://files.eth/'), { fetchImpl });
+
+      expect(res.status).toBe(404);
+      expect(mockRenderManifestListing.mock.calls[0].slice(0, 2)).toEqual([HASH, '/']);
+    });
+
+    test('keeps the 404 for ACT content and listing failures', async () => {
+      mockActAccess.set(HASH, { publisher: `03${'d'.repeat(64)}`, historyAddress: 'e'.repeat(64) });
+      const fetchImpl = jest.fn().mockResolvedValue(new Response('', { status: 404 }));
+
+      expect((await handleBzzRequest(makeRequest(`bzz://${HASH}/`), { fetchImpl })).status).toBe(
+        404
+      );
+      expect(mockRenderManifestListing).not.toHaveBeenCalled();
+
+      mockActAccess.clear();
+      mockRenderManifestListing.mockRejectedValue(new Error('boom'));
+      expect((await handleBzzRequest(makeRequest(`bzz://${HASH}/`), { fetchImpl })).status).toBe(
+        404
+      );
+    });
+  });
+
   test('proxies a 200 through untouched', async () => {
     const body = new Response('hello').body;
     const fetchImpl = jest.fn().mockResolvedValue(new Response(body, { status: 200 }));
@@ -0,0 +1,342 @@
+/**
+ * Content Health (stewardship)
+ *
+ * A publish is only as durable as the network's copy of it: once our Bee
+ * node goes offline, content whose chunks were never pushed out, or have
+ * since been garbage-collected, stops loading for everyone else. This
+ * module asks Bee's stewardship endpoint whether a reference can still be
+ * retrieved from the network and re-uploads it (stewardship PUT, which
+ * pushes the chunks again under a postage batch) when it can't.
+ *
+ * A background sweep checks every completed Swarm publish and every
+ * bookmark pointing at a `bzz://<reference>` and notifies when one that
+ * used to be retrievable no longer is. The publish page and the bookmarks
+ * bar read the last results for their flags.
+ *
+ * Data model (swarm-content-health.json):
+ *   { version,
+ *     references: { [reference]: { retrievable, checkedAt, lostAt, reuploadedAt } },
+ *     checkedAt }
+ */
+
+const { app, ipcMain } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const log = require('../logger');
+const IPC = require('../../shared/ipc-channels');
+const { loadSettings } = require('../settings-store');
+const { createPeriodicCheck, notifyAll, broadcastUpdate } = require('../periodic-check');
+const { loadBookmarks } = require('../bookmarks-store');
+const { getEntries } = require('./publish-history');
+const { getBee, selectBestBatch, toHex } = require('./swarm-service');
+const { isNotFoundError } = require('./feed-service');
+
+const HEALTH_FILE = 'swarm-content-health.json';
+const CURRENT_VERSION = 1;
+
+const CHECK_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const CHECK_INITIAL_DELAY_MS = 10 * 60 * 1000;
+// Stewardship walks every chunk of the content over the network.
+const CHECK_TIMEOUT_MS = 120_000;
+// The sweep covers at most this many references, newest publishes first.
+const MAX_SWEEP_REFERENCES = 200;
+
+const PUBLISH_URL = 'freedom://publish';
+const REFERENCE_RE = /^[0-9a-f]{64}(?:[0-9a-f]{64})?$/;
+const BZZ_TARGET_RE = /^bzz:\/\/([0-9a-fA-F]{64}(?:[0-9a-fA-F]{64})?)(?:[/?#]|$)/;
+
+let healthCache = null;
+
+function getHealthPath() {
+  return path.join(app.getPath('userData'), HEALTH_FILE);
+}
+
+function createEmptyStore() {
+  return { version: CURRENT_VERSION, references: {}, checkedAt: null };
+}
+
+function loadHealth() {
+  if (healthCache !== null) {
+    return healthCache;
+  }
+
+  try {
+    const filePath = getHealthPath();
+    if (fs.existsSync(filePath)) {
+      healthCache = { ...createEmptyStore(), ...JSON.parse(fs.readFileSync(filePath, 'utf-8')) };
+    } else {
+      healthCache = createEmptyStore();
+    }
+  } catch (err) {
+    log.error('[ContentHealth] Failed to load health state:', err.message);
+    healthCache = createEmptyStore();
+  }
+
+  return healthCache;
+}
+
+function saveHealth() {
+  try {
+    fs.writeFileSync(getHealthPath(), JSON.stringify(healthCache, null, 2), 'utf-8');
+  } catch (err) {
+    log.error('[ContentHealth] Failed to save health state:', err.message);
+  }
+}
+
+function normalizeReference(reference) {
+  const ref = typeof reference === 'string' ? reference.trim().toLowerCase() : '';
+  if (!REFERENCE_RE.test(ref)) {
+    throw new Error('Reference must be a 64 or 128 character hex string');
+  }
+  return ref;
+}
+
+/**
+ * Swarm reference a bookmark target points at, or null. Only direct
+ * `bzz://<reference>` targets count; ENS and feed names can move.
+ */
+function referenceFromTarget(target) {
+  const match = BZZ_TARGET_RE.exec(String(target || ''));
+  return match ? match[1].toLowerCase() : null;
+}
+
+// reference → { label, publishes, bookmarks } for everything the sweep covers.
+function collectReferences() {
+  const byReference = new Map();
+  const add = (reference, label) => {
+    if (!byReference.has(reference)) {
+      byReference.set(reference, { label, publishes: 0, bookmarks: 0 });
+    }
+    return byReference.get(reference);
+  };
+
+  for (const entry of getEntries()) {
+    if (entry.protocol !== 'swarm' || entry.status !== 'completed') continue;
+    const reference = String(entry.reference || '').toLowerCase();
+    if (!REFERENCE_RE.test(reference)) continue;
+    add(reference, entry.name || reference).publishes++;
+  }
+
+  const bookmarks = loadBookmarks();
+  for (const bookmark of Array.isArray(bookmarks) ? bookmarks : []) {
+    const reference = referenceFromTarget(bookmark?.target);
+    if (!reference) continue;
+    add(reference, bookmark.label || reference).bookmarks++;
+  }
+
+  return byReference;
+}
+
+function recordResult(reference, retrievable, now) {
+  const store = loadHealth();
+  const previous = store.references[reference];
+  const record = { ...previous, retrievable, checkedAt: now };
+  if (retrievable) {
+    record.lostAt = null;
+  } else if (!previous || previous.retrievable !== false) {
+    record.lostAt = now;
+  }
+  store.references[reference] = record;
+  return { record, previous };
+}
+
+/**
+ * Ask Bee whether every chunk of `reference` can be fetched from the
+ * network, and remember the answer.
+ * @returns {Promise<{ reference, retrievable, checkedAt, lostAt, reuploadedAt }>}
+ */
+async function checkAvailability(reference) {
+  const ref = normalizeReference(reference);
+  const retrievable = await getBee().isReferenceRetrievable(ref, { timeout: CHECK_TIMEOUT_MS });
+  const { record } = recordResult(ref, retrievable, Date.now());
+  saveHealth();
+  broadcastUpdate(IPC.SWARM_CONTENT_HEALTH_UPDATED);
+  return { reference: ref, ...record };
+}
+
+// The batch the content was published with while it's still usable,
+// otherwise the same pick as a new upload of that size.
+async function pickReuploadBatch(reference) {
+  const entry = getEntries().find(
+    (candidate) => String(candidate.reference || '').toLowerCase() === reference
+  );
+  if (entry?.batchIdUsed) {
+    const batches = await getBee().getPostageBatches();
+    const original = batches.find(
+      (batch) => batch.usable && toHex(batch.batchID) === entry.batchIdUsed
+    );
+    if (original) return entry.batchIdUsed;
+  }
+  return selectBestBatch(entry?.bytesSize || 0);
+}
+
+/**
+ * Push the chunks of `reference` back into the network. Bee only
+ * re-uploads pinned content; anything not pinned yet is pinned first,
+ * which works as long as our node (or the network) still has it.
+ * @returns {Promise<{ reference: string, batchId: string }>}
+ */
+async function reuploadContent(reference) {
+  const ref = normalizeReference(reference);
+  const bee = getBee();
+  const batchId = await pickReuploadBatch(ref);
+  if (!batchId) {
+    throw new Error('No usable postage batch available. Purchase stamps first.');
+  }
+
+  try {
+    await bee.reuploadPinnedData(batchId, ref);
+  } catch (err) {
+    if (!isNotFoundError(err)) throw err;
+    log.info(`[ContentHealth] ${ref} is not pinned, pinning before re-upload`);
+    await bee.pin(ref);
+    await bee.reuploadPinnedData(batchId, ref);
+  }
+
+  const store = loadHealth();
+  store.references[ref] = { ...store.references[ref], reuploadedAt: Date.now() };
+  saveHealth();
+  broadcastUpdate(IPC.SWARM_CONTENT_HEALTH_UPDATED);
+  log.info(`[ContentHealth] Re-uploaded ${ref} with batch ${batchId}`);
+  return { reference: ref, batchId };
+}
+
+async function runCheck() {
+  const bee = getBee();
+  if (!(await bee.isConnected())) {
+    log.info('[ContentHealth] Bee is not reachable, skipping sweep');
+    return null;
+  }
+
+  const store = loadHealth();
+  const targets = collectReferences();
+  const lost = [];
+
+  for (const reference of Object.keys(store.references)) {
+    if (!targets.has(reference)) delete store.references[reference];
+  }
+
+  for (const [reference, target] of [...targets].slice(0, MAX_SWEEP_REFERENCES)) {
+    let retrievable;
+    try {
+      retrievable = await bee.isReferenceRetrievable(reference, { timeout: CHECK_TIMEOUT_MS });
+    } catch (err) {
+      log.warn(`[ContentHealth] Check failed for ${reference}: ${err.message}`);
+      continue;
+    }
+    const { record, previous } = recordResult(reference, retrievable, Date.now());
+    if (!retrievable && previous?.retrievable !== false) {
+      lost.push({ reference, label: target.label, ...record });
+    }
+  }
+
+  store.checkedAt = Date.now();
+  saveHealth();
+
+  if (lost.length > 0) {
+    log.warn(`[ContentHealth] ${lost.length} reference(s) no longer retrievable`);
+    notifyAll(lost, {
+      describe: ({ label }) => ({
+        title: `${label} is no longer retrievable`,
+        body: 'The Swarm network could not return all of its chunks. Re-upload it to keep it online.',
+      }),
+      summary: (count) => ({
+        title: `${count} Swarm publishes are no longer retrievable`,
+        body: 'Re-upload them from the Publish page to keep them online.',
+      }),
+      url: PUBLISH_URL,
+      logTag: 'ContentHealth',
+    });
+  }
+  broadcastUpdate(IPC.SWARM_CONTENT_HEALTH_UPDATED);
+  return lost;
+}
+
+/**
+ * Last known result per reference, for the publish page and bookmarks bar.
+ */
+function getHealthStatus() {
+  const store = loadHealth();
+  return {
+    enabled: loadSettings().monitorContentHealth !== false,
+    references: store.references,
+    checkedAt: store.checkedAt,
+  };
+}
+
+// Bee needs to be up and connected to peers before checks mean anything.
+const monitor = createPeriodicCheck({
+  run: runCheck,
+  intervalMs: CHECK_INTERVAL_MS,
+  initialDelayMs: CHECK_INITIAL_DELAY_MS,
+  isEnabled: () => loadSettings().monitorContentHealth !== false,
+  logTag: 'ContentHealth',
+  failureMessage: 'Health sweep failed',
+});
+
+/**
+ * Check every published and bookmarked reference once. Notifies about
+ * references that were retrievable (or never checked) and no longer are.
+ * Returns the newly lost ones, or null when Bee isn't reachable.
+ */
+const checkContentHealth = monitor.check;
+const startContentHealthMonitor = monitor.start;
+const stopContentHealthMonitor = monitor.stop;
+
+function registerContentHealthIpc() {
+  ipcMain.handle(IPC.SWARM_CONTENT_HEALTH_STATUS, () => {
+    try {
+      return { success: true, ...getHealthStatus() };
+    } catch (err) {
+      log.error('[ContentHealth] Failed to read status:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SWARM_CHECK_AVAILABILITY, async (_event, reference) => {
+    try {
+      return { success: true, ...(await checkAvailability(reference)) };
+    } catch (err) {
+      log.error('[ContentHealth] Availability check failed:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SWARM_REUPLOAD, async (_event, reference) => {
+    try {
+      return { success: true, ...(await reuploadContent(reference)) };
+    } catch (err) {
+      log.error('[ContentHealth] Re-upload failed:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SWARM_CONTENT_HEALTH_CHECK, async () => {
+    try {
+      const lost = await checkContentHealth();
+      if (lost === null) return { success: false, error: 'Swarm node is not reachable' };
+      return { success: true, lost };
+    } catch (err) {
+      log.error('[ContentHealth] Manual sweep failed:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  log.info('[ContentHealth] IPC handlers registered');
+}
+
+function _resetCache() {
+  healthCache = null;
+}
+
+module.exports = {
+  referenceFromTarget,
+  checkAvailability,
+  reuploadContent,
+  checkContentHealth,
+  getHealthStatus,
+  startContentHealthMonitor,
+  stopContentHealthMonitor,
+  registerContentHealthIpc,
+  _resetCache,
+};
@@ -0,0 +1,197 @@
+const IPC = require('../../shared/ipc-channels');
+const {
+  createTempUserDataDir,
+  loadMainModule,
+  removeTempUserDataDir,
+} = require('../../../test/helpers/main-process-test-utils');
+
+const REF_A = 'aa'.repeat(32);
+const REF_B = 'bb'.repeat(32);
+const BATCH_OLD = '11'.repeat(32);
+const BATCH_NEW = '22'.repeat(32);
+
+const publish = (reference, extra = {}) => ({
+  protocol: 'swarm',
+  status: 'completed',
+  name: `site-${reference.slice(0, 4)}`,
+  reference,
+  batchIdUsed: BATCH_OLD,
+  bytesSize: 1024,
+  ...extra,
+});
+
+function loadHealth(options = {}) {
+  const state = {
+    entries: options.entries || [],
+    bookmarks: options.bookmarks || [],
+    retrievable: { ...options.retrievable },
+    pinned: new Set(options.pinned || []),
+    batches: options.batches || [],
+    connected: true,
+  };
+  const notifications = [];
+  class MockNotification {
+    static isSupported() {
+      return true;
+    }
+
+    constructor(opts) {
+      this.opts = opts;
+      this.on = jest.fn();
+      this.show = jest.fn();
+      notifications.push(this);
+    }
+  }
+  const send = jest.fn();
+  const notPinned = Object.assign(new Error('Not Found'), { status: 404 });
+  const bee = {
+    isConnected: jest.fn(async () => state.connected),
+    isReferenceRetrievable: jest.fn(async (reference) => state.retrievable[reference] !== false),
+    getPostageBatches: jest.fn(async () => state.batches),
+    reuploadPinnedData: jest.fn(async (_batchId, reference) => {
+      if (!state.pinned.has(reference)) throw notPinned;
+    }),
+    pin: jest.fn(async (reference) => state.pinned.add(reference)),
+  };
+
+  const ctx = loadMainModule(require.resolve('./content-health'), {
+    userDataDir: options.userDataDir,
+    windows: [{ isDestroyed: () => false, webContents: { send } }],
+    electronOverrides: { Notification: MockNotification },
+    extraMocks: {
+      [require.resolve('../logger')]: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      }),
+      [require.resolve('../settings-store')]: () => ({
+        loadSettings: jest.fn(() => ({ monitorContentHealth: true })),
+      }),
+      [require.resolve('../bookmarks-store')]: () => ({
+        loadBookmarks: jest.fn(() => state.bookmarks),
+      }),
+      [require.resolve('./publish-history')]: () => ({
+        getEntries: jest.fn(() => state.entries),
+      }),
+      [require.resolve('./swarm-service')]: () => ({
+        getBee: () => bee,
+        selectBestBatch: jest.fn(async () => BATCH_NEW),
+        toHex: (value) => value,
+      }),
+      [require.resolve('./feed-service')]: () => ({
+        isNotFoundError: (err) => err.status === 404,
+      }),
+    },
+  });
+
+  return { ...ctx, state, bee, notifications, send };
+}
+
+describe('content-health', () => {
+  let userDataDir;
+
+  beforeEach(() => {
+    userDataDir = createTempUserDataDir();
+  });
+
+  afterEach(() => {
+    removeTempUserDataDir(userDataDir);
+  });
+
+  test('referenceFromTarget only accepts direct bzz:// references', () => {
+    const { mod } = loadHealth({ userDataDir });
+
+    expect(mod.referenceFromTarget(`bzz://${REF_A.toUpperCase()}/index.html`)).toBe(REF_A);
+    expect(mod.referenceFromTarget(`bzz://${REF_A}${REF_B}`)).toBe(REF_A + REF_B);
+    expect(mod.referenceFromTarget('bzz://site.eth/')).toBeNull();
+    expect(mod.referenceFromTarget(`ipfs://${REF_A}`)).toBeNull();
+    expect(mod.referenceFromTarget(undefined)).toBeNull();
+  });
+
+  test('sweeps publishes and bookmarks and notifies once per lost reference', async () => {
+    const ctx = loadHealth({
+      userDataDir,
+      entries: [
+        publish(REF_A),
+        publish(REF_A, { name: 'duplicate' }),
+        publish('cc'.repeat(32), { status: 'failed' }),
+        publish('QmIpfs', { protocol: 'ipfs' }),
+      ],
+      bookmarks: [
+        { label: 'Docs', target: `bzz://${REF_B}/docs/` },
+        { label: 'ENS', target: 'bzz://site.eth/' },
+      ],
+    });
+
+    expect(await ctx.mod.checkContentHealth()).toEqual([]);
+    expect(ctx.bee.isReferenceRetrievable.mock.calls.map(([ref]) => ref)).toEqual([REF_A, REF_B]);
+    expect(ctx.send).toHaveBeenCalledWith(IPC.SWARM_CONTENT_HEALTH_UPDATED);
+
+    ctx.state.retrievable[REF_B] = false;
+    const lost = await ctx.mod.checkContentHealth();
+
+    expect(lost).toEqual([
+      expect.objectContaining({ reference: REF_B, label: 'Docs', retrievable: false }),
+    ]);
+    expect(ctx.notifications).toHaveLength(1);
+    expect(ctx.notifications[0].opts.title).toBe('Docs is no longer retrievable');
+    expect(ctx.mod.getHealthStatus().references[REF_B]).toMatchObject({
+      retrievable: false,
+      lostAt: lost[0].lostAt,
+    });
+
+    // Still missing on the next sweep: no repeat notification.
+    await ctx.mod.checkContentHealth();
+    expect(ctx.notifications).toHaveLength(1);
+  });
+
+  test('skips the sweep while Bee is unreachable', async () => {
+    const ctx = loadHealth({ userDataDir, entries: [publish(REF_A)] });
+    ctx.state.connected = false;
+    ctx.mod.registerContentHealthIpc();
+
+    const result = await ctx.ipcMain.invoke(IPC.SWARM_CONTENT_HEALTH_CHECK);
+
+    expect(result).toEqual({ success: false, error: 'Swarm node is not reachable' });
+    expect(ctx.bee.isReferenceRetrievable).not.toHaveBeenCalled();
+  });
+
+  test('checks a single reference on demand and persists the answer', async () => {
+    const ctx = loadHealth({ userDataDir, retrievable: { [REF_A]: false } });
+    ctx.mod.registerContentHealthIpc();
+
+    const result = await ctx.ipcMain.invoke(IPC.SWARM_CHECK_AVAILABILITY, REF_A.toUpperCase());
+    expect(result).toMatchObject({ success: true, reference: REF_A, retrievable: false });
+
+    ctx.mod._resetCache();
+    expect(ctx.mod.getHealthStatus().references[REF_A].retrievable).toBe(false);
+
+    const bad = await ctx.ipcMain.invoke(IPC.SWARM_CHECK_AVAILABILITY, 'nope');
+    expect(bad).toEqual({
+      success: false,
+      error: 'Reference must be a 64 or 128 character hex string',
+    });
+  });
+
+  test('re-uploads with the original batch while it is usable, pinning first', async () => {
+    const ctx = loadHealth({
+      userDataDir,
+      entries: [publish(REF_A), publish(REF_B)],
+      batches: [{ batchID: BATCH_OLD, usable: true }],
+      pinned: [REF_A],
+    });
+
+    await expect(ctx.mod.reuploadContent(REF_A)).resolves.toEqual({
+      reference: REF_A,
+      batchId: BATCH_OLD,
+    });
+    expect(ctx.bee.pin).not.toHaveBeenCalled();
+    expect(ctx.mod.getHealthStatus().references[REF_A].reuploadedAt).toEqual(expect.any(Number));
+
+    // Expired original batch and unpinned content.
+    ctx.state.batches = [{ batchID: BATCH_OLD, usable: false }];
+    await expect(ctx.mod.reuploadContent(REF_B)).resolves.toMatchObject({ batchId: BATCH_NEW });
+    expect(ctx.bee.pin).toHaveBeenCalledWith(REF_B);
+    expect(ctx.bee.reuploadPinnedData).toHaveBeenLastCalledWith(BATCH_NEW, REF_B);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Swarm feed URLs
+ *
+ * A feed is addressed by its owner (20-byte Ethereum address) and topic
+ * (32 bytes). The browser gives each feed a bzz:// host so feed-backed
+ * sites load through the regular bzz protocol handler with their own
+ * origin:
+ *
+ *   bzz://<owner>.<topic>/path           latest update
+ *   bzz://<index>.<owner>.<topic>/path   the update at a given index
+ *
+ * Each update carries a content reference (the payload written by
+ * `FeedWriter.uploadReference`). bzz-protocol.js resolves the host here and
+ * proxies `/bzz/<reference>/path`; the address bar asks over IPC for the
+ * current index.
+ *
+ * Latest lookups are cached briefly so a page's sub-resources don't each
+ * walk the feed; updates at a fixed index never change and are kept.
+ */
+
+const { ipcMain } = require('electron');
+const { Topic } = require('@ethersphere/bee-js');
+const log = require('../logger');
+const IPC = require('../../shared/ipc-channels');
+const { success, failure } = require('../ipc-contract');
+const { readFeedReference } = require('./feed-service');
+
+const FEED_HOST_RE = /^(?:(\d{1,15})\.)?([0-9a-f]{40})\.([0-9a-f]{64})$/;
+const OWNER_RE = /^(?:0x)?[0-9a-fA-F]{40}$/;
+const TOPIC_RE = /^(?:0x)?[0-9a-fA-F]{64}$/;
+
+const LATEST_TTL_MS = 30_000;
+const MAX_CACHED_UPDATES = 200;
+
+// `${owner}.${topic}` → { promise, expiresAt }
+const latestCache = new Map();
+// `${index}.${owner}.${topic}` → resolved update
+const indexCache = new Map();
+
+/**
+ * Parse a feed host (`<owner>.<topic>` or `<index>.<owner>.<topic>`).
+ * @param {string} host
+ * @returns {{ owner: string, topic: string, index: number|null } | null}
+ */
+function parseFeedHost(host) {
+  const match = FEED_HOST_RE.exec(String(host || '').toLowerCase());
+  if (!match) return null;
+  const [, index, owner, topic] = match;
+  return { owner, topic, index: index === undefined ? null : Number(index) };
+}
+
+/**
+ * Canonical bzz:// host for a feed, optionally pinned to an index.
+ * @param {string} owner
+ * @param {string} topic
+ * @param {number|null} [index]
+ * @returns {string}
+ */
+function buildFeedHost(owner, topic, index = null) {
+  const feed = `${normalizeOwner(owner)}.${normalizeTopic(topic)}`;
+  return index === null || index === undefined ? feed : `${normalizeIndex(index)}.${feed}`;
+}
+
+function normalizeOwner(owner) {
+  if (typeof owner !== 'string' || !OWNER_RE.test(owner)) {
+    throw new Error('Feed owner must be a 20-byte hex address');
+  }
+  return owner.replace(/^0x/, '').toLowerCase();
+}
+
+function normalizeTopic(topic) {
+  if (typeof topic !== 'string' || !TOPIC_RE.test(topic)) {
+    throw new Error('Feed topic must be 32 bytes of hex');
+  }
+  return topic.replace(/^0x/, '').toLowerCase();
+}
+
+function normalizeIndex(index) {
+  if (!Number.isSafeInteger(index) || index < 0) {
+    throw new Error('Feed index must be a non-negative integer');
+  }
+  return index;
+}
+
+async function downloadUpdate(owner, topic, index) {
+  const update = await readFeedReference(owner, new Topic(topic), index);
+  return { owner, topic, ...update };
+}
+
+function rememberIndexed(key, update) {
+  indexCache.set(key, update);
+  if (indexCache.size > MAX_CACHED_UPDATES) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+}
+
+/**
+ * Resolve a feed to the content reference of its latest update, or of the
+ * update at `index`.
+ * @param {string} owner - 20-byte hex address, with or without 0x
+ * @param {string} topic - 32-byte hex topic, with or without 0x
+ * @param {number|null} [index]
+ * @returns {Promise<{ owner: string, topic: string, reference: string, index: number, nextIndex: number }>}
+ */
+async function resolveFeed(owner, topic, index = null) {
+  const feed = buildFeedHost(owner, topic);
+  const [ownerHex, topicHex] = feed.split('.');
+
+  if (index !== null && index !== undefined) {
+    const key = `${normalizeIndex(index)}.${feed}`;
+    if (indexCache.has(key)) return indexCache.get(key);
+    const update = await downloadUpdate(ownerHex, topicHex, index);
+    rememberIndexed(key, update);
+    return update;
+  }
+
+  const cached = latestCache.get(feed);
+  if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+  const promise = downloadUpdate(ownerHex, topicHex, null).then(
+    (update) => {
+      rememberIndexed(`${update.index}.${feed}`, update);
+      return update;
+    },
+    (err) => {
+      latestCache.delete(feed);
+      throw err;
+    }
+  );
+  latestCache.set(feed, { promise, expiresAt: Date.now() + LATEST_TTL_MS });
+  return promise;
+}
+
+/**
+ * Resolve a feed host to its update, or null when `host` isn't a feed host.
+ * @param {string} host
+ */
+async function resolveFeedHost(host) {
+  const feed = parseFeedHost(host);
+  if (!feed) return null;
+  return resolveFeed(feed.owner, feed.topic, feed.index);
+}
+
+function registerFeedResolverIpc() {
+  ipcMain.handle(IPC.BZZ_RESOLVE_FEED, async (_event, payload = {}) => {
+    const { owner, topic } = payload;
+    const index = payload.index ?? null;
+    try {
+      const update = await resolveFeed(owner, topic, index);
+      // The address bar shows how far behind a pinned index is.
+      const latest = index === null ? update : await resolveFeed(owner, topic).catch(() => null);
+      return success({
+        ...update,
+        host: buildFeedHost(owner, topic, index),
+        latestIndex: latest ? latest.index : null,
+      });
+    } catch (err) {
+      log.warn(`[FeedResolver] Failed to resolve feed: ${err.message}`);
+      return failure(err.reason || 'FEED_RESOLVE_FAILED', err.message);
+    }
+  });
+}
+
+function _resetCache() {
+  latestCache.clear();
+  indexCache.clear();
+}
+
+module.exports = {
+  parseFeedHost,
+  buildFeedHost,
+  resolveFeed,
+  resolveFeedHost,
+  registerFeedResolverIpc,
+  _resetCache,
+};
@@ -0,0 +1,123 @@
+const IPC = require('../../shared/ipc-channels');
+const { loadMainModule } = require('../../../test/helpers/main-process-test-utils');
+
+const OWNER = 'ab'.repeat(20);
+const TOPIC = 'cd'.repeat(32);
+const refFor = (index) => index.toString(16).padStart(64, '0');
+
+function loadResolver({ latest = 5 } = {}) {
+  const state = { latest };
+  // Stands in for feed-service, which maps Bee's "not found" to these reasons.
+  const readFeedReference = jest.fn(async (_owner, _topic, index) => {
+    if (state.latest === null) {
+      throw Object.assign(new Error('Feed is empty — no entries to read'), {
+        reason: 'feed_empty',
+      });
+    }
+    const read = index === null ? state.latest : index;
+    if (read > state.latest) {
+      throw Object.assign(new Error(`Feed entry not found at index ${index}`), {
+        reason: 'entry_not_found',
+      });
+    }
+    return { reference: refFor(read), index: read, nextIndex: read + 1 };
+  });
+
+  const ctx = loadMainModule(require.resolve('./feed-resolver'), {
+    extraMocks: {
+      [require.resolve('../logger')]: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      }),
+      [require.resolve('./feed-service')]: () => ({ readFeedReference }),
+    },
+  });
+
+  return { ...ctx, readFeedReference, state };
+}
+
+describe('feed-resolver', () => {
+  test('parses feed hosts with and without an index', () => {
+    const { mod } = loadResolver();
+
+    expect(mod.parseFeedHost(`${OWNER}.${TOPIC}`)).toEqual({
+      owner: OWNER,
+      topic: TOPIC,
+      index: null,
+    });
+    expect(mod.parseFeedHost(`12.${OWNER.toUpperCase()}.${TOPIC}`)).toEqual({
+      owner: OWNER,
+      topic: TOPIC,
+      index: 12,
+    });
+    expect(mod.parseFeedHost(TOPIC)).toBeNull();
+    expect(mod.parseFeedHost(`${OWNER}.${TOPIC}.eth`)).toBeNull();
+    expect(mod.buildFeedHost(`0x${OWNER.toUpperCase()}`, TOPIC, 3)).toBe(`3.${OWNER}.${TOPIC}`);
+    expect(() => mod.buildFeedHost('0x1234', TOPIC)).toThrow(/20-byte hex address/);
+  });
+
+  test('resolves the latest update and caches it briefly', async () => {
+    const { mod, readFeedReference } = loadResolver();
+
+    const update = await mod.resolveFeed(`0x${OWNER}`, TOPIC);
+
+    expect(update).toEqual({
+      owner: OWNER,
+      topic: TOPIC,
+      reference: refFor(5),
+      index: 5,
+      nextIndex: 6,
+    });
+    const [owner, topic, index] = readFeedReference.mock.calls[0];
+    expect(owner).toBe(OWNER);
+    expect(topic.toHex()).toBe(TOPIC);
+    expect(index).toBeNull();
+
+    // The latest lookup also fills the per-index cache.
+    await mod.resolveFeedHost(`${OWNER}.${TOPIC}`);
+    await mod.resolveFeedHost(`5.${OWNER}.${TOPIC}`);
+    expect(readFeedReference).toHaveBeenCalledTimes(1);
+  });
+
+  test('reads historical updates and reports missing ones', async () => {
+    const { mod, state } = loadResolver();
+
+    await expect(mod.resolveFeed(OWNER, TOPIC, 2)).resolves.toMatchObject({
+      reference: refFor(2),
+      index: 2,
+    });
+    await expect(mod.resolveFeed(OWNER, TOPIC, 9)).rejects.toMatchObject({
+      reason: 'entry_not_found',
+      message: 'Feed entry not found at index 9',
+    });
+
+    state.latest = null;
+    mod._resetCache();
+    await expect(mod.resolveFeed(OWNER, TOPIC)).rejects.toMatchObject({ reason: 'feed_empty' });
+  });
+
+  test('IPC reports the resolved index next to the latest one', async () => {
+    const ctx = loadResolver();
+    ctx.mod.registerFeedResolverIpc();
+
+    const pinned = await ctx.ipcMain.invoke(IPC.BZZ_RESOLVE_FEED, {
+      owner: OWNER,
+      topic: TOPIC,
+      index: 1,
+    });
+    expect(pinned).toMatchObject({
+      success: true,
+      reference: refFor(1),
+      index: 1,
+      latestIndex: 5,
+      host: `1.${OWNER}.${TOPIC}`,
+    });
+
+    const bad = await ctx.ipcMain.invoke(IPC.BZZ_RESOLVE_FEED, { owner: 'nope', topic: TOPIC });
+    expect(bad).toEqual({
+      success: false,
+      error: { code: 'FEED_RESOLVE_FAILED', message: 'Feed owner must be a 20-byte hex address' },
+    });
+  });
+});
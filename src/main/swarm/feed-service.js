@@ -244,29 +244,17 @@ async function writeFeedPayload(signerPrivateKey, topicString, data, options = {
 }
 
 /**
- * Read a feed entry at a specific index, or read the latest entry.
- *
- * @param {string} ownerAddress - Feed owner Ethereum address (hex, with or without 0x)
- * @param {import('@ethersphere/bee-js').Topic} topic - Topic object (already resolved — not a string)
- * @param {number} [index] - Specific index to read. If omitted, reads latest.
- * @returns {Promise<{ payload: Buffer, index: number, nextIndex: number|null }>}
+ * Read a feed entry with `read(reader, options)`, mapping "not found" to the
+ * semantic reasons callers report (`entry_not_found` / `feed_empty`).
  */
-async function readFeedPayload(ownerAddress, topic, index) {
+async function readFeed(ownerAddress, topic, index, read) {
   const bee = getBee();
   const owner = new EthAddress(ownerAddress);
   const reader = bee.makeFeedReader(topic, owner);
 
   try {
     const options = index !== undefined && index !== null ? { index } : undefined;
-    const result = await reader.downloadPayload(options);
-
-    const payload = Buffer.from(result.payload.toUint8Array());
-    const readIndex = feedIndexToNumber(result.feedIndex);
-    const nextIndex = result.feedIndexNext
-      ? feedIndexToNumber(result.feedIndexNext)
-      : null;
-
-    return { payload, index: readIndex, nextIndex };
+    return await read(reader, options);
   } catch (err) {
     // Only map "not found" errors to semantic reasons.
     // All other errors (network, timeout, parse) propagate as-is.
@@ -283,12 +271,54 @@ async function readFeedPayload(ownerAddress, topic, index) {
   }
 }
 
+/**
+ * Read a feed entry at a specific index, or read the latest entry.
+ *
+ * @param {string} ownerAddress - Feed owner Ethereum address (hex, with or without 0x)
+ * @param {import('@ethersphere/bee-js').Topic} topic - Topic object (already resolved — not a string)
+ * @param {number} [index] - Specific index to read. If omitted, reads latest.
+ * @returns {Promise<{ payload: Buffer, index: number, nextIndex: number|null }>}
+ */
+async function readFeedPayload(ownerAddress, topic, index) {
+  const result = await readFeed(ownerAddress, topic, index, (reader, options) =>
+    reader.downloadPayload(options)
+  );
+
+  const payload = Buffer.from(result.payload.toUint8Array());
+  const readIndex = feedIndexToNumber(result.feedIndex);
+  const nextIndex = result.feedIndexNext ? feedIndexToNumber(result.feedIndexNext) : null;
+
+  return { payload, index: readIndex, nextIndex };
+}
+
+/**
+ * Read the content reference of a feed entry written with
+ * `FeedWriter.uploadReference`, at a specific index or the latest one.
+ *
+ * @param {string} ownerAddress - Feed owner Ethereum address (hex, with or without 0x)
+ * @param {import('@ethersphere/bee-js').Topic} topic - Topic object (already resolved — not a string)
+ * @param {number} [index] - Specific index to read. If omitted, reads latest.
+ * @returns {Promise<{ reference: string, index: number, nextIndex: number }>}
+ */
+async function readFeedReference(ownerAddress, topic, index) {
+  const result = await readFeed(ownerAddress, topic, index, (reader, options) =>
+    reader.downloadReference(options)
+  );
+
+  return {
+    reference: result.reference.toHex(),
+    index: feedIndexToNumber(result.feedIndex),
+    nextIndex: feedIndexToNumber(result.feedIndexNext),
+  };
+}
+
 module.exports = {
   buildTopicString,
   createFeed,
   updateFeed,
   writeFeedPayload,
   readFeedPayload,
+  readFeedReference,
   withWriteLock,
   feedIndexToNumber,
   isNotFoundError,
@@ -89,7 +89,7 @@ jest.mock('electron-log', () => ({
   error: jest.fn(),
 }));
 
-const { buildTopicString, createFeed, updateFeed, writeFeedPayload, readFeedPayload, withWriteLock, feedIndexToNumber, isNotFoundError } = require('./feed-service');
+const { buildTopicString, createFeed, updateFeed, writeFeedPayload, readFeedPayload, readFeedReference, withWriteLock, feedIndexToNumber, isNotFoundError } = require('./feed-service');
 
 const TEST_PRIVATE_KEY = '0x' + 'ab'.repeat(32);
 const MOCK_MANIFEST_REF = 'ff'.repeat(32);
@@ -675,6 +675,38 @@ describe('feed-service', () => {
     });
   });
 
+  describe('readFeedReference', () => {
+    test('reads the latest reference when no index provided', async () => {
+      const reader = {
+        downloadReference: jest.fn().mockResolvedValue({
+          reference: new MockReference('ee'.repeat(32)),
+          feedIndex: new MockFeedIndex(3),
+          feedIndexNext: new MockFeedIndex(4),
+        }),
+      };
+      mockMakeFeedReader.mockReturnValue(reader);
+
+      const result = await readFeedReference(MOCK_OWNER, new MockTopic('ab'.repeat(32)));
+
+      expect(reader.downloadReference).toHaveBeenCalledWith(undefined);
+      expect(result).toEqual({ reference: 'ee'.repeat(32), index: 3, nextIndex: 4 });
+    });
+
+    test('maps a missing entry to the same reasons as readFeedPayload', async () => {
+      const reader = { downloadReference: jest.fn().mockRejectedValue(make404()) };
+      mockMakeFeedReader.mockReturnValue(reader);
+
+      await expect(readFeedReference(MOCK_OWNER, new MockTopic('ab'.repeat(32)), 7))
+        .rejects.toMatchObject({ reason: 'entry_not_found', message: 'Feed entry not found at index 7' });
+      await expect(readFeedReference(MOCK_OWNER, new MockTopic('ab'.repeat(32))))
+        .rejects.toMatchObject({ reason: 'feed_empty' });
+
+      reader.downloadReference.mockRejectedValue(new Error('network timeout'));
+      await expect(readFeedReference(MOCK_OWNER, new MockTopic('ab'.repeat(32))))
+        .rejects.toThrow('network timeout');
+    });
+  });
+
   describe('withWriteLock', () => {
     test('serializes writes to the same topic', async () => {
       const order = [];
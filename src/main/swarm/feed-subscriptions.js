@@ -0,0 +1,194 @@
+/**
+ * Feed Subscriptions
+ *
+ * Live `feedUpdate` events for window.swarm pages. One poller runs per
+ * (owner, topic) no matter how many tabs subscribe to it; each poll looks
+ * ahead with readFeedPayload at the next expected index and pushes every new
+ * entry to all subscribed webviews. Quiet feeds are polled less and less
+ * often, and a found update resets the interval.
+ *
+ * Subscriptions are kept in a page-subscriptions registry, so they are
+ * dropped when the page navigates away or its tab closes; the poller stops
+ * with its last subscriber.
+ */
+
+const { readFeedPayload } = require('./feed-service');
+const { createPageSubscriptions, sendToPage } = require('./page-subscriptions');
+const log = require('electron-log');
+
+const MIN_POLL_MS = 5000;
+const MAX_POLL_MS = 60 * 1000;
+// Entries read per poll before yielding, so a long backlog can't hog Bee.
+const MAX_CATCH_UP = 16;
+const MAX_SUBSCRIPTIONS_PER_PAGE = 16;
+
+// "owner/topicHex" → { owner, topic, nextIndex, delay, timer, subscribers: Set<subscriptionId> }
+const watchers = new Map();
+// subscriptionId → { origin, page, key }
+const subscriptions = createPageSubscriptions({
+  idPrefix: 'feed',
+  maxPerPage: MAX_SUBSCRIPTIONS_PER_PAGE,
+  noun: 'feed subscriptions',
+  logTag: 'FeedSubscriptions',
+  onRemove: releaseWatcher,
+});
+
+function schedule(watcher) {
+  clearTimeout(watcher.timer);
+  watcher.timer = setTimeout(() => {
+    poll(watcher).catch((err) => {
+      log.warn(`[FeedSubscriptions] Poll failed for ${watcher.key}:`, err.message);
+    });
+  }, watcher.delay);
+}
+
+/**
+ * Read forward from the next expected index until an entry is missing,
+ * fanning each one out to the watcher's subscribers.
+ */
+async function poll(watcher) {
+  let found = 0;
+  try {
+    while (found < MAX_CATCH_UP) {
+      let entry;
+      try {
+        entry = await readFeedPayload(watcher.owner, watcher.topic, watcher.nextIndex);
+      } catch (err) {
+        if (err.reason === 'entry_not_found') break;
+        throw err;
+      }
+      if (watchers.get(watcher.key) !== watcher) return;
+
+      watcher.nextIndex = entry.index + 1;
+      found++;
+      const data = entry.payload.toString('base64');
+      for (const subscriptionId of watcher.subscribers) {
+        const { page } = subscriptions.get(subscriptionId);
+        sendToPage(page, 'feedUpdate', {
+          subscriptionId,
+          owner: watcher.owner,
+          topic: watcher.topicHex,
+          index: entry.index,
+          data,
+          encoding: 'base64',
+        });
+      }
+    }
+  } finally {
+    if (watchers.get(watcher.key) === watcher) {
+      // Back off while idle (or failing), snap back after an update.
+      watcher.delay = found > 0 ? MIN_POLL_MS : Math.min(watcher.delay * 2, MAX_POLL_MS);
+      schedule(watcher);
+    }
+  }
+}
+
+/**
+ * Find the index a new watcher starts after: the latest entry, or -1 for an
+ * empty feed.
+ */
+async function readLatestIndex(owner, topic) {
+  try {
+    const latest = await readFeedPayload(owner, topic);
+    return latest.index;
+  } catch (err) {
+    if (err.reason === 'feed_empty') return -1;
+    throw err;
+  }
+}
+
+/**
+ * Detach a removed subscription from its watcher, stopping the poller once
+ * nobody is left listening.
+ */
+function releaseWatcher(entry, subscriptionId) {
+  const watcher = watchers.get(entry.key);
+  if (!watcher) return;
+  watcher.subscribers.delete(subscriptionId);
+  if (watcher.subscribers.size === 0) {
+    clearTimeout(watcher.timer);
+    watchers.delete(entry.key);
+    log.info(`[FeedSubscriptions] Stopped polling ${entry.key}`);
+  }
+}
+
+/**
+ * Subscribe a page to new entries of a feed.
+ * @param {Electron.WebContents} page - webview webContents that receives events
+ * @param {string} origin - Normalized origin that owns the subscription
+ * @param {string} owner - 40-char hex owner address (no 0x)
+ * @param {import('@ethersphere/bee-js').Topic} topic
+ * @returns {Promise<{ subscriptionId: string, index: number|null }>} index of
+ *   the latest entry at subscribe time, null for an empty feed
+ */
+async function subscribeFeed(page, origin, owner, topic) {
+  const subscriptionId = subscriptions.reserve(page);
+
+  const ownerHex = owner.toLowerCase();
+  const topicHex = topic.toHex();
+  const key = `${ownerHex}/${topicHex}`;
+  let watcher = watchers.get(key);
+  if (!watcher) {
+    let latestIndex;
+    try {
+      latestIndex = await readLatestIndex(ownerHex, topic);
+    } catch (err) {
+      subscriptions.release(subscriptionId);
+      throw err;
+    }
+    // Another tab may have started the same watcher while we were reading.
+    watcher = watchers.get(key);
+    if (!watcher) {
+      watcher = {
+        key,
+        owner: ownerHex,
+        topic,
+        topicHex,
+        nextIndex: latestIndex + 1,
+        delay: MIN_POLL_MS,
+        timer: null,
+        subscribers: new Set(),
+      };
+      watchers.set(key, watcher);
+      schedule(watcher);
+      log.info(`[FeedSubscriptions] Polling ${key} from index ${watcher.nextIndex}`);
+    }
+  }
+
+  subscriptions.add(subscriptionId, page, origin, { key });
+  watcher.subscribers.add(subscriptionId);
+
+  return {
+    subscriptionId,
+    index: watcher.nextIndex > 0 ? watcher.nextIndex - 1 : null,
+  };
+}
+
+/**
+ * Cancel a feed subscription. Only the origin that created it may cancel it.
+ * @returns {boolean} false when the id is unknown or owned by another origin
+ */
+function unsubscribeFeed(origin, subscriptionId) {
+  return subscriptions.removeOwned(origin, subscriptionId);
+}
+
+function clearPageSubscriptions(webContentsId) {
+  return subscriptions.clearPage(webContentsId);
+}
+
+/**
+ * Stop every poller (e.g. on shutdown or in tests).
+ */
+function clearFeedSubscriptions() {
+  subscriptions.clear();
+}
+
+module.exports = {
+  subscribeFeed,
+  unsubscribeFeed,
+  clearPageSubscriptions,
+  clearFeedSubscriptions,
+  MIN_POLL_MS,
+  MAX_POLL_MS,
+  MAX_SUBSCRIPTIONS_PER_PAGE,
+};
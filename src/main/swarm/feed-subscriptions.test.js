@@ -0,0 +1,171 @@
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockReadFeedPayload = jest.fn();
+jest.mock('./feed-service', () => ({
+  readFeedPayload: mockReadFeedPayload,
+}));
+
+const {
+  subscribeFeed,
+  unsubscribeFeed,
+  clearFeedSubscriptions,
+  MIN_POLL_MS,
+  MAX_POLL_MS,
+  MAX_SUBSCRIPTIONS_PER_PAGE,
+} = require('./feed-subscriptions');
+
+const OWNER = 'ab'.repeat(20);
+const topic = (hex = 'cd'.repeat(32)) => ({ toHex: () => hex });
+
+function notFound(reason) {
+  return Object.assign(new Error(reason), { reason });
+}
+
+// Feed backed by an array of payload strings; reads past the end miss.
+function mockFeed(entries) {
+  mockReadFeedPayload.mockImplementation(async (_owner, _topic, index) => {
+    if (index === undefined) {
+      if (entries.length === 0) throw notFound('feed_empty');
+      index = entries.length - 1;
+    }
+    if (index >= entries.length) throw notFound('entry_not_found');
+    return { payload: Buffer.from(entries[index]), index, nextIndex: index + 1 };
+  });
+}
+
+function createPage(id) {
+  const listeners = {};
+  return {
+    id,
+    send: jest.fn(),
+    isDestroyed: () => false,
+    on: (event, fn) => {
+      listeners[event] = fn;
+    },
+    once: (event, fn) => {
+      listeners[event] = fn;
+    },
+    emit: (event) => listeners[event] && listeners[event](),
+  };
+}
+
+const updates = (page) =>
+  page.send.mock.calls.filter(([, msg]) => msg.event === 'feedUpdate').map(([, msg]) => msg.data);
+
+describe('feed-subscriptions', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    clearFeedSubscriptions();
+    jest.useRealTimers();
+  });
+
+  test('starts after the latest entry and pushes new ones to every subscriber', async () => {
+    const entries = ['a', 'b'];
+    mockFeed(entries);
+    const first = createPage(1);
+    const second = createPage(2);
+
+    const sub1 = await subscribeFeed(first, 'one.eth', OWNER.toUpperCase(), topic());
+    const sub2 = await subscribeFeed(second, 'two.eth', OWNER, topic());
+    expect(sub1.index).toBe(1);
+    expect(sub2.index).toBe(1);
+    // The second tab reuses the first tab's poller.
+    expect(mockReadFeedPayload).toHaveBeenCalledTimes(1);
+
+    entries.push('c', 'd');
+    await jest.advanceTimersByTimeAsync(MIN_POLL_MS);
+
+    expect(updates(first).map((u) => u.index)).toEqual([2, 3]);
+    expect(updates(second)[0]).toEqual({
+      subscriptionId: sub2.subscriptionId,
+      owner: OWNER,
+      topic: 'cd'.repeat(32),
+      index: 2,
+      data: Buffer.from('c').toString('base64'),
+      encoding: 'base64',
+    });
+  });
+
+  test('backs off while the feed is idle and resets after an update', async () => {
+    const entries = [];
+    mockFeed(entries);
+    const page = createPage(3);
+    const sub = await subscribeFeed(page, 'app.eth', OWNER, topic());
+    expect(sub.index).toBeNull();
+
+    await jest.advanceTimersByTimeAsync(MIN_POLL_MS);
+    await jest.advanceTimersByTimeAsync(MIN_POLL_MS * 2);
+    expect(mockReadFeedPayload.mock.calls.map((call) => call[2])).toEqual([undefined, 0, 0]);
+
+    // Next poll is 4x the minimum away; nothing happens before that.
+    mockReadFeedPayload.mockClear();
+    await jest.advanceTimersByTimeAsync(MIN_POLL_MS * 4 - 1);
+    expect(mockReadFeedPayload).not.toHaveBeenCalled();
+
+    entries.push('first');
+    await jest.advanceTimersByTimeAsync(1);
+    expect(updates(page).map((u) => u.index)).toEqual([0]);
+
+    mockReadFeedPayload.mockClear();
+    await jest.advanceTimersByTimeAsync(MIN_POLL_MS);
+    expect(mockReadFeedPayload).toHaveBeenCalledWith(OWNER, expect.anything(), 1);
+
+    // 10s, 20s, 40s, then capped: polls at 10, 30, 70, 130 and 190s.
+    mockReadFeedPayload.mockClear();
+    await jest.advanceTimersByTimeAsync(MAX_POLL_MS * 4);
+    expect(mockReadFeedPayload).toHaveBeenCalledTimes(5);
+  });
+
+  test('stops polling once the last page unsubscribes, navigates or closes', async () => {
+    mockFeed(['a']);
+    const first = createPage(4);
+    const second = createPage(5);
+    const third = createPage(6);
+    const sub1 = await subscribeFeed(first, 'app.eth', OWNER, topic());
+    await subscribeFeed(second, 'app.eth', OWNER, topic());
+    await subscribeFeed(third, 'app.eth', OWNER, topic());
+
+    expect(unsubscribeFeed('evil.eth', sub1.subscriptionId)).toBe(false);
+    expect(unsubscribeFeed('app.eth', sub1.subscriptionId)).toBe(true);
+    second.emit('did-navigate');
+    third.emit('destroyed');
+
+    mockReadFeedPayload.mockClear();
+    await jest.advanceTimersByTimeAsync(MAX_POLL_MS * 2);
+    expect(mockReadFeedPayload).not.toHaveBeenCalled();
+  });
+
+  test('caps subscriptions per page when they are requested in parallel', async () => {
+    mockFeed(['a']);
+    const page = createPage(7);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: MAX_SUBSCRIPTIONS_PER_PAGE + 1 }, (_, i) =>
+        subscribeFeed(page, 'app.eth', OWNER, topic(i.toString(16).padStart(64, '0')))
+      )
+    );
+
+    const rejected = results.filter((result) => result.status === 'rejected');
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason).toMatchObject({ reason: 'too_many_subscriptions' });
+  });
+
+  test('a subscribe whose first read fails gives its slot back', async () => {
+    mockFeed(['a']);
+    mockReadFeedPayload.mockRejectedValueOnce(new Error('Bee is down'));
+    const page = createPage(8);
+
+    await expect(subscribeFeed(page, 'app.eth', OWNER, topic())).rejects.toThrow('Bee is down');
+    for (let i = 0; i < MAX_SUBSCRIPTIONS_PER_PAGE; i++) {
+      await subscribeFeed(page, 'app.eth', OWNER, topic(i.toString(16).padStart(64, '0')));
+    }
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Incremental Deploy
+ *
+ * Redeploys a website folder uploading only the files that changed since
+ * the last deploy. website-service.js keeps a local manifest per site of
+ * `path → { hash, reference, size }`: `hash` is a SHA-256 of the file's
+ * bytes (cheap to recompute, used to detect changes) and `reference` is the
+ * Swarm data reference it was uploaded as.
+ *
+ * Changed and new files are uploaded one by one with `uploadData`; the
+ * mantaray manifest is then rebuilt locally from the new references plus
+ * the recorded ones for unchanged files, the same way bee-js's own
+ * `streamDirectory` assembles a collection. Only the manifest nodes and the
+ * changed files' chunks are stamped.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { MantarayNode, NULL_ADDRESS } = require('@ethersphere/bee-js');
+const { getBee, selectBestBatch, toHex } = require('./swarm-service');
+const log = require('../logger');
+
+// Content types for common site assets; everything else is served as
+// application/octet-stream, as bee-js does for unknown extensions.
+const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  htm: 'text/html; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  js: 'application/javascript',
+  mjs: 'application/javascript',
+  json: 'application/json',
+  map: 'application/json',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  xml: 'application/xml',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  ico: 'image/x-icon',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  wasm: 'application/wasm',
+  pdf: 'application/pdf',
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+};
+
+function contentTypeFor(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+function hashFile(fsPath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(fsPath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * List every file under `dirPath` with its size and content hash. Paths
+ * are relative and `/`-separated, as they appear in the manifest.
+ * @param {string} dirPath
+ * @returns {Promise<Array<{ path: string, fsPath: string, size: number, hash: string }>>}
+ */
+async function scanSiteFiles(dirPath, prefix = '') {
+  const files = [];
+  const entries = await fsp.readdir(dirPath, { withFileTypes: true });
+  for (const entry of entries) {
+    const fsPath = path.join(dirPath, entry.name);
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await scanSiteFiles(fsPath, relPath)));
+    } else if (entry.isFile()) {
+      const stat = await fsp.stat(fsPath);
+      files.push({ path: relPath, fsPath, size: stat.size, hash: await hashFile(fsPath) });
+    }
+  }
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Compare a scanned folder with the manifest recorded at the last deploy.
+ * @param {Object} previous - `path → { hash, reference }` (may be empty)
+ * @param {Array} files - from scanSiteFiles
+ * @returns {{ changed: Array, unchanged: Array, removed: string[] }}
+ */
+function diffSiteFiles(previous, files) {
+  const changed = [];
+  const unchanged = [];
+  for (const file of files) {
+    const known = previous?.[file.path];
+    if (known?.reference && known.hash === file.hash) {
+      unchanged.push({ ...file, reference: known.reference });
+    } else {
+      changed.push(file);
+    }
+  }
+  const present = new Set(files.map((file) => file.path));
+  const removed = Object.keys(previous || {}).filter((filePath) => !present.has(filePath));
+  return { changed, unchanged, removed };
+}
+
+/**
+ * Counts for the confirmation step on the publish page.
+ */
+function summarizeDiff(diff) {
+  return {
+    changed: diff.changed.length,
+    unchanged: diff.unchanged.length,
+    removed: diff.removed.length,
+    uploadBytes: diff.changed.reduce((total, file) => total + file.size, 0),
+    changedPaths: diff.changed.map((file) => file.path),
+    removedPaths: diff.removed,
+  };
+}
+
+/**
+ * Upload the changed files in `dirPath` and rebuild the site manifest.
+ *
+ * @param {string} dirPath
+ * @param {Object} previous - Manifest from the last deploy (`path → entry`)
+ * @param {{ indexDocument?: string, errorDocument?: string, batchId?: string }} [options]
+ * @returns {Promise<{ reference, bzzUrl, tagUid, batchIdUsed, bytesSize, files, summary }>}
+ */
+async function deployIncremental(dirPath, previous, options = {}) {
+  const bee = getBee();
+  const diff = diffSiteFiles(previous, await scanSiteFiles(dirPath));
+  if (diff.changed.length + diff.unchanged.length === 0) {
+    throw new Error('The folder is empty');
+  }
+  const summary = summarizeDiff(diff);
+
+  // Manifest nodes are small; leave room for them on top of the file bytes.
+  const batchId = options.batchId || (await selectBestBatch(summary.uploadBytes + 64 * 1024));
+  if (!batchId) {
+    throw new Error('No usable postage batch available. Purchase stamps first.');
+  }
+
+  const files = {};
+  for (const file of diff.unchanged) {
+    files[file.path] = { hash: file.hash, reference: file.reference, size: file.size };
+  }
+  for (const file of diff.changed) {
+    const result = await bee.uploadData(batchId, await fsp.readFile(file.fsPath), { pin: true });
+    files[file.path] = { hash: file.hash, reference: toHex(result.reference), size: file.size };
+  }
+
+  const mantaray = new MantarayNode();
+  for (const [filePath, entry] of Object.entries(files)) {
+    mantaray.addFork(filePath, entry.reference, {
+      'Content-Type': contentTypeFor(filePath),
+      Filename: path.posix.basename(filePath),
+    });
+  }
+  const indexDocument = options.indexDocument || (files['index.html'] ? 'index.html' : null);
+  if (indexDocument || options.errorDocument) {
+    const metadata = {};
+    if (indexDocument) metadata['website-index-document'] = indexDocument;
+    if (options.errorDocument) metadata['website-error-document'] = options.errorDocument;
+    mantaray.addFork('/', NULL_ADDRESS, metadata);
+  }
+
+  const root = await mantaray.saveRecursively(bee, batchId, { pin: true });
+  const reference = toHex(root.reference);
+
+  log.info(
+    `[IncrementalDeploy] ${dirPath}: ${summary.changed} changed, ${summary.unchanged} unchanged, ` +
+      `${summary.removed} removed → ${reference}`
+  );
+
+  return {
+    reference,
+    bzzUrl: `bzz://${reference}`,
+    tagUid: null,
+    batchIdUsed: batchId,
+    bytesSize: summary.uploadBytes,
+    files,
+    summary,
+  };
+}
+
+module.exports = {
+  contentTypeFor,
+  scanSiteFiles,
+  diffSiteFiles,
+  summarizeDiff,
+  deployIncremental,
+};
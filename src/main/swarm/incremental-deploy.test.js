@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Reference, MantarayNode } = require('@ethersphere/bee-js');
+
+// Content-addressed fake: the reference is a hash of the uploaded bytes, so
+// identical files and identical manifests get identical references.
+const mockUploads = [];
+const mockBee = {
+  uploadData: jest.fn(async (_batchId, data) => {
+    const bytes = Buffer.from(data);
+    mockUploads.push(bytes);
+    return { reference: new Reference(crypto.createHash('sha256').update(bytes).digest('hex')) };
+  }),
+};
+
+jest.mock('./swarm-service', () => ({
+  getBee: () => mockBee,
+  selectBestBatch: jest.fn(async () => 'batch1'),
+  toHex: (value) => (value && typeof value.toHex === 'function' ? value.toHex() : String(value)),
+}));
+
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  contentTypeFor,
+  scanSiteFiles,
+  diffSiteFiles,
+  deployIncremental,
+} = require('./incremental-deploy');
+
+function writeSite(dir, files) {
+  for (const [relPath, content] of Object.entries(files)) {
+    const filePath = path.join(dir, relPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+const uploadedFiles = (...contents) =>
+  mockUploads.filter((bytes) => contents.some((content) => bytes.equals(Buffer.from(content))));
+
+describe('incremental-deploy', () => {
+  let siteDir;
+
+  beforeEach(() => {
+    siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'incremental-deploy-'));
+    mockUploads.length = 0;
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(siteDir, { recursive: true, force: true });
+  });
+
+  test('scans nested files with posix paths and content hashes', async () => {
+    writeSite(siteDir, { 'index.html': '<h1>hi</h1>', 'css/site.css': 'body{}' });
+
+    const files = await scanSiteFiles(siteDir);
+
+    expect(files.map((file) => file.path)).toEqual(['css/site.css', 'index.html']);
+    expect(files[1]).toMatchObject({
+      size: 11,
+      hash: crypto.createHash('sha256').update('<h1>hi</h1>').digest('hex'),
+    });
+  });
+
+  test('diffs against the previous manifest', () => {
+    const previous = {
+      'index.html': { hash: 'h1', reference: 'r1' },
+      'about.html': { hash: 'h2', reference: 'r2' },
+      'old.html': { hash: 'h3', reference: 'r3' },
+    };
+    const files = [
+      { path: 'index.html', hash: 'h1', size: 1 },
+      { path: 'about.html', hash: 'changed', size: 1 },
+      { path: 'new.html', hash: 'h4', size: 1 },
+    ];
+
+    const diff = diffSiteFiles(previous, files);
+
+    expect(diff.unchanged.map((file) => [file.path, file.reference])).toEqual([
+      ['index.html', 'r1'],
+    ]);
+    expect(diff.changed.map((file) => file.path)).toEqual(['about.html', 'new.html']);
+    expect(diff.removed).toEqual(['old.html']);
+  });
+
+  test('first deploy uploads every file, the next only what changed', async () => {
+    writeSite(siteDir, {
+      'index.html': 'home v1',
+      'about.html': 'about',
+      'img/logo.svg': '<svg/>',
+    });
+
+    const first = await deployIncremental(siteDir, {}, { errorDocument: 'about.html' });
+    expect(first.summary).toMatchObject({ changed: 3, unchanged: 0, removed: 0 });
+    expect(uploadedFiles('home v1', 'about', '<svg/>')).toHaveLength(3);
+
+    mockUploads.length = 0;
+    writeSite(siteDir, { 'index.html': 'home v2' });
+    fs.rmSync(path.join(siteDir, 'img'), { recursive: true });
+
+    const second = await deployIncremental(siteDir, first.files, { errorDocument: 'about.html' });
+
+    expect(second.summary).toMatchObject({
+      changed: 1,
+      unchanged: 1,
+      removed: 1,
+      changedPaths: ['index.html'],
+      removedPaths: ['img/logo.svg'],
+    });
+    expect(uploadedFiles('home v2')).toHaveLength(1);
+    expect(uploadedFiles('about', 'home v1', '<svg/>')).toHaveLength(0);
+    expect(second.files['about.html'].reference).toBe(first.files['about.html'].reference);
+    expect(Object.keys(second.files).sort()).toEqual(['about.html', 'index.html']);
+    expect(second.reference).not.toBe(first.reference);
+  });
+
+  test('rebuilds a manifest with file metadata and website documents', async () => {
+    writeSite(siteDir, { 'index.html': 'home', 'app.js': 'run()' });
+
+    const result = await deployIncremental(siteDir, {}, { errorDocument: '404.html' });
+
+    // The root node is the last thing uploaded.
+    const root = MantarayNode.unmarshalFromData(
+      mockUploads[mockUploads.length - 1],
+      Buffer.from(result.reference, 'hex')
+    );
+    expect(root.getDocsMetadata()).toEqual({
+      indexDocument: 'index.html',
+      errorDocument: '404.html',
+    });
+    expect(result).toMatchObject({ batchIdUsed: 'batch1', bzzUrl: `bzz://${result.reference}` });
+    expect(contentTypeFor('index.html')).toBe('text/html; charset=utf-8');
+    expect(contentTypeFor('app.js')).toBe('application/javascript');
+    expect(contentTypeFor('blob.bin')).toBe('application/octet-stream');
+  });
+
+  test('refuses an empty folder', async () => {
+    await expect(deployIncremental(siteDir, {})).rejects.toThrow('The folder is empty');
+    expect(mockBee.uploadData).not.toHaveBeenCalled();
+  });
+});
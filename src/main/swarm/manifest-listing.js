@@ -0,0 +1,457 @@
+/**
+ * Manifest directory listing for bzz:// collections
+ *
+ * Bee answers `GET /bzz/<ref>/` with 404 when the collection has no index
+ * document (folders of files, datasets, release artifacts). bzz-protocol.js
+ * hands those 404s for directory paths to this module, which loads the
+ * mantaray manifest and renders a classic file index instead:
+ *
+ *   bzz://<ref>/dir/                   HTML listing (name, size, type, reference)
+ *   bzz://<ref>/dir/?download=zip      every file under dir/ as a ZIP
+ *   bzz://<ref>/dir/?manifest=raw      the manifest tree as JSON
+ *
+ * The navigation probe (swarm-probe.js) uses `hasListableManifest` so these
+ * references don't spin until the probe times out.
+ *
+ * Manifests are immutable, so loaded trees are cached per reference. Sizes
+ * come from the span of each file's root chunk and are fetched for the
+ * directory being shown, or for every file going into a ZIP.
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { MantarayNode, NULL_ADDRESS } = require('@ethersphere/bee-js');
+const log = require('../logger');
+const { getBee } = require('./swarm-service');
+
+const MAX_CACHED_MANIFESTS = 20;
+const MAX_SIZED_ENTRIES = 200;
+const SIZE_CONCURRENCY = 8;
+const MAX_ZIP_BYTES = 256 * 1024 * 1024;
+// Per-request cap on Bee calls while loading a manifest; a cold node can
+// otherwise hold the probe or the page for the full retrieval timeout.
+const LOAD_TIMEOUT_MS = 15_000;
+
+const manifestCache = new Map();
+const deflateRaw = promisify(zlib.deflateRaw);
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+function isNullAddress(bytes) {
+  return Buffer.from(bytes).equals(Buffer.from(NULL_ADDRESS));
+}
+
+async function fetchManifest(reference) {
+  const bee = getBee();
+  const requestOptions = { timeout: LOAD_TIMEOUT_MS };
+  const root = await MantarayNode.unmarshal(bee, reference, undefined, requestOptions);
+  await root.loadRecursively(bee, undefined, requestOptions);
+
+  const entries = root
+    .collect()
+    .map((node) => ({
+      path: node.fullPathString,
+      reference: toHex(node.targetAddress),
+      contentType: node.metadata?.['Content-Type'] || null,
+      size: null,
+    }))
+    .filter((entry) => entry.path && !entry.path.endsWith('/'))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  return { reference, root, entries, ...root.getDocsMetadata() };
+}
+
+/**
+ * Load a manifest, or null when the reference isn't one (or isn't
+ * retrievable yet). Only successful loads are cached.
+ * @param {string} reference - 64-char hex
+ */
+async function loadManifest(reference) {
+  const key = reference.toLowerCase();
+  if (!manifestCache.has(key)) {
+    const pending = fetchManifest(key).catch((err) => {
+      manifestCache.delete(key);
+      log.info(`[ManifestListing] ${key.slice(0, 12)}… is not a loadable manifest: ${err.message}`);
+      return null;
+    });
+    manifestCache.set(key, pending);
+    if (manifestCache.size > MAX_CACHED_MANIFESTS) {
+      manifestCache.delete(manifestCache.keys().next().value);
+    }
+  }
+  return manifestCache.get(key);
+}
+
+/**
+ * Whether a reference is a collection that can be shown as a listing.
+ * @param {string} reference
+ * @returns {Promise<boolean>}
+ */
+async function hasListableManifest(reference) {
+  if (!/^[0-9a-fA-F]{64}$/.test(reference)) return false;
+  const manifest = await loadManifest(reference);
+  return Boolean(manifest?.entries.length);
+}
+
+/**
+ * Files and sub-directories directly under `dirPath` ('' or 'a/b/').
+ */
+function listDirectory(entries, dirPath) {
+  const files = [];
+  const directories = new Map();
+  for (const entry of entries) {
+    if (!entry.path.startsWith(dirPath)) continue;
+    const rest = entry.path.slice(dirPath.length);
+    const slash = rest.indexOf('/');
+    if (slash === -1) {
+      files.push({ ...entry, name: rest });
+    } else {
+      const name = rest.slice(0, slash + 1);
+      directories.set(name, (directories.get(name) || 0) + 1);
+    }
+  }
+  return {
+    directories: [...directories].map(([name, fileCount]) => ({ name, fileCount })),
+    files,
+  };
+}
+
+// The first 8 bytes of a root chunk are its span: the byte length of the
+// data under it, little-endian.
+async function fetchSize(bee, entry) {
+  if (entry.size !== null || entry.reference.length !== 64) return;
+  try {
+    const chunk = await bee.downloadChunk(entry.reference, undefined, {
+      timeout: LOAD_TIMEOUT_MS,
+    });
+    entry.size = Number(Buffer.from(chunk.slice(0, 8)).readBigUInt64LE(0));
+  } catch {
+    // Leave unknown; the listing shows "—".
+  }
+}
+
+async function fillSizes(entries, limit = MAX_SIZED_ENTRIES) {
+  const bee = getBee();
+  const pending = entries.slice(0, limit);
+  for (let i = 0; i < pending.length; i += SIZE_CONCURRENCY) {
+    await Promise.all(pending.slice(i, i + SIZE_CONCURRENCY).map((entry) => fetchSize(bee, entry)));
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function encodePath(name) {
+  return name
+    .split('/')
+    .map((segment) => encodeURIComponent(segment))
+    .join('/');
+}
+
+const LISTING_STYLE = `
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #222; }
+  h1 { font-size: 1.25rem; word-break: break-all; }
+  .ref { color: #666; font: 12px monospace; word-break: break-all; }
+  .actions { margin: 1rem 0; display: flex; gap: 1rem; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+  th { font-weight: 600; color: #555; }
+  td.size { text-align: right; white-space: nowrap; }
+  td.hash { font: 12px monospace; color: #666; }
+  a { color: #0b63c5; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  @media (prefers-color-scheme: dark) {
+    body { background: #1b1b1f; color: #ddd; }
+    th, .ref, td.hash { color: #999; }
+    th, td { border-color: #333; }
+    a { color: #6aa9ff; }
+  }
+`;
+
+function renderListingHtml(manifest, dirPath, { directories, files }) {
+  const rows = [];
+  if (dirPath) {
+    rows.push('<tr><td><a href="../">../</a></td><td class="size"></td><td></td><td></td></tr>');
+  }
+  for (const dir of directories) {
+    const label = `${dir.fileCount} file${dir.fileCount === 1 ? '' : 's'}`;
+    rows.push(
+      `<tr><td><a href="${encodePath(dir.name)}">${escapeHtml(dir.name)}</a></td>` +
+        `<td class="size">${label}</td><td>directory</td><td></td></tr>`
+    );
+  }
+  for (const file of files) {
+    rows.push(
+      `<tr><td><a href="${encodePath(file.name)}">${escapeHtml(file.name)}</a></td>` +
+        `<td class="size">${formatSize(file.size)}</td>` +
+        `<td>${escapeHtml(file.contentType || '')}</td>` +
+        `<td class="hash" title="${file.reference}">${file.reference.slice(0, 16)}…</td></tr>`
+    );
+  }
+
+  const title = `Index of /${escapeHtml(dirPath)}`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${LISTING_STYLE}</style>
+</head>
+<body>
+<h1>${title}</h1>
+<div class="ref">bzz://${manifest.reference}</div>
+<div class="actions">
+<a href="?download=zip">Download all as ZIP</a>
+<a href="?manifest=raw">View raw manifest</a>
+</div>
+<table>
+<thead><tr><th>Name</th><th>Size</th><th>Type</th><th>Reference</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+function describeNode(node) {
+  return {
+    path: Buffer.from(node.path).toString('utf-8'),
+    ...(node.selfAddress && { address: toHex(node.selfAddress) }),
+    ...(!isNullAddress(node.targetAddress) && { target: toHex(node.targetAddress) }),
+    ...(node.metadata && { metadata: node.metadata }),
+    forks: [...node.forks.values()].map((fork) => describeNode(fork.node)),
+  };
+}
+
+function rawManifestJson(manifest) {
+  return JSON.stringify(
+    {
+      reference: manifest.reference,
+      indexDocument: manifest.indexDocument,
+      errorDocument: manifest.errorDocument,
+      root: describeNode(manifest.root),
+    },
+    null,
+    2
+  );
+}
+
+// MS-DOS date/time fields of a ZIP header.
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Minimal streaming ZIP writer (deflate, UTF-8 names, no ZIP64). Files are
+ * compressed off the main thread and written out one at a time; only the
+ * central directory is held until the end.
+ * @param {AsyncIterable<{ name: string, data: Buffer }>} files
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* zipStream(files, now = new Date()) {
+  const { time, date } = dosDateTime(now);
+  const centralParts = [];
+  let count = 0;
+  let offset = 0;
+
+  for await (const file of files) {
+    const name = Buffer.from(file.name, 'utf-8');
+    const compressed = await deflateRaw(file.data);
+    const crc = zlib.crc32(file.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(file.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    yield Buffer.concat([local, name, compressed]);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(file.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+    count++;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  yield Buffer.concat([...centralParts, end]);
+}
+
+/**
+ * ZIP every file under `dirPath`. The total size is taken from the root
+ * chunk spans before anything is downloaded, so oversized directories are
+ * refused up front; files are then fetched one by one while the response
+ * streams.
+ */
+async function buildZipResponse(manifest, dirPath) {
+  const entries = manifest.entries.filter((entry) => entry.path.startsWith(dirPath));
+  await fillSizes(entries, entries.length);
+
+  const unsized = entries.find((entry) => entry.size === null);
+  if (unsized) throw new Error(`could not read the size of ${unsized.path}`);
+  const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (total > MAX_ZIP_BYTES) {
+    return textResponse(
+      413,
+      `Too large to download as one ZIP (${formatSize(total)}, the limit is ${formatSize(MAX_ZIP_BYTES)})`
+    );
+  }
+
+  const bee = getBee();
+  async function* files() {
+    for (const entry of entries) {
+      const data = Buffer.from((await bee.downloadData(entry.reference)).toUint8Array());
+      yield { name: entry.path.slice(dirPath.length), data };
+    }
+  }
+
+  const parts = zipStream(files());
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await parts.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (err) {
+        log.warn(
+          `[ManifestListing] ZIP of ${manifest.reference.slice(0, 12)}… failed: ${err.message}`
+        );
+        controller.error(err);
+      }
+    },
+    cancel() {
+      return parts.return();
+    },
+  });
+
+  const folder = dirPath ? dirPath.slice(0, -1).split('/').pop() : manifest.reference.slice(0, 12);
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${folder.replace(/"/g, '')}.zip"`,
+    },
+  });
+}
+
+function textResponse(status, message) {
+  return new Response(message, {
+    status,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+  });
+}
+
+/**
+ * Render a directory path of a collection. Returns null when the
+ * reference isn't a manifest or nothing lives under the path, so the
+ * caller can return Bee's original 404.
+ *
+ * @param {string} reference - 64-char hex manifest reference
+ * @param {string} pathname - URL path, '/' or ending in '/'
+ * @param {URLSearchParams} searchParams
+ * @param {string} [method='GET']
+ * @returns {Promise<Response|null>}
+ */
+async function renderManifestListing(reference, pathname, searchParams, method = 'GET') {
+  if (!/^[0-9a-fA-F]{64}$/.test(reference) || !pathname.endsWith('/')) return null;
+
+  let dirPath;
+  try {
+    dirPath = decodeURIComponent(pathname).replace(/^\/+/, '');
+  } catch {
+    return null;
+  }
+
+  const manifest = await loadManifest(reference);
+  if (!manifest) return null;
+  const listing = listDirectory(manifest.entries, dirPath);
+  if (listing.files.length === 0 && listing.directories.length === 0) return null;
+
+  if (searchParams.get('download') === 'zip') {
+    if (method === 'HEAD') return new Response(null, { status: 200 });
+    try {
+      return await buildZipResponse(manifest, dirPath);
+    } catch (err) {
+      log.warn(`[ManifestListing] ZIP of ${reference.slice(0, 12)}… failed: ${err.message}`);
+      return textResponse(502, `Could not prepare the ZIP: ${err.message}`);
+    }
+  }
+
+  if (searchParams.get('manifest') === 'raw') {
+    return new Response(method === 'HEAD' ? null : rawManifestJson(manifest), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    });
+  }
+
+  if (method !== 'HEAD') await fillSizes(listing.files);
+  return new Response(method === 'HEAD' ? null : renderListingHtml(manifest, dirPath, listing), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+    },
+  });
+}
+
+function _resetCache() {
+  manifestCache.clear();
+}
+
+module.exports = {
+  loadManifest,
+  hasListableManifest,
+  listDirectory,
+  zipStream,
+  renderManifestListing,
+  _resetCache,
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { MantarayNode, NULL_ADDRESS, Reference } = require('@ethersphere/bee-js');
+
+// Content-addressed fake holding both file payloads and manifest nodes.
+const mockStore = new Map();
+const mockBee = {
+  uploadData: jest.fn(async (_batchId, data) => {
+    const bytes = Buffer.from(data);
+    const hex = crypto.createHash('sha256').update(bytes).digest('hex');
+    mockStore.set(hex, bytes);
+    return { reference: new Reference(hex) };
+  }),
+  downloadData: jest.fn(async (reference) => {
+    const hex = typeof reference === 'string' ? reference : reference.toHex();
+    if (!mockStore.has(hex)) throw new Error('Not Found');
+    return { toUint8Array: () => new Uint8Array(mockStore.get(hex)) };
+  }),
+  downloadChunk: jest.fn(async (reference) => {
+    const data = mockStore.get(reference);
+    if (!data) throw new Error('Not Found');
+    const span = Buffer.alloc(8);
+    span.writeBigUInt64LE(BigInt(data.length));
+    return new Uint8Array(Buffer.concat([span, data]));
+  }),
+};
+
+jest.mock('./swarm-service', () => ({
+  getBee: () => mockBee,
+}));
+
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { hasListableManifest, renderManifestListing, _resetCache } = require('./manifest-listing');
+
+async function uploadCollection(files, docs) {
+  const root = new MantarayNode();
+  for (const [filePath, content] of Object.entries(files)) {
+    const { reference } = await mockBee.uploadData('batch1', Buffer.from(content));
+    root.addFork(filePath, reference, {
+      'Content-Type': filePath.endsWith('.txt') ? 'text/plain' : 'application/octet-stream',
+      Filename: filePath.split('/').pop(),
+    });
+  }
+  if (docs) root.addFork('/', NULL_ADDRESS, docs);
+  const { reference } = await root.saveRecursively(mockBee, 'batch1');
+  return reference.toHex();
+}
+
+// Reads the entries of a ZIP built from deflated local file headers.
+function readZip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf-8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    const data = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize));
+    expect(buffer.readUInt32LE(offset + 14)).toBe(zlib.crc32(data));
+    files[name] = data.toString();
+    offset = start + compressedSize;
+  }
+  return files;
+}
+
+describe('manifest-listing', () => {
+  let reference;
+
+  beforeAll(async () => {
+    reference = await uploadCollection({
+      'readme.txt': 'hello swarm',
+      'data/a.bin': 'aaaa',
+      'data/nested/b.txt': 'bee',
+      'data/<odd>.txt': 'x',
+    });
+  });
+
+  beforeEach(() => {
+    _resetCache();
+    mockBee.downloadData.mockClear();
+  });
+
+  test('lists files and sub-directories of a directory path', async () => {
+    const response = await renderManifestListing(reference, '/data/', new URLSearchParams());
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/html; charset=utf-8');
+    expect(response.headers.get('Content-Security-Policy')).toMatch(/default-src 'none'/);
+    const html = await response.text();
+    expect(html).toContain('<title>Index of /data/</title>');
+    expect(html).toContain('<a href="../">../</a>');
+    expect(html).toContain('<a href="nested/">nested/</a>');
+    expect(html).toContain('<a href="a.bin">a.bin</a>');
+    expect(html).toContain('<td class="size">4 B</td>');
+    expect(html).toContain('application/octet-stream');
+    expect(html).toContain('<a href="%3Codd%3E.txt">&lt;odd&gt;.txt</a>');
+    expect(html).not.toContain('readme.txt');
+  });
+
+  test('returns null where there is nothing to list', async () => {
+    expect(await renderManifestListing(reference, '/missing/', new URLSearchParams())).toBeNull();
+    expect(await renderManifestListing(reference, '/readme.txt', new URLSearchParams())).toBeNull();
+    expect(await renderManifestListing('ff'.repeat(32), '/', new URLSearchParams())).toBeNull();
+    expect(await hasListableManifest('ff'.repeat(32))).toBe(false);
+    expect(await hasListableManifest(reference)).toBe(true);
+  });
+
+  test('caches loaded manifests per reference', async () => {
+    await renderManifestListing(reference, '/', new URLSearchParams(), 'HEAD');
+    const loads = mockBee.downloadData.mock.calls.length;
+
+    const response = await renderManifestListing(
+      reference,
+      '/data/',
+      new URLSearchParams(),
+      'HEAD'
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body).toBeNull();
+    expect(mockBee.downloadData).toHaveBeenCalledTimes(loads);
+  });
+
+  test('downloads a directory as a ZIP with paths relative to it', async () => {
+    const response = await renderManifestListing(
+      reference,
+      '/data/',
+      new URLSearchParams({ download: 'zip' })
+    );
+
+    expect(response.headers.get('Content-Type')).toBe('application/zip');
+    expect(response.headers.get('Content-Disposition')).toBe('attachment; filename="data.zip"');
+    const files = readZip(Buffer.from(await response.arrayBuffer()));
+    expect(files).toEqual({ '<odd>.txt': 'x', 'a.bin': 'aaaa', 'nested/b.txt': 'bee' });
+  });
+
+  test('refuses oversized ZIPs from the manifest sizes before downloading any file', async () => {
+    await renderManifestListing(reference, '/', new URLSearchParams(), 'HEAD');
+    mockBee.downloadData.mockClear();
+    const realDownloadChunk = mockBee.downloadChunk.getMockImplementation();
+    mockBee.downloadChunk.mockImplementation(async () => {
+      const span = Buffer.alloc(8);
+      span.writeBigUInt64LE(200n * 1024n * 1024n);
+      return new Uint8Array(span);
+    });
+
+    try {
+      const response = await renderManifestListing(
+        reference,
+        '/data/',
+        new URLSearchParams({ download: 'zip' })
+      );
+
+      expect(response.status).toBe(413);
+      expect(await response.text()).toContain('600.0 MB');
+      expect(mockBee.downloadData).not.toHaveBeenCalled();
+    } finally {
+      mockBee.downloadChunk.mockImplementation(realDownloadChunk);
+    }
+  });
+
+  test('shows the raw manifest tree with its website documents', async () => {
+    const site = await uploadCollection(
+      { 'files/one.txt': '1' },
+      { 'website-index-document': 'index.html', 'website-error-document': '404.html' }
+    );
+
+    const response = await renderManifestListing(
+      site,
+      '/',
+      new URLSearchParams({ manifest: 'raw' })
+    );
+
+    const manifest = await response.json();
+    expect(manifest).toMatchObject({
+      reference: site,
+      indexDocument: 'index.html',
+      errorDocument: '404.html',
+      root: { address: site },
+    });
+    const file = JSON.stringify(manifest.root);
+    expect(file).toContain('"Filename":"one.txt"');
+    expect(file).toContain(`"target":"${crypto.createHash('sha256').update('1').digest('hex')}"`);
+  });
+});
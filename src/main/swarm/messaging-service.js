@@ -0,0 +1,191 @@
+/**
+ * Messaging Service
+ *
+ * PSS send and GSOC (graffiti single-owner chunk) send/subscribe via bee-js.
+ * Runs in the main process only — provider-ipc validates params and
+ * permission before calling in here.
+ *
+ * Subscriptions are kept in a page-subscriptions registry: incoming messages
+ * are pushed straight to the page as `swarm:provider-event` events, and the
+ * Bee subscription is cancelled with the page that asked for it.
+ */
+
+const { Topic, Identifier, Utils } = require('@ethersphere/bee-js');
+const { getBee, selectBestBatch, toHex } = require('./swarm-service');
+const { createPageSubscriptions, sendToPage } = require('./page-subscriptions');
+const log = require('electron-log');
+
+const MAX_MESSAGE_BYTES = 4096;
+const MAX_SUBSCRIPTIONS_PER_PAGE = 16;
+
+// subscriptionId → { origin, page, identifier, owner, subscription }
+const subscriptions = createPageSubscriptions({
+  idPrefix: 'gsoc',
+  maxPerPage: MAX_SUBSCRIPTIONS_PER_PAGE,
+  logTag: 'Messaging',
+  onRemove(entry, subscriptionId) {
+    try {
+      entry.subscription.cancel();
+    } catch (err) {
+      log.warn(`[Messaging] Failed to cancel subscription ${subscriptionId}:`, err.message);
+    }
+  },
+});
+
+/**
+ * Turn a page-supplied topic or identifier into 32 bytes. A 64-character hex
+ * string is used as-is so pages can talk to non-browser peers; anything else
+ * is hashed, matching bee-js `Topic.fromString` / `Identifier.fromString`.
+ * Deliberately not origin-prefixed: both ends of a conversation must derive
+ * the same value.
+ */
+function toTopic(value) {
+  return /^[0-9a-fA-F]{64}$/.test(value) ? new Topic(value) : Topic.fromString(value);
+}
+
+function toIdentifier(value) {
+  return /^[0-9a-fA-F]{64}$/.test(value) ? new Identifier(value) : Identifier.fromString(value);
+}
+
+async function resolveBatch() {
+  const batchId = await selectBestBatch(MAX_MESSAGE_BYTES);
+  if (!batchId) {
+    throw new Error('No usable postage batch available. Purchase stamps first.');
+  }
+  return batchId;
+}
+
+/**
+ * Send a PSS message to the node at `targetOverlay`.
+ * @param {Object} options
+ * @param {string} options.topic
+ * @param {string} options.targetOverlay - 64-char hex overlay address
+ * @param {string|Uint8Array} options.data
+ * @param {string} [options.recipient] - PSS public key for encryption
+ */
+async function sendPssMessage({ topic, targetOverlay, data, recipient }) {
+  const bee = getBee();
+  const batchId = await resolveBatch();
+  const resolvedTopic = toTopic(topic);
+  const target = Utils.makeMaxTarget(targetOverlay);
+  await bee.pssSend(batchId, resolvedTopic, target, data, recipient || undefined);
+  return { topic: resolvedTopic.toHex(), target };
+}
+
+/**
+ * Send a GSOC message that lands in `targetOverlay`'s neighbourhood. The
+ * signer is mined from (overlay, identifier), so the receiver can derive
+ * the same owner address without any key exchange.
+ */
+async function sendGsocMessage({ targetOverlay, identifier, data }) {
+  const bee = getBee();
+  const batchId = await resolveBatch();
+  const id = toIdentifier(identifier);
+  const signer = bee.gsocMine(targetOverlay, id);
+  const result = await bee.gsocSend(batchId, signer, id, data);
+  return {
+    reference: toHex(result.reference),
+    owner: signer.publicKey().address().toHex(),
+    identifier: id.toHex(),
+  };
+}
+
+/**
+ * Cancel one subscription and tell the page why.
+ */
+function closeSubscription(subscriptionId, reason) {
+  const entry = subscriptions.remove(subscriptionId);
+  if (entry) sendToPage(entry.page, 'subscriptionClosed', { subscriptionId, reason });
+}
+
+/**
+ * Subscribe a page to GSOC messages addressed to this node under
+ * `identifier`. Returns the owner address senders will write as, along with
+ * the overlay they need to target.
+ * @param {Electron.WebContents} page - webview webContents that receives events
+ * @param {string} origin - Normalized origin that owns the subscription
+ * @param {Object} options
+ * @param {string} options.identifier
+ */
+async function subscribeGsoc(page, origin, { identifier }) {
+  const subscriptionId = subscriptions.reserve(page);
+  try {
+    return await openGsocSubscription(subscriptionId, page, origin, identifier);
+  } catch (err) {
+    subscriptions.release(subscriptionId);
+    throw err;
+  }
+}
+
+async function openGsocSubscription(subscriptionId, page, origin, identifier) {
+  const bee = getBee();
+  const { overlay } = await bee.getNodeAddresses();
+  const id = toIdentifier(identifier);
+  const owner = bee.gsocMine(overlay, id).publicKey().address();
+
+  const subscription = bee.gsocSubscribe(owner, id, {
+    onMessage(message) {
+      if (!subscriptions.has(subscriptionId)) return;
+      sendToPage(page, 'message', {
+        subscriptionId,
+        type: 'gsoc',
+        data: Buffer.from(message.toUint8Array()).toString('base64'),
+        encoding: 'base64',
+      });
+    },
+    onError(error) {
+      log.warn(`[Messaging] GSOC subscription ${subscriptionId} failed:`, error.message);
+      closeSubscription(subscriptionId, 'error');
+    },
+    onClose() {
+      closeSubscription(subscriptionId, 'closed');
+    },
+  });
+
+  subscriptions.add(subscriptionId, page, origin, {
+    identifier: id.toHex(),
+    owner: owner.toHex(),
+    subscription,
+  });
+
+  return {
+    subscriptionId,
+    overlay: toHex(overlay),
+    owner: owner.toHex(),
+    identifier: id.toHex(),
+  };
+}
+
+/**
+ * Cancel a subscription. Only the origin that created it may cancel it.
+ * @returns {boolean} false when the id is unknown or owned by another origin
+ */
+function unsubscribe(origin, subscriptionId) {
+  return subscriptions.removeOwned(origin, subscriptionId);
+}
+
+/**
+ * Cancel every subscription held by a webContents.
+ * @returns {number} how many were cancelled
+ */
+function clearPageSubscriptions(webContentsId) {
+  return subscriptions.clearPage(webContentsId);
+}
+
+/**
+ * Cancel everything (e.g. on Bee restart or in tests).
+ */
+function clearSubscriptions() {
+  subscriptions.clear();
+}
+
+module.exports = {
+  sendPssMessage,
+  sendGsocMessage,
+  subscribeGsoc,
+  unsubscribe,
+  clearPageSubscriptions,
+  clearSubscriptions,
+  MAX_MESSAGE_BYTES,
+  MAX_SUBSCRIPTIONS_PER_PAGE,
+};
@@ -0,0 +1,216 @@
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+class MockBytes {
+  constructor(hex) {
+    this._hex = hex;
+  }
+  toHex() {
+    return this._hex;
+  }
+  static fromString(s) {
+    return new this(Buffer.from(s).toString('hex').padEnd(64, '0'));
+  }
+}
+class MockTopic extends MockBytes {}
+class MockIdentifier extends MockBytes {}
+
+jest.mock('@ethersphere/bee-js', () => ({
+  Topic: MockTopic,
+  Identifier: MockIdentifier,
+  Utils: { makeMaxTarget: (overlay) => overlay.slice(0, 4) },
+}));
+
+const OVERLAY = 'ab'.repeat(32);
+const OWNER = 'ee'.repeat(20);
+
+const mockSelectBestBatch = jest.fn();
+const handlers = [];
+const mockBee = {
+  pssSend: jest.fn(),
+  gsocSend: jest.fn(),
+  gsocMine: jest.fn(() => ({ publicKey: () => ({ address: () => new MockBytes(OWNER) }) })),
+  getNodeAddresses: jest.fn(async () => ({ overlay: new MockBytes(OVERLAY) })),
+  gsocSubscribe: jest.fn((_owner, _id, handler) => {
+    const subscription = { cancel: jest.fn() };
+    handlers.push({ handler, subscription });
+    return subscription;
+  }),
+};
+jest.mock('./swarm-service', () => ({
+  getBee: () => mockBee,
+  selectBestBatch: mockSelectBestBatch,
+  toHex: (value) => (value && value.toHex ? value.toHex() : String(value)),
+}));
+
+const {
+  sendPssMessage,
+  sendGsocMessage,
+  subscribeGsoc,
+  unsubscribe,
+  clearSubscriptions,
+  MAX_SUBSCRIPTIONS_PER_PAGE,
+} = require('./messaging-service');
+
+function createPage(id) {
+  const listeners = {};
+  return {
+    id,
+    send: jest.fn(),
+    isDestroyed: () => false,
+    on: (event, fn) => {
+      listeners[event] = fn;
+    },
+    once: (event, fn) => {
+      listeners[event] = fn;
+    },
+    emit: (event) => listeners[event] && listeners[event](),
+  };
+}
+
+describe('messaging-service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearSubscriptions();
+    handlers.length = 0;
+    mockSelectBestBatch.mockResolvedValue('batch1');
+  });
+
+  test('sends PSS with the most specific target and raw hex topics', async () => {
+    const topic = 'cd'.repeat(32);
+    const result = await sendPssMessage({ topic, targetOverlay: OVERLAY, data: 'hi' });
+
+    expect(result).toEqual({ topic, target: 'abab' });
+    expect(mockBee.pssSend).toHaveBeenCalledWith(
+      'batch1',
+      expect.any(MockTopic),
+      'abab',
+      'hi',
+      undefined
+    );
+    expect(mockBee.pssSend.mock.calls[0][1].toHex()).toBe(topic);
+  });
+
+  test('refuses to send without a usable batch', async () => {
+    mockSelectBestBatch.mockResolvedValue(null);
+    await expect(
+      sendGsocMessage({ targetOverlay: OVERLAY, identifier: 'inbox', data: 'hi' })
+    ).rejects.toThrow('No usable postage batch');
+    expect(mockBee.gsocSend).not.toHaveBeenCalled();
+  });
+
+  test('sends GSOC with a signer mined for the target overlay', async () => {
+    mockBee.gsocSend.mockResolvedValue({ reference: new MockBytes('77'.repeat(32)) });
+
+    const result = await sendGsocMessage({
+      targetOverlay: OVERLAY,
+      identifier: 'inbox',
+      data: 'hi',
+    });
+
+    expect(mockBee.gsocMine).toHaveBeenCalledWith(OVERLAY, expect.any(MockIdentifier));
+    expect(result).toEqual({
+      reference: '77'.repeat(32),
+      owner: OWNER,
+      identifier: MockIdentifier.fromString('inbox').toHex(),
+    });
+  });
+
+  test('delivers messages to the subscribing page as provider events', async () => {
+    const page = createPage(3);
+    const result = await subscribeGsoc(page, 'myapp.eth', { identifier: 'inbox' });
+
+    expect(result).toMatchObject({
+      subscriptionId: expect.any(String),
+      overlay: OVERLAY,
+      owner: OWNER,
+    });
+
+    handlers[0].handler.onMessage({ toUint8Array: () => new Uint8Array([104, 105]) });
+    expect(page.send).toHaveBeenCalledWith('swarm:provider-event', {
+      event: 'message',
+      data: {
+        subscriptionId: result.subscriptionId,
+        type: 'gsoc',
+        data: 'aGk=',
+        encoding: 'base64',
+      },
+    });
+
+    handlers[0].handler.onError(new Error('socket closed'));
+    expect(handlers[0].subscription.cancel).toHaveBeenCalled();
+    expect(page.send).toHaveBeenLastCalledWith('swarm:provider-event', {
+      event: 'subscriptionClosed',
+      data: { subscriptionId: result.subscriptionId, reason: 'error' },
+    });
+  });
+
+  test('unsubscribe is scoped to the owning origin', async () => {
+    const { subscriptionId } = await subscribeGsoc(createPage(4), 'myapp.eth', {
+      identifier: 'inbox',
+    });
+
+    expect(unsubscribe('evil.eth', subscriptionId)).toBe(false);
+    expect(handlers[0].subscription.cancel).not.toHaveBeenCalled();
+    expect(unsubscribe('myapp.eth', subscriptionId)).toBe(true);
+    expect(handlers[0].subscription.cancel).toHaveBeenCalled();
+    expect(unsubscribe('myapp.eth', subscriptionId)).toBe(false);
+  });
+
+  test("cancels a page's subscriptions when it navigates or closes", async () => {
+    const page = createPage(5);
+    const other = createPage(6);
+    await subscribeGsoc(page, 'myapp.eth', { identifier: 'a' });
+    await subscribeGsoc(other, 'myapp.eth', { identifier: 'b' });
+
+    page.emit('did-navigate');
+    expect(handlers[0].subscription.cancel).toHaveBeenCalled();
+    expect(handlers[1].subscription.cancel).not.toHaveBeenCalled();
+
+    other.emit('destroyed');
+    expect(handlers[1].subscription.cancel).toHaveBeenCalled();
+    // Cleanup is silent: the page is gone or no longer the subscriber.
+    expect(other.send).not.toHaveBeenCalled();
+  });
+
+  test('caps subscriptions per page', async () => {
+    const page = createPage(8);
+    for (let i = 0; i < MAX_SUBSCRIPTIONS_PER_PAGE; i++) {
+      await subscribeGsoc(page, 'myapp.eth', { identifier: `topic-${i}` });
+    }
+
+    await expect(
+      subscribeGsoc(page, 'myapp.eth', { identifier: 'one-more' })
+    ).rejects.toMatchObject({ reason: 'too_many_subscriptions' });
+  });
+
+  test('caps subscriptions per page when they are requested in parallel', async () => {
+    const page = createPage(9);
+    const results = await Promise.allSettled(
+      Array.from({ length: MAX_SUBSCRIPTIONS_PER_PAGE + 1 }, (_, i) =>
+        subscribeGsoc(page, 'myapp.eth', { identifier: `topic-${i}` })
+      )
+    );
+
+    const rejected = results.filter((result) => result.status === 'rejected');
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason).toMatchObject({ reason: 'too_many_subscriptions' });
+    expect(mockBee.gsocSubscribe).toHaveBeenCalledTimes(MAX_SUBSCRIPTIONS_PER_PAGE);
+  });
+
+  test('a subscribe that fails gives its slot back', async () => {
+    const page = createPage(10);
+    mockBee.getNodeAddresses.mockRejectedValueOnce(new Error('Bee is down'));
+
+    await expect(subscribeGsoc(page, 'myapp.eth', { identifier: 'first' })).rejects.toThrow(
+      'Bee is down'
+    );
+    for (let i = 0; i < MAX_SUBSCRIPTIONS_PER_PAGE; i++) {
+      await subscribeGsoc(page, 'myapp.eth', { identifier: `topic-${i}` });
+    }
+    expect(mockBee.gsocSubscribe).toHaveBeenCalledTimes(MAX_SUBSCRIPTIONS_PER_PAGE);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Page Subscriptions
+ *
+ * Bookkeeping shared by the window.swarm services that push events to pages
+ * (GSOC messages, feed updates). Each subscription belongs to an
+ * (origin, webContents) pair, a page may hold a bounded number of them, and
+ * all of a page's subscriptions are removed once it navigates away or its
+ * tab closes, so nothing outlives the document that asked for it.
+ */
+
+const IPC = require('../../shared/ipc-channels');
+const log = require('electron-log');
+
+/**
+ * Push a `swarm:provider-event` to a page, skipping pages already gone.
+ */
+function sendToPage(page, event, data) {
+  if (!page || page.isDestroyed()) return;
+  page.send(IPC.SWARM_PROVIDER_EVENT, { event, data });
+}
+
+/**
+ * Create a subscription registry for one service.
+ * @param {Object} options
+ * @param {string} options.idPrefix - prefix of the subscription ids, e.g. 'gsoc'
+ * @param {number} options.maxPerPage - subscriptions one page may hold
+ * @param {string} [options.noun] - what the limit error calls them
+ * @param {string} options.logTag - log prefix, e.g. 'Messaging'
+ * @param {function(Object, string): void} [options.onRemove] - called with
+ *   the entry and its id after it leaves the registry
+ */
+function createPageSubscriptions({
+  idPrefix,
+  maxPerPage,
+  noun = 'subscriptions',
+  logTag,
+  onRemove,
+}) {
+  // subscriptionId → { origin, page, ...service fields }
+  const subscriptions = new Map();
+  // subscriptionId → webContents id, for ids reserved but not yet added.
+  // They count against the page's limit so parallel subscribes can't pass it.
+  const reservations = new Map();
+  // webContents ids that already have cleanup listeners attached
+  const watchedPages = new Set();
+  let nextId = 1;
+
+  function remove(subscriptionId) {
+    const entry = subscriptions.get(subscriptionId);
+    if (!entry) return null;
+    subscriptions.delete(subscriptionId);
+    onRemove?.(entry, subscriptionId);
+    return entry;
+  }
+
+  /**
+   * Remove every subscription held by a webContents.
+   * @returns {number} how many were removed
+   */
+  function clearPage(webContentsId) {
+    let count = 0;
+    for (const [subscriptionId, entry] of subscriptions) {
+      if (entry.page.id !== webContentsId) continue;
+      remove(subscriptionId);
+      count++;
+    }
+    return count;
+  }
+
+  function watchPage(page) {
+    const webContentsId = page.id;
+    if (watchedPages.has(webContentsId)) return;
+    watchedPages.add(webContentsId);
+
+    // Reloads and cross-document navigations discard the page that subscribed.
+    page.on('did-navigate', () => {
+      const count = clearPage(webContentsId);
+      if (count) log.info(`[${logTag}] Cleared ${count} subscription(s) after navigation`);
+    });
+    page.once('destroyed', () => {
+      watchedPages.delete(webContentsId);
+      clearPage(webContentsId);
+    });
+  }
+
+  return {
+    /**
+     * Allocate an id for a new subscription, throwing (reason
+     * `too_many_subscriptions`) when the page is already at its limit. The
+     * id holds a slot until it is passed to add() or release().
+     */
+    reserve(page) {
+      let held = 0;
+      for (const entry of subscriptions.values()) {
+        if (entry.page.id === page.id) held++;
+      }
+      for (const webContentsId of reservations.values()) {
+        if (webContentsId === page.id) held++;
+      }
+      if (held >= maxPerPage) {
+        const err = new Error(`A page can hold at most ${maxPerPage} ${noun}`);
+        err.reason = 'too_many_subscriptions';
+        throw err;
+      }
+      const subscriptionId = `${idPrefix}-${nextId++}`;
+      reservations.set(subscriptionId, page.id);
+      return subscriptionId;
+    },
+
+    /**
+     * Give back a reserved id whose subscription could not be set up.
+     */
+    release(subscriptionId) {
+      reservations.delete(subscriptionId);
+    },
+
+    add(subscriptionId, page, origin, fields = {}) {
+      reservations.delete(subscriptionId);
+      subscriptions.set(subscriptionId, { ...fields, origin, page });
+      watchPage(page);
+    },
+
+    get: (subscriptionId) => subscriptions.get(subscriptionId),
+    has: (subscriptionId) => subscriptions.has(subscriptionId),
+    remove,
+    clearPage,
+
+    /**
+     * Remove a subscription on behalf of a page. Only the origin that created
+     * it may do so.
+     * @returns {boolean} false when the id is unknown or owned by another origin
+     */
+    removeOwned(origin, subscriptionId) {
+      const entry = subscriptions.get(subscriptionId);
+      if (!entry || entry.origin !== origin) return false;
+      remove(subscriptionId);
+      return true;
+    },
+
+    clear() {
+      for (const subscriptionId of [...subscriptions.keys()]) {
+        remove(subscriptionId);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createPageSubscriptions,
+  sendToPage,
+};
@@ -0,0 +1,108 @@
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const IPC = require('../../shared/ipc-channels');
+const { createPageSubscriptions, sendToPage } = require('./page-subscriptions');
+
+function createPage(id) {
+  const listeners = {};
+  return {
+    id,
+    send: jest.fn(),
+    isDestroyed: () => false,
+    on: jest.fn((event, fn) => {
+      listeners[event] = fn;
+    }),
+    once: jest.fn((event, fn) => {
+      listeners[event] = fn;
+    }),
+    emit: (event) => listeners[event] && listeners[event](),
+  };
+}
+
+describe('page-subscriptions', () => {
+  let onRemove;
+  let registry;
+
+  beforeEach(() => {
+    onRemove = jest.fn();
+    registry = createPageSubscriptions({
+      idPrefix: 'test',
+      maxPerPage: 2,
+      noun: 'test subscriptions',
+      logTag: 'Test',
+      onRemove,
+    });
+  });
+
+  test('hands out prefixed ids and enforces the per-page limit', () => {
+    const page = createPage(1);
+    for (let i = 0; i < 2; i++) {
+      registry.add(registry.reserve(page), page, 'a.eth');
+    }
+
+    expect(() => registry.reserve(page)).toThrow(
+      expect.objectContaining({
+        message: 'A page can hold at most 2 test subscriptions',
+        reason: 'too_many_subscriptions',
+      })
+    );
+    expect(registry.reserve(createPage(2))).toBe('test-3');
+  });
+
+  test('reserved ids count against the limit until added or released', () => {
+    const page = createPage(1);
+    const first = registry.reserve(page);
+    registry.reserve(page);
+
+    expect(() => registry.reserve(page)).toThrow(
+      expect.objectContaining({ reason: 'too_many_subscriptions' })
+    );
+
+    registry.release(first);
+    expect(registry.reserve(page)).toBe('test-3');
+  });
+
+  test('clears a page on navigation and on destroy, watching each page once', () => {
+    const page = createPage(1);
+    const other = createPage(2);
+    registry.add('test-1', page, 'a.eth', { key: 'x' });
+    registry.add('test-2', page, 'a.eth');
+    registry.add('test-3', other, 'b.eth');
+
+    expect(page.on).toHaveBeenCalledTimes(1);
+
+    page.emit('did-navigate');
+    expect(onRemove).toHaveBeenCalledTimes(2);
+    expect(onRemove.mock.calls[0]).toEqual([{ key: 'x', origin: 'a.eth', page }, 'test-1']);
+    expect(registry.has('test-3')).toBe(true);
+
+    other.emit('destroyed');
+    expect(registry.has('test-3')).toBe(false);
+  });
+
+  test('only the owning origin may remove a subscription', () => {
+    registry.add('test-1', createPage(1), 'a.eth');
+
+    expect(registry.removeOwned('b.eth', 'test-1')).toBe(false);
+    expect(registry.removeOwned('a.eth', 'test-1')).toBe(true);
+    expect(registry.removeOwned('a.eth', 'test-1')).toBe(false);
+    expect(onRemove).toHaveBeenCalledTimes(1);
+  });
+
+  test('sendToPage skips destroyed pages', () => {
+    const page = createPage(1);
+    sendToPage(page, 'message', { a: 1 });
+    expect(page.send).toHaveBeenCalledWith(IPC.SWARM_PROVIDER_EVENT, {
+      event: 'message',
+      data: { a: 1 },
+    });
+
+    page.isDestroyed = () => true;
+    sendToPage(page, 'message', {});
+    expect(page.send).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,6 +1,9 @@
 /**
  * Publish History (SQLite-backed).
  *
+ * Shared by the Swarm and IPFS publish services; each row carries the
+ * `protocol` it was published to ('swarm' | 'ipfs').
+ *
  * On first open: migrate the legacy publish-history.json one-shot, then sweep
  * any 'uploading' rows left behind by a crashed prior session into 'failed'
  * (we don't recover in-flight uploads — the user re-initiates).
@@ -12,7 +15,7 @@ const path = require('path');
 const fs = require('fs');
 const Database = require('better-sqlite3');
 
-const SCHEMA_VERSION = 1;
+const SCHEMA_VERSION = 3;
 const ORPHAN_SWEEP_MESSAGE = 'interrupted by app exit';
 const MIGRATED_SUFFIX = '.migrated';
 
@@ -50,8 +53,10 @@ function closeDb() {
 function migrateDatabase() {
   const version = db.pragma('user_version', { simple: true });
 
-  if (version < SCHEMA_VERSION) {
-    log.info(`[PublishHistory] Migrating schema ${version} → ${SCHEMA_VERSION}`);
+  if (version >= SCHEMA_VERSION) return;
+  log.info(`[PublishHistory] Migrating schema ${version} → ${SCHEMA_VERSION}`);
+
+  if (version < 1) {
     db.exec(`
       CREATE TABLE IF NOT EXISTS publishes (
         id            INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -74,8 +79,25 @@ function migrateDatabase() {
       CREATE INDEX IF NOT EXISTS idx_publishes_reference ON publishes(reference);
       CREATE INDEX IF NOT EXISTS idx_publishes_origin    ON publishes(origin);
     `);
-    db.pragma(`user_version = ${SCHEMA_VERSION}`);
   }
+
+  // v2: IPFS publishes share the table. Existing rows are all Swarm.
+  if (version < 2) {
+    db.exec(`
+      ALTER TABLE publishes ADD COLUMN protocol TEXT NOT NULL DEFAULT 'swarm';
+      CREATE INDEX IF NOT EXISTS idx_publishes_protocol ON publishes(protocol);
+    `);
+  }
+
+  // v3: website deploys (website-service.js) record which site they belong to.
+  if (version < 3) {
+    db.exec(`
+      ALTER TABLE publishes ADD COLUMN site TEXT;
+      CREATE INDEX IF NOT EXISTS idx_publishes_site ON publishes(site);
+    `);
+  }
+
+  db.pragma(`user_version = ${SCHEMA_VERSION}`);
 }
 
 // Renamed to .migrated on success; left in place on parse failure as a
@@ -105,8 +127,8 @@ function migrateFromJson() {
       const insert = db.prepare(`
         INSERT INTO publishes (
           type, name, status, reference, bzz_url, tag_uid, batch_id,
-          origin, bytes_size, started_at, completed_at, error_message
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          origin, bytes_size, started_at, completed_at, error_message, protocol, site
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const insertMany = db.transaction((items) => {
@@ -130,6 +152,8 @@ function migrateFromJson() {
             null,
             startedAt,
             finalized ? startedAt : null,
+            null,
+            'swarm',
             null
           );
         }
@@ -165,8 +189,8 @@ function getStatements() {
     insert: database.prepare(`
       INSERT INTO publishes (
         type, name, status, reference, bzz_url, tag_uid, batch_id,
-        origin, bytes_size, started_at, completed_at, error_message
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        origin, bytes_size, started_at, completed_at, error_message, protocol, site
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `),
     // Passing NULL for any column keeps the existing value.
     update: database.prepare(`
@@ -189,6 +213,13 @@ function getStatements() {
   return statements;
 }
 
+// Browsable URL for a row regardless of network: Swarm rows store it,
+// IPFS rows derive it from the CID.
+function entryUrl(row) {
+  if (row.protocol === 'ipfs') return row.reference ? `ipfs://${row.reference}` : null;
+  return row.bzz_url || null;
+}
+
 // id is now an integer (was a generated string in the JSON store);
 // the renderer never reads it, so the type change is transparent.
 function rowToEntry(row) {
@@ -207,6 +238,9 @@ function rowToEntry(row) {
     timestamp: new Date(row.started_at).toISOString(),
     completedAt: row.completed_at ? new Date(row.completed_at).toISOString() : null,
     errorMessage: row.error_message,
+    protocol: row.protocol || 'swarm',
+    site: row.site || null,
+    url: entryUrl(row),
   };
 }
 
@@ -227,7 +261,9 @@ function addEntry(entry = {}) {
     entry.bytesSize ?? null,
     startedAt,
     finalized ? startedAt : null,
-    entry.errorMessage || null
+    entry.errorMessage || null,
+    entry.protocol || 'swarm',
+    entry.site || null
   );
 
   return rowToEntry(getStatements().getById.get(result.lastInsertRowid));
@@ -253,6 +289,10 @@ function updateEntry(id, updates = {}) {
   return rowToEntry(getStatements().getById.get(id));
 }
 
+function getEntry(id) {
+  return rowToEntry(getStatements().getById.get(id));
+}
+
 function getEntries() {
   return getStatements().getAll.all().map(rowToEntry);
 }
@@ -291,6 +331,7 @@ function registerPublishHistoryIpc() {
 module.exports = {
   addEntry,
   updateEntry,
+  getEntry,
   getEntries,
   clearEntries,
   removeEntry,
@@ -88,6 +88,52 @@ describe('publish-history (sqlite)', () => {
     expect(updated.completedAt).not.toBeNull();
   });
 
+  test('entries default to swarm and expose a protocol-aware url', () => {
+    ({ mod } = loadPublishHistoryModule({ userDataDir }));
+    const swarmEntry = mod.addEntry({
+      type: 'file',
+      status: 'completed',
+      reference: 'deadbeef',
+      bzzUrl: 'bzz://deadbeef',
+    });
+    const ipfsEntry = mod.addEntry({
+      type: 'directory',
+      status: 'completed',
+      reference: 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+      protocol: 'ipfs',
+    });
+
+    expect(swarmEntry).toEqual(
+      expect.objectContaining({ protocol: 'swarm', url: 'bzz://deadbeef' })
+    );
+    expect(ipfsEntry).toEqual(
+      expect.objectContaining({
+        protocol: 'ipfs',
+        bzzUrl: null,
+        url: 'ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+      })
+    );
+  });
+
+  test('website deploys carry their site and can be read back by id', () => {
+    ({ mod } = loadPublishHistoryModule({ userDataDir }));
+    const deploy = mod.addEntry({
+      type: 'website',
+      name: 'Blog',
+      status: 'completed',
+      reference: 'cafebabe',
+      bzzUrl: 'bzz://cafebabe',
+      site: 'site-0',
+    });
+    const plain = mod.addEntry({ type: 'file', status: 'completed' });
+
+    expect(mod.getEntry(deploy.id)).toEqual(
+      expect.objectContaining({ site: 'site-0', type: 'website' })
+    );
+    expect(plain.site).toBeNull();
+    expect(mod.getEntry(9999)).toBeNull();
+  });
+
   test('updateEntry returns null for unknown id', () => {
     ({ mod } = loadPublishHistoryModule({ userDataDir }));
     expect(mod.updateEntry(99999, { status: 'failed' })).toBeNull();
@@ -3,6 +3,8 @@
  *
  * Upload operations via bee-js: data, files, and directories.
  * All uploads use auto batch selection and return normalized results.
+ * Every publish accepts `encrypt` (chunk encryption, 128-char reference)
+ * and `grantees` (an ACT share readable only by those keys; act-service.js).
  * Runs in the main process only — renderer interacts via IPC.
  */
 
@@ -13,6 +15,7 @@ const os = require('os');
 const { ipcMain, dialog, BrowserWindow } = require('electron');
 const { getBee, selectBestBatch, toHex } = require('./swarm-service');
 const { addEntry, updateEntry } = require('./publish-history');
+const { normalizeGrantees, createGranteeList, recordShare } = require('./act-service');
 const log = require('electron-log');
 
 // Sentinel for user-initiated publishes (text/file/directory triggered from
@@ -30,9 +33,45 @@ function normalizeUploadResult(result, batchIdUsed, bytesSize) {
     tagUid: result.tagUid || null,
     batchIdUsed: batchIdUsed || null,
     bytesSize: bytesSize ?? null,
+    // Only set for ACT uploads (bee-js returns an Optional).
+    ...(result.historyAddress?.value && { historyAddress: toHex(result.historyAddress.value) }),
   };
 }
 
+/**
+ * Upload options for `encrypt` / `grantees`. With grantees, the grantee
+ * list is created first and the upload is bound to its history address.
+ */
+async function prepareAccess(batchId, options) {
+  const uploadOptions = options.encrypt ? { encrypt: true } : {};
+  if (!options.grantees?.length) {
+    return { uploadOptions, granteeList: null };
+  }
+  const granteeList = await createGranteeList(batchId, options.grantees);
+  return {
+    uploadOptions: { ...uploadOptions, act: true, actHistoryAddress: granteeList.historyAddress },
+    granteeList,
+  };
+}
+
+/**
+ * Normalize the upload result and, for ACT uploads, record the share so
+ * its grantees can be managed and its bzz:// URL opened with ACT headers.
+ */
+function completePublish(uploadResult, access, batchId, bytesSize, name) {
+  const result = normalizeUploadResult(uploadResult, batchId, bytesSize);
+  if (access.granteeList) {
+    const share = recordShare(result.reference, {
+      ...access.granteeList,
+      historyAddress: result.historyAddress || access.granteeList.historyAddress,
+      batchId,
+      name,
+    });
+    result.shareUrl = share.shareUrl;
+  }
+  return result;
+}
+
 /**
  * Normalize a Bee Tag to a Freedom upload status.
  */
@@ -71,15 +110,18 @@ async function publishData(data, options = {}) {
     throw new Error('No usable postage batch available. Purchase stamps first.');
   }
 
+  const access = await prepareAccess(batchId, options);
+
   // Use uploadFile so the content gets a manifest and is browsable via bzz://
   const result = await bee.uploadFile(batchId, data, options.name || 'data', {
     pin: true,
     deferred: false,
     contentType: options.contentType || 'text/plain',
+    ...access.uploadOptions,
     ...options.uploadOptions,
   });
 
-  return normalizeUploadResult(result, batchId, sizeEstimate);
+  return completePublish(result, access, batchId, sizeEstimate, options.name || 'data');
 }
 
 /**
@@ -97,16 +139,18 @@ async function publishFile(filePath, options = {}) {
   const stream = fs.createReadStream(filePath);
   const name = path.basename(filePath);
   const contentType = options.contentType || undefined;
+  const access = await prepareAccess(batchId, options);
 
   const result = await bee.uploadFile(batchId, stream, name, {
     pin: true,
     deferred: true,
     contentType,
     size: stat.size,
+    ...access.uploadOptions,
     ...options.uploadOptions,
   });
 
-  return normalizeUploadResult(result, batchId, stat.size);
+  return completePublish(result, access, batchId, stat.size, name);
 }
 
 /**
@@ -128,15 +172,17 @@ async function publishDirectory(dirPath, options = {}) {
   // Use explicit indexDocument if provided, otherwise auto-detect index.html
   const indexDocument = options.indexDocument ||
     (fs.existsSync(path.join(dirPath, 'index.html')) ? 'index.html' : undefined);
+  const access = await prepareAccess(batchId, options);
 
   const result = await bee.uploadFilesFromDirectory(batchId, dirPath, {
     pin: true,
     deferred: true,
     indexDocument,
+    ...access.uploadOptions,
     ...options.uploadOptions,
   });
 
-  return normalizeUploadResult(result, batchId, totalSize);
+  return completePublish(result, access, batchId, totalSize, path.basename(dirPath));
 }
 
 /**
@@ -148,7 +194,7 @@ async function publishDirectory(dirPath, options = {}) {
  * Files with non-standard names should use appropriate extensions.
  *
  * @param {Array<{path: string, bytes: Buffer, contentType?: string}>} files
- * @param {{ indexDocument?: string }} options
+ * @param {{ indexDocument?: string, encrypt?: boolean }} options
  */
 async function publishFilesFromContent(files, options = {}) {
   const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'freedom-swarm-publish-'));
@@ -162,6 +208,7 @@ async function publishFilesFromContent(files, options = {}) {
 
     return await publishDirectory(tempDir, {
       indexDocument: options.indexDocument,
+      encrypt: options.encrypt,
     });
   } finally {
     try {
@@ -199,6 +246,29 @@ async function getUploadStatus(tagUid) {
   return normalizeTag(tag);
 }
 
+/**
+ * Validate the `{ encrypt, grantees }` options the publish page sends.
+ */
+function parseAccessOptions(options) {
+  if (options == null) return {};
+  if (typeof options !== 'object') throw new Error('Invalid publish options');
+  return {
+    encrypt: options.encrypt === true,
+    grantees: options.grantees ? normalizeGrantees(options.grantees) : [],
+  };
+}
+
+// IPC reply for a publish; shareUrl is only set for ACT uploads.
+function toPublishReply(result) {
+  return {
+    success: true,
+    reference: result.reference,
+    bzzUrl: result.bzzUrl,
+    tagUid: result.tagUid,
+    ...(result.shareUrl && { shareUrl: result.shareUrl }),
+  };
+}
+
 /**
  * Register IPC handlers for publish operations.
  *
@@ -229,10 +299,16 @@ async function getUploadStatus(tagUid) {
  * pages at all.
  */
 function registerPublishIpc() {
-  ipcMain.handle('swarm:publish-data', async (_event, data) => {
+  ipcMain.handle('swarm:publish-data', async (_event, data, options) => {
     if (!data && data !== '') {
       return { success: false, error: 'Data is required' };
     }
+    let access;
+    try {
+      access = parseAccessOptions(options);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
     const historyEntry = addEntry({
       type: 'data',
       name: 'Text',
@@ -240,9 +316,9 @@ function registerPublishIpc() {
       origin: USER_ORIGIN,
     });
     try {
-      const result = await publishData(data);
+      const result = await publishData(data, access);
       updateEntry(historyEntry.id, { status: 'completed', ...result });
-      return { success: true, reference: result.reference, bzzUrl: result.bzzUrl, tagUid: result.tagUid };
+      return toPublishReply(result);
     } catch (err) {
       log.error('[PublishService] Failed to publish data:', err.message);
       updateEntry(historyEntry.id, { status: 'failed', errorMessage: err.message });
@@ -250,13 +326,19 @@ function registerPublishIpc() {
     }
   });
 
-  ipcMain.handle('swarm:publish-file', async (_event, filePath) => {
+  ipcMain.handle('swarm:publish-file', async (_event, filePath, options) => {
     if (!filePath || typeof filePath !== 'string') {
       return { success: false, error: 'File path is required' };
     }
     if (!fs.existsSync(filePath)) {
       return { success: false, error: `File not found: ${filePath}` };
     }
+    let access;
+    try {
+      access = parseAccessOptions(options);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
     const name = path.basename(filePath);
     const historyEntry = addEntry({
       type: 'file',
@@ -265,9 +347,9 @@ function registerPublishIpc() {
       origin: USER_ORIGIN,
     });
     try {
-      const result = await publishFile(filePath);
+      const result = await publishFile(filePath, access);
       updateEntry(historyEntry.id, { status: 'completed', ...result });
-      return { success: true, reference: result.reference, bzzUrl: result.bzzUrl, tagUid: result.tagUid };
+      return toPublishReply(result);
     } catch (err) {
       log.error('[PublishService] Failed to publish file:', err.message);
       updateEntry(historyEntry.id, { status: 'failed', errorMessage: err.message });
@@ -275,13 +357,19 @@ function registerPublishIpc() {
     }
   });
 
-  ipcMain.handle('swarm:publish-directory', async (_event, dirPath) => {
+  ipcMain.handle('swarm:publish-directory', async (_event, dirPath, options) => {
     if (!dirPath || typeof dirPath !== 'string') {
       return { success: false, error: 'Directory path is required' };
     }
     if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
       return { success: false, error: `Directory not found: ${dirPath}` };
     }
+    let access;
+    try {
+      access = parseAccessOptions(options);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
     const name = path.basename(dirPath);
     const historyEntry = addEntry({
       type: 'directory',
@@ -290,9 +378,9 @@ function registerPublishIpc() {
       origin: USER_ORIGIN,
     });
     try {
-      const result = await publishDirectory(dirPath);
+      const result = await publishDirectory(dirPath, access);
       updateEntry(historyEntry.id, { status: 'completed', ...result });
-      return { success: true, reference: result.reference, bzzUrl: result.bzzUrl, tagUid: result.tagUid };
+      return toPublishReply(result);
     } catch (err) {
       log.error('[PublishService] Failed to publish directory:', err.message);
       updateEntry(historyEntry.id, { status: 'failed', errorMessage: err.message });
@@ -38,6 +38,20 @@ jest.mock('./publish-history', () => ({
   updateEntry: jest.fn(),
 }));
 
+jest.mock('./act-service', () => ({
+  normalizeGrantees: jest.fn((keys) => {
+    if (keys.some((key) => !/^0[23]/.test(key))) throw new Error('Invalid public key');
+    return keys;
+  }),
+  createGranteeList: jest.fn(async (_batchId, grantees) => ({
+    publisher: 'publisher-key',
+    granteeRef: 'grantee-ref',
+    historyAddress: 'history-1',
+    grantees,
+  })),
+  recordShare: jest.fn((reference) => ({ shareUrl: `bzz://${reference}/?act-history=history-2` })),
+}));
+
 // Mock fs for file operations
 jest.mock('fs', () => ({
   existsSync: jest.fn(),
@@ -53,6 +67,7 @@ jest.mock('fs/promises', () => ({
 
 const fs = require('fs');
 const fsp = require('fs/promises');
+const { createGranteeList, recordShare } = require('./act-service');
 const { normalizeUploadResult, normalizeTag, registerPublishIpc, USER_ORIGIN } = require('./publish-service');
 
 registerPublishIpc();
@@ -185,6 +200,67 @@ describe('publish-service', () => {
       expect(result.error).toContain('No usable postage batch');
     });
 
+    test('swarm:publish-data encrypts when asked', async () => {
+      mockGetPostageBatches.mockResolvedValue([makeBatch('batch1', 1000000000, 86400)]);
+      mockUploadFile.mockResolvedValue({ reference: makeRef('e'.repeat(128)) });
+
+      const result = await invokeIpc('swarm:publish-data', 'secret', { encrypt: true });
+
+      expect(result.reference).toHaveLength(128);
+      expect(result.shareUrl).toBeUndefined();
+      expect(mockUploadFile).toHaveBeenCalledWith(
+        'batch1',
+        'secret',
+        'data',
+        expect.objectContaining({ encrypt: true })
+      );
+      expect(mockUploadFile.mock.calls[0][3]).not.toHaveProperty('act');
+      expect(createGranteeList).not.toHaveBeenCalled();
+    });
+
+    test('swarm:publish-data with grantees creates the list first and records the share', async () => {
+      const grantees = [`02${'a'.repeat(64)}`];
+      mockGetPostageBatches.mockResolvedValue([makeBatch('batch1', 1000000000, 86400)]);
+      mockUploadFile.mockResolvedValue({
+        reference: makeRef('actref'),
+        historyAddress: { value: makeRef('history-2') },
+      });
+
+      const result = await invokeIpc('swarm:publish-data', 'for friends', { grantees });
+
+      expect(createGranteeList).toHaveBeenCalledWith('batch1', grantees);
+      expect(mockUploadFile).toHaveBeenCalledWith(
+        'batch1',
+        'for friends',
+        'data',
+        expect.objectContaining({ act: true, actHistoryAddress: 'history-1' })
+      );
+      // The upload's own history address supersedes the grantee list's.
+      expect(recordShare).toHaveBeenCalledWith('actref', {
+        publisher: 'publisher-key',
+        granteeRef: 'grantee-ref',
+        historyAddress: 'history-2',
+        grantees,
+        batchId: 'batch1',
+        name: 'data',
+      });
+      expect(result).toMatchObject({
+        success: true,
+        reference: 'actref',
+        shareUrl: 'bzz://actref/?act-history=history-2',
+      });
+    });
+
+    test('swarm:publish-data rejects invalid grantees before uploading', async () => {
+      const { addEntry } = require('./publish-history');
+
+      const result = await invokeIpc('swarm:publish-data', 'x', { grantees: ['nope'] });
+
+      expect(result).toEqual({ success: false, error: 'Invalid public key' });
+      expect(addEntry).not.toHaveBeenCalled();
+      expect(mockUploadFile).not.toHaveBeenCalled();
+    });
+
     test('swarm:publish-data rejects empty input', async () => {
       const result = await invokeIpc('swarm:publish-data', null);
       expect(result.success).toBe(false);
@@ -0,0 +1,442 @@
+/**
+ * Stamp Monitor
+ *
+ * Postage batches expire silently: once a batch's TTL runs out or it fills
+ * up, everything stamped with it stops being stored or accepting uploads.
+ * This module polls the node's batches in the background and warns (a
+ * desktop notification plus a badge on the Swarm node card) when one drops
+ * under the TTL or usage thresholds from settings.
+ *
+ * A batch can also carry an auto top-up policy:
+ *   extend: { belowDays, addDays } - keep it alive `addDays` more days once
+ *           fewer than `belowDays` remain
+ *   dilute: { aboveUsagePercent }  - double its size once usage passes the
+ *           threshold
+ * Policies spend the Bee wallet's xBZZ through stamp-service, after the same
+ * balance pre-check as a manual extension, and never more than
+ * `stampAutoTopUpCapBzz` in any rolling 30 days. The cost is counted before
+ * the top-up is sent and only released again if Bee refuses it.
+ *
+ * Data model (swarm-stamp-monitor.json):
+ *   { version,
+ *     policies: { [batchId]: { extend, dilute } },
+ *     spending: [{ batchId, action, plur, bzz, at }],
+ *     alerts: { [batchId]: { kinds, ttlSeconds, usagePercent, blocked } },
+ *     checkedAt }
+ */
+
+const { app, ipcMain } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const log = require('../logger');
+const IPC = require('../../shared/ipc-channels');
+const { loadSettings } = require('../settings-store');
+const { createPeriodicCheck, notifyAll, broadcastUpdate } = require('../periodic-check');
+const {
+  getStamps,
+  quoteDurationExtension,
+  quoteSizeExtension,
+  extendStorageDuration,
+  extendStorageSize,
+  checkBzzBalance,
+} = require('./stamp-service');
+
+const MONITOR_FILE = 'swarm-stamp-monitor.json';
+const CURRENT_VERSION = 1;
+
+const CHECK_INTERVAL_MS = 30 * 60 * 1000;
+const CHECK_INITIAL_DELAY_MS = 2 * 60 * 1000;
+const DAY_SECONDS = 86400;
+const SPENDING_WINDOW_MS = 30 * DAY_SECONDS * 1000;
+// A top-up can take a while to show in the batch's TTL or depth; don't
+// repeat the same action on a batch within this window.
+const ACTION_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+const MAX_EXTEND_DAYS = 365;
+
+let monitorCache = null;
+
+function getMonitorPath() {
+  return path.join(app.getPath('userData'), MONITOR_FILE);
+}
+
+function createEmptyStore() {
+  return { version: CURRENT_VERSION, policies: {}, spending: [], alerts: {}, checkedAt: null };
+}
+
+function loadMonitor() {
+  if (monitorCache !== null) {
+    return monitorCache;
+  }
+
+  try {
+    const filePath = getMonitorPath();
+    if (fs.existsSync(filePath)) {
+      monitorCache = { ...createEmptyStore(), ...JSON.parse(fs.readFileSync(filePath, 'utf-8')) };
+    } else {
+      monitorCache = createEmptyStore();
+    }
+  } catch (err) {
+    log.error('[StampMonitor] Failed to load monitor state:', err.message);
+    monitorCache = createEmptyStore();
+  }
+
+  return monitorCache;
+}
+
+function saveMonitor() {
+  try {
+    fs.writeFileSync(getMonitorPath(), JSON.stringify(monitorCache, null, 2), 'utf-8');
+  } catch (err) {
+    log.error('[StampMonitor] Failed to save monitor state:', err.message);
+  }
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Same conversion as the chequebook deposit handler: 1 xBZZ = 1e16 PLUR.
+function bzzToPlur(amountBzz) {
+  return isPositiveNumber(amountBzz) ? BigInt(Math.round(amountBzz * 1e16)) : 0n;
+}
+
+function formatPlur(plur) {
+  return String(Number((Number(plur) / 1e16).toFixed(4)));
+}
+
+/**
+ * Validate a policy from the renderer. Returns null when neither rule is
+ * set, which removes the batch's policy.
+ */
+function normalizePolicy(policy) {
+  const normalized = { extend: null, dilute: null };
+
+  if (policy?.extend) {
+    const { belowDays, addDays } = policy.extend;
+    if (!isPositiveNumber(belowDays) || !isPositiveNumber(addDays)) {
+      throw new Error('Auto-extend needs a positive threshold and number of days');
+    }
+    if (addDays > MAX_EXTEND_DAYS) {
+      throw new Error(`Auto-extend can add at most ${MAX_EXTEND_DAYS} days at a time`);
+    }
+    normalized.extend = { belowDays, addDays };
+  }
+
+  if (policy?.dilute) {
+    const { aboveUsagePercent } = policy.dilute;
+    if (!isPositiveNumber(aboveUsagePercent) || aboveUsagePercent > 100) {
+      throw new Error('Auto-dilute needs a usage threshold between 1 and 100%');
+    }
+    normalized.dilute = { aboveUsagePercent };
+  }
+
+  return normalized.extend || normalized.dilute ? normalized : null;
+}
+
+function setPolicy(batchId, policy) {
+  if (!batchId || typeof batchId !== 'string') {
+    throw new Error('Batch ID is required');
+  }
+  const store = loadMonitor();
+  const normalized = normalizePolicy(policy);
+  if (normalized) {
+    store.policies[batchId] = normalized;
+  } else {
+    delete store.policies[batchId];
+  }
+  saveMonitor();
+  broadcastUpdate(IPC.SWARM_STAMP_MONITOR_UPDATED);
+  return normalized;
+}
+
+function pruneSpending(store, now) {
+  store.spending = store.spending.filter((record) => now - record.at < SPENDING_WINDOW_MS);
+}
+
+function spentInWindow(store) {
+  return store.spending.reduce((total, record) => total + BigInt(record.plur), 0n);
+}
+
+// Bee answers 4xx (bad batch, insufficient funds) before it sends the
+// transaction. A timeout, dropped connection or 5xx may come after it went
+// out, so those keep the spend reserved.
+function failedBeforeSending(err) {
+  return Number.isInteger(err?.status) && err.status >= 400 && err.status < 500;
+}
+
+function recentlyToppedUp(store, batchId, action, now) {
+  return store.spending.some(
+    (record) =>
+      record.batchId === batchId && record.action === action && now - record.at < ACTION_COOLDOWN_MS
+  );
+}
+
+/**
+ * Which thresholds `batch` is under: 'ttl' and/or 'usage'.
+ */
+function alertKinds(batch, settings) {
+  const kinds = [];
+  const warnTtlSeconds = (settings.stampWarnTtlDays ?? 7) * DAY_SECONDS;
+  if (batch.ttlSeconds > 0 && batch.ttlSeconds < warnTtlSeconds) kinds.push('ttl');
+  if (batch.usagePercent >= (settings.stampWarnUsagePercent ?? 80)) kinds.push('usage');
+  return kinds;
+}
+
+// Doubling the size adds one to the batch depth, the smallest dilution.
+function dilutedSizeGB(batch) {
+  return Math.max(1, Math.ceil((batch.sizeBytes * 2) / 1e9));
+}
+
+function planTopUp(batch, policy) {
+  if (policy?.extend && batch.ttlSeconds > 0) {
+    if (batch.ttlSeconds < policy.extend.belowDays * DAY_SECONDS) {
+      return { action: 'extend', amount: policy.extend.addDays };
+    }
+  }
+  if (policy?.dilute && batch.usagePercent >= policy.dilute.aboveUsagePercent) {
+    return { action: 'dilute', amount: dilutedSizeGB(batch) };
+  }
+  return null;
+}
+
+/**
+ * Run `batch`'s policy if one of its rules triggers. Returns the outcome
+ * ({ batchId, action, amount, ok, bzz?, error? }) or null when nothing
+ * was due.
+ */
+async function applyPolicy(batch, store, settings, now) {
+  const plan = planTopUp(batch, store.policies[batch.batchId]);
+  if (!plan || recentlyToppedUp(store, batch.batchId, plan.action, now)) return null;
+
+  const outcome = { batchId: batch.batchId, ...plan, ok: false };
+  try {
+    const cost =
+      plan.action === 'extend'
+        ? await quoteDurationExtension(batch.batchId, plan.amount)
+        : await quoteSizeExtension(batch.batchId, plan.amount);
+    const costPlur = cost.toPLURBigInt();
+    outcome.bzz = cost.toSignificantDigits(4);
+
+    const capPlur = bzzToPlur(settings.stampAutoTopUpCapBzz);
+    if (spentInWindow(store) + costPlur > capPlur) {
+      throw new Error(
+        `Needs ~${outcome.bzz} xBZZ but the auto top-up limit of ` +
+          `${formatPlur(capPlur)} xBZZ per 30 days would be exceeded`
+      );
+    }
+
+    const insufficient = await checkBzzBalance(cost);
+    if (insufficient) throw new Error(insufficient);
+
+    // Reserve the spend before Bee sends anything, so a top-up whose outcome
+    // is unknown still counts against the cap and the cooldown.
+    const record = {
+      batchId: batch.batchId,
+      action: plan.action,
+      plur: costPlur.toString(),
+      bzz: outcome.bzz,
+      at: now,
+    };
+    store.spending.push(record);
+    saveMonitor();
+
+    try {
+      if (plan.action === 'extend') {
+        await extendStorageDuration(batch.batchId, plan.amount);
+      } else {
+        await extendStorageSize(batch.batchId, plan.amount);
+      }
+    } catch (err) {
+      if (failedBeforeSending(err)) {
+        store.spending = store.spending.filter((entry) => entry !== record);
+        saveMonitor();
+      }
+      throw err;
+    }
+    outcome.ok = true;
+    log.info(`[StampMonitor] Auto ${plan.action} of ${batch.batchId} for ${outcome.bzz} xBZZ`);
+  } catch (err) {
+    outcome.error = err.message;
+  }
+  if (!outcome.ok) {
+    log.warn(`[StampMonitor] Auto ${plan.action} of ${batch.batchId} skipped: ${outcome.error}`);
+  }
+  return outcome;
+}
+
+async function runCheck() {
+  const settings = loadSettings();
+  const stamps = await getStamps();
+  const store = loadMonitor();
+  const now = Date.now();
+  pruneSpending(store, now);
+
+  const previousAlerts = store.alerts;
+  const alerts = {};
+  const actions = [];
+  const notices = [];
+
+  for (const batch of stamps) {
+    if (!batch.usable || !batch.batchId) continue;
+
+    const outcome = await applyPolicy(batch, store, settings, now);
+    if (outcome) actions.push(outcome);
+    if (outcome?.ok) {
+      notices.push({ batch, outcome });
+      continue;
+    }
+
+    const kinds = alertKinds(batch, settings);
+    if (kinds.length === 0) continue;
+
+    const previous = previousAlerts[batch.batchId];
+    const blocked = outcome?.error || null;
+    alerts[batch.batchId] = {
+      kinds,
+      ttlSeconds: batch.ttlSeconds,
+      usagePercent: batch.usagePercent,
+      blocked,
+    };
+    const newKind = kinds.some((kind) => !previous?.kinds.includes(kind));
+    if (newKind || (outcome?.error && outcome.error !== previous?.blocked)) {
+      notices.push({ batch, kinds, outcome });
+    }
+  }
+
+  store.alerts = alerts;
+  store.checkedAt = now;
+  saveMonitor();
+
+  if (notices.length > 0) {
+    notifyAll(notices, {
+      describe: describeNotice,
+      summary: (count) => ({
+        title: `${count} postage batches need attention`,
+        body: 'Open the Swarm node panel to review them.',
+      }),
+      logTag: 'StampMonitor',
+    });
+  }
+  broadcastUpdate(IPC.SWARM_STAMP_MONITOR_UPDATED);
+  return { alerts: listAlerts(), actions };
+}
+
+function formatDays(seconds) {
+  const days = seconds / DAY_SECONDS;
+  if (days >= 1) return `${Math.floor(days)} day${Math.floor(days) === 1 ? '' : 's'}`;
+  const hours = Math.max(1, Math.floor(seconds / 3600));
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+function shortId(batchId) {
+  return `${batchId.slice(0, 8)}…`;
+}
+
+function describeNotice({ batch, kinds, outcome }) {
+  const id = shortId(batch.batchId);
+  if (outcome?.ok) {
+    return {
+      title: `Postage batch ${id} topped up`,
+      body:
+        outcome.action === 'extend'
+          ? `Extended by ${outcome.amount} days for ${outcome.bzz} xBZZ`
+          : `Grown to ${outcome.amount} GB for ${outcome.bzz} xBZZ`,
+    };
+  }
+  const parts = [];
+  if (kinds.includes('ttl')) parts.push(`expires in ${formatDays(batch.ttlSeconds)}`);
+  if (kinds.includes('usage')) parts.push(`is ${batch.usagePercent}% full`);
+  const body = outcome?.error
+    ? `Auto top-up failed: ${outcome.error}`
+    : 'Extend it to keep content online.';
+  return { title: `Postage batch ${id} ${parts.join(' and ')}`, body };
+}
+
+function listAlerts() {
+  return Object.entries(loadMonitor().alerts).map(([batchId, alert]) => ({ batchId, ...alert }));
+}
+
+/**
+ * Alerts from the last check, policies, and auto top-up spending for the
+ * node panel and stamp manager.
+ */
+function getMonitorStatus() {
+  const store = loadMonitor();
+  pruneSpending(store, Date.now());
+  const settings = loadSettings();
+  return {
+    enabled: settings.monitorStamps !== false,
+    alerts: listAlerts(),
+    policies: store.policies,
+    spentBzz: formatPlur(spentInWindow(store)),
+    capBzz: formatPlur(bzzToPlur(settings.stampAutoTopUpCapBzz)),
+    checkedAt: store.checkedAt,
+  };
+}
+
+// Bee gets a couple of minutes to start before the first check.
+const monitor = createPeriodicCheck({
+  run: runCheck,
+  intervalMs: CHECK_INTERVAL_MS,
+  initialDelayMs: CHECK_INITIAL_DELAY_MS,
+  isEnabled: () => loadSettings().monitorStamps !== false,
+  logTag: 'StampMonitor',
+  failureMessage: 'Stamp check failed',
+});
+
+/**
+ * Check every usable batch once: run due policies and raise alerts for
+ * batches still under a threshold. A batch only notifies when it crosses a
+ * new threshold or its top-up gets blocked for a new reason, not on every
+ * poll. Returns { alerts, actions } for this run.
+ */
+const checkStamps = monitor.check;
+const startStampMonitor = monitor.start;
+const stopStampMonitor = monitor.stop;
+
+function registerStampMonitorIpc() {
+  ipcMain.handle(IPC.SWARM_STAMP_MONITOR_STATUS, () => {
+    try {
+      return { success: true, ...getMonitorStatus() };
+    } catch (err) {
+      log.error('[StampMonitor] Failed to read status:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SWARM_STAMP_MONITOR_SET_POLICY, (_event, batchId, policy) => {
+    try {
+      return { success: true, policy: setPolicy(batchId, policy) };
+    } catch (err) {
+      log.error('[StampMonitor] Failed to set policy:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SWARM_STAMP_MONITOR_CHECK, async () => {
+    try {
+      return { success: true, ...(await checkStamps()) };
+    } catch (err) {
+      log.error('[StampMonitor] Manual check failed:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  log.info('[StampMonitor] IPC handlers registered');
+}
+
+function _resetCache() {
+  monitorCache = null;
+}
+
+module.exports = {
+  normalizePolicy,
+  setPolicy,
+  alertKinds,
+  checkStamps,
+  getMonitorStatus,
+  startStampMonitor,
+  stopStampMonitor,
+  registerStampMonitorIpc,
+  _resetCache,
+};
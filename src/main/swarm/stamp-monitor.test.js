@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const IPC = require('../../shared/ipc-channels');
+const {
+  createTempUserDataDir,
+  loadMainModule,
+  removeTempUserDataDir,
+} = require('../../../test/helpers/main-process-test-utils');
+
+const BATCH_A = 'aa'.repeat(32);
+const BATCH_B = 'bb'.repeat(32);
+const DAY = 86400;
+
+const batch = (batchId, extra = {}) => ({
+  batchId,
+  usable: true,
+  isMutable: true,
+  sizeBytes: 2e9,
+  remainingBytes: 1e9,
+  usagePercent: 10,
+  ttlSeconds: 60 * DAY,
+  expiresApprox: null,
+  ...extra,
+});
+
+// bee-js BZZ amounts, with 1 xBZZ = 1e16 PLUR.
+const bzz = (amount) => ({
+  toPLURBigInt: () => BigInt(Math.round(amount * 1e16)),
+  toSignificantDigits: () => String(amount),
+});
+
+function loadMonitor(options = {}) {
+  const state = {
+    stamps: options.stamps || [],
+    settings: {
+      monitorStamps: true,
+      stampWarnTtlDays: 7,
+      stampWarnUsagePercent: 80,
+      stampAutoTopUpCapBzz: 1,
+      ...options.settings,
+    },
+    cost: bzz(0.25),
+    insufficient: null,
+  };
+  const notifications = [];
+  class MockNotification {
+    static isSupported() {
+      return true;
+    }
+
+    constructor(opts) {
+      this.opts = opts;
+      this.on = jest.fn();
+      this.show = jest.fn();
+      notifications.push(this);
+    }
+  }
+  const send = jest.fn();
+  const stampService = {
+    getStamps: jest.fn(async () => state.stamps),
+    quoteDurationExtension: jest.fn(async () => state.cost),
+    quoteSizeExtension: jest.fn(async () => state.cost),
+    extendStorageDuration: jest.fn(async (batchId) => batchId),
+    extendStorageSize: jest.fn(async (batchId) => batchId),
+    checkBzzBalance: jest.fn(async () => state.insufficient),
+  };
+
+  const ctx = loadMainModule(require.resolve('./stamp-monitor'), {
+    userDataDir: options.userDataDir,
+    windows: [{ isDestroyed: () => false, webContents: { send } }],
+    electronOverrides: { Notification: MockNotification },
+    extraMocks: {
+      [require.resolve('../logger')]: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      }),
+      [require.resolve('../settings-store')]: () => ({
+        loadSettings: jest.fn(() => state.settings),
+      }),
+      [require.resolve('./stamp-service')]: () => stampService,
+    },
+  });
+
+  return { ...ctx, state, notifications, send, stampService };
+}
+
+describe('stamp-monitor', () => {
+  let userDataDir;
+
+  beforeEach(() => {
+    userDataDir = createTempUserDataDir();
+  });
+
+  afterEach(() => {
+    removeTempUserDataDir(userDataDir);
+  });
+
+  test('warns once when a batch crosses the TTL or usage threshold', async () => {
+    const ctx = loadMonitor({
+      userDataDir,
+      stamps: [batch(BATCH_A, { ttlSeconds: 3 * DAY }), batch(BATCH_B)],
+    });
+
+    const first = await ctx.mod.checkStamps();
+
+    expect(first.alerts).toEqual([
+      expect.objectContaining({ batchId: BATCH_A, kinds: ['ttl'], ttlSeconds: 3 * DAY }),
+    ]);
+    expect(ctx.notifications).toHaveLength(1);
+    expect(ctx.notifications[0].opts).toEqual({
+      title: 'Postage batch aaaaaaaa… expires in 3 days',
+      body: 'Extend it to keep content online.',
+    });
+    expect(ctx.send).toHaveBeenCalledWith(IPC.SWARM_STAMP_MONITOR_UPDATED);
+
+    // Still low on the next poll: no repeat notification.
+    await ctx.mod.checkStamps();
+    expect(ctx.notifications).toHaveLength(1);
+
+    // Filling up is a new threshold for the same batch.
+    ctx.state.stamps[0].usagePercent = 85;
+    const third = await ctx.mod.checkStamps();
+    expect(third.alerts[0].kinds).toEqual(['ttl', 'usage']);
+    expect(ctx.notifications).toHaveLength(2);
+    expect(ctx.notifications[1].opts.title).toBe(
+      'Postage batch aaaaaaaa… expires in 3 days and is 85% full'
+    );
+    expect(ctx.stampService.extendStorageDuration).not.toHaveBeenCalled();
+  });
+
+  test('auto-extends a batch under its policy threshold', async () => {
+    const ctx = loadMonitor({ userDataDir, stamps: [batch(BATCH_A, { ttlSeconds: 2 * DAY })] });
+    ctx.mod.setPolicy(BATCH_A, { extend: { belowDays: 5, addDays: 30 } });
+
+    const { alerts, actions } = await ctx.mod.checkStamps();
+
+    expect(ctx.stampService.quoteDurationExtension).toHaveBeenCalledWith(BATCH_A, 30);
+    expect(ctx.stampService.checkBzzBalance).toHaveBeenCalledWith(ctx.state.cost);
+    expect(ctx.stampService.extendStorageDuration).toHaveBeenCalledWith(BATCH_A, 30);
+    expect(actions).toEqual([
+      expect.objectContaining({ batchId: BATCH_A, action: 'extend', amount: 30, ok: true }),
+    ]);
+    expect(alerts).toEqual([]);
+    expect(ctx.notifications[0].opts).toEqual({
+      title: 'Postage batch aaaaaaaa… topped up',
+      body: 'Extended by 30 days for 0.25 xBZZ',
+    });
+    expect(ctx.mod.getMonitorStatus()).toMatchObject({ spentBzz: '0.25', capBzz: '1' });
+
+    // The TTL hasn't caught up yet; the same top-up isn't repeated.
+    await ctx.mod.checkStamps();
+    expect(ctx.stampService.extendStorageDuration).toHaveBeenCalledTimes(1);
+  });
+
+  test('dilutes by doubling the batch size once usage passes the policy', async () => {
+    const ctx = loadMonitor({ userDataDir, stamps: [batch(BATCH_A, { usagePercent: 95 })] });
+    ctx.mod.setPolicy(BATCH_A, { dilute: { aboveUsagePercent: 90 } });
+
+    await ctx.mod.checkStamps();
+
+    expect(ctx.stampService.quoteSizeExtension).toHaveBeenCalledWith(BATCH_A, 4);
+    expect(ctx.stampService.extendStorageSize).toHaveBeenCalledWith(BATCH_A, 4);
+  });
+
+  test('stops at the spending cap and reports the blocked top-up', async () => {
+    const ctx = loadMonitor({
+      userDataDir,
+      stamps: [batch(BATCH_A, { ttlSeconds: DAY / 2 })],
+      settings: { stampAutoTopUpCapBzz: 0.2 },
+    });
+    ctx.mod.setPolicy(BATCH_A, { extend: { belowDays: 5, addDays: 30 } });
+
+    const { alerts, actions } = await ctx.mod.checkStamps();
+
+    expect(ctx.stampService.extendStorageDuration).not.toHaveBeenCalled();
+    expect(actions[0]).toMatchObject({
+      ok: false,
+      error: expect.stringMatching(/0\.2 xBZZ per 30 days/),
+    });
+    expect(alerts[0]).toMatchObject({ kinds: ['ttl'], blocked: actions[0].error });
+    expect(ctx.notifications[0].opts).toEqual({
+      title: 'Postage batch aaaaaaaa… expires in 12 hours',
+      body: `Auto top-up failed: ${actions[0].error}`,
+    });
+  });
+
+  test('skips the top-up when the Bee wallet cannot cover it', async () => {
+    const ctx = loadMonitor({ userDataDir, stamps: [batch(BATCH_A, { ttlSeconds: 2 * DAY })] });
+    ctx.mod.setPolicy(BATCH_A, { extend: { belowDays: 5, addDays: 30 } });
+    ctx.state.insufficient = 'Insufficient xBZZ. Estimated cost is ~0.25 xBZZ.';
+
+    const { actions } = await ctx.mod.checkStamps();
+
+    expect(actions[0]).toMatchObject({ ok: false, error: ctx.state.insufficient });
+    expect(ctx.stampService.extendStorageDuration).not.toHaveBeenCalled();
+    expect(ctx.mod.getMonitorStatus().spentBzz).toBe('0');
+  });
+
+  test('keeps the spend reserved when a top-up fails after it may have been sent', async () => {
+    const ctx = loadMonitor({ userDataDir, stamps: [batch(BATCH_A, { ttlSeconds: 2 * DAY })] });
+    ctx.mod.setPolicy(BATCH_A, { extend: { belowDays: 5, addDays: 30 } });
+    ctx.stampService.extendStorageDuration.mockRejectedValueOnce(
+      new Error('timeout of 300000ms exceeded')
+    );
+
+    const { actions } = await ctx.mod.checkStamps();
+
+    expect(actions[0]).toMatchObject({ ok: false, error: 'timeout of 300000ms exceeded' });
+    expect(ctx.mod.getMonitorStatus().spentBzz).toBe('0.25');
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(userDataDir, 'swarm-stamp-monitor.json'), 'utf-8')
+    );
+    expect(saved.spending).toEqual([
+      expect.objectContaining({ batchId: BATCH_A, plur: '2500000000000000' }),
+    ]);
+
+    // The reservation also holds the cooldown: no second attempt on the next poll.
+    await ctx.mod.checkStamps();
+    expect(ctx.stampService.extendStorageDuration).toHaveBeenCalledTimes(1);
+  });
+
+  test('releases the reserved spend when Bee refuses the top-up', async () => {
+    const ctx = loadMonitor({ userDataDir, stamps: [batch(BATCH_A, { ttlSeconds: 2 * DAY })] });
+    ctx.mod.setPolicy(BATCH_A, { extend: { belowDays: 5, addDays: 30 } });
+    ctx.stampService.extendStorageDuration.mockRejectedValueOnce(
+      Object.assign(new Error('Payment Required'), { status: 402 })
+    );
+
+    const { actions } = await ctx.mod.checkStamps();
+
+    expect(actions[0]).toMatchObject({ ok: false, error: 'Payment Required' });
+    expect(ctx.mod.getMonitorStatus().spentBzz).toBe('0');
+  });
+
+  test('validates policies and persists them', () => {
+    const ctx = loadMonitor({ userDataDir });
+
+    expect(() => ctx.mod.setPolicy(BATCH_A, { extend: { belowDays: 5, addDays: 0 } })).toThrow(
+      /positive threshold/
+    );
+    expect(() => ctx.mod.setPolicy(BATCH_A, { dilute: { aboveUsagePercent: 150 } })).toThrow(
+      /between 1 and 100/
+    );
+    expect(() => ctx.mod.setPolicy('', {})).toThrow(/Batch ID is required/);
+
+    ctx.mod.setPolicy(BATCH_A, { extend: { belowDays: 5, addDays: 30 }, junk: true });
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(userDataDir, 'swarm-stamp-monitor.json'), 'utf-8')
+    );
+    expect(saved.policies).toEqual({
+      [BATCH_A]: { extend: { belowDays: 5, addDays: 30 }, dilute: null },
+    });
+
+    expect(ctx.mod.setPolicy(BATCH_A, {})).toBeNull();
+    expect(ctx.mod.getMonitorStatus().policies).toEqual({});
+  });
+
+  test('IPC handlers wrap status, policies and manual checks', async () => {
+    const ctx = loadMonitor({ userDataDir, stamps: [batch(BATCH_A, { usagePercent: 90 })] });
+    ctx.mod.registerStampMonitorIpc();
+
+    const set = await ctx.ipcMain.invoke(IPC.SWARM_STAMP_MONITOR_SET_POLICY, BATCH_A, {
+      dilute: { aboveUsagePercent: 'lots' },
+    });
+    expect(set).toEqual({ success: false, error: expect.stringMatching(/usage threshold/) });
+
+    const check = await ctx.ipcMain.invoke(IPC.SWARM_STAMP_MONITOR_CHECK);
+    expect(check).toMatchObject({
+      success: true,
+      alerts: [{ batchId: BATCH_A, kinds: ['usage'] }],
+    });
+
+    const status = await ctx.ipcMain.invoke(IPC.SWARM_STAMP_MONITOR_STATUS);
+    expect(status).toMatchObject({ success: true, enabled: true, alerts: [{ batchId: BATCH_A }] });
+
+    ctx.stampService.getStamps.mockRejectedValueOnce(new Error('Bee is not running'));
+    expect(await ctx.ipcMain.invoke(IPC.SWARM_STAMP_MONITOR_CHECK)).toEqual({
+      success: false,
+      error: 'Bee is not running',
+    });
+  });
+});
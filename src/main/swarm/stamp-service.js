@@ -12,6 +12,8 @@ const { getBee, toHex } = require('./swarm-service');
 const log = require('electron-log');
 
 const BUY_TIMEOUT_MS = 300000; // 5 minutes — chain tx can be slow
+// Bee pays for stamps and chequebook deposits from its own wallet on Gnosis.
+const GNOSIS_CHAIN_ID = 100;
 
 function isPositiveNumber(value) {
   return typeof value === 'number' && Number.isFinite(value) && value > 0;
@@ -19,6 +21,80 @@ function isPositiveNumber(value) {
 
 const batchIdToHex = toHex;
 
+// Where Bee-wallet transactions are logged. Wired to the wallet activity
+// tracker at startup, so this module doesn't depend on the wallet layer.
+let activityRecorder = null;
+
+/**
+ * @param {function(Object): void|null} recorder - called with
+ *   { kind, chainId, summary, hash?, status? } for each transaction Bee sends
+ */
+function setActivityRecorder(recorder) {
+  activityRecorder = recorder;
+}
+
+function toTxHash(value) {
+  const txHex = toHex(value);
+  if (!txHex) return null;
+  return txHex.startsWith('0x') ? txHex : `0x${txHex}`;
+}
+
+/**
+ * bee-js returns only the batch ID from stamp purchases and top-ups, but
+ * Bee's response also carries the transaction hash. These request options
+ * read it from the raw response into `captured.txHash`.
+ */
+function captureTxHash(requestOptions) {
+  const captured = { txHash: null };
+  const transformResponse = (data) => {
+    let body = data;
+    if (typeof data === 'string' && data) {
+      try {
+        body = JSON.parse(data);
+      } catch {
+        return data;
+      }
+    }
+    if (typeof body?.txHash === 'string') captured.txHash = body.txHash;
+    return body;
+  };
+  return {
+    captured,
+    requestOptions: { ...requestOptions, transformResponse: [transformResponse] },
+  };
+}
+
+/**
+ * Log a postage contract call in the wallet activity. With the hash the
+ * tracker follows its receipt; without one the entry is stored as confirmed,
+ * since Bee only returns once the transaction is mined.
+ */
+function recordStampActivity(summary, txHash) {
+  if (!activityRecorder) return;
+  const hash = toTxHash(txHash);
+  activityRecorder({
+    kind: 'stamp-purchase',
+    ...(hash ? { hash } : { status: 'confirmed' }),
+    chainId: GNOSIS_CHAIN_ID,
+    summary,
+  });
+}
+
+/**
+ * Log a chequebook deposit in the wallet activity; the tracker follows its
+ * receipt.
+ */
+function recordDepositActivity(txId, summary) {
+  const hash = toTxHash(txId);
+  if (!hash || !activityRecorder) return;
+  activityRecorder({
+    kind: 'chequebook-deposit',
+    hash,
+    chainId: GNOSIS_CHAIN_ID,
+    summary,
+  });
+}
+
 /**
  * Normalize a bee-js PostageBatch to the Freedom batch model.
  * Uses public bee-js class methods (toBytes, toSeconds) rather than
@@ -102,27 +178,46 @@ async function getStorageCost(sizeGB, durationDays) {
  */
 async function buyStorage(sizeGB, durationDays) {
   const bee = getBee();
+  const { captured, requestOptions } = captureTxHash({ timeout: BUY_TIMEOUT_MS });
   const batchId = await bee.buyStorage(
     Size.fromGigabytes(sizeGB),
     Duration.fromDays(durationDays),
     { waitForUsable: false }, // Don't block — renderer polls for usability
-    { timeout: BUY_TIMEOUT_MS } // BeeRequestOptions — HTTP timeout
+    requestOptions // BeeRequestOptions — HTTP timeout
   );
 
   const batchIdHex = batchIdToHex(batchId);
   log.info(`[StampService] Purchased batch ${batchIdHex} (${sizeGB} GB, ${durationDays} days)`);
+  recordStampActivity(
+    `Buy postage batch ${batchIdHex.slice(0, 8)}… (${sizeGB} GB, ${durationDays} days)`,
+    captured.txHash
+  );
   return batchIdHex;
 }
 
+/**
+ * Raw cost of a duration extension as a bee-js BZZ amount, for callers
+ * that compare it against balances or limits.
+ */
+async function quoteDurationExtension(batchIdHex, additionalDays) {
+  const bee = getBee();
+  return bee.getDurationExtensionCost(batchIdHex, Duration.fromDays(additionalDays));
+}
+
+/**
+ * Raw cost of a size extension as a bee-js BZZ amount.
+ * Note: newSizeGB is ABSOLUTE (new total), not incremental.
+ */
+async function quoteSizeExtension(batchIdHex, newSizeGB) {
+  const bee = getBee();
+  return bee.getSizeExtensionCost(batchIdHex, Size.fromGigabytes(newSizeGB));
+}
+
 /**
  * Estimate cost to extend a batch's duration.
  */
 async function getDurationExtensionCost(batchIdHex, additionalDays) {
-  const bee = getBee();
-  const cost = await bee.getDurationExtensionCost(
-    batchIdHex,
-    Duration.fromDays(additionalDays)
-  );
+  const cost = await quoteDurationExtension(batchIdHex, additionalDays);
   return { bzz: cost.toSignificantDigits(4) };
 }
 
@@ -132,11 +227,7 @@ async function getDurationExtensionCost(batchIdHex, additionalDays) {
  * This is different from duration which is RELATIVE (additional time).
  */
 async function getSizeExtensionCost(batchIdHex, newSizeGB) {
-  const bee = getBee();
-  const cost = await bee.getSizeExtensionCost(
-    batchIdHex,
-    Size.fromGigabytes(newSizeGB)
-  );
+  const cost = await quoteSizeExtension(batchIdHex, newSizeGB);
   return { bzz: cost.toSignificantDigits(4) };
 }
 
@@ -145,13 +236,18 @@ async function getSizeExtensionCost(batchIdHex, newSizeGB) {
  */
 async function extendStorageDuration(batchIdHex, additionalDays) {
   const bee = getBee();
+  const { captured, requestOptions } = captureTxHash({ timeout: BUY_TIMEOUT_MS });
   const result = await bee.extendStorageDuration(
     batchIdHex,
     Duration.fromDays(additionalDays),
-    { timeout: BUY_TIMEOUT_MS }
+    requestOptions
   );
   const resultHex = batchIdToHex(result, batchIdHex);
   log.info(`[StampService] Extended duration of ${batchIdHex} by ${additionalDays} days`);
+  recordStampActivity(
+    `Extend postage batch ${batchIdHex.slice(0, 8)}… by ${additionalDays} days`,
+    captured.txHash
+  );
   return resultHex;
 }
 
@@ -161,13 +257,18 @@ async function extendStorageDuration(batchIdHex, additionalDays) {
  */
 async function extendStorageSize(batchIdHex, newSizeGB) {
   const bee = getBee();
+  const { captured, requestOptions } = captureTxHash({ timeout: BUY_TIMEOUT_MS });
   const result = await bee.extendStorageSize(
     batchIdHex,
     Size.fromGigabytes(newSizeGB),
-    { timeout: BUY_TIMEOUT_MS }
+    requestOptions
   );
   const resultHex = batchIdToHex(result, batchIdHex);
   log.info(`[StampService] Extended size of ${batchIdHex} to ${newSizeGB} GB`);
+  recordStampActivity(
+    `Resize postage batch ${batchIdHex.slice(0, 8)}… to ${newSizeGB} GB`,
+    captured.txHash
+  );
   return resultHex;
 }
 
@@ -268,7 +369,7 @@ function registerSwarmIpc() {
         return { success: false, error: 'Duration must be a positive number' };
       }
       // Pre-check xBZZ balance
-      const durCostBzz = await getBee().getDurationExtensionCost(batchId, Duration.fromDays(additionalDays));
+      const durCostBzz = await quoteDurationExtension(batchId, additionalDays);
       const durInsufficient = await checkBzzBalance(durCostBzz);
       if (durInsufficient) {
         return { success: false, error: durInsufficient };
@@ -291,7 +392,7 @@ function registerSwarmIpc() {
         return { success: false, error: 'Size must be a positive number' };
       }
       // Pre-check xBZZ balance
-      const sizeCostBzz = await getBee().getSizeExtensionCost(batchId, Size.fromGigabytes(newSizeGB));
+      const sizeCostBzz = await quoteSizeExtension(batchId, newSizeGB);
       const sizeInsufficient = await checkBzzBalance(sizeCostBzz);
       if (sizeInsufficient) {
         return { success: false, error: sizeInsufficient };
@@ -340,6 +441,7 @@ function registerSwarmIpc() {
       const txId = await bee.depositTokens(plurAmount, undefined, { timeout: BUY_TIMEOUT_MS });
       const txHex = toHex(txId);
       log.info(`[StampService] Deposited ${amountBzz} xBZZ into chequebook (tx: ${txHex})`);
+      recordDepositActivity(txId, `Deposit ${amountBzz} xBZZ into chequebook`);
       return { success: true, transactionId: txHex };
     } catch (err) {
       log.error('[StampService] Failed to deposit into chequebook:', err.message);
@@ -403,8 +505,9 @@ async function autoDepositChequebookIfEmpty() {
     const walletBal = await getBzzBalance();
     if (!walletBal || walletBal < BigInt(AUTO_DEPOSIT_BZZ)) return; // Not enough
 
-    await bee.depositTokens(AUTO_DEPOSIT_BZZ);
+    const txId = await bee.depositTokens(AUTO_DEPOSIT_BZZ);
     log.info('[StampService] Auto-deposited 0.1 xBZZ into chequebook');
+    recordDepositActivity(txId, 'Auto-deposit 0.1 xBZZ into chequebook');
   } catch (err) {
     log.error('[StampService] Auto-deposit failed (non-fatal):', err.message);
   }
@@ -412,5 +515,12 @@ async function autoDepositChequebookIfEmpty() {
 
 module.exports = {
   normalizeBatch,
+  getStamps,
+  quoteDurationExtension,
+  quoteSizeExtension,
+  extendStorageDuration,
+  extendStorageSize,
+  checkBzzBalance,
+  setActivityRecorder,
   registerSwarmIpc,
 };
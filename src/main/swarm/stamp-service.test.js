@@ -51,10 +51,13 @@ jest.mock('electron-log', () => ({
   error: jest.fn(),
 }));
 
-const { normalizeBatch, registerSwarmIpc } = require('./stamp-service');
+const mockRecordTransaction = jest.fn();
+
+const { normalizeBatch, registerSwarmIpc, setActivityRecorder } = require('./stamp-service');
 const { Size, Duration } = require('@ethersphere/bee-js');
 
 // Register handlers once
+setActivityRecorder(mockRecordTransaction);
 registerSwarmIpc();
 
 async function invokeIpc(channel, ...args) {
@@ -211,6 +214,38 @@ describe('stamp-service', () => {
       expect(result.success).toBe(true);
       expect(result.batchId).toBe('abcdef1234567890');
       expect(typeof result.batchId).toBe('string');
+      expect(mockRecordTransaction).toHaveBeenCalledWith({
+        kind: 'stamp-purchase',
+        status: 'confirmed',
+        chainId: 100,
+        summary: 'Buy postage batch abcdef12… (1 GB, 30 days)',
+      });
+    });
+
+    test('swarm:buy-storage records the transaction hash when Bee reports one', async () => {
+      mockBuyStorage.mockImplementation(async (_size, _duration, _options, requestOptions) => {
+        const [transform] = requestOptions.transformResponse;
+        expect(transform(JSON.stringify({ batchID: 'abc', txHash: '0xfeed' }))).toEqual({
+          batchID: 'abc',
+          txHash: '0xfeed',
+        });
+        return { toHex: () => 'abc' };
+      });
+      mockGetStorageCost.mockResolvedValue({
+        toPLURBigInt: () => 1000n,
+        toSignificantDigits: () => '0.001',
+      });
+      mockGetWalletBalance.mockResolvedValue({
+        bzzBalance: { toPLURBigInt: () => 99999999n },
+      });
+
+      await invokeIpc('swarm:buy-storage', 1, 30);
+      expect(mockRecordTransaction).toHaveBeenLastCalledWith({
+        kind: 'stamp-purchase',
+        hash: '0xfeed',
+        chainId: 100,
+        summary: 'Buy postage batch abc… (1 GB, 30 days)',
+      });
     });
 
     test('swarm:buy-storage passes waitForUsable:false and timeout', async () => {
@@ -356,6 +391,12 @@ describe('stamp-service', () => {
       const result = await invokeIpc('swarm:deposit-chequebook', 0.1);
       expect(result.success).toBe(true);
       expect(result.transactionId).toBe('tx123');
+      expect(mockRecordTransaction).toHaveBeenCalledWith({
+        kind: 'chequebook-deposit',
+        hash: '0xtx123',
+        chainId: 100,
+        summary: 'Deposit 0.1 xBZZ into chequebook',
+      });
     });
 
     test('swarm:deposit-chequebook rejects when wallet balance is insufficient', async () => {
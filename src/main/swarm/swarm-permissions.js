@@ -7,6 +7,10 @@
  *
  * Permissions are persisted to disk. Schema per origin:
  *   { origin, connectedAt, lastUsed, autoApprove: { publish: false, feeds: false } }
+ *
+ * The store itself is built by createPermissionStore() so other node
+ * providers (window.ipfs, see ipfs/ipfs-permissions.js) get the same
+ * per-origin model in their own file, without a Swarm grant implying theirs.
  */
 
 const { app, ipcMain } = require('electron');
@@ -15,218 +19,255 @@ const fs = require('fs');
 const IPC = require('../../shared/ipc-channels');
 const { normalizeOrigin } = require('../../shared/origin-utils');
 
-const PERMISSIONS_FILE = 'swarm-permissions.json';
-
-let permissionsCache = null;
+/**
+ * Create a persisted per-origin permission store.
+ * @param {Object} config
+ * @param {string} config.file - File name under userData
+ * @param {string} config.logTag - Log prefix, e.g. '[SwarmPermissions]'
+ * @param {string[]} config.autoApproveTypes - Valid auto-approve keys (all default to false)
+ * @param {Object} config.channels - IPC channel names: { get, grant, revoke, getAll, updateLastUsed, getAutoApprove, setAutoApprove }
+ */
+function createPermissionStore({ file, logTag, autoApproveTypes, channels }) {
+  const VALID_AUTO_APPROVE_TYPES = new Set(autoApproveTypes);
+  const DEFAULT_AUTO_APPROVE = () =>
+    Object.fromEntries(autoApproveTypes.map((type) => [type, false]));
 
-function getPermissionsPath() {
-  return path.join(app.getPath('userData'), PERMISSIONS_FILE);
-}
+  let permissionsCache = null;
 
-function loadPermissions() {
-  if (permissionsCache !== null) {
-    return permissionsCache;
+  function getPermissionsPath() {
+    return path.join(app.getPath('userData'), file);
   }
 
-  try {
-    const filePath = getPermissionsPath();
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf-8');
-      permissionsCache = JSON.parse(data);
-    } else {
-      permissionsCache = {};
+  function loadPermissions() {
+    if (permissionsCache !== null) {
+      return permissionsCache;
     }
-  } catch (err) {
-    console.error('[SwarmPermissions] Failed to load permissions:', err);
-    permissionsCache = {};
-  }
 
-  return permissionsCache;
-}
+    try {
+      const filePath = getPermissionsPath();
+      if (fs.existsSync(filePath)) {
+        const data = fs.readFileSync(filePath, 'utf-8');
+        permissionsCache = JSON.parse(data);
+      } else {
+        permissionsCache = {};
+      }
+    } catch (err) {
+      console.error(`${logTag} Failed to load permissions:`, err);
+      permissionsCache = {};
+    }
 
-function savePermissions() {
-  try {
-    const filePath = getPermissionsPath();
-    fs.writeFileSync(filePath, JSON.stringify(permissionsCache, null, 2), 'utf-8');
-  } catch (err) {
-    console.error('[SwarmPermissions] Failed to save permissions:', err);
+    return permissionsCache;
   }
-}
 
-/**
- * Check if an origin has Swarm publishing permission.
- * @param {string} origin
- * @returns {Object|null} Permission data or null
- */
-function getPermission(origin) {
-  const permissions = loadPermissions();
-  const key = normalizeOrigin(origin);
-  return permissions[key] || null;
-}
-
-/**
- * Grant Swarm publishing permission to an origin.
- * @param {string} origin
- * @returns {Object} The created permission
- */
-function grantPermission(origin) {
-  const permissions = loadPermissions();
-  const key = normalizeOrigin(origin);
-  const now = Date.now();
-
-  const permission = {
-    origin: key,
-    connectedAt: now,
-    lastUsed: now,
-    autoApprove: DEFAULT_AUTO_APPROVE(),
-  };
-
-  permissions[key] = permission;
-  permissionsCache = permissions;
-  savePermissions();
-
-  console.log('[SwarmPermissions] Granted permission to:', key);
-  return permission;
-}
+  function savePermissions() {
+    try {
+      const filePath = getPermissionsPath();
+      fs.writeFileSync(filePath, JSON.stringify(permissionsCache, null, 2), 'utf-8');
+    } catch (err) {
+      console.error(`${logTag} Failed to save permissions:`, err);
+    }
+  }
 
-/**
- * Revoke Swarm publishing permission for an origin.
- * @param {string} origin
- * @returns {boolean} True if permission was revoked
- */
-function revokePermission(origin) {
-  const permissions = loadPermissions();
-  const key = normalizeOrigin(origin);
+  /**
+   * Check if an origin has publishing permission.
+   * @param {string} origin
+   * @returns {Object|null} Permission data or null
+   */
+  function getPermission(origin) {
+    const permissions = loadPermissions();
+    const key = normalizeOrigin(origin);
+    return permissions[key] || null;
+  }
 
-  if (permissions[key]) {
-    delete permissions[key];
+  /**
+   * Grant publishing permission to an origin.
+   * @param {string} origin
+   * @returns {Object} The created permission
+   */
+  function grantPermission(origin) {
+    const permissions = loadPermissions();
+    const key = normalizeOrigin(origin);
+    const now = Date.now();
+
+    const permission = {
+      origin: key,
+      connectedAt: now,
+      lastUsed: now,
+      autoApprove: DEFAULT_AUTO_APPROVE(),
+    };
+
+    permissions[key] = permission;
     permissionsCache = permissions;
     savePermissions();
-    console.log('[SwarmPermissions] Revoked permission for:', key);
-    return true;
+
+    console.log(`${logTag} Granted permission to:`, key);
+    return permission;
   }
 
-  return false;
-}
+  /**
+   * Revoke publishing permission for an origin.
+   * @param {string} origin
+   * @returns {boolean} True if permission was revoked
+   */
+  function revokePermission(origin) {
+    const permissions = loadPermissions();
+    const key = normalizeOrigin(origin);
+
+    if (permissions[key]) {
+      delete permissions[key];
+      permissionsCache = permissions;
+      savePermissions();
+      console.log(`${logTag} Revoked permission for:`, key);
+      return true;
+    }
 
-/**
- * Get all granted Swarm permissions.
- * @returns {Object[]} Array of permission objects, sorted by lastUsed desc
- */
-function getAllPermissions() {
-  const permissions = loadPermissions();
-  return Object.values(permissions).sort((a, b) => b.lastUsed - a.lastUsed);
-}
+    return false;
+  }
 
-/**
- * Update the last used timestamp for an origin.
- * @param {string} origin
- * @returns {boolean} True if updated
- */
-function updateLastUsed(origin) {
-  const permissions = loadPermissions();
-  const key = normalizeOrigin(origin);
+  /**
+   * Get all granted permissions.
+   * @returns {Object[]} Array of permission objects, sorted by lastUsed desc
+   */
+  function getAllPermissions() {
+    const permissions = loadPermissions();
+    return Object.values(permissions).sort((a, b) => b.lastUsed - a.lastUsed);
+  }
 
-  if (permissions[key]) {
-    permissions[key].lastUsed = Date.now();
-    permissionsCache = permissions;
-    savePermissions();
-    return true;
+  /**
+   * Update the last used timestamp for an origin.
+   * @param {string} origin
+   * @returns {boolean} True if updated
+   */
+  function updateLastUsed(origin) {
+    const permissions = loadPermissions();
+    const key = normalizeOrigin(origin);
+
+    if (permissions[key]) {
+      permissions[key].lastUsed = Date.now();
+      permissionsCache = permissions;
+      savePermissions();
+      return true;
+    }
+
+    return false;
   }
 
-  return false;
-}
+  /**
+   * Check if an auto-approve type is enabled for an origin.
+   * @param {string} origin
+   * @param {string} type - One of autoApproveTypes
+   * @returns {boolean}
+   */
+  function getAutoApprove(origin, type) {
+    if (!VALID_AUTO_APPROVE_TYPES.has(type)) return false;
+    const permission = getPermission(origin);
+    return permission?.autoApprove?.[type] === true;
+  }
 
-const VALID_AUTO_APPROVE_TYPES = new Set(['publish', 'feeds']);
-const DEFAULT_AUTO_APPROVE = () => ({ publish: false, feeds: false });
+  /**
+   * Set an auto-approve type for an origin.
+   * @param {string} origin
+   * @param {string} type - One of autoApproveTypes
+   * @param {boolean} enabled
+   * @returns {boolean} True if updated
+   */
+  function setAutoApprove(origin, type, enabled) {
+    if (!VALID_AUTO_APPROVE_TYPES.has(type)) return false;
 
-/**
- * Check if an auto-approve type is enabled for an origin.
- * @param {string} origin
- * @param {'publish'|'feeds'} type
- * @returns {boolean}
- */
-function getAutoApprove(origin, type) {
-  if (!VALID_AUTO_APPROVE_TYPES.has(type)) return false;
-  const permission = getPermission(origin);
-  return permission?.autoApprove?.[type] === true;
-}
+    const permissions = loadPermissions();
+    const key = normalizeOrigin(origin);
 
-/**
- * Set an auto-approve type for an origin.
- * @param {string} origin
- * @param {'publish'|'feeds'} type
- * @param {boolean} enabled
- * @returns {boolean} True if updated
- */
-function setAutoApprove(origin, type, enabled) {
-  if (!VALID_AUTO_APPROVE_TYPES.has(type)) return false;
+    if (!permissions[key]) return false;
 
-  const permissions = loadPermissions();
-  const key = normalizeOrigin(origin);
+    if (!permissions[key].autoApprove) {
+      permissions[key].autoApprove = DEFAULT_AUTO_APPROVE();
+    }
 
-  if (!permissions[key]) return false;
+    permissions[key].autoApprove[type] = enabled;
+    permissionsCache = permissions;
+    savePermissions();
 
-  if (!permissions[key].autoApprove) {
-    permissions[key].autoApprove = DEFAULT_AUTO_APPROVE();
+    console.log(`${logTag} Auto-approve ${type} ${enabled ? 'enabled' : 'disabled'} for:`, key);
+    return true;
   }
 
-  permissions[key].autoApprove[type] = enabled;
-  permissionsCache = permissions;
-  savePermissions();
+  /**
+   * Register IPC handlers for this store.
+   */
+  function registerIpc() {
+    ipcMain.handle(channels.get, (_event, origin) => {
+      return getPermission(origin);
+    });
 
-  console.log(`[SwarmPermissions] Auto-approve ${type} ${enabled ? 'enabled' : 'disabled'} for:`, key);
-  return true;
-}
+    ipcMain.handle(channels.grant, (_event, origin) => {
+      return grantPermission(origin);
+    });
 
-/**
- * Register IPC handlers for Swarm permissions.
- */
-function registerSwarmPermissionsIpc() {
-  ipcMain.handle(IPC.SWARM_GET_PERMISSION, (_event, origin) => {
-    return getPermission(origin);
-  });
+    ipcMain.handle(channels.revoke, (_event, origin) => {
+      return revokePermission(origin);
+    });
 
-  ipcMain.handle(IPC.SWARM_GRANT_PERMISSION, (_event, origin) => {
-    return grantPermission(origin);
-  });
+    ipcMain.handle(channels.getAll, () => {
+      return getAllPermissions();
+    });
 
-  ipcMain.handle(IPC.SWARM_REVOKE_PERMISSION, (_event, origin) => {
-    return revokePermission(origin);
-  });
+    ipcMain.handle(channels.updateLastUsed, (_event, origin) => {
+      return updateLastUsed(origin);
+    });
 
-  ipcMain.handle(IPC.SWARM_GET_ALL_PERMISSIONS, () => {
-    return getAllPermissions();
-  });
+    ipcMain.handle(channels.getAutoApprove, (_event, origin, type) => {
+      return getAutoApprove(origin, type);
+    });
 
-  ipcMain.handle(IPC.SWARM_UPDATE_LAST_USED, (_event, origin) => {
-    return updateLastUsed(origin);
-  });
+    ipcMain.handle(channels.setAutoApprove, (_event, origin, type, enabled) => {
+      return setAutoApprove(origin, type, enabled);
+    });
 
-  ipcMain.handle(IPC.SWARM_GET_AUTO_APPROVE, (_event, origin, type) => {
-    return getAutoApprove(origin, type);
-  });
+    console.log(`${logTag} IPC handlers registered`);
+  }
 
-  ipcMain.handle(IPC.SWARM_SET_AUTO_APPROVE, (_event, origin, type, enabled) => {
-    return setAutoApprove(origin, type, enabled);
-  });
+  // Exported for testing
+  function _resetCache() {
+    permissionsCache = null;
+  }
 
-  console.log('[SwarmPermissions] IPC handlers registered');
+  return {
+    getPermission,
+    grantPermission,
+    revokePermission,
+    getAllPermissions,
+    updateLastUsed,
+    getAutoApprove,
+    setAutoApprove,
+    registerIpc,
+    _resetCache,
+  };
 }
 
-// Exported for testing
-function _resetCache() {
-  permissionsCache = null;
-}
+const swarmPermissions = createPermissionStore({
+  file: 'swarm-permissions.json',
+  logTag: '[SwarmPermissions]',
+  autoApproveTypes: ['publish', 'feeds'],
+  channels: {
+    get: IPC.SWARM_GET_PERMISSION,
+    grant: IPC.SWARM_GRANT_PERMISSION,
+    revoke: IPC.SWARM_REVOKE_PERMISSION,
+    getAll: IPC.SWARM_GET_ALL_PERMISSIONS,
+    updateLastUsed: IPC.SWARM_UPDATE_LAST_USED,
+    getAutoApprove: IPC.SWARM_GET_AUTO_APPROVE,
+    setAutoApprove: IPC.SWARM_SET_AUTO_APPROVE,
+  },
+});
 
 module.exports = {
-  getPermission,
-  grantPermission,
-  revokePermission,
-  getAllPermissions,
-  updateLastUsed,
-  getAutoApprove,
-  setAutoApprove,
-  registerSwarmPermissionsIpc,
-  _resetCache,
+  getPermission: swarmPermissions.getPermission,
+  grantPermission: swarmPermissions.grantPermission,
+  revokePermission: swarmPermissions.revokePermission,
+  getAllPermissions: swarmPermissions.getAllPermissions,
+  updateLastUsed: swarmPermissions.updateLastUsed,
+  getAutoApprove: swarmPermissions.getAutoApprove,
+  setAutoApprove: swarmPermissions.setAutoApprove,
+  registerSwarmPermissionsIpc: swarmPermissions.registerIpc,
+  createPermissionStore,
+  _resetCache: swarmPermissions._resetCache,
 };
@@ -7,6 +7,10 @@
  * user sees the tab spinner instead of Bee's raw 404 JSON body while the
  * node is still connecting to peers.
  *
+ * A 404 is also what Bee returns for a collection without an index
+ * document, which bzz-protocol.js renders as a directory listing; those
+ * resolve ok as soon as their manifest loads.
+ *
  * Each probe gets a unique id and an AbortController; callers can cancel via
  * cancelProbe(id). Resolves with one of:
  *   { ok: true }
@@ -19,6 +23,7 @@
 const crypto = require('crypto');
 const log = require('../logger');
 const { getBeeApiUrl } = require('../service-registry');
+const { hasListableManifest } = require('./manifest-listing');
 
 const DEFAULT_DELAYS_MS = [0, 500, 1000, 2000, 3000];
 // Overall budget for a single probe. Freshly-started Bee nodes can take
@@ -75,6 +80,7 @@ function startProbe(hash, opts = {}) {
   const fetchImpl = opts.fetchImpl || fetch;
   const now = opts.now || Date.now;
   const sleep = opts.sleep || createAbortableSleep;
+  const isListable = opts.isListable || hasListableManifest;
 
   const id = opts.id || crypto.randomUUID();
   const controller = new AbortController();
@@ -143,6 +149,9 @@ function startProbe(hash, opts = {}) {
           }
         } else if (response.status === 200) {
           return { ok: true };
+        } else if (response.status === 404 && (await isListable(hash))) {
+          if (controller.signal.aborted) return { ok: false, reason: 'aborted' };
+          return { ok: true };
         } else if (response.status === 404 || response.status === 500) {
           // Content not (yet) resolvable — keep polling.
         } else {
@@ -10,6 +10,12 @@ jest.mock('../service-registry', () => ({
   getBeeApiUrl: mockGetBeeApiUrl,
 }));
 
+// Collections without an index 404 like missing content; by default
+// nothing is listable so 404s keep polling.
+jest.mock('./manifest-listing', () => ({
+  hasListableManifest: jest.fn(async () => false),
+}));
+
 const {
   startProbe,
   cancelProbe,
@@ -66,6 +72,15 @@ describe('swarm-probe', () => {
     expect(fetchImpl).toHaveBeenCalledTimes(3);
   });
 
+  test('resolves ok on a 404 for a collection that can be listed', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(makeResponse(404));
+    const isListable = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+    const { promise } = startProbe(VALID_HASH, { fetchImpl, sleep: noSleep, isListable });
+    await expect(promise).resolves.toEqual({ ok: true });
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(isListable).toHaveBeenCalledWith(VALID_HASH);
+  });
+
   test('also retries through 500s', async () => {
     const fetchImpl = jest
       .fn()
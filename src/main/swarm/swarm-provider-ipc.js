@@ -6,8 +6,11 @@
  * module re-validates everything before executing.
  *
  * Single IPC handler: swarm:provider-execute
- *   Receives { method, params, origin } from renderer.
+ *   Receives { method, params, origin, webContentsId } from renderer.
  *   Checks permissions, validates params, runs pre-flight, dispatches.
+ *   webContentsId identifies the calling webview; it is only needed by
+ *   swarm_gsocSubscribe and swarm_subscribeFeed, whose events are pushed to
+ *   that page directly.
  *
  * Trust model for origin:
  *   The main process trusts the origin string from the renderer because:
@@ -21,7 +24,7 @@
  *   The renderer is the only process that can map webview → tab → display URL.
  */
 
-const { ipcMain } = require('electron');
+const { ipcMain, webContents } = require('electron');
 const IPC = require('../../shared/ipc-channels');
 const { normalizeOrigin } = require('../../shared/origin-utils');
 const { getPermission } = require('./swarm-permissions');
@@ -33,12 +36,23 @@ const { addEntry, updateEntry } = require('./publish-history');
 const { getBeeApiUrl } = require('../service-registry');
 const { getDerivedKeys, getPublisherKey } = require('../identity-manager');
 const { resetVaultAutoLockTimer } = require('../vault-timer');
+const { validateVirtualPath, normalizeBytes } = require('../provider-params');
+const { validateWebContentsId } = require('../ipc-contract');
+const {
+  sendPssMessage,
+  sendGsocMessage,
+  subscribeGsoc,
+  unsubscribe,
+  MAX_MESSAGE_BYTES,
+} = require('./messaging-service');
+const { subscribeFeed, unsubscribeFeed } = require('./feed-subscriptions');
 const log = require('electron-log');
 
 const LIMITS = {
   maxDataBytes: 10 * 1024 * 1024,    // 10 MB
   maxFilesBytes: 50 * 1024 * 1024,   // 50 MB
   maxFileCount: 100,
+  maxMessageBytes: MAX_MESSAGE_BYTES,
 };
 
 const ERRORS = {
@@ -61,6 +75,12 @@ const KNOWN_METHODS = [
   'swarm_writeFeedEntry',
   'swarm_readFeedEntry',
   'swarm_listFeeds',
+  'swarm_subscribeFeed',
+  'swarm_unsubscribeFeed',
+  'swarm_pssSend',
+  'swarm_gsocSend',
+  'swarm_gsocSubscribe',
+  'swarm_gsocUnsubscribe',
 ];
 
 // Tag ownership: tagUid → origin. Session-scoped, not persisted.
@@ -76,9 +96,11 @@ function clearTagOwnership() {
  * @param {string} method
  * @param {*} params
  * @param {string} origin - Normalized origin from renderer
+ * @param {Object} [context]
+ * @param {Electron.WebContents} [context.page] - Calling webview, for subscriptions
  * @returns {{ result?, error? }}
  */
-async function executeSwarmMethod(method, params, origin) {
+async function executeSwarmMethod(method, params, origin, context = {}) {
   try {
     if (!method || typeof method !== 'string') {
       return { error: { ...ERRORS.INVALID_PARAMS, message: 'Method is required' } };
@@ -119,6 +141,18 @@ async function executeSwarmMethod(method, params, origin) {
       return handleListFeeds(normalizedOrigin);
     }
 
+    // swarm_subscribeFeed / swarm_unsubscribeFeed: no permission required,
+    // same as swarm_readFeedEntry — it's a push version of the same public
+    // read. Pollers are shared across tabs, capped per page and stopped
+    // when the page goes away.
+    if (method === 'swarm_subscribeFeed') {
+      return handleSubscribeFeed(params, normalizedOrigin, context.page);
+    }
+
+    if (method === 'swarm_unsubscribeFeed') {
+      return handleUnsubscribeFeed(params, normalizedOrigin);
+    }
+
     // All other methods require permission
     const permission = getPermission(normalizedOrigin);
     if (!permission) {
@@ -159,6 +193,22 @@ async function executeSwarmMethod(method, params, origin) {
       return result;
     }
 
+    if (method === 'swarm_pssSend') {
+      return handlePssSend(params, normalizedOrigin);
+    }
+
+    if (method === 'swarm_gsocSend') {
+      return handleGsocSend(params, normalizedOrigin);
+    }
+
+    if (method === 'swarm_gsocSubscribe') {
+      return handleGsocSubscribe(params, normalizedOrigin, context.page);
+    }
+
+    if (method === 'swarm_gsocUnsubscribe') {
+      return handleGsocUnsubscribe(params, normalizedOrigin);
+    }
+
     return { error: ERRORS.INTERNAL_ERROR };
   } catch (err) {
     log.error('[SwarmProvider] executeSwarmMethod failed:', err.message);
@@ -188,6 +238,7 @@ async function handleGetCapabilities(origin) {
         maxDataBytes: LIMITS.maxDataBytes,
         maxFilesBytes: LIMITS.maxFilesBytes,
         maxFileCount: LIMITS.maxFileCount,
+        maxMessageBytes: LIMITS.maxMessageBytes,
       },
     },
   };
@@ -201,12 +252,22 @@ async function handlePublishData(params, origin) {
     return { error: { ...ERRORS.INVALID_PARAMS, message: 'params is required', data: { reason: 'invalid_params' } } };
   }
 
-  const { data, contentType, name } = params;
+  const { data, contentType, name, encrypt } = params;
 
   if (data === undefined || data === null) {
     return { error: { ...ERRORS.INVALID_PARAMS, message: 'data is required', data: { reason: 'invalid_params' } } };
   }
 
+  if (encrypt !== undefined && typeof encrypt !== 'boolean') {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'encrypt must be a boolean',
+        data: { reason: 'invalid_params' },
+      },
+    };
+  }
+
   if (!contentType || typeof contentType !== 'string') {
     return { error: { ...ERRORS.INVALID_PARAMS, message: 'contentType is required', data: { reason: 'missing_content_type' } } };
   }
@@ -253,6 +314,7 @@ async function handlePublishData(params, origin) {
     const result = await publishData(payload, {
       contentType,
       name: name || undefined,
+      ...(encrypt && { encrypt: true }),
     });
 
     updateEntry(historyEntry.id, { status: 'completed', ...result });
@@ -266,60 +328,6 @@ async function handlePublishData(params, origin) {
   }
 }
 
-/**
- * Validate a virtual path for manifest inclusion.
- * @returns {{ valid: boolean, message?: string }}
- */
-function validateVirtualPath(p) {
-  if (typeof p !== 'string' || p.length === 0) {
-    return { valid: false, message: 'Path must be a non-empty string' };
-  }
-  if (p.length > 256) {
-    return { valid: false, message: 'Path exceeds 256 characters' };
-  }
-  if (p.includes('\\')) {
-    return { valid: false, message: 'Backslashes are not allowed' };
-  }
-  if (p.startsWith('/')) {
-    return { valid: false, message: 'Leading slash is not allowed' };
-  }
-  // Check for control characters and null bytes
-  for (let i = 0; i < p.length; i++) {
-    if (p.charCodeAt(i) < 32) {
-      return { valid: false, message: 'Control characters are not allowed' };
-    }
-  }
-  const segments = p.split('/');
-  for (const seg of segments) {
-    if (seg === '') {
-      return { valid: false, message: 'Empty path segments are not allowed' };
-    }
-    if (seg === '.' || seg === '..') {
-      return { valid: false, message: '"." and ".." segments are not allowed' };
-    }
-  }
-  return { valid: true };
-}
-
-/**
- * Normalize bytes from IPC — handles Buffer, Uint8Array, ArrayBuffer,
- * and the JSON-serialized { type: 'Buffer', data: [...] } form.
- * Returns Buffer or null if invalid.
- */
-function normalizeBytes(bytes) {
-  if (Buffer.isBuffer(bytes) || bytes instanceof Uint8Array) {
-    return Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
-  }
-  if (bytes instanceof ArrayBuffer) {
-    return Buffer.from(bytes);
-  }
-  // IPC sometimes serializes Buffer as { type: 'Buffer', data: [...] }
-  if (bytes && typeof bytes === 'object' && bytes.type === 'Buffer' && Array.isArray(bytes.data)) {
-    return Buffer.from(bytes.data);
-  }
-  return null;
-}
-
 /**
  * Handle swarm_publishFiles: validate, enforce limits, write to temp dir, publish.
  */
@@ -328,12 +336,22 @@ async function handlePublishFiles(params, origin) {
     return { error: { ...ERRORS.INVALID_PARAMS, message: 'params is required', data: { reason: 'invalid_params' } } };
   }
 
-  const { files, indexDocument } = params;
+  const { files, indexDocument, encrypt } = params;
 
   if (!Array.isArray(files) || files.length === 0) {
     return { error: { ...ERRORS.INVALID_PARAMS, message: 'files must be a non-empty array', data: { reason: 'empty_files' } } };
   }
 
+  if (encrypt !== undefined && typeof encrypt !== 'boolean') {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'encrypt must be a boolean',
+        data: { reason: 'invalid_params' },
+      },
+    };
+  }
+
   if (files.length > LIMITS.maxFileCount) {
     return { error: { ...ERRORS.INVALID_PARAMS, message: `File count exceeds maximum of ${LIMITS.maxFileCount}`, data: { reason: 'too_many_files', limit: LIMITS.maxFileCount, actual: files.length } } };
   }
@@ -401,7 +419,10 @@ async function handlePublishFiles(params, origin) {
   });
 
   try {
-    const result = await publishFilesFromContent(normalizedFiles, { indexDocument });
+    const result = await publishFilesFromContent(normalizedFiles, {
+      indexDocument,
+      ...(encrypt && { encrypt: true }),
+    });
 
     if (result.tagUid) {
       tagOwnership.set(result.tagUid, origin);
@@ -749,15 +770,13 @@ async function handleWriteFeedEntry(params, origin) {
 }
 
 /**
- * Handle swarm_readFeedEntry: validate, resolve topic/owner, read feed entry.
- * Does NOT require feed grant or vault — read-only operation.
+ * Resolve the (topic, owner) a feed read refers to. Pages pass either a raw
+ * `topic` hex with its `owner`, or a feed `name` scoped to their origin, in
+ * which case the owner defaults to the one recorded by createFeed.
+ * @returns {{ topic?: Topic, owner?: string, error?: Object }}
  */
-async function handleReadFeedEntry(params, origin) {
-  if (!params || typeof params !== 'object') {
-    return { error: { ...ERRORS.INVALID_PARAMS, message: 'params is required', data: { reason: 'invalid_params' } } };
-  }
-
-  const { topic: topicHex, name, owner, index } = params;
+function resolveFeedCoordinates(params, origin) {
+  const { topic: topicHex, name, owner } = params;
 
   // Exactly one of topic or name
   const hasTopic = topicHex !== undefined && topicHex !== null;
@@ -770,13 +789,6 @@ async function handleReadFeedEntry(params, origin) {
     return { error: { ...ERRORS.INVALID_PARAMS, message: 'Either topic or name is required', data: { reason: 'invalid_params' } } };
   }
 
-  // Validate index
-  if (index !== undefined && index !== null) {
-    if (typeof index !== 'number' || !Number.isInteger(index) || index < 0) {
-      return { error: { ...ERRORS.INVALID_PARAMS, message: 'index must be a non-negative integer', data: { reason: 'invalid_params' } } };
-    }
-  }
-
   // Resolve topic and owner
   let resolvedTopic;
   let resolvedOwner;
@@ -822,6 +834,43 @@ async function handleReadFeedEntry(params, origin) {
     }
   }
 
+  return { topic: resolvedTopic, owner: resolvedOwner };
+}
+
+/**
+ * Handle swarm_readFeedEntry: validate, resolve topic/owner, read feed entry.
+ * Does NOT require feed grant or vault — read-only operation.
+ */
+async function handleReadFeedEntry(params, origin) {
+  if (!params || typeof params !== 'object') {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'params is required',
+        data: { reason: 'invalid_params' },
+      },
+    };
+  }
+
+  const { index } = params;
+
+  // Validate index
+  if (index !== undefined && index !== null) {
+    if (typeof index !== 'number' || !Number.isInteger(index) || index < 0) {
+      return {
+        error: {
+          ...ERRORS.INVALID_PARAMS,
+          message: 'index must be a non-negative integer',
+          data: { reason: 'invalid_params' },
+        },
+      };
+    }
+  }
+
+  const coordinates = resolveFeedCoordinates(params, origin);
+  if (coordinates.error) return coordinates;
+  const { topic: resolvedTopic, owner: resolvedOwner } = coordinates;
+
   // Read-only pre-flight: just check Bee API is reachable
   const reachable = await checkBeeReachable();
   if (!reachable.ok) {
@@ -853,6 +902,86 @@ async function handleReadFeedEntry(params, origin) {
   }
 }
 
+/**
+ * Handle swarm_subscribeFeed: push `feedUpdate` events for new entries of a
+ * feed to the calling page. Resolves the feed like swarm_readFeedEntry.
+ */
+async function handleSubscribeFeed(params, origin, page) {
+  if (!params || typeof params !== 'object') {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'params is required',
+        data: { reason: 'invalid_params' },
+      },
+    };
+  }
+
+  const coordinates = resolveFeedCoordinates(params, origin);
+  if (coordinates.error) return coordinates;
+
+  if (!page || page.isDestroyed()) {
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: 'Calling page is not available' } };
+  }
+
+  const reachable = await checkBeeReachable();
+  if (!reachable.ok) {
+    return {
+      error: {
+        ...ERRORS.NODE_UNAVAILABLE,
+        message: `Node not available: ${reachable.reason}`,
+        data: { reason: reachable.reason },
+      },
+    };
+  }
+
+  try {
+    const result = await subscribeFeed(page, origin, coordinates.owner, coordinates.topic);
+    return {
+      result: {
+        subscriptionId: result.subscriptionId,
+        owner: coordinates.owner.toLowerCase(),
+        topic: coordinates.topic.toHex(),
+        index: result.index,
+      },
+    };
+  } catch (err) {
+    if (err.reason === 'too_many_subscriptions') {
+      return {
+        error: { ...ERRORS.INVALID_PARAMS, message: err.message, data: { reason: err.reason } },
+      };
+    }
+    log.error(`[SwarmProvider] subscribeFeed failed for ${origin}:`, err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+/**
+ * Handle swarm_unsubscribeFeed: origin-scoped, like swarm_gsocUnsubscribe.
+ */
+function handleUnsubscribeFeed(params, origin) {
+  const subscriptionId = params && params.subscriptionId;
+  if (!subscriptionId || typeof subscriptionId !== 'string') {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'subscriptionId is required',
+        data: { reason: 'invalid_params' },
+      },
+    };
+  }
+
+  if (!unsubscribeFeed(origin, subscriptionId)) {
+    return {
+      error: {
+        ...ERRORS.UNAUTHORIZED,
+        message: 'Subscription not found or not owned by this origin',
+      },
+    };
+  }
+  return { result: { subscriptionId, unsubscribed: true } };
+}
+
 /**
  * Handle swarm_listFeeds: return the calling origin's feed records.
  *
@@ -880,6 +1009,297 @@ function handleListFeeds(origin) {
   return { result };
 }
 
+/**
+ * Validate a PSS topic or GSOC identifier. Either a 64-character hex string
+ * (used raw) or a short label that gets hashed.
+ * @returns {{ valid: boolean, message?: string }}
+ */
+function validateMessageChannel(value, field) {
+  if (typeof value !== 'string' || value.length === 0) {
+    return { valid: false, message: `${field} must be a non-empty string` };
+  }
+  if (value.length > 64) {
+    return { valid: false, message: `${field} exceeds 64 characters` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Normalize a message payload and enforce the single-chunk size limit.
+ * @returns {{ payload?: string|Buffer, error?: Object }}
+ */
+function normalizeMessagePayload(data) {
+  if (data === undefined || data === null) {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'data is required',
+        data: { reason: 'invalid_params' },
+      },
+    };
+  }
+
+  let payload = data;
+  if (typeof payload !== 'string') {
+    payload = normalizeBytes(payload);
+    if (!payload) {
+      return {
+        error: {
+          ...ERRORS.INVALID_PARAMS,
+          message: 'data must be a string, Uint8Array, or ArrayBuffer',
+          data: { reason: 'invalid_params' },
+        },
+      };
+    }
+  }
+
+  const size = Buffer.byteLength(payload);
+  if (size > LIMITS.maxMessageBytes) {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: `Message exceeds maximum size of ${LIMITS.maxMessageBytes} bytes`,
+        data: { reason: 'payload_too_large', limit: LIMITS.maxMessageBytes, actual: size },
+      },
+    };
+  }
+
+  return { payload };
+}
+
+function validateOverlay(targetOverlay) {
+  return typeof targetOverlay === 'string' && /^(0x)?[0-9a-fA-F]{64}$/.test(targetOverlay);
+}
+
+/**
+ * Handle swarm_pssSend: send a PSS message to a target node overlay/topic.
+ * Not recorded in publish history — messages are ephemeral.
+ */
+async function handlePssSend(params, origin) {
+  if (!params || typeof params !== 'object') {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'params is required',
+        data: { reason: 'invalid_params' },
+      },
+    };
+  }
+
+  const { topic, targetOverlay, data, recipient } = params;
+
+  const topicResult = validateMessageChannel(topic, 'topic');
+  if (!topicResult.valid) {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: topicResult.message,
+        data: { reason: 'invalid_topic' },
+      },
+    };
+  }
+
+  if (!validateOverlay(targetOverlay)) {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'targetOverlay must be a 64-character hex string',
+        data: { reason: 'invalid_overlay' },
+      },
+    };
+  }
+
+  if (recipient !== undefined && recipient !== null) {
+    if (
+      typeof recipient !== 'string' ||
+      !/^(0x)?([0-9a-fA-F]{66}|[0-9a-fA-F]{128})$/.test(recipient)
+    ) {
+      return {
+        error: {
+          ...ERRORS.INVALID_PARAMS,
+          message: 'recipient must be a hex-encoded public key',
+          data: { reason: 'invalid_recipient' },
+        },
+      };
+    }
+  }
+
+  const { payload, error } = normalizeMessagePayload(data);
+  if (error) return { error };
+
+  const preFlight = await checkSwarmPreFlight();
+  if (!preFlight.ok) {
+    return {
+      error: {
+        ...ERRORS.NODE_UNAVAILABLE,
+        message: `Node not available: ${preFlight.reason}`,
+        data: { reason: preFlight.reason },
+      },
+    };
+  }
+
+  try {
+    const result = await sendPssMessage({
+      topic,
+      targetOverlay: targetOverlay.replace(/^0x/, ''),
+      data: payload,
+      recipient: recipient ? recipient.replace(/^0x/, '') : undefined,
+    });
+    log.info(`[SwarmProvider] pssSend succeeded for ${origin}: target=${result.target}`);
+    return { result: { topic: result.topic } };
+  } catch (err) {
+    log.error(`[SwarmProvider] pssSend failed for ${origin}:`, err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+/**
+ * Handle swarm_gsocSend: write a GSOC message into a target node's neighbourhood.
+ */
+async function handleGsocSend(params, origin) {
+  if (!params || typeof params !== 'object') {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'params is required',
+        data: { reason: 'invalid_params' },
+      },
+    };
+  }
+
+  const { identifier, targetOverlay, data } = params;
+
+  const identifierResult = validateMessageChannel(identifier, 'identifier');
+  if (!identifierResult.valid) {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: identifierResult.message,
+        data: { reason: 'invalid_identifier' },
+      },
+    };
+  }
+
+  if (!validateOverlay(targetOverlay)) {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'targetOverlay must be a 64-character hex string',
+        data: { reason: 'invalid_overlay' },
+      },
+    };
+  }
+
+  const { payload, error } = normalizeMessagePayload(data);
+  if (error) return { error };
+
+  const preFlight = await checkSwarmPreFlight();
+  if (!preFlight.ok) {
+    return {
+      error: {
+        ...ERRORS.NODE_UNAVAILABLE,
+        message: `Node not available: ${preFlight.reason}`,
+        data: { reason: preFlight.reason },
+      },
+    };
+  }
+
+  try {
+    const result = await sendGsocMessage({
+      identifier,
+      targetOverlay: targetOverlay.replace(/^0x/, ''),
+      data: payload,
+    });
+    log.info(`[SwarmProvider] gsocSend succeeded for ${origin}: ref=${result.reference}`);
+    return { result };
+  } catch (err) {
+    log.error(`[SwarmProvider] gsocSend failed for ${origin}:`, err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+/**
+ * Handle swarm_gsocSubscribe: listen for GSOC messages sent to this node.
+ * Messages arrive as `message` provider events on the calling page only.
+ */
+async function handleGsocSubscribe(params, origin, page) {
+  if (!params || typeof params !== 'object') {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'params is required',
+        data: { reason: 'invalid_params' },
+      },
+    };
+  }
+
+  const identifierResult = validateMessageChannel(params.identifier, 'identifier');
+  if (!identifierResult.valid) {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: identifierResult.message,
+        data: { reason: 'invalid_identifier' },
+      },
+    };
+  }
+
+  if (!page || page.isDestroyed()) {
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: 'Calling page is not available' } };
+  }
+
+  const reachable = await checkBeeReachable();
+  if (!reachable.ok) {
+    return {
+      error: {
+        ...ERRORS.NODE_UNAVAILABLE,
+        message: `Node not available: ${reachable.reason}`,
+        data: { reason: reachable.reason },
+      },
+    };
+  }
+
+  try {
+    const result = await subscribeGsoc(page, origin, { identifier: params.identifier });
+    log.info(`[SwarmProvider] gsocSubscribe succeeded for ${origin}: ${result.subscriptionId}`);
+    return { result };
+  } catch (err) {
+    if (err.reason === 'too_many_subscriptions') {
+      return {
+        error: { ...ERRORS.INVALID_PARAMS, message: err.message, data: { reason: err.reason } },
+      };
+    }
+    log.error(`[SwarmProvider] gsocSubscribe failed for ${origin}:`, err.message);
+    return { error: { ...ERRORS.INTERNAL_ERROR, message: err.message } };
+  }
+}
+
+/**
+ * Handle swarm_gsocUnsubscribe: origin-scoped, like getUploadStatus tags.
+ */
+function handleGsocUnsubscribe(params, origin) {
+  const subscriptionId = params && params.subscriptionId;
+  if (!subscriptionId || typeof subscriptionId !== 'string') {
+    return {
+      error: {
+        ...ERRORS.INVALID_PARAMS,
+        message: 'subscriptionId is required',
+        data: { reason: 'invalid_params' },
+      },
+    };
+  }
+
+  if (!unsubscribe(origin, subscriptionId)) {
+    return {
+      error: {
+        ...ERRORS.UNAUTHORIZED,
+        message: 'Subscription not found or not owned by this origin',
+      },
+    };
+  }
+  return { result: { subscriptionId, unsubscribed: true } };
+}
+
 /**
  * Read-only pre-flight: is the Bee HTTP API reachable?
  * Intentionally separate from checkSwarmPreFlight — reads don't need
@@ -951,8 +1371,9 @@ async function checkSwarmPreFlight() {
  */
 function registerSwarmProviderIpc() {
   ipcMain.handle(IPC.SWARM_PROVIDER_EXECUTE, async (_event, args) => {
-    const { method, params, origin } = args || {};
-    return executeSwarmMethod(method, params, origin);
+    const { method, params, origin, webContentsId } = args || {};
+    const page = validateWebContentsId(webContentsId) ? webContents.fromId(webContentsId) : null;
+    return executeSwarmMethod(method, params, origin, { page });
   });
 
   log.info('[SwarmProvider] IPC handler registered');
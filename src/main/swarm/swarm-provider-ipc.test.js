@@ -6,7 +6,11 @@ jest.mock('electron', () => ({
     },
     removeHandler: () => {},
   },
+  webContents: {
+    fromId: (id) => mockPages[id] || null,
+  },
 }));
+const mockPages = {};
 
 jest.mock('electron-log', () => ({
   info: jest.fn(),
@@ -84,6 +88,25 @@ jest.mock('./publish-history', () => ({
   updateEntry: mockUpdateEntry,
 }));
 
+const mockSendPssMessage = jest.fn();
+const mockSendGsocMessage = jest.fn();
+const mockSubscribeGsoc = jest.fn();
+const mockUnsubscribe = jest.fn();
+jest.mock('./messaging-service', () => ({
+  sendPssMessage: mockSendPssMessage,
+  sendGsocMessage: mockSendGsocMessage,
+  subscribeGsoc: mockSubscribeGsoc,
+  unsubscribe: mockUnsubscribe,
+  MAX_MESSAGE_BYTES: 4096,
+}));
+
+const mockSubscribeFeed = jest.fn();
+const mockUnsubscribeFeed = jest.fn();
+jest.mock('./feed-subscriptions', () => ({
+  subscribeFeed: mockSubscribeFeed,
+  unsubscribeFeed: mockUnsubscribeFeed,
+}));
+
 // Mock global fetch for pre-flight checks
 global.fetch = jest.fn();
 
@@ -91,9 +114,9 @@ const { registerSwarmProviderIpc, checkSwarmPreFlight, checkBeeReachable, valida
 
 registerSwarmProviderIpc();
 
-async function invokeProvider(method, params, origin) {
+async function invokeProvider(method, params, origin, webContentsId) {
   const handler = ipcHandlers['swarm:provider-execute'];
-  return handler({}, { method, params, origin });
+  return handler({}, { method, params, origin, webContentsId });
 }
 
 describe('swarm-provider-ipc', () => {
@@ -162,6 +185,7 @@ describe('swarm-provider-ipc', () => {
           maxDataBytes: LIMITS.maxDataBytes,
           maxFilesBytes: LIMITS.maxFilesBytes,
           maxFileCount: LIMITS.maxFileCount,
+          maxMessageBytes: LIMITS.maxMessageBytes,
         },
       });
     });
@@ -220,6 +244,7 @@ describe('swarm-provider-ipc', () => {
         maxDataBytes: LIMITS.maxDataBytes,
         maxFilesBytes: LIMITS.maxFilesBytes,
         maxFileCount: LIMITS.maxFileCount,
+        maxMessageBytes: LIMITS.maxMessageBytes,
       });
     });
   });
@@ -312,6 +337,38 @@ describe('swarm-provider-ipc', () => {
       expect(calledData.length).toBe(4);
     });
 
+    test('passes encrypt through and rejects non-boolean values', async () => {
+      mockGetPermission.mockReturnValue({ origin: 'myapp.eth' });
+      mockPreFlightOk();
+      mockPublishData.mockResolvedValue({
+        reference: 'e'.repeat(128),
+        bzzUrl: `bzz://${'e'.repeat(128)}`,
+        tagUid: null,
+        batchIdUsed: 'batch1',
+      });
+
+      const result = await invokeProvider('swarm_publishData', {
+        data: 'secret',
+        contentType: 'text/plain',
+        encrypt: true,
+      }, 'myapp.eth');
+
+      expect(result.result.reference).toHaveLength(128);
+      expect(mockPublishData).toHaveBeenCalledWith('secret', {
+        contentType: 'text/plain',
+        name: undefined,
+        encrypt: true,
+      });
+
+      const invalid = await invokeProvider('swarm_publishData', {
+        data: 'secret',
+        contentType: 'text/plain',
+        encrypt: 'yes',
+      }, 'myapp.eth');
+      expect(invalid.error.code).toBe(-32602);
+      expect(invalid.error.message).toContain('encrypt must be a boolean');
+    });
+
     test('rejects non-string non-buffer data', async () => {
       mockGetPermission.mockReturnValue({ origin: 'myapp.eth' });
       const result = await invokeProvider('swarm_publishData', {
@@ -440,6 +497,27 @@ describe('swarm-provider-ipc', () => {
       );
     });
 
+    test('publishes encrypted files when asked', async () => {
+      mockGetPermission.mockReturnValue({ origin: 'myapp.eth' });
+      mockPreFlightOk();
+      mockPublishFilesFromContent.mockResolvedValue({
+        reference: 'f'.repeat(128),
+        bzzUrl: `bzz://${'f'.repeat(128)}`,
+        tagUid: 43,
+        batchIdUsed: 'batch1',
+      });
+
+      await invokeProvider('swarm_publishFiles', {
+        files: makeFiles(['index.html']),
+        encrypt: true,
+      }, 'myapp.eth');
+
+      expect(mockPublishFilesFromContent).toHaveBeenCalledWith(expect.any(Array), {
+        indexDocument: undefined,
+        encrypt: true,
+      });
+    });
+
     test('rejects empty files array', async () => {
       mockGetPermission.mockReturnValue({ origin: 'myapp.eth' });
       const result = await invokeProvider('swarm_publishFiles', { files: [] }, 'myapp.eth');
@@ -1475,4 +1553,151 @@ describe('swarm-provider-ipc', () => {
       expect(mockGetAllFeeds).toHaveBeenCalledWith('specific-origin.eth');
     });
   });
+
+  describe('messaging', () => {
+    const OVERLAY = 'ab'.repeat(32);
+
+    function mockPreFlightOk() {
+      mockGetBeeApiUrl.mockReturnValue('http://127.0.0.1:1633');
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ beeMode: 'light' }) })
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ status: 'ready' }) })
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ stamps: [{ usable: true }] }) });
+    }
+
+    test('all messaging methods require connection permission', async () => {
+      mockGetPermission.mockReturnValue(null);
+      for (const method of ['swarm_pssSend', 'swarm_gsocSend', 'swarm_gsocSubscribe', 'swarm_gsocUnsubscribe']) {
+        const result = await invokeProvider(method, { topic: 'chat' }, 'myapp.eth');
+        expect(result.error.code).toBe(4100);
+      }
+      expect(mockSendPssMessage).not.toHaveBeenCalled();
+      expect(mockSubscribeGsoc).not.toHaveBeenCalled();
+    });
+
+    test('pssSend validates params and sends to the target overlay', async () => {
+      mockGetPermission.mockReturnValue({ origin: 'myapp.eth' });
+
+      let result = await invokeProvider('swarm_pssSend', { topic: 'chat', targetOverlay: 'abc', data: 'hi' }, 'myapp.eth');
+      expect(result.error.data.reason).toBe('invalid_overlay');
+
+      result = await invokeProvider('swarm_pssSend', { topic: '', targetOverlay: OVERLAY, data: 'hi' }, 'myapp.eth');
+      expect(result.error.data.reason).toBe('invalid_topic');
+
+      result = await invokeProvider('swarm_pssSend', { topic: 'chat', targetOverlay: OVERLAY, data: 'x'.repeat(4097) }, 'myapp.eth');
+      expect(result.error.data).toEqual({ reason: 'payload_too_large', limit: 4096, actual: 4097 });
+
+      mockPreFlightOk();
+      mockSendPssMessage.mockResolvedValue({ topic: 'cd'.repeat(32), target: 'abab' });
+      result = await invokeProvider('swarm_pssSend', {
+        topic: 'chat',
+        targetOverlay: `0x${OVERLAY}`,
+        data: 'hi',
+      }, 'myapp.eth');
+
+      expect(result.result).toEqual({ topic: 'cd'.repeat(32) });
+      expect(mockSendPssMessage).toHaveBeenCalledWith({
+        topic: 'chat',
+        targetOverlay: OVERLAY,
+        data: 'hi',
+        recipient: undefined,
+      });
+      expect(mockAddEntry).not.toHaveBeenCalled();
+    });
+
+    test('gsocSend reports node unavailability before mining', async () => {
+      mockGetPermission.mockReturnValue({ origin: 'myapp.eth' });
+      mockGetBeeApiUrl.mockReturnValue(null);
+
+      const result = await invokeProvider('swarm_gsocSend', {
+        identifier: 'inbox',
+        targetOverlay: OVERLAY,
+        data: new Uint8Array([1, 2, 3]),
+      }, 'myapp.eth');
+
+      expect(result.error.code).toBe(4900);
+      expect(mockSendGsocMessage).not.toHaveBeenCalled();
+    });
+
+    test('gsocSubscribe binds the subscription to the calling webview', async () => {
+      mockGetPermission.mockReturnValue({ origin: 'myapp.eth' });
+      const page = { id: 7, isDestroyed: () => false };
+      mockPages[7] = page;
+      mockGetBeeApiUrl.mockReturnValue('http://127.0.0.1:1633');
+      global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+      mockSubscribeGsoc.mockResolvedValue({ subscriptionId: 'gsoc-1', overlay: OVERLAY, owner: 'ee'.repeat(20), identifier: 'ff'.repeat(32) });
+
+      const result = await invokeProvider('swarm_gsocSubscribe', { identifier: 'inbox' }, 'myapp.eth', 7);
+
+      expect(result.result.subscriptionId).toBe('gsoc-1');
+      expect(mockSubscribeGsoc).toHaveBeenCalledWith(page, 'myapp.eth', { identifier: 'inbox' });
+
+      const orphan = await invokeProvider('swarm_gsocSubscribe', { identifier: 'inbox' }, 'myapp.eth');
+      expect(orphan.error.message).toBe('Calling page is not available');
+    });
+
+    test('gsocUnsubscribe only cancels subscriptions owned by the origin', async () => {
+      mockGetPermission.mockReturnValue({ origin: 'other.eth' });
+      mockUnsubscribe.mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+      const denied = await invokeProvider('swarm_gsocUnsubscribe', { subscriptionId: 'gsoc-1' }, 'other.eth');
+      expect(denied.error.code).toBe(4100);
+      expect(mockUnsubscribe).toHaveBeenCalledWith('other.eth', 'gsoc-1');
+
+      const ok = await invokeProvider('swarm_gsocUnsubscribe', { subscriptionId: 'gsoc-1' }, 'other.eth');
+      expect(ok.result).toEqual({ subscriptionId: 'gsoc-1', unsubscribed: true });
+    });
+  });
+
+  describe('swarm_subscribeFeed', () => {
+    const OWNER = 'ab'.repeat(20);
+    const TOPIC = 'cd'.repeat(32);
+    const page = { id: 9, isDestroyed: () => false };
+
+    beforeEach(() => {
+      mockPages[9] = page;
+    });
+
+    test('does NOT require connection permission and passes the calling page', async () => {
+      mockGetPermission.mockReturnValue(null);
+      mockGetBeeApiUrl.mockReturnValue('http://127.0.0.1:1633');
+      global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+      mockSubscribeFeed.mockResolvedValue({ subscriptionId: 'feed-1', index: 4 });
+
+      const result = await invokeProvider('swarm_subscribeFeed', { topic: TOPIC, owner: `0x${OWNER.toUpperCase()}` }, 'viewer.eth', 9);
+
+      expect(result.result).toEqual({ subscriptionId: 'feed-1', owner: OWNER, topic: TOPIC, index: 4 });
+      expect(mockSubscribeFeed).toHaveBeenCalledWith(page, 'viewer.eth', OWNER.toUpperCase(), expect.any(MockTopic));
+    });
+
+    test('resolves feeds by name like swarm_readFeedEntry', async () => {
+      mockGetFeed.mockReturnValue(null);
+      let result = await invokeProvider('swarm_subscribeFeed', { name: 'posts' }, 'myapp.eth', 9);
+      expect(result.error.data.reason).toBe('feed_not_found');
+
+      result = await invokeProvider('swarm_subscribeFeed', { topic: TOPIC }, 'myapp.eth', 9);
+      expect(result.error.data.reason).toBe('invalid_owner');
+      expect(mockSubscribeFeed).not.toHaveBeenCalled();
+    });
+
+    test('maps the per-page cap to invalid params', async () => {
+      mockGetBeeApiUrl.mockReturnValue('http://127.0.0.1:1633');
+      global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+      mockSubscribeFeed.mockRejectedValue(Object.assign(new Error('too many'), { reason: 'too_many_subscriptions' }));
+
+      const result = await invokeProvider('swarm_subscribeFeed', { topic: TOPIC, owner: OWNER }, 'myapp.eth', 9);
+      expect(result.error).toEqual({ code: -32602, message: 'too many', data: { reason: 'too_many_subscriptions' } });
+    });
+
+    test('swarm_unsubscribeFeed is scoped to the origin', async () => {
+      mockUnsubscribeFeed.mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+      const denied = await invokeProvider('swarm_unsubscribeFeed', { subscriptionId: 'feed-1' }, 'evil.eth');
+      expect(denied.error.code).toBe(4100);
+
+      const ok = await invokeProvider('swarm_unsubscribeFeed', { subscriptionId: 'feed-1' }, 'viewer.eth');
+      expect(ok.result).toEqual({ subscriptionId: 'feed-1', unsubscribed: true });
+      expect(mockUnsubscribeFeed).toHaveBeenLastCalledWith('viewer.eth', 'feed-1');
+    });
+  });
 });
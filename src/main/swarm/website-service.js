@@ -0,0 +1,418 @@
+/**
+ * Website Publishing
+ *
+ * A "website" is a folder publish wrapped in a Swarm feed, so the site keeps
+ * one permanent `bzz://<feed-manifest>` URL across deploys. Each site signs
+ * its feed with its own vault publisher key (m/44'/73406'/{index}'/0/0, the
+ * same derivation window.swarm uses for app-scoped feeds; the index comes
+ * from feed-store's shared counter so the two never collide).
+ *
+ * Deploy = upload the folder (publish-service.js), then `updateFeed` to the
+ * new root. Every deploy is a row in publish history tagged with the site
+ * id; rolling back re-points the feed at an earlier deploy's root without
+ * uploading anything.
+ *
+ * Incremental deploys (incremental-deploy.js) upload only changed files.
+ * They need the file manifest of the deploy currently live, so the last
+ * few deploys' manifests are kept per site, keyed by history id.
+ *
+ * Data model (swarm-websites.json):
+ *   { version, sites: { [id]: { name, publisherKeyIndex, topic, owner, manifestReference,
+ *     indexDocument, errorDocument, currentReference, currentEntryId,
+ *     manifests: { [entryId]: { [path]: { hash, reference, size } } }, ... } } }
+ */
+
+const { app, ipcMain } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const log = require('../logger');
+const IPC = require('../../shared/ipc-channels');
+const { getPublisherKey } = require('../identity-manager');
+const { allocatePublisherKeyIndex } = require('./feed-store');
+const { buildTopicString, createFeed, updateFeed } = require('./feed-service');
+const { publishDirectory, USER_ORIGIN } = require('./publish-service');
+const { addEntry, updateEntry, getEntry } = require('./publish-history');
+const {
+  scanSiteFiles,
+  diffSiteFiles,
+  summarizeDiff,
+  deployIncremental,
+} = require('./incremental-deploy');
+
+const WEBSITES_FILE = 'swarm-websites.json';
+const CURRENT_VERSION = 1;
+
+const DEFAULT_INDEX_DOCUMENT = 'index.html';
+const MAX_NAME_LENGTH = 64;
+// Rolling back further than this makes the next incremental deploy a full one.
+const MAX_KEPT_MANIFESTS = 10;
+
+let websitesCache = null;
+const inFlight = new Set();
+
+function getWebsitesPath() {
+  return path.join(app.getPath('userData'), WEBSITES_FILE);
+}
+
+function createEmptyStore() {
+  return {
+    version: CURRENT_VERSION,
+    sites: {},
+  };
+}
+
+function loadWebsites() {
+  if (websitesCache !== null) {
+    return websitesCache;
+  }
+
+  try {
+    const filePath = getWebsitesPath();
+    if (fs.existsSync(filePath)) {
+      websitesCache = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } else {
+      websitesCache = createEmptyStore();
+    }
+  } catch (err) {
+    log.error('[Websites] Failed to load websites:', err.message);
+    websitesCache = createEmptyStore();
+  }
+
+  return websitesCache;
+}
+
+function saveWebsites() {
+  try {
+    fs.writeFileSync(getWebsitesPath(), JSON.stringify(websitesCache, null, 2), 'utf-8');
+  } catch (err) {
+    log.error('[Websites] Failed to save websites:', err.message);
+  }
+}
+
+function normalizeName(name) {
+  const value = typeof name === 'string' ? name.trim() : '';
+  if (!value) throw new Error('Site name is required');
+  if (value.length > MAX_NAME_LENGTH) {
+    throw new Error(`Site name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return value;
+}
+
+/**
+ * Validate an index/error document path. These are paths inside the
+ * uploaded folder, so they must be relative and stay inside it.
+ * @param {string|undefined} value
+ * @param {string} label - for error messages
+ * @returns {string|null}
+ */
+function normalizeDocument(value, label) {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  if (!trimmed) return null;
+  if (trimmed.startsWith('/') || trimmed.split('/').includes('..')) {
+    throw new Error(`${label} must be a path inside the site folder`);
+  }
+  return trimmed;
+}
+
+function getSite(id) {
+  const site = loadWebsites().sites[id];
+  if (!site) throw new Error(`No website ${id}`);
+  return site;
+}
+
+function toPublicSite(id, site) {
+  return {
+    id,
+    name: site.name,
+    bzzUrl: `bzz://${site.manifestReference}`,
+    manifestReference: site.manifestReference,
+    owner: site.owner,
+    indexDocument: site.indexDocument,
+    errorDocument: site.errorDocument || null,
+    currentReference: site.currentReference || null,
+    currentEntryId: site.currentEntryId ?? null,
+    createdAt: site.createdAt,
+    lastDeployedAt: site.lastDeployedAt || null,
+  };
+}
+
+// File manifest of the live deploy, or {} when unknown (no deploy yet, a
+// full deploy, or a rollback past the kept manifests).
+function currentFiles(site) {
+  return site.manifests?.[site.currentEntryId] || {};
+}
+
+function keepManifest(site, entryId, files) {
+  const manifests = { ...site.manifests, [entryId]: files };
+  const kept = Object.keys(manifests)
+    .map(Number)
+    .sort((a, b) => b - a)
+    .slice(0, MAX_KEPT_MANIFESTS);
+  site.manifests = Object.fromEntries(kept.map((id) => [id, manifests[id]]));
+}
+
+async function signerKeyFor(site) {
+  const publisherKey = await getPublisherKey(site.publisherKeyIndex);
+  return publisherKey.privateKey;
+}
+
+function listWebsites() {
+  const { sites } = loadWebsites();
+  return Object.entries(sites)
+    .map(([id, site]) => toPublicSite(id, site))
+    .sort((a, b) => (b.lastDeployedAt || b.createdAt) - (a.lastDeployedAt || a.createdAt));
+}
+
+/**
+ * Create a website: allocate a publisher key and create its feed manifest.
+ * Nothing is deployed yet, but the permanent URL is known from here on.
+ * The vault must be unlocked.
+ *
+ * @param {{ name: string, indexDocument?: string, errorDocument?: string }} options
+ * @returns {Promise<Object>} Public site entry
+ */
+async function createWebsite(options = {}) {
+  const name = normalizeName(options.name);
+  const indexDocument =
+    normalizeDocument(options.indexDocument, 'Index document') || DEFAULT_INDEX_DOCUMENT;
+  const errorDocument = normalizeDocument(options.errorDocument, 'Error document');
+
+  const publisherKeyIndex = allocatePublisherKeyIndex();
+  const id = `site-${publisherKeyIndex}`;
+  const topicString = buildTopicString(USER_ORIGIN, `website/${id}`);
+  const feed = await createFeed(await signerKeyFor({ publisherKeyIndex }), topicString);
+
+  const store = loadWebsites();
+  store.sites[id] = {
+    name,
+    publisherKeyIndex,
+    topicString,
+    topic: feed.topic,
+    owner: feed.owner,
+    manifestReference: feed.manifestReference,
+    indexDocument,
+    errorDocument,
+    currentReference: null,
+    currentEntryId: null,
+    manifests: {},
+    createdAt: Date.now(),
+    lastDeployedAt: null,
+  };
+  saveWebsites();
+
+  log.info(`[Websites] Created ${id} (${name}) at ${feed.bzzUrl}`);
+  return toPublicSite(id, store.sites[id]);
+}
+
+/**
+ * What an incremental deploy of `dirPath` would upload, for confirmation
+ * before deploying. Without a site id (a site not created yet) every file
+ * counts as new.
+ *
+ * @param {string|null} id - Site id
+ * @param {string} dirPath
+ * @returns {Promise<Object>} `{ changed, unchanged, removed, uploadBytes, changedPaths, removedPaths }`
+ */
+async function planWebsiteDeploy(id, dirPath) {
+  const previous = id ? currentFiles(getSite(id)) : {};
+  return summarizeDiff(diffSiteFiles(previous, await scanSiteFiles(dirPath)));
+}
+
+/**
+ * Upload a folder as the site's new content and point the feed at it.
+ * Index/error document overrides are remembered for later deploys.
+ *
+ * @param {string} id - Site id
+ * @param {string} dirPath - Folder to upload
+ * @param {{ indexDocument?: string, errorDocument?: string, incremental?: boolean }} [options]
+ *   `incremental` uploads only files changed since the live deploy.
+ * @returns {Promise<Object>} `{ site, reference, deployUrl, tagUid, feedIndex, summary? }`
+ */
+async function deployWebsite(id, dirPath, options = {}) {
+  const site = getSite(id);
+  if (inFlight.has(id)) throw new Error(`${site.name} is already being deployed`);
+  inFlight.add(id);
+
+  let historyEntry = null;
+  try {
+    // Only remembered on the site once the deploy went through.
+    const indexDocument =
+      options.indexDocument !== undefined
+        ? normalizeDocument(options.indexDocument, 'Index document') || DEFAULT_INDEX_DOCUMENT
+        : site.indexDocument;
+    const errorDocument =
+      options.errorDocument !== undefined
+        ? normalizeDocument(options.errorDocument, 'Error document')
+        : site.errorDocument;
+
+    // Derive the key before uploading so a locked vault fails fast.
+    const signerKey = await signerKeyFor(site);
+
+    historyEntry = addEntry({
+      type: 'website',
+      name: site.name,
+      status: 'uploading',
+      origin: USER_ORIGIN,
+      site: id,
+    });
+
+    let result;
+    if (options.incremental) {
+      result = await deployIncremental(dirPath, currentFiles(site), {
+        indexDocument,
+        errorDocument,
+      });
+    } else {
+      const uploadOptions = errorDocument ? { errorDocument } : {};
+      result = await publishDirectory(dirPath, {
+        indexDocument,
+        uploadOptions,
+      });
+    }
+    const { index } = await updateFeed(
+      signerKey,
+      site.topicString,
+      result.reference,
+      result.batchIdUsed
+    );
+
+    updateEntry(historyEntry.id, { status: 'completed', ...result });
+    site.indexDocument = indexDocument;
+    site.errorDocument = errorDocument;
+    site.currentReference = result.reference;
+    site.currentEntryId = historyEntry.id;
+    site.lastDeployedAt = Date.now();
+    // A full upload leaves no per-file references to build on.
+    if (result.files) keepManifest(site, historyEntry.id, result.files);
+    saveWebsites();
+
+    log.info(`[Websites] Deployed ${id} → ${result.reference} (feed index ${index})`);
+    return {
+      site: toPublicSite(id, site),
+      reference: result.reference,
+      deployUrl: result.bzzUrl,
+      tagUid: result.tagUid,
+      feedIndex: index,
+      summary: result.summary || null,
+    };
+  } catch (err) {
+    if (historyEntry) {
+      updateEntry(historyEntry.id, { status: 'failed', errorMessage: err.message });
+    }
+    throw err;
+  } finally {
+    inFlight.delete(id);
+  }
+}
+
+/**
+ * Re-point the site's feed at an earlier deploy. Nothing is uploaded: the
+ * old root is still on Swarm for as long as its stamp lives.
+ *
+ * @param {string} id - Site id
+ * @param {number} entryId - Publish history id of a completed deploy of this site
+ * @returns {Promise<Object>} Public site entry
+ */
+async function rollbackWebsite(id, entryId) {
+  const site = getSite(id);
+  const entry = getEntry(entryId);
+  if (!entry || entry.site !== id || entry.status !== 'completed' || !entry.reference) {
+    throw new Error(`Deploy ${entryId} is not a completed deploy of ${site.name}`);
+  }
+  if (inFlight.has(id)) throw new Error(`${site.name} is already being deployed`);
+  inFlight.add(id);
+
+  try {
+    const { index } = await updateFeed(
+      await signerKeyFor(site),
+      site.topicString,
+      entry.reference,
+      entry.batchIdUsed || undefined
+    );
+    site.currentReference = entry.reference;
+    site.currentEntryId = entry.id;
+    saveWebsites();
+
+    log.info(`[Websites] Rolled back ${id} → ${entry.reference} (feed index ${index})`);
+    return toPublicSite(id, site);
+  } finally {
+    inFlight.delete(id);
+  }
+}
+
+/**
+ * Register IPC handlers. Same invariant as publish-service.js: internal
+ * callers only (freedomAPI.swarm.* behind guardInternal).
+ */
+function registerWebsiteIpc() {
+  ipcMain.handle(IPC.SWARM_WEBSITE_LIST, () => {
+    try {
+      return { success: true, sites: listWebsites() };
+    } catch (err) {
+      log.error('[Websites] Failed to list websites:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SWARM_WEBSITE_CREATE, async (_event, options) => {
+    try {
+      return { success: true, site: await createWebsite(options) };
+    } catch (err) {
+      log.error('[Websites] Failed to create website:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SWARM_WEBSITE_PLAN, async (_event, id, dirPath) => {
+    if (!dirPath || typeof dirPath !== 'string') {
+      return { success: false, error: 'Directory path is required' };
+    }
+    try {
+      return { success: true, plan: await planWebsiteDeploy(id || null, dirPath) };
+    } catch (err) {
+      log.error('[Websites] Failed to plan deploy:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SWARM_WEBSITE_DEPLOY, async (_event, id, dirPath, options) => {
+    if (!dirPath || typeof dirPath !== 'string') {
+      return { success: false, error: 'Directory path is required' };
+    }
+    if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+      return { success: false, error: `Directory not found: ${dirPath}` };
+    }
+    try {
+      return { success: true, ...(await deployWebsite(id, dirPath, options)) };
+    } catch (err) {
+      log.error('[Websites] Failed to deploy website:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.SWARM_WEBSITE_ROLLBACK, async (_event, id, entryId) => {
+    try {
+      return { success: true, site: await rollbackWebsite(id, entryId) };
+    } catch (err) {
+      log.error('[Websites] Failed to roll back website:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  log.info('[Websites] IPC handlers registered');
+}
+
+function _resetCache() {
+  websitesCache = null;
+  inFlight.clear();
+}
+
+module.exports = {
+  listWebsites,
+  createWebsite,
+  planWebsiteDeploy,
+  deployWebsite,
+  rollbackWebsite,
+  registerWebsiteIpc,
+  _resetCache,
+};
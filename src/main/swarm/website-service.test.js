@@ -0,0 +1,279 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockUserData = fs.mkdtempSync(path.join(os.tmpdir(), 'website-service-'));
+const ipcHandlers = {};
+jest.mock('electron', () => ({
+  app: { getPath: () => mockUserData },
+  ipcMain: {
+    handle: (channel, handler) => {
+      ipcHandlers[channel] = handler;
+    },
+  },
+}));
+
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../identity-manager', () => ({
+  getPublisherKey: jest.fn(async (index) => ({ privateKey: `0xkey${index}` })),
+}));
+
+let mockNextKeyIndex = 0;
+jest.mock('./feed-store', () => ({
+  allocatePublisherKeyIndex: jest.fn(() => mockNextKeyIndex++),
+}));
+
+jest.mock('./feed-service', () => ({
+  buildTopicString: (origin, name) => `${origin}/${name}`,
+  createFeed: jest.fn(async () => ({
+    topic: 'ab'.repeat(32),
+    owner: '0x00000000000000000000000000000000000000F1',
+    manifestReference: 'feed'.repeat(16),
+    bzzUrl: `bzz://${'feed'.repeat(16)}`,
+  })),
+  updateFeed: jest.fn(async () => ({ index: 0 })),
+}));
+
+jest.mock('./publish-service', () => ({
+  USER_ORIGIN: 'freedom://publish',
+  publishDirectory: jest.fn(),
+}));
+
+jest.mock('./incremental-deploy', () => ({
+  scanSiteFiles: jest.fn(async () => []),
+  diffSiteFiles: jest.fn(() => ({ changed: [], unchanged: [], removed: [] })),
+  summarizeDiff: jest.fn(() => ({ changed: 0, unchanged: 0, removed: 0 })),
+  deployIncremental: jest.fn(),
+}));
+
+// Minimal in-memory publish history with the fields website-service reads.
+const mockHistory = new Map();
+jest.mock('./publish-history', () => ({
+  addEntry: jest.fn((entry) => {
+    const row = { id: mockHistory.size + 1, ...entry };
+    mockHistory.set(row.id, row);
+    return { ...row };
+  }),
+  updateEntry: jest.fn((id, updates) => {
+    Object.assign(mockHistory.get(id), updates);
+  }),
+  getEntry: jest.fn((id) => (mockHistory.has(id) ? { ...mockHistory.get(id) } : null)),
+}));
+
+const IPC = require('../../shared/ipc-channels');
+const { getPublisherKey } = require('../identity-manager');
+const { createFeed, updateFeed } = require('./feed-service');
+const { publishDirectory } = require('./publish-service');
+const { deployIncremental, diffSiteFiles } = require('./incremental-deploy');
+const {
+  listWebsites,
+  createWebsite,
+  planWebsiteDeploy,
+  deployWebsite,
+  rollbackWebsite,
+  registerWebsiteIpc,
+  _resetCache,
+} = require('./website-service');
+
+registerWebsiteIpc();
+
+const FEED_URL = `bzz://${'feed'.repeat(16)}`;
+const websitesFile = () => path.join(mockUserData, 'swarm-websites.json');
+
+function mockUpload(reference) {
+  publishDirectory.mockResolvedValueOnce({
+    reference,
+    bzzUrl: `bzz://${reference}`,
+    tagUid: 7,
+    batchIdUsed: 'batch1',
+    bytesSize: 100,
+  });
+}
+
+describe('website-service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.rmSync(websitesFile(), { force: true });
+    _resetCache();
+    mockHistory.clear();
+    mockNextKeyIndex = 0;
+  });
+
+  afterAll(() => {
+    fs.rmSync(mockUserData, { recursive: true, force: true });
+  });
+
+  test('creates a feed manifest signed by a fresh publisher key', async () => {
+    const site = await createWebsite({ name: ' Blog ', errorDocument: '404.html' });
+
+    expect(getPublisherKey).toHaveBeenCalledWith(0);
+    expect(createFeed).toHaveBeenCalledWith('0xkey0', 'freedom://publish/website/site-0');
+    expect(site).toMatchObject({
+      id: 'site-0',
+      name: 'Blog',
+      bzzUrl: FEED_URL,
+      indexDocument: 'index.html',
+      errorDocument: '404.html',
+      currentReference: null,
+    });
+    expect(JSON.parse(fs.readFileSync(websitesFile(), 'utf-8')).sites['site-0']).toMatchObject({
+      publisherKeyIndex: 0,
+    });
+  });
+
+  test('rejects documents outside the site folder', async () => {
+    await expect(createWebsite({ name: 'Blog', indexDocument: '../index.html' })).rejects.toThrow(
+      /inside the site folder/
+    );
+    await expect(createWebsite({ name: '  ' })).rejects.toThrow(/name is required/);
+    expect(createFeed).not.toHaveBeenCalled();
+  });
+
+  test('deploys the folder and points the feed at the new root', async () => {
+    await createWebsite({ name: 'Blog', errorDocument: '404.html' });
+    mockUpload('aa'.repeat(32));
+
+    const result = await deployWebsite('site-0', '/tmp/blog');
+
+    expect(publishDirectory).toHaveBeenCalledWith('/tmp/blog', {
+      indexDocument: 'index.html',
+      uploadOptions: { errorDocument: '404.html' },
+    });
+    expect(updateFeed).toHaveBeenCalledWith(
+      '0xkey0',
+      'freedom://publish/website/site-0',
+      'aa'.repeat(32),
+      'batch1'
+    );
+    expect(result).toMatchObject({
+      reference: 'aa'.repeat(32),
+      deployUrl: `bzz://${'aa'.repeat(32)}`,
+      tagUid: 7,
+      site: { bzzUrl: FEED_URL, currentReference: 'aa'.repeat(32), currentEntryId: 1 },
+    });
+    expect(mockHistory.get(1)).toMatchObject({
+      type: 'website',
+      site: 'site-0',
+      status: 'completed',
+    });
+  });
+
+  test('marks the deploy failed when the feed update fails', async () => {
+    await createWebsite({ name: 'Blog' });
+    mockUpload('aa'.repeat(32));
+    updateFeed.mockRejectedValueOnce(new Error('feed write failed'));
+
+    await expect(deployWebsite('site-0', '/tmp/blog')).rejects.toThrow('feed write failed');
+
+    expect(mockHistory.get(1)).toMatchObject({
+      status: 'failed',
+      errorMessage: 'feed write failed',
+    });
+    expect(listWebsites()[0].currentReference).toBeNull();
+  });
+
+  test('keeps the old index and error documents when a deploy fails', async () => {
+    await createWebsite({ name: 'Blog', errorDocument: '404.html' });
+    mockUpload('aa'.repeat(32));
+    updateFeed.mockRejectedValueOnce(new Error('feed write failed'));
+
+    await expect(
+      deployWebsite('site-0', '/tmp/blog', { indexDocument: 'home.html', errorDocument: '' })
+    ).rejects.toThrow('feed write failed');
+
+    expect(publishDirectory).toHaveBeenCalledWith('/tmp/blog', {
+      indexDocument: 'home.html',
+      uploadOptions: {},
+    });
+    expect(listWebsites()[0]).toMatchObject({
+      indexDocument: 'index.html',
+      errorDocument: '404.html',
+    });
+
+    mockUpload('bb'.repeat(32));
+    await deployWebsite('site-0', '/tmp/blog', { indexDocument: 'home.html' });
+    expect(listWebsites()[0]).toMatchObject({
+      indexDocument: 'home.html',
+      errorDocument: '404.html',
+    });
+  });
+
+  test('rolls back by re-pointing the feed at an earlier deploy', async () => {
+    await createWebsite({ name: 'Blog' });
+    mockUpload('aa'.repeat(32));
+    await deployWebsite('site-0', '/tmp/blog');
+    mockUpload('bb'.repeat(32));
+    await deployWebsite('site-0', '/tmp/blog');
+    updateFeed.mockClear();
+    publishDirectory.mockClear();
+
+    const site = await rollbackWebsite('site-0', 1);
+
+    expect(publishDirectory).not.toHaveBeenCalled();
+    expect(updateFeed).toHaveBeenCalledWith(
+      '0xkey0',
+      'freedom://publish/website/site-0',
+      'aa'.repeat(32),
+      'batch1'
+    );
+    expect(site).toMatchObject({ currentReference: 'aa'.repeat(32), currentEntryId: 1 });
+  });
+
+  test('refuses to roll back to another site or an unknown deploy', async () => {
+    await createWebsite({ name: 'Blog' });
+    await createWebsite({ name: 'Docs' });
+    mockUpload('aa'.repeat(32));
+    await deployWebsite('site-1', '/tmp/docs');
+
+    await expect(rollbackWebsite('site-0', 1)).rejects.toThrow(/not a completed deploy of Blog/);
+    await expect(rollbackWebsite('site-0', 42)).rejects.toThrow(/not a completed deploy/);
+  });
+
+  test('incremental deploys build on the manifest of the live deploy', async () => {
+    const v1 = { 'index.html': { hash: 'h1', reference: 'r1', size: 1 } };
+    const v2 = { 'index.html': { hash: 'h2', reference: 'r2', size: 1 } };
+    const incremental = (reference, files) =>
+      deployIncremental.mockResolvedValueOnce({
+        reference,
+        bzzUrl: `bzz://${reference}`,
+        tagUid: null,
+        batchIdUsed: 'batch1',
+        files,
+        summary: { changed: 1, unchanged: 0, removed: 0 },
+      });
+    await createWebsite({ name: 'Blog' });
+
+    incremental('aa'.repeat(32), v1);
+    await deployWebsite('site-0', '/tmp/blog', { incremental: true });
+    expect(deployIncremental).toHaveBeenLastCalledWith('/tmp/blog', {}, expect.anything());
+
+    incremental('bb'.repeat(32), v2);
+    const second = await deployWebsite('site-0', '/tmp/blog', { incremental: true });
+    expect(deployIncremental).toHaveBeenLastCalledWith('/tmp/blog', v1, {
+      indexDocument: 'index.html',
+      errorDocument: null,
+    });
+    expect(second.summary).toEqual({ changed: 1, unchanged: 0, removed: 0 });
+
+    // After rolling back, the plan compares against the rolled-back deploy.
+    await rollbackWebsite('site-0', 1);
+    await planWebsiteDeploy('site-0', '/tmp/blog');
+    expect(diffSiteFiles).toHaveBeenLastCalledWith(v1, []);
+  });
+
+  test('deploy IPC validates the folder before touching the site', async () => {
+    const result = await ipcHandlers[IPC.SWARM_WEBSITE_DEPLOY](
+      {},
+      'site-0',
+      path.join(mockUserData, 'missing')
+    );
+
+    expect(result).toEqual({ success: false, error: expect.stringMatching(/Directory not found/) });
+    expect(publishDirectory).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Wallet Activity Store (SQLite-backed).
+ *
+ * One row per transaction the browser sent or had the Bee node send: vault
+ * transfers from the Send screen, dApp approvals, stamp purchases and
+ * chequebook deposits. Rows keep the signed parameters (nonce, fees,
+ * calldata) alongside a human-readable summary so a pending transaction can
+ * be followed, and re-signed, after a restart.
+ *
+ * Status moves from 'pending' to 'confirmed' | 'failed' | 'dropped' |
+ * 'replaced'; the receipt polling lives in activity-tracker.js.
+ *
+ * A speed-up or cancel is its own row, signed with the same nonce, whose
+ * `replaces_id` points at the transaction it replaced; that row gets the
+ * newcomer's id in `replaced_by_id`. Whichever of them is mined settles the
+ * rest as 'replaced'.
+ */
+
+const log = require('../logger');
+const { app } = require('electron');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA_VERSION = 2;
+
+const FINAL_STATUSES = new Set(['confirmed', 'failed', 'dropped', 'replaced']);
+const isFinalStatus = (status) => FINAL_STATUSES.has(status);
+
+let db = null;
+let statements = null;
+
+function getDb() {
+  if (db) return db;
+
+  const dbPath = path.join(app.getPath('userData'), 'wallet-activity.sqlite');
+  log.info('[WalletActivity] Opening database:', dbPath);
+
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+
+  migrateDatabase();
+
+  return db;
+}
+
+function closeDb() {
+  if (db) {
+    log.info('[WalletActivity] Closing database');
+    db.close();
+    db = null;
+    statements = null;
+  }
+}
+
+function migrateDatabase() {
+  const version = db.pragma('user_version', { simple: true });
+
+  if (version >= SCHEMA_VERSION) return;
+  log.info(`[WalletActivity] Migrating schema ${version} → ${SCHEMA_VERSION}`);
+
+  if (version < 1) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS wallet_activity (
+        id                       INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind                     TEXT NOT NULL,
+        status                   TEXT NOT NULL,
+        hash                     TEXT,
+        chain_id                 INTEGER NOT NULL,
+        nonce                    INTEGER,
+        from_address             TEXT,
+        to_address               TEXT,
+        value                    TEXT,
+        data                     TEXT,
+        gas_limit                TEXT,
+        max_fee_per_gas          TEXT,
+        max_priority_fee_per_gas TEXT,
+        gas_price                TEXT,
+        wallet_index             INTEGER,
+        origin                   TEXT,
+        summary                  TEXT,
+        block_number             INTEGER,
+        gas_used                 TEXT,
+        error_message            TEXT,
+        created_at               INTEGER NOT NULL,
+        completed_at             INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_wallet_activity_created ON wallet_activity(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_wallet_activity_status  ON wallet_activity(status);
+      CREATE INDEX IF NOT EXISTS idx_wallet_activity_hash    ON wallet_activity(hash);
+    `);
+  }
+
+  // v2: speed-up / cancel replacements link to the transaction they replace.
+  if (version < 2) {
+    db.exec(`
+      ALTER TABLE wallet_activity ADD COLUMN replaces_id INTEGER;
+      ALTER TABLE wallet_activity ADD COLUMN replaced_by_id INTEGER;
+    `);
+  }
+
+  db.pragma(`user_version = ${SCHEMA_VERSION}`);
+}
+
+function getStatements() {
+  if (statements) return statements;
+
+  const database = getDb();
+  statements = {
+    insert: database.prepare(`
+      INSERT INTO wallet_activity (
+        kind, status, hash, chain_id, nonce, from_address, to_address, value, data,
+        gas_limit, max_fee_per_gas, max_priority_fee_per_gas, gas_price, wallet_index,
+        origin, summary, created_at, completed_at, replaces_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    // Passing NULL for any column keeps the existing value.
+    update: database.prepare(`
+      UPDATE wallet_activity SET
+        status        = COALESCE(?, status),
+        block_number  = COALESCE(?, block_number),
+        gas_used      = COALESCE(?, gas_used),
+        completed_at  = COALESCE(?, completed_at),
+        error_message = COALESCE(?, error_message)
+      WHERE id = ?
+    `),
+    setReplacedBy: database.prepare(`UPDATE wallet_activity SET replaced_by_id = ? WHERE id = ?`),
+    getAll: database.prepare(`SELECT * FROM wallet_activity ORDER BY created_at DESC`),
+    getById: database.prepare(`SELECT * FROM wallet_activity WHERE id = ?`),
+    getByStatus: database.prepare(
+      `SELECT * FROM wallet_activity WHERE status = ? ORDER BY created_at ASC`
+    ),
+    // Pending rows survive a clear so their receipts are still picked up.
+    clear: database.prepare(`DELETE FROM wallet_activity WHERE status != ?`),
+  };
+  return statements;
+}
+
+function rowToEntry(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    kind: row.kind,
+    status: row.status,
+    hash: row.hash,
+    chainId: row.chain_id,
+    nonce: row.nonce,
+    from: row.from_address,
+    to: row.to_address,
+    value: row.value,
+    data: row.data,
+    gasLimit: row.gas_limit,
+    maxFeePerGas: row.max_fee_per_gas,
+    maxPriorityFeePerGas: row.max_priority_fee_per_gas,
+    gasPrice: row.gas_price,
+    walletIndex: row.wallet_index,
+    origin: row.origin,
+    summary: row.summary,
+    blockNumber: row.block_number,
+    gasUsed: row.gas_used,
+    errorMessage: row.error_message,
+    timestamp: new Date(row.created_at).toISOString(),
+    completedAt: row.completed_at ? new Date(row.completed_at).toISOString() : null,
+    replacesId: row.replaces_id ?? null,
+    replacedById: row.replaced_by_id ?? null,
+  };
+}
+
+/**
+ * Record a transaction.
+ * @param {Object} entry
+ * @param {string} entry.kind - 'send' | 'dapp' | 'stamp-purchase' | 'chequebook-deposit' |
+ *   'speed-up' | 'cancel'
+ * @param {number} entry.chainId
+ * @param {string} [entry.status] - defaults to 'pending'
+ * @param {number} [entry.replacesId] - activity id of the transaction this
+ *   one replaces (same nonce); that row is linked back to the new one
+ * @returns {Object} the stored entry
+ */
+function addActivity(entry = {}) {
+  const createdAt = Date.now();
+  const status = entry.status || 'pending';
+
+  const result = getStatements().insert.run(
+    entry.kind,
+    status,
+    entry.hash || null,
+    entry.chainId,
+    entry.nonce ?? null,
+    entry.from || null,
+    entry.to || null,
+    entry.value ?? null,
+    entry.data || null,
+    entry.gasLimit ?? null,
+    entry.maxFeePerGas ?? null,
+    entry.maxPriorityFeePerGas ?? null,
+    entry.gasPrice ?? null,
+    entry.walletIndex ?? null,
+    entry.origin || null,
+    entry.summary || null,
+    createdAt,
+    isFinalStatus(status) ? createdAt : null,
+    entry.replacesId ?? null
+  );
+
+  if (entry.replacesId != null) {
+    getStatements().setReplacedBy.run(result.lastInsertRowid, entry.replacesId);
+  }
+
+  return rowToEntry(getStatements().getById.get(result.lastInsertRowid));
+}
+
+function updateActivity(id, updates = {}) {
+  const status = updates.status || null;
+
+  const result = getStatements().update.run(
+    status,
+    updates.blockNumber ?? null,
+    updates.gasUsed ?? null,
+    isFinalStatus(status) ? Date.now() : null,
+    updates.errorMessage || null,
+    id
+  );
+
+  if (result.changes === 0) return null;
+  return rowToEntry(getStatements().getById.get(id));
+}
+
+function getActivityEntry(id) {
+  return rowToEntry(getStatements().getById.get(id));
+}
+
+function getActivity() {
+  return getStatements().getAll.all().map(rowToEntry);
+}
+
+function getPendingActivity() {
+  return getStatements().getByStatus.all('pending').map(rowToEntry);
+}
+
+/**
+ * Remove every finished row; pending ones stay tracked.
+ * @returns {number} rows removed
+ */
+function clearActivity() {
+  return getStatements().clear.run('pending').changes;
+}
+
+module.exports = {
+  addActivity,
+  updateActivity,
+  getActivityEntry,
+  getActivity,
+  getPendingActivity,
+  clearActivity,
+  isFinalStatus,
+  getDb,
+  closeDb,
+};
@@ -0,0 +1,175 @@
+const FakeBetterSqlite3WalletActivityDatabase = require('../../../test/helpers/fake-better-sqlite3-wallet-activity');
+const {
+  createTempUserDataDir,
+  loadMainModule,
+  removeTempUserDataDir,
+} = require('../../../test/helpers/main-process-test-utils');
+
+const HASH_A = `0x${'aa'.repeat(32)}`;
+const HASH_B = `0x${'bb'.repeat(32)}`;
+
+function loadActivityStore(options = {}) {
+  return loadMainModule(require.resolve('./activity-store'), {
+    userDataDir: options.userDataDir,
+    extraMocks: {
+      'better-sqlite3': () => options.Database || FakeBetterSqlite3WalletActivityDatabase,
+      [require.resolve('../logger')]: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      }),
+    },
+  });
+}
+
+describe('activity-store', () => {
+  let userDataDir;
+  let mod;
+
+  beforeEach(() => {
+    userDataDir = createTempUserDataDir();
+    mod = null;
+  });
+
+  afterEach(() => {
+    if (mod?.closeDb) mod.closeDb();
+    removeTempUserDataDir(userDataDir);
+  });
+
+  test('addActivity stores a pending entry with its signed parameters', () => {
+    ({ mod } = loadActivityStore({ userDataDir }));
+
+    const entry = mod.addActivity({
+      kind: 'send',
+      hash: HASH_A,
+      chainId: 100,
+      nonce: 7,
+      from: '0x1111111111111111111111111111111111111111',
+      to: '0x2222222222222222222222222222222222222222',
+      value: '1000',
+      gasLimit: '21000',
+      maxFeePerGas: '2000000000',
+      walletIndex: 0,
+      summary: 'Send 1 xDAI',
+    });
+
+    expect(entry).toMatchObject({
+      id: 1,
+      kind: 'send',
+      status: 'pending',
+      hash: HASH_A,
+      chainId: 100,
+      nonce: 7,
+      gasLimit: '21000',
+      maxFeePerGas: '2000000000',
+      gasPrice: null,
+      walletIndex: 0,
+      completedAt: null,
+      replacesId: null,
+      replacedById: null,
+    });
+    expect(mod.getActivityEntry(1)).toEqual(entry);
+  });
+
+  test('entries recorded as final get a completion time', () => {
+    ({ mod } = loadActivityStore({ userDataDir }));
+
+    const entry = mod.addActivity({ kind: 'stamp-purchase', status: 'confirmed', chainId: 100 });
+
+    expect(entry.status).toBe('confirmed');
+    expect(entry.completedAt).toBe(entry.timestamp);
+  });
+
+  test('updateActivity keeps fields it is not given and stamps final statuses', () => {
+    ({ mod } = loadActivityStore({ userDataDir }));
+    const { id } = mod.addActivity({ kind: 'send', hash: HASH_A, chainId: 1 });
+
+    const mined = mod.updateActivity(id, { blockNumber: 42, gasUsed: '21000' });
+    expect(mined).toMatchObject({ status: 'pending', blockNumber: 42, completedAt: null });
+
+    const confirmed = mod.updateActivity(id, { status: 'confirmed' });
+    expect(confirmed).toMatchObject({ status: 'confirmed', blockNumber: 42, gasUsed: '21000' });
+    expect(confirmed.completedAt).not.toBeNull();
+
+    expect(mod.updateActivity(999, { status: 'failed' })).toBeNull();
+  });
+
+  test('getPendingActivity returns pending entries oldest first', () => {
+    ({ mod } = loadActivityStore({ userDataDir }));
+    const first = mod.addActivity({ kind: 'send', hash: HASH_A, chainId: 1 });
+    mod.addActivity({ kind: 'dapp', status: 'failed', chainId: 1 });
+    const third = mod.addActivity({ kind: 'send', hash: HASH_B, chainId: 100 });
+
+    expect(mod.getPendingActivity().map((entry) => entry.id)).toEqual([first.id, third.id]);
+
+    mod.updateActivity(first.id, { status: 'dropped' });
+    expect(mod.getPendingActivity().map((entry) => entry.id)).toEqual([third.id]);
+  });
+
+  test('a replacement links both ways to the transaction it replaces', () => {
+    ({ mod } = loadActivityStore({ userDataDir }));
+    const original = mod.addActivity({ kind: 'send', hash: HASH_A, chainId: 1, nonce: 3 });
+
+    const replacement = mod.addActivity({
+      kind: 'speed-up',
+      hash: HASH_B,
+      chainId: 1,
+      nonce: 3,
+      replacesId: original.id,
+    });
+
+    expect(replacement.replacesId).toBe(original.id);
+    expect(mod.getActivityEntry(original.id).replacedById).toBe(replacement.id);
+  });
+
+  test('clearActivity removes finished rows and keeps pending ones', () => {
+    ({ mod } = loadActivityStore({ userDataDir }));
+    const pending = mod.addActivity({ kind: 'send', hash: HASH_A, chainId: 1 });
+    mod.addActivity({ kind: 'dapp', status: 'confirmed', chainId: 1 });
+
+    expect(mod.clearActivity()).toBe(1);
+    expect(mod.getActivity().map((entry) => entry.id)).toEqual([pending.id]);
+  });
+
+  test('creates the full schema on a new database', () => {
+    ({ mod } = loadActivityStore({ userDataDir }));
+
+    const db = mod.getDb();
+
+    expect(db.userVersion).toBe(2);
+    expect(db.executed).toEqual([
+      expect.stringContaining('CREATE TABLE IF NOT EXISTS wallet_activity'),
+      expect.stringContaining('ADD COLUMN replaces_id'),
+    ]);
+  });
+
+  test('migrates a v1 database by adding the replacement columns only', () => {
+    class V1Database extends FakeBetterSqlite3WalletActivityDatabase {
+      constructor(filePath) {
+        super(filePath);
+        this.userVersion = 1;
+      }
+    }
+    ({ mod } = loadActivityStore({ userDataDir, Database: V1Database }));
+
+    const db = mod.getDb();
+
+    expect(db.userVersion).toBe(2);
+    expect(db.executed).toEqual([
+      'ALTER TABLE wallet_activity ADD COLUMN replaces_id INTEGER; ' +
+        'ALTER TABLE wallet_activity ADD COLUMN replaced_by_id INTEGER;',
+    ]);
+  });
+
+  test('leaves an up-to-date database alone', () => {
+    class V2Database extends FakeBetterSqlite3WalletActivityDatabase {
+      constructor(filePath) {
+        super(filePath);
+        this.userVersion = 2;
+      }
+    }
+    ({ mod } = loadActivityStore({ userDataDir, Database: V2Database }));
+
+    expect(mod.getDb().executed).toEqual([]);
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Wallet Activity Tracker
+ *
+ * Records outgoing transactions into the activity store and follows the
+ * pending ones until they settle. Each check asks the chain for a receipt;
+ * a transaction without one whose nonce has already been used on chain
+ * (replaced or never propagated) is marked 'dropped'. Speed-ups and cancels
+ * share a nonce with the transaction they replace: once any of them is mined
+ * the others are marked 'replaced'. Pending rows are
+ * picked up again on the next launch, so a browser restart doesn't lose
+ * track of anything.
+ *
+ * Renderers are told about every change via `wallet:activity-updated` and
+ * re-read the list.
+ */
+
+const { ipcMain, BrowserWindow } = require('electron');
+const { Interface, formatUnits } = require('ethers');
+const log = require('../logger');
+const IPC = require('../../shared/ipc-channels');
+const {
+  addActivity,
+  updateActivity,
+  getActivity,
+  getPendingActivity,
+  clearActivity,
+} = require('./activity-store');
+const { getTransactionStatus } = require('./transaction-service');
+const { getProvider, withRetry } = require('./provider-manager');
+const { getChain, getTxExplorerUrl } = require('./chains');
+const { findToken } = require('./tx-decoder');
+
+const POLL_INTERVAL_MS = 15 * 1000;
+// Let providers and the vault settle before re-checking last session's rows.
+const STARTUP_DELAY_MS = 10 * 1000;
+// Without a known nonce (e.g. Bee-sent deposits) there is no way to tell a
+// slow transaction from a lost one, so give up after a day.
+const UNKNOWN_NONCE_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+const ERC20_INTERFACE = new Interface([
+  'function transfer(address to, uint256 amount) returns (bool)',
+]);
+const TRANSFER_SELECTOR = ERC20_INTERFACE.getFunction('transfer').selector;
+
+let pollTimer = null;
+let checkInFlight = null;
+let running = false;
+
+function shortAddress(address) {
+  if (!address || address.length <= 13) return address || 'unknown';
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+/**
+ * One-line description of a transaction for the activity list.
+ * @param {Object} tx
+ * @param {string} tx.to
+ * @param {string} [tx.value] - wei
+ * @param {string} [tx.data]
+ * @param {number} tx.chainId
+ * @returns {string}
+ */
+function summarizeTransaction({ to, value, data, chainId }) {
+  if (!data || data === '0x') {
+    const symbol = getChain(chainId)?.nativeCurrency?.symbol || 'ETH';
+    return `Send ${formatUnits(value || '0', 18)} ${symbol} to ${shortAddress(to)}`;
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  if (selector === TRANSFER_SELECTOR) {
+    try {
+      const [recipient, amount] = ERC20_INTERFACE.decodeFunctionData('transfer', data);
+      const token = findToken(chainId, to);
+      if (token) {
+        return `Send ${formatUnits(amount, token.decimals)} ${token.symbol} to ${shortAddress(recipient)}`;
+      }
+      return `Token transfer to ${shortAddress(recipient)} (${shortAddress(to)})`;
+    } catch {
+      // Malformed calldata; fall through to the generic label.
+    }
+  }
+
+  return `Contract call ${selector} on ${shortAddress(to)}`;
+}
+
+function broadcastUpdate() {
+  for (const win of BrowserWindow.getAllWindows()) {
+    try {
+      win.webContents.send(IPC.WALLET_ACTIVITY_UPDATED);
+    } catch {
+      // Window might be closing
+    }
+  }
+}
+
+/**
+ * Store a sent transaction. Never throws: a failed write must not turn a
+ * broadcast transaction into an error for the caller.
+ * @param {Object} details - transaction params merged with the send result,
+ *   plus `kind` and optional `origin`, `summary`, `walletIndex`, `status`
+ * @returns {Object|null} the stored entry
+ */
+function recordTransaction(details) {
+  try {
+    const summary = details.summary || (details.to ? summarizeTransaction(details) : null);
+    const entry = addActivity({ ...details, summary });
+    broadcastUpdate();
+    if (entry.status === 'pending') schedulePoll(POLL_INTERVAL_MS);
+    return entry;
+  } catch (err) {
+    log.error('[WalletActivity] Failed to record transaction:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Store a speed-up or cancel that was signed over a pending transaction's
+ * nonce, linked to the transaction it replaces.
+ * @param {Object} original - pending activity entry
+ * @param {Object} replacement - params sent merged with the send result
+ * @param {'speed-up'|'cancel'} mode
+ * @returns {Object|null} the stored entry
+ */
+function recordReplacement(original, replacement, mode) {
+  const summary = original.summary || 'Transaction';
+  return recordTransaction({
+    ...replacement,
+    kind: mode,
+    walletIndex: original.walletIndex,
+    origin: original.origin,
+    summary: mode === 'cancel' ? `Cancel: ${summary}` : summary,
+    replacesId: original.id,
+  });
+}
+
+const sameSlot = (a, b) =>
+  a.chainId === b.chainId && a.nonce === b.nonce && a.from?.toLowerCase() === b.from?.toLowerCase();
+
+/**
+ * A pending transaction has no receipt. If the sender's mined nonce has moved
+ * past it, another transaction took that slot and this one will never land.
+ */
+async function isNonceSpent(entry) {
+  const provider = getProvider(entry.chainId);
+  if (!provider) return false;
+  const minedCount = await withRetry(
+    () => provider.getTransactionCount(entry.from, 'latest'),
+    2,
+    entry.chainId
+  );
+  return minedCount > entry.nonce;
+}
+
+// Store a receipt-backed outcome; null while the transaction is still open.
+function settleFromStatus(entry, status) {
+  if (status.status !== 'confirmed' && status.status !== 'failed') return null;
+  return updateActivity(entry.id, {
+    status: status.status,
+    blockNumber: status.blockNumber,
+    gasUsed: status.gasUsed,
+    errorMessage: status.status === 'failed' ? 'Reverted on chain' : null,
+  });
+}
+
+async function checkEntry(entry) {
+  const status = await getTransactionStatus(entry.hash, entry.chainId);
+  if (status.status !== 'pending') return settleFromStatus(entry, status);
+
+  if (entry.nonce === null || !entry.from) {
+    if (Date.now() - Date.parse(entry.timestamp) < UNKNOWN_NONCE_TIMEOUT_MS) return null;
+    return updateActivity(entry.id, {
+      status: 'dropped',
+      errorMessage: 'No receipt after 24 hours',
+    });
+  }
+
+  if (!(await isNonceSpent(entry))) return null;
+
+  // The receipt may have landed between the two calls.
+  const recheck = await getTransactionStatus(entry.hash, entry.chainId);
+  if (recheck.status !== 'pending') return settleFromStatus(entry, recheck);
+
+  // For a speed-up or cancel pair, the other side of the link took the slot.
+  if (entry.replacesId !== null || entry.replacedById !== null) {
+    return updateActivity(entry.id, {
+      status: 'replaced',
+      errorMessage: 'Replaced by another transaction with the same nonce',
+    });
+  }
+  return updateActivity(entry.id, {
+    status: 'dropped',
+    errorMessage: 'Nonce was used by another transaction',
+  });
+}
+
+// A mined transaction settles every other pending one that used its nonce.
+function settleReplaced(mined, pending, done) {
+  if (mined.nonce === null || !mined.from) return 0;
+  let settled = 0;
+  for (const other of pending) {
+    if (other.id === mined.id || done.has(other.id) || !sameSlot(other, mined)) continue;
+    updateActivity(other.id, { status: 'replaced', errorMessage: `Replaced by ${mined.hash}` });
+    done.add(other.id);
+    settled++;
+  }
+  return settled;
+}
+
+/**
+ * Check every pending transaction once.
+ * @returns {Promise<number>} how many settled
+ */
+async function checkPendingActivity() {
+  if (checkInFlight) return checkInFlight;
+
+  checkInFlight = (async () => {
+    let settled = 0;
+    const pending = getPendingActivity();
+    const done = new Set();
+    for (const entry of pending) {
+      if (!entry.hash || done.has(entry.id)) continue;
+      try {
+        const updated = await checkEntry(entry);
+        if (!updated) continue;
+        done.add(entry.id);
+        settled++;
+        if (updated.status === 'confirmed' || updated.status === 'failed') {
+          settled += settleReplaced(updated, pending, done);
+        }
+      } catch (err) {
+        log.warn(`[WalletActivity] Status check failed for ${entry.hash}:`, err.message);
+      }
+    }
+    if (settled > 0) broadcastUpdate();
+    return settled;
+  })();
+
+  try {
+    return await checkInFlight;
+  } finally {
+    checkInFlight = null;
+  }
+}
+
+function schedulePoll(delay) {
+  if (!running || pollTimer) return;
+  pollTimer = setTimeout(async () => {
+    pollTimer = null;
+    let stillPending = false;
+    try {
+      await checkPendingActivity();
+      stillPending = getPendingActivity().some((entry) => entry.hash);
+    } catch (err) {
+      log.warn('[WalletActivity] Pending check failed:', err.message);
+    }
+    // Keep polling only while something is still pending.
+    if (stillPending) schedulePoll(POLL_INTERVAL_MS);
+  }, delay);
+}
+
+function startActivityTracker() {
+  if (running) return;
+  running = true;
+  schedulePoll(STARTUP_DELAY_MS);
+}
+
+function stopActivityTracker() {
+  running = false;
+  clearTimeout(pollTimer);
+  pollTimer = null;
+}
+
+function withExplorerUrl(entry) {
+  return { ...entry, explorerUrl: entry.hash ? getTxExplorerUrl(entry.chainId, entry.hash) : null };
+}
+
+function registerActivityIpc() {
+  ipcMain.handle(IPC.WALLET_GET_ACTIVITY, () => {
+    try {
+      return { success: true, entries: getActivity().map(withExplorerUrl) };
+    } catch (err) {
+      log.error('[WalletActivity] Failed to read activity:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle(IPC.WALLET_CLEAR_ACTIVITY, () => {
+    try {
+      clearActivity();
+      broadcastUpdate();
+      return { success: true };
+    } catch (err) {
+      log.error('[WalletActivity] Failed to clear activity:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = {
+  summarizeTransaction,
+  recordTransaction,
+  recordReplacement,
+  checkPendingActivity,
+  startActivityTracker,
+  stopActivityTracker,
+  registerActivityIpc,
+  POLL_INTERVAL_MS,
+  STARTUP_DELAY_MS,
+};
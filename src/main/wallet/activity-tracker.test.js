@@ -0,0 +1,228 @@
+const { Interface } = require('ethers');
+const IPC = require('../../shared/ipc-channels');
+const FakeBetterSqlite3WalletActivityDatabase = require('../../../test/helpers/fake-better-sqlite3-wallet-activity');
+const {
+  createTempUserDataDir,
+  loadMainModule,
+  removeTempUserDataDir,
+} = require('../../../test/helpers/main-process-test-utils');
+
+const BZZ = '0xdBF3Ea6F5beE45c02255B2c26a16F300502F68da';
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const HASH_A = `0x${'aa'.repeat(32)}`;
+const HASH_B = `0x${'bb'.repeat(32)}`;
+const HASH_C = `0x${'cc'.repeat(32)}`;
+
+const erc20 = new Interface(['function transfer(address to, uint256 amount)']);
+
+function loadTracker(options = {}) {
+  const statuses = {};
+  const provider = { getTransactionCount: jest.fn(async () => options.minedNonce ?? 0) };
+  const send = jest.fn();
+
+  const ctx = loadMainModule(require.resolve('./activity-tracker'), {
+    userDataDir: options.userDataDir,
+    windows: [{ webContents: { send } }],
+    extraMocks: {
+      'better-sqlite3': () => FakeBetterSqlite3WalletActivityDatabase,
+      [require.resolve('../logger')]: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      }),
+      [require.resolve('./transaction-service')]: () => ({
+        getTransactionStatus: jest.fn(
+          async (hash) => statuses[hash] || { status: 'pending', hash }
+        ),
+      }),
+      [require.resolve('./provider-manager')]: () => ({
+        getProvider: () => provider,
+        withRetry: (fn) => fn(),
+      }),
+      [require.resolve('./chains')]: () => ({
+        getChain: (chainId) => ({ nativeCurrency: { symbol: chainId === 100 ? 'xDAI' : 'ETH' } }),
+        getTxExplorerUrl: (chainId, hash) => `https://explorer.example/${chainId}/tx/${hash}`,
+      }),
+      [require.resolve('../chain-registry')]: () => ({
+        getTokens: () => ({
+          [`100:${BZZ}`]: { chainId: 100, address: BZZ, symbol: 'xBZZ', decimals: 16 },
+        }),
+      }),
+    },
+  });
+
+  const store = require('./activity-store');
+  return { ...ctx, store, statuses, provider, send };
+}
+
+const sent = (extra = {}) => ({
+  kind: 'send',
+  chainId: 100,
+  from: ALICE,
+  to: BOB,
+  value: '1500000000000000000',
+  nonce: 4,
+  walletIndex: 0,
+  ...extra,
+});
+
+describe('activity-tracker', () => {
+  let userDataDir;
+  let ctx;
+
+  beforeEach(() => {
+    userDataDir = createTempUserDataDir();
+    ctx = null;
+  });
+
+  afterEach(() => {
+    ctx?.mod.stopActivityTracker();
+    ctx?.store.closeDb();
+    removeTempUserDataDir(userDataDir);
+    jest.useRealTimers();
+  });
+
+  test('summarizes native sends, known token transfers and other calls', () => {
+    ctx = loadTracker({ userDataDir });
+    const { summarizeTransaction } = ctx.mod;
+
+    expect(summarizeTransaction({ to: BOB, value: '1500000000000000000', chainId: 100 })).toBe(
+      'Send 1.5 xDAI to 0x2222…2222'
+    );
+    expect(
+      summarizeTransaction({
+        to: BZZ,
+        data: erc20.encodeFunctionData('transfer', [BOB, 25n * 10n ** 15n]),
+        chainId: 100,
+      })
+    ).toBe('Send 2.5 xBZZ to 0x2222…2222');
+    expect(
+      summarizeTransaction({
+        to: ALICE,
+        data: erc20.encodeFunctionData('transfer', [BOB, 1n]),
+        chainId: 1,
+      })
+    ).toBe('Token transfer to 0x2222…2222 (0x1111…1111)');
+    expect(
+      summarizeTransaction({ to: ALICE, data: '0x095ea7b3' + '00'.repeat(64), chainId: 1 })
+    ).toBe('Contract call 0x095ea7b3 on 0x1111…1111');
+  });
+
+  test('records transactions, notifies windows and serves them over IPC', async () => {
+    ctx = loadTracker({ userDataDir });
+    ctx.mod.registerActivityIpc();
+
+    const entry = ctx.mod.recordTransaction(sent({ hash: HASH_A, origin: 'app.eth' }));
+    ctx.mod.recordTransaction({
+      kind: 'stamp-purchase',
+      status: 'confirmed',
+      chainId: 100,
+      summary: 'Buy postage batch',
+    });
+
+    expect(entry).toMatchObject({
+      status: 'pending',
+      summary: 'Send 1.5 xDAI to 0x2222…2222',
+      origin: 'app.eth',
+      nonce: 4,
+    });
+    expect(ctx.send).toHaveBeenCalledWith(IPC.WALLET_ACTIVITY_UPDATED);
+
+    const result = await ctx.ipcMain.invoke(IPC.WALLET_GET_ACTIVITY);
+    expect(result.success).toBe(true);
+    expect(result.entries).toHaveLength(2);
+    expect(result.entries.find((e) => e.hash === HASH_A).explorerUrl).toBe(
+      `https://explorer.example/100/tx/${HASH_A}`
+    );
+    expect(result.entries.find((e) => e.kind === 'stamp-purchase')).toMatchObject({
+      explorerUrl: null,
+      completedAt: expect.any(String),
+    });
+
+    // Clearing keeps the pending transaction so it is still followed.
+    await ctx.ipcMain.invoke(IPC.WALLET_CLEAR_ACTIVITY);
+    expect(ctx.store.getActivity().map((e) => e.hash)).toEqual([HASH_A]);
+  });
+
+  test('settles pending transactions from receipts and spent nonces', async () => {
+    ctx = loadTracker({ userDataDir, minedNonce: 5 });
+    ctx.mod.recordTransaction(sent({ hash: HASH_A, nonce: 3 }));
+    ctx.mod.recordTransaction(sent({ hash: HASH_B, nonce: 4 }));
+    ctx.mod.recordTransaction(sent({ hash: HASH_C, nonce: 5 }));
+    ctx.statuses[HASH_A] = { status: 'confirmed', blockNumber: 123, gasUsed: '21000' };
+
+    await expect(ctx.mod.checkPendingActivity()).resolves.toBe(2);
+
+    const byHash = Object.fromEntries(ctx.store.getActivity().map((e) => [e.hash, e]));
+    expect(byHash[HASH_A]).toMatchObject({
+      status: 'confirmed',
+      blockNumber: 123,
+      gasUsed: '21000',
+    });
+    expect(byHash[HASH_B]).toMatchObject({
+      status: 'dropped',
+      errorMessage: 'Nonce was used by another transaction',
+    });
+    // Nonce 5 hasn't been mined yet: still waiting.
+    expect(byHash[HASH_C].status).toBe('pending');
+  });
+
+  test('links replacements and settles whichever side was mined', async () => {
+    ctx = loadTracker({ userDataDir, minedNonce: 5 });
+    const original = ctx.mod.recordTransaction(sent({ hash: HASH_A, summary: 'Swap on dex' }));
+    const speedUp = ctx.mod.recordReplacement(
+      original,
+      { ...sent({ hash: HASH_B }), maxFeePerGas: '22' },
+      'speed-up'
+    );
+
+    expect(speedUp).toMatchObject({
+      kind: 'speed-up',
+      summary: 'Swap on dex',
+      replacesId: original.id,
+    });
+    expect(ctx.store.getActivityEntry(original.id).replacedById).toBe(speedUp.id);
+
+    // The original still made it in first.
+    ctx.statuses[HASH_A] = { status: 'confirmed', blockNumber: 50, gasUsed: '21000' };
+    await expect(ctx.mod.checkPendingActivity()).resolves.toBe(2);
+    expect(ctx.store.getActivityEntry(original.id).status).toBe('confirmed');
+    expect(ctx.store.getActivityEntry(speedUp.id)).toMatchObject({
+      status: 'replaced',
+      errorMessage: `Replaced by ${HASH_A}`,
+    });
+  });
+
+  test('marks the original replaced once its cancel is mined', async () => {
+    ctx = loadTracker({ userDataDir, minedNonce: 5 });
+    const original = ctx.mod.recordTransaction(sent({ hash: HASH_A, summary: 'Mint' }));
+    const cancel = ctx.mod.recordReplacement(
+      original,
+      { ...sent({ hash: HASH_B, to: ALICE, value: '0' }) },
+      'cancel'
+    );
+    ctx.statuses[HASH_B] = { status: 'confirmed', blockNumber: 51, gasUsed: '21000' };
+
+    await ctx.mod.checkPendingActivity();
+
+    expect(cancel.summary).toBe('Cancel: Mint');
+    expect(ctx.store.getActivityEntry(cancel.id).status).toBe('confirmed');
+    expect(ctx.store.getActivityEntry(original.id).status).toBe('replaced');
+  });
+
+  test('picks up pending rows from a previous session after startup', async () => {
+    jest.useFakeTimers();
+    ctx = loadTracker({ userDataDir });
+    ctx.mod.recordTransaction(sent({ hash: HASH_A }));
+    ctx.statuses[HASH_A] = { status: 'failed', blockNumber: 9, gasUsed: '50000' };
+
+    ctx.mod.startActivityTracker();
+    await jest.advanceTimersByTimeAsync(ctx.mod.STARTUP_DELAY_MS);
+
+    expect(ctx.store.getActivity()[0]).toMatchObject({
+      status: 'failed',
+      errorMessage: 'Reverted on chain',
+    });
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * Allowance Scanner
+ *
+ * Finds token approvals the vault's wallets have left behind: ERC-20
+ * allowances and ERC-721/1155 `setApprovalForAll` operator grants.
+ *
+ * `Approval` / `ApprovalForAll` logs with the wallet as owner are pulled
+ * with chunked `eth_getLogs` on every chain provider-manager.js has a
+ * provider for. Logs only name candidate (token, spender) pairs; the
+ * current state is read back with `allowance()` / `isApprovedForAll()`, so
+ * spent or revoked approvals drop out. The chunk size grows while the RPC
+ * accepts ranges and is halved, and capped there, when it rejects one as too
+ * large. A rate-limited RPC ends that chain's scan instead.
+ *
+ * The first scan of a wallet starts at the genesis block, so approvals of
+ * any age are found, including ones granted by a relayed `permit()` from a
+ * wallet that never sent a transaction itself. Progress is cached per chain
+ * and wallet in `wallet-allowances.json` after every chunk (scanned block
+ * range plus the pairs that may still be live), so an interrupted scan
+ * resumes where it stopped and a rescan only reads blocks mined since the
+ * previous one. Each scan reports the block range it has covered per chain.
+ * ERC-721 approvals for single token ids are not listed: they are cleared
+ * whenever the token moves.
+ */
+
+const { app, ipcMain } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const { Interface, id, zeroPadValue, getAddress, formatUnits } = require('ethers');
+const log = require('../logger');
+const IPC = require('../../shared/ipc-channels');
+const { getAllProviders, withRetry } = require('./provider-manager');
+const { getChain, CHAIN_METADATA } = require('./chains');
+const { findToken, UNLIMITED_ALLOWANCE } = require('./tx-decoder');
+const { getDerivedWallets } = require('../identity-manager');
+const { resolveEnsReverse } = require('../ens-resolver');
+
+const CACHE_FILE = 'wallet-allowances.json';
+// Version 1 caches only covered the last year of blocks.
+const CACHE_VERSION = 2;
+
+const APPROVAL_TOPIC = id('Approval(address,address,uint256)');
+const APPROVAL_FOR_ALL_TOPIC = id('ApprovalForAll(address,address,bool)');
+
+const INITIAL_CHUNK_BLOCKS = 50_000;
+const MIN_CHUNK_BLOCKS = 500;
+const MAX_CHUNK_BLOCKS = 500_000;
+
+// Matched against the error text the RPC returned. Rate limits are checked
+// first: several providers word them as "limit exceeded" too.
+const RATE_LIMIT_PATTERN = /\b429\b|rate.?limit|too many requests|throttl|compute units|capacity/i;
+const RANGE_ERROR_PATTERN =
+  /block range|range (is )?too (large|wide|big)|too many (results|logs|blocks)|more than \d+ (results|logs|blocks)|query returned more than|response (size|is too)|exceeds? (the )?(max|block|range|limit)|max(imum)? (block )?range|limit (of|is) \d+ blocks?|query timeout/i;
+
+const TOKEN_INTERFACE = new Interface([
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function approve(address spender, uint256 amount)',
+  'function setApprovalForAll(address operator, bool approved)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)',
+  'function decimals() view returns (uint8)',
+]);
+
+// Well-known spenders, by lowercased address. These are deployed at the same
+// address on every chain they exist on.
+const KNOWN_SPENDERS = {
+  '0x000000000022d473030f116ddee9f6b43ac78ba3': 'Uniswap Permit2',
+  '0x7a250d5630b4cf539739df2c5dacb4c659f2488d': 'Uniswap V2 Router',
+  '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45': 'Uniswap V3 Router',
+  '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad': 'Uniswap Universal Router',
+  '0x1111111254eeb25477b68fb85ed929f73a960582': '1inch Router v5',
+  '0x111111125421ca6dc452d289314280a0f8842a65': '1inch Router v6',
+  '0xc92e8bdf79f0507f65a392b0ab4667716bfe0110': 'CoW Protocol',
+  '0x1e0049783f008a0085193e00003d00cd54003c71': 'OpenSea',
+};
+
+const SWARM_CONTRACT_LABELS = {
+  postageStamp: 'Swarm postage stamps',
+  staking: 'Swarm staking',
+  priceOracle: 'Swarm price oracle',
+  bzzToken: 'xBZZ token',
+};
+
+let cache = null;
+let scanInFlight = null;
+
+function getCachePath() {
+  return path.join(app.getPath('userData'), CACHE_FILE);
+}
+
+function loadCache() {
+  if (cache) return cache;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getCachePath(), 'utf-8'));
+    cache = parsed.version === CACHE_VERSION ? parsed : null;
+  } catch {
+    cache = null;
+  }
+  if (!cache) cache = { version: CACHE_VERSION, scans: {}, tokens: {} };
+  return cache;
+}
+
+function saveCache() {
+  try {
+    fs.writeFileSync(getCachePath(), JSON.stringify(cache, null, 2));
+  } catch (err) {
+    log.error('[Allowances] Failed to save scan cache:', err.message);
+  }
+}
+
+function spenderLabel(chainId, spender) {
+  const wanted = spender.toLowerCase();
+  const contracts = CHAIN_METADATA[chainId]?.contracts || {};
+  const swarmKey = Object.keys(contracts).find((key) => contracts[key].toLowerCase() === wanted);
+  if (swarmKey) return SWARM_CONTRACT_LABELS[swarmKey] || swarmKey;
+  return KNOWN_SPENDERS[wanted] || null;
+}
+
+function errorText(err) {
+  return [
+    err.message,
+    err.shortMessage,
+    err.error?.message,
+    err.info?.error?.message,
+    err.info?.responseStatus,
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+function isRateLimitError(err) {
+  return RATE_LIMIT_PATTERN.test(errorText(err));
+}
+
+function isRangeError(err) {
+  return !isRateLimitError(err) && RANGE_ERROR_PATTERN.test(errorText(err));
+}
+
+/**
+ * Fetch approval logs for `owner` between two blocks, splitting the range
+ * into chunks the RPC accepts.
+ * @param {Function} onChunk - called with (lastBlock, logs) after each chunk
+ */
+async function fetchApprovalLogs(provider, chainId, owner, fromBlock, toBlock, onChunk) {
+  const ownerTopic = zeroPadValue(owner, 32);
+  let chunk = INITIAL_CHUNK_BLOCKS;
+  let ceiling = MAX_CHUNK_BLOCKS;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + chunk - 1, toBlock);
+    try {
+      const batch = await provider.getLogs({
+        fromBlock: start,
+        toBlock: end,
+        topics: [[APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC], ownerTopic],
+      });
+      onChunk(end, batch);
+      start = end + 1;
+      chunk = Math.min(chunk * 2, ceiling);
+    } catch (err) {
+      if (isRateLimitError(err)) {
+        throw new Error(`RPC is rate-limiting requests; the scan will resume from block ${start}`, {
+          cause: err,
+        });
+      }
+      if (!isRangeError(err) || chunk <= MIN_CHUNK_BLOCKS) throw err;
+      chunk = Math.max(Math.floor(chunk / 2), MIN_CHUNK_BLOCKS);
+      ceiling = chunk;
+      log.warn(`[Allowances] Chain ${chainId}: range rejected, retrying with ${chunk} blocks`);
+    }
+  }
+}
+
+// ERC-721 `Approval` has the token id as a fourth topic; only ERC-20's
+// three-topic form is an allowance.
+function candidateFromLog(entry) {
+  const [topic, , spenderTopic] = entry.topics;
+  if (entry.topics.length !== 3) return null;
+  const kind = topic === APPROVAL_TOPIC ? 'erc20' : 'operator';
+  return {
+    kind,
+    token: getAddress(entry.address),
+    spender: getAddress(`0x${spenderTopic.slice(26)}`),
+  };
+}
+
+const candidateKey = (c) => `${c.kind}:${c.token.toLowerCase()}:${c.spender.toLowerCase()}`;
+
+async function readCall(provider, chainId, to, fn, args = []) {
+  const data = TOKEN_INTERFACE.encodeFunctionData(fn, args);
+  const result = await withRetry(() => provider.call({ to, data }), 2, chainId);
+  return TOKEN_INTERFACE.decodeFunctionResult(fn, result)[0];
+}
+
+async function getTokenInfo(provider, chainId, token) {
+  const registered = findToken(chainId, token);
+  if (registered)
+    return { symbol: registered.symbol, name: registered.name, decimals: registered.decimals };
+
+  const tokens = loadCache().tokens;
+  const key = `${chainId}:${token.toLowerCase()}`;
+  if (tokens[key]) return tokens[key];
+
+  const optional = (fn) => readCall(provider, chainId, token, fn).catch(() => null);
+  const [symbol, name, decimals] = await Promise.all([
+    optional('symbol'),
+    optional('name'),
+    optional('decimals'),
+  ]);
+  tokens[key] = { symbol, name, decimals: decimals === null ? null : Number(decimals) };
+  return tokens[key];
+}
+
+function describeAmount(amount, info) {
+  if (amount >= UNLIMITED_ALLOWANCE) return 'Unlimited';
+  if (info.decimals === null) return amount.toString();
+  return `${formatUnits(amount, info.decimals)} ${info.symbol || ''}`.trim();
+}
+
+/**
+ * Read the live state of every candidate; returns the ones still granted.
+ */
+async function readLiveApprovals(provider, chainId, owner, candidates) {
+  const live = [];
+  for (const candidate of candidates) {
+    try {
+      if (candidate.kind === 'erc20') {
+        const amount = await readCall(provider, chainId, candidate.token, 'allowance', [
+          owner,
+          candidate.spender,
+        ]);
+        if (amount > 0n) live.push({ ...candidate, amount });
+      } else {
+        const approved = await readCall(provider, chainId, candidate.token, 'isApprovedForAll', [
+          owner,
+          candidate.spender,
+        ]);
+        if (approved) live.push({ ...candidate, amount: null });
+      }
+    } catch (err) {
+      // Keep it as a candidate; the next scan will look again.
+      log.warn(
+        `[Allowances] Could not read ${candidate.kind} state on ${candidate.token}:`,
+        err.message
+      );
+      live.push({ ...candidate, amount: undefined });
+    }
+  }
+  return live;
+}
+
+function revokeTx(approval) {
+  const data =
+    approval.kind === 'erc20'
+      ? TOKEN_INTERFACE.encodeFunctionData('approve', [approval.spender, 0n])
+      : TOKEN_INTERFACE.encodeFunctionData('setApprovalForAll', [approval.spender, false]);
+  return { to: approval.token, data, value: '0' };
+}
+
+const scanKey = (chainId, address) => `${chainId}:${address.toLowerCase()}`;
+
+async function scanWallet(provider, chainId, wallet, latestBlock) {
+  const owner = getAddress(wallet.address);
+  const key = scanKey(chainId, owner);
+  const scans = loadCache().scans;
+  if (!scans[key]) scans[key] = { fromBlock: 0, toBlock: -1, candidates: [] };
+  const { fromBlock } = scans[key];
+
+  const candidates = new Map(scans[key].candidates.map((c) => [candidateKey(c), c]));
+  await fetchApprovalLogs(
+    provider,
+    chainId,
+    owner,
+    scans[key].toBlock + 1,
+    latestBlock,
+    (lastBlock, logs) => {
+      for (const entry of logs) {
+        const candidate = candidateFromLog(entry);
+        if (candidate) candidates.set(candidateKey(candidate), candidate);
+      }
+      scans[key] = { fromBlock, toBlock: lastBlock, candidates: [...candidates.values()] };
+      saveCache();
+    }
+  );
+
+  const live = await readLiveApprovals(provider, chainId, owner, [...candidates.values()]);
+  cache.scans[key] = {
+    fromBlock,
+    toBlock: latestBlock,
+    candidates: live.map(({ kind, token, spender }) => ({ kind, token, spender })),
+  };
+
+  const approvals = [];
+  for (const approval of live) {
+    if (approval.amount === undefined) continue;
+    const info = await getTokenInfo(provider, chainId, approval.token);
+    approvals.push({
+      chainId,
+      chainName: getChain(chainId)?.name || `Chain ${chainId}`,
+      owner,
+      walletIndex: wallet.index,
+      walletName: wallet.name,
+      kind: approval.kind,
+      token: approval.token,
+      tokenSymbol: info.symbol,
+      tokenName: info.name,
+      spender: approval.spender,
+      spenderLabel: spenderLabel(chainId, approval.spender),
+      amount: approval.amount === null ? null : approval.amount.toString(),
+      amountDisplay:
+        approval.kind === 'erc20' ? describeAmount(approval.amount, info) : 'All tokens',
+      unlimited: approval.kind === 'operator' || approval.amount >= UNLIMITED_ALLOWANCE,
+      revokeTx: revokeTx(approval),
+    });
+  }
+  return approvals;
+}
+
+async function addSpenderNames(approvals) {
+  const names = new Map();
+  for (const spender of new Set(approvals.map((a) => a.spender))) {
+    try {
+      const reverse = await resolveEnsReverse(spender);
+      if (reverse.success) names.set(spender, reverse.name);
+    } catch {
+      // No primary name; the label or address is shown instead.
+    }
+  }
+  return approvals.map((a) => ({ ...a, spenderEns: names.get(a.spender) || null }));
+}
+
+/**
+ * Block range every wallet has been scanned over on a chain, or null when
+ * some wallet has not had a single chunk scanned yet.
+ */
+function scannedRange(chainId, wallets) {
+  const scans = wallets.map((wallet) => loadCache().scans[scanKey(chainId, wallet.address)]);
+  if (scans.length === 0 || scans.some((scan) => !scan || scan.toBlock < scan.fromBlock)) {
+    return null;
+  }
+  return {
+    chainId,
+    fromBlock: Math.max(...scans.map((scan) => scan.fromBlock)),
+    toBlock: Math.min(...scans.map((scan) => scan.toBlock)),
+  };
+}
+
+/**
+ * Scan every vault wallet on every chain with a provider.
+ * @returns {Promise<{approvals: Array, errors: Array<{chainId, error}>,
+ *   ranges: Array<{chainId, fromBlock, toBlock}>}>}
+ */
+async function scanAllowances() {
+  if (scanInFlight) return scanInFlight;
+
+  scanInFlight = (async () => {
+    const wallets = (await getDerivedWallets()).filter((wallet) => wallet.address);
+    const approvals = [];
+    const errors = [];
+    const ranges = [];
+
+    for (const [chainIdKey, provider] of Object.entries(getAllProviders())) {
+      const chainId = Number(chainIdKey);
+      if (!provider) continue;
+      try {
+        const latestBlock = await withRetry(() => provider.getBlockNumber(), 2, chainId);
+        for (const wallet of wallets) {
+          approvals.push(...(await scanWallet(provider, chainId, wallet, latestBlock)));
+        }
+      } catch (err) {
+        log.warn(`[Allowances] Scan failed on chain ${chainId}:`, err.message);
+        errors.push({ chainId, error: err.message });
+      }
+      saveCache();
+      const range = scannedRange(chainId, wallets);
+      if (range) ranges.push(range);
+    }
+
+    return { approvals: await addSpenderNames(approvals), errors, ranges };
+  })();
+
+  try {
+    return await scanInFlight;
+  } finally {
+    scanInFlight = null;
+  }
+}
+
+function registerAllowanceIpc() {
+  ipcMain.handle(IPC.WALLET_SCAN_ALLOWANCES, async () => {
+    try {
+      return { success: true, ...(await scanAllowances()) };
+    } catch (err) {
+      log.error('[Allowances] Scan failed:', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+module.exports = {
+  scanAllowances,
+  registerAllowanceIpc,
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const { Interface, MaxUint256, getAddress, id, zeroPadValue } = require('ethers');
+const IPC = require('../../shared/ipc-channels');
+const {
+  createTempUserDataDir,
+  loadMainModule,
+  removeTempUserDataDir,
+} = require('../../../test/helpers/main-process-test-utils');
+
+const BZZ = '0xdBF3Ea6F5beE45c02255B2c26a16F300502F68da';
+// chains.js spells this address with a non-canonical checksum.
+const POSTAGE = getAddress('0x30d155478eF27Ab32A1D578BE7b84BC5988B2b4a'.toLowerCase());
+const TOKEN = '0x3333333333333333333333333333333333333333';
+const NFT = '0x4444444444444444444444444444444444444444';
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const CAROL = '0x5555555555555555555555555555555555555555';
+
+const APPROVAL = id('Approval(address,address,uint256)');
+const APPROVAL_FOR_ALL = id('ApprovalForAll(address,address,bool)');
+const pad = (address) => zeroPadValue(address, 32);
+
+const token = new Interface([
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function approve(address spender, uint256 amount)',
+  'function setApprovalForAll(address operator, bool approved)',
+]);
+
+const LOGS = [
+  { blockNumber: 10, address: BZZ, topics: [APPROVAL, pad(ALICE), pad(POSTAGE)] },
+  { blockNumber: 50_000, address: TOKEN, topics: [APPROVAL, pad(ALICE), pad(BOB)] },
+  { blockNumber: 90_000, address: NFT, topics: [APPROVAL_FOR_ALL, pad(ALICE), pad(CAROL)] },
+  // ERC-721 single-token approval: token id as the fourth topic.
+  { blockNumber: 90_001, address: NFT, topics: [APPROVAL, pad(ALICE), pad(BOB), pad('0x01')] },
+];
+
+function createProvider(state) {
+  return {
+    getBlockNumber: jest.fn(async () => state.latest),
+    getLogs: jest.fn(async ({ fromBlock, toBlock }) => {
+      const error = state.getLogsError?.(fromBlock);
+      if (error) throw error;
+      if (toBlock - fromBlock >= 30_000) throw new Error('block range is too large');
+      return LOGS.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    }),
+    call: jest.fn(async ({ to, data }) => {
+      const fn = token.parseTransaction({ data });
+      if (fn.name === 'allowance') {
+        return token.encodeFunctionResult('allowance', [state.allowances[to] ?? 0n]);
+      }
+      return token.encodeFunctionResult('isApprovedForAll', [state.operators[to] ?? false]);
+    }),
+  };
+}
+
+function loadScanner(userDataDir, state) {
+  const provider = createProvider(state);
+  const ctx = loadMainModule(require.resolve('./allowance-scanner'), {
+    userDataDir,
+    extraMocks: {
+      [require.resolve('../logger')]: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      }),
+      [require.resolve('./provider-manager')]: () => ({
+        getAllProviders: () => ({ 100: provider }),
+        withRetry: (fn) => fn(),
+      }),
+      [require.resolve('../chain-registry')]: () => ({
+        getChain: (chainId) => (chainId === 100 ? { chainId, name: 'Gnosis' } : null),
+        getChains: () => ({}),
+        getTokens: () => ({
+          [`100:${BZZ}`]: { chainId: 100, address: BZZ, symbol: 'xBZZ', decimals: 16 },
+        }),
+      }),
+      [require.resolve('../identity-manager')]: () => ({
+        getDerivedWallets: async () => [{ index: 0, name: 'Main Wallet', address: ALICE }],
+      }),
+      [require.resolve('../ens-resolver')]: () => ({
+        resolveEnsReverse: async (address) =>
+          address === CAROL ? { success: true, name: 'market.eth' } : { success: false },
+      }),
+    },
+  });
+  return { ...ctx, provider };
+}
+
+describe('allowance-scanner', () => {
+  let userDataDir;
+
+  beforeEach(() => {
+    userDataDir = createTempUserDataDir();
+  });
+
+  afterEach(() => {
+    removeTempUserDataDir(userDataDir);
+  });
+
+  test('lists live allowances and operator grants from approval logs', async () => {
+    const state = {
+      latest: 120_000,
+      allowances: { [BZZ]: MaxUint256, [TOKEN]: 0n },
+      operators: { [NFT]: true },
+    };
+    const { mod, ipcMain, provider } = loadScanner(userDataDir, state);
+    mod.registerAllowanceIpc();
+
+    const result = await ipcMain.invoke(IPC.WALLET_SCAN_ALLOWANCES);
+
+    expect(result.success).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.ranges).toEqual([{ chainId: 100, fromBlock: 0, toBlock: 120_000 }]);
+    expect(result.approvals).toEqual([
+      expect.objectContaining({
+        chainId: 100,
+        chainName: 'Gnosis',
+        walletIndex: 0,
+        kind: 'erc20',
+        token: BZZ,
+        tokenSymbol: 'xBZZ',
+        spender: POSTAGE,
+        spenderLabel: 'Swarm postage stamps',
+        amountDisplay: 'Unlimited',
+        unlimited: true,
+        revokeTx: { to: BZZ, data: token.encodeFunctionData('approve', [POSTAGE, 0n]), value: '0' },
+      }),
+      expect.objectContaining({
+        kind: 'operator',
+        token: NFT,
+        spender: CAROL,
+        spenderEns: 'market.eth',
+        amountDisplay: 'All tokens',
+        revokeTx: {
+          to: NFT,
+          data: token.encodeFunctionData('setApprovalForAll', [CAROL, false]),
+          value: '0',
+        },
+      }),
+    ]);
+
+    // The first oversized range is rejected once; the rest fit the RPC's limit.
+    const ranges = provider.getLogs.mock.calls.map(
+      ([filter]) => filter.toBlock - filter.fromBlock + 1
+    );
+    expect(ranges).toEqual([50_000, 25_000, 25_000, 25_000, 25_000, 20_001]);
+    expect(provider.getLogs.mock.calls.at(-1)[0].toBlock).toBe(120_000);
+  });
+
+  test('rescans only new blocks and keeps only still-live candidates', async () => {
+    const state = {
+      latest: 120_000,
+      allowances: { [BZZ]: 5n * 10n ** 16n, [TOKEN]: 0n },
+      operators: { [NFT]: true },
+    };
+    await loadScanner(userDataDir, state).mod.scanAllowances();
+
+    const cache = JSON.parse(
+      fs.readFileSync(path.join(userDataDir, 'wallet-allowances.json'), 'utf-8')
+    );
+    const scan = cache.scans[`100:${ALICE.toLowerCase()}`];
+    expect(scan.toBlock).toBe(120_000);
+    expect(scan.candidates.map((c) => c.token)).toEqual([BZZ, NFT]);
+
+    state.latest = 120_010;
+    state.operators[NFT] = false;
+    const { mod, provider } = loadScanner(userDataDir, state);
+    const { approvals } = await mod.scanAllowances();
+
+    expect(provider.getLogs).toHaveBeenCalledTimes(1);
+    expect(provider.getLogs.mock.calls[0][0]).toMatchObject({
+      fromBlock: 120_001,
+      toBlock: 120_010,
+    });
+    expect(approvals).toEqual([
+      expect.objectContaining({ token: BZZ, amountDisplay: '5.0 xBZZ', unlimited: false }),
+    ]);
+  });
+
+  test('first scan starts at genesis and redoes caches from the year-long window', async () => {
+    fs.writeFileSync(
+      path.join(userDataDir, 'wallet-allowances.json'),
+      JSON.stringify({
+        version: 1,
+        scans: { [`100:${ALICE.toLowerCase()}`]: { toBlock: 100_000, candidates: [] } },
+        tokens: {},
+      })
+    );
+    const state = { latest: 120_000, allowances: { [BZZ]: 1n }, operators: {} };
+    const { mod, provider } = loadScanner(userDataDir, state);
+
+    const { approvals, ranges } = await mod.scanAllowances();
+
+    expect(provider.getLogs.mock.calls[0][0].fromBlock).toBe(0);
+    expect(approvals.map((a) => a.token)).toEqual([BZZ]);
+    expect(ranges).toEqual([{ chainId: 100, fromBlock: 0, toBlock: 120_000 }]);
+  });
+
+  test('stops on rate limits without shrinking the range and resumes from the saved block', async () => {
+    const state = { latest: 120_000, allowances: { [TOKEN]: 7n }, operators: {} };
+    state.getLogsError = (fromBlock) =>
+      fromBlock >= 60_000
+        ? Object.assign(new Error('server response 429 Too Many Requests'), {
+            code: 'SERVER_ERROR',
+          })
+        : null;
+
+    const first = loadScanner(userDataDir, state);
+    const result = await first.mod.scanAllowances();
+
+    expect(result.errors).toEqual([
+      { chainId: 100, error: expect.stringContaining('rate-limiting requests') },
+    ]);
+    expect(result.ranges).toEqual([{ chainId: 100, fromBlock: 0, toBlock: 74_999 }]);
+    const ranges = first.provider.getLogs.mock.calls.map(([f]) => [f.fromBlock, f.toBlock]);
+    expect(ranges).toEqual([
+      [0, 49_999],
+      [0, 24_999],
+      [25_000, 49_999],
+      [50_000, 74_999],
+      [75_000, 99_999],
+    ]);
+
+    const cache = JSON.parse(
+      fs.readFileSync(path.join(userDataDir, 'wallet-allowances.json'), 'utf-8')
+    );
+    const scan = cache.scans[`100:${ALICE.toLowerCase()}`];
+    expect(scan.toBlock).toBe(74_999);
+    expect(scan.candidates.map((c) => c.token)).toEqual([BZZ, TOKEN]);
+
+    delete state.getLogsError;
+    const second = loadScanner(userDataDir, state);
+    const { approvals, errors } = await second.mod.scanAllowances();
+    expect(errors).toEqual([]);
+    expect(second.provider.getLogs.mock.calls[0][0].fromBlock).toBe(75_000);
+    expect(approvals.map((a) => a.token)).toEqual([TOKEN]);
+  });
+});
@@ -46,12 +46,13 @@ function getChain(chainId) {
 
   const metadata = CHAIN_METADATA[chainId] || {};
 
-  // Build nativeCurrency from registry if not in metadata
-  const nativeCurrency = metadata.nativeCurrency || {
-    name: registryChain.nativeSymbol,
-    symbol: registryChain.nativeSymbol,
-    decimals: 18,
-  };
+  // Build nativeCurrency from registry if not in metadata (dApp-added chains carry their own)
+  const nativeCurrency = metadata.nativeCurrency ||
+    registryChain.nativeCurrency || {
+      name: registryChain.nativeSymbol,
+      symbol: registryChain.nativeSymbol,
+      decimals: 18,
+    };
 
   return {
     ...registryChain,
@@ -0,0 +1,106 @@
+/**
+ * Offline 4-byte signature table.
+ *
+ * Text signatures of widely used contract functions that aren't covered by
+ * the ABIs tx-decoder.js knows by name (tokens, ENS, Swarm). Selectors are
+ * derived at load time, so the list only has to hold the signatures. Used to
+ * name and decode calldata for arbitrary contracts without a lookup service.
+ */
+
+module.exports = [
+  // Wrapped native tokens
+  'deposit()',
+  'withdraw(uint256)',
+
+  // Token permits
+  'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)',
+  'permit(address,address,uint256,uint256,bool,uint8,bytes32,bytes32)',
+
+  // Permit2
+  'approve(address,address,uint160,uint48)',
+  'lockdown((address,address)[])',
+  'invalidateNonces(address,address,uint48)',
+
+  // Multicall patterns
+  'multicall(bytes[])',
+  'multicall(uint256,bytes[])',
+  'multicall(bytes32,bytes[])',
+  'aggregate((address,bytes)[])',
+  'aggregate3((address,bool,bytes)[])',
+  'aggregate3Value((address,bool,uint256,bytes)[])',
+  'tryAggregate(bool,(address,bytes)[])',
+
+  // Uniswap V2 router
+  'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)',
+  'swapTokensForExactTokens(uint256,uint256,address[],address,uint256)',
+  'swapExactETHForTokens(uint256,address[],address,uint256)',
+  'swapETHForExactTokens(uint256,address[],address,uint256)',
+  'swapExactTokensForETH(uint256,uint256,address[],address,uint256)',
+  'swapTokensForExactETH(uint256,uint256,address[],address,uint256)',
+  'swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)',
+  'swapExactETHForTokensSupportingFeeOnTransferTokens(uint256,address[],address,uint256)',
+  'swapExactTokensForETHSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)',
+  'addLiquidity(address,address,uint256,uint256,uint256,uint256,address,uint256)',
+  'addLiquidityETH(address,uint256,uint256,uint256,address,uint256)',
+  'removeLiquidity(address,address,uint256,uint256,uint256,address,uint256)',
+  'removeLiquidityETH(address,uint256,uint256,uint256,address,uint256)',
+
+  // Uniswap V3 router / position manager and Universal Router
+  'exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))',
+  'exactInput((bytes,address,uint256,uint256,uint256))',
+  'exactOutputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))',
+  'exactOutput((bytes,address,uint256,uint256,uint256))',
+  'mint((address,address,uint24,int24,int24,uint256,uint256,uint256,uint256,address,uint256))',
+  'increaseLiquidity((uint256,uint256,uint256,uint256,uint256,uint256))',
+  'decreaseLiquidity((uint256,uint128,uint256,uint256,uint256))',
+  'collect((uint256,address,uint128,uint128))',
+  'unwrapWETH9(uint256,address)',
+  'refundETH()',
+  'sweepToken(address,uint256,address)',
+  'execute(bytes,bytes[])',
+  'execute(bytes,bytes[],uint256)',
+
+  // Aggregators and bridges
+  'swap(address,(address,address,address,address,uint256,uint256,uint256),bytes)',
+  'swap(address,(address,address,address,address,uint256,uint256,uint256),bytes,bytes)',
+  'unoswap(address,uint256,uint256,uint256)',
+  'relayTokens(address,address,uint256)',
+  'relayTokens(address,uint256)',
+  'depositETH(address,address,uint16)',
+  'bridgeETHTo(address,uint32,bytes)',
+
+  // Lending
+  'supply(address,uint256,address,uint16)',
+  'borrow(address,uint256,uint256,uint16,address)',
+  'repay(address,uint256,uint256,address)',
+  'withdraw(address,uint256,address)',
+
+  // ERC-4626 vaults
+  'deposit(uint256,address)',
+  'mint(uint256,address)',
+  'redeem(uint256,address,address)',
+  'withdraw(uint256,address,address)',
+
+  // Safe
+  'execTransaction(address,uint256,bytes,uint8,uint256,uint256,uint256,address,address,bytes)',
+  'approveHash(bytes32)',
+
+  // Generic
+  'mint(address,uint256)',
+  'mint(uint256)',
+  'burn(uint256)',
+  'burn(address,uint256)',
+  'claim()',
+  'claim(address,uint256,bytes32[])',
+  'claim(uint256,address,uint256,bytes32[])',
+  'stake(uint256)',
+  'unstake(uint256)',
+  'getReward()',
+  'exit()',
+  'delegate(address)',
+  'castVote(uint256,uint8)',
+  'transferOwnership(address)',
+  'renounceOwnership()',
+  'upgradeTo(address)',
+  'upgradeToAndCall(address,bytes)',
+];
@@ -14,6 +14,12 @@ const ERC20_INTERFACE = new Interface([
   'function transfer(address to, uint256 amount) returns (bool)',
 ]);
 
+// Nodes only accept a same-nonce replacement when its fees beat the pending
+// transaction's by at least this much (geth's default txpool price bump).
+const REPLACEMENT_FEE_BUMP_PERCENT = 10n;
+
+const PLAIN_TRANSFER_GAS = '21000';
+
 /**
  * Estimate gas for a transaction
  * @param {Object} params - Transaction parameters
@@ -188,11 +194,14 @@ function buildTransaction({
  * @param {string} [params.maxPriorityFeePerGas] - Max priority fee (EIP-1559)
  * @param {string} [params.gasPrice] - Gas price (legacy)
  * @param {number} params.chainId - Chain ID
+ * @param {number} [params.nonce] - Explicit nonce (replacements); defaults to
+ *   the account's next pending nonce
  * @param {string} privateKey - Private key for signing (0x-prefixed)
  * @returns {Promise<Object>} Transaction result
  */
 async function signAndSendTransaction(params, privateKey) {
   const { to, value, data, gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice, chainId } = params;
+  const isReplacement = params.nonce !== undefined && params.nonce !== null;
 
   const provider = getProvider(chainId);
   if (!provider) {
@@ -204,7 +213,9 @@ async function signAndSendTransaction(params, privateKey) {
     const wallet = new Wallet(privateKey, provider);
 
     // Get nonce
-    const nonce = await withRetry(() => provider.getTransactionCount(wallet.address, 'pending'), 2, chainId);
+    const nonce = isReplacement
+      ? params.nonce
+      : await withRetry(() => provider.getTransactionCount(wallet.address, 'pending'), 2, chainId);
 
     // Build transaction
     const tx = buildTransaction({
@@ -238,6 +249,7 @@ async function signAndSendTransaction(params, privateKey) {
       from: txResponse.from,
       to: txResponse.to,
       value: txResponse.value?.toString(),
+      ...sentFees(txResponse),
       chainId,
       explorerUrl: getTxExplorerUrl(chainId, txResponse.hash),
     };
@@ -248,6 +260,12 @@ async function signAndSendTransaction(params, privateKey) {
     if (err.message.includes('insufficient funds')) {
       throw new Error('Insufficient funds for transaction', { cause: err });
     }
+    if (isReplacement && err.message.includes('underpriced')) {
+      throw new Error('Replacement fee too low. Please try again.', { cause: err });
+    }
+    if (isReplacement && err.message.includes('nonce too low')) {
+      throw new Error('The original transaction has already been mined.', { cause: err });
+    }
     if (err.message.includes('nonce')) {
       throw new Error('Transaction nonce error. Please try again.', { cause: err });
     }
@@ -269,6 +287,135 @@ async function signAndSendTransaction(params, privateKey) {
   }
 }
 
+/**
+ * Gas limit and fees a transaction actually went out with, including the
+ * ones ethers filled in when the caller left them unset.
+ * @param {Object} tx - ethers TransactionResponse
+ */
+function sentFees(tx) {
+  const fees = { gasLimit: tx.gasLimit?.toString() };
+  if (tx.maxFeePerGas != null && tx.maxPriorityFeePerGas != null) {
+    fees.maxFeePerGas = tx.maxFeePerGas.toString();
+    fees.maxPriorityFeePerGas = tx.maxPriorityFeePerGas.toString();
+  } else if (tx.gasPrice != null) {
+    fees.gasPrice = tx.gasPrice.toString();
+  }
+  return fees;
+}
+
+function bumpFee(previous) {
+  const fee = BigInt(previous || 0);
+  // Round up so the bump never falls short of the percentage.
+  return fee + (fee * REPLACEMENT_FEE_BUMP_PERCENT + 99n) / 100n;
+}
+
+const maxBigInt = (a, b) => (a > b ? a : b);
+
+/**
+ * Fees for re-signing a pending transaction under the same nonce: its own
+ * fees plus the minimum replacement bump, or the current market rate if that
+ * is higher.
+ * @param {Object} previous - fees of the pending transaction
+ * @param {string} [previous.maxFeePerGas]
+ * @param {string} [previous.maxPriorityFeePerGas]
+ * @param {string} [previous.gasPrice]
+ * @param {number} chainId
+ * @returns {Promise<Object>} maxFeePerGas + maxPriorityFeePerGas, or gasPrice
+ */
+async function getReplacementFees(previous, chainId) {
+  const market = await getGasPrices(chainId);
+  const hasEip1559Fees = previous.maxFeePerGas && previous.maxPriorityFeePerGas;
+
+  // Without known fees (the node no longer has the transaction), match the
+  // chain's current transaction type at market price.
+  if (hasEip1559Fees || (!previous.gasPrice && market.type === 'eip1559')) {
+    const maxPriorityFeePerGas = maxBigInt(
+      bumpFee(previous.maxPriorityFeePerGas),
+      BigInt(market.maxPriorityFeePerGas || 0)
+    );
+    const maxFeePerGas = maxBigInt(
+      maxBigInt(
+        bumpFee(previous.maxFeePerGas),
+        BigInt(market.maxFeePerGas || market.gasPrice || 0)
+      ),
+      maxPriorityFeePerGas
+    );
+    return {
+      maxFeePerGas: maxFeePerGas.toString(),
+      maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+    };
+  }
+
+  return {
+    gasPrice: maxBigInt(
+      bumpFee(previous.gasPrice),
+      BigInt(market.effectiveGasPrice || 0)
+    ).toString(),
+  };
+}
+
+/**
+ * Parameters for a replacement of a pending transaction: the same call again
+ * ('speed-up') or a 0-value transfer to the sender itself ('cancel'), both
+ * under the original nonce.
+ * @param {Object} original - pending transaction (to, from, value, data, gasLimit, nonce, chainId)
+ * @param {'speed-up'|'cancel'} mode
+ * @param {Object} fees - from getReplacementFees
+ * @returns {Object} params for signAndSendTransaction
+ */
+function buildReplacement(original, mode, fees) {
+  const base = { chainId: original.chainId, nonce: original.nonce, ...fees };
+  if (mode === 'cancel') {
+    return { ...base, to: original.from, value: '0', gasLimit: PLAIN_TRANSFER_GAS };
+  }
+  return {
+    ...base,
+    to: original.to,
+    value: original.value || '0',
+    data: original.data || undefined,
+    gasLimit: original.gasLimit,
+  };
+}
+
+/**
+ * Fill in the gas limit and fees of an activity entry that was stored
+ * without them (older entries, or fees ethers chose) from the node's copy of
+ * the pending transaction.
+ */
+async function withSentFees(original) {
+  const hasFees = (original.maxFeePerGas && original.maxPriorityFeePerGas) || original.gasPrice;
+  if (hasFees && original.gasLimit) return original;
+
+  const provider = getProvider(original.chainId);
+  const sent = provider
+    ? await withRetry(() => provider.getTransaction(original.hash), 2, original.chainId)
+    : null;
+  if (!sent) return original;
+
+  const { gasLimit, ...fees } = sentFees(sent);
+  return {
+    ...original,
+    ...(hasFees ? {} : fees),
+    gasLimit: original.gasLimit || gasLimit,
+  };
+}
+
+/**
+ * Speed up or cancel a pending transaction by re-signing its nonce with
+ * bumped fees.
+ * @param {Object} original - pending transaction, as stored in the activity log
+ * @param {'speed-up'|'cancel'} mode
+ * @param {string} privateKey - key of the original sender
+ * @returns {Promise<Object>} signAndSendTransaction result plus the params sent
+ */
+async function replaceTransaction(original, mode, privateKey) {
+  const pending = await withSentFees(original);
+  const fees = await getReplacementFees(pending, original.chainId);
+  const params = buildReplacement(pending, mode, fees);
+  const result = await signAndSendTransaction(params, privateKey);
+  return { ...params, ...result };
+}
+
 /**
  * Get transaction status/receipt
  * @param {string} txHash - Transaction hash
@@ -405,6 +552,9 @@ module.exports = {
   formatAmount,
   buildTransaction,
   signAndSendTransaction,
+  getReplacementFees,
+  buildReplacement,
+  replaceTransaction,
   getTransactionStatus,
   waitForTransaction,
   signPersonalMessage,
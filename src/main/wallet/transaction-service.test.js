@@ -1,5 +1,21 @@
 const { Wallet, verifyMessage, getBytes } = require('ethers');
-const { signPersonalMessage } = require('./transaction-service');
+const {
+  signPersonalMessage,
+  getReplacementFees,
+  buildReplacement,
+  replaceTransaction,
+} = require('./transaction-service');
+
+const mockProvider = {
+  getFeeData: jest.fn(),
+  getBlock: jest.fn(),
+  getTransaction: jest.fn(),
+};
+
+jest.mock('./provider-manager', () => ({
+  getProvider: () => mockProvider,
+  withRetry: (fn) => fn(),
+}));
 
 // Deterministic test key (not a real wallet)
 const TEST_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
@@ -69,3 +85,121 @@ describe('signPersonalMessage', () => {
     expect(recovered.toLowerCase()).toBe(testWallet.address.toLowerCase());
   });
 });
+
+describe('transaction replacement', () => {
+  const GWEI = 10n ** 9n;
+  const original = {
+    chainId: 100,
+    nonce: 7,
+    from: testWallet.address,
+    to: '0x2222222222222222222222222222222222222222',
+    value: '1000',
+    data: '0xa9059cbb',
+    gasLimit: '65000',
+  };
+
+  function marketFees({ baseFee, priority, gasPrice }) {
+    mockProvider.getBlock.mockResolvedValue({ baseFeePerGas: baseFee ?? null });
+    mockProvider.getFeeData.mockResolvedValue({
+      gasPrice: gasPrice ?? null,
+      maxFeePerGas: priority === undefined ? null : baseFee * 2n + priority,
+      maxPriorityFeePerGas: priority ?? null,
+    });
+  }
+
+  it('bumps EIP-1559 fees by at least the replacement minimum', async () => {
+    marketFees({ baseFee: 1n * GWEI, priority: 1n * GWEI });
+    const fees = await getReplacementFees(
+      { maxFeePerGas: (10n * GWEI).toString(), maxPriorityFeePerGas: (2n * GWEI).toString() },
+      100
+    );
+
+    expect(fees).toEqual({
+      maxFeePerGas: (11n * GWEI).toString(),
+      maxPriorityFeePerGas: ((22n * GWEI) / 10n).toString(),
+    });
+  });
+
+  it('follows the market when it has moved past the bumped fees', async () => {
+    marketFees({ baseFee: 20n * GWEI, priority: 3n * GWEI });
+    const fees = await getReplacementFees(
+      { maxFeePerGas: (10n * GWEI).toString(), maxPriorityFeePerGas: (1n * GWEI).toString() },
+      100
+    );
+
+    expect(fees).toEqual({
+      maxFeePerGas: (43n * GWEI).toString(),
+      maxPriorityFeePerGas: (3n * GWEI).toString(),
+    });
+  });
+
+  it('rounds the bump up and handles legacy gas prices', async () => {
+    marketFees({ gasPrice: 5n });
+    await expect(getReplacementFees({ gasPrice: '11' }, 1)).resolves.toEqual({ gasPrice: '13' });
+  });
+
+  it('prices at the market transaction type when the original fees are unknown', async () => {
+    marketFees({ baseFee: 1n * GWEI, priority: 1n * GWEI });
+    await expect(getReplacementFees({}, 100)).resolves.toEqual({
+      maxFeePerGas: (3n * GWEI).toString(),
+      maxPriorityFeePerGas: (1n * GWEI).toString(),
+    });
+  });
+
+  it('reads fees missing from the activity entry back from the pending transaction', async () => {
+    marketFees({ baseFee: 1n * GWEI, priority: 1n * GWEI });
+    mockProvider.getTransaction.mockResolvedValue({
+      gasLimit: 90000n,
+      maxFeePerGas: 10n * GWEI,
+      maxPriorityFeePerGas: 2n * GWEI,
+      gasPrice: 10n * GWEI,
+    });
+    const send = jest
+      .spyOn(Wallet.prototype, 'sendTransaction')
+      .mockImplementation(async (tx) => ({ ...tx, hash: '0xdef', from: testWallet.address }));
+
+    try {
+      const stored = { ...original, hash: '0xabc', gasLimit: undefined };
+      const result = await replaceTransaction(stored, 'speed-up', TEST_PRIVATE_KEY);
+
+      expect(mockProvider.getTransaction).toHaveBeenCalledWith('0xabc');
+      expect(send.mock.calls[0][0]).toMatchObject({
+        nonce: 7,
+        gasLimit: '90000',
+        maxFeePerGas: (11n * GWEI).toString(),
+      });
+      // The fees that went out are returned for the activity log.
+      expect(result).toMatchObject({
+        hash: '0xdef',
+        gasLimit: '90000',
+        maxFeePerGas: (11n * GWEI).toString(),
+        maxPriorityFeePerGas: ((22n * GWEI) / 10n).toString(),
+      });
+      expect(result.gasPrice).toBeUndefined();
+    } finally {
+      send.mockRestore();
+    }
+  });
+
+  it('builds a speed-up as the same call and a cancel as a 0-value self-transfer', () => {
+    const fees = { maxFeePerGas: '20', maxPriorityFeePerGas: '2' };
+
+    expect(buildReplacement(original, 'speed-up', fees)).toEqual({
+      chainId: 100,
+      nonce: 7,
+      to: original.to,
+      value: '1000',
+      data: '0xa9059cbb',
+      gasLimit: '65000',
+      ...fees,
+    });
+    expect(buildReplacement(original, 'cancel', fees)).toEqual({
+      chainId: 100,
+      nonce: 7,
+      to: testWallet.address,
+      value: '0',
+      gasLimit: '21000',
+      ...fees,
+    });
+  });
+});
@@ -0,0 +1,416 @@
+/**
+ * Transaction Decoder
+ *
+ * Turns a dApp transaction request into something a person can review:
+ * names the called function and its arguments, dry-runs the call against the
+ * pending block to surface revert reasons, and flags the requests that most
+ * often drain wallets (unlimited approvals, operator approvals, funds sent to
+ * a recently deployed contract, tokens sent to their own contract).
+ *
+ * Calldata is matched against, in order: the Swarm contracts listed in
+ * chains.js for the target chain, token standards (ERC-20/721/1155), ENS
+ * (only for the ENS contracts below), and finally the bundled signature table
+ * in function-signatures.js. Nothing is fetched from signature lookup
+ * services.
+ */
+
+const { Interface, formatUnits, getAddress } = require('ethers');
+const { getProvider, withRetry } = require('./provider-manager');
+const { CHAIN_METADATA } = require('./chains');
+const { getTokens } = require('../chain-registry');
+const SIGNATURES = require('./function-signatures');
+
+// approve()/increaseAllowance() amounts from here up are "everything":
+// covers uint256 max as well as the uint96 / uint160 caps some tokens use.
+const UNLIMITED_ALLOWANCE = 2n ** 96n - 1n;
+
+// EIP-7702 delegated accounts carry this code prefix but are still wallets.
+const DELEGATION_PREFIX = '0xef0100';
+
+// A recipient contract whose code didn't exist this long ago counts as fresh.
+const FRESH_CONTRACT_AGE_SECONDS = 7 * 24 * 60 * 60;
+const BLOCK_TIME_SECONDS = { 1: 12, 100: 5 };
+const DEFAULT_BLOCK_TIME_SECONDS = 12;
+
+const DECIMALS_ABI = new Interface(['function decimals() view returns (uint8)']);
+
+// Registry, NameWrapper, public resolvers, .eth registrar controllers and the
+// reverse registrar. The ENS ABI below only applies to calls to these.
+const ENS_CONTRACTS = {
+  1: new Set(
+    [
+      '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
+      '0xD4416b13d2b3a9aBae7AcD5D6C2BbDBE25686401',
+      '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63',
+      '0x4976fb03C32e5B8cfe2b6cCB31c09Ba78EBaBa41',
+      '0x253553366Da8546fC250F225fe3d25d0C782303b',
+      '0x283Af0B28c62C092C9727F1Ee09c02CA627EB7F5',
+      '0xa58E81fe9b61B5c3fE2AFD33CF304c454AbFc7Cb',
+    ].map((address) => address.toLowerCase())
+  ),
+};
+
+// transferFrom and approve share selectors between ERC-20 and ERC-721, so
+// only the ERC-20 spelling is listed; the amount is formatted as a token
+// amount only when the contract is a known ERC-20.
+const STANDARD_ABIS = [
+  {
+    standard: 'ERC-20',
+    iface: new Interface([
+      'function transfer(address to, uint256 amount)',
+      'function transferFrom(address from, address to, uint256 amount)',
+      'function approve(address spender, uint256 amount)',
+      'function increaseAllowance(address spender, uint256 addedValue)',
+      'function decreaseAllowance(address spender, uint256 subtractedValue)',
+    ]),
+  },
+  {
+    standard: 'ERC-721',
+    iface: new Interface([
+      'function safeTransferFrom(address from, address to, uint256 tokenId)',
+      'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+      'function setApprovalForAll(address operator, bool approved)',
+    ]),
+  },
+  {
+    standard: 'ERC-1155',
+    iface: new Interface([
+      'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+      'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)',
+    ]),
+  },
+  {
+    standard: 'ENS',
+    appliesTo: isEnsContract,
+    iface: new Interface([
+      'function setOwner(bytes32 node, address owner)',
+      'function setResolver(bytes32 node, address resolver)',
+      'function setTTL(bytes32 node, uint64 ttl)',
+      'function setSubnodeOwner(bytes32 node, bytes32 label, address owner)',
+      'function setRecord(bytes32 node, address owner, address resolver, uint64 ttl)',
+      'function setSubnodeRecord(bytes32 node, bytes32 label, address owner, address resolver, uint64 ttl)',
+      'function setAddr(bytes32 node, address addr)',
+      'function setAddr(bytes32 node, uint256 coinType, bytes addr)',
+      'function setContenthash(bytes32 node, bytes hash)',
+      'function setText(bytes32 node, string key, string value)',
+      'function setName(string name)',
+      'function commit(bytes32 commitment)',
+      'function renew(string name, uint256 duration)',
+    ]),
+  },
+];
+
+// Keyed by the contract names used in CHAIN_METADATA[chainId].contracts.
+const SWARM_ABIS = {
+  postageStamp: {
+    label: 'Swarm postage stamps',
+    iface: new Interface([
+      'function createBatch(address owner, uint256 initialBalancePerChunk, uint8 depth, uint8 bucketDepth, bytes32 nonce, bool immutable)',
+      'function copyBatch(address owner, uint256 initialBalancePerChunk, uint8 depth, uint8 bucketDepth, bytes32 batchId, bool immutable)',
+      'function topUp(bytes32 batchId, uint256 topupAmountPerChunk)',
+      'function increaseDepth(bytes32 batchId, uint8 newDepth)',
+    ]),
+  },
+  staking: {
+    label: 'Swarm staking',
+    iface: new Interface([
+      'function manageStake(bytes32 setNonce, uint256 addAmount, uint8 height)',
+      'function withdrawFromStake()',
+      'function migrateStake()',
+    ]),
+  },
+};
+
+const SIGNATURE_TABLE = new Interface(SIGNATURES.map((signature) => `function ${signature}`));
+
+const RECIPIENT_ARG = {
+  transfer: 0,
+  transferFrom: 1,
+  safeTransferFrom: 1,
+  safeBatchTransferFrom: 1,
+};
+
+/**
+ * Find a registry token by contract address.
+ * @param {number} chainId
+ * @param {string} address
+ * @returns {Object|null}
+ */
+function findToken(chainId, address) {
+  if (!address) return null;
+  const wanted = address.toLowerCase();
+  return (
+    Object.values(getTokens(chainId)).find((token) => token.address?.toLowerCase() === wanted) ||
+    null
+  );
+}
+
+function isEnsContract(chainId, to) {
+  return Boolean(to && ENS_CONTRACTS[chainId]?.has(to.toLowerCase()));
+}
+
+function findSwarmAbi(chainId, to) {
+  const contracts = CHAIN_METADATA[chainId]?.contracts || {};
+  const wanted = to.toLowerCase();
+  const name = Object.keys(SWARM_ABIS).find((key) => contracts[key]?.toLowerCase() === wanted);
+  return name ? SWARM_ABIS[name] : null;
+}
+
+function formatValue(type, value) {
+  if (Array.isArray(value)) {
+    const inner = type.endsWith(']') ? type.slice(0, type.lastIndexOf('[')) : 'tuple';
+    return `[${value.map((item) => formatValue(inner, item)).join(', ')}]`;
+  }
+  if (type === 'address') return getAddress(value);
+  return String(value);
+}
+
+function formatTokenAmount(amount, token) {
+  if (amount >= UNLIMITED_ALLOWANCE) return `Unlimited ${token.symbol}`;
+  return `${formatUnits(amount, token.decimals)} ${token.symbol}`;
+}
+
+function describeArgs(fragment, values, token) {
+  return fragment.inputs.map((input, i) => {
+    const value = values[i];
+    const isAmount =
+      token &&
+      input.type === 'uint256' &&
+      ['amount', 'addedValue', 'subtractedValue'].includes(input.name);
+    return {
+      name: input.name || `arg${i}`,
+      type: input.type,
+      value: isAmount ? formatTokenAmount(value, token) : formatValue(input.type, value),
+    };
+  });
+}
+
+/**
+ * Decode transaction calldata.
+ * @param {Object} tx
+ * @param {string} tx.to
+ * @param {string} tx.data
+ * @param {number} tx.chainId
+ * @returns {Object|null} { selector, name, signature, standard, contract, args, raw }
+ *   or null for plain transfers; `name` is null when the selector is unknown
+ */
+function decodeCalldata({ to, data, chainId }) {
+  if (!data || data === '0x' || data.length < 10) return null;
+  const selector = data.slice(0, 10).toLowerCase();
+
+  const candidates = [];
+  const swarm = to ? findSwarmAbi(chainId, to) : null;
+  if (swarm) candidates.push({ iface: swarm.iface, standard: null, contract: swarm.label });
+  for (const { standard, iface, appliesTo } of STANDARD_ABIS) {
+    if (!appliesTo || appliesTo(chainId, to)) candidates.push({ iface, standard });
+  }
+  candidates.push({ iface: SIGNATURE_TABLE, standard: null });
+
+  const token = findToken(chainId, to);
+
+  for (const { iface, standard, contract } of candidates) {
+    const fragment = iface.getFunction(selector);
+    if (!fragment) continue;
+    try {
+      const values = iface.decodeFunctionData(fragment, data);
+      return {
+        selector,
+        name: fragment.name,
+        signature: fragment.format('sighash'),
+        standard,
+        contract: contract || (token ? token.symbol : null),
+        args: describeArgs(fragment, values, standard === 'ERC-20' ? token : null),
+        raw: values,
+      };
+    } catch {
+      // Selector clash with a different argument layout; try the next ABI.
+    }
+  }
+
+  return {
+    selector,
+    name: null,
+    signature: null,
+    standard: null,
+    contract: null,
+    args: [],
+    raw: null,
+  };
+}
+
+function isAllowanceCall(decoded) {
+  return decoded?.standard === 'ERC-20' && ['approve', 'increaseAllowance'].includes(decoded.name);
+}
+
+/**
+ * Whether `to` answers ERC-20 `decimals()`. ERC-721 shares the approve
+ * selector but has no decimals, so its token IDs aren't read as amounts.
+ */
+async function reportsDecimals(to, chainId) {
+  const provider = getProvider(chainId);
+  if (!provider) return false;
+  try {
+    const result = await withRetry(
+      () => provider.call({ to, data: DECIMALS_ABI.encodeFunctionData('decimals') }),
+      2,
+      chainId
+    );
+    DECIMALS_ABI.decodeFunctionResult('decimals', result);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {Object|null} decoded
+ * @param {Object|null} token - registry token at `to`
+ * @param {boolean} isErc20 - `to` is a known ERC-20 or reports decimals()
+ */
+function approvalWarnings(decoded, token, isErc20) {
+  if (!decoded?.raw || decoded.standard === null) return [];
+  const [spender, amountOrApproved] = decoded.raw;
+
+  if (isAllowanceCall(decoded) && isErc20 && amountOrApproved >= UNLIMITED_ALLOWANCE) {
+    const what = token ? `all of your ${token.symbol}` : 'all of your tokens in this contract';
+    return [
+      {
+        level: 'danger',
+        message: `Unlimited approval: ${getAddress(spender)} will be able to spend ${what}, now and in the future.`,
+      },
+    ];
+  }
+
+  if (decoded.name === 'setApprovalForAll' && amountOrApproved === true) {
+    return [
+      {
+        level: 'danger',
+        message: `${getAddress(spender)} will be able to transfer every token you own in this collection.`,
+      },
+    ];
+  }
+
+  return [];
+}
+
+function transferRecipient(tx, decoded) {
+  if (!decoded) return BigInt(tx.value || 0) > 0n ? tx.to : null;
+  if (!decoded.raw || decoded.standard === null) return null;
+  const index = RECIPIENT_ARG[decoded.name];
+  return index === undefined ? null : decoded.raw[index];
+}
+
+/**
+ * Block the contract at `address` was deployed in, when that was less than
+ * FRESH_CONTRACT_AGE_SECONDS ago; null for older contracts and for wallets,
+ * including delegated EIP-7702 accounts. Bisects `getCode` over the recent
+ * blocks, which needs historical state: a node that pruned it throws.
+ */
+async function freshContractDeployBlock(address, chainId) {
+  const provider = getProvider(chainId);
+  if (!provider) return null;
+  const hasCode = async (blockTag) => {
+    const code = await withRetry(() => provider.getCode(address, blockTag), 2, chainId);
+    return Boolean(code) && code !== '0x' && !code.toLowerCase().startsWith(DELEGATION_PREFIX);
+  };
+
+  const latest = await withRetry(() => provider.getBlockNumber(), 2, chainId);
+  if (!(await hasCode(latest))) return null;
+  const blockTime = BLOCK_TIME_SECONDS[chainId] || DEFAULT_BLOCK_TIME_SECONDS;
+  let before = Math.max(latest - Math.ceil(FRESH_CONTRACT_AGE_SECONDS / blockTime), 0);
+  if (await hasCode(before)) return null;
+
+  // No code at `before`, code at `deployed`.
+  let deployed = latest;
+  while (deployed - before > 1) {
+    const middle = Math.floor((before + deployed) / 2);
+    if (await hasCode(middle)) {
+      deployed = middle;
+    } else {
+      before = middle;
+    }
+  }
+  return deployed;
+}
+
+function revertReason(err) {
+  if (err.reason) return err.reason;
+  if (err.revert) return `${err.revert.name}(${err.revert.args.map(String).join(', ')})`;
+  return 'The contract rejected this transaction';
+}
+
+/**
+ * Dry-run the transaction with eth_call against the pending block.
+ * @returns {Promise<Object>} { status: 'success' } | { status: 'revert', reason }
+ *   | { status: 'unavailable', error }
+ */
+async function simulateTransaction({ from, to, value, data, chainId }) {
+  const provider = getProvider(chainId);
+  if (!provider) return { status: 'unavailable', error: `No provider for chain ${chainId}` };
+
+  try {
+    await provider.call({
+      from,
+      to,
+      value: BigInt(value || 0),
+      data: data || '0x',
+      blockTag: 'pending',
+    });
+    return { status: 'success' };
+  } catch (err) {
+    if (err.code === 'CALL_EXCEPTION') return { status: 'revert', reason: revertReason(err) };
+    return { status: 'unavailable', error: err.shortMessage || err.message };
+  }
+}
+
+/**
+ * Everything the approval screen shows about a transaction request.
+ * @param {Object} tx
+ * @param {string} [tx.from] - signing address, for the simulation
+ * @param {string} tx.to
+ * @param {string} [tx.value] - wei
+ * @param {string} [tx.data]
+ * @param {number} tx.chainId
+ * @returns {Promise<Object>} { decoded, warnings, simulation }
+ */
+async function analyzeTransaction(tx) {
+  const decoded = tx.to ? decodeCalldata(tx) : null;
+  const token = tx.to ? findToken(tx.chainId, tx.to) : null;
+  const recipient = transferRecipient(tx, decoded);
+  // A token sent to its own contract is lost; no lookup needed to say so.
+  const toTokenContract = decoded && recipient && recipient.toLowerCase() === tx.to.toLowerCase();
+
+  const [isErc20, deployBlock, simulation] = await Promise.all([
+    token || !isAllowanceCall(decoded) ? Boolean(token) : reportsDecimals(tx.to, tx.chainId),
+    // Without historical state the age is unknown; that is no reason to warn.
+    recipient && !toTokenContract
+      ? freshContractDeployBlock(recipient, tx.chainId).catch(() => null)
+      : null,
+    simulateTransaction(tx),
+  ]);
+
+  const warnings = approvalWarnings(decoded, token, isErc20);
+  if (toTokenContract) {
+    warnings.push({
+      level: 'danger',
+      message: `The recipient ${getAddress(recipient)} is the token contract itself. Tokens sent there are almost always lost for good.`,
+    });
+  } else if (deployBlock !== null) {
+    warnings.push({
+      level: 'warning',
+      message: `The recipient ${getAddress(recipient)} is a contract deployed less than ${FRESH_CONTRACT_AGE_SECONDS / 86400} days ago, in block ${deployBlock}. Scams often send funds to brand-new contracts; make sure this is the one you mean to pay.`,
+    });
+  }
+
+  // `raw` holds BigInts and ethers Results, which don't survive IPC.
+  const { raw: _raw, ...serializable } = decoded || {};
+  return { decoded: decoded ? serializable : null, warnings, simulation };
+}
+
+module.exports = {
+  findToken,
+  decodeCalldata,
+  simulateTransaction,
+  analyzeTransaction,
+  UNLIMITED_ALLOWANCE,
+};
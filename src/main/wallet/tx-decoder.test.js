@@ -0,0 +1,254 @@
+const { Interface, MaxUint256 } = require('ethers');
+
+const mockProvider = {
+  call: jest.fn(),
+  getCode: jest.fn(),
+  getBlockNumber: jest.fn(),
+};
+
+jest.mock('./provider-manager', () => ({
+  getProvider: () => mockProvider,
+  withRetry: (fn) => fn(),
+}));
+
+jest.mock('../chain-registry', () => ({
+  getChain: () => null,
+  getChains: () => ({}),
+  getTokens: () => ({
+    '100:0xdBF3Ea6F5beE45c02255B2c26a16F300502F68da': {
+      chainId: 100,
+      address: '0xdBF3Ea6F5beE45c02255B2c26a16F300502F68da',
+      symbol: 'xBZZ',
+      decimals: 16,
+    },
+  }),
+}));
+
+const { decodeCalldata, analyzeTransaction } = require('./tx-decoder');
+
+const BZZ = '0xdBF3Ea6F5beE45c02255B2c26a16F300502F68da';
+const POSTAGE = '0x30d155478eF27Ab32A1D578BE7b84BC5988B2b4a';
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+const abi = new Interface([
+  'function transfer(address to, uint256 amount)',
+  'function approve(address spender, uint256 amount)',
+  'function setApprovalForAll(address operator, bool approved)',
+  'function createBatch(address owner, uint256 initialBalancePerChunk, uint8 depth, uint8 bucketDepth, bytes32 nonce, bool immutable)',
+  'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function setText(bytes32 node, string key, string value)',
+]);
+const ENS_RESOLVER = '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63';
+
+describe('tx-decoder', () => {
+  beforeEach(() => {
+    mockProvider.call.mockReset().mockResolvedValue('0x');
+    mockProvider.getCode.mockReset().mockResolvedValue('0x');
+    mockProvider.getBlockNumber.mockReset().mockResolvedValue(1_000_000);
+  });
+
+  describe('decodeCalldata', () => {
+    it('decodes token transfers with the amount in token units', () => {
+      const data = abi.encodeFunctionData('transfer', [BOB, 25n * 10n ** 15n]);
+
+      expect(decodeCalldata({ to: BZZ, data, chainId: 100 })).toMatchObject({
+        name: 'transfer',
+        signature: 'transfer(address,uint256)',
+        standard: 'ERC-20',
+        contract: 'xBZZ',
+        args: [
+          { name: 'to', type: 'address', value: BOB },
+          { name: 'amount', type: 'uint256', value: '2.5 xBZZ' },
+        ],
+      });
+    });
+
+    it('recognizes the Swarm postage contract on Gnosis', () => {
+      const data = abi.encodeFunctionData('createBatch', [
+        ALICE,
+        1000n,
+        20,
+        16,
+        `0x${'00'.repeat(32)}`,
+        false,
+      ]);
+
+      expect(decodeCalldata({ to: POSTAGE, data, chainId: 100 })).toMatchObject({
+        name: 'createBatch',
+        contract: 'Swarm postage stamps',
+        args: expect.arrayContaining([{ name: 'depth', type: 'uint8', value: '20' }]),
+      });
+    });
+
+    it('falls back to the bundled signature table, then to the bare selector', () => {
+      const data = abi.encodeFunctionData('swapExactETHForTokens', [1n, [ALICE, BOB], BOB, 99n]);
+      const decoded = decodeCalldata({ to: ALICE, data, chainId: 1 });
+
+      expect(decoded).toMatchObject({ name: 'swapExactETHForTokens', standard: null });
+      expect(decoded.args[1]).toEqual({
+        name: 'arg1',
+        type: 'address[]',
+        value: `[${ALICE}, ${BOB}]`,
+      });
+
+      expect(decodeCalldata({ to: ALICE, data: '0xdeadbeef', chainId: 1 })).toMatchObject({
+        selector: '0xdeadbeef',
+        name: null,
+        args: [],
+      });
+    });
+
+    it('only decodes ENS calls sent to a known ENS contract', () => {
+      const data = abi.encodeFunctionData('setText', [
+        `0x${'11'.repeat(32)}`,
+        'url',
+        'https://a.example',
+      ]);
+
+      expect(decodeCalldata({ to: ENS_RESOLVER, data, chainId: 1 })).toMatchObject({
+        name: 'setText',
+        standard: 'ENS',
+      });
+      expect(decodeCalldata({ to: ALICE, data, chainId: 1 })).toMatchObject({
+        name: null,
+        standard: null,
+      });
+      expect(decodeCalldata({ to: ENS_RESOLVER, data, chainId: 100 })).toMatchObject({
+        name: null,
+      });
+    });
+  });
+
+  describe('analyzeTransaction', () => {
+    it('warns about unlimited approvals and operator approvals', async () => {
+      const approve = await analyzeTransaction({
+        to: BZZ,
+        data: abi.encodeFunctionData('approve', [BOB, MaxUint256]),
+        chainId: 100,
+      });
+      expect(approve.decoded.args[1].value).toBe('Unlimited xBZZ');
+      expect(approve.decoded.raw).toBeUndefined();
+      expect(approve.warnings).toEqual([
+        expect.objectContaining({
+          level: 'danger',
+          message: expect.stringContaining('all of your xBZZ'),
+        }),
+      ]);
+
+      const operator = await analyzeTransaction({
+        to: ALICE,
+        data: abi.encodeFunctionData('setApprovalForAll', [BOB, true]),
+        chainId: 1,
+      });
+      expect(operator.warnings[0].message).toContain('every token you own in this collection');
+
+      const revoke = await analyzeTransaction({
+        to: ALICE,
+        data: abi.encodeFunctionData('setApprovalForAll', [BOB, false]),
+        chainId: 1,
+      });
+      expect(revoke.warnings).toEqual([]);
+    });
+
+    it('only treats approve amounts as allowances on ERC-20 contracts', async () => {
+      const data = abi.encodeFunctionData('approve', [BOB, MaxUint256]);
+
+      // An ERC-721 has no decimals(), so the "amount" is a token ID.
+      const nft = await analyzeTransaction({ to: ALICE, data, chainId: 1 });
+      expect(nft.warnings).toEqual([]);
+
+      mockProvider.call.mockImplementation(async ({ data: callData }) =>
+        callData === '0x313ce567' ? `0x${'12'.padStart(64, '0')}` : '0x'
+      );
+      const erc20 = await analyzeTransaction({ to: ALICE, data, chainId: 1 });
+      expect(erc20.warnings[0].message).toContain('all of your tokens in this contract');
+    });
+
+    const transferToBob = {
+      to: BZZ,
+      data: abi.encodeFunctionData('transfer', [BOB, 1n]),
+      chainId: 100,
+    };
+
+    it('warns when the recipient contract was deployed within the last week', async () => {
+      mockProvider.getCode.mockImplementation(async (_address, block) =>
+        block >= 990_123 ? '0x6080' : '0x'
+      );
+
+      const result = await analyzeTransaction(transferToBob);
+
+      // Gnosis: a week is 120,960 blocks of 5 s.
+      expect(mockProvider.getCode).toHaveBeenCalledWith(BOB, 1_000_000 - 120_960);
+      expect(result.warnings).toEqual([
+        expect.objectContaining({
+          level: 'warning',
+          message: expect.stringContaining('deployed less than 7 days ago, in block 990123'),
+        }),
+      ]);
+    });
+
+    it('does not flag older contracts, or any when the node has no historical state', async () => {
+      mockProvider.getCode.mockResolvedValue('0x6080');
+      const old = await analyzeTransaction(transferToBob);
+      expect(mockProvider.getCode).toHaveBeenCalledTimes(2);
+      expect(old.warnings).toEqual([]);
+
+      mockProvider.getCode.mockImplementation(async (_address, block) => {
+        if (block < 1_000_000) throw new Error('missing trie node');
+        return '0x6080';
+      });
+      const pruned = await analyzeTransaction(transferToBob);
+      expect(pruned.warnings).toEqual([]);
+    });
+
+    it('does not flag wallets, including EIP-7702 delegated ones', async () => {
+      mockProvider.getCode.mockResolvedValue(`0xef0100${'ab'.repeat(20)}`);
+
+      const result = await analyzeTransaction({ to: BOB, value: '1', chainId: 1 });
+
+      expect(result.decoded).toBeNull();
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('flags tokens sent to their own contract', async () => {
+      const result = await analyzeTransaction({
+        to: BZZ,
+        data: abi.encodeFunctionData('transfer', [BZZ, 1n]),
+        chainId: 100,
+      });
+
+      expect(mockProvider.getCode).not.toHaveBeenCalled();
+      expect(result.warnings).toEqual([
+        expect.objectContaining({
+          level: 'danger',
+          message: expect.stringContaining('token contract itself'),
+        }),
+      ]);
+    });
+
+    it('reports revert reasons from the pending-block simulation', async () => {
+      mockProvider.call.mockRejectedValue(
+        Object.assign(new Error('execution reverted'), {
+          code: 'CALL_EXCEPTION',
+          reason: 'ERC20: transfer amount exceeds balance',
+        })
+      );
+
+      const result = await analyzeTransaction({
+        from: ALICE,
+        to: BZZ,
+        data: abi.encodeFunctionData('transfer', [BOB, 1n]),
+        chainId: 100,
+      });
+
+      expect(mockProvider.call).toHaveBeenCalledWith(
+        expect.objectContaining({ from: ALICE, to: BZZ, blockTag: 'pending' })
+      );
+      expect(result.simulation).toEqual({
+        status: 'revert',
+        reason: 'ERC20: transfer amount exceeds balance',
+      });
+    });
+  });
+});
@@ -15,6 +15,7 @@ const {
   buildErc20TransferData,
   parseAmount,
   signAndSendTransaction,
+  replaceTransaction,
   getTransactionStatus,
   waitForTransaction,
   signPersonalMessage,
@@ -23,6 +24,9 @@ const {
 const { loadIdentityModule, getActiveWalletIndex } = require('../identity-manager');
 const { getEffectiveRpcUrls } = require('./rpc-manager');
 const { resetVaultAutoLockTimer } = require('../vault-timer');
+const { recordTransaction, recordReplacement } = require('./activity-tracker');
+const { getActivityEntry } = require('./activity-store');
+const { analyzeTransaction } = require('./tx-decoder');
 
 /**
  * Validate that an RPC URL is a known, trusted endpoint.
@@ -65,6 +69,21 @@ function isValidWalletIndex(walletIndex) {
   return typeof walletIndex === 'number' && Number.isInteger(walletIndex) && walletIndex >= 0;
 }
 
+/**
+ * Follow an activity entry's replacedById links to the newest replacement.
+ */
+function findLatestReplacement(entry) {
+  const seen = new Set([entry.id]);
+  let latest = entry;
+  while (latest.replacedById != null && !seen.has(latest.replacedById)) {
+    const next = getActivityEntry(latest.replacedById);
+    if (!next) break;
+    seen.add(next.id);
+    latest = next;
+  }
+  return latest;
+}
+
 /**
  * Register wallet IPC handlers
  */
@@ -242,10 +261,18 @@ function registerWalletIpc() {
       const privateKey = identity.exportPrivateKey(activeIndex);
 
       // Sign and send
-      const result = await signAndSendTransaction(
-        { to, value, data, gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice, chainId },
-        privateKey
-      );
+      const txParams = {
+        to,
+        value,
+        data,
+        gasLimit,
+        maxFeePerGas,
+        maxPriorityFeePerGas,
+        gasPrice,
+        chainId,
+      };
+      const result = await signAndSendTransaction(txParams, privateKey);
+      recordTransaction({ ...txParams, ...result, kind: 'send', walletIndex: activeIndex });
 
       return { success: true, ...result };
     } catch (err) {
@@ -254,6 +281,68 @@ function registerWalletIpc() {
     }
   });
 
+  // Decode, simulate and risk-check a transaction request for the review screen
+  ipcMain.handle('wallet:analyze-transaction', async (_event, params) => {
+    try {
+      if (!params || params.chainId === undefined) {
+        return { success: false, error: 'Chain ID is required' };
+      }
+      const { from, to, value, data, chainId } = params;
+      const analysis = await analyzeTransaction({ from, to, value, data, chainId });
+      return { success: true, ...analysis };
+    } catch (err) {
+      console.error('[WalletIPC] Transaction analysis failed:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Speed up or cancel a pending transaction from the activity log
+  ipcMain.handle('wallet:replace-transaction', async (_event, activityId, mode) => {
+    try {
+      if (mode !== 'speed-up' && mode !== 'cancel') {
+        return { success: false, error: 'Invalid replacement mode' };
+      }
+
+      const entry = getActivityEntry(activityId);
+      if (!entry) {
+        return { success: false, error: 'Transaction not found' };
+      }
+      if (entry.status !== 'pending') {
+        return { success: false, error: 'Transaction is no longer pending' };
+      }
+      // A replaced entry stays pending until one of its chain is mined; only
+      // the newest member carries current fees and may be replaced again.
+      if (entry.replacedById != null) {
+        return {
+          success: false,
+          error: 'Transaction was already replaced. Speed up or cancel its newest replacement.',
+          latestId: findLatestReplacement(entry).id,
+        };
+      }
+      if (entry.nonce === null || !entry.from || !isValidWalletIndex(entry.walletIndex)) {
+        return {
+          success: false,
+          error: 'Only transactions signed by a vault wallet can be replaced',
+        };
+      }
+
+      const identity = await loadIdentityModule();
+      if (!identity.isUnlocked()) {
+        return { success: false, error: 'Vault is locked. Please unlock first.' };
+      }
+
+      const privateKey = identity.exportPrivateKey(entry.walletIndex);
+      const result = await replaceTransaction(entry, mode, privateKey);
+      recordReplacement(entry, result, mode);
+
+      resetVaultAutoLockTimer();
+      return { success: true, ...result };
+    } catch (err) {
+      console.error('[WalletIPC] Transaction replacement failed:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
   // Get transaction status
   ipcMain.handle('wallet:get-transaction-status', async (_event, txHash, chainId) => {
     try {
@@ -308,10 +397,27 @@ function registerWalletIpc() {
       const privateKey = identity.exportPrivateKey(walletIndex);
 
       // Sign and send
-      const result = await signAndSendTransaction(
-        { to, value, data, gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice, chainId },
-        privateKey
-      );
+      const txParams = {
+        to,
+        value,
+        data,
+        gasLimit,
+        maxFeePerGas,
+        maxPriorityFeePerGas,
+        gasPrice,
+        chainId,
+      };
+      const result = await signAndSendTransaction(txParams, privateKey);
+      // origin: the requesting site; summary: set for transactions Freedom
+      // builds itself, where the review screen already described the action.
+      recordTransaction({
+        ...txParams,
+        ...result,
+        kind: 'dapp',
+        walletIndex,
+        origin: typeof params.origin === 'string' ? params.origin : null,
+        summary: typeof params.summary === 'string' ? params.summary : null,
+      });
 
       resetVaultAutoLockTimer();
       return { success: true, ...result };
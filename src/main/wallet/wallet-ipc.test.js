@@ -0,0 +1,108 @@
+const { loadMainModule } = require('../../../test/helpers/main-process-test-utils');
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+
+const pending = (id, extra = {}) => ({
+  id,
+  kind: 'send',
+  status: 'pending',
+  chainId: 100,
+  nonce: 4,
+  from: ALICE,
+  walletIndex: 0,
+  replacesId: null,
+  replacedById: null,
+  ...extra,
+});
+
+function loadWalletIpc(entries) {
+  const byId = new Map(entries.map((entry) => [entry.id, entry]));
+  const replaceTransaction = jest.fn(async () => ({ hash: `0x${'bb'.repeat(32)}` }));
+  const recordReplacement = jest.fn();
+
+  const ctx = loadMainModule(require.resolve('./wallet-ipc'), {
+    extraMocks: {
+      qrcode: () => ({}),
+      [require.resolve('./balance-service')]: () => ({}),
+      [require.resolve('./chains')]: () => ({ getChain: jest.fn(), getAllChains: () => ({}) }),
+      [require.resolve('./provider-manager')]: () => ({}),
+      [require.resolve('./transaction-service')]: () => ({ replaceTransaction }),
+      [require.resolve('../identity-manager')]: () => ({
+        loadIdentityModule: async () => ({
+          isUnlocked: () => true,
+          exportPrivateKey: () => `0x${'11'.repeat(32)}`,
+        }),
+        getActiveWalletIndex: () => 0,
+      }),
+      [require.resolve('./rpc-manager')]: () => ({ getEffectiveRpcUrls: () => [] }),
+      [require.resolve('../vault-timer')]: () => ({ resetVaultAutoLockTimer: jest.fn() }),
+      [require.resolve('./activity-tracker')]: () => ({
+        recordTransaction: jest.fn(),
+        recordReplacement,
+      }),
+      [require.resolve('./activity-store')]: () => ({
+        getActivityEntry: (id) => byId.get(id) || null,
+      }),
+      [require.resolve('./tx-decoder')]: () => ({}),
+    },
+  });
+  ctx.mod.registerWalletIpc();
+  return { ...ctx, replaceTransaction, recordReplacement };
+}
+
+describe('wallet-ipc', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  describe('wallet:replace-transaction', () => {
+    test('replaces the newest transaction of a nonce', async () => {
+      const { ipcMain, replaceTransaction, recordReplacement } = loadWalletIpc([pending(1)]);
+
+      const result = await ipcMain.invoke('wallet:replace-transaction', 1, 'speed-up');
+
+      expect(result).toMatchObject({ success: true, hash: `0x${'bb'.repeat(32)}` });
+      expect(replaceTransaction).toHaveBeenCalledWith(pending(1), 'speed-up', expect.any(String));
+      expect(recordReplacement).toHaveBeenCalled();
+    });
+
+    test('refuses an entry that was already replaced and points at the newest one', async () => {
+      const { ipcMain, replaceTransaction } = loadWalletIpc([
+        pending(1, { replacedById: 2 }),
+        pending(2, { kind: 'speed-up', replacesId: 1, replacedById: 3 }),
+        pending(3, { kind: 'cancel', replacesId: 2 }),
+      ]);
+
+      const first = await ipcMain.invoke('wallet:replace-transaction', 1, 'cancel');
+      const middle = await ipcMain.invoke('wallet:replace-transaction', 2, 'speed-up');
+
+      expect(first).toEqual({
+        success: false,
+        error: 'Transaction was already replaced. Speed up or cancel its newest replacement.',
+        latestId: 3,
+      });
+      expect(middle.latestId).toBe(3);
+      expect(replaceTransaction).not.toHaveBeenCalled();
+    });
+
+    test('refuses settled transactions and unknown modes', async () => {
+      const { ipcMain, replaceTransaction } = loadWalletIpc([pending(1, { status: 'replaced' })]);
+
+      await expect(ipcMain.invoke('wallet:replace-transaction', 1, 'speed-up')).resolves.toEqual({
+        success: false,
+        error: 'Transaction is no longer pending',
+      });
+      await expect(ipcMain.invoke('wallet:replace-transaction', 1, 'double')).resolves.toEqual({
+        success: false,
+        error: 'Invalid replacement mode',
+      });
+      expect(replaceTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
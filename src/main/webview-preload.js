@@ -107,6 +107,13 @@ contextBridge.exposeInMainWorld('freedomAPI', {
   // Bookmarks (read-only for internal pages)
   getBookmarks: guardInternal('getBookmarks', () => ipcRenderer.invoke('bookmarks:get')),
 
+  getEnsUpdates: guardInternal('getEnsUpdates', () => ipcRenderer.invoke('ens-watch:list')),
+  markEnsUpdatesSeen: guardInternal('markEnsUpdatesSeen', (name) =>
+    ipcRenderer.invoke('ens-watch:mark-seen', name)
+  ),
+  clearEnsUpdates: guardInternal('clearEnsUpdates', () => ipcRenderer.invoke('ens-watch:clear')),
+  checkEnsUpdates: guardInternal('checkEnsUpdates', () => ipcRenderer.invoke('ens-watch:check')),
+
   // Navigation
   openInNewTab: guardInternal('openInNewTab', (url) =>
     ipcRenderer.invoke('internal:open-url-in-new-tab', url)
@@ -147,14 +154,15 @@ contextBridge.exposeInMainWorld('freedomAPI', {
 
   // Swarm publishing (internal-only, path-based methods)
   swarm: {
-    publishData: guardInternal('swarm.publishData', (data) =>
-      ipcRenderer.invoke('swarm:publish-data', data)
+    // options: { encrypt?: boolean, grantees?: string[] } (grantees makes an ACT share)
+    publishData: guardInternal('swarm.publishData', (data, options) =>
+      ipcRenderer.invoke('swarm:publish-data', data, options)
     ),
-    publishFilePath: guardInternal('swarm.publishFilePath', (filePath) =>
-      ipcRenderer.invoke('swarm:publish-file', filePath)
+    publishFilePath: guardInternal('swarm.publishFilePath', (filePath, options) =>
+      ipcRenderer.invoke('swarm:publish-file', filePath, options)
     ),
-    publishDirectoryPath: guardInternal('swarm.publishDirectoryPath', (dirPath) =>
-      ipcRenderer.invoke('swarm:publish-directory', dirPath)
+    publishDirectoryPath: guardInternal('swarm.publishDirectoryPath', (dirPath, options) =>
+      ipcRenderer.invoke('swarm:publish-directory', dirPath, options)
     ),
     getUploadStatus: guardInternal('swarm.getUploadStatus', (tagUid) =>
       ipcRenderer.invoke('swarm:get-upload-status', tagUid)
@@ -174,6 +182,86 @@ contextBridge.exposeInMainWorld('freedomAPI', {
     clearPublishHistory: guardInternal('swarm.clearPublishHistory', () =>
       ipcRenderer.invoke('swarm:clear-publish-history')
     ),
+    // Feed-backed websites: one permanent URL, redeployed and rolled back in place.
+    listWebsites: guardInternal('swarm.listWebsites', () =>
+      ipcRenderer.invoke('swarm:website-list')
+    ),
+    createWebsite: guardInternal('swarm.createWebsite', (options) =>
+      ipcRenderer.invoke('swarm:website-create', options)
+    ),
+    planWebsiteDeploy: guardInternal('swarm.planWebsiteDeploy', (siteId, dirPath) =>
+      ipcRenderer.invoke('swarm:website-plan', siteId, dirPath)
+    ),
+    deployWebsite: guardInternal('swarm.deployWebsite', (siteId, dirPath, options) =>
+      ipcRenderer.invoke('swarm:website-deploy', siteId, dirPath, options)
+    ),
+    rollbackWebsite: guardInternal('swarm.rollbackWebsite', (siteId, entryId) =>
+      ipcRenderer.invoke('swarm:website-rollback', siteId, entryId)
+    ),
+    // ACT shares: who can read an access-controlled publish.
+    listActShares: guardInternal('swarm.listActShares', () => ipcRenderer.invoke('swarm:act-list')),
+    updateActGrantees: guardInternal('swarm.updateActGrantees', (reference, changes) =>
+      ipcRenderer.invoke('swarm:act-update-grantees', reference, changes)
+    ),
+    // Stewardship: is a publish still retrievable from the network, and
+    // pushing its chunks again when it isn't.
+    getContentHealth: guardInternal('swarm.getContentHealth', () =>
+      ipcRenderer.invoke('swarm:content-health-status')
+    ),
+    checkAvailability: guardInternal('swarm.checkAvailability', (reference) =>
+      ipcRenderer.invoke('swarm:check-availability', reference)
+    ),
+    reuploadContent: guardInternal('swarm.reuploadContent', (reference) =>
+      ipcRenderer.invoke('swarm:reupload', reference)
+    ),
+  },
+
+  // Pointing an ENS name owned by a vault wallet at a publish. The
+  // transaction is reviewed in the shell's wallet sidebar, not here.
+  ens: {
+    listOwnedNames: guardInternal('ens.listOwnedNames', () =>
+      ipcRenderer.invoke('ens-publish:list-names')
+    ),
+    setContenthash: guardInternal('ens.setContenthash', (name, uri) =>
+      ipcRenderer.invoke('ens-publish:set-contenthash', name, uri)
+    ),
+    confirmContenthash: guardInternal('ens.confirmContenthash', (name, uri, txHash) =>
+      ipcRenderer.invoke('ens-publish:confirm', name, uri, txHash)
+    ),
+  },
+
+  // IPFS publishing, pinning and IPNS names (internal-only; publish methods are
+  // path-based). Pickers and history are shared with swarm.* above.
+  ipfs: {
+    publishData: guardInternal('ipfs.publishData', (data, options) =>
+      ipcRenderer.invoke('ipfs:publish-data', data, options)
+    ),
+    publishFilePath: guardInternal('ipfs.publishFilePath', (filePath, options) =>
+      ipcRenderer.invoke('ipfs:publish-file', filePath, options)
+    ),
+    publishDirectoryPath: guardInternal('ipfs.publishDirectoryPath', (dirPath, options) =>
+      ipcRenderer.invoke('ipfs:publish-directory', dirPath, options)
+    ),
+    // Auto-unsubscribed on pagehide.
+    onPublishProgress: guardInternalSubscription('ipfs.onPublishProgress', 'ipfs:publish-progress'),
+    listPins: guardInternal('ipfs.listPins', (options) =>
+      ipcRenderer.invoke('ipfs:pin-list', options)
+    ),
+    addPin: guardInternal('ipfs.addPin', (target, options) =>
+      ipcRenderer.invoke('ipfs:pin-add', target, options)
+    ),
+    removePin: guardInternal('ipfs.removePin', (cid) => ipcRenderer.invoke('ipfs:pin-remove', cid)),
+    getRepoStat: guardInternal('ipfs.getRepoStat', () => ipcRenderer.invoke('ipfs:repo-stat')),
+    listIpnsNames: guardInternal('ipfs.listIpnsNames', () => ipcRenderer.invoke('ipfs:ipns-list')),
+    createIpnsName: guardInternal('ipfs.createIpnsName', (site) =>
+      ipcRenderer.invoke('ipfs:ipns-create', site)
+    ),
+    publishIpnsName: guardInternal('ipfs.publishIpnsName', (site, target) =>
+      ipcRenderer.invoke('ipfs:ipns-publish', site, target)
+    ),
+    republishIpnsName: guardInternal('ipfs.republishIpnsName', (site) =>
+      ipcRenderer.invoke('ipfs:ipns-republish', site)
+    ),
   },
 });
 
@@ -357,7 +445,7 @@ try {
     (function() {
       const pendingRequests = new Map();
       let requestId = 0;
-      const eventListeners = { connect: [], disconnect: [] };
+      const eventListeners = { connect: [], disconnect: [], message: [], subscriptionClosed: [], feedUpdate: [] };
 
       function emitEvent(event, data) {
         if (eventListeners[event]) {
@@ -394,6 +482,12 @@ try {
         writeFeedEntry(params) { return this.request({ method: 'swarm_writeFeedEntry', params: params }); },
         readFeedEntry(params) { return this.request({ method: 'swarm_readFeedEntry', params: params }); },
         listFeeds() { return this.request({ method: 'swarm_listFeeds' }); },
+        subscribeFeed(params) { return this.request({ method: 'swarm_subscribeFeed', params: params }); },
+        unsubscribeFeed(params) { return this.request({ method: 'swarm_unsubscribeFeed', params: params }); },
+        pssSend(params) { return this.request({ method: 'swarm_pssSend', params: params }); },
+        gsocSend(params) { return this.request({ method: 'swarm_gsocSend', params: params }); },
+        gsocSubscribe(params) { return this.request({ method: 'swarm_gsocSubscribe', params: params }); },
+        gsocUnsubscribe(params) { return this.request({ method: 'swarm_gsocUnsubscribe', params: params }); },
 
         on(event, handler) { if (eventListeners[event]) eventListeners[event].push(handler); return this; },
         removeListener(event, handler) {
@@ -471,8 +565,142 @@ ipcRenderer.on('swarm:provider-event', (_event, { event, data }) => {
   }, window.location.origin);
 });
 
+// ============================================
+// IPFS Provider (window.ipfs)
+// ============================================
+// Same bridge as window.swarm above; the renderer handles prompts in
+// src/renderer/lib/ipfs-provider.js and main enforces in
+// src/main/ipfs/ipfs-provider-ipc.js.
+
+try {
+  const ipfsScript = document.createElement('script');
+  ipfsScript.textContent = `
+    (function() {
+      const pendingRequests = new Map();
+      let requestId = 0;
+      const eventListeners = { connect: [], disconnect: [] };
+      const LONG_METHODS = ['ipfs_add', 'ipfs_addFiles', 'ipfs_pin', 'ipfs_publishName'];
+
+      function emitEvent(event, data) {
+        if (eventListeners[event]) {
+          eventListeners[event].forEach(h => { try { h(data); } catch(e) {} });
+        }
+      }
+
+      window.ipfs = {
+        isFreedomBrowser: true,
+
+        async request({ method, params }) {
+          if (!method) throw new Error('method is required');
+          const id = ++requestId;
+          return new Promise((resolve, reject) => {
+            pendingRequests.set(id, { resolve, reject });
+            window.postMessage({ type: 'FREEDOM_IPFS_REQUEST', id, method, params: params || {} }, '*');
+            const timeout = LONG_METHODS.includes(method) ? 300000 : 60000;
+            setTimeout(() => {
+              if (pendingRequests.has(id)) {
+                pendingRequests.delete(id);
+                reject(new Error('Request timed out'));
+              }
+            }, timeout);
+          });
+        },
+
+        requestAccess() { return this.request({ method: 'ipfs_requestAccess' }); },
+        getCapabilities() { return this.request({ method: 'ipfs_getCapabilities' }); },
+        add(params) { return this.request({ method: 'ipfs_add', params: params }); },
+        addFiles(params) { return this.request({ method: 'ipfs_addFiles', params: params }); },
+        cat(params) { return this.request({ method: 'ipfs_cat', params: params }); },
+        pin(params) { return this.request({ method: 'ipfs_pin', params: params }); },
+        resolveName(params) { return this.request({ method: 'ipfs_resolveName', params: params }); },
+        publishName(params) { return this.request({ method: 'ipfs_publishName', params: params }); },
+
+        on(event, handler) { if (eventListeners[event]) eventListeners[event].push(handler); return this; },
+        removeListener(event, handler) {
+          if (eventListeners[event]) {
+            const i = eventListeners[event].indexOf(handler);
+            if (i > -1) eventListeners[event].splice(i, 1);
+          }
+          return this;
+        },
+        addListener(event, handler) { return this.on(event, handler); },
+        removeAllListeners(event) { if (event && eventListeners[event]) eventListeners[event] = []; return this; },
+      };
+
+      window.addEventListener('message', function(event) {
+        if (event.source !== window) return;
+        if (event.data.type === 'FREEDOM_IPFS_RESPONSE') {
+          const pending = pendingRequests.get(event.data.id);
+          if (pending) {
+            pendingRequests.delete(event.data.id);
+            if (event.data.error) {
+              const err = new Error(event.data.error.message);
+              err.code = event.data.error.code;
+              err.data = event.data.error.data;
+              pending.reject(err);
+            } else {
+              pending.resolve(event.data.result);
+            }
+          }
+        } else if (event.data.type === 'FREEDOM_IPFS_EVENT') {
+          emitEvent(event.data.event, event.data.data);
+        }
+      });
+    })();
+  `;
+
+  const injectIpfs = () => {
+    const head = document.head || document.documentElement;
+    head.insertBefore(ipfsScript, head.firstChild);
+    ipfsScript.remove();
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', injectIpfs, { once: true });
+  } else {
+    injectIpfs();
+  }
+} catch (err) {
+  console.error('[webview-preload] Failed to inject ipfs provider:', err);
+}
+
+// Bridge postMessage from page to IPC (IPFS)
+window.addEventListener('message', (event) => {
+  if (event.source !== window) return;
+  if (event.data.type === 'FREEDOM_IPFS_REQUEST') {
+    const { id, method, params } = event.data;
+    ipcRenderer.sendToHost('ipfs:provider-request', { id, method, params });
+  }
+});
+
+// Bridge IPC responses back to page (IPFS)
+ipcRenderer.on('ipfs:provider-response', (_event, { id, result, error }) => {
+  window.postMessage(
+    {
+      type: 'FREEDOM_IPFS_RESPONSE',
+      id,
+      result,
+      error,
+    },
+    window.location.origin
+  );
+});
+
+ipcRenderer.on('ipfs:provider-event', (_event, { event, data }) => {
+  window.postMessage(
+    {
+      type: 'FREEDOM_IPFS_EVENT',
+      event,
+      data,
+    },
+    window.location.origin
+  );
+});
+
 // Note: transient 404/500 recovery for bzz:// sub-resources is handled by the
 // main-process `bzz:` protocol handler in `src/main/swarm/bzz-protocol.js`,
 // not by in-page JavaScript. See README "Swarm Content Retrieval".
 
-console.log('[webview-preload] Loaded (freedomAPI + context menu + ethereum + swarm provider)');
+console.log(
+  '[webview-preload] Loaded (freedomAPI + context menu + ethereum + swarm/ipfs providers)'
+);
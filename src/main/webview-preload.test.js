@@ -150,6 +150,10 @@ describe('webview-preload', () => {
       ['getServiceRegistry', [], IPC.SERVICE_REGISTRY_GET, []],
       ['openPublishSetup', [], IPC.SIDEBAR_OPEN_PUBLISH_SETUP, []],
       ['getBookmarks', [], IPC.BOOKMARKS_GET, []],
+      ['getEnsUpdates', [], IPC.ENS_WATCH_LIST, []],
+      ['markEnsUpdatesSeen', ['vitalik.eth'], IPC.ENS_WATCH_MARK_SEEN, ['vitalik.eth']],
+      ['clearEnsUpdates', [], IPC.ENS_WATCH_CLEAR, []],
+      ['checkEnsUpdates', [], IPC.ENS_WATCH_CHECK, []],
       ['openInNewTab', ['https://example.com'], IPC.OPEN_URL_IN_NEW_TAB, ['https://example.com']],
       ['getCachedFavicon', ['https://example.com'], IPC.FAVICON_GET_CACHED, ['https://example.com']],
       ['seedRadicle', ['z3abc'], IPC.RADICLE_SEED, ['z3abc']],
@@ -164,7 +168,40 @@ describe('webview-preload', () => {
       expect(ipcRenderer.invoke).toHaveBeenCalledWith(channel, ...expectedArgs);
     }
 
-    expect(consoleLogSpy).toHaveBeenCalledWith('[webview-preload] Loaded (freedomAPI + context menu + ethereum + swarm provider)');
+    const ensCases = [
+      ['listOwnedNames', [], IPC.ENS_PUBLISH_LIST_NAMES, []],
+      ['setContenthash', ['site.eth', 'bzz://abc'], IPC.ENS_PUBLISH_SET_CONTENTHASH, ['site.eth', 'bzz://abc']],
+      ['confirmContenthash', ['site.eth', 'bzz://abc', '0x1'], IPC.ENS_PUBLISH_CONFIRM, ['site.eth', 'bzz://abc', '0x1']],
+    ];
+
+    for (const [method, args, channel, expectedArgs] of ensCases) {
+      ipcRenderer.invoke.mockClear();
+      await exposures.freedomAPI.ens[method](...args);
+      expect(ipcRenderer.invoke).toHaveBeenCalledWith(channel, ...expectedArgs);
+    }
+
+    const websiteCases = [
+      ['listWebsites', [], IPC.SWARM_WEBSITE_LIST, []],
+      ['createWebsite', [{ name: 'Blog' }], IPC.SWARM_WEBSITE_CREATE, [{ name: 'Blog' }]],
+      ['planWebsiteDeploy', ['site-0', '/tmp/blog'], IPC.SWARM_WEBSITE_PLAN, ['site-0', '/tmp/blog']],
+      ['deployWebsite', ['site-0', '/tmp/blog', {}], IPC.SWARM_WEBSITE_DEPLOY, ['site-0', '/tmp/blog', {}]],
+      ['rollbackWebsite', ['site-0', 3], IPC.SWARM_WEBSITE_ROLLBACK, ['site-0', 3]],
+      ['publishData', ['hi', { encrypt: true }], 'swarm:publish-data', ['hi', { encrypt: true }]],
+      ['publishFilePath', ['/tmp/a', { grantees: ['02ab'] }], 'swarm:publish-file', ['/tmp/a', { grantees: ['02ab'] }]],
+      ['listActShares', [], IPC.SWARM_ACT_LIST, []],
+      ['updateActGrantees', ['ref', { revoke: ['02ab'] }], IPC.SWARM_ACT_UPDATE_GRANTEES, ['ref', { revoke: ['02ab'] }]],
+      ['getContentHealth', [], IPC.SWARM_CONTENT_HEALTH_STATUS, []],
+      ['checkAvailability', ['ref'], IPC.SWARM_CHECK_AVAILABILITY, ['ref']],
+      ['reuploadContent', ['ref'], IPC.SWARM_REUPLOAD, ['ref']],
+    ];
+
+    for (const [method, args, channel, expectedArgs] of websiteCases) {
+      ipcRenderer.invoke.mockClear();
+      await exposures.freedomAPI.swarm[method](...args);
+      expect(ipcRenderer.invoke).toHaveBeenCalledWith(channel, ...expectedArgs);
+    }
+
+    expect(consoleLogSpy).toHaveBeenCalledWith('[webview-preload] Loaded (freedomAPI + context menu + ethereum + swarm/ipfs providers)');
   });
 
   test('onSettingsUpdated forwards the broadcast and unsubscribes on pagehide', () => {
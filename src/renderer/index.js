@@ -1,5 +1,10 @@
 // Renderer process entry point
-import { updateRegistry, setRadicleIntegrationEnabled, setBlockUnverifiedEns } from './lib/state.js';
+import {
+  updateRegistry,
+  setRadicleIntegrationEnabled,
+  setBlockUnverifiedEns,
+  setEnsDnsNames,
+} from './lib/state.js';
 import { initBeeUi, updateBeeStatusLine, updateBeeToggleState } from './lib/bee-ui.js';
 import { initIpfsUi, updateIpfsStatusLine, updateIpfsToggleState } from './lib/ipfs-ui.js';
 import {
@@ -46,12 +51,14 @@ import {
   hide as hideAutocomplete,
 } from './lib/autocomplete.js';
 import { initGithubBridgeUi, setOnOpenRadicleUrl } from './lib/github-bridge-ui.js';
+import { initEnsDnsOffer, setOnOpenEnsDnsName } from './lib/ens-dns-offer.js';
+import { initSwarmFeedIndicator, setOnOpenSwarmFeed } from './lib/swarm-feed-ui.js';
 import { initMenuBackdrop } from './lib/menu-backdrop.js';
 import { initPageContextMenu, hidePageContextMenu } from './lib/page-context-menu.js';
 import { pushDebug } from './lib/debug.js';
 import { initOnboarding } from './lib/onboarding.js';
 import { initSidebar } from './lib/sidebar.js';
-import { initWalletUi, openPublishSetupFlow } from './lib/wallet-ui.js';
+import { initWalletUi, openPublishSetupFlow, showInternalTxApproval } from './lib/wallet-ui.js';
 
 const electronAPI = window.electronAPI;
 
@@ -89,6 +96,8 @@ setOnHistoryRecorded(refreshAutocompleteCache);
 setOnOpenHistory(() => loadTarget('freedom://history'));
 setOnNewTab(() => createTab());
 setOnOpenRadicleUrl((url) => loadTarget(url));
+setOnOpenEnsDnsName((url) => loadTarget(url));
+setOnOpenSwarmFeed((url) => loadTarget(url));
 setOnMenuOpening(hideAutocomplete);
 setOnTabContextMenuOpening(hideAutocomplete);
 setOnBookmarkContextMenuOpening(hideAutocomplete);
@@ -123,6 +132,25 @@ electronAPI.onCloseMenus?.(closeAllMenus);
 // Internal pages can deep-link into the sidebar publish-setup checklist.
 electronAPI.onOpenPublishSetup?.(openPublishSetupFlow);
 
+// freedom://publish asks to point an ENS name at a publish; the transaction
+// goes through the same review screen as a dApp request.
+electronAPI.onEnsPublishReview?.(async (request) => {
+  try {
+    const hash = await showInternalTxApproval({
+      origin: 'freedom://publish',
+      action: `sets the contenthash of ${request.name} to ${request.uri}`,
+      walletIndex: request.walletIndex,
+      chainId: request.chainId,
+      txParams: request.tx,
+    });
+    electronAPI.respondEnsPublishReview(request.id, { hash });
+  } catch (err) {
+    electronAPI.respondEnsPublishReview(request.id, {
+      error: err?.message || 'Transaction was not sent',
+    });
+  }
+});
+
 // Initialize update notification toast
 function initUpdateNotifications() {
   const toast = document.getElementById('update-toast');
@@ -188,13 +216,16 @@ window.addEventListener('DOMContentLoaded', async () => {
     const settings = await electronAPI.getSettings();
     setRadicleIntegrationEnabled(settings?.enableRadicleIntegration === true);
     setBlockUnverifiedEns(settings?.blockUnverifiedEns !== false);
+    setEnsDnsNames(settings?.ensDnsNames);
   } catch {
     setRadicleIntegrationEnabled(false);
     setBlockUnverifiedEns(true);
+    setEnsDnsNames('off');
   }
   window.addEventListener('settings:updated', (event) => {
     setRadicleIntegrationEnabled(event.detail?.enableRadicleIntegration === true);
     setBlockUnverifiedEns(event.detail?.blockUnverifiedEns !== false);
+    setEnsDnsNames(event.detail?.ensDnsNames);
   });
 
   initMenuBackdrop(closeAllOverlays);
@@ -203,6 +234,8 @@ window.addEventListener('DOMContentLoaded', async () => {
   initIpfsUi();
   initRadicleUi();
   initGithubBridgeUi();
+  initEnsDnsOffer();
+  initSwarmFeedIndicator();
   document.getElementById('settings-btn')?.addEventListener('click', () => {
     closeMenus();
     loadTarget('freedom://settings');
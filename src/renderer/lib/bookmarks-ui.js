@@ -1,6 +1,6 @@
 // Bookmarks bar and modal UI
 import { pushDebug } from './debug.js';
-import { getActiveTab, hideTabContextMenu } from './tabs.js';
+import { createTab, getActiveTab, hideTabContextMenu } from './tabs.js';
 import { closeMenus } from './menus.js';
 import { showMenuBackdrop, hideMenuBackdrop } from './menu-backdrop.js';
 import { normalizeLegacyEnsBookmarkUrl } from './url-utils.js';
@@ -68,6 +68,85 @@ const BOOKMARK_GLOBE_SVG = `<svg class="bookmark-icon-default" viewBox="0 0 24 2
 // Store all bookmarks for overflow calculation
 let allBookmarks = [];
 
+// Bookmark target -> ENS name, for bookmarks whose name changed since the
+// user last looked (see ens-bookmark-watcher.js in main)
+let ensUpdatesByTarget = new Map();
+const ENS_UPDATES_URL = 'freedom://ens-updates';
+
+const applyEnsUpdateBadge = (button) => {
+  const name = ensUpdatesByTarget.get(button.dataset.hash);
+  button.querySelector('.bookmark-updated-badge')?.remove();
+  button.classList.toggle('updated', !!name);
+  if (!name) {
+    delete button.dataset.ensUpdate;
+    button.removeAttribute('title');
+    return;
+  }
+  button.dataset.ensUpdate = name;
+  button.title = `${name} changed since you last visited`;
+  const badge = document.createElement('span');
+  badge.className = 'bookmark-updated-badge';
+  button.appendChild(badge);
+};
+
+// Swarm references the last content health sweep couldn't retrieve from
+// the network (see content-health.js in main)
+let lostReferences = new Set();
+const BZZ_REFERENCE_RE = /^bzz:\/\/([0-9a-f]{64}(?:[0-9a-f]{64})?)(?:[/?#]|$)/i;
+
+const applyContentHealthFlag = (button) => {
+  const match = BZZ_REFERENCE_RE.exec(button.dataset.hash || '');
+  const lost = !!match && lostReferences.has(match[1].toLowerCase());
+  button.classList.toggle('unretrievable', lost);
+  if (lost && !button.dataset.ensUpdate) {
+    button.title = 'Swarm can no longer retrieve this content';
+  }
+};
+
+const applyBookmarkFlags = (button) => {
+  applyEnsUpdateBadge(button);
+  applyContentHealthFlag(button);
+};
+
+const refreshContentHealth = async () => {
+  if (!electronAPI?.getSwarmContentHealth) return;
+  try {
+    const result = await electronAPI.getSwarmContentHealth();
+    if (!result?.success) return;
+    lostReferences = new Set(
+      Object.entries(result.references || {})
+        .filter(([, record]) => record?.retrievable === false)
+        .map(([reference]) => reference)
+    );
+    for (const button of bookmarksInner?.querySelectorAll('.bookmark') || []) {
+      applyBookmarkFlags(button);
+    }
+  } catch (err) {
+    pushDebug(`Failed to load Swarm content health: ${err.message}`);
+  }
+};
+
+const refreshEnsUpdates = async () => {
+  if (!electronAPI?.getEnsBookmarkUpdates) return;
+  try {
+    const result = await electronAPI.getEnsBookmarkUpdates();
+    if (!result?.success) return;
+    const next = new Map();
+    for (const change of result.changes || []) {
+      if (change.seen) continue;
+      for (const bookmark of change.bookmarks || []) {
+        next.set(bookmark.target, change.name);
+      }
+    }
+    ensUpdatesByTarget = next;
+    for (const button of bookmarksInner?.querySelectorAll('.bookmark') || []) {
+      applyBookmarkFlags(button);
+    }
+  } catch (err) {
+    pushDebug(`Failed to load ENS bookmark updates: ${err.message}`);
+  }
+};
+
 // Create a bookmark button element
 const createBookmarkButton = (item, isOverflowItem = false) => {
   const button = document.createElement('button');
@@ -92,6 +171,7 @@ const createBookmarkButton = (item, isOverflowItem = false) => {
 
   button.appendChild(iconContainer);
   button.appendChild(labelEl);
+  applyBookmarkFlags(button);
 
   // Try to load cached favicon asynchronously
   if (electronAPI?.getCachedFavicon) {
@@ -202,6 +282,8 @@ const renderBookmarks = async (items = []) => {
     const button = createBookmarkButton(item, false);
     bookmarksInner.appendChild(button);
   }
+  refreshEnsUpdates();
+  refreshContentHealth();
 
   // Update overflow state after rendering
   // Use requestAnimationFrame to ensure DOM has updated
@@ -339,6 +421,9 @@ export const initBookmarks = () => {
       // Find the bookmark button (could be clicked on child elements)
       const bookmarkBtn = eventTarget.closest('.bookmark, .bookmarks-overflow-item');
       const storedTarget = bookmarkBtn?.dataset?.hash;
+      if (bookmarkBtn?.dataset?.ensUpdate) {
+        electronAPI.markEnsBookmarkUpdatesSeen?.(bookmarkBtn.dataset.ensUpdate);
+      }
       if (storedTarget && onLoadTarget) {
         // Rewrite legacy ens://name.eth bookmarks to bare-name form so they
         // re-enter the same ENS resolution flow as a typed name and pick up
@@ -362,6 +447,7 @@ export const initBookmarks = () => {
   contextMenu = document.createElement('div');
   contextMenu.className = 'context-menu hidden';
   contextMenu.innerHTML = `
+    <button class="context-menu-item hidden" data-action="changes">What Changed…</button>
     <button class="context-menu-item" data-action="edit">Edit…</button>
     <button class="context-menu-item" data-action="delete">Delete</button>
   `;
@@ -428,6 +514,8 @@ export const initBookmarks = () => {
         console.error('Failed to load bookmark for editing', err);
         pushDebug(`Failed to load bookmark for editing: ${err.message}`);
       }
+    } else if (action === 'changes') {
+      createTab(ENS_UPDATES_URL);
     } else if (action === 'delete' && contextMenuTarget) {
       await electronAPI.removeBookmark(contextMenuTarget);
       await loadBookmarks();
@@ -455,6 +543,9 @@ export const initBookmarks = () => {
       showMenuBackdrop();
 
       contextMenuTarget = hash;
+      contextMenu
+        .querySelector('[data-action="changes"]')
+        ?.classList.toggle('hidden', !bookmarkBtn.dataset.ensUpdate);
       contextMenu.style.left = `${event.clientX}px`;
       contextMenu.style.top = `${event.clientY}px`;
       contextMenu.classList.remove('hidden');
@@ -602,6 +693,16 @@ export const initBookmarks = () => {
     updateBookmarksBarVisibility();
   });
 
+  // Re-badge when the watcher finds a change or one is marked seen
+  electronAPI?.onEnsBookmarkUpdates?.(() => {
+    refreshEnsUpdates();
+  });
+
+  // Re-flag when a health sweep or manual check finishes
+  electronAPI?.onSwarmContentHealthUpdate?.(() => {
+    refreshContentHealth();
+  });
+
   // Listen for bookmarks bar toggle from menu
   electronAPI?.onToggleBookmarksBar?.((visible) => {
     bookmarksBarVisible = visible;
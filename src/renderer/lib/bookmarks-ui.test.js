@@ -149,11 +149,13 @@ const loadBookmarksModule = async (options = {}) => {
         storedBookmarks = storedBookmarks.filter((item) => item.target !== target);
         return true;
       }),
+    ...(options.electronAPI || {}),
   };
   const debugMocks = {
     pushDebug: jest.fn(),
   };
   const tabsMocks = {
+    createTab: jest.fn(),
     getActiveTab: jest.fn(() => activeTabRef.current),
     hideTabContextMenu: jest.fn(),
   };
@@ -486,4 +488,86 @@ describe('bookmarks-ui', () => {
     expect(ctx.getStoredBookmarks()).toHaveLength(0);
     expect(ctx.menuBackdropMocks.hideMenuBackdrop).toHaveBeenCalled();
   });
+
+  test('badges bookmarks whose ENS name changed and marks them seen on open', async () => {
+    const onLoadTarget = jest.fn();
+    const markEnsBookmarkUpdatesSeen = jest.fn(async () => ({ success: true, count: 1 }));
+    const ctx = await loadBookmarksModule({
+      initialBookmarks: [
+        { label: 'Site', target: 'ens://site.eth' },
+        { label: 'Other', target: 'https://other.example' },
+      ],
+      electronAPI: {
+        getEnsBookmarkUpdates: jest.fn(async () => ({
+          success: true,
+          changes: [
+            {
+              name: 'site.eth',
+              seen: false,
+              bookmarks: [{ label: 'Site', target: 'ens://site.eth' }],
+            },
+          ],
+        })),
+        markEnsBookmarkUpdatesSeen,
+        onEnsBookmarkUpdates: jest.fn(),
+      },
+    });
+
+    ctx.mod.setOnLoadTarget(onLoadTarget);
+    ctx.mod.initBookmarks();
+    await ctx.mod.loadBookmarks();
+    await flushMicrotasks();
+    await flushMicrotasks();
+
+    const [siteBookmark, otherBookmark] = ctx.helpers.getBookmarksInner().children;
+    expect(ctx.electronAPI.onEnsBookmarkUpdates).toHaveBeenCalled();
+    expect(siteBookmark.classList.contains('updated')).toBe(true);
+    expect(siteBookmark.dataset.ensUpdate).toBe('site.eth');
+    expect(siteBookmark.querySelector('.bookmark-updated-badge')).not.toBeNull();
+    expect(otherBookmark.classList.contains('updated')).toBe(false);
+
+    ctx.helpers.getBookmarksInner().dispatch('click', { target: siteBookmark.children[1] });
+    await flushMicrotasks();
+
+    expect(markEnsBookmarkUpdatesSeen).toHaveBeenCalledWith('site.eth');
+    expect(onLoadTarget).toHaveBeenCalled();
+
+    ctx.helpers.getContextMenu().dispatch('click', {
+      target: { dataset: { action: 'changes' } },
+    });
+    await flushMicrotasks();
+
+    expect(ctx.tabsMocks.createTab).toHaveBeenCalledWith('freedom://ens-updates');
+  });
+
+  test('flags bzz:// bookmarks whose content is no longer retrievable', async () => {
+    const lost = 'ab'.repeat(32);
+    const ctx = await loadBookmarksModule({
+      initialBookmarks: [
+        { label: 'Lost', target: `bzz://${lost}/index.html` },
+        { label: 'Fine', target: `bzz://${'cd'.repeat(32)}/` },
+      ],
+      electronAPI: {
+        getSwarmContentHealth: jest.fn(async () => ({
+          success: true,
+          references: {
+            [lost]: { retrievable: false, checkedAt: 1 },
+            ['cd'.repeat(32)]: { retrievable: true, checkedAt: 1 },
+          },
+        })),
+        onSwarmContentHealthUpdate: jest.fn(),
+      },
+    });
+
+    ctx.mod.initBookmarks();
+    await ctx.mod.loadBookmarks();
+    await flushMicrotasks();
+    await flushMicrotasks();
+
+    const [lostBookmark, fineBookmark] = ctx.helpers.getBookmarksInner().children;
+    expect(ctx.electronAPI.onSwarmContentHealthUpdate).toHaveBeenCalled();
+    expect(lostBookmark.classList.contains('unretrievable')).toBe(true);
+    expect(lostBookmark.title).toBe('Swarm can no longer retrieve this content');
+    expect(fineBookmark.classList.contains('unretrievable')).toBe(false);
+  });
 });
@@ -76,3 +76,77 @@ export const cidV0ToV1Base32 = (cidV0) => {
   v1.set(mh, 2);
   return 'b' + base32Encode(v1);
 };
+
+const base36Encode = (bytes) => {
+  let leadingZeros = 0;
+  while (leadingZeros < bytes.length && bytes[leadingZeros] === 0) leadingZeros++;
+  let num = 0n;
+  for (let i = leadingZeros; i < bytes.length; i++) {
+    num = (num << 8n) | BigInt(bytes[i]);
+  }
+  const digits = num > 0n ? num.toString(36) : '';
+  return '0'.repeat(leadingZeros) + digits;
+};
+
+/**
+ * Convert a base58btc libp2p peer ID ("12D3Koo..." identity multihash or
+ * legacy "Qm..." sha2-256 multihash) to the CIDv1 libp2p-key base36 form
+ * ("k51...") that Kubo uses for IPNS subdomains.
+ * Returns null on any malformed input.
+ */
+export const peerIdToBase36 = (peerId) => {
+  if (typeof peerId !== 'string') return null;
+  if (!/^(?:Qm|12D3Koo|1)[1-9A-HJ-NP-Za-km-z]{40,}$/.test(peerId)) return null;
+  const mh = base58Decode(peerId);
+  if (!mh || mh.length < 2) return null;
+  const v1 = new Uint8Array(mh.length + 2);
+  v1[0] = 0x01; // CIDv1
+  v1[1] = 0x72; // libp2p-key codec
+  v1.set(mh, 2);
+  return 'k' + base36Encode(v1);
+};
+
+/**
+ * Normalise a CID / IPNS name into a form that survives as the host of an
+ * `ipfs://` / `ipns://` URL. Those schemes are registered standard, so
+ * Chromium lowercases the host — base58 identifiers would be corrupted.
+ * Mirrors `toOriginSafeId` in src/main/ipfs/ipfs-protocol.js.
+ * Returns null when no case-safe form is available.
+ */
+export const toOriginSafeIpfsId = (namespace, id) => {
+  if (typeof id !== 'string' || !id) return null;
+  const lower = id.toLowerCase();
+  const isCaseSafeCid = /^b[a-z2-7]{50,}$/.test(lower) || /^k[0-9a-z]{40,}$/.test(lower);
+  if (namespace === 'ipfs') {
+    if (id.startsWith('Qm')) return cidV0ToV1Base32(id);
+    return isCaseSafeCid ? lower : null;
+  }
+  if (namespace === 'ipns') {
+    const key = peerIdToBase36(id);
+    if (key) return key;
+    if (isCaseSafeCid) return lower;
+    // DNSLink name (docs.ipfs.tech)
+    if (/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/.test(lower)) {
+      return lower;
+    }
+  }
+  return null;
+};
+
+/**
+ * Sandbox label for an Arweave transaction id: lowercase, unpadded base32
+ * of the 32 id bytes, the case-safe host `ar://` URLs load under. Mirrors
+ * `toSandboxLabel` in src/main/arweave-protocol.js.
+ * Returns null for anything that isn't a 43-char base64url id.
+ */
+export const arweaveSandboxLabel = (txId) => {
+  if (typeof txId !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(txId)) return null;
+  let binary;
+  try {
+    binary = atob(txId.replace(/-/g, '+').replace(/_/g, '/') + '=');
+  } catch {
+    return null;
+  }
+  if (binary.length !== 32) return null;
+  return base32Encode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+};
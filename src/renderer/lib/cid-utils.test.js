@@ -1,4 +1,9 @@
-import { cidV0ToV1Base32 } from './cid-utils.js';
+import {
+  arweaveSandboxLabel,
+  cidV0ToV1Base32,
+  peerIdToBase36,
+  toOriginSafeIpfsId,
+} from './cid-utils.js';
 
 describe('cidV0ToV1Base32', () => {
   // Expected values cross-checked against multiformats CID.parse(v0).toV1().toString().
@@ -23,3 +28,59 @@ describe('cidV0ToV1Base32', () => {
     expect(cidV0ToV1Base32('QmContainsInvalidChar!abcdefghijklmnopqrstuvwxyz0123')).toBeNull();
   });
 });
+
+describe('peerIdToBase36', () => {
+  // Expected values cross-checked against multiformats CID.createV1(0x72, mh).toString(base36).
+  test('converts ed25519 and legacy RSA peer IDs to libp2p-key base36', () => {
+    expect(peerIdToBase36('12D3KooWD3eckifWpRn9wQpMG9R9hX3sD158z7EqHWmweQAJU5SA')).toBe(
+      'k51qzi5uqu5dhdmyb9bd18pypu2wp5lpv2xnskfmrqa4lb5knqryrotb05e7or'
+    );
+    expect(peerIdToBase36('QmcJYkCKK7QPmYWjp4FD2e3Lv5WCGFuHNUByvGKBaytif4')).toBe(
+      'k2k4r8ol69zt02jhcw3g1qwqa9kg5ru89e04hbj0uec55ezyfyrppo1n'
+    );
+  });
+
+  test('returns null for non-peer-ID input', () => {
+    expect(peerIdToBase36(null)).toBeNull();
+    expect(peerIdToBase36('docs.ipfs.tech')).toBeNull();
+    expect(peerIdToBase36('k51qzi5uqu5dhdmyb9bd18pypu2wp5lpv2xnskfmrqa4lb5knqryrotb05e7or')).toBeNull();
+  });
+});
+
+describe('toOriginSafeIpfsId', () => {
+  test('rewrites CIDv0 to CIDv1 base32 and lowercases CIDv1', () => {
+    expect(toOriginSafeIpfsId('ipfs', 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG')).toBe(
+      'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34'
+    );
+    expect(
+      toOriginSafeIpfsId('ipfs', 'BAFYBEIE5NQV6KD3QNFJUPGVZ34WOH3OKSC3IAU6ABMYAJN7QVTF6D2HO34')
+    ).toBe('bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34');
+  });
+
+  test('rewrites IPNS peer IDs and keeps DNSLink names', () => {
+    expect(toOriginSafeIpfsId('ipns', '12D3KooWD3eckifWpRn9wQpMG9R9hX3sD158z7EqHWmweQAJU5SA')).toBe(
+      'k51qzi5uqu5dhdmyb9bd18pypu2wp5lpv2xnskfmrqa4lb5knqryrotb05e7or'
+    );
+    expect(toOriginSafeIpfsId('ipns', 'Docs.IPFS.tech')).toBe('docs.ipfs.tech');
+  });
+
+  test('returns null when no case-safe form exists', () => {
+    expect(toOriginSafeIpfsId('ipfs', 'zdj7WWeQ43G6JJvLWQWZpyHuAMq6uYWRjkBXFad11vE2LHhQ7')).toBeNull();
+    expect(toOriginSafeIpfsId('ipns', 'not a name')).toBeNull();
+    expect(toOriginSafeIpfsId('bzz', 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG')).toBeNull();
+  });
+});
+
+describe('arweaveSandboxLabel', () => {
+  test('encodes the transaction id bytes as lowercase base32', () => {
+    expect(arweaveSandboxLabel('AAECAwQFBgcICQoLDA0ODxAREhMUFRYXGBkaGxwdHh8')).toBe(
+      'aaaqeayeaudaocajbifqydiob4ibceqtcqkrmfyydenbwha5dypq'
+    );
+  });
+
+  test('rejects anything that is not a 43-char base64url id', () => {
+    expect(arweaveSandboxLabel('AAECAwQFBgcICQoLDA0ODxAREhMUFRYXGBkaGxwdHh')).toBeNull();
+    expect(arweaveSandboxLabel('AAECAwQFBgcICQoLDA0ODxAREhMUFRYXGBkaGxwdHh+')).toBeNull();
+    expect(arweaveSandboxLabel(null)).toBeNull();
+  });
+});
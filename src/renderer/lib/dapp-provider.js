@@ -5,12 +5,24 @@
  * - Routes read-only RPC calls to main process
  * - Manages connection requests (shows approval UI)
  * - Handles transaction signing (shows approval UI)
+ * - Handles network and token suggestions (EIP-3085 / EIP-747, shows approval UI)
  *
  * Communication flow:
  * webview (window.ethereum) → renderer (this) → main (RPC/signing)
  */
 
-import { showDappConnect, getSelectedChainId, setSelectedChainId, updateConnectionBanner, showDappTxApproval, showDappSignApproval, showVaultUnlock, updateSwarmConnectionBanner } from './wallet-ui.js';
+import {
+  showDappConnect,
+  getSelectedChainId,
+  setSelectedChainId,
+  updateConnectionBanner,
+  showDappTxApproval,
+  showDappSignApproval,
+  showDappAddChain,
+  showDappWatchAsset,
+  showVaultUnlock,
+  updateSwarmConnectionBanner,
+} from './wallet-ui.js';
 import { extractSelector } from './wallet/dapp-tx.js';
 import { getPermissionKey } from './origin-utils.js';
 
@@ -185,6 +197,10 @@ async function handleProviderRequest(webview, request) {
     } else if (method === 'wallet_switchEthereumChain') {
       // Handle chain switching
       result = await handleSwitchChain(params, permissionKey, webview);
+    } else if (method === 'wallet_addEthereumChain') {
+      result = await handleAddChain(params, permissionKey, webview);
+    } else if (method === 'wallet_watchAsset') {
+      result = await handleWatchAsset(params, permissionKey);
     } else if (method === 'eth_sendTransaction') {
       const txParams = params[0];
       const selector = extractSelector(txParams?.data);
@@ -282,6 +298,7 @@ async function autoApproveTx(permission, txParams, chainId, permissionKey) {
     data: txParams.data,
     gasLimit: gasEstimate.gasLimit || txParams.gas,
     chainId,
+    origin: permissionKey,
   };
 
   if (gasPrices.type === 'eip1559') {
@@ -420,6 +437,106 @@ async function handleSwitchChain(params, permissionKey, webview) {
   return null;
 }
 
+/**
+ * Handle wallet_addEthereumChain (EIP-3085)
+ * Known chains are simply switched to; new ones go through the approval
+ * screen, which checks the RPC before saving, and are switched to once added.
+ */
+async function handleAddChain(params, permissionKey, webview) {
+  const request = params?.[0];
+  if (!request || !/^0x[1-9a-f][0-9a-f]*$/i.test(request.chainId || '')) {
+    throw {
+      ...ERRORS.INVALID_PARAMS,
+      message: 'chainId must be a hex string without leading zeros',
+    };
+  }
+
+  const chainId = parseInt(request.chainId, 16);
+  if (!Number.isSafeInteger(chainId)) {
+    throw { ...ERRORS.INVALID_PARAMS, message: 'chainId is out of range' };
+  }
+
+  const result = await window.chainRegistry.getChains();
+  const chains = result.success ? result.chains : {};
+  if (chains[chainId]) {
+    return handleSwitchChain([{ chainId: request.chainId }], permissionKey, webview);
+  }
+
+  const { chainName, nativeCurrency, rpcUrls, blockExplorerUrls } = request;
+  if (typeof chainName !== 'string' || !chainName.trim()) {
+    throw { ...ERRORS.INVALID_PARAMS, message: 'chainName is required' };
+  }
+  if (
+    !Array.isArray(rpcUrls) ||
+    rpcUrls.length === 0 ||
+    !rpcUrls.every((url) => typeof url === 'string')
+  ) {
+    throw { ...ERRORS.INVALID_PARAMS, message: 'rpcUrls must be a non-empty array of URLs' };
+  }
+  if (
+    typeof nativeCurrency?.name !== 'string' ||
+    typeof nativeCurrency?.symbol !== 'string' ||
+    !/^\S{2,6}$/.test(nativeCurrency.symbol) ||
+    nativeCurrency.decimals !== 18
+  ) {
+    throw {
+      ...ERRORS.INVALID_PARAMS,
+      message: 'nativeCurrency needs a name, a 2-6 character symbol and 18 decimals',
+    };
+  }
+  const explorer = Array.isArray(blockExplorerUrls) ? blockExplorerUrls[0] : null;
+  if (explorer != null && (typeof explorer !== 'string' || !explorer.startsWith('https://'))) {
+    throw { ...ERRORS.INVALID_PARAMS, message: 'blockExplorerUrls must use https' };
+  }
+
+  await showDappAddChain(permissionKey, {
+    chainId,
+    chainIdHex: '0x' + chainId.toString(16),
+    name: chainName.trim(),
+    shortName: nativeCurrency.symbol,
+    nativeSymbol: nativeCurrency.symbol,
+    nativeCurrency: { name: nativeCurrency.name, symbol: nativeCurrency.symbol, decimals: 18 },
+    rpcUrls,
+    blockExplorer: explorer ? explorer.replace(/\/+$/, '') : null,
+  });
+
+  return handleSwitchChain([{ chainId: request.chainId }], permissionKey, webview);
+}
+
+/**
+ * Handle wallet_watchAsset (EIP-747)
+ * Adds an ERC-20 on the currently selected chain after user approval.
+ */
+async function handleWatchAsset(params, permissionKey) {
+  // EIP-747 passes an object; some libraries wrap it in an array
+  const request = Array.isArray(params) ? params[0] : params;
+  if (request?.type !== 'ERC20') {
+    throw { ...ERRORS.INVALID_PARAMS, message: 'Only ERC20 assets are supported' };
+  }
+
+  const { address, symbol } = request.options || {};
+  const decimals = Number(request.options?.decimals);
+  if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    throw { ...ERRORS.INVALID_PARAMS, message: 'options.address must be a contract address' };
+  }
+  if (typeof symbol !== 'string' || !/^\S{1,11}$/.test(symbol)) {
+    throw { ...ERRORS.INVALID_PARAMS, message: 'options.symbol must be 1-11 characters' };
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+    throw { ...ERRORS.INVALID_PARAMS, message: 'options.decimals must be an integer from 0 to 36' };
+  }
+
+  const chainId = parseInt(await getCurrentChainId(), 16);
+  const result = await window.chainRegistry.getTokens(chainId);
+  const tokens = result.success ? Object.values(result.tokens) : [];
+  if (tokens.some((token) => token.address?.toLowerCase() === address.toLowerCase())) {
+    return true;
+  }
+
+  await showDappWatchAsset(permissionKey, { chainId, address, symbol, name: symbol, decimals });
+  return true;
+}
+
 /**
  * Send a response back to the webview
  */
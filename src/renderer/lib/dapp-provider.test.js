@@ -0,0 +1,210 @@
+const { createDocument } = require('../../../test/helpers/fake-dom.js');
+
+const originalWindow = global.window;
+const originalDocument = global.document;
+
+const GNOSIS_TOKEN = '0xe91D153E0b41518A2Ce8Dd3D7944Fa863463a97d';
+
+const NEW_CHAIN = {
+  chainId: '0xa',
+  chainName: ' OP Mainnet ',
+  nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+  rpcUrls: ['https://mainnet.optimism.io'],
+  blockExplorerUrls: ['https://optimistic.etherscan.io/'],
+};
+
+const loadProvider = async () => {
+  jest.resetModules();
+
+  const chains = { 100: { chainId: 100, name: 'Gnosis' } };
+  const walletUi = {
+    showDappConnect: jest.fn(),
+    getSelectedChainId: jest.fn(() => 100),
+    setSelectedChainId: jest.fn(),
+    updateConnectionBanner: jest.fn(),
+    showDappTxApproval: jest.fn(),
+    showDappSignApproval: jest.fn(),
+    showDappAddChain: jest.fn(async (_permissionKey, chain) => {
+      chains[chain.chainId] = chain;
+    }),
+    showDappWatchAsset: jest.fn().mockResolvedValue(undefined),
+    showVaultUnlock: jest.fn(),
+    updateSwarmConnectionBanner: jest.fn(),
+  };
+
+  global.document = createDocument();
+  global.window = {
+    addEventListener: jest.fn(),
+    electronAPI: { getSettings: jest.fn().mockResolvedValue({ enableIdentityWallet: true }) },
+    chainRegistry: {
+      getChains: jest.fn(async () => ({ success: true, chains })),
+      isChainAvailable: jest.fn().mockResolvedValue({ success: true, available: true }),
+      getTokens: jest.fn().mockResolvedValue({
+        success: true,
+        tokens: { xdai: { address: GNOSIS_TOKEN.toLowerCase(), symbol: 'WXDAI' } },
+      }),
+    },
+    dappPermissions: { getPermission: jest.fn().mockResolvedValue(null) },
+  };
+
+  jest.doMock('./wallet-ui.js', () => walletUi);
+  jest.doMock('./wallet/dapp-tx.js', () => ({ extractSelector: jest.fn() }));
+  jest.doMock('./origin-utils.js', () => ({ getPermissionKey: () => 'app.eth' }));
+
+  const mod = await import('./dapp-provider.js');
+  // Let the feature flag load before the first request.
+  await new Promise((resolve) => setImmediate(resolve));
+
+  let listener = null;
+  const webview = {
+    addEventListener: jest.fn((_event, fn) => {
+      listener = fn;
+    }),
+    send: jest.fn(),
+  };
+  mod.setupWebviewProvider(webview);
+
+  let nextId = 0;
+  const request = async (method, params) => {
+    const id = ++nextId;
+    listener({ channel: 'dapp:provider-request', args: [{ id, method, params }] });
+    for (let i = 0; i < 10; i++) {
+      const response = webview.send.mock.calls.find(
+        ([channel, payload]) => channel === 'dapp:provider-response' && payload.id === id
+      );
+      if (response) return response[1];
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    throw new Error(`No response to ${method}`);
+  };
+
+  return { request, walletUi, webview };
+};
+
+describe('dapp-provider', () => {
+  afterEach(() => {
+    global.window = originalWindow;
+    global.document = originalDocument;
+  });
+
+  describe('wallet_addEthereumChain', () => {
+    test.each([
+      [
+        'a padded chain ID',
+        { chainId: '0x0a' },
+        'chainId must be a hex string without leading zeros',
+      ],
+      ['a decimal chain ID', { chainId: 10 }, 'chainId must be a hex string without leading zeros'],
+      ['an unsafe chain ID', { chainId: '0x20000000000000' }, 'chainId is out of range'],
+      ['a blank name', { chainName: ' ' }, 'chainName is required'],
+      ['no RPC URLs', { rpcUrls: [] }, 'rpcUrls must be a non-empty array of URLs'],
+      [
+        'a non-18-decimal currency',
+        { nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 8 } },
+        'nativeCurrency needs a name, a 2-6 character symbol and 18 decimals',
+      ],
+      [
+        'an http explorer',
+        { blockExplorerUrls: ['http://explorer.example'] },
+        'blockExplorerUrls must use https',
+      ],
+    ])('rejects %s without asking the user', async (_label, override, message) => {
+      const { request, walletUi } = await loadProvider();
+
+      const response = await request('wallet_addEthereumChain', [{ ...NEW_CHAIN, ...override }]);
+
+      expect(response.error).toMatchObject({ code: -32602, message });
+      expect(walletUi.showDappAddChain).not.toHaveBeenCalled();
+    });
+
+    test('switches to a known chain without asking to add it', async () => {
+      const { request, walletUi, webview } = await loadProvider();
+
+      const response = await request('wallet_addEthereumChain', [{ chainId: '0x64' }]);
+
+      expect(response).toMatchObject({ result: null, error: null });
+      expect(walletUi.showDappAddChain).not.toHaveBeenCalled();
+      expect(walletUi.setSelectedChainId).toHaveBeenCalledWith(100);
+      expect(webview.send).toHaveBeenCalledWith('dapp:provider-event', {
+        event: 'chainChanged',
+        data: '0x64',
+      });
+    });
+
+    test('asks to add a new chain in registry shape, then switches to it', async () => {
+      const { request, walletUi } = await loadProvider();
+
+      const response = await request('wallet_addEthereumChain', [NEW_CHAIN]);
+
+      expect(response.error).toBeNull();
+      expect(walletUi.showDappAddChain).toHaveBeenCalledWith('app.eth', {
+        chainId: 10,
+        chainIdHex: '0xa',
+        name: 'OP Mainnet',
+        shortName: 'ETH',
+        nativeSymbol: 'ETH',
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        rpcUrls: ['https://mainnet.optimism.io'],
+        blockExplorer: 'https://optimistic.etherscan.io',
+      });
+      expect(walletUi.setSelectedChainId).toHaveBeenCalledWith(10);
+    });
+  });
+
+  describe('wallet_watchAsset', () => {
+    const asset = (options) => ({
+      type: 'ERC20',
+      options: { address: `0x${'12'.repeat(20)}`, symbol: 'TKN', decimals: 18, ...options },
+    });
+
+    test.each([
+      ['a non-ERC20 asset', { ...asset(), type: 'ERC721' }, 'Only ERC20 assets are supported'],
+      [
+        'a short address',
+        asset({ address: '0x1234' }),
+        'options.address must be a contract address',
+      ],
+      [
+        'a long symbol',
+        asset({ symbol: 'ABCDEFGHIJKL' }),
+        'options.symbol must be 1-11 characters',
+      ],
+      [
+        'too many decimals',
+        asset({ decimals: 40 }),
+        'options.decimals must be an integer from 0 to 36',
+      ],
+    ])('rejects %s without asking the user', async (_label, params, message) => {
+      const { request, walletUi } = await loadProvider();
+
+      const response = await request('wallet_watchAsset', params);
+
+      expect(response.error).toMatchObject({ code: -32602, message });
+      expect(walletUi.showDappWatchAsset).not.toHaveBeenCalled();
+    });
+
+    test('accepts a known token without asking again', async () => {
+      const { request, walletUi } = await loadProvider();
+
+      const response = await request('wallet_watchAsset', asset({ address: GNOSIS_TOKEN }));
+
+      expect(response).toMatchObject({ result: true, error: null });
+      expect(walletUi.showDappWatchAsset).not.toHaveBeenCalled();
+    });
+
+    test('asks to add a new token on the selected chain, also when wrapped in an array', async () => {
+      const { request, walletUi } = await loadProvider();
+
+      const response = await request('wallet_watchAsset', [asset({ decimals: '6' })]);
+
+      expect(response).toMatchObject({ result: true, error: null });
+      expect(walletUi.showDappWatchAsset).toHaveBeenCalledWith('app.eth', {
+        chainId: 100,
+        address: `0x${'12'.repeat(20)}`,
+        symbol: 'TKN',
+        name: 'TKN',
+        decimals: 6,
+      });
+    });
+  });
+});
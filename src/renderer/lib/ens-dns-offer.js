@@ -0,0 +1,117 @@
+/**
+ * ENS Alternatives for DNS Sites
+ *
+ * ENS also resolves plain DNS names (`example.com`) that were imported via
+ * DNSSEC or sit behind an offchain resolver. With the `ensDnsNames: 'offer'`
+ * setting, every https:// page on a DNS name gets its contenthash looked
+ * up in the background; when it points at content this browser can load,
+ * an address-bar button offers the decentralized version. Opening it goes
+ * through `ens://example.com`, i.e. the regular ENS path in `loadTarget`
+ * with its trust shield and conflict/unverified interstitials.
+ *
+ * The `'prefer'` mode doesn't need this module: there `loadTarget` resolves
+ * bare DNS names itself before falling back to https://.
+ */
+
+import { state } from './state.js';
+import { isDnsEnsName } from './origin-utils.js';
+import { isSupportedEnsTransport } from './url-utils.js';
+
+const PROTOCOL_LABELS = {
+  bzz: 'Swarm',
+  ipfs: 'IPFS',
+  ipns: 'IPNS',
+  ar: 'Arweave',
+};
+
+// One lookup per host per session. Resolver errors are dropped so the
+// next visit retries; everything else (including "no contenthash", the
+// common answer) sticks.
+const MAX_LOOKUPS = 500;
+const lookups = new Map();
+
+let offerBtn = null;
+let onOpen = null;
+let currentHost = null;
+
+/**
+ * Host to check for an ENS alternative, or null when `url` isn't an
+ * http(s) page on a plain DNS name.
+ */
+export const getOfferHost = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+  if (parsed.port) return null;
+  return isDnsEnsName(parsed.hostname) ? parsed.hostname.toLowerCase() : null;
+};
+
+const lookupHost = (host) => {
+  if (lookups.has(host)) return lookups.get(host);
+  const pending = Promise.resolve(window.electronAPI?.resolveEns?.(host))
+    .then((result) => {
+      if (!result || result.type === 'error') lookups.delete(host);
+      return result || null;
+    })
+    .catch(() => {
+      lookups.delete(host);
+      return null;
+    });
+  lookups.set(host, pending);
+  while (lookups.size > MAX_LOOKUPS) {
+    lookups.delete(lookups.keys().next().value);
+  }
+  return pending;
+};
+
+const hideOffer = () => {
+  offerBtn?.classList.add('hidden');
+};
+
+/**
+ * Show or hide the offer button for the page at `url`. Safe to call on
+ * every navigation: lookups are cached per host and a result that lands
+ * after the page moved on is ignored.
+ */
+export const updateEnsDnsOffer = async (url) => {
+  if (!offerBtn) return;
+  const host = state.ensDnsNames === 'offer' ? getOfferHost(url || '') : null;
+  if (host !== currentHost) hideOffer();
+  currentHost = host;
+  if (!host) return;
+
+  const result = await lookupHost(host);
+  if (host !== currentHost) return;
+
+  // Conflicting or unsupported contenthashes aren't offered: there is no
+  // alternative the user could actually switch to.
+  const protocol =
+    result?.type === 'ok' && isSupportedEnsTransport(result.protocol) ? result.protocol : null;
+  if (!protocol) {
+    hideOffer();
+    return;
+  }
+  const label = `Open ${host} from ${PROTOCOL_LABELS[protocol]} (ENS)`;
+  offerBtn.title = label;
+  offerBtn.setAttribute('aria-label', label);
+  offerBtn.classList.remove('hidden');
+};
+
+/**
+ * Set callback for opening the ENS version of the current site.
+ */
+export const setOnOpenEnsDnsName = (callback) => {
+  onOpen = callback;
+};
+
+export const initEnsDnsOffer = () => {
+  offerBtn = document.getElementById('ens-dns-offer-btn');
+  offerBtn?.addEventListener('click', (event) => {
+    event.stopPropagation();
+    if (currentHost && onOpen) onOpen(`ens://${currentHost}`);
+  });
+};
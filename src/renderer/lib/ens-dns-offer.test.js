@@ -0,0 +1,104 @@
+const { createDocument, createElement } = require('../../../test/helpers/fake-dom.js');
+
+const originalWindow = global.window;
+const originalDocument = global.document;
+
+const loadOfferModule = async ({ mode = 'offer', resolveEns } = {}) => {
+  jest.resetModules();
+
+  const state = { ensDnsNames: mode };
+  const offerBtn = createElement('button', { classes: ['hidden'] });
+  global.document = createDocument({ elementsById: { 'ens-dns-offer-btn': offerBtn } });
+  global.window = { electronAPI: { resolveEns } };
+
+  jest.doMock('./state.js', () => ({ state }));
+
+  const mod = await import('./ens-dns-offer.js');
+  mod.initEnsDnsOffer();
+  return { mod, state, offerBtn };
+};
+
+const okResult = (protocol) => ({ type: 'ok', protocol, uri: `${protocol}://content` });
+
+describe('ens-dns-offer', () => {
+  afterEach(() => {
+    global.window = originalWindow;
+    global.document = originalDocument;
+  });
+
+  test('getOfferHost only accepts http(s) pages on DNS names', async () => {
+    const { mod } = await loadOfferModule();
+
+    expect(mod.getOfferHost('https://Example.com/blog')).toBe('example.com');
+    expect(mod.getOfferHost('https://vitalik.eth/')).toBeNull();
+    expect(mod.getOfferHost('http://localhost:3000/')).toBeNull();
+    expect(mod.getOfferHost('https://127.0.0.1/')).toBeNull();
+    expect(mod.getOfferHost('bzz://example.com/')).toBeNull();
+    expect(mod.getOfferHost('not a url')).toBeNull();
+  });
+
+  test('offers the ENS version when the name has loadable content', async () => {
+    const resolveEns = jest.fn().mockResolvedValue(okResult('ipfs'));
+    const { mod, offerBtn } = await loadOfferModule({ resolveEns });
+    const onOpen = jest.fn();
+    mod.setOnOpenEnsDnsName(onOpen);
+
+    await mod.updateEnsDnsOffer('https://example.com/about');
+
+    expect(resolveEns).toHaveBeenCalledWith('example.com');
+    expect(offerBtn.classList.contains('hidden')).toBe(false);
+    expect(offerBtn.title).toBe('Open example.com from IPFS (ENS)');
+
+    offerBtn.dispatch('click', { stopPropagation: jest.fn() });
+    expect(onOpen).toHaveBeenCalledWith('ens://example.com');
+  });
+
+  test('stays hidden without content, on conflicts, and when the setting is off', async () => {
+    const resolveEns = jest
+      .fn()
+      .mockResolvedValueOnce({ type: 'not_found', reason: 'NO_RESOLVER' })
+      .mockResolvedValueOnce({ type: 'conflict', groups: [] });
+    const { mod, state, offerBtn } = await loadOfferModule({ resolveEns });
+
+    await mod.updateEnsDnsOffer('https://plain.example/');
+    expect(offerBtn.classList.contains('hidden')).toBe(true);
+    await mod.updateEnsDnsOffer('https://disputed.example/');
+    expect(offerBtn.classList.contains('hidden')).toBe(true);
+
+    state.ensDnsNames = 'off';
+    await mod.updateEnsDnsOffer('https://other.example/');
+    expect(resolveEns).toHaveBeenCalledTimes(2);
+  });
+
+  test('looks each host up once, but retries after a resolver error', async () => {
+    const resolveEns = jest
+      .fn()
+      .mockResolvedValueOnce({ type: 'error', reason: 'RPC_DOWN' })
+      .mockResolvedValue(okResult('bzz'));
+    const { mod, offerBtn } = await loadOfferModule({ resolveEns });
+
+    await mod.updateEnsDnsOffer('https://example.com/');
+    expect(offerBtn.classList.contains('hidden')).toBe(true);
+    await mod.updateEnsDnsOffer('https://example.com/a');
+    await mod.updateEnsDnsOffer('https://example.com/b');
+
+    expect(resolveEns).toHaveBeenCalledTimes(2);
+    expect(offerBtn.classList.contains('hidden')).toBe(false);
+  });
+
+  test('ignores a lookup that settles after the page moved on', async () => {
+    let settleFirst;
+    const resolveEns = jest
+      .fn()
+      .mockImplementationOnce(() => new Promise((resolve) => (settleFirst = resolve)))
+      .mockResolvedValue({ type: 'not_found' });
+    const { mod, offerBtn } = await loadOfferModule({ resolveEns });
+
+    const first = mod.updateEnsDnsOffer('https://slow.example/');
+    await mod.updateEnsDnsOffer('https://next.example/');
+    settleFirst(okResult('ipfs'));
+    await first;
+
+    expect(offerBtn.classList.contains('hidden')).toBe(true);
+  });
+});
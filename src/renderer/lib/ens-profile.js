@@ -0,0 +1,199 @@
+/**
+ * ENS Name Profile
+ *
+ * Renders a name's text records (ENSIP-5) and avatar (ENSIP-12) — the
+ * profile section of the trust popover and the recipient avatar on the
+ * wallet Send screen. Records and avatar URLs come from main
+ * (ens-resolver.js / ens-avatar.js); this module only displays them.
+ */
+
+import { createTab } from './tabs.js';
+
+// Display order and labels for the records the profile panel shows.
+// `avatar`, `display` and `description` render in the panel header.
+const PROFILE_FIELDS = [
+  { key: 'url', label: 'Website' },
+  { key: 'email', label: 'Email' },
+  { key: 'com.twitter', label: 'X / Twitter' },
+  { key: 'com.github', label: 'GitHub' },
+  { key: 'com.discord', label: 'Discord' },
+  { key: 'org.telegram', label: 'Telegram' },
+];
+
+// Service handles are often stored with a leading @ or as a full URL.
+const stripHandle = (value) =>
+  value
+    .trim()
+    .replace(/^https?:\/\/(www\.)?[^/]+\//i, '')
+    .replace(/^@/, '')
+    .replace(/\/+$/, '');
+
+const HANDLE_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+const LINK_BUILDERS = {
+  url: (value) => (/^https?:\/\//i.test(value) ? value : null),
+  email: (value) => (/^[^\s@]+@[^\s@]+$/.test(value) ? `mailto:${value}` : null),
+  'com.twitter': (value) => {
+    const handle = stripHandle(value);
+    return HANDLE_RE.test(handle) ? `https://x.com/${handle}` : null;
+  },
+  'com.github': (value) => {
+    const handle = stripHandle(value);
+    return HANDLE_RE.test(handle) ? `https://github.com/${handle}` : null;
+  },
+  'org.telegram': (value) => {
+    const handle = stripHandle(value);
+    return HANDLE_RE.test(handle) ? `https://t.me/${handle}` : null;
+  },
+};
+
+/**
+ * Turn a records map into display rows: `{ key, label, value, href }`.
+ * `href` is null when the value isn't safely linkable (e.g. a `url`
+ * record holding `javascript:`), so it renders as plain text.
+ */
+export const buildProfileRows = (records = {}) => {
+  const rows = [];
+  for (const { key, label } of PROFILE_FIELDS) {
+    const value = records[key];
+    if (typeof value !== 'string' || !value.trim()) continue;
+    const buildLink = LINK_BUILDERS[key];
+    rows.push({
+      key,
+      label,
+      value: value.trim(),
+      href: buildLink ? buildLink(value.trim()) : null,
+    });
+  }
+  return rows;
+};
+
+const setAvatar = (img, url, fallbackEl) => {
+  if (!img) return;
+  if (!url) {
+    img.hidden = true;
+    img.removeAttribute('src');
+    if (fallbackEl) fallbackEl.hidden = false;
+    return;
+  }
+  img.onerror = () => {
+    img.hidden = true;
+    if (fallbackEl) fallbackEl.hidden = false;
+  };
+  img.src = url;
+  img.hidden = false;
+  if (fallbackEl) fallbackEl.hidden = true;
+};
+
+// Bumped on every render so a slow lookup for a previous name can't
+// overwrite the panel after the popover moved on.
+let profileRenderSeq = 0;
+
+/**
+ * Populate the trust popover's profile section for `name`. The section
+ * stays hidden when the name has no profile records at all.
+ */
+export const renderEnsProfilePanel = async (name) => {
+  const panel = document.getElementById('trust-popover-profile');
+  if (!panel) return;
+  const seq = ++profileRenderSeq;
+  panel.hidden = true;
+
+  const api = window.electronAPI;
+  if (!name || !api?.resolveEnsProfile) return;
+
+  let profile;
+  try {
+    profile = await api.resolveEnsProfile(name);
+  } catch {
+    return;
+  }
+  if (seq !== profileRenderSeq || !profile?.success) return;
+
+  const records = profile.records || {};
+  const rows = buildProfileRows(records);
+  const display = records.display?.trim();
+  const description = records.description?.trim();
+  if (!rows.length && !display && !description && !records.avatar) return;
+
+  const avatarImg = document.getElementById('trust-popover-avatar');
+  const avatarFallback = document.getElementById('trust-popover-avatar-fallback');
+  const displayEl = document.getElementById('trust-popover-display');
+  const descriptionEl = document.getElementById('trust-popover-description');
+  const recordsEl = document.getElementById('trust-popover-records');
+
+  if (avatarFallback) avatarFallback.textContent = (display || name).charAt(0).toUpperCase();
+  setAvatar(avatarImg, null, avatarFallback);
+  if (displayEl) displayEl.textContent = display || name;
+  if (descriptionEl) {
+    descriptionEl.textContent = description || '';
+    descriptionEl.hidden = !description;
+  }
+  if (recordsEl) {
+    recordsEl.innerHTML = '';
+    for (const row of rows) {
+      const item = document.createElement('div');
+      item.className = 'trust-popover-record';
+      const label = document.createElement('span');
+      label.className = 'trust-popover-record-label';
+      label.textContent = row.label;
+      item.appendChild(label);
+
+      if (row.href) {
+        const link = document.createElement('a');
+        link.className = 'trust-popover-record-value';
+        link.href = row.href;
+        link.textContent = row.value;
+        link.addEventListener('click', (event) => {
+          event.preventDefault();
+          if (row.href.startsWith('mailto:')) {
+            window.electronAPI?.copyText?.(row.value);
+          } else {
+            createTab(row.href);
+          }
+        });
+        if (row.href.startsWith('mailto:')) link.title = 'Copy address';
+        item.appendChild(link);
+      } else {
+        const value = document.createElement('span');
+        value.className = 'trust-popover-record-value';
+        value.textContent = row.value;
+        item.appendChild(value);
+      }
+      recordsEl.appendChild(item);
+    }
+  }
+  panel.hidden = false;
+
+  if (records.avatar && api.resolveEnsAvatar) {
+    try {
+      const avatar = await api.resolveEnsAvatar(name);
+      if (seq === profileRenderSeq && avatar?.success) {
+        setAvatar(avatarImg, avatar.url, avatarFallback);
+      }
+    } catch {
+      // Keep the initial placeholder
+    }
+  }
+};
+
+/**
+ * Show `name`'s avatar in `img`, or hide it when there is none. Never
+ * throws — an avatar is decoration, not part of the send flow.
+ */
+export const showEnsAvatar = async (img, name) => {
+  if (!img) return;
+  setAvatar(img, null);
+  img.dataset.ensName = name || '';
+  const api = window.electronAPI;
+  if (!name || !api?.resolveEnsAvatar) return;
+  try {
+    const avatar = await api.resolveEnsAvatar(name);
+    if (img.dataset.ensName === name && avatar?.success) {
+      img.alt = `${name} avatar`;
+      setAvatar(img, avatar.url);
+    }
+  } catch {
+    // No avatar
+  }
+};
@@ -0,0 +1,108 @@
+jest.mock('./tabs.js', () => ({ createTab: jest.fn() }));
+
+import { buildProfileRows, showEnsAvatar } from './ens-profile.js';
+
+describe('buildProfileRows', () => {
+  test('orders known records and links them', () => {
+    expect(
+      buildProfileRows({
+        'com.github': 'vbuterin',
+        url: 'https://vitalik.ca',
+        'com.twitter': '@VitalikButerin',
+        avatar: 'ipfs://ignored',
+      })
+    ).toEqual([
+      { key: 'url', label: 'Website', value: 'https://vitalik.ca', href: 'https://vitalik.ca' },
+      {
+        key: 'com.twitter',
+        label: 'X / Twitter',
+        value: '@VitalikButerin',
+        href: 'https://x.com/VitalikButerin',
+      },
+      {
+        key: 'com.github',
+        label: 'GitHub',
+        value: 'vbuterin',
+        href: 'https://github.com/vbuterin',
+      },
+    ]);
+  });
+
+  test('accepts handles stored as profile URLs', () => {
+    const [row] = buildProfileRows({ 'com.github': 'https://github.com/ensdomains/' });
+    expect(row.href).toBe('https://github.com/ensdomains');
+  });
+
+  test('never links unsafe or malformed values', () => {
+    const rows = buildProfileRows({
+      url: 'javascript:alert(1)',
+      'com.twitter': 'not a handle',
+      'com.discord': 'someone#1234',
+      email: 'me@example.com',
+    });
+    expect(rows.map((r) => [r.key, r.href])).toEqual([
+      ['url', null],
+      ['email', 'mailto:me@example.com'],
+      ['com.twitter', null],
+      ['com.discord', null],
+    ]);
+  });
+
+  test('skips empty records', () => {
+    expect(buildProfileRows({ url: '  ', email: '' })).toEqual([]);
+    expect(buildProfileRows()).toEqual([]);
+  });
+});
+
+describe('showEnsAvatar', () => {
+  const originalWindow = global.window;
+  const makeImg = () => ({ hidden: true, dataset: {}, removeAttribute: jest.fn() });
+
+  afterEach(() => {
+    global.window = originalWindow;
+  });
+
+  test('shows the resolved avatar', async () => {
+    global.window = {
+      electronAPI: {
+        resolveEnsAvatar: jest.fn().mockResolvedValue({ success: true, url: 'https://a/b.png' }),
+      },
+    };
+    const img = makeImg();
+
+    await showEnsAvatar(img, 'vitalik.eth');
+
+    expect(img.src).toBe('https://a/b.png');
+    expect(img.hidden).toBe(false);
+  });
+
+  test('stays hidden without a name or avatar', async () => {
+    const resolveEnsAvatar = jest.fn().mockResolvedValue({ success: false, reason: 'NO_AVATAR' });
+    global.window = { electronAPI: { resolveEnsAvatar } };
+    const img = makeImg();
+
+    await showEnsAvatar(img, null);
+    expect(resolveEnsAvatar).not.toHaveBeenCalled();
+
+    await showEnsAvatar(img, 'plain.eth');
+    expect(img.hidden).toBe(true);
+  });
+
+  test('ignores a stale lookup once the recipient changed', async () => {
+    let resolveFirst;
+    const resolveEnsAvatar = jest
+      .fn()
+      .mockImplementationOnce(() => new Promise((r) => (resolveFirst = r)))
+      .mockResolvedValue({ success: false });
+    global.window = { electronAPI: { resolveEnsAvatar } };
+    const img = makeImg();
+
+    const first = showEnsAvatar(img, 'old.eth');
+    await showEnsAvatar(img, 'new.eth');
+    resolveFirst({ success: true, url: 'https://old/avatar.png' });
+    await first;
+
+    expect(img.src).toBeUndefined();
+    expect(img.hidden).toBe(true);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * IPFS Provider Handler (Renderer Side)
+ *
+ * Handles window.ipfs requests from webviews, mirroring swarm-provider.js:
+ * - Routes ipfs_requestAccess through the shared connection approval UI
+ * - Shows the publish prompt for adds, pins and IPNS updates
+ * - Forwards requests to the main process (the authority)
+ *
+ * Communication flow:
+ * webview (window.ipfs) → renderer (this) → main (ipfs/ipfs-provider-ipc.js)
+ */
+
+import { getPermissionKey } from './dapp-provider.js';
+import { getDisplayUrlForWebview } from './tabs.js';
+import {
+  showSwarmConnect,
+  updateSwarmConnectionBanner,
+  showSwarmPublishApproval,
+  showVaultUnlock,
+} from './wallet-ui.js';
+
+const ERRORS = {
+  UNAUTHORIZED: { code: 4100, message: 'Origin not authorized' },
+  DISCONNECTED: { code: 4900, message: 'IPFS provider is not available' },
+  INTERNAL_ERROR: { code: -32603, message: 'Internal error' },
+};
+
+// Methods that read public network data: no grant, no prompt.
+const PUBLIC_METHODS = new Set(['ipfs_getCapabilities', 'ipfs_cat', 'ipfs_resolveName']);
+
+// Methods that write through the node, keyed to their auto-approve type.
+const APPROVAL_TYPES = {
+  ipfs_add: 'publish',
+  ipfs_addFiles: 'publish',
+  ipfs_pin: 'publish',
+  ipfs_publishName: 'names',
+};
+
+// Feature flag state (same pattern as swarm-provider.js)
+let identityWalletEnabled = false;
+
+window.electronAPI
+  ?.getSettings?.()
+  .then((settings) => {
+    identityWalletEnabled = settings?.enableIdentityWallet === true;
+  })
+  .catch(() => {});
+window.addEventListener('settings:updated', (event) => {
+  identityWalletEnabled = event.detail?.enableIdentityWallet === true;
+});
+
+/**
+ * Setup IPFS provider request listener for a webview.
+ * Called from tabs.js when creating a webview.
+ */
+export function setupIpfsProvider(webview) {
+  if (!webview) return;
+
+  webview.addEventListener('ipc-message', (event) => {
+    if (event.channel === 'ipfs:provider-request') {
+      handleIpfsRequest(webview, event.args[0]);
+    }
+  });
+}
+
+/**
+ * Handle an IPFS provider request from a webview.
+ */
+async function handleIpfsRequest(webview, request) {
+  const { id, method, params } = request;
+
+  if (!identityWalletEnabled) {
+    sendIpfsResponse(webview, id, null, ERRORS.DISCONNECTED);
+    return;
+  }
+
+  const displayUrl = getDisplayUrlForWebview(webview);
+  const permissionKey = getPermissionKey(displayUrl);
+
+  try {
+    let result;
+
+    if (method === 'ipfs_requestAccess') {
+      result = await handleRequestAccess(webview, displayUrl, permissionKey);
+    } else if (PUBLIC_METHODS.has(method)) {
+      result = await forwardToMain(method, params, permissionKey);
+    } else if (APPROVAL_TYPES[method]) {
+      const permission = await requirePermission(permissionKey);
+
+      if (!permission.autoApprove?.[APPROVAL_TYPES[method]]) {
+        await new Promise((resolve, reject) => {
+          showSwarmPublishApproval(permissionKey, params, resolve, reject, {
+            network: 'ipfs',
+            method,
+          });
+        });
+      }
+
+      result = await executeWithPermission(method, params, permissionKey);
+    } else {
+      // Unknown methods: let main answer with its own error
+      result = await executeWithPermission(method, params, permissionKey);
+    }
+
+    sendIpfsResponse(webview, id, result, null);
+  } catch (error) {
+    sendIpfsResponse(webview, id, null, {
+      code: error.code || ERRORS.INTERNAL_ERROR.code,
+      message: error.message || ERRORS.INTERNAL_ERROR.message,
+      data: error.data,
+    });
+  }
+}
+
+/**
+ * Check that the origin has IPFS permission. Throws UNAUTHORIZED if not.
+ */
+async function requirePermission(permissionKey) {
+  const permission = await window.ipfsPermissions.getPermission(permissionKey);
+  if (!permission) {
+    throw {
+      ...ERRORS.UNAUTHORIZED,
+      message: 'Origin not authorized. Call ipfs_requestAccess first.',
+    };
+  }
+  return permission;
+}
+
+/**
+ * Check permission, update lastUsed, forward to main, unwrap result.
+ *
+ * The first IPNS publish for an origin derives its key from the vault.
+ * Main reports a locked vault as `vault_locked`; prompt for unlock and
+ * retry once rather than asking up front, since later publishes reuse
+ * the key already in Kubo and work with the vault locked.
+ */
+async function executeWithPermission(method, params, permissionKey) {
+  await requirePermission(permissionKey);
+  await window.ipfsPermissions.updateLastUsed(permissionKey);
+  let response = await window.ipfsProvider.execute(method, params, permissionKey);
+  if (response.error?.data?.reason === 'vault_locked') {
+    await showVaultUnlock(permissionKey);
+    response = await window.ipfsProvider.execute(method, params, permissionKey);
+  }
+  if (response.error) throw response.error;
+  return response.result;
+}
+
+/**
+ * Forward to main without any permission check (public reads).
+ */
+async function forwardToMain(method, params, permissionKey) {
+  const response = await window.ipfsProvider.execute(method, params, permissionKey);
+  if (response.error) throw response.error;
+  return response.result;
+}
+
+/**
+ * Handle ipfs_requestAccess: check existing permission or show prompt.
+ */
+async function handleRequestAccess(webview, displayUrl, permissionKey) {
+  const existing = await window.ipfsPermissions.getPermission(permissionKey);
+  if (existing) {
+    await window.ipfsPermissions.updateLastUsed(permissionKey);
+    const response = await window.ipfsProvider.execute('ipfs_requestAccess', {}, permissionKey);
+    if (response.error) throw response.error;
+    updateSwarmConnectionBanner(permissionKey);
+    return response.result;
+  }
+
+  return new Promise((resolve, reject) => {
+    showSwarmConnect(displayUrl, permissionKey, resolve, reject, webview, 'ipfs');
+  });
+}
+
+/**
+ * Send a response back to the webview.
+ */
+function sendIpfsResponse(webview, id, result, error) {
+  if (webview && webview.send) {
+    webview.send('ipfs:provider-response', { id, result, error });
+  }
+}
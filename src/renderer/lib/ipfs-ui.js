@@ -13,10 +13,15 @@ let ipfsInfoPanel = null;
 let ipfsStatusRow = null;
 let ipfsStatusLabel = null;
 let ipfsStatusValue = null;
+let ipfsPinSiteBtn = null;
+let ipfsManagePinsBtn = null;
 
 // Binary availability state
 let ipfsBinaryAvailable = true;
 
+const PIN_BUTTON_LABEL = 'Pin This Site';
+const PIN_DONE_RESET_MS = 2000;
+
 export const stopIpfsInfoPolling = () => {
   if (state.ipfsPeersInterval) {
     clearInterval(state.ipfsPeersInterval);
@@ -44,6 +49,8 @@ const fetchPeersAndBandwidth = async () => {
   }
   if (!ipfsInfoPanel?.classList.contains('visible')) return;
 
+  updateIpfsPinButton();
+
   // Fetch version if not yet fetched
   if (!state.ipfsVersionFetched) fetchVersionOnce();
 
@@ -99,6 +106,81 @@ const fetchVersionOnce = async () => {
   }
 };
 
+// Map a webview URL to the ipfs:// / ipns:// URL to pin, or null when the
+// page isn't IPFS content. Pages that fell back to the path gateway are
+// mapped back onto the scheme form main expects.
+export const toPinnableIpfsUrl = (url) => {
+  if (!url) return null;
+  if (/^ip[fn]s:\/\//i.test(url)) return url;
+  const prefixes = [
+    [state.ipfsRoutePrefix, 'ipfs'],
+    [state.ipnsRoutePrefix, 'ipns'],
+  ];
+  for (const [prefix, scheme] of prefixes) {
+    if (prefix && url.startsWith(prefix) && url.length > prefix.length) {
+      return `${scheme}://${url.slice(prefix.length)}`;
+    }
+  }
+  return null;
+};
+
+const getActiveWebview = () =>
+  document.getElementById('webview-container')?.querySelector('webview:not(.hidden)');
+
+const getActivePinnableUrl = () => {
+  try {
+    return toPinnableIpfsUrl(getActiveWebview()?.getURL?.());
+  } catch {
+    return null;
+  }
+};
+
+export const updateIpfsPinButton = () => {
+  if (!ipfsPinSiteBtn || ipfsPinSiteBtn.dataset.busy === 'true') return;
+  const url = getActivePinnableUrl();
+  ipfsPinSiteBtn.disabled = !url || state.currentIpfsStatus !== 'running';
+  ipfsPinSiteBtn.title = url ? '' : 'Open an ipfs:// or ipns:// page to pin it';
+};
+
+// Pin a site to the local node. Shared by the nodes panel button and the
+// page context menu (via the `pin-ipfs-site` document event). Pinning
+// fetches the whole DAG, so this can take a while for large sites.
+export const pinIpfsSite = async (url, title) => {
+  if (!url || !window.ipfs?.pinSite) return null;
+
+  pushDebug(`[IPFS] Pinning ${url}`);
+  if (ipfsPinSiteBtn) {
+    ipfsPinSiteBtn.dataset.busy = 'true';
+    ipfsPinSiteBtn.disabled = true;
+    ipfsPinSiteBtn.textContent = 'Pinning…';
+  }
+
+  let result;
+  try {
+    result = await window.ipfs.pinSite(url, { name: title });
+  } catch (err) {
+    result = { success: false, error: err.message };
+  }
+
+  if (result?.success) {
+    pushDebug(`[IPFS] Pinned ${result.cid}`);
+  } else {
+    pushDebug(`[IPFS] Pin failed: ${result?.error}`);
+    alert(`Could not pin this site: ${result?.error || 'unknown error'}`);
+  }
+
+  if (ipfsPinSiteBtn) {
+    ipfsPinSiteBtn.textContent = result?.success ? 'Pinned ✓' : PIN_BUTTON_LABEL;
+    const resetDelay = result?.success ? PIN_DONE_RESET_MS : 0;
+    setTimeout(() => {
+      ipfsPinSiteBtn.dataset.busy = 'false';
+      ipfsPinSiteBtn.textContent = PIN_BUTTON_LABEL;
+      updateIpfsPinButton();
+    }, resetDelay);
+  }
+  return result;
+};
+
 export const startIpfsInfoPolling = () => {
   if (!state.beeMenuOpen || state.currentIpfsStatus === 'stopped') {
     stopIpfsInfoPolling();
@@ -231,6 +313,8 @@ export const initIpfsUi = () => {
   ipfsStatusRow = document.getElementById('ipfs-status-row');
   ipfsStatusLabel = document.getElementById('ipfs-status-label');
   ipfsStatusValue = document.getElementById('ipfs-status-value');
+  ipfsPinSiteBtn = document.getElementById('ipfs-pin-site-btn');
+  ipfsManagePinsBtn = document.getElementById('ipfs-manage-pins-btn');
 
   // Check binary availability
   if (window.ipfs) {
@@ -278,6 +362,19 @@ export const initIpfsUi = () => {
     }
   });
 
+  ipfsPinSiteBtn?.addEventListener('click', () => {
+    const url = getActivePinnableUrl();
+    if (url) pinIpfsSite(url, getActiveWebview()?.getTitle?.());
+  });
+  ipfsManagePinsBtn?.addEventListener('click', () => {
+    document.dispatchEvent(
+      new CustomEvent('open-url-new-tab', { detail: { url: 'freedom://pins' } })
+    );
+  });
+  document.addEventListener('pin-ipfs-site', (e) => {
+    pinIpfsSite(e.detail?.url, e.detail?.title);
+  });
+
   // Listen for status updates from main process
   if (window.ipfs) {
     const handleStatus = ({ status, error }) => {
@@ -3,6 +3,7 @@ const { createDocument, createElement } = require('../../../test/helpers/fake-do
 const originalWindow = global.window;
 const originalDocument = global.document;
 const originalFetch = global.fetch;
+const originalAlert = global.alert;
 
 const flushMicrotasks = async () => {
   await Promise.resolve();
@@ -19,6 +20,8 @@ const loadIpfsModule = async (options = {}) => {
     ipfsVersionFetched: options.ipfsVersionFetched ?? false,
     ipfsVersionValue: options.ipfsVersionValue || '',
     suppressIpfsRunningStatus: options.suppressIpfsRunningStatus ?? false,
+    ipfsRoutePrefix: 'http://127.0.0.1:8080/ipfs/',
+    ipnsRoutePrefix: 'http://127.0.0.1:8080/ipns/',
     registry: {
       ipfs: {
         api: 'http://ipfs.test',
@@ -47,6 +50,13 @@ const loadIpfsModule = async (options = {}) => {
   const ipfsStatusRow = createElement('div');
   const ipfsStatusLabel = createElement('span');
   const ipfsStatusValue = createElement('span');
+  const ipfsPinSiteBtn = createElement('button');
+  const ipfsManagePinsBtn = createElement('button');
+  const webviewContainer = createElement('div');
+  const activeWebview = createElement('webview');
+  activeWebview.getURL = jest.fn(() => options.activeUrl || 'https://example.com/');
+  activeWebview.getTitle = jest.fn(() => 'Active Page');
+  webviewContainer.appendChild(activeWebview);
   const body = createElement('body');
   body.appendChild(ipfsInfoPanel);
   const document = createDocument({
@@ -61,8 +71,12 @@ const loadIpfsModule = async (options = {}) => {
       'ipfs-status-row': ipfsStatusRow,
       'ipfs-status-label': ipfsStatusLabel,
       'ipfs-status-value': ipfsStatusValue,
+      'ipfs-pin-site-btn': ipfsPinSiteBtn,
+      'ipfs-manage-pins-btn': ipfsManagePinsBtn,
+      'webview-container': webviewContainer,
     },
   });
+  document.dispatchEvent = jest.fn();
   let statusHandler = null;
   const ipfsApi =
     options.windowIpfs === false
@@ -83,6 +97,9 @@ const loadIpfsModule = async (options = {}) => {
           onStatusUpdate: jest.fn((handler) => {
             statusHandler = handler;
           }),
+          pinSite: jest
+            .fn()
+            .mockResolvedValue(options.pinResult || { success: true, cid: 'bafycid' }),
         };
   let intervalId = 1;
   const setIntervalMock = jest.spyOn(global, 'setInterval').mockImplementation(() => intervalId++);
@@ -116,6 +133,13 @@ const loadIpfsModule = async (options = {}) => {
     ipfs: ipfsApi,
   };
   global.document = document;
+  global.alert = jest.fn();
+  global.CustomEvent = class {
+    constructor(type, init) {
+      this.type = type;
+      this.detail = init?.detail;
+    }
+  };
 
   jest.doMock('./state.js', () => ({
     state,
@@ -135,6 +159,8 @@ const loadIpfsModule = async (options = {}) => {
     setIntervalMock,
     clearIntervalMock,
     ipfsApi,
+    document,
+    activeWebview,
     getStatusHandler: () => statusHandler,
     elements: {
       ipfsToggleBtn,
@@ -147,6 +173,8 @@ const loadIpfsModule = async (options = {}) => {
       ipfsStatusRow,
       ipfsStatusLabel,
       ipfsStatusValue,
+      ipfsPinSiteBtn,
+      ipfsManagePinsBtn,
     },
   };
 };
@@ -156,6 +184,8 @@ describe('ipfs-ui', () => {
     global.window = originalWindow;
     global.document = originalDocument;
     global.fetch = originalFetch;
+    global.alert = originalAlert;
+    delete global.CustomEvent;
     jest.restoreAllMocks();
   });
 
@@ -290,4 +320,66 @@ describe('ipfs-ui', () => {
     expect(ctx.ipfsApi.stop).toHaveBeenCalled();
     expect(ctx.debugMocks.pushDebug).toHaveBeenCalledWith('User toggled IPFS Off');
   });
+
+  test('maps IPFS page URLs to pin targets', async () => {
+    const ctx = await loadIpfsModule({ windowIpfs: false });
+
+    expect(ctx.mod.toPinnableIpfsUrl('ipfs://bafycid/docs/')).toBe('ipfs://bafycid/docs/');
+    expect(ctx.mod.toPinnableIpfsUrl('IPNS://docs.ipfs.tech/')).toBe('IPNS://docs.ipfs.tech/');
+    expect(ctx.mod.toPinnableIpfsUrl('http://127.0.0.1:8080/ipfs/zCid/a')).toBe('ipfs://zCid/a');
+    expect(ctx.mod.toPinnableIpfsUrl('http://127.0.0.1:8080/ipns/k51key')).toBe('ipns://k51key');
+    expect(ctx.mod.toPinnableIpfsUrl('http://127.0.0.1:8080/ipfs/')).toBeNull();
+    expect(ctx.mod.toPinnableIpfsUrl('https://example.com/')).toBeNull();
+    expect(ctx.mod.toPinnableIpfsUrl('')).toBeNull();
+  });
+
+  test('enables the nodes-panel pin button only for IPFS pages on a running node', async () => {
+    const ctx = await loadIpfsModule({
+      currentIpfsStatus: 'running',
+      activeUrl: 'https://example.com/',
+      statusResult: { status: 'running', error: null },
+    });
+    ctx.mod.initIpfsUi();
+
+    ctx.mod.updateIpfsPinButton();
+    expect(ctx.elements.ipfsPinSiteBtn.disabled).toBe(true);
+
+    ctx.activeWebview.getURL.mockReturnValue('ipfs://bafycid/');
+    ctx.mod.updateIpfsPinButton();
+    expect(ctx.elements.ipfsPinSiteBtn.disabled).toBe(false);
+
+    ctx.state.currentIpfsStatus = 'stopped';
+    ctx.mod.updateIpfsPinButton();
+    expect(ctx.elements.ipfsPinSiteBtn.disabled).toBe(true);
+  });
+
+  test('pins the active site from the nodes panel and the context-menu event', async () => {
+    const setTimeoutMock = jest.spyOn(global, 'setTimeout').mockImplementation(() => 0);
+    const ctx = await loadIpfsModule({
+      currentIpfsStatus: 'running',
+      activeUrl: 'ipfs://vitalik.eth/blog/',
+    });
+    ctx.mod.initIpfsUi();
+
+    ctx.elements.ipfsPinSiteBtn.dispatch('click');
+    await flushMicrotasks();
+
+    expect(ctx.ipfsApi.pinSite).toHaveBeenCalledWith('ipfs://vitalik.eth/blog/', {
+      name: 'Active Page',
+    });
+    expect(ctx.elements.ipfsPinSiteBtn.textContent).toBe('Pinned ✓');
+    expect(setTimeoutMock).toHaveBeenCalledWith(expect.any(Function), 2000);
+
+    ctx.ipfsApi.pinSite.mockResolvedValueOnce({ success: false, error: 'node offline' });
+    ctx.document.handlers['pin-ipfs-site']({ detail: { url: 'ipns://docs.ipfs.tech/', title: 'Docs' } });
+    await flushMicrotasks();
+
+    expect(ctx.ipfsApi.pinSite).toHaveBeenLastCalledWith('ipns://docs.ipfs.tech/', { name: 'Docs' });
+    expect(global.alert).toHaveBeenCalledWith('Could not pin this site: node offline');
+
+    ctx.elements.ipfsManagePinsBtn.dispatch('click');
+    expect(ctx.document.dispatchEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'open-url-new-tab', detail: { url: 'freedom://pins' } })
+    );
+  });
 });
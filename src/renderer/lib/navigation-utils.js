@@ -38,6 +38,7 @@ export const resolveProtocolIconType = ({
   if (normalizedValue.startsWith('bzz://')) return 'swarm';
   if (normalizedValue.startsWith('ipfs://')) return 'ipfs';
   if (normalizedValue.startsWith('ipns://')) return 'ipns';
+  if (normalizedValue.startsWith('ar://')) return 'arweave';
   if (normalizedValue.startsWith('rad://')) {
     return enableRadicleIntegration ? 'radicle' : 'http';
   }
@@ -124,6 +125,12 @@ export const extractEnsResolutionMetadata = (targetUri, ensName) => {
     resolvedProtocol = 'ipns';
   }
 
+  if (/^ar:\/\//.test(targetUri)) {
+    // ar:// ENS loads keep the name as the host, so there is no id to map
+    // back; only the protocol icon needs to know.
+    resolvedProtocol = 'arweave';
+  }
+
   return {
     knownEnsPairs,
     resolvedProtocol,
@@ -17,8 +17,10 @@ import {
   resolveTrustBadge,
 } from './navigation-utils.js';
 import {
+  formatArweaveUrl,
   formatBzzUrl,
   formatIpfsUrl,
+  parseSwarmFeedInput,
   formatRadicleUrl,
   deriveDisplayValue,
   deriveBzzBaseFromUrl,
@@ -56,6 +58,9 @@ import { parseEthereumUri } from './ethereum-uri.js';
 import { openSendFlow } from './wallet-ui.js';
 import { walletState } from './wallet/wallet-state.js';
 import { formatWeiToDecimal } from './wallet/send.js';
+import { renderEnsProfilePanel } from './ens-profile.js';
+import { updateEnsDnsOffer } from './ens-dns-offer.js';
+import { updateSwarmFeedIndicator } from './swarm-feed-ui.js';
 
 // Helper to get active tab's navigation state (with fallback to empty object)
 const getNavState = () => getActiveTabState() || {};
@@ -242,6 +247,11 @@ const TRUST_SUMMARY = {
   },
   'user-configured': () => 'Resolved via your configured RPC. Single source — no cross-check performed.',
   unverified: () => 'Only one RPC answered in time. The browser could not cross-check this resolution.',
+  stale: (trust) => {
+    const block = trust.block?.number ? ` at block ${trust.block.number}` : '';
+    const when = trust.verifiedAt ? ` on ${new Date(trust.verifiedAt).toLocaleString()}` : '';
+    return `Stale: no ENS RPC could be reached. Showing the result verified${block}${when}; it may have changed since.`;
+  },
   conflict: () => 'RPC servers disagreed. Navigation was blocked.',
 };
 
@@ -251,6 +261,7 @@ const TRUST_ARIA_LABEL = {
   verified: 'ENS resolution trust: verified',
   'user-configured': 'ENS resolution trust: user-configured',
   unverified: 'ENS resolution trust: unverified',
+  stale: 'ENS resolution trust: stale, offline',
   conflict: 'ENS resolution trust: conflict',
 };
 
@@ -334,14 +345,30 @@ const toggleTrustPopover = () => {
     }
   }
 
+  // Profile records load asynchronously; the section appears once (and
+  // only if) the name has any. Not shown for conflicting resolutions —
+  // the records would come from the same disputed resolver — nor for
+  // stale ones, where the RPCs it would query are unreachable.
+  if (level === 'conflict' || level === 'stale') {
+    const profilePanel = document.getElementById('trust-popover-profile');
+    if (profilePanel) profilePanel.hidden = true;
+  } else {
+    renderEnsProfilePanel(name);
+  }
+
   setTrustPopoverOpen(true);
 };
 
 // Update protocol icon AND trust shield from the current address-bar value.
 // Called from every site that might change either (nav events, tab switches,
 // address-bar edits). Trust shield is hidden for non-ENS URLs; the protocol
-// icon keeps indicating bzz://, ipfs://, https://, etc. as before.
+// icon keeps indicating bzz://, ipfs://, https://, etc. as before. The
+// ENS-for-DNS offer button and the Swarm feed chip key on the committed
+// page URL instead, so typing in the address bar never triggers a lookup.
 const updateProtocolIcon = () => {
+  updateEnsDnsOffer(getNavState().currentPageUrl);
+  updateSwarmFeedIndicator(getNavState().currentPageUrl);
+
   if (protocolIcon) {
     const protocol = resolveProtocolIconType({
       value: addressInput?.value || '',
@@ -788,6 +815,13 @@ export const loadTarget = (value, displayOverride = null, targetWebview = null,
             });
           }
 
+          // ar:// has no gateway route to rewrite to: the protocol handler
+          // serves the ENS name itself.
+          if (result.protocol === 'ar') {
+            capturedWebview.loadURL(`view-source:${transportDisplay}`);
+            return;
+          }
+
           const { loadUrl } = buildViewSourceNavigation({
             value: `view-source:${targetUri}`,
             bzzRoutePrefix: state.bzzRoutePrefix,
@@ -862,8 +896,52 @@ export const loadTarget = (value, displayOverride = null, targetWebview = null,
     return;
   }
 
-  // Try ENS first (ens:// or .eth/.box addresses)
-  const ens = parseEnsInput(value);
+  // Swarm feeds (bzz-feed://<owner>/<topic>, bzz://[<index>.]<owner>.<topic>).
+  // Like Swarm-backed ENS: the feed is resolved here so the probe can gate
+  // on the update's content reference, while Chromium loads the feed host
+  // and the bzz protocol handler resolves it again (cached) per request.
+  const feed = parseSwarmFeedInput(value);
+  if (feed && electronAPI?.resolveSwarmFeed) {
+    const capturedWebview = webview;
+    const capturedTabId = getTabIdForWebview(capturedWebview);
+    const feedDisplay = displayOverride || feed.displayValue;
+    const showFeedError = (message) => {
+      pushDebug(`Swarm feed resolution failed for ${feed.loadUrl}: ${message}`);
+      capturedWebview.loadURL(
+        buildErrorPageUrl('swarm_content_not_found', feedDisplay, {
+          protocol: 'swarm',
+          retry: feed.loadUrl,
+        })
+      );
+    };
+    setLoading(true, capturedTabId);
+    setAddressDisplayForTab(feedDisplay, capturedTabId);
+    pushDebug(`Resolving Swarm feed: ${feed.loadUrl}`);
+    electronAPI
+      .resolveSwarmFeed(feed.owner, feed.topic, feed.index)
+      .then((result) => {
+        setLoading(false, capturedTabId);
+        if (!result?.success) {
+          showFeedError(result?.error?.message || 'no response');
+          return;
+        }
+        pushDebug(`Swarm feed resolved: update #${result.index} -> ${result.reference}`);
+        loadTarget(`bzz://${result.reference}${feed.suffix}`, feedDisplay, capturedWebview, {
+          bzzLoadUrl: feed.loadUrl,
+          swarmHash: result.reference,
+        });
+      })
+      .catch((err) => {
+        setLoading(false, capturedTabId);
+        showFeedError(err.message);
+      });
+    return;
+  }
+
+  // Try ENS first (ens:// or .eth/.box addresses). Under the "prefer ENS"
+  // setting a bare DNS name is looked up as well; when it has no loadable
+  // ENS content it is an ordinary website and falls back to https://.
+  const ens = parseEnsInput(value, { dnsNames: state.ensDnsNames === 'prefer' });
   if (ens && electronAPI?.resolveEns) {
     // Capture the webview reference before async operation to prevent loading in wrong tab
     const capturedWebview = webview;
@@ -901,10 +979,21 @@ export const loadTarget = (value, displayOverride = null, targetWebview = null,
         alert(alertMessage);
       }
     };
+    const httpsFallbackUrl =
+      ens.dns && !ens.assertedTransport && !/^ens:\/\//i.test(value.trim())
+        ? `https://${ens.name}${ens.suffix}`
+        : null;
+    const fallBackToHttps = (reason) => {
+      if (!httpsFallbackUrl) return false;
+      pushDebug(`No ENS content for ${ens.name} (${reason}), loading ${httpsFallbackUrl}`);
+      loadTarget(httpsFallbackUrl, displayOverride, capturedWebview);
+      return true;
+    };
     electronAPI
       .resolveEns(ens.name)
       .then((result) => {
         setLoading(false, capturedTabId);
+        if (!result && fallBackToHttps('no response')) return;
         if (!result) {
           failEnsResolution(
             `ENS resolution failed for ${ens.name}: no response`,
@@ -938,19 +1027,31 @@ export const loadTarget = (value, displayOverride = null, targetWebview = null,
           return;
         }
 
-        if (result.type !== 'ok') {
-          const reason = result.reason || 'Unknown error';
-          failEnsResolution(
-            `ENS resolution failed for ${ens.name}: ${reason}`,
-            `ENS resolution failed for ${ens.name}: ${reason}`
+        // A contenthash we can't load — an onion service, Skynet, or a
+        // codec we don't know — gets an interstitial naming the network
+        // rather than a bare "resolution failed" alert.
+        if (
+          result.type === 'unsupported' ||
+          (result.type === 'ok' && !isSupportedEnsTransport(result.protocol))
+        ) {
+          if (fallBackToHttps(`unsupported codec ${result.codec}`)) return;
+          pushDebug(`ENS content for ${ens.name} uses unsupported codec ${result.codec}`);
+          capturedWebview.loadURL(
+            buildInternalPageUrl('ens-unsupported.html', {
+              name: ens.name,
+              codec: result.codec || '',
+              uri: result.uri || '',
+            })
           );
           return;
         }
 
-        if (!isSupportedEnsTransport(result.protocol)) {
+        if (result.type !== 'ok') {
+          const reason = result.reason || 'Unknown error';
+          if (fallBackToHttps(reason)) return;
           failEnsResolution(
-            `ENS content for ${ens.name} uses unsupported protocol ${result.protocol}`,
-            `ENS content uses unsupported protocol "${result.protocol}". Supported: Swarm (bzz), IPFS, IPNS.`
+            `ENS resolution failed for ${ens.name}: ${reason}`,
+            `ENS resolution failed for ${ens.name}: ${reason}`
           );
           return;
         }
@@ -988,13 +1089,21 @@ export const loadTarget = (value, displayOverride = null, targetWebview = null,
 
         pushDebug(`ENS resolved: ${ens.name} -> ${targetUri}`);
 
+        // `ipns://example.com` would be read as a DNSLink name, so an IPNS
+        // contenthash on a DNS name loads under its key instead of the name.
+        if (ens.dns && result.protocol === 'ipns') {
+          state.ensProtocols.set(ens.name, 'ipns');
+          loadTarget(targetUri, null, capturedWebview);
+          return;
+        }
+
         storeEnsResolutionMetadata(targetUri, ens.name);
 
         // Build transport-aware display (e.g. `bzz://name.eth/path`,
         // `ipfs://name.eth/path`) so the address bar reflects the actual
         // resolution transport. Falls back to the legacy `ens://` form for
         // unsupported protocols, but the `result.protocol` guard above
-        // already rejects anything but bzz/ipfs/ipns.
+        // already rejects anything but bzz/ipfs/ipns/ar.
         const transportDisplay =
           buildEnsDisplayUri(result.protocol, ens.name, ens.suffix)
           || `ens://${ens.name}${ens.suffix || ''}`;
@@ -1006,13 +1115,15 @@ export const loadTarget = (value, displayOverride = null, targetWebview = null,
         // subresource fetches all see the ENS name rather than the
         // resolved hash. The probe still needs the actual hash to gate
         // navigation on Bee warmth, so we pass it separately.
-        // IPFS/IPNS don't have a custom protocol handler yet, so they
-        // continue to load via the gateway URL (DevTools shows the gateway
-        // URL there — separate from this fix).
-        const innerOptions =
-          result.protocol === 'bzz'
-            ? { bzzLoadUrl: transportDisplay, swarmHash: result.decoded }
-            : {};
+        // IPFS/IPNS work the same way through the ipfs/ipns protocol
+        // handlers, minus the probe (Kubo blocks until content arrives),
+        // and so does Arweave through the ar handler.
+        let innerOptions = { ipfsLoadUrl: transportDisplay };
+        if (result.protocol === 'bzz') {
+          innerOptions = { bzzLoadUrl: transportDisplay, swarmHash: result.decoded };
+        } else if (result.protocol === 'ar') {
+          innerOptions = { arLoadUrl: transportDisplay };
+        }
 
         // Pass captured webview to ensure we load in the correct tab
         loadTarget(targetUri, displayOverride || transportDisplay, capturedWebview, innerOptions);
@@ -1020,6 +1131,7 @@ export const loadTarget = (value, displayOverride = null, targetWebview = null,
       .catch((err) => {
         setLoading(false, capturedTabId);
         console.error('ENS resolution error', err);
+        if (fallBackToHttps(err.message)) return;
         // Suppress the modal alert when the originating tab isn't in the
         // foreground (handled by `failEnsResolution`) — interrupting an
         // unrelated current page with a stale alert is more confusing
@@ -1089,7 +1201,7 @@ export const loadTarget = (value, displayOverride = null, targetWebview = null,
   // hash→name mappings on direct navigation, set the address bar, and
   // populate navState.pending{Title,Navigation}Url. Each branch handles
   // its own loadURL/probe/syncBase calls afterward — they diverge there
-  // (IPFS goes straight to the gateway; bzz gates on a probe).
+  // (IPFS loads straight away; bzz gates on a probe).
   const commitDwebNavigationPrefix = ({ target, expectedNavUrl, hashKeys }) => {
     if (!isEnsBackedDisplay(displayOverride)) {
       for (const key of hashKeys) {
@@ -1104,20 +1216,45 @@ export const loadTarget = (value, displayOverride = null, targetWebview = null,
     return displayValue;
   };
 
+  // Try Arweave (ar://). Always served by the ar protocol handler, which
+  // proxies the configured gateway itself — no webRequest base to sync.
+  const arTarget = formatArweaveUrl(value);
+  if (arTarget) {
+    const loadUrl = options.arLoadUrl || arTarget.loadUrl;
+    const arDisplayValue = commitDwebNavigationPrefix({
+      target: arTarget,
+      expectedNavUrl: loadUrl,
+      hashKeys: [],
+    });
+    pushDebug(`[AddressBar] Loading Arweave target, set to: ${arDisplayValue}`);
+    webview.loadURL(loadUrl);
+    pushDebug(`Loading ${arTarget.displayValue} via ${loadUrl}`);
+    syncBzzBase(null);
+    syncIpfsBase(null);
+    syncRadBase(null);
+    return;
+  }
+
   // Try IPFS (ipfs://, ipns://, or raw CID)
   const ipfsTarget = formatIpfsUrl(value, state.ipfsRoutePrefix);
   if (ipfsTarget) {
     const cidMatch = ipfsTarget.displayValue.match(/^ipfs:\/\/([A-Za-z0-9]+)/);
     const ipnsMatch = ipfsTarget.displayValue.match(/^ipns:\/\/([A-Za-z0-9.-]+)/);
+    // Prefer the `ipfs://` / `ipns://` URL served by the protocol handler
+    // so the page gets its own origin; gateway URLs typed directly, and
+    // identifiers with no case-safe host form, still load via the gateway
+    // and keep the webRequest base rewriting.
+    const loadUrl = options.ipfsLoadUrl || ipfsTarget.loadUrl || ipfsTarget.targetUrl;
+    const viaProtocol = loadUrl !== ipfsTarget.targetUrl;
     const ipfsDisplayValue = commitDwebNavigationPrefix({
       target: ipfsTarget,
-      expectedNavUrl: ipfsTarget.targetUrl,
+      expectedNavUrl: loadUrl,
       hashKeys: [cidMatch?.[1], ipnsMatch?.[1]],
     });
     pushDebug(`[AddressBar] Loading IPFS target, set to: ${ipfsDisplayValue}`);
-    webview.loadURL(ipfsTarget.targetUrl);
-    pushDebug(`Loading ${ipfsTarget.displayValue} via ${ipfsTarget.targetUrl}`);
-    syncIpfsBase(ipfsTarget.baseUrl || null);
+    webview.loadURL(loadUrl);
+    pushDebug(`Loading ${ipfsTarget.displayValue} via ${loadUrl}`);
+    syncIpfsBase(viaProtocol ? null : ipfsTarget.baseUrl || null);
     syncBzzBase(null);
     syncRadBase(null);
     return;
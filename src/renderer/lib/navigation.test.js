@@ -80,6 +80,7 @@ const loadNavigationModule = async (options = {}) => {
     ensTrustByName: new Map(),
     ensUriByName: new Map(),
     blockUnverifiedEns: options.blockUnverifiedEns !== false,
+    ensDnsNames: options.ensDnsNames || 'off',
   };
   const debugMocks = {
     pushDebug: jest.fn(),
@@ -93,6 +94,12 @@ const loadNavigationModule = async (options = {}) => {
   const githubBridgeUiMocks = {
     updateGithubBridgeIcon: jest.fn(),
   };
+  const ensProfileMocks = {
+    renderEnsProfilePanel: jest.fn(),
+  };
+  const ensDnsOfferMocks = {
+    updateEnsDnsOffer: jest.fn(),
+  };
   const activeRef = {};
   const tabsRef = { list: [] };
   const tabsMocks = {
@@ -184,6 +191,10 @@ const loadNavigationModule = async (options = {}) => {
         baseUrl: `${prefix}${hash}/`,
       };
     }),
+    formatArweaveUrl: jest.fn((input) => {
+      if (!input.startsWith('ar://')) return null;
+      return { loadUrl: input, displayValue: input, protocol: 'ar' };
+    }),
     formatIpfsUrl: jest.fn((input, prefix) => {
       if (!input.startsWith('ipfs://')) return null;
       return {
@@ -206,7 +217,7 @@ const loadNavigationModule = async (options = {}) => {
     applyEnsNamePreservation: jest.fn((url) => url),
     buildEnsDisplayUri: jest.fn((protocol, name, suffix = '') => {
       if (!name) return null;
-      if (protocol !== 'bzz' && protocol !== 'ipfs' && protocol !== 'ipns') return null;
+      if (!['bzz', 'ipfs', 'ipns', 'ar'].includes(protocol)) return null;
       return `${protocol}://${name}${suffix || ''}`;
     }),
     isEnsBackedDisplay: jest.fn((value) => {
@@ -219,10 +230,15 @@ const loadNavigationModule = async (options = {}) => {
       const host = transportMatch ? transportMatch[1] : trimmed.split(/[/?#]/)[0].toLowerCase();
       return host.endsWith('.eth') || host.endsWith('.box');
     }),
-    isSupportedEnsTransport: jest.fn(
-      (protocol) => protocol === 'bzz' || protocol === 'ipfs' || protocol === 'ipns'
-    ),
-    SUPPORTED_ENS_TRANSPORTS: ['bzz', 'ipfs', 'ipns'],
+    isSupportedEnsTransport: jest.fn((protocol) => ['bzz', 'ipfs', 'ipns', 'ar'].includes(protocol)),
+    SUPPORTED_ENS_TRANSPORTS: ['bzz', 'ipfs', 'ipns', 'ar'],
+    parseSwarmFeedInput: jest.fn((input) => {
+      const match = input.match(/^bzz:\/\/([0-9a-f]{40})\.([0-9a-f]{64})(\/.*)?$/);
+      if (!match) return null;
+      const [, owner, topic, suffix = '/'] = match;
+      const loadUrl = `bzz://${owner}.${topic}${suffix}`;
+      return { owner, topic, index: null, suffix, loadUrl, displayValue: loadUrl };
+    }),
   };
   const pageUrlsMocks = {
     homeUrl,
@@ -293,6 +309,7 @@ const loadNavigationModule = async (options = {}) => {
       electronHandlers.toggleBookmarkBar = handler;
     }),
     resolveEns: jest.fn(),
+    resolveSwarmFeed: jest.fn(),
   };
 
   const addressInput = createElement('input');
@@ -382,6 +399,9 @@ const loadNavigationModule = async (options = {}) => {
   jest.doMock('./navigation-utils.js', () => navigationUtilsMocks);
   jest.doMock('./url-utils.js', () => urlUtilsMocks);
   jest.doMock('./page-urls.js', () => pageUrlsMocks);
+  jest.doMock('./ens-profile.js', () => ensProfileMocks);
+  jest.doMock('./ens-dns-offer.js', () => ensDnsOfferMocks);
+  jest.doMock('./swarm-feed-ui.js', () => ({ updateSwarmFeedIndicator: jest.fn() }));
 
   const mod = await import('./navigation.js');
 
@@ -391,6 +411,8 @@ const loadNavigationModule = async (options = {}) => {
     debugMocks,
     bookmarksUiMocks,
     githubBridgeUiMocks,
+    ensProfileMocks,
+    ensDnsOfferMocks,
     tabsMocks,
     navigationUtilsMocks,
     urlUtilsMocks,
@@ -412,6 +434,7 @@ const loadNavigationModule = async (options = {}) => {
       protocolIcon,
       trustShield,
       trustPopover,
+      trustPopoverSummary,
     },
   };
 };
@@ -638,6 +661,48 @@ describe('navigation', () => {
       expect(ctx.activeRef.tab.navigationState.pendingSwarmProbeId).toBeNull();
     });
 
+    test('resolves feed URLs, probes the update and loads the feed host', async () => {
+      const ctx = await loadNavigationModule();
+      await ctx.mod.initNavigation();
+      const feedUrl = `bzz://${'1'.repeat(40)}.${'2'.repeat(64)}/docs/`;
+      ctx.electronAPI.resolveSwarmFeed.mockResolvedValue({
+        success: true,
+        reference: VALID_HASH,
+        index: 4,
+      });
+
+      ctx.mod.loadTarget(feedUrl);
+      await flushMicrotasks();
+
+      expect(ctx.electronAPI.resolveSwarmFeed).toHaveBeenCalledWith(
+        '1'.repeat(40),
+        '2'.repeat(64),
+        null
+      );
+      expect(ctx.electronAPI.startSwarmProbe).toHaveBeenCalledWith(VALID_HASH);
+
+      settleAwait(ctx, 'probe-1', { ok: true });
+      await flushMicrotasks();
+
+      expect(ctx.activeRef.tab.webview.loadURL).toHaveBeenCalledWith(feedUrl);
+    });
+
+    test('shows the Swarm not-found page when a feed has no update', async () => {
+      const ctx = await loadNavigationModule();
+      await ctx.mod.initNavigation();
+      ctx.electronAPI.resolveSwarmFeed.mockResolvedValue({
+        success: false,
+        error: { code: 'feed_empty', message: 'Feed has no updates yet' },
+      });
+
+      ctx.mod.loadTarget(`bzz://${'1'.repeat(40)}.${'2'.repeat(64)}`);
+      await flushMicrotasks();
+
+      expect(ctx.electronAPI.startSwarmProbe).not.toHaveBeenCalled();
+      const [loaded] = ctx.activeRef.tab.webview.loadURL.mock.calls.at(-1);
+      expect(loaded).toContain('swarm_content_not_found');
+    });
+
     test('routes to ERR_CONNECTION_REFUSED error page when Bee is unreachable', async () => {
       const ctx = await loadNavigationModule();
       await ctx.mod.initNavigation();
@@ -861,19 +926,24 @@ describe('navigation', () => {
       const ctx = await loadNavigationModule(options);
       // Mirrors the real parseEnsInput in page-urls.js: accepts bare names,
       // legacy ens://, and the transport-prefixed forms (bzz://, ipfs://,
-      // ipns://) when the host ends in .eth/.box. Hash/CID hosts return
+      // ipns://, ar://) when the host ends in .eth/.box, and DNS names behind
+      // a non-ipns prefix or with the `dnsNames` opt-in. Hash/CID hosts return
       // null so the caller falls through to direct content navigation.
-      ctx.pageUrlsMocks.parseEnsInput.mockImplementation((value) => {
-        const prefixMatch = value.match(/^(ens|bzz|ipfs|ipns):\/\//i);
+      ctx.pageUrlsMocks.parseEnsInput.mockImplementation((value, { dnsNames } = {}) => {
+        const prefixMatch = value.match(/^(ens|bzz|ipfs|ipns|ar):\/\//i);
         const assertedTransport = prefixMatch
           ? prefixMatch[1].toLowerCase() === 'ens'
             ? null
             : prefixMatch[1].toLowerCase()
           : null;
-        const m = value.match(/^(?:(?:ens|bzz|ipfs|ipns):\/\/)?([^?/]+)(.*)?$/i);
+        const m = value.match(/^(?:(?:ens|bzz|ipfs|ipns|ar):\/\/)?([^?/]+)(.*)?$/i);
         if (!m) return null;
         const host = m[1].toLowerCase();
-        if (!host.endsWith('.eth') && !host.endsWith('.box')) return null;
+        if (!host.endsWith('.eth') && !host.endsWith('.box')) {
+          const dnsAllowed = prefixMatch ? assertedTransport !== 'ipns' : dnsNames;
+          if (!dnsAllowed || !/^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(host)) return null;
+          return { name: host, suffix: m[2] || '', assertedTransport, dns: true };
+        }
         return { name: host, suffix: m[2] || '', assertedTransport };
       });
       await ctx.mod.initNavigation();
@@ -961,6 +1031,56 @@ describe('navigation', () => {
       expect(loadCalls.find(([u]) => u.includes('ens-unverified.html'))).toBeUndefined();
     });
 
+    test('unsupported contenthash routes to ens-unsupported interstitial naming the codec', async () => {
+      const ctx = await setupEnsDispatch();
+      const loadCalls = await dispatchEns(ctx, 'ens://old.eth', {
+        type: 'unsupported',
+        reason: 'UNSUPPORTED_CONTENTHASH_FORMAT',
+        name: 'old.eth',
+        codec: 'skynet-ns',
+        trust: { level: 'verified', queried: ['a', 'b'], agreed: ['a', 'b'] },
+      });
+
+      const interstitialCall = loadCalls.find(([u]) => u.includes('ens-unsupported.html'));
+      expect(interstitialCall).toBeDefined();
+      const url = new URL(interstitialCall[0]);
+      expect(url.searchParams.get('name')).toBe('old.eth');
+      expect(url.searchParams.get('codec')).toBe('skynet-ns');
+      expect(global.alert).not.toHaveBeenCalled();
+    });
+
+    test('onion contenthash routes to ens-unsupported interstitial with the address', async () => {
+      const ctx = await setupEnsDispatch();
+      const loadCalls = await dispatchEns(ctx, 'ens://hidden.eth', {
+        type: 'ok',
+        name: 'hidden.eth',
+        codec: 'onion3',
+        protocol: 'onion',
+        uri: 'http://abc.onion',
+        trust: { level: 'verified', queried: ['a', 'b'], agreed: ['a', 'b'] },
+      });
+
+      const interstitialCall = loadCalls.find(([u]) => u.includes('ens-unsupported.html'));
+      expect(interstitialCall).toBeDefined();
+      const url = new URL(interstitialCall[0]);
+      expect(url.searchParams.get('codec')).toBe('onion3');
+      expect(url.searchParams.get('uri')).toBe('http://abc.onion');
+    });
+
+    test('arweave contenthash loads ar://name through the protocol handler', async () => {
+      const ctx = await setupEnsDispatch();
+      const loadCalls = await dispatchEns(ctx, 'ens://permaweb.eth', {
+        type: 'ok',
+        name: 'permaweb.eth',
+        codec: 'arweave-ns',
+        protocol: 'ar',
+        uri: 'ar://TxId',
+        trust: { level: 'verified', queried: ['a', 'b'], agreed: ['a', 'b'] },
+      });
+
+      expect(loadCalls.map(([u]) => u)).toContain('ar://permaweb.eth');
+    });
+
     test('verified result proceeds normally and stores trust metadata', async () => {
       const ctx = await setupEnsDispatch();
       const verifiedTrust = { level: 'verified', queried: ['a', 'b', 'c'], agreed: ['a', 'b'] };
@@ -1234,6 +1354,26 @@ describe('navigation', () => {
       expect(loadedUrls.some((u) => u.includes('gateway.example'))).toBe(false);
     });
 
+    test('ENS-IPFS name loads ipfs://name.eth/ through the protocol handler', async () => {
+      const ctx = await setupEnsDispatch();
+
+      ctx.electronAPI.resolveEns.mockResolvedValue({
+        type: 'ok',
+        name: 'vitalik.eth',
+        protocol: 'ipfs',
+        decoded: 'QmFake',
+        uri: 'ipfs://QmFake',
+        trust: { level: 'verified', queried: ['a', 'b'], agreed: ['a', 'b'] },
+      });
+
+      ctx.mod.loadTarget('vitalik.eth');
+      await flushMicrotasks();
+
+      const loadedUrls = ctx.activeRef.tab.webview.loadURL.mock.calls.map(([u]) => u);
+      expect(loadedUrls).toContain('ipfs://vitalik.eth');
+      expect(loadedUrls.some((u) => u.includes('gateway.example'))).toBe(false);
+    });
+
     test('cross-transport assertion: bzz://name.eth where the contenthash is IPFS errors instead of switching transports', async () => {
       // A typed transport scheme is an assertion. If the user typed
       // `bzz://vitalik.eth/` and vitalik.eth's contenthash is IPFS, we
@@ -1284,6 +1424,98 @@ describe('navigation', () => {
       );
     });
 
+    describe('DNS names resolved through ENS', () => {
+      const ipfsResult = {
+        type: 'ok',
+        name: 'example.com',
+        protocol: 'ipfs',
+        decoded: 'QmSite',
+        uri: 'ipfs://QmSite',
+        trust: { level: 'verified', queried: ['a', 'b'], agreed: ['a', 'b'] },
+      };
+
+      test('prefer mode loads a bare DNS name from its ENS contenthash', async () => {
+        const ctx = await setupEnsDispatch({ ensDnsNames: 'prefer' });
+
+        const loadCalls = await dispatchEns(ctx, 'example.com/docs', ipfsResult);
+
+        expect(ctx.electronAPI.resolveEns).toHaveBeenCalledWith('example.com');
+        expect(loadCalls.map(([u]) => u)).toContain('ipfs://example.com/docs');
+        expect(ctx.state.ensTrustByName.get('example.com')).toEqual(ipfsResult.trust);
+      });
+
+      test('prefer mode falls back to https:// when the name has no ENS content', async () => {
+        const ctx = await setupEnsDispatch({ ensDnsNames: 'prefer' });
+
+        const loadCalls = await dispatchEns(ctx, 'example.com/docs', {
+          type: 'not_found',
+          name: 'example.com',
+          reason: 'NO_RESOLVER',
+        });
+
+        expect(loadCalls.map(([u]) => u)).toEqual(['https://example.com/docs']);
+        expect(global.alert).not.toHaveBeenCalled();
+      });
+
+      test('prefer mode still blocks on conflicting resolutions', async () => {
+        const ctx = await setupEnsDispatch({ ensDnsNames: 'prefer' });
+
+        const loadCalls = await dispatchEns(ctx, 'example.com', {
+          type: 'conflict',
+          name: 'example.com',
+          trust: { level: 'conflict' },
+          groups: [],
+        });
+
+        expect(loadCalls.map(([u]) => u)).toEqual([
+          expect.stringContaining('ens-conflict.html'),
+        ]);
+      });
+
+      test('explicit ens:// reports a missing contenthash instead of falling back', async () => {
+        const ctx = await setupEnsDispatch();
+
+        const loadCalls = await dispatchEns(ctx, 'ens://example.com', {
+          type: 'not_found',
+          name: 'example.com',
+          reason: 'NO_RESOLVER',
+        });
+
+        expect(loadCalls).toEqual([]);
+        expect(global.alert).toHaveBeenCalledWith(expect.stringMatching(/example\.com/));
+      });
+
+      test('an IPNS contenthash loads under its key, not as a DNSLink name', async () => {
+        const ctx = await setupEnsDispatch();
+        ctx.urlUtilsMocks.formatIpfsUrl.mockImplementation((input) =>
+          input.startsWith('ipns://')
+            ? { targetUrl: 'x', loadUrl: input, displayValue: input, baseUrl: null }
+            : null
+        );
+
+        const loadCalls = await dispatchEns(ctx, 'ens://example.com', {
+          ...ipfsResult,
+          protocol: 'ipns',
+          decoded: 'k51key',
+          uri: 'ipns://k51key',
+        });
+
+        expect(loadCalls.map(([u]) => u)).toEqual(['ipns://k51key']);
+      });
+
+      test('bare DNS names are not looked up unless the setting prefers ENS', async () => {
+        const ctx = await setupEnsDispatch({ ensDnsNames: 'offer' });
+
+        ctx.mod.loadTarget('example.com');
+        await flushMicrotasks();
+
+        expect(ctx.pageUrlsMocks.parseEnsInput).toHaveBeenCalledWith('example.com', {
+          dnsNames: false,
+        });
+        expect(ctx.electronAPI.resolveEns).not.toHaveBeenCalled();
+      });
+    });
+
     test('ipc-message ens:continue-unverified re-dispatches with allow flag', async () => {
       const ctx = await setupEnsDispatch({ blockUnverifiedEns: true });
       const unverifiedResult = {
@@ -1361,6 +1593,59 @@ describe('navigation', () => {
       expect(ctx.elements.trustShield.hidden).toBe(true);
     });
 
+    test('opening the popover renders the name profile', async () => {
+      const ctx = await loadNavigationModule();
+      await ctx.mod.initNavigation();
+
+      ctx.state.ensTrustByName.set('vitalik.eth', { level: 'verified', agreed: ['a', 'b'] });
+      ctx.elements.addressInput.value = 'ens://vitalik.eth';
+      ctx.elements.trustPopover.hidden = true;
+      ctx.elements.trustShield.dispatch('click', { stopPropagation: jest.fn() });
+
+      expect(ctx.elements.trustPopover.hidden).toBe(false);
+      expect(ctx.ensProfileMocks.renderEnsProfilePanel).toHaveBeenCalledWith('vitalik.eth');
+    });
+
+    test('skips the profile for conflicting resolutions', async () => {
+      const ctx = await loadNavigationModule();
+      await ctx.mod.initNavigation();
+
+      ctx.state.ensTrustByName.set('split.eth', { level: 'conflict', dissented: ['a', 'b'] });
+      ctx.elements.addressInput.value = 'ens://split.eth';
+      ctx.elements.trustPopover.hidden = true;
+      ctx.elements.trustShield.dispatch('click', { stopPropagation: jest.fn() });
+
+      expect(ctx.elements.trustPopover.hidden).toBe(false);
+      expect(ctx.ensProfileMocks.renderEnsProfilePanel).not.toHaveBeenCalled();
+    });
+
+    test('marks an offline fallback as stale with its verification block', async () => {
+      const ctx = await loadNavigationModule();
+      await ctx.mod.initNavigation();
+
+      ctx.state.ensTrustByName.set('offline.eth', {
+        level: 'stale',
+        verifiedLevel: 'verified',
+        verifiedAt: Date.UTC(2026, 0, 2),
+        block: { number: 19000000, hash: '0xfeed' },
+        agreed: ['a', 'b'],
+      });
+      ctx.elements.addressInput.value = 'ens://offline.eth';
+      ctx.elements.addressInput.dispatch('input');
+
+      expect(ctx.elements.trustShield.getAttribute('data-trust')).toBe('stale');
+      expect(ctx.elements.trustShield.getAttribute('aria-label')).toContain('stale');
+
+      ctx.elements.trustPopover.hidden = true;
+      ctx.elements.trustShield.dispatch('click', { stopPropagation: jest.fn() });
+
+      expect(ctx.elements.trustPopover.getAttribute('data-trust')).toBe('stale');
+      expect(ctx.elements.trustPopoverSummary.textContent).toMatch(
+        /^Stale: .*verified at block 19000000 on /
+      );
+      expect(ctx.ensProfileMocks.renderEnsProfilePanel).not.toHaveBeenCalled();
+    });
+
     test('hides when ENS name has no stored trust', async () => {
       const ctx = await loadNavigationModule();
       await ctx.mod.initNavigation();
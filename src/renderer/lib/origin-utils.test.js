@@ -44,6 +44,16 @@ const INPUTS = [
   'ipns://docs.ipfs.tech',
   'ipns://docs.ipfs.tech/guide',
 
+  // Arweave
+  'ar://aaaqeayeaudaocajbifqydiob4ibceqtcqkrmfyydenbwha5dypq/img.png',
+  'ar://permaweb.eth/about',
+
+  // DNS names resolved through ENS
+  'bzz://example.com/page',
+  'ipfs://Docs.Example.org/guide',
+  'ar://example.xyz',
+  'ens://example.com/#/swap',
+
   // Transport URLs with ENS hosts (issue #16): both copies must collapse to
   // the bare ENS name so permissions stay consistent across forms.
   'bzz://meinhard.eth',
@@ -114,6 +124,13 @@ describe('renderer origin-utils vs shared origin-utils', () => {
     );
   });
 
+  describe('isDnsEnsName', () => {
+    const hosts = ['example.com', 'Example.XYZ', 'vitalik.eth', 'localhost', '127.0.0.1', 'abc123'];
+    test.each(hosts)('produces identical output for %s', (host) => {
+      expect(renderer.isDnsEnsName(host)).toBe(shared.isDnsEnsName(host));
+    });
+  });
+
   describe('public API surface matches', () => {
     test('renderer exports getPermissionKey', () => {
       expect(typeof renderer.getPermissionKey).toBe('function');
@@ -31,6 +31,10 @@ const toDwebUrl = (url) => {
   return display || url;
 };
 
+// ipfs:// and ipns:// pages (including ENS names served over IPFS) can be
+// pinned to the local node.
+const isIpfsPageUrl = (url) => /^ip[fn]s:\/\//i.test(url || '');
+
 // Show context menu for the given context
 export const showPageContextMenu = (x, y, context) => {
   if (!pageContextMenu) return;
@@ -60,6 +64,9 @@ export const showPageContextMenu = (x, y, context) => {
     // Page context - show page menu
     const pageGroup = pageContextMenu.querySelector('[data-group="page"]');
     if (pageGroup) pageGroup.classList.add('visible');
+
+    const pinBtn = pageContextMenu.querySelector('[data-action="pin-ipfs-site"]');
+    pinBtn?.classList.toggle('hidden', !isIpfsPageUrl(toDwebUrl(context.pageUrl)));
   }
 
   // Update navigation button states
@@ -166,6 +173,17 @@ const handleAction = async (action) => {
       activeWebview?.openDevTools();
       break;
 
+    case 'pin-ipfs-site':
+      if (currentContext.pageUrl) {
+        // Handled by ipfs-ui, which owns the pin button state in the nodes panel
+        document.dispatchEvent(
+          new CustomEvent('pin-ipfs-site', {
+            detail: { url: toDwebUrl(currentContext.pageUrl), title: activeWebview?.getTitle?.() },
+          })
+        );
+      }
+      break;
+
     case 'open-link-new-tab':
       if (currentContext.linkUrl) {
         // Use original URL for loading (webview can't handle dweb:// protocols directly)
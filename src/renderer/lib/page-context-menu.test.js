@@ -91,6 +91,7 @@ const loadPageContextMenuModule = async (options = {}) => {
   const imageGroup = createElement();
   const backBtn = createElement();
   const forwardBtn = createElement();
+  const pinSiteBtn = createElement(['hidden']);
   const pageContextMenu = createElement(['hidden']);
   const webviewContainer = {
     querySelector: jest.fn(() => activeWebview),
@@ -110,6 +111,7 @@ const loadPageContextMenuModule = async (options = {}) => {
     '[data-group="image"]': imageGroup,
     '[data-action="back"]': backBtn,
     '[data-action="forward"]': forwardBtn,
+    '[data-action="pin-ipfs-site"]': pinSiteBtn,
   };
   const pushDebug = jest.fn();
   const backdrop = {
@@ -188,6 +190,7 @@ const loadPageContextMenuModule = async (options = {}) => {
     imageGroup,
     backBtn,
     forwardBtn,
+    pinSiteBtn,
     activeWebview,
     webviewContainer,
     documentHandlers,
@@ -459,6 +462,33 @@ describe('page-context-menu', () => {
     expect(electronAPI.copyText).toHaveBeenCalledWith('https://example.com/image.png');
   });
 
+  test('offers pinning on IPFS pages and hands it to the nodes panel', async () => {
+    const activeWebview = {
+      canGoBack: jest.fn(() => false),
+      canGoForward: jest.fn(() => false),
+      getTitle: jest.fn(() => 'Vitalik'),
+    };
+    const { mod, pageContextMenu, pinSiteBtn, urlUtils } = await loadPageContextMenuModule({
+      activeWebview,
+    });
+    urlUtils.applyEnsNamePreservation.mockImplementation((display) => display);
+    urlUtils.deriveDisplayValue.mockImplementation((url) => url);
+
+    await mod.initPageContextMenu();
+
+    mod.showPageContextMenu(20, 30, { pageUrl: 'https://example.com/page' });
+    expect(pinSiteBtn.classList.contains('hidden')).toBe(true);
+
+    mod.showPageContextMenu(20, 30, { pageUrl: 'ipfs://vitalik.eth/blog/' });
+    expect(pinSiteBtn.classList.contains('hidden')).toBe(false);
+
+    await triggerMenuAction(pageContextMenu, 'pin-ipfs-site');
+    expect(global.document.dispatchEvent).toHaveBeenCalledWith({
+      type: 'pin-ipfs-site',
+      detail: { url: 'ipfs://vitalik.eth/blog/', title: 'Vitalik' },
+    });
+  });
+
   test('closes on outside interactions and wires webview ipc context-menu events', async () => {
     const { mod, pageContextMenu, documentHandlers, windowHandlers, backdrop } =
       await loadPageContextMenuModule();
@@ -3,7 +3,7 @@
 // Canonical source of truth: src/shared/internal-pages.json
 // Served to the renderer via sync IPC → preload → window.internalPages
 
-import { isEnsHost } from './origin-utils.js';
+import { isDnsEnsName, isEnsHost } from './origin-utils.js';
 
 const ROUTABLE_PAGES = window.internalPages?.routable || {};
 
@@ -42,6 +42,7 @@ export const detectProtocol = (url) => {
   if (url.startsWith('bzz://')) return 'swarm';
   if (url.startsWith('ipfs://')) return 'ipfs';
   if (url.startsWith('ipns://')) return 'ipns';
+  if (url.startsWith('ar://')) return 'arweave';
   if (url.startsWith('rad:')) return 'radicle';
   if (url.startsWith('https://')) return 'https';
   if (url.startsWith('http://')) return 'http';
@@ -78,7 +79,8 @@ export const getInternalPageName = (url) => {
 // Parse ENS input. Accepts:
 //   - bare ENS names (vitalik.eth, name.box, with optional path/query/fragment)
 //   - legacy ens:// URLs (kept for bookmark + history compatibility)
-//   - transport-aware ENS URLs (bzz://name.eth/, ipfs://name.eth/, ipns://name.eth/)
+//   - transport-aware ENS URLs (bzz://name.eth/, ipfs://name.eth/, ipns://name.eth/,
+//     ar://name.eth/)
 //
 // Transport URLs whose host is NOT an ENS name (e.g. bzz://<hash>, ipfs://<cid>)
 // are returned as null so the caller can fall through to direct content
@@ -86,27 +88,37 @@ export const getInternalPageName = (url) => {
 // `ens://meinhard.eth/` while leaving raw-hash navigation untouched.
 //
 // `assertedTransport` is the scheme the user explicitly typed (`bzz`, `ipfs`,
-// or `ipns`) when present; `null` for bare names and the legacy `ens://`
+// `ipns` or `ar`) when present; `null` for bare names and the legacy `ens://`
 // form. Callers gate the cross-transport assertion on this — if the user
 // typed `bzz://name.eth` and the contenthash is IPFS, the assertion fails
 // rather than silently switching transports.
+//
+// DNS names that ENS resolves (`example.com`, via DNSSEC import or an
+// offchain resolver) are accepted behind `ens://` and the bzz/ipfs/ar
+// transport forms, where a DNS host can't mean anything else; those results
+// carry `dns: true`. A bare DNS name is normally an https:// site and only
+// parses when the caller passes `{ dnsNames: true }` (the "prefer ENS"
+// setting). `ipns://example.com` stays a DNSLink name.
 const ENS_INPUT_PREFIXES = [
   { prefix: 'ens://', assertedTransport: null },
   { prefix: 'bzz://', assertedTransport: 'bzz' },
   { prefix: 'ipfs://', assertedTransport: 'ipfs' },
   { prefix: 'ipns://', assertedTransport: 'ipns' },
+  { prefix: 'ar://', assertedTransport: 'ar' },
 ];
 
-export const parseEnsInput = (raw) => {
+export const parseEnsInput = (raw, { dnsNames = false } = {}) => {
   let value = (raw || '').trim();
   if (!value) return null;
 
   const lower = value.toLowerCase();
   let assertedTransport = null;
+  let prefixed = null;
   for (const { prefix, assertedTransport: assertion } of ENS_INPUT_PREFIXES) {
     if (lower.startsWith(prefix)) {
       value = value.slice(prefix.length);
       assertedTransport = assertion;
+      prefixed = prefix;
       break;
     }
   }
@@ -119,9 +131,13 @@ export const parseEnsInput = (raw) => {
     suffix = match[2] || '';
   }
 
-  if (!isEnsHost(name)) {
-    return null;
+  if (isEnsHost(name)) {
+    return { name: name.toLowerCase(), suffix, assertedTransport };
   }
 
-  return { name: name.toLowerCase(), suffix, assertedTransport };
+  const dnsAllowed = prefixed ? prefixed !== 'ipns://' : dnsNames;
+  if (dnsAllowed && isDnsEnsName(name)) {
+    return { name: name.toLowerCase(), suffix, assertedTransport, dns: true };
+  }
+  return null;
 };
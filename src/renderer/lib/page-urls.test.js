@@ -130,4 +130,32 @@ describe('page-urls', () => {
     expect(mod.parseEnsInput('bzz://abcdef0123456789')).toBeNull();
     expect(mod.parseEnsInput('ipfs://QmHash')).toBeNull();
   });
+
+  test('parses DNS names only behind an explicit prefix or the dnsNames opt-in', async () => {
+    const mod = await loadModule();
+
+    expect(mod.parseEnsInput('ens://Example.com/about')).toEqual({
+      name: 'example.com',
+      suffix: '/about',
+      assertedTransport: null,
+      dns: true,
+    });
+    expect(mod.parseEnsInput('bzz://example.xyz')).toMatchObject({
+      name: 'example.xyz',
+      assertedTransport: 'bzz',
+      dns: true,
+    });
+
+    // Bare DNS names are https:// sites unless the caller opts in, and an
+    // ipns:// DNS host is a DNSLink name.
+    expect(mod.parseEnsInput('example.com/about')).toBeNull();
+    expect(mod.parseEnsInput('example.com/about', { dnsNames: true })).toEqual({
+      name: 'example.com',
+      suffix: '/about',
+      assertedTransport: null,
+      dns: true,
+    });
+    expect(mod.parseEnsInput('ipns://example.com', { dnsNames: true })).toBeNull();
+    expect(mod.parseEnsInput('localhost:3000', { dnsNames: true })).toBeNull();
+  });
 });
@@ -99,6 +99,7 @@ export const state = {
   // Feature flags
   enableRadicleIntegration: false,
   blockUnverifiedEns: true, // When true, unverified ENS resolutions route through an interstitial
+  ensDnsNames: 'off', // 'off' | 'offer' | 'prefer' — ENS lookups for plain DNS names
 };
 
 // Build Bee URL using registry or fallback to defaults
@@ -146,6 +147,10 @@ export const setBlockUnverifiedEns = (enabled) => {
   state.blockUnverifiedEns = enabled !== false;
 };
 
+export const setEnsDnsNames = (mode) => {
+  state.ensDnsNames = mode === 'offer' || mode === 'prefer' ? mode : 'off';
+};
+
 // Get display message for a service (temp message takes priority)
 export const getDisplayMessage = (service) => {
   const svc = state.registry[service];
@@ -0,0 +1,146 @@
+/**
+ * Swarm Feed Indicator
+ *
+ * Pages loaded from a feed host (`bzz://<owner>.<topic>/` or the pinned
+ * `bzz://<index>.<owner>.<topic>/`) get an address-bar chip with the
+ * index of the update being shown. Its popover names the feed and lets
+ * the user open an older update or jump back to the latest one; both go
+ * through the regular feed branch in `loadTarget`.
+ */
+
+import { buildSwarmFeedUrl, parseSwarmFeedInput } from './url-utils.js';
+
+let feedBtn = null;
+let popover = null;
+let onOpen = null;
+let current = null;
+
+/**
+ * Feed shown at `url`, or null when it isn't a bzz:// feed host.
+ */
+export const getFeedForUrl = (url) => {
+  if (!/^bzz:\/\//i.test(url || '')) return null;
+  return parseSwarmFeedInput(url);
+};
+
+const byId = (id) => document.getElementById(id);
+
+const setPopoverOpen = (open) => {
+  if (!popover || !feedBtn) return;
+  popover.hidden = !open;
+  feedBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+};
+
+const hideIndicator = () => {
+  setPopoverOpen(false);
+  feedBtn?.classList.add('hidden');
+};
+
+const describeIndex = (index, latestIndex) => {
+  if (latestIndex === null || latestIndex === undefined) return `#${index}`;
+  if (index === latestIndex) return `#${index} (latest)`;
+  return `#${index} of ${latestIndex}`;
+};
+
+const renderPopover = () => {
+  const { feed, index, latestIndex } = current;
+  byId('swarm-feed-owner').textContent = `0x${feed.owner}`;
+  byId('swarm-feed-topic').textContent = feed.topic;
+  byId('swarm-feed-index').textContent = describeIndex(index, latestIndex);
+
+  const input = byId('swarm-feed-index-input');
+  input.value = String(index);
+  if (latestIndex !== null && latestIndex !== undefined) {
+    input.setAttribute('max', String(latestIndex));
+  } else {
+    input.removeAttribute('max');
+  }
+  byId('swarm-feed-latest-btn').disabled = feed.index === null;
+};
+
+const open = (index) => {
+  if (!current || !onOpen) return;
+  setPopoverOpen(false);
+  onOpen(buildSwarmFeedUrl(current.feed.owner, current.feed.topic, index, '/'));
+};
+
+/**
+ * Show or hide the feed chip for the page at `url`. Safe to call on every
+ * navigation: a lookup that lands after the page moved on is ignored.
+ */
+export const updateSwarmFeedIndicator = async (url) => {
+  if (!feedBtn) return;
+  const feed = getFeedForUrl(url);
+  const key = feed ? buildSwarmFeedUrl(feed.owner, feed.topic, feed.index) : null;
+  if (key !== current?.key) hideIndicator();
+  if (!feed) {
+    current = null;
+    return;
+  }
+  if (current?.key === key && current.index !== undefined) return;
+  current = { key, feed };
+
+  const lookup = current;
+  const result = await Promise.resolve(
+    window.electronAPI?.resolveSwarmFeed?.(feed.owner, feed.topic, feed.index)
+  ).catch(() => null);
+  if (current !== lookup) return;
+  if (!result?.success) {
+    current = null;
+    hideIndicator();
+    return;
+  }
+
+  current = { key, feed, index: result.index, latestIndex: result.latestIndex };
+  const label = `Swarm feed update ${describeIndex(result.index, result.latestIndex)}`;
+  feedBtn.textContent = `#${result.index}`;
+  feedBtn.title = label;
+  feedBtn.setAttribute('aria-label', label);
+  renderPopover();
+  feedBtn.classList.remove('hidden');
+};
+
+/**
+ * Set callback for opening another update of the current feed.
+ */
+export const setOnOpenSwarmFeed = (callback) => {
+  onOpen = callback;
+};
+
+export const initSwarmFeedIndicator = () => {
+  feedBtn = byId('swarm-feed-btn');
+  popover = byId('swarm-feed-popover');
+  if (!feedBtn || !popover) return;
+
+  feedBtn.addEventListener('click', (event) => {
+    event.stopPropagation();
+    if (current?.index !== undefined) setPopoverOpen(popover.hidden);
+  });
+
+  const input = byId('swarm-feed-index-input');
+  const openIndex = () => {
+    const index = Number(input.value);
+    if (Number.isSafeInteger(index) && index >= 0) open(index);
+  };
+  byId('swarm-feed-open-btn')?.addEventListener('click', openIndex);
+  input?.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter') return;
+    // The chip lives inside the address bar form.
+    event.preventDefault();
+    openIndex();
+  });
+  byId('swarm-feed-latest-btn')?.addEventListener('click', () => open(null));
+
+  document.addEventListener('click', (event) => {
+    if (popover.hidden) return;
+    if (popover.contains(event.target) || feedBtn.contains(event.target)) return;
+    setPopoverOpen(false);
+  });
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !popover.hidden) setPopoverOpen(false);
+  });
+  // Clicks into the webview don't reach this document; see the trust popover.
+  window.addEventListener('blur', () => {
+    if (!popover.hidden) setPopoverOpen(false);
+  });
+};
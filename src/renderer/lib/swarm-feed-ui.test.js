@@ -0,0 +1,113 @@
+const { createDocument, createElement } = require('../../../test/helpers/fake-dom.js');
+
+const originalWindow = global.window;
+const originalDocument = global.document;
+
+const OWNER = 'ab'.repeat(20);
+const TOPIC = 'cd'.repeat(32);
+const FEED_URL = `bzz://${OWNER}.${TOPIC}/`;
+
+const loadFeedModule = async ({ resolveSwarmFeed } = {}) => {
+  jest.resetModules();
+
+  const elements = {
+    'swarm-feed-btn': createElement('button', { classes: ['hidden'] }),
+    'swarm-feed-popover': createElement('div'),
+    'swarm-feed-owner': createElement('div'),
+    'swarm-feed-topic': createElement('div'),
+    'swarm-feed-index': createElement('div'),
+    'swarm-feed-index-input': createElement('input'),
+    'swarm-feed-open-btn': createElement('button'),
+    'swarm-feed-latest-btn': createElement('button'),
+  };
+  elements['swarm-feed-popover'].hidden = true;
+  global.document = createDocument({ elementsById: elements });
+  global.window = { electronAPI: { resolveSwarmFeed }, addEventListener: jest.fn() };
+
+  const mod = await import('./swarm-feed-ui.js');
+  mod.initSwarmFeedIndicator();
+  return { mod, elements };
+};
+
+const update = (index, latestIndex) => ({
+  success: true,
+  reference: 'ee'.repeat(32),
+  index,
+  latestIndex,
+});
+
+describe('swarm-feed-ui', () => {
+  afterEach(() => {
+    global.window = originalWindow;
+    global.document = originalDocument;
+  });
+
+  test('getFeedForUrl only accepts bzz:// feed hosts', async () => {
+    const { mod } = await loadFeedModule();
+
+    expect(mod.getFeedForUrl(`${FEED_URL}blog/`)).toMatchObject({ owner: OWNER, index: null });
+    expect(mod.getFeedForUrl(`bzz://7.${OWNER}.${TOPIC}/`)).toMatchObject({ index: 7 });
+    expect(mod.getFeedForUrl(`bzz://${'a'.repeat(64)}/`)).toBeNull();
+    expect(mod.getFeedForUrl(`bzz-feed://${OWNER}/${TOPIC}`)).toBeNull();
+    expect(mod.getFeedForUrl(undefined)).toBeNull();
+  });
+
+  test('shows the current index and opens other updates from the popover', async () => {
+    const resolveSwarmFeed = jest.fn().mockResolvedValue(update(3, 5));
+    const { mod, elements } = await loadFeedModule({ resolveSwarmFeed });
+    const onOpen = jest.fn();
+    mod.setOnOpenSwarmFeed(onOpen);
+
+    await mod.updateSwarmFeedIndicator(`bzz://3.${OWNER}.${TOPIC}/page.html`);
+
+    const btn = elements['swarm-feed-btn'];
+    expect(resolveSwarmFeed).toHaveBeenCalledWith(OWNER, TOPIC, 3);
+    expect(btn.classList.contains('hidden')).toBe(false);
+    expect(btn.textContent).toBe('#3');
+    expect(btn.title).toBe('Swarm feed update #3 of 5');
+    expect(elements['swarm-feed-owner'].textContent).toBe(`0x${OWNER}`);
+    expect(elements['swarm-feed-latest-btn'].disabled).toBe(false);
+
+    btn.dispatch('click', { stopPropagation: jest.fn() });
+    expect(elements['swarm-feed-popover'].hidden).toBe(false);
+
+    elements['swarm-feed-index-input'].value = '1';
+    elements['swarm-feed-open-btn'].dispatch('click');
+    expect(onOpen).toHaveBeenLastCalledWith(`bzz://1.${OWNER}.${TOPIC}/`);
+    expect(elements['swarm-feed-popover'].hidden).toBe(true);
+
+    elements['swarm-feed-latest-btn'].dispatch('click');
+    expect(onOpen).toHaveBeenLastCalledWith(FEED_URL);
+
+    // Paths within the same feed update don't look it up again.
+    await mod.updateSwarmFeedIndicator(`bzz://3.${OWNER}.${TOPIC}/other.html`);
+    expect(resolveSwarmFeed).toHaveBeenCalledTimes(1);
+  });
+
+  test('hides for other pages, failed lookups and stale results', async () => {
+    let settle;
+    const resolveSwarmFeed = jest
+      .fn()
+      .mockResolvedValueOnce(update(5, 5))
+      .mockReturnValueOnce(new Promise((resolve) => (settle = resolve)))
+      .mockResolvedValueOnce({ success: false, error: { code: 'feed_empty' } });
+    const { mod, elements } = await loadFeedModule({ resolveSwarmFeed });
+    const btn = elements['swarm-feed-btn'];
+
+    await mod.updateSwarmFeedIndicator(FEED_URL);
+    expect(btn.title).toBe('Swarm feed update #5 (latest)');
+    expect(elements['swarm-feed-latest-btn'].disabled).toBe(true);
+
+    await mod.updateSwarmFeedIndicator('https://example.com/');
+    expect(btn.classList.contains('hidden')).toBe(true);
+
+    const pending = mod.updateSwarmFeedIndicator(`bzz://2.${OWNER}.${TOPIC}/`);
+    await mod.updateSwarmFeedIndicator(`bzz://${'a'.repeat(64)}/`);
+    settle(update(2, 5));
+    await pending;
+    expect(btn.classList.contains('hidden')).toBe(true);
+
+    await mod.updateSwarmFeedIndicator(`bzz://${OWNER}.${'ef'.repeat(32)}/`);
+    expect(btn.classList.contains('hidden')).toBe(true);
+  });
+});
@@ -82,6 +82,10 @@ async function handleSwarmRequest(webview, request) {
     } else if (method === 'swarm_readFeedEntry') {
       // No permission required — feeds are public Swarm data
       result = await forwardToMain(method, params, permissionKey);
+    } else if (method === 'swarm_subscribeFeed' || method === 'swarm_unsubscribeFeed') {
+      // No permission required — push version of swarm_readFeedEntry.
+      // feedUpdate events go from main straight to this webview.
+      result = await forwardToMain(method, params, permissionKey, webview.getWebContentsId());
     } else if (method === 'swarm_listFeeds') {
       // No permission required — origin-scoped introspection of own feed metadata
       result = await forwardToMain(method, params, permissionKey);
@@ -113,6 +117,15 @@ async function handleSwarmRequest(webview, request) {
       }
 
       result = await executeWithPermission(method, params, permissionKey);
+    } else if (method === 'swarm_gsocSubscribe') {
+      // Main pushes incoming messages straight to this webview, and cancels
+      // the subscription when it navigates away or closes.
+      result = await executeWithPermission(
+        method,
+        params,
+        permissionKey,
+        webview.getWebContentsId()
+      );
     } else {
       // All other methods: check permission, forward to main
       result = await executeWithPermission(method, params, permissionKey);
@@ -152,11 +165,12 @@ async function requirePermissionAndReturn(permissionKey) {
 
 /**
  * Check permission, update lastUsed, forward to main, unwrap result.
+ * webContentsId is only passed for methods that push events to the page.
  */
-async function executeWithPermission(method, params, permissionKey) {
+async function executeWithPermission(method, params, permissionKey, webContentsId) {
   await requirePermission(permissionKey);
   await window.swarmPermissions.updateLastUsed(permissionKey);
-  const response = await window.swarmProvider.execute(method, params, permissionKey);
+  const response = await window.swarmProvider.execute(method, params, permissionKey, webContentsId);
   if (response.error) throw response.error;
   return response.result;
 }
@@ -166,8 +180,8 @@ async function executeWithPermission(method, params, permissionKey) {
  * methods like swarm_getCapabilities and swarm_readFeedEntry where the
  * origin doesn't need to have called requestAccess.
  */
-async function forwardToMain(method, params, permissionKey) {
-  const response = await window.swarmProvider.execute(method, params, permissionKey);
+async function forwardToMain(method, params, permissionKey, webContentsId) {
+  const response = await window.swarmProvider.execute(method, params, permissionKey, webContentsId);
   if (response.error) throw response.error;
   return response.result;
 }
@@ -7,6 +7,7 @@ import { setupWebviewContextMenu } from './page-context-menu.js';
 import { homeUrl } from './page-urls.js';
 import { setupWebviewProvider, setActiveWebview } from './dapp-provider.js';
 import { setupSwarmProvider } from './swarm-provider.js';
+import { setupIpfsProvider } from './ipfs-provider.js';
 
 const electronAPI = window.electronAPI;
 
@@ -488,9 +489,10 @@ const createWebview = (tabId, initialUrl) => {
   // Set up context menu listener
   setupWebviewContextMenu(webview);
 
-  // Set up providers (window.ethereum + window.swarm)
+  // Set up providers (window.ethereum + window.swarm + window.ipfs)
   setupWebviewProvider(webview);
   setupSwarmProvider(webview);
+  setupIpfsProvider(webview);
 
   return webview;
 };
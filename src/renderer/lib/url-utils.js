@@ -1,4 +1,5 @@
-import { isEnsHost } from './origin-utils.js';
+import { isDnsEnsName, isEnsHost } from './origin-utils.js';
+import { arweaveSandboxLabel, toOriginSafeIpfsId } from './cid-utils.js';
 
 export const ensureTrailingSlash = (value = '') => (value.endsWith('/') ? value : `${value}/`);
 
@@ -7,7 +8,7 @@ export const ensureTrailingSlash = (value = '') => (value.endsWith('/') ? value
 // "unsupported transport" — the navigation surface alerts and aborts
 // rather than synthesising a URL we can't load. Single source of truth
 // so adding a new transport (e.g. ipfs5) only touches one place.
-export const SUPPORTED_ENS_TRANSPORTS = ['bzz', 'ipfs', 'ipns'];
+export const SUPPORTED_ENS_TRANSPORTS = ['bzz', 'ipfs', 'ipns', 'ar'];
 
 export const isSupportedEnsTransport = (protocol) =>
   typeof protocol === 'string' && SUPPORTED_ENS_TRANSPORTS.includes(protocol);
@@ -129,6 +130,66 @@ export const parseHashInput = (rawInput, bzzRoutePrefix) => {
   };
 };
 
+// ============ Swarm Feed URL Utilities ============
+
+// Feed hosts served by the bzz protocol handler (src/main/swarm/feed-resolver.js):
+// `<owner>.<topic>` for the latest update, `<index>.<owner>.<topic>` for a
+// specific one.
+const FEED_HOST_RE = /^(?:(\d{1,15})\.)?([0-9a-f]{40})\.([0-9a-f]{64})$/i;
+const FEED_INPUT_RE = /^bzz-feed:\/\/(?:0x)?([0-9a-f]{40})\/(?:0x)?([0-9a-f]{64})([/?#].*)?$/i;
+
+/**
+ * Build the bzz:// URL of a feed, optionally pinned to an update index.
+ * @param {string} owner - 40-char hex address (no 0x)
+ * @param {string} topic - 64-char hex topic (no 0x)
+ * @param {number|null} [index]
+ * @param {string} [suffix] - path/query/fragment, including the leading '/'
+ * @returns {string}
+ */
+export const buildSwarmFeedUrl = (owner, topic, index = null, suffix = '/') => {
+  const host = `${owner}.${topic}`.toLowerCase();
+  return `bzz://${index === null ? host : `${index}.${host}`}${suffix || '/'}`;
+};
+
+/**
+ * Parse a Swarm feed address: the typed `bzz-feed://<owner>/<topic>[/path]`
+ * form or a feed-host `bzz://[<index>.]<owner>.<topic>[/path]` URL. Both
+ * load as the latter.
+ * @param {string} rawInput
+ * @returns {{ owner: string, topic: string, index: number|null, suffix: string,
+ *   loadUrl: string, displayValue: string }|null}
+ */
+export const parseSwarmFeedInput = (rawInput) => {
+  const raw = (rawInput || '').trim();
+  let owner;
+  let topic;
+  let index = null;
+  let rest;
+
+  const typed = FEED_INPUT_RE.exec(raw);
+  if (typed) {
+    [, owner, topic, rest] = typed;
+  } else {
+    const match = raw.match(/^bzz:\/\/([^/?#]+)(.*)$/i);
+    const host = match && FEED_HOST_RE.exec(match[1]);
+    if (!host) return null;
+    [, , owner, topic] = host;
+    index = host[1] === undefined ? null : Number(host[1]);
+    rest = match[2];
+  }
+
+  const suffix = rest ? (rest.startsWith('/') ? rest : `/${rest}`) : '/';
+  const loadUrl = buildSwarmFeedUrl(owner, topic, index, suffix);
+  return {
+    owner: owner.toLowerCase(),
+    topic: topic.toLowerCase(),
+    index,
+    suffix,
+    loadUrl,
+    displayValue: loadUrl,
+  };
+};
+
 export const composeTargetUrl = (baseUrl, suffix = '') => {
   // Ensure suffix doesn't start with / if we want to append it relative to base
   const cleanSuffix = suffix.startsWith('/') ? suffix.slice(1) : suffix;
@@ -234,7 +295,7 @@ export const formatBzzUrl = (input, bzzRoutePrefix) => {
  * stays parseable for compatibility with existing bookmarks, but is no
  * longer the canonical display.
  *
- * @param {'bzz'|'ipfs'|'ipns'} protocol - resolved ENS contenthash transport
+ * @param {'bzz'|'ipfs'|'ipns'|'ar'} protocol - resolved ENS contenthash transport
  * @param {string} name - ENS name (already normalized/lowercased upstream)
  * @param {string} [suffix] - optional path/query/fragment, including any leading '/'
  * @returns {string|null} display URI, or null when protocol is unsupported
@@ -249,7 +310,8 @@ export const buildEnsDisplayUri = (protocol, name, suffix = '') => {
  * True when `displayUrl` is an ENS-backed display value the address bar
  * should treat as an ENS resolution. Recognises the bare-name form
  * (`vitalik.eth/path`), the legacy `ens://` form, and the transport-aware
- * `bzz://`/`ipfs://`/`ipns://` forms whose host ends in `.eth`/`.box`.
+ * `bzz://`/`ipfs://`/`ipns://`/`ar://` forms whose host ends in `.eth`/`.box`
+ * (or, outside `ipns://`, is a DNS name resolved through ENS).
  *
  * Used to gate the "clear known ENS mappings on direct navigation" branches
  * in `loadTarget`, so that transport ENS URLs (post-resolution display) do
@@ -269,9 +331,10 @@ export const isEnsBackedDisplay = (displayUrl) => {
   if (!trimmed) return false;
   const lower = trimmed.toLowerCase();
   if (lower.startsWith('ens://')) return true;
-  const transportMatch = lower.match(/^(?:bzz|ipfs|ipns):\/\/([^/?#]+)/);
+  const transportMatch = lower.match(/^(bzz|ipfs|ipns|ar):\/\/([^/?#]+)/);
   if (transportMatch) {
-    return isEnsHost(transportMatch[1]);
+    const [, scheme, host] = transportMatch;
+    return isEnsHost(host) || (scheme !== 'ipns' && isDnsEnsName(host));
   }
   return isEnsHost(trimmed.split(/[/?#]/)[0]);
 };
@@ -554,11 +617,33 @@ export const deriveIpfsBaseFromUrl = (input) => {
   return null;
 };
 
+// Build the `ipfs://` / `ipns://` URL Chromium actually loads for a parsed
+// IPFS input. The schemes are served by the main-process protocol handler
+// (src/main/ipfs/ipfs-protocol.js) so each CID / name gets its own origin.
+// Returns null when the identifier has no case-safe host form (e.g. a
+// base58btc CIDv1); callers then fall back to the gateway URL.
+const buildIpfsLoadUrl = (parsed) => {
+  const host = toOriginSafeIpfsId(parsed.protocol, parsed.cid);
+  if (!host) return null;
+  const tail = parsed.tail || '';
+  return `${parsed.protocol}://${host}${tail.startsWith('/') ? tail : `/${tail}`}`;
+};
+
+const fromParsedIpfsInput = (parsed) => ({
+  targetUrl: composeTargetUrl(parsed.baseUrl, parsed.tail || ''),
+  loadUrl: buildIpfsLoadUrl(parsed),
+  displayValue: parsed.displayValue,
+  baseUrl: parsed.baseUrl,
+  protocol: parsed.protocol,
+});
+
 /**
  * Format user input into an IPFS gateway URL
  * @param {string} input - User input (CID, ipfs://CID, ipns://name, etc.)
  * @param {string} ipfsRoutePrefix - Gateway prefix like "http://127.0.0.1:8080/ipfs/"
- * @returns {object|null} Object with targetUrl, displayValue, baseUrl, protocol
+ * @returns {object|null} Object with targetUrl, loadUrl, displayValue, baseUrl, protocol.
+ *   `loadUrl` is the origin-safe `ipfs://`/`ipns://` URL, or null for
+ *   gateway URLs and identifiers without a case-safe form.
  */
 export const formatIpfsUrl = (input, ipfsRoutePrefix) => {
   const raw = (input || '').trim();
@@ -566,45 +651,24 @@ export const formatIpfsUrl = (input, ipfsRoutePrefix) => {
     return null;
   }
 
+  // ipfs:// and ipns:// are parsed by hand rather than through `new URL`:
+  // both are registered as standard schemes, so URL parsing would lowercase
+  // the host and corrupt base58 identifiers (CIDv0, peer IDs).
+  if (/^ip[fn]s:\/\//i.test(raw)) {
+    const parsed = parseIpfsInput(raw, ipfsRoutePrefix);
+    return parsed ? fromParsedIpfsInput(parsed) : null;
+  }
+
   try {
     const asUrl = new URL(raw);
 
-    // Handle ipfs:// protocol
-    if (asUrl.protocol === 'ipfs:') {
-      const cidInput = `${asUrl.hostname}${asUrl.pathname}${asUrl.search}${asUrl.hash}`;
-      const parsed = parseIpfsInput(cidInput, ipfsRoutePrefix);
-      if (!parsed) {
-        return null;
-      }
-      return {
-        targetUrl: composeTargetUrl(parsed.baseUrl, parsed.tail || ''),
-        displayValue: parsed.displayValue,
-        baseUrl: parsed.baseUrl,
-        protocol: 'ipfs',
-      };
-    }
-
-    // Handle ipns:// protocol
-    if (asUrl.protocol === 'ipns:') {
-      const nameInput = `ipns://${asUrl.hostname}${asUrl.pathname}${asUrl.search}${asUrl.hash}`;
-      const parsed = parseIpfsInput(nameInput, ipfsRoutePrefix);
-      if (!parsed) {
-        return null;
-      }
-      return {
-        targetUrl: composeTargetUrl(parsed.baseUrl, parsed.tail || ''),
-        displayValue: parsed.displayValue,
-        baseUrl: parsed.baseUrl,
-        protocol: 'ipns',
-      };
-    }
-
     // Check if it's already a gateway URL
     const derivedBase = deriveIpfsBaseFromUrl(asUrl);
     if (derivedBase) {
       const isIpns = asUrl.pathname.toLowerCase().startsWith('/ipns/');
       return {
         targetUrl: asUrl.toString(),
+        loadUrl: null,
         displayValue: deriveDisplayValue(
           asUrl.toString(),
           '',
@@ -620,29 +684,49 @@ export const formatIpfsUrl = (input, ipfsRoutePrefix) => {
     return null;
   } catch {
     // URL parsing failed - check if it's a raw CID
-    const firstSegment = raw
-      .split('/')[0]
-      .replace(/^ipfs:\/\//i, '')
-      .replace(/^ipns:\/\//i, '');
+    const firstSegment = raw.split('/')[0];
 
     // Check if it looks like a CID
     if (isValidCid(firstSegment)) {
       const parsed = parseIpfsInput(raw, ipfsRoutePrefix);
-      if (!parsed) {
-        return null;
-      }
-      return {
-        targetUrl: composeTargetUrl(parsed.baseUrl, parsed.tail || ''),
-        displayValue: parsed.displayValue,
-        baseUrl: parsed.baseUrl,
-        protocol: parsed.protocol,
-      };
+      return parsed ? fromParsedIpfsInput(parsed) : null;
     }
 
     return null;
   }
 };
 
+// ============ Arweave URL Utilities ============
+
+/**
+ * Format an `ar://` input for the ar protocol handler
+ * (src/main/arweave-protocol.js). Transaction ids are base64url and would
+ * not survive Chromium's host lowercasing, so they load under their base32
+ * sandbox label; ENS names and sandbox labels load as typed.
+ * @param {string} input - `ar://<txid | sandbox label | name.eth>[/path]`
+ * @returns {object|null} Object with loadUrl, displayValue and protocol
+ */
+export const formatArweaveUrl = (input) => {
+  const raw = (input || '').trim();
+  // Parsed by hand for the same reason as ipfs:// — `new URL` would
+  // lowercase the host and corrupt the transaction id.
+  const match = raw.match(/^ar:\/\/([^/?#]+)(.*)$/i);
+  if (!match) return null;
+  const [, host, rest] = match;
+  const lower = host.toLowerCase();
+  let loadHost = arweaveSandboxLabel(host);
+  if (!loadHost && (/^[a-z2-7]{52}$/.test(lower) || isEnsHost(lower))) {
+    loadHost = lower;
+  }
+  if (!loadHost) return null;
+  const suffix = rest || '/';
+  return {
+    loadUrl: `ar://${loadHost}${suffix}`,
+    displayValue: `ar://${host}${rest || ''}`,
+    protocol: 'ar',
+  };
+};
+
 // ============ Radicle URL Utilities ============
 
 /**
@@ -3,6 +3,8 @@ import {
   composeTargetUrl,
   deriveBzzBaseFromUrl,
   parseHashInput,
+  parseSwarmFeedInput,
+  buildSwarmFeedUrl,
   formatBzzUrl,
   deriveDisplayValue,
   isValidCid,
@@ -90,6 +92,45 @@ describe('url-utils', () => {
     });
   });
 
+  describe('parseSwarmFeedInput', () => {
+    const OWNER = 'ab'.repeat(20);
+    const TOPIC = 'cd'.repeat(32);
+
+    test('rewrites bzz-feed://<owner>/<topic> to the feed host form', () => {
+      expect(parseSwarmFeedInput(`bzz-feed://0x${OWNER.toUpperCase()}/${TOPIC}/docs?v=1`)).toEqual({
+        owner: OWNER,
+        topic: TOPIC,
+        index: null,
+        suffix: '/docs?v=1',
+        loadUrl: `bzz://${OWNER}.${TOPIC}/docs?v=1`,
+        displayValue: `bzz://${OWNER}.${TOPIC}/docs?v=1`,
+      });
+    });
+
+    test('parses feed-host bzz:// URLs with an optional index', () => {
+      expect(parseSwarmFeedInput(`bzz://${OWNER}.${TOPIC}`)).toMatchObject({
+        index: null,
+        loadUrl: `bzz://${OWNER}.${TOPIC}/`,
+      });
+      expect(parseSwarmFeedInput(`bzz://7.${OWNER}.${TOPIC}/a.html#top`)).toMatchObject({
+        index: 7,
+        suffix: '/a.html#top',
+      });
+    });
+
+    test('ignores content hashes, ENS names and malformed feeds', () => {
+      expect(parseSwarmFeedInput(`bzz://${TOPIC}/`)).toBeNull();
+      expect(parseSwarmFeedInput('bzz://swarm.eth/')).toBeNull();
+      expect(parseSwarmFeedInput(`bzz-feed://${OWNER}`)).toBeNull();
+      expect(parseSwarmFeedInput(`bzz-feed://${OWNER}/${TOPIC}extra`)).toBeNull();
+    });
+
+    test('builds pinned and latest feed URLs', () => {
+      expect(buildSwarmFeedUrl(OWNER, TOPIC)).toBe(`bzz://${OWNER}.${TOPIC}/`);
+      expect(buildSwarmFeedUrl(OWNER, TOPIC, 0, '/x')).toBe(`bzz://0.${OWNER}.${TOPIC}/x`);
+    });
+  });
+
   describe('composeTargetUrl', () => {
     test('joins base and suffix correctly', () => {
       const base = 'http://127.0.0.1:1633/bzz/hash/';
@@ -526,6 +567,7 @@ describe('url-utils', () => {
       const result = formatIpfsUrl(input, IPFS_ROUTE_PREFIX);
       expect(result).toEqual({
         targetUrl: 'http://127.0.0.1:8080/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG/',
+        loadUrl: 'ipfs://bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34/',
         displayValue: 'ipfs://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG',
         baseUrl: 'http://127.0.0.1:8080/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG/',
         protocol: 'ipfs',
@@ -586,10 +628,44 @@ describe('url-utils', () => {
         'http://127.0.0.1:8080/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG/readme';
       const result = formatIpfsUrl(input, IPFS_ROUTE_PREFIX);
       expect(result.targetUrl).toBe(input);
+      expect(result.loadUrl).toBeNull();
       expect(result.baseUrl).toBe(
         'http://127.0.0.1:8080/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG/'
       );
     });
+
+    test('builds origin-safe protocol load URLs', () => {
+      expect(
+        formatIpfsUrl('ipfs://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG/a/b?x=1#top', IPFS_ROUTE_PREFIX)
+          .loadUrl
+      ).toBe('ipfs://bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34/a/b?x=1#top');
+      expect(formatIpfsUrl('ipns://docs.ipfs.tech/concepts', IPFS_ROUTE_PREFIX).loadUrl).toBe(
+        'ipns://docs.ipfs.tech/concepts'
+      );
+      expect(
+        formatIpfsUrl('ipns://12D3KooWD3eckifWpRn9wQpMG9R9hX3sD158z7EqHWmweQAJU5SA', IPFS_ROUTE_PREFIX)
+          .loadUrl
+      ).toBe('ipns://k51qzi5uqu5dhdmyb9bd18pypu2wp5lpv2xnskfmrqa4lb5knqryrotb05e7or/');
+    });
+
+    test('preserves base58 case in ipfs:// input', () => {
+      const result = formatIpfsUrl(
+        'IPFS://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG',
+        IPFS_ROUTE_PREFIX
+      );
+      expect(result.displayValue).toBe('ipfs://QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG');
+    });
+
+    test('leaves loadUrl null for identifiers without a case-safe form', () => {
+      const result = formatIpfsUrl(
+        'zdj7WWeQ43G6JJvLWQWZpyHuAMq6uYWRjkBXFad11vE2LHhQ7',
+        IPFS_ROUTE_PREFIX
+      );
+      expect(result.loadUrl).toBeNull();
+      expect(result.targetUrl).toBe(
+        'http://127.0.0.1:8080/ipfs/zdj7WWeQ43G6JJvLWQWZpyHuAMq6uYWRjkBXFad11vE2LHhQ7/'
+      );
+    });
   });
 
   // ============ ENS Name Preservation Tests ============
@@ -836,6 +912,13 @@ describe('url-utils', () => {
       expect(isEnsBackedDisplay('ipns://app.box/page')).toBe(true);
     });
 
+    test('recognises DNS names in transport form, but not DNSLink ipns://', () => {
+      expect(isEnsBackedDisplay('bzz://example.com/page')).toBe(true);
+      expect(isEnsBackedDisplay('ar://example.xyz')).toBe(true);
+      expect(isEnsBackedDisplay('ipns://docs.ipfs.tech')).toBe(false);
+      expect(isEnsBackedDisplay('example.com')).toBe(false);
+    });
+
     test('rejects raw transport URLs (hash/CID hosts) and other schemes', () => {
       expect(isEnsBackedDisplay('bzz://abcdef1234')).toBe(false);
       expect(isEnsBackedDisplay('ipfs://QmHash')).toBe(false);
@@ -15,8 +15,9 @@ import { initBalanceDisplay, loadChainRegistry, refreshBalances, renderAssetList
 import { initNodeStatus } from './wallet/node-status.js';
 import { initRpcSettings, closeRpcApiKeyScreen } from './wallet/rpc-settings.js';
 import { initDappConnect, showDappConnect, updateConnectionBanner } from './wallet/dapp-connect.js';
-import { initDappTx, showDappTxApproval } from './wallet/dapp-tx.js';
+import { initDappTx, showDappTxApproval, showInternalTxApproval } from './wallet/dapp-tx.js';
 import { initDappSign, showDappSignApproval } from './wallet/dapp-sign.js';
+import { initDappSuggest, showDappAddChain, showDappWatchAsset } from './wallet/dapp-suggest.js';
 import { initSend, openSend, closeSend } from './wallet/send.js';
 import { initExportMnemonic, closeExportMnemonic } from './wallet/export-mnemonic.js';
 import { initWalletSelector, loadDerivedWallets } from './wallet/wallet-selector.js';
@@ -31,9 +32,19 @@ import { initSwarmConnect, showSwarmConnect, updateSwarmConnectionBanner, showSw
 import { initVaultUnlock, showVaultUnlock } from './wallet/vault-unlock.js';
 import { initPermissionManage, showDappPermissions, showSwarmPermissions } from './wallet/permission-manage.js';
 import { initPublisherIdentities, closePublisherIdentities } from './wallet/publisher-identities.js';
+import { initActivity, refreshActivity } from './wallet/activity.js';
+import { initAllowances } from './wallet/allowances.js';
 
 // Re-export public API consumed by dapp-provider.js, swarm-provider.js, and index.js
-export { showDappConnect, updateConnectionBanner, showDappTxApproval, showDappSignApproval };
+export {
+  showDappConnect,
+  updateConnectionBanner,
+  showDappTxApproval,
+  showInternalTxApproval,
+  showDappSignApproval,
+  showDappAddChain,
+  showDappWatchAsset,
+};
 export { showSwarmConnect, updateSwarmConnectionBanner, showSwarmPublishApproval, showSwarmFeedApproval, showVaultUnlock };
 export { showDappPermissions, showSwarmPermissions };
 export { getSelectedChainId, setSelectedChainId };
@@ -71,6 +82,7 @@ export function initWalletUi() {
   initPermissionManage();
   initDappTx();
   initDappSign();
+  initDappSuggest();
   initSend();
   initExportMnemonic(switchTab);
   initWalletSelector(openCreateWallet);
@@ -82,6 +94,8 @@ export function initWalletUi() {
   initStampManager();
   initChequebookDeposit();
   initPublisherIdentities();
+  initActivity();
+  initAllowances();
 
   // Load chain registry (updates registeredTokens/registeredChains, then render)
   loadChainRegistry().then(() => {
@@ -136,6 +150,9 @@ function setupCoordinatorListeners() {
     tab.addEventListener('click', () => {
       const tabName = tab.dataset.tab;
       switchTab(tabName);
+      if (tabName === 'activity') {
+        refreshActivity();
+      }
       if ((tabName === 'wallet' || tabName === 'nodes') && (walletState.fullAddresses.wallet || walletState.fullAddresses.swarm)) {
         refreshBalances();
       }
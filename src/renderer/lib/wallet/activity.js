@@ -0,0 +1,210 @@
+/**
+ * Activity Module
+ *
+ * Sidebar Activity tab: transactions sent from the vault wallets and by the
+ * Swarm node, newest first, with their current status. The main process
+ * tracks pending ones and pings us on every change.
+ *
+ * A speed-up or cancel is stored as its own transaction linked to the one it
+ * replaces; the whole chain is shown as a single row that follows whichever
+ * member is mined, and pending rows offer Speed up / Cancel.
+ */
+
+import { walletState } from './wallet-state.js';
+import { escapeHtml, timeAgo } from './wallet-utils.js';
+import { createTab } from '../tabs.js';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  failed: 'Failed',
+  dropped: 'Dropped',
+  replaced: 'Replaced',
+};
+
+const REPLACE_ACTIONS = {
+  'speed-up': (id) => window.wallet.speedUpTransaction(id),
+  cancel: (id) => window.wallet.cancelTransaction(id),
+};
+
+let listContainer;
+let emptyMessage;
+let clearBtn;
+
+export function initActivity() {
+  listContainer = document.getElementById('activity-list');
+  emptyMessage = document.getElementById('activity-empty');
+  clearBtn = document.getElementById('activity-clear-btn');
+
+  if (clearBtn) {
+    clearBtn.addEventListener('click', async () => {
+      await window.wallet.clearActivity();
+      refreshActivity();
+    });
+  }
+
+  if (listContainer) {
+    listContainer.addEventListener('click', (e) => {
+      const actionBtn = e.target.closest('button[data-action]');
+      if (actionBtn) {
+        replaceTransaction(actionBtn);
+        return;
+      }
+      const link = e.target.closest('a[data-explorer-url]');
+      if (!link) return;
+      e.preventDefault();
+      createTab(link.dataset.explorerUrl);
+    });
+  }
+
+  window.wallet.onActivityUpdate?.(() => refreshActivity());
+}
+
+export async function refreshActivity() {
+  let entries = [];
+  try {
+    const result = await window.wallet.getActivity();
+    entries = result?.success ? result.entries : [];
+  } catch (err) {
+    console.error('[WalletUI] Failed to load activity:', err);
+  }
+  renderList(entries);
+}
+
+async function replaceTransaction(button) {
+  const item = button.closest('.activity-item');
+  const errorEl = item?.querySelector('.activity-error');
+  const buttons = item ? item.querySelectorAll('button[data-action]') : [button];
+  buttons.forEach((btn) => {
+    btn.disabled = true;
+  });
+  errorEl?.classList.add('hidden');
+
+  try {
+    const result = await REPLACE_ACTIONS[button.dataset.action](Number(button.dataset.id));
+    if (!result?.success) throw new Error(result?.error || 'Replacement failed');
+    // The activity-updated broadcast re-renders the list.
+  } catch (err) {
+    console.error('[WalletUI] Transaction replacement failed:', err);
+    buttons.forEach((btn) => {
+      btn.disabled = false;
+    });
+    if (errorEl) {
+      errorEl.textContent = err.message;
+      errorEl.classList.remove('hidden');
+    }
+  }
+}
+
+/**
+ * Collapse speed-up / cancel chains into one group per original transaction,
+ * ordered by each group's newest member.
+ */
+function groupReplacements(entries) {
+  const byId = new Map(entries.map((e) => [e.id, e]));
+  const rootOf = (entry) => {
+    let current = entry;
+    while (current.replacesId && byId.has(current.replacesId)) {
+      current = byId.get(current.replacesId);
+    }
+    return current;
+  };
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const root = rootOf(entry);
+    if (!groups.has(root.id)) groups.set(root.id, { root, members: [] });
+    groups.get(root.id).members.push(entry);
+  }
+  return [...groups.values()];
+}
+
+// The member worth showing: the mined one, else the live pending one.
+function currentMember(members) {
+  return (
+    members.find((e) => e.status === 'confirmed' || e.status === 'failed') ||
+    members.find((e) => e.status === 'pending' && !e.replacedById) ||
+    members[0]
+  );
+}
+
+function replacementNote(current, members) {
+  if (members.length < 2) return null;
+  if (current.kind === 'cancel') {
+    return current.status === 'pending' ? 'Cancel requested' : 'Cancelled';
+  }
+  if (current.kind === 'speed-up') return 'Sped up';
+  return null;
+}
+
+function canReplace(entry) {
+  return entry.status === 'pending' && entry.nonce !== null && entry.walletIndex !== null;
+}
+
+function senderLabel(entry) {
+  if (entry.kind === 'stamp-purchase' || entry.kind === 'chequebook-deposit') {
+    return 'Swarm node';
+  }
+  const wallet = walletState.derivedWallets.find((w) => w.index === entry.walletIndex);
+  return wallet?.name || null;
+}
+
+function renderList(entries) {
+  if (!listContainer) return;
+
+  // Pending rows survive a clear, so only offer it when there is history.
+  clearBtn?.classList.toggle('hidden', !entries.some((e) => e.status !== 'pending'));
+
+  if (entries.length === 0) {
+    listContainer.innerHTML = '';
+    emptyMessage?.classList.remove('hidden');
+    return;
+  }
+
+  emptyMessage?.classList.add('hidden');
+
+  listContainer.innerHTML = groupReplacements(entries)
+    .map(({ root, members }) => {
+      const entry = currentMember(members);
+      const summary = root.summary || entry.summary;
+      const chainName =
+        walletState.registeredChains[entry.chainId]?.name || `Chain ${entry.chainId}`;
+      const meta = [
+        `<span>${escapeHtml(timeAgo(new Date(entry.timestamp)))}</span>`,
+        `<span>${escapeHtml(chainName)}</span>`,
+      ];
+      const sender = senderLabel(entry);
+      if (sender) meta.push(`<span>${escapeHtml(sender)}</span>`);
+      const note = replacementNote(entry, members);
+      if (note) meta.push(`<span>${note}</span>`);
+      if (entry.origin) meta.push(`<span>${escapeHtml(entry.origin)}</span>`);
+      if (entry.explorerUrl) {
+        meta.push(`<a href="#" data-explorer-url="${escapeHtml(entry.explorerUrl)}">Explorer</a>`);
+      }
+
+      const title = entry.errorMessage ? ` title="${escapeHtml(entry.errorMessage)}"` : '';
+
+      let actions = '';
+      if (canReplace(entry)) {
+        const cancelBtn =
+          entry.kind === 'cancel'
+            ? ''
+            : `<button class="activity-action-btn" data-action="cancel" data-id="${entry.id}">Cancel</button>`;
+        actions = `<div class="activity-actions">
+        <button class="activity-action-btn" data-action="speed-up" data-id="${entry.id}">Speed up</button>
+        ${cancelBtn}
+      </div>
+      <div class="activity-error hidden"></div>`;
+      }
+
+      return `<div class="activity-item">
+      <div class="activity-item-header">
+        <span class="activity-summary" title="${escapeHtml(summary || '')}">${escapeHtml(summary || 'Transaction')}</span>
+        <span class="activity-status activity-status-${escapeHtml(entry.status)}"${title}>${STATUS_LABELS[entry.status] || escapeHtml(entry.status)}</span>
+      </div>
+      <div class="activity-meta">${meta.join('')}</div>
+      ${actions}
+    </div>`;
+    })
+    .join('');
+}
@@ -0,0 +1,179 @@
+/**
+ * Token Approvals Module
+ *
+ * Sub-screen listing the ERC-20 allowances and NFT operator approvals the
+ * vault's wallets still grant, found by the main-process allowance scanner.
+ * Revoking builds the zero-approval transaction there and signs it through
+ * the normal transaction review screen.
+ */
+
+import { walletState, registerScreenHider } from './wallet-state.js';
+import { escapeHtml, truncateAddress } from './wallet-utils.js';
+import { showInternalTxApproval } from './dapp-tx.js';
+
+let screen;
+let statusEl;
+let rangeEl;
+let rescanBtn;
+let listContainer;
+let emptyMessage;
+
+let approvals = null;
+let scanErrors = [];
+let scannedRanges = [];
+// Revokes sent this session, until a rescan no longer finds the approval.
+const revokesSent = new Set();
+
+const approvalKey = (a) =>
+  `${a.chainId}:${a.owner}:${a.kind}:${a.token}:${a.spender}`.toLowerCase();
+
+export function initAllowances() {
+  screen = document.getElementById('sidebar-allowances');
+  statusEl = document.getElementById('allowances-status');
+  rangeEl = document.getElementById('allowances-range');
+  rescanBtn = document.getElementById('allowances-rescan-btn');
+  listContainer = document.getElementById('allowances-list');
+  emptyMessage = document.getElementById('allowances-empty');
+
+  registerScreenHider(() => screen?.classList.add('hidden'));
+
+  document.getElementById('allowances-open-btn')?.addEventListener('click', () => openAllowances());
+  document.getElementById('allowances-back')?.addEventListener('click', closeAllowances);
+  rescanBtn?.addEventListener('click', scan);
+
+  listContainer?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-revoke]');
+    if (btn) revoke(Number(btn.dataset.revoke));
+  });
+}
+
+export function openAllowances() {
+  walletState.identityView?.classList.add('hidden');
+  screen?.classList.remove('hidden');
+  if (approvals === null) {
+    scan();
+  } else {
+    render();
+  }
+}
+
+export function closeAllowances() {
+  screen?.classList.add('hidden');
+  walletState.identityView?.classList.remove('hidden');
+}
+
+async function scan() {
+  if (rescanBtn) rescanBtn.disabled = true;
+  if (statusEl) statusEl.textContent = 'Scanning approval history...';
+
+  try {
+    const result = await window.wallet.scanAllowances();
+    if (!result?.success) throw new Error(result?.error || 'Scan failed');
+    approvals = result.approvals;
+    scanErrors = result.errors || [];
+    scannedRanges = result.ranges || [];
+    const found = new Set(approvals.map(approvalKey));
+    for (const key of revokesSent) {
+      if (!found.has(key)) revokesSent.delete(key);
+    }
+  } catch (err) {
+    console.error('[WalletUI] Allowance scan failed:', err);
+    approvals = approvals || [];
+    scanErrors = [{ error: err.message }];
+  } finally {
+    if (rescanBtn) rescanBtn.disabled = false;
+  }
+
+  render();
+}
+
+function chainName(chainId) {
+  return walletState.registeredChains[chainId]?.name || `Chain ${chainId}`;
+}
+
+function renderStatus() {
+  if (!statusEl) return;
+  if (scanErrors.length === 0) {
+    statusEl.textContent = `${approvals.length} open approval${approvals.length === 1 ? '' : 's'}`;
+    return;
+  }
+  const failed = scanErrors.map((e) => (e.chainId ? chainName(e.chainId) : e.error));
+  statusEl.textContent = `Could not scan: ${failed.join(', ')}`;
+}
+
+// Approvals granted outside these blocks are not listed.
+function renderRanges() {
+  if (!rangeEl) return;
+  const blocks = (n) => n.toLocaleString('en-US');
+  const scanned = scannedRanges.map(
+    (r) => `${chainName(r.chainId)} blocks ${blocks(r.fromBlock)}–${blocks(r.toBlock)}`
+  );
+  rangeEl.textContent = scanned.length ? `Scanned ${scanned.join(', ')}` : '';
+}
+
+function render() {
+  if (!listContainer || approvals === null) return;
+  renderStatus();
+  renderRanges();
+
+  if (approvals.length === 0) {
+    listContainer.innerHTML = '';
+    emptyMessage?.classList.remove('hidden');
+    return;
+  }
+  emptyMessage?.classList.add('hidden');
+
+  listContainer.innerHTML = approvals
+    .map((approval, index) => {
+      const token = approval.tokenSymbol || approval.tokenName || truncateAddress(approval.token);
+      const spender =
+        approval.spenderLabel || approval.spenderEns || truncateAddress(approval.spender);
+      const spenderExtra =
+        approval.spenderLabel && approval.spenderEns ? ` (${approval.spenderEns})` : '';
+      const amountClass = approval.unlimited
+        ? 'allowance-amount allowance-amount-unlimited'
+        : 'allowance-amount';
+      const sent = revokesSent.has(approvalKey(approval));
+
+      return `<div class="activity-item">
+      <div class="activity-item-header">
+        <span class="activity-summary" title="${escapeHtml(approval.token)}">${escapeHtml(token)}</span>
+        <span class="${amountClass}">${escapeHtml(approval.amountDisplay)}</span>
+      </div>
+      <div class="allowance-spender" title="${escapeHtml(approval.spender)}">${escapeHtml(spender + spenderExtra)}</div>
+      <div class="activity-meta">
+        <span>${escapeHtml(chainName(approval.chainId))}</span>
+        <span>${escapeHtml(approval.walletName || truncateAddress(approval.owner))}</span>
+        <span>${approval.kind === 'erc20' ? 'Allowance' : 'Operator for all tokens'}</span>
+      </div>
+      <div class="activity-actions">
+        <button class="activity-action-btn" data-revoke="${index}"${sent ? ' disabled' : ''}>${sent ? 'Revoke sent' : 'Revoke'}</button>
+      </div>
+    </div>`;
+    })
+    .join('');
+}
+
+async function revoke(index) {
+  const approval = approvals?.[index];
+  if (!approval) return;
+
+  const token = approval.tokenSymbol || truncateAddress(approval.token);
+  const spender = approval.spenderLabel || approval.spenderEns || truncateAddress(approval.spender);
+
+  try {
+    await showInternalTxApproval({
+      origin: 'Token approvals',
+      action: `revokes ${spender}'s access to your ${token}`,
+      walletIndex: approval.walletIndex,
+      chainId: approval.chainId,
+      txParams: approval.revokeTx,
+    });
+    revokesSent.add(approvalKey(approval));
+  } catch (err) {
+    if (err?.code !== 4001) console.error('[WalletUI] Revoke failed:', err);
+  }
+
+  // The review screen hid this one; bring it back with the updated row.
+  openAllowances();
+}
@@ -0,0 +1,160 @@
+/**
+ * dApp Suggestion Module
+ *
+ * Approval screens for networks (wallet_addEthereumChain, EIP-3085) and
+ * tokens (wallet_watchAsset, EIP-747) that a dApp asks to add to the chain
+ * registry. Approved entries are saved tagged with the proposing site; a
+ * proposed network is only saved once its RPC answers with the right chain ID.
+ */
+
+import { walletState, registerScreenHider, hideAllSubscreens } from './wallet-state.js';
+import { open as openSidebarPanel } from '../sidebar.js';
+import { loadChainRegistry, renderAssetList } from './balance-display.js';
+
+// One entry per screen, keyed by the screen's id prefix
+const screens = {
+  'dapp-add-chain': { approveLabel: 'Add Network', save: saveChain },
+  'dapp-watch-asset': { approveLabel: 'Add Token', save: saveToken },
+};
+
+// Local state
+let pending = null;
+
+export function initDappSuggest() {
+  for (const [prefix, config] of Object.entries(screens)) {
+    config.screen = document.getElementById(`sidebar-${prefix}`);
+    config.errorEl = document.getElementById(`${prefix}-error`);
+    config.approveBtn = document.getElementById(`${prefix}-approve`);
+
+    registerScreenHider(() => config.screen?.classList.add('hidden'));
+
+    const reject = () => {
+      rejectSuggestion();
+      closeSuggestion();
+    };
+    document.getElementById(`${prefix}-back`)?.addEventListener('click', reject);
+    document.getElementById(`${prefix}-reject`)?.addEventListener('click', reject);
+    config.approveBtn?.addEventListener('click', approveSuggestion);
+  }
+}
+
+/**
+ * Show the add-network screen.
+ * @param {string} permissionKey - proposing site
+ * @param {Object} chain - registry-shaped chain built from the EIP-3085 params
+ * @returns {Promise<void>} resolves once the chain is saved; rejects with
+ *   code 4001 if the user declines
+ */
+export function showDappAddChain(permissionKey, chain) {
+  setText('dapp-add-chain-site', permissionKey);
+  setText('dapp-add-chain-name', chain.name);
+  setText('dapp-add-chain-id', `${chain.chainId} (${chain.chainIdHex})`);
+  setText('dapp-add-chain-rpc', chain.rpcUrls.join('\n'));
+  setText('dapp-add-chain-explorer', chain.blockExplorer || 'None');
+  const { name, symbol, decimals } = chain.nativeCurrency;
+  setText('dapp-add-chain-currency', `${name} (${symbol}, ${decimals} decimals)`);
+
+  return presentSuggestion('dapp-add-chain', permissionKey, chain);
+}
+
+/**
+ * Show the add-token screen.
+ * @param {string} permissionKey - proposing site
+ * @param {Object} token - { chainId, address, symbol, name, decimals }
+ * @returns {Promise<void>} resolves once the token is saved; rejects with
+ *   code 4001 if the user declines
+ */
+export function showDappWatchAsset(permissionKey, token) {
+  const chain = walletState.registeredChains[token.chainId];
+  setText('dapp-watch-asset-site', permissionKey);
+  setText('dapp-watch-asset-symbol', token.symbol);
+  setText('dapp-watch-asset-address', token.address);
+  setText('dapp-watch-asset-decimals', String(token.decimals));
+  setText('dapp-watch-asset-network', chain?.name || `Chain ${token.chainId}`);
+
+  return presentSuggestion('dapp-watch-asset', permissionKey, token);
+}
+
+function setText(id, text) {
+  const el = document.getElementById(id);
+  if (el) el.textContent = text;
+}
+
+function presentSuggestion(prefix, permissionKey, entry) {
+  // A newer request replaces one still on screen
+  rejectSuggestion();
+
+  return new Promise((resolve, reject) => {
+    pending = { prefix, permissionKey, entry, resolve, reject };
+
+    hideAllSubscreens();
+    walletState.identityView?.classList.add('hidden');
+    screens[prefix].screen?.classList.remove('hidden');
+
+    openSidebarPanel();
+  });
+}
+
+async function saveChain(chain, permissionKey) {
+  return window.chainRegistry.addSuggestedChain(chain, permissionKey);
+}
+
+async function saveToken(token, permissionKey) {
+  return window.chainRegistry.addToken({ ...token, addedBy: permissionKey });
+}
+
+async function approveSuggestion() {
+  if (!pending) return;
+
+  const request = pending;
+  const { approveBtn, errorEl, save, approveLabel } = screens[request.prefix];
+
+  if (approveBtn) {
+    approveBtn.disabled = true;
+    approveBtn.textContent = request.prefix === 'dapp-add-chain' ? 'Checking RPC...' : 'Adding...';
+  }
+  errorEl?.classList.add('hidden');
+
+  try {
+    const result = await save(request.entry, request.permissionKey);
+    if (!result?.success) throw new Error(result?.error || 'Failed to save');
+
+    await loadChainRegistry();
+    renderAssetList();
+
+    console.log('[WalletUI] dApp suggestion added:', request.prefix, request.permissionKey);
+    request.resolve();
+    if (pending === request) closeSuggestion();
+  } catch (err) {
+    console.error('[WalletUI] Failed to add dApp suggestion:', err);
+    if (pending !== request) return;
+    if (errorEl) {
+      errorEl.textContent = err.message;
+      errorEl.classList.remove('hidden');
+    }
+    if (approveBtn) {
+      approveBtn.disabled = false;
+      approveBtn.textContent = approveLabel;
+    }
+  }
+}
+
+function rejectSuggestion() {
+  if (pending?.reject) {
+    pending.reject({ code: 4001, message: 'User rejected the request' });
+  }
+}
+
+function closeSuggestion() {
+  if (pending) {
+    const { screen, errorEl, approveBtn, approveLabel } = screens[pending.prefix];
+    screen?.classList.add('hidden');
+    errorEl?.classList.add('hidden');
+    if (approveBtn) {
+      approveBtn.disabled = false;
+      approveBtn.textContent = approveLabel;
+    }
+  }
+  walletState.identityView?.classList.remove('hidden');
+  pending = null;
+}
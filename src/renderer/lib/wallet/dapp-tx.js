@@ -1,7 +1,9 @@
 /**
  * dApp Transaction Approval Module
  *
- * Transaction approval screen for dApp-initiated transactions.
+ * Transaction approval screen for dApp-initiated transactions. Calldata is
+ * decoded, simulated and risk-checked in the main process
+ * (wallet/tx-decoder.js) and shown above the approve button.
  */
 
 import { walletState, registerScreenHider, hideAllSubscreens } from './wallet-state.js';
@@ -11,6 +13,7 @@ import { open as openSidebarPanel } from '../sidebar.js';
 let dappTxScreen;
 let dappTxBackBtn;
 let dappTxSite;
+let dappTxAction;
 let dappTxTo;
 let dappTxValue;
 let dappTxData;
@@ -18,6 +21,12 @@ let dappTxDataRow;
 let dappTxNetwork;
 let dappTxFee;
 let dappTxWarning;
+let dappTxDecoded;
+let dappTxMethod;
+let dappTxContract;
+let dappTxArgs;
+let dappTxSimulation;
+let dappTxRisks;
 let dappTxUnlock;
 let dappTxTouchIdBtn;
 let dappTxPasswordLink;
@@ -37,6 +46,7 @@ export function initDappTx() {
   dappTxScreen = document.getElementById('sidebar-dapp-tx');
   dappTxBackBtn = document.getElementById('dapp-tx-back');
   dappTxSite = document.getElementById('dapp-tx-site');
+  dappTxAction = document.getElementById('dapp-tx-action');
   dappTxTo = document.getElementById('dapp-tx-to');
   dappTxValue = document.getElementById('dapp-tx-value');
 
@@ -45,6 +55,12 @@ export function initDappTx() {
   dappTxNetwork = document.getElementById('dapp-tx-network');
   dappTxFee = document.getElementById('dapp-tx-fee');
   dappTxWarning = document.getElementById('dapp-tx-warning');
+  dappTxDecoded = document.getElementById('dapp-tx-decoded');
+  dappTxMethod = document.getElementById('dapp-tx-method');
+  dappTxContract = document.getElementById('dapp-tx-contract');
+  dappTxArgs = document.getElementById('dapp-tx-args');
+  dappTxSimulation = document.getElementById('dapp-tx-simulation');
+  dappTxRisks = document.getElementById('dapp-tx-risks');
   dappTxUnlock = document.getElementById('dapp-tx-unlock');
   dappTxTouchIdBtn = document.getElementById('dapp-tx-touchid-btn');
   dappTxPasswordLink = document.getElementById('dapp-tx-password-link');
@@ -118,28 +134,71 @@ export async function showDappTxApproval(webview, permissionKey, txParams) {
   const selector = extractSelector(txParams.data);
 
   return new Promise((resolve, reject) => {
-    dappTxPending = { permissionKey, walletIndex: permission.walletIndex, txParams, resolve, reject, webview, chainId, selector };
-
-    if (dappTxSite) {
-      dappTxSite.textContent = permissionKey;
-    }
+    dappTxPending = {
+      permissionKey,
+      walletIndex: permission.walletIndex,
+      txParams,
+      resolve,
+      reject,
+      webview,
+      chainId,
+      selector,
+      origin: permissionKey,
+    };
 
     // Show auto-approve checkbox only for contract calls (has function selector)
-    if (dappTxAutoApproveCheckbox) dappTxAutoApproveCheckbox.checked = false;
-    if (dappTxAutoApproveRow) {
-      dappTxAutoApproveRow.classList.toggle('hidden', !selector);
-    }
+    presentDappTx(permissionKey, 'requests a transaction', txParams, chainId, Boolean(selector));
+  });
+}
 
-    Promise.all([
-      populateDappTxDetails(txParams, chainId),
-      checkDappTxUnlockStatus(),
-    ]).then(() => {
-      hideAllSubscreens();
-      walletState.identityView?.classList.add('hidden');
-      dappTxScreen?.classList.remove('hidden');
+/**
+ * Show the same approval screen for a transaction Freedom builds itself
+ * (e.g. "Set as contenthash" on freedom://publish). Signs with the given
+ * vault wallet and resolves with the transaction hash; rejects like a
+ * dApp request when the user declines.
+ */
+export function showInternalTxApproval({ origin, action, walletIndex, chainId, txParams }) {
+  if (dappTxPending) {
+    return Promise.reject(new Error('Another transaction is waiting for review'));
+  }
 
-      openSidebarPanel();
-    });
+  return new Promise((resolve, reject) => {
+    const summary = action.charAt(0).toUpperCase() + action.slice(1);
+    dappTxPending = {
+      permissionKey: null,
+      walletIndex,
+      txParams,
+      resolve,
+      reject,
+      webview: null,
+      chainId,
+      selector: null,
+      origin,
+      summary,
+    };
+    presentDappTx(origin, action, txParams, chainId, false);
+  });
+}
+
+function presentDappTx(site, action, txParams, chainId, allowAutoApprove) {
+  if (dappTxSite) {
+    dappTxSite.textContent = site;
+  }
+  if (dappTxAction) {
+    dappTxAction.textContent = action;
+  }
+
+  if (dappTxAutoApproveCheckbox) dappTxAutoApproveCheckbox.checked = false;
+  if (dappTxAutoApproveRow) {
+    dappTxAutoApproveRow.classList.toggle('hidden', !allowAutoApprove);
+  }
+
+  Promise.all([populateDappTxDetails(txParams, chainId), checkDappTxUnlockStatus()]).then(() => {
+    hideAllSubscreens();
+    walletState.identityView?.classList.add('hidden');
+    dappTxScreen?.classList.remove('hidden');
+
+    openSidebarPanel();
   });
 }
 
@@ -179,12 +238,21 @@ async function populateDappTxDetails(txParams, chainId) {
     dappTxNetwork.textContent = chain?.name || `Chain ${chainId}`;
   }
 
+  let wallet = null;
+  try {
+    const walletsResult = await window.wallet.getDerivedWallets();
+    const wallets = walletsResult.success ? walletsResult.wallets : [];
+    wallet = wallets.find((w) => w.index === dappTxPending?.walletIndex) || null;
+  } catch (err) {
+    console.error('[WalletUI] Failed to load wallets:', err);
+  }
+
+  // The simulation and the recipient's contract age check hit the RPC; fill
+  // them in once ready.
+  populateDappTxAnalysis(txParams, chainId, wallet?.address);
+
   if (dappTxFee) {
     try {
-      const walletsResult = await window.wallet.getDerivedWallets();
-      const wallets = walletsResult.success ? walletsResult.wallets : [];
-      const wallet = wallets.find(w => w.index === dappTxPending?.walletIndex);
-
       if (wallet) {
         const gasResult = await window.wallet.estimateGas({
           from: wallet.address,
@@ -220,6 +288,100 @@ async function populateDappTxDetails(txParams, chainId) {
   }
 }
 
+function resetDappTxAnalysis() {
+  dappTxDecoded?.classList.add('hidden');
+  dappTxRisks?.classList.add('hidden');
+  if (dappTxRisks) dappTxRisks.replaceChildren();
+  if (dappTxSimulation) {
+    dappTxSimulation.className = 'dapp-tx-simulation';
+    dappTxSimulation.textContent = 'Simulating transaction...';
+  }
+}
+
+async function populateDappTxAnalysis(txParams, chainId, from) {
+  const pending = dappTxPending;
+  resetDappTxAnalysis();
+
+  let result;
+  try {
+    result = await window.wallet.analyzeTransaction({
+      from,
+      to: txParams.to,
+      value: txParams.value || '0',
+      data: txParams.data,
+      chainId,
+    });
+  } catch (err) {
+    result = { success: false, error: err.message };
+  }
+
+  // The request may have been answered while we were waiting.
+  if (pending !== dappTxPending) return;
+
+  if (!result.success) {
+    console.error('[WalletUI] Transaction analysis failed:', result.error);
+    dappTxSimulation?.classList.add('hidden');
+    return;
+  }
+
+  renderDecodedCall(result.decoded);
+  renderSimulation(result.simulation);
+  renderRisks(result.warnings);
+}
+
+function renderDecodedCall(decoded) {
+  if (!dappTxDecoded || !decoded) return;
+
+  dappTxMethod.textContent = decoded.name
+    ? `${decoded.name}()`
+    : `Unknown function ${decoded.selector}`;
+  dappTxContract.textContent = decoded.contract || decoded.standard || '';
+
+  dappTxArgs.replaceChildren(
+    ...decoded.args.map((arg) => {
+      const row = document.createElement('div');
+      row.className = 'dapp-tx-arg';
+      const name = document.createElement('span');
+      name.className = 'dapp-tx-arg-name';
+      name.textContent = arg.name;
+      const value = document.createElement('span');
+      value.className = 'dapp-tx-arg-value';
+      value.textContent = arg.value;
+      value.title = arg.type;
+      row.append(name, value);
+      return row;
+    })
+  );
+  dappTxDecoded.classList.remove('hidden');
+}
+
+function renderSimulation(simulation) {
+  if (!dappTxSimulation) return;
+  if (simulation?.status === 'success') {
+    dappTxSimulation.className = 'dapp-tx-simulation success';
+    dappTxSimulation.textContent = 'Simulation succeeded';
+  } else if (simulation?.status === 'revert') {
+    dappTxSimulation.className = 'dapp-tx-simulation revert';
+    dappTxSimulation.textContent = `This transaction is expected to fail: ${simulation.reason}`;
+  } else {
+    dappTxSimulation.className = 'dapp-tx-simulation';
+    dappTxSimulation.textContent = 'Could not simulate this transaction';
+  }
+}
+
+function renderRisks(warnings = []) {
+  if (!dappTxRisks) return;
+  dappTxRisks.replaceChildren(
+    ...warnings.map((warning) => {
+      const el = document.createElement('div');
+      el.className = `dapp-tx-risk ${warning.level}`;
+      el.textContent = warning.message;
+      return el;
+    })
+  );
+  dappTxRisks.classList.toggle('hidden', warnings.length === 0);
+}
+
 async function checkDappTxUnlockStatus() {
   try {
     const status = await window.identity.getStatus();
@@ -309,7 +471,18 @@ async function handleDappTxPasswordUnlock() {
 async function approveDappTx() {
   if (!dappTxPending) return;
 
-  const { permissionKey, walletIndex, txParams, resolve, gasLimit, gasPrice, chainId, selector } = dappTxPending;
+  const {
+    permissionKey,
+    walletIndex,
+    txParams,
+    resolve,
+    gasLimit,
+    gasPrice,
+    chainId,
+    selector,
+    origin,
+    summary,
+  } = dappTxPending;
 
   try {
     if (dappTxApproveBtn) {
@@ -323,6 +496,9 @@ async function approveDappTx() {
       data: txParams.data,
       gasLimit: gasLimit || txParams.gas,
       chainId,
+      // For the wallet activity log
+      origin,
+      summary,
     };
 
     if (gasPrice) {
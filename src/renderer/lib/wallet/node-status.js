@@ -24,6 +24,7 @@ const SWARM_STARTUP_MAX_MS = 30000;
 // DOM references
 let swarmModeBadge;
 let swarmStatusBadge;
+let swarmStampAlertBadge;
 let swarmBalanceXdaiEl;
 let swarmBalanceXbzzEl;
 let swarmWalletGroup;
@@ -57,6 +58,7 @@ function createEmptySwarmRuntimeInfo() {
 export function initNodeStatus() {
   swarmModeBadge = document.getElementById('swarm-mode-badge');
   swarmStatusBadge = document.getElementById('swarm-status-badge');
+  swarmStampAlertBadge = document.getElementById('swarm-stamp-alert-badge');
   swarmBalanceXdaiEl = document.getElementById('swarm-balance-xdai');
   swarmBalanceXbzzEl = document.getElementById('swarm-balance-xbzz');
   swarmWalletGroup = document.getElementById('swarm-wallet-group');
@@ -94,6 +96,9 @@ export function initNodeStatus() {
   window.addEventListener('settings:updated', handleSettingsUpdated);
 
   subscribeToNodeStatus();
+
+  window.swarmNode?.onStampMonitorUpdate?.(() => refreshStampAlerts());
+  refreshStampAlerts();
 }
 
 function setupNodeCards() {
@@ -510,6 +515,31 @@ async function copyWithFeedback(text, buttonEl) {
   }
 }
 
+// Batches the stamp monitor found under the TTL or usage threshold.
+async function refreshStampAlerts() {
+  if (!swarmStampAlertBadge) return;
+  let alerts = [];
+  try {
+    const result = await window.swarmNode?.getStampMonitorStatus?.();
+    if (result?.success && result.enabled) alerts = result.alerts;
+  } catch {
+    // Non-critical
+  }
+
+  swarmStampAlertBadge.classList.toggle('hidden', alerts.length === 0);
+  swarmStampAlertBadge.textContent = `${alerts.length} stamp${alerts.length === 1 ? '' : 's'} low`;
+  swarmStampAlertBadge.title = alerts
+    .map((alert) => {
+      const reasons = [];
+      if (alert.kinds.includes('ttl')) {
+        reasons.push(`${Math.max(1, Math.floor(alert.ttlSeconds / 86400))}d left`);
+      }
+      if (alert.kinds.includes('usage')) reasons.push(`${alert.usagePercent}% used`);
+      return `${alert.batchId.slice(0, 8)}\u2026: ${reasons.join(', ')}`;
+    })
+    .join('\n');
+}
+
 function updateNodeBadge(elementId, status) {
   const badge = document.getElementById(elementId);
   if (badge) {
@@ -1,7 +1,7 @@
 /**
  * Permission Management Subscreens
  *
- * Per-site permission management for wallet and Swarm connections.
+ * Per-site permission management for wallet and Swarm/IPFS connections.
  * Accessible by clicking the connection banner info area.
  */
 
@@ -27,6 +27,13 @@ let swarmPermsPublishToggle;
 let swarmPermsFeedsToggle;
 let swarmPermsDisconnect;
 let swarmPermsKey = null;
+// The Swarm screen also hosts the IPFS provider toggles; each section is
+// shown when the site holds that network's grant.
+let swarmPermsTitle;
+let swarmPermsSwarmSection;
+let swarmPermsIpfsSection;
+let ipfsPermsPublishToggle;
+let ipfsPermsNamesToggle;
 
 export function initPermissionManage() {
   // Wallet permission screen
@@ -53,6 +60,11 @@ export function initPermissionManage() {
   swarmPermsPublishToggle = document.getElementById('swarm-perms-publish-toggle');
   swarmPermsFeedsToggle = document.getElementById('swarm-perms-feeds-toggle');
   swarmPermsDisconnect = document.getElementById('swarm-perms-disconnect');
+  swarmPermsTitle = document.getElementById('swarm-perms-title');
+  swarmPermsSwarmSection = document.getElementById('swarm-perms-swarm-section');
+  swarmPermsIpfsSection = document.getElementById('swarm-perms-ipfs-section');
+  ipfsPermsPublishToggle = document.getElementById('ipfs-perms-publish-toggle');
+  ipfsPermsNamesToggle = document.getElementById('ipfs-perms-names-toggle');
 
   swarmPermsBack?.addEventListener('click', closeSwarmPerms);
   swarmPermsDisconnect?.addEventListener('click', handleSwarmDisconnect);
@@ -68,6 +80,26 @@ export function initPermissionManage() {
       updateSwarmConnectionBanner(swarmPermsKey);
     }
   });
+  ipfsPermsPublishToggle?.addEventListener('change', async () => {
+    if (swarmPermsKey) {
+      await window.ipfsPermissions.setAutoApprove(
+        swarmPermsKey,
+        'publish',
+        ipfsPermsPublishToggle.checked
+      );
+      updateSwarmConnectionBanner(swarmPermsKey);
+    }
+  });
+  ipfsPermsNamesToggle?.addEventListener('change', async () => {
+    if (swarmPermsKey) {
+      await window.ipfsPermissions.setAutoApprove(
+        swarmPermsKey,
+        'names',
+        ipfsPermsNamesToggle.checked
+      );
+      updateSwarmConnectionBanner(swarmPermsKey);
+    }
+  });
 }
 
 export async function showDappPermissions(permissionKey) {
@@ -156,14 +188,30 @@ export async function showSwarmPermissions(permissionKey) {
   swarmPermsKey = permissionKey;
   if (swarmPermsSite) swarmPermsSite.textContent = permissionKey;
 
-  const permission = await window.swarmPermissions.getPermission(permissionKey);
-  if (!permission) return;
+  const [permission, ipfsPermission] = await Promise.all([
+    window.swarmPermissions.getPermission(permissionKey),
+    window.ipfsPermissions?.getPermission(permissionKey),
+  ]);
+  if (!permission && !ipfsPermission) return;
+
+  if (swarmPermsTitle) {
+    if (permission && ipfsPermission) swarmPermsTitle.textContent = 'Publishing Permissions';
+    else swarmPermsTitle.textContent = permission ? 'Swarm Permissions' : 'IPFS Permissions';
+  }
+  swarmPermsSwarmSection?.classList.toggle('hidden', !permission);
+  swarmPermsIpfsSection?.classList.toggle('hidden', !ipfsPermission);
 
   if (swarmPermsPublishToggle) {
-    swarmPermsPublishToggle.checked = permission.autoApprove?.publish === true;
+    swarmPermsPublishToggle.checked = permission?.autoApprove?.publish === true;
   }
   if (swarmPermsFeedsToggle) {
-    swarmPermsFeedsToggle.checked = permission.autoApprove?.feeds === true;
+    swarmPermsFeedsToggle.checked = permission?.autoApprove?.feeds === true;
+  }
+  if (ipfsPermsPublishToggle) {
+    ipfsPermsPublishToggle.checked = ipfsPermission?.autoApprove?.publish === true;
+  }
+  if (ipfsPermsNamesToggle) {
+    ipfsPermsNamesToggle.checked = ipfsPermission?.autoApprove?.names === true;
   }
 
   hideAllSubscreens();
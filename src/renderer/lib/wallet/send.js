@@ -8,6 +8,7 @@ import { walletState, registerScreenHider } from './wallet-state.js';
 import { escapeHtml } from './wallet-utils.js';
 import { refreshBalances, getTokensWithBalance, getChainsWithBalance, sortTokens } from './balance-display.js';
 import { createTab } from '../tabs.js';
+import { showEnsAvatar } from '../ens-profile.js';
 
 // DOM references
 let sendScreen;
@@ -41,6 +42,7 @@ let sendAmountError;
 let sendContinueBtn;
 let sendGeneralError;
 let sendReviewTo;
+let sendReviewAvatar;
 let sendReviewAmount;
 let sendReviewNetwork;
 let sendReviewFee;
@@ -105,6 +107,7 @@ export function initSend() {
   sendContinueBtn = document.getElementById('send-continue-btn');
   sendGeneralError = document.getElementById('send-general-error');
   sendReviewTo = document.getElementById('send-review-to');
+  sendReviewAvatar = document.getElementById('send-review-avatar');
   sendReviewAmount = document.getElementById('send-review-amount');
   sendReviewNetwork = document.getElementById('send-review-network');
   sendReviewFee = document.getElementById('send-review-fee-value');
@@ -953,6 +956,8 @@ function populateSendReview() {
       sendReviewTo.textContent = sendTxState.recipient;
     }
   }
+  // Fire-and-forget: the avatar fills in when (and if) it resolves.
+  showEnsAvatar(sendReviewAvatar, sendTxState.recipientName);
 
   if (sendReviewAmount) {
     sendReviewAmount.textContent = `${sendTxState.amount} ${token?.symbol || ''}`;
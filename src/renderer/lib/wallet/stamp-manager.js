@@ -54,6 +54,7 @@ let pendingBatchId = null;
 let usablePollStart = 0;
 let isOpen = false;
 let estimationId = 0;
+let monitorStatus = null;
 
 export function initStampManager() {
   stampManagerScreen = document.getElementById('sidebar-stamp-manager');
@@ -118,8 +119,12 @@ function showPurchaseView() {
 
 async function loadBatchList() {
   try {
-    const result = await window.swarmNode?.getStamps();
+    const [result, status] = await Promise.all([
+      window.swarmNode?.getStamps(),
+      window.swarmNode?.getStampMonitorStatus?.().catch(() => null),
+    ]);
     if (!isOpen) return;
+    monitorStatus = status?.success ? status : null;
 
     if (result?.success && result.stamps.length > 0) {
       renderBatchList(result.stamps);
@@ -203,6 +208,11 @@ function renderBatchList(stamps) {
     }
     card.appendChild(ttlRow);
 
+    const policy = monitorStatus?.policies?.[batch.batchId];
+    if (policy) {
+      card.appendChild(createRow('Auto top-up', describePolicy(policy)));
+    }
+
     // Batch ID
     const idRow = document.createElement('div');
     idRow.className = 'stamp-batch-id';
@@ -231,6 +241,15 @@ function renderBatchList(stamps) {
       extSizeBtn.addEventListener('click', () => showExtensionForm(card, batch, 'size'));
       actions.appendChild(extSizeBtn);
 
+      if (monitorStatus) {
+        const policyBtn = document.createElement('button');
+        policyBtn.type = 'button';
+        policyBtn.className = 'stamp-batch-action-btn';
+        policyBtn.textContent = 'Auto Top-up';
+        policyBtn.addEventListener('click', () => showPolicyForm(card, batch));
+        actions.appendChild(policyBtn);
+      }
+
       card.appendChild(actions);
     }
 
@@ -400,6 +419,141 @@ async function executeExtension(form, batchId, type, value) {
   }
 }
 
+// ============================================
+// Auto top-up policy form (inline within batch card)
+// ============================================
+
+const DEFAULT_POLICY = {
+  extend: { belowDays: 7, addDays: 30 },
+  dilute: { aboveUsagePercent: 90 },
+};
+
+function describePolicy(policy) {
+  const parts = [];
+  if (policy.extend) {
+    parts.push(`+${policy.extend.addDays}d under ${policy.extend.belowDays}d`);
+  }
+  if (policy.dilute) {
+    parts.push(`2\u00d7 size over ${policy.dilute.aboveUsagePercent}%`);
+  }
+  return parts.join(', ');
+}
+
+function createPolicyInput(value, max) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'stamp-policy-input';
+  input.min = '1';
+  input.max = String(max);
+  input.value = String(value);
+  return input;
+}
+
+// One checkbox rule: text and number inputs interleaved, e.g.
+// ['Add', daysInput, 'days when under', thresholdInput, 'days left'].
+function createPolicyRule(enabled, parts) {
+  const label = document.createElement('label');
+  label.className = 'stamp-policy-rule';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = enabled;
+  label.appendChild(checkbox);
+  for (const part of parts) {
+    label.appendChild(typeof part === 'string' ? document.createTextNode(part) : part);
+  }
+  return { label, checkbox };
+}
+
+function showPolicyForm(card, batch) {
+  card.querySelector('.stamp-extend-form')?.remove();
+
+  const current = monitorStatus?.policies?.[batch.batchId];
+  const extend = current?.extend || DEFAULT_POLICY.extend;
+  const dilute = current?.dilute || DEFAULT_POLICY.dilute;
+
+  const form = document.createElement('div');
+  form.className = 'stamp-extend-form';
+
+  const heading = document.createElement('div');
+  heading.className = 'stamp-extend-heading';
+  heading.textContent = 'Auto Top-up';
+  form.appendChild(heading);
+
+  const addDaysInput = createPolicyInput(extend.addDays, 365);
+  const belowDaysInput = createPolicyInput(extend.belowDays, 365);
+  const extendRule = createPolicyRule(Boolean(current?.extend), [
+    ' Add',
+    addDaysInput,
+    'days when under',
+    belowDaysInput,
+    'days left',
+  ]);
+  form.appendChild(extendRule.label);
+
+  const usageInput = createPolicyInput(dilute.aboveUsagePercent, 100);
+  const diluteRule = createPolicyRule(Boolean(current?.dilute), [
+    ' Double the size when over',
+    usageInput,
+    '% used',
+  ]);
+  form.appendChild(diluteRule.label);
+
+  const hint = document.createElement('div');
+  hint.className = 'stamp-policy-hint';
+  hint.textContent =
+    `Top-ups are paid from the Bee wallet, up to ${monitorStatus?.capBzz ?? '--'} xBZZ ` +
+    `per 30 days (${monitorStatus?.spentBzz ?? '0'} spent). Change the limit in Settings.`;
+  form.appendChild(hint);
+
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'stamp-extend-confirm-btn';
+  saveBtn.textContent = 'Save';
+  form.appendChild(saveBtn);
+
+  const statusEl = document.createElement('div');
+  statusEl.className = 'stamp-extend-status hidden';
+  form.appendChild(statusEl);
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'stamp-extend-cancel-btn';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => form.remove());
+  form.appendChild(cancelBtn);
+
+  saveBtn.addEventListener('click', async () => {
+    const policy = {
+      extend: extendRule.checkbox.checked
+        ? { belowDays: Number(belowDaysInput.value), addDays: Number(addDaysInput.value) }
+        : null,
+      dilute: diluteRule.checkbox.checked ? { aboveUsagePercent: Number(usageInput.value) } : null,
+    };
+    saveBtn.disabled = true;
+    statusEl.classList.remove('hidden', 'success', 'error');
+    try {
+      const result = await window.swarmNode?.setStampPolicy(batch.batchId, policy);
+      if (!isOpen) return;
+      if (result?.success) {
+        statusEl.textContent = result.policy ? 'Auto top-up saved.' : 'Auto top-up turned off.';
+        statusEl.classList.add('success');
+        setTimeout(() => {
+          if (isOpen) loadBatchList();
+        }, 1000);
+        return;
+      }
+      statusEl.textContent = result?.error || 'Failed to save.';
+    } catch (err) {
+      if (!isOpen) return;
+      statusEl.textContent = err.message || 'Failed to save.';
+    }
+    statusEl.classList.add('error');
+    saveBtn.disabled = false;
+  });
+
+  card.appendChild(form);
+}
+
 function formatDuration(seconds) {
   if (!seconds || seconds <= 0) return '--';
   const days = Math.floor(seconds / 86400);
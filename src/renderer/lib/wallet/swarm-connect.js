@@ -3,6 +3,10 @@
  *
  * Connection approval UI for Swarm publishing access, plus
  * the Swarm connection banner in the sidebar.
+ *
+ * The connect and publish prompts are shared with the IPFS provider
+ * (ipfs-provider.js): callers pass `network: 'ipfs'` and the screen copy,
+ * permission store and provider bridge switch accordingly.
  */
 
 import { walletState, registerScreenHider, hideAllSubscreens } from './wallet-state.js';
@@ -11,12 +15,85 @@ import { open as openSidebarPanel, isVisible as isSidebarVisible } from '../side
 import { getPermissionKey, getActiveWebview } from '../dapp-provider.js';
 import { showSwarmPermissions } from './permission-manage.js';
 
+// Prompt copy per network. The Swarm strings match index.html.
+const NETWORK_COPY = {
+  swarm: {
+    label: 'Swarm',
+    connectTitle: 'Swarm Access',
+    connectWants: 'wants to publish through your Swarm node',
+    abilities: [
+      'Publish content through your Swarm node',
+      "Use your node's postage stamps",
+      'Check node capabilities and upload status',
+    ],
+    connectWarning:
+      'Publishing uses your stamps and bandwidth. Each publish requires your approval.',
+    cannot: [
+      'Access your wallet or private keys',
+      'Manage your storage or stamps',
+      'Read your files or browsing history',
+    ],
+    publishWants: 'wants to publish content',
+    publishWarning:
+      'This will use your stamps and bandwidth. Content will be publicly accessible on Swarm.',
+    autoApproveLabel: 'Always allow this site to publish to Swarm without asking',
+  },
+  ipfs: {
+    label: 'IPFS',
+    connectTitle: 'IPFS Access',
+    connectWants: 'wants to publish through your IPFS node',
+    abilities: [
+      'Add and pin content on your IPFS node',
+      'Publish an IPNS name for this site',
+      'Check node capabilities',
+    ],
+    connectWarning: 'Added content is pinned on your node. Each publish requires your approval.',
+    cannot: [
+      'Access your wallet or private keys',
+      'Remove pins or change node settings',
+      'Read your files or browsing history',
+    ],
+    publishWants: 'wants to publish content',
+    publishWarning: 'Content will be pinned on your node and publicly accessible on IPFS.',
+    autoApproveLabel: 'Always allow this site to publish to IPFS without asking',
+  },
+};
+
+// IPNS updates get their own wording and auto-approve type ('names').
+const IPNS_COPY = {
+  publishWants: 'wants to update its IPNS name',
+  publishWarning: "Anyone resolving this site's IPNS name will be sent to the new content.",
+  autoApproveLabel: 'Always allow this site to update its IPNS name without asking',
+};
+
+function getNetworkApi(network) {
+  return network === 'ipfs'
+    ? { permissions: window.ipfsPermissions, provider: window.ipfsProvider }
+    : { permissions: window.swarmPermissions, provider: window.swarmProvider };
+}
+
+function setListItems(list, items) {
+  if (!list) return;
+  list.replaceChildren(
+    ...items.map((text) => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      return li;
+    })
+  );
+}
+
 // DOM references — connect screen
 let swarmConnectScreen;
 let swarmConnectBackBtn;
 let swarmConnectSite;
 let swarmConnectRejectBtn;
 let swarmConnectApproveBtn;
+let swarmConnectTitle;
+let swarmConnectWants;
+let swarmConnectAbilities;
+let swarmConnectWarningText;
+let swarmConnectCannotList;
 
 // DOM references — connection banner
 let swarmConnectionBanner;
@@ -24,6 +101,7 @@ let swarmConnectionSite;
 let swarmConnectionDisconnect;
 let swarmAutoApproveBadge;
 let swarmConnectionManage;
+let swarmConnectionLabel;
 
 // DOM references — publish approval screen
 let swarmPublishScreen;
@@ -38,6 +116,11 @@ let swarmPublishPaths;
 let swarmPublishRejectBtn;
 let swarmPublishConfirmBtn;
 let swarmPublishAutoApproveCheckbox;
+let swarmPublishWants;
+let swarmPublishSizeRow;
+let swarmPublishNameLabel;
+let swarmPublishWarningText;
+let swarmPublishAutoApproveLabel;
 
 // DOM references — feed approval screen
 let swarmFeedScreen;
@@ -70,12 +153,18 @@ export function initSwarmConnect() {
   swarmConnectSite = document.getElementById('swarm-connect-site');
   swarmConnectRejectBtn = document.getElementById('swarm-connect-reject');
   swarmConnectApproveBtn = document.getElementById('swarm-connect-approve');
+  swarmConnectTitle = document.getElementById('swarm-connect-title');
+  swarmConnectWants = document.getElementById('swarm-connect-wants');
+  swarmConnectAbilities = document.getElementById('swarm-connect-abilities');
+  swarmConnectWarningText = document.getElementById('swarm-connect-warning-text');
+  swarmConnectCannotList = document.getElementById('swarm-connect-cannot-list');
 
   swarmConnectionBanner = document.getElementById('swarm-connection-banner');
   swarmConnectionSite = document.getElementById('swarm-connection-site');
   swarmConnectionDisconnect = document.getElementById('swarm-connection-disconnect');
   swarmAutoApproveBadge = document.getElementById('swarm-auto-approve-badge');
   swarmConnectionManage = document.getElementById('swarm-connection-manage');
+  swarmConnectionLabel = document.getElementById('swarm-connection-label');
 
   swarmPublishScreen = document.getElementById('sidebar-swarm-publish-approve');
   swarmPublishBackBtn = document.getElementById('swarm-publish-back');
@@ -89,6 +178,11 @@ export function initSwarmConnect() {
   swarmPublishRejectBtn = document.getElementById('swarm-publish-reject');
   swarmPublishConfirmBtn = document.getElementById('swarm-publish-confirm');
   swarmPublishAutoApproveCheckbox = document.getElementById('swarm-publish-auto-approve');
+  swarmPublishWants = document.getElementById('swarm-publish-wants');
+  swarmPublishSizeRow = document.getElementById('swarm-publish-size-row');
+  swarmPublishNameLabel = document.getElementById('swarm-publish-name-label');
+  swarmPublishWarningText = document.getElementById('swarm-publish-warning-text');
+  swarmPublishAutoApproveLabel = document.getElementById('swarm-publish-auto-approve-label');
 
   registerScreenHider(() => {
     // Only reject if the screen was actually visible (not already hidden).
@@ -183,15 +277,29 @@ function setupSwarmConnectScreen() {
 }
 
 /**
- * Show the Swarm connect approval screen.
+ * Show the Swarm (or IPFS, via `network`) connect approval screen.
  */
-export function showSwarmConnect(displayUrl, permissionKey, resolve, reject, webview) {
-  swarmConnectPending = { permissionKey, resolve, reject, webview };
+export function showSwarmConnect(
+  displayUrl,
+  permissionKey,
+  resolve,
+  reject,
+  webview,
+  network = 'swarm'
+) {
+  swarmConnectPending = { permissionKey, resolve, reject, webview, network };
 
   if (swarmConnectSite) {
     swarmConnectSite.textContent = permissionKey || displayUrl || 'Unknown';
   }
 
+  const copy = NETWORK_COPY[network];
+  if (swarmConnectTitle) swarmConnectTitle.textContent = copy.connectTitle;
+  if (swarmConnectWants) swarmConnectWants.textContent = copy.connectWants;
+  if (swarmConnectWarningText) swarmConnectWarningText.textContent = copy.connectWarning;
+  setListItems(swarmConnectAbilities, copy.abilities);
+  setListItems(swarmConnectCannotList, copy.cannot);
+
   hideAllSubscreens();
   walletState.identityView?.classList.add('hidden');
   swarmConnectScreen?.classList.remove('hidden');
@@ -208,13 +316,14 @@ function closeSwarmConnect() {
 async function approveSwarmConnect() {
   if (!swarmConnectPending) return;
 
-  const { permissionKey, resolve, webview } = swarmConnectPending;
+  const { permissionKey, resolve, webview, network } = swarmConnectPending;
+  const { permissions, provider } = getNetworkApi(network);
 
   try {
-    await window.swarmPermissions.grantPermission(permissionKey);
+    await permissions.grantPermission(permissionKey);
 
     // Round-trip through main process (the authority) to confirm
-    const response = await window.swarmProvider.execute('swarm_requestAccess', {}, permissionKey);
+    const response = await provider.execute(`${network}_requestAccess`, {}, permissionKey);
     if (response.error) {
       throw response.error;
     }
@@ -222,13 +331,13 @@ async function approveSwarmConnect() {
     resolve(response.result);
 
     if (webview && webview.send) {
-      webview.send('swarm:provider-event', {
+      webview.send(`${network}:provider-event`, {
         event: 'connect',
         data: { origin: permissionKey },
       });
     }
 
-    console.log('[SwarmConnect] Approved:', permissionKey);
+    console.log('[SwarmConnect] Approved:', permissionKey, network);
     updateSwarmConnectionBanner(permissionKey);
   } catch (err) {
     console.error('[SwarmConnect] Failed to grant permission:', err);
@@ -240,13 +349,14 @@ async function approveSwarmConnect() {
 function rejectSwarmConnect() {
   if (!swarmConnectPending) return;
 
-  const { reject } = swarmConnectPending;
-  reject({ code: 4001, message: 'User rejected Swarm access' });
+  const { reject, network } = swarmConnectPending;
+  reject({ code: 4001, message: `User rejected ${NETWORK_COPY[network].label} access` });
   console.log('[SwarmConnect] Rejected');
 }
 
 /**
- * Update the Swarm connection banner for the current tab.
+ * Update the Swarm connection banner for the current tab. Also covers
+ * window.ipfs grants, so one banner shows every publishing connection.
  */
 export async function updateSwarmConnectionBanner(permissionKey = null) {
   if (!swarmConnectionBanner) return;
@@ -264,13 +374,22 @@ export async function updateSwarmConnectionBanner(permissionKey = null) {
   }
 
   try {
-    const permission = await window.swarmPermissions.getPermission(permissionKey);
+    const [permission, ipfsPermission] = await Promise.all([
+      window.swarmPermissions.getPermission(permissionKey),
+      window.ipfsPermissions?.getPermission(permissionKey),
+    ]);
 
-    if (permission) {
+    if (permission || ipfsPermission) {
       if (swarmConnectionSite) {
         swarmConnectionSite.textContent = permissionKey;
       }
-      const hasAutoApprove = permission.autoApprove?.publish || permission.autoApprove?.feeds;
+      if (swarmConnectionLabel) {
+        const networks = [permission && 'Swarm', ipfsPermission && 'IPFS'].filter(Boolean);
+        swarmConnectionLabel.textContent = `Publishing via ${networks.join(' + ')}`;
+      }
+      const hasAutoApprove = [permission, ipfsPermission].some(
+        (p) => p && Object.values(p.autoApprove || {}).some(Boolean)
+      );
       swarmAutoApproveBadge?.classList.toggle('hidden', !hasAutoApprove);
 
       currentBannerPermissionKey = permissionKey;
@@ -293,14 +412,17 @@ export async function disconnectSwarmApp(permissionKey = null) {
   try {
     await window.swarmPermissions.revokePermission(key);
     await window.swarmFeedStore?.revokeFeedAccess?.(key);
+    await window.ipfsPermissions?.revokePermission(key);
     console.log('[SwarmConnect] Disconnected:', key);
 
     const webview = getActiveWebview();
     if (webview && webview.send) {
-      webview.send('swarm:provider-event', {
-        event: 'disconnect',
-        data: { origin: key },
-      });
+      for (const network of ['swarm', 'ipfs']) {
+        webview.send(`${network}:provider-event`, {
+          event: 'disconnect',
+          data: { origin: key },
+        });
+      }
     }
 
     swarmConnectionBanner?.classList.add('hidden');
@@ -340,18 +462,47 @@ function setupSwarmPublishScreen() {
 /**
  * Show the per-publish approval prompt.
  * Resolves on "Publish", rejects (code 4001) on "Cancel".
+ *
+ * `options.network` selects the Swarm or IPFS copy and permission store;
+ * `options.method` lets IPFS pin / IPNS requests describe themselves.
  */
-export function showSwarmPublishApproval(permissionKey, params, resolve, reject) {
-  swarmPublishPending = { permissionKey, resolve, reject };
+export function showSwarmPublishApproval(permissionKey, params, resolve, reject, options = {}) {
+  const network = options.network || 'swarm';
+  const isNameUpdate = options.method === 'ipfs_publishName';
+  const autoApproveType = isNameUpdate ? 'names' : 'publish';
+  swarmPublishPending = { permissionKey, resolve, reject, network, autoApproveType };
   if (swarmPublishAutoApproveCheckbox) swarmPublishAutoApproveCheckbox.checked = false;
 
   if (swarmPublishSite) {
     swarmPublishSite.textContent = permissionKey || 'Unknown';
   }
 
+  const copy = { ...NETWORK_COPY[network], ...(isNameUpdate ? IPNS_COPY : {}) };
+  if (swarmPublishWants) swarmPublishWants.textContent = copy.publishWants;
+  if (swarmPublishWarningText) swarmPublishWarningText.textContent = copy.publishWarning;
+  if (swarmPublishAutoApproveLabel)
+    swarmPublishAutoApproveLabel.textContent = copy.autoApproveLabel;
+  swarmPublishSizeRow?.classList.remove('hidden');
+  if (swarmPublishNameLabel) swarmPublishNameLabel.textContent = 'Name';
+
   const isFileMode = Array.isArray(params?.files);
+  const isReference = isNameUpdate || options.method === 'ipfs_pin';
 
-  if (isFileMode) {
+  if (isReference) {
+    // Pin / IPNS update: no payload, show the content being referenced
+    if (swarmPublishType) {
+      swarmPublishType.textContent = isNameUpdate ? 'IPNS name update' : 'Pin';
+    }
+    swarmPublishSizeRow?.classList.add('hidden');
+    if (swarmPublishNameRow && swarmPublishName) {
+      if (swarmPublishNameLabel)
+        swarmPublishNameLabel.textContent = isNameUpdate ? 'Points to' : 'Content';
+      swarmPublishName.textContent =
+        (isNameUpdate ? params?.value : params?.path || params?.cid) || 'unknown';
+      swarmPublishNameRow.classList.remove('hidden');
+    }
+    swarmPublishPathsRow?.classList.add('hidden');
+  } else if (isFileMode) {
     // File mode: show file count, total size, path preview
     const fileCount = params.files.length;
     if (swarmPublishType) {
@@ -376,7 +527,8 @@ export function showSwarmPublishApproval(permissionKey, params, resolve, reject)
   } else {
     // Data mode: show content type, size, optional name
     if (swarmPublishType) {
-      swarmPublishType.textContent = params?.contentType || 'unknown';
+      swarmPublishType.textContent =
+        params?.contentType || (network === 'ipfs' ? 'File' : 'unknown');
     }
     if (swarmPublishSize) {
       const data = params?.data;
@@ -416,11 +568,14 @@ function closeSwarmPublishApproval() {
 
 async function approveSwarmPublish() {
   if (!swarmPublishPending) return;
-  const { permissionKey, resolve } = swarmPublishPending;
+  const { permissionKey, resolve, network, autoApproveType } = swarmPublishPending;
 
   if (swarmPublishAutoApproveCheckbox?.checked && permissionKey) {
-    await window.swarmPermissions.setAutoApprove(permissionKey, 'publish', true);
-    console.log('[SwarmConnect] Auto-approve publish enabled for:', permissionKey);
+    await getNetworkApi(network).permissions.setAutoApprove(permissionKey, autoApproveType, true);
+    console.log(
+      `[SwarmConnect] Auto-approve ${network} ${autoApproveType} enabled for:`,
+      permissionKey
+    );
   }
 
   resolve();
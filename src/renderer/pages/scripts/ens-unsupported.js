@@ -0,0 +1,67 @@
+const params = new URLSearchParams(window.location.search);
+const name = params.get('name') || '';
+const codec = params.get('codec') || '';
+const uri = params.get('uri') || '';
+
+// Copy per multicodec name (see CONTENTHASH_CODECS in main/ens-resolver.js).
+const ONION = {
+  network: 'a Tor onion service',
+  hint: 'Freedom does not route traffic over Tor. Open the address above in Tor Browser.',
+};
+const NETWORKS = {
+  onion: ONION,
+  onion3: ONION,
+  'skynet-ns': {
+    network: 'Skynet',
+    hint: 'Freedom does not support Skynet, and its public portals have shut down.',
+  },
+  'arweave-ns': {
+    network: 'Arweave',
+    hint: 'The record is not a valid Arweave transaction id. Ask the name owner to update it.',
+  },
+};
+// Namespaces Freedom loads: reaching this page means the record is malformed.
+const MALFORMED = {
+  'ipfs-ns': 'IPFS',
+  'ipns-ns': 'IPNS',
+  'swarm-ns': 'Swarm',
+};
+
+let network;
+let hint;
+if (NETWORKS[codec]) {
+  ({ network, hint } = NETWORKS[codec]);
+} else if (MALFORMED[codec]) {
+  network = MALFORMED[codec];
+  hint = `The ${network} record could not be decoded. Ask the name owner to update it.`;
+} else {
+  network = 'a network Freedom does not recognise';
+  hint = 'Freedom can open Swarm, IPFS, IPNS and Arweave content.';
+}
+
+document.getElementById('summary-el').textContent =
+  `This ENS name points to content on ${network}, which this browser can't open.`;
+document.getElementById('name-el').textContent = name;
+document.getElementById('codec-el').textContent = codec ? `contenthash codec: ${codec}` : '';
+document.getElementById('hint-el').textContent = hint;
+
+if (uri) {
+  const uriEl = document.getElementById('uri-el');
+  uriEl.textContent = uri;
+  uriEl.hidden = false;
+
+  const copyBtn = document.getElementById('copy-btn');
+  copyBtn.hidden = false;
+  copyBtn.onclick = async () => {
+    await window.freedomAPI?.copyText?.(uri);
+    copyBtn.textContent = 'Copied';
+  };
+}
+
+document.getElementById('back-btn').onclick = () => {
+  if (window.history.length > 1) {
+    window.history.back();
+  } else {
+    window.location.href = 'home.html';
+  }
+};
@@ -0,0 +1,235 @@
+// ENS Site Updates — freedom://ens-updates
+//
+// Digest of changes the main-process bookmark watcher found
+// (ens-bookmark-watcher.js). Each entry lists the old and new content
+// reference, resolver or owner of a bookmarked ENS name; content references
+// open in a new tab so the two versions can be compared side by side.
+
+const api = window.freedomAPI;
+
+// DOM refs
+const statusBanner = document.getElementById('updates-status-banner');
+const checkBtn = document.getElementById('updates-check');
+const markAllBtn = document.getElementById('updates-mark-all');
+const clearBtn = document.getElementById('updates-clear');
+const updatesList = document.getElementById('updates-list');
+
+const FIELD_LABELS = {
+  uri: 'Content',
+  resolver: 'Resolver',
+  owner: 'Owner',
+};
+
+// ============================================
+// Init
+// ============================================
+
+function init() {
+  if (!api?.getEnsUpdates) {
+    showBanner('ENS update API is not available.', 'error');
+    [checkBtn, markAllBtn, clearBtn].forEach((btn) => btn && (btn.disabled = true));
+    return;
+  }
+
+  checkBtn?.addEventListener('click', handleCheck);
+  markAllBtn?.addEventListener('click', () => markSeen(null));
+  clearBtn?.addEventListener('click', handleClear);
+
+  loadChanges();
+}
+
+function showBanner(message, type) {
+  if (!statusBanner) return;
+  statusBanner.textContent = message;
+  statusBanner.className = `updates-banner ${type}`;
+  statusBanner.classList.remove('hidden');
+}
+
+function hideBanner() {
+  statusBanner?.classList.add('hidden');
+}
+
+// ============================================
+// Changes
+// ============================================
+
+async function loadChanges() {
+  try {
+    const result = await api.getEnsUpdates();
+    if (!result?.success) {
+      showListMessage(result?.error || 'Could not load updates.');
+      return;
+    }
+    renderChanges(result.changes || []);
+  } catch (err) {
+    showListMessage(err.message || 'Could not load updates.');
+  }
+}
+
+async function handleCheck() {
+  hideBanner();
+  if (checkBtn) checkBtn.disabled = true;
+  try {
+    const result = await api.checkEnsUpdates();
+    if (!result?.success) {
+      showBanner(result?.error || 'Check failed.', 'error');
+      return;
+    }
+    const count = result.changes?.length || 0;
+    showBanner(
+      count ? `${count} bookmarked site${count === 1 ? '' : 's'} changed.` : 'No changes found.',
+      'success'
+    );
+    loadChanges();
+  } catch (err) {
+    showBanner(err.message || 'Check failed.', 'error');
+  } finally {
+    if (checkBtn) checkBtn.disabled = false;
+  }
+}
+
+async function markSeen(name) {
+  try {
+    await api.markEnsUpdatesSeen(name);
+    loadChanges();
+  } catch (err) {
+    showBanner(err.message || 'Could not update.', 'error');
+  }
+}
+
+async function handleClear() {
+  if (!confirm('Clear the list of ENS site updates?')) return;
+  try {
+    await api.clearEnsUpdates();
+    hideBanner();
+    loadChanges();
+  } catch (err) {
+    showBanner(err.message || 'Could not clear updates.', 'error');
+  }
+}
+
+function showListMessage(message) {
+  if (!updatesList) return;
+  updatesList.innerHTML = '';
+  const empty = document.createElement('div');
+  empty.className = 'updates-empty';
+  empty.textContent = message;
+  updatesList.appendChild(empty);
+}
+
+function renderChanges(changes) {
+  if (!updatesList) return;
+  if (changes.length === 0) {
+    showListMessage('No changes to bookmarked ENS sites yet.');
+    return;
+  }
+
+  updatesList.innerHTML = '';
+  changes.forEach((change) => updatesList.appendChild(renderChange(change)));
+}
+
+function renderChange(change) {
+  const item = document.createElement('div');
+  item.className = 'updates-item';
+  item.classList.toggle('unseen', !change.seen);
+
+  const titleRow = document.createElement('div');
+  titleRow.className = 'updates-item-title';
+  const labelEl = document.createElement('span');
+  labelEl.className = 'updates-item-label';
+  labelEl.textContent = change.bookmarks?.[0]?.label || change.label || change.name;
+  const nameEl = document.createElement('span');
+  nameEl.className = 'updates-item-name';
+  nameEl.textContent = change.name;
+  titleRow.append(labelEl, nameEl);
+  item.appendChild(titleRow);
+
+  const meta = document.createElement('div');
+  meta.className = 'updates-item-meta';
+  const block = change.block ? ` at block ${change.block}` : '';
+  meta.textContent = `Detected ${formatTimestamp(change.detectedAt)}${block}`;
+  item.appendChild(meta);
+
+  for (const field of change.fields) {
+    item.appendChild(renderFieldRow(change, field));
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'updates-item-actions';
+  const target = change.bookmarks?.[0]?.target;
+  if (target) {
+    actions.appendChild(makeLink('Open site', target, () => markSeen(change.name)));
+  }
+  if (!change.seen) {
+    const seenBtn = document.createElement('button');
+    seenBtn.type = 'button';
+    seenBtn.className = 'updates-small-btn';
+    seenBtn.textContent = 'Mark Seen';
+    seenBtn.addEventListener('click', () => markSeen(change.name));
+    actions.appendChild(seenBtn);
+  }
+  item.appendChild(actions);
+  return item;
+}
+
+// Old → new for one field. Content references get "open" links; resolver
+// and owner are addresses and are only shown.
+function renderFieldRow(change, field) {
+  const row = document.createElement('div');
+  row.className = 'updates-field';
+
+  const label = document.createElement('div');
+  label.className = 'updates-field-label';
+  label.textContent = FIELD_LABELS[field] || field;
+  row.appendChild(label);
+
+  for (const [side, value] of [
+    ['Old', change.before?.[field]],
+    ['New', change.after?.[field]],
+  ]) {
+    const line = document.createElement('div');
+    line.className = `updates-field-value ${side.toLowerCase()}`;
+    const tag = document.createElement('span');
+    tag.className = 'updates-field-tag';
+    tag.textContent = side;
+    line.appendChild(tag);
+
+    if (field === 'uri' && value) {
+      line.appendChild(makeLink(value, value, () => markSeen(change.name)));
+    } else {
+      const text = document.createElement('span');
+      text.textContent = value || (field === 'uri' ? 'No content' : 'None');
+      line.appendChild(text);
+    }
+    row.appendChild(line);
+  }
+  return row;
+}
+
+function makeLink(text, url, onOpen) {
+  const link = document.createElement('a');
+  link.className = 'updates-link';
+  link.href = '#';
+  link.textContent = text;
+  link.title = url;
+  link.addEventListener('click', (e) => {
+    e.preventDefault();
+    api.openInNewTab?.(url);
+    onOpen?.();
+  });
+  return link;
+}
+
+function formatTimestamp(ms) {
+  try {
+    return new Date(ms).toLocaleString();
+  } catch {
+    return String(ms);
+  }
+}
+
+// ============================================
+// Start
+// ============================================
+
+init();
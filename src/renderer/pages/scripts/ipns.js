@@ -0,0 +1,225 @@
+// IPNS Names — freedom://ipns
+//
+// Uses freedomAPI.ipfs.* IPNS methods (internal-only, guarded by webview
+// preload). Each name is signed with a per-site key derived from the vault;
+// the main process republishes records before they expire, so this page
+// only creates names, points them at new content and shows record state.
+
+const ipfs = window.freedomAPI?.ipfs;
+
+// DOM refs
+const statusBanner = document.getElementById('ipns-status-banner');
+const createForm = document.getElementById('ipns-create-form');
+const createInput = document.getElementById('ipns-create-input');
+const createBtn = document.getElementById('ipns-create-btn');
+const refreshBtn = document.getElementById('ipns-refresh');
+const namesList = document.getElementById('ipns-list');
+
+// Matches the main-process republish window: records this close to expiry
+// are due for renewal, so flag them.
+const EXPIRY_WARN_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// Init
+// ============================================
+
+function init() {
+  if (!ipfs?.listIpnsNames) {
+    showBanner('IPNS API is not available.', 'error');
+    if (createBtn) createBtn.disabled = true;
+    return;
+  }
+
+  refreshBtn?.addEventListener('click', loadNames);
+  createForm?.addEventListener('submit', handleCreate);
+
+  loadNames();
+}
+
+function showBanner(message, type) {
+  if (!statusBanner) return;
+  statusBanner.textContent = message;
+  statusBanner.className = `ipns-banner ${type}`;
+  statusBanner.classList.remove('hidden');
+}
+
+function hideBanner() {
+  statusBanner?.classList.add('hidden');
+}
+
+// ============================================
+// Names
+// ============================================
+
+async function loadNames() {
+  showListMessage('Loading…');
+  try {
+    const result = await ipfs.listIpnsNames();
+    if (!result?.success) {
+      showListMessage(result?.error || 'Could not load IPNS names.');
+      return;
+    }
+    renderNames(result.names || []);
+  } catch (err) {
+    showListMessage(err.message || 'Could not load IPNS names.');
+  }
+}
+
+async function handleCreate(e) {
+  e.preventDefault();
+  const site = createInput?.value.trim();
+  if (!site) return;
+
+  hideBanner();
+  if (createBtn) createBtn.disabled = true;
+  try {
+    const result = await ipfs.createIpnsName(site);
+    if (!result?.success) {
+      showBanner(result?.error || 'Could not create name.', 'error');
+      return;
+    }
+    if (createInput) createInput.value = '';
+    showBanner(`Created ipns://${result.entry.name}`, 'success');
+    loadNames();
+  } catch (err) {
+    showBanner(err.message || 'Could not create name.', 'error');
+  } finally {
+    if (createBtn) createBtn.disabled = false;
+  }
+}
+
+// Publishing waits on the DHT put, so keep the row's buttons disabled
+// until Kubo answers.
+async function runPublish(buttons, action) {
+  hideBanner();
+  buttons.forEach((btn) => (btn.disabled = true));
+  try {
+    const result = await action();
+    if (!result?.success) {
+      showBanner(result?.error || 'Publish failed.', 'error');
+      return;
+    }
+    showBanner(`ipns://${result.entry.name} now points at ${result.entry.value}`, 'success');
+    loadNames();
+  } catch (err) {
+    showBanner(err.message || 'Publish failed.', 'error');
+  } finally {
+    buttons.forEach((btn) => (btn.disabled = false));
+  }
+}
+
+function showListMessage(message) {
+  if (!namesList) return;
+  namesList.innerHTML = '';
+  const empty = document.createElement('div');
+  empty.className = 'ipns-empty';
+  empty.textContent = message;
+  namesList.appendChild(empty);
+}
+
+function renderNames(names) {
+  if (!namesList) return;
+  if (names.length === 0) {
+    showListMessage('No IPNS names yet.');
+    return;
+  }
+
+  namesList.innerHTML = '';
+  names.forEach((entry) => namesList.appendChild(renderName(entry)));
+}
+
+function renderName(entry) {
+  const item = document.createElement('div');
+  item.className = 'ipns-item';
+
+  const siteEl = document.createElement('div');
+  siteEl.className = 'ipns-item-site';
+  siteEl.textContent = entry.site;
+  item.appendChild(siteEl);
+
+  const link = document.createElement('a');
+  link.className = 'ipns-item-link';
+  link.href = '#';
+  link.textContent = entry.ipnsUrl;
+  link.addEventListener('click', (e) => {
+    e.preventDefault();
+    window.freedomAPI?.openInNewTab?.(entry.ipnsUrl);
+  });
+  item.appendChild(link);
+
+  const valueEl = document.createElement('div');
+  valueEl.className = 'ipns-item-value';
+  valueEl.textContent = entry.value ? `→ ${entry.value}` : 'Not published yet';
+  item.appendChild(valueEl);
+
+  const meta = document.createElement('div');
+  meta.className = 'ipns-item-meta';
+  const seqEl = document.createElement('span');
+  seqEl.textContent = `Sequence ${entry.sequence ?? '--'}`;
+  const expiryEl = document.createElement('span');
+  expiryEl.className = 'ipns-item-expiry';
+  if (entry.expiresAt) {
+    const remaining = entry.expiresAt - Date.now();
+    expiryEl.textContent = `${remaining > 0 ? 'Expires' : 'Expired'} ${formatTimestamp(entry.expiresAt)}`;
+    expiryEl.classList.toggle('expired', remaining <= 0);
+    expiryEl.classList.toggle('warn', remaining > 0 && remaining < EXPIRY_WARN_MS);
+  } else {
+    expiryEl.textContent = 'No record';
+  }
+  meta.append(seqEl, expiryEl);
+  item.appendChild(meta);
+
+  if (entry.lastError) {
+    const errorEl = document.createElement('div');
+    errorEl.className = 'ipns-item-error';
+    errorEl.textContent = `Last publish failed: ${entry.lastError}`;
+    item.appendChild(errorEl);
+  }
+
+  const form = document.createElement('form');
+  form.className = 'ipns-item-publish';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'ipns-input';
+  input.placeholder = 'CID or ipfs:// URL';
+  input.spellcheck = false;
+  input.autocomplete = 'off';
+  const publishBtn = document.createElement('button');
+  publishBtn.type = 'submit';
+  publishBtn.className = 'ipns-primary-btn';
+  publishBtn.textContent = 'Publish';
+  const republishBtn = document.createElement('button');
+  republishBtn.type = 'button';
+  republishBtn.className = 'ipns-secondary-btn';
+  republishBtn.textContent = 'Republish';
+  republishBtn.disabled = !entry.value;
+
+  const buttons = [publishBtn, republishBtn];
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const target = input.value.trim();
+    if (!target) return;
+    runPublish(buttons, () => ipfs.publishIpnsName(entry.site, target));
+  });
+  republishBtn.addEventListener('click', () => {
+    runPublish(buttons, () => ipfs.republishIpnsName(entry.site));
+  });
+
+  form.append(input, publishBtn, republishBtn);
+  item.appendChild(form);
+  return item;
+}
+
+function formatTimestamp(ms) {
+  try {
+    return new Date(ms).toLocaleString();
+  } catch {
+    return String(ms);
+  }
+}
+
+// ============================================
+// Start
+// ============================================
+
+init();
@@ -0,0 +1,248 @@
+// IPFS Pins — freedom://pins
+//
+// Uses freedomAPI.ipfs.* pin methods (internal-only, guarded by webview
+// preload). Lists recursive and direct pins from the local Kubo node with
+// their sizes, and shows repo usage from /api/v0/repo/stat alongside.
+
+const ipfs = window.freedomAPI?.ipfs;
+
+// DOM refs
+const statusBanner = document.getElementById('pins-status-banner');
+const repoSize = document.getElementById('pins-repo-size');
+const repoFill = document.getElementById('pins-repo-fill');
+const repoMax = document.getElementById('pins-repo-max');
+const repoObjects = document.getElementById('pins-repo-objects');
+const addForm = document.getElementById('pins-add-form');
+const addInput = document.getElementById('pins-add-input');
+const addBtn = document.getElementById('pins-add-btn');
+const filterButtons = document.querySelectorAll('.pins-filter-btn');
+const refreshBtn = document.getElementById('pins-refresh');
+const pinsList = document.getElementById('pins-list');
+
+// Usage above this share of StorageMax is highlighted — GC will start
+// collecting unpinned content around here with Kubo's default watermark.
+const REPO_WARN_RATIO = 0.9;
+
+let pins = [];
+let filter = 'all';
+
+// ============================================
+// Init
+// ============================================
+
+function init() {
+  if (!ipfs?.listPins) {
+    showBanner('IPFS pinning API is not available.', 'error');
+    if (addBtn) addBtn.disabled = true;
+    return;
+  }
+
+  filterButtons.forEach((btn) => {
+    btn.addEventListener('click', () => setFilter(btn.dataset.type));
+  });
+  refreshBtn?.addEventListener('click', refresh);
+  addForm?.addEventListener('submit', handleAdd);
+
+  refresh();
+}
+
+function refresh() {
+  loadRepoStat();
+  loadPins();
+}
+
+function showBanner(message, type) {
+  if (!statusBanner) return;
+  statusBanner.textContent = message;
+  statusBanner.className = `pins-banner ${type}`;
+  statusBanner.classList.remove('hidden');
+}
+
+function hideBanner() {
+  statusBanner?.classList.add('hidden');
+}
+
+function setFilter(next) {
+  if (!['all', 'recursive', 'direct'].includes(next)) return;
+  filter = next;
+  filterButtons.forEach((btn) => {
+    const active = btn.dataset.type === filter;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-checked', String(active));
+  });
+  renderPins();
+}
+
+// ============================================
+// Repo stats
+// ============================================
+
+async function loadRepoStat() {
+  try {
+    const result = await ipfs.getRepoStat();
+    if (!result?.success) throw new Error(result?.error || 'Repo stat failed');
+    const { repoSize: size, storageMax, numObjects } = result.stat;
+
+    if (repoSize) repoSize.textContent = formatBytes(size);
+    if (repoMax) repoMax.textContent = formatBytes(storageMax);
+    if (repoObjects) repoObjects.textContent = numObjects?.toLocaleString() ?? '--';
+
+    if (repoFill) {
+      const ratio = storageMax > 0 ? Math.min(1, size / storageMax) : 0;
+      repoFill.style.width = `${Math.round(ratio * 100)}%`;
+      repoFill.classList.toggle('warn', ratio >= REPO_WARN_RATIO);
+    }
+  } catch {
+    if (repoSize) repoSize.textContent = '--';
+    if (repoMax) repoMax.textContent = '--';
+    if (repoObjects) repoObjects.textContent = '--';
+  }
+}
+
+// ============================================
+// Pins
+// ============================================
+
+async function loadPins() {
+  showListMessage('Loading…');
+  try {
+    const result = await ipfs.listPins({ type: 'all' });
+    if (!result?.success) {
+      pins = [];
+      showListMessage(result?.error || 'Could not list pins. Is the IPFS node running?');
+      return;
+    }
+    pins = result.pins || [];
+    renderPins();
+  } catch (err) {
+    pins = [];
+    showListMessage(err.message || 'Could not list pins.');
+  }
+}
+
+async function handleAdd(e) {
+  e.preventDefault();
+  const target = addInput?.value.trim();
+  if (!target) return;
+
+  hideBanner();
+  if (addBtn) addBtn.disabled = true;
+  try {
+    const result = await ipfs.addPin(target);
+    if (!result?.success) {
+      showBanner(result?.error || 'Pin failed.', 'error');
+      return;
+    }
+    if (addInput) addInput.value = '';
+    showBanner(`Pinned ${result.cid}`, 'success');
+    refresh();
+  } catch (err) {
+    showBanner(err.message || 'Pin failed.', 'error');
+  } finally {
+    if (addBtn) addBtn.disabled = false;
+  }
+}
+
+// Two-step confirm on the button itself so a stray click can't drop a pin.
+async function handleUnpin(pin, button) {
+  if (button.dataset.confirming !== 'true') {
+    button.dataset.confirming = 'true';
+    button.textContent = 'Confirm';
+    return;
+  }
+
+  button.disabled = true;
+  hideBanner();
+  try {
+    const result = await ipfs.removePin(pin.cid);
+    if (!result?.success) {
+      showBanner(result?.error || 'Unpin failed.', 'error');
+      button.disabled = false;
+      return;
+    }
+    pins = pins.filter((p) => p.cid !== pin.cid);
+    renderPins();
+    loadRepoStat();
+  } catch (err) {
+    showBanner(err.message || 'Unpin failed.', 'error');
+    button.disabled = false;
+  }
+}
+
+function showListMessage(message) {
+  if (!pinsList) return;
+  pinsList.innerHTML = '';
+  const empty = document.createElement('div');
+  empty.className = 'pins-empty';
+  empty.textContent = message;
+  pinsList.appendChild(empty);
+}
+
+function renderPins() {
+  if (!pinsList) return;
+
+  const visible = filter === 'all' ? pins : pins.filter((p) => p.type === filter);
+  if (visible.length === 0) {
+    showListMessage(pins.length === 0 ? 'Nothing pinned yet.' : `No ${filter} pins.`);
+    return;
+  }
+
+  pinsList.innerHTML = '';
+  visible.forEach((pin) => {
+    const item = document.createElement('div');
+    item.className = 'pins-item';
+
+    const body = document.createElement('div');
+    body.className = 'pins-item-body';
+
+    const nameEl = document.createElement('div');
+    nameEl.className = 'pins-item-name';
+    nameEl.textContent = pin.name || 'Unnamed pin';
+    body.appendChild(nameEl);
+
+    const cidEl = document.createElement('a');
+    cidEl.className = 'pins-item-cid';
+    cidEl.href = '#';
+    cidEl.textContent = pin.cid;
+    cidEl.addEventListener('click', (e) => {
+      e.preventDefault();
+      window.freedomAPI?.openInNewTab?.(`ipfs://${pin.cid}`);
+    });
+    body.appendChild(cidEl);
+
+    const meta = document.createElement('div');
+    meta.className = 'pins-item-meta';
+    const typeEl = document.createElement('span');
+    typeEl.className = 'pins-item-type';
+    typeEl.dataset.type = pin.type;
+    typeEl.textContent = pin.type;
+    const sizeEl = document.createElement('span');
+    sizeEl.textContent =
+      pin.size === null || pin.size === undefined ? 'size unknown' : formatBytes(pin.size);
+    meta.append(typeEl, sizeEl);
+    body.appendChild(meta);
+
+    const unpinBtn = document.createElement('button');
+    unpinBtn.type = 'button';
+    unpinBtn.className = 'pins-unpin-btn';
+    unpinBtn.textContent = 'Unpin';
+    unpinBtn.addEventListener('click', () => handleUnpin(pin, unpinBtn));
+
+    item.append(body, unpinBtn);
+    pinsList.appendChild(item);
+  });
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined || !Number.isFinite(bytes)) return '--';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+// ============================================
+// Start
+// ============================================
+
+init();
@@ -1,18 +1,46 @@
-// Publish on Swarm — freedom://publish
+// Publish — freedom://publish
 //
-// Uses freedomAPI.swarm.* (internal-only, guarded by webview preload)
+// Uses freedomAPI.swarm.*, freedomAPI.ipfs.* and freedomAPI.ens.* (internal-only,
+// guarded by webview preload). File pickers and publish history are shared; the
+// network selector decides which publish service handles the upload.
 
 const swarm = window.freedomAPI?.swarm;
+const ipfs = window.freedomAPI?.ipfs;
+const ens = window.freedomAPI?.ens;
 
 const PROGRESS_POLL_MS = 2000;
 const PROGRESS_TIMEOUT_MS = 600000; // 10 minutes max poll
 
 // DOM refs
 const statusBanner = document.getElementById('publish-status-banner');
+const networkButtons = document.querySelectorAll('.publish-network-btn');
+const wrapOption = document.getElementById('publish-wrap-option');
+const wrapCheckbox = document.getElementById('publish-wrap-checkbox');
+const accessSection = document.getElementById('publish-access');
+const encryptCheckbox = document.getElementById('publish-encrypt-checkbox');
+const actCheckbox = document.getElementById('publish-act-checkbox');
+const granteesInput = document.getElementById('publish-grantees');
+const fileDesc = document.getElementById('publish-file-desc');
 const actionsSection = document.getElementById('publish-actions');
 const publishFileBtn = document.getElementById('publish-file-btn');
 const publishFolderBtn = document.getElementById('publish-folder-btn');
 const publishTextBtn = document.getElementById('publish-text-btn');
+const publishWebsiteBtn = document.getElementById('publish-website-btn');
+const websiteSection = document.getElementById('publish-website');
+const siteSelect = document.getElementById('publish-site-select');
+const siteNameField = document.getElementById('publish-site-name-field');
+const siteNameInput = document.getElementById('publish-site-name');
+const siteUrl = document.getElementById('publish-site-url');
+const siteIndexInput = document.getElementById('publish-site-index');
+const siteErrorInput = document.getElementById('publish-site-error');
+const siteIncrementalCheckbox = document.getElementById('publish-site-incremental');
+const websiteConfirmSection = document.getElementById('publish-website-confirm');
+const planSummary = document.getElementById('publish-plan-summary');
+const planPaths = document.getElementById('publish-plan-paths');
+const planConfirmBtn = document.getElementById('publish-plan-confirm');
+const planCancelBtn = document.getElementById('publish-plan-cancel');
+const websiteSubmitBtn = document.getElementById('publish-website-submit');
+const websiteCancelBtn = document.getElementById('publish-website-cancel');
 const textInputSection = document.getElementById('publish-text-input');
 const textArea = document.getElementById('publish-text-area');
 const textSubmitBtn = document.getElementById('publish-text-submit');
@@ -22,19 +50,41 @@ const progressText = document.getElementById('publish-progress-text');
 const progressFill = document.getElementById('publish-progress-fill');
 const resultSection = document.getElementById('publish-result');
 const resultUrl = document.getElementById('publish-result-url');
+const resultUrlLabel = document.getElementById('publish-result-url-label');
+const resultRefLabel = document.getElementById('publish-result-ref-label');
 const resultRef = document.getElementById('publish-result-ref');
 const copyUrlBtn = document.getElementById('publish-copy-url');
 const copyRefBtn = document.getElementById('publish-copy-ref');
+const copyShareBtn = document.getElementById('publish-copy-share');
+const resultShare = document.getElementById('publish-result-share');
+const resultShareUrl = document.getElementById('publish-result-share-url');
 const openUrlBtn = document.getElementById('publish-open-url');
 const publishAnotherBtn = document.getElementById('publish-another');
 const errorSection = document.getElementById('publish-error');
 const errorText = document.getElementById('publish-error-text');
 const errorRetryBtn = document.getElementById('publish-error-retry');
+const resultIpns = document.getElementById('publish-result-ipns');
+const ipnsSelect = document.getElementById('publish-ipns-select');
+const ipnsUpdateBtn = document.getElementById('publish-ipns-update');
+const ipnsManageLink = document.getElementById('publish-ipns-manage');
+const ipnsStatus = document.getElementById('publish-ipns-status');
+const resultEns = document.getElementById('publish-result-ens');
+const ensNameInput = document.getElementById('publish-ens-name');
+const ensNameList = document.getElementById('publish-ens-names');
+const ensSetBtn = document.getElementById('publish-ens-set');
+const ensStatus = document.getElementById('publish-ens-status');
 const historyList = document.getElementById('publish-history-list');
 const historyClearBtn = document.getElementById('publish-history-clear');
 
 let progressPollTimeout = null;
 let lastResult = null;
+let network = 'swarm';
+let ensNamesLoaded = false;
+let websites = [];
+let actShares = new Map();
+// reference -> last stewardship result ({ retrievable, checkedAt, ... })
+let contentHealth = {};
+let resolvePlanConfirm = null;
 
 // ============================================
 // Init
@@ -47,28 +97,60 @@ function init() {
     return;
   }
 
+  networkButtons.forEach((btn) => {
+    btn.addEventListener('click', () => setNetwork(btn.dataset.network));
+  });
+  if (!ipfs) {
+    networkButtons.forEach((btn) => {
+      if (btn.dataset.network === 'ipfs') btn.disabled = true;
+    });
+  }
+
+  actCheckbox?.addEventListener('change', () => {
+    granteesInput?.classList.toggle('hidden', !actCheckbox.checked);
+    if (actCheckbox.checked) granteesInput?.focus();
+  });
+
   publishFileBtn?.addEventListener('click', handlePublishFile);
   publishFolderBtn?.addEventListener('click', handlePublishFolder);
   publishTextBtn?.addEventListener('click', showTextInput);
   textSubmitBtn?.addEventListener('click', handlePublishText);
   textCancelBtn?.addEventListener('click', resetToActions);
+  publishWebsiteBtn?.addEventListener('click', showWebsiteForm);
+  siteSelect?.addEventListener('change', updateWebsiteForm);
+  websiteSubmitBtn?.addEventListener('click', handleDeployWebsite);
+  websiteCancelBtn?.addEventListener('click', resetToActions);
+  planConfirmBtn?.addEventListener('click', () => settlePlanConfirm(true));
+  planCancelBtn?.addEventListener('click', () => settlePlanConfirm(false));
   publishAnotherBtn?.addEventListener('click', resetToActions);
   errorRetryBtn?.addEventListener('click', resetToActions);
-  copyUrlBtn?.addEventListener('click', () => copyToClipboard(lastResult?.bzzUrl));
+  copyUrlBtn?.addEventListener('click', () => copyToClipboard(lastResult?.url));
   copyRefBtn?.addEventListener('click', () => copyToClipboard(lastResult?.reference));
+  copyShareBtn?.addEventListener('click', () => copyToClipboard(lastResult?.shareUrl));
   openUrlBtn?.addEventListener('click', () => {
-    if (lastResult?.bzzUrl) {
-      window.freedomAPI?.openInNewTab?.(lastResult.bzzUrl);
+    if (lastResult?.url) {
+      window.freedomAPI?.openInNewTab?.(lastResult.url);
     }
   });
 
   resultUrl?.addEventListener('click', (e) => {
     e.preventDefault();
-    if (lastResult?.bzzUrl) {
-      window.freedomAPI?.openInNewTab?.(lastResult.bzzUrl);
+    if (lastResult?.url) {
+      window.freedomAPI?.openInNewTab?.(lastResult.url);
     }
   });
 
+  ipnsUpdateBtn?.addEventListener('click', handleIpnsUpdate);
+  ipnsManageLink?.addEventListener('click', (e) => {
+    e.preventDefault();
+    window.freedomAPI?.openInNewTab?.('freedom://ipns');
+  });
+
+  ensSetBtn?.addEventListener('click', () => {
+    if (!lastResult?.url) return;
+    setContenthash(ensNameInput?.value, lastResult.url, ensStatus, ensSetBtn);
+  });
+
   historyClearBtn?.addEventListener('click', async () => {
     await swarm.clearPublishHistory();
     loadHistory();
@@ -88,6 +170,8 @@ function init() {
 function showView(view) {
   actionsSection?.classList.toggle('hidden', view !== 'actions');
   textInputSection?.classList.toggle('hidden', view !== 'text');
+  websiteSection?.classList.toggle('hidden', view !== 'website');
+  websiteConfirmSection?.classList.toggle('hidden', view !== 'website-confirm');
   progressSection?.classList.toggle('hidden', view !== 'progress');
   resultSection?.classList.toggle('hidden', view !== 'result');
   errorSection?.classList.toggle('hidden', view !== 'error');
@@ -95,11 +179,29 @@ function showView(view) {
 
 function resetToActions() {
   stopProgressPoll();
+  settlePlanConfirm(false);
   lastResult = null;
   if (textArea) textArea.value = '';
   showView('actions');
 }
 
+function setNetwork(next) {
+  if (next !== 'swarm' && next !== 'ipfs') return;
+  network = next;
+  networkButtons.forEach((btn) => {
+    const active = btn.dataset.network === network;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-checked', String(active));
+  });
+  wrapOption?.classList.toggle('hidden', network !== 'ipfs');
+  accessSection?.classList.toggle('hidden', network !== 'swarm');
+  // Websites are Swarm feeds; IPFS sites get a stable name through IPNS instead.
+  publishWebsiteBtn?.classList.toggle('hidden', network !== 'swarm' || !swarm?.deployWebsite);
+  if (fileDesc) {
+    fileDesc.textContent = `Upload a single file to ${network === 'ipfs' ? 'IPFS' : 'Swarm'}`;
+  }
+}
+
 function showTextInput() {
   showView('text');
   textArea?.focus();
@@ -114,7 +216,7 @@ function showBanner(message, type) {
 }
 
 function disableActions() {
-  [publishFileBtn, publishFolderBtn, publishTextBtn].forEach((btn) => {
+  [publishFileBtn, publishFolderBtn, publishTextBtn, publishWebsiteBtn].forEach((btn) => {
     if (btn) btn.disabled = true;
   });
 }
@@ -124,6 +226,8 @@ function disableActions() {
 // ============================================
 
 async function ensureStampsAvailable() {
+  // IPFS has no postage; the local node just needs to be running.
+  if (network === 'ipfs') return true;
   try {
     const result = await swarm.getStamps();
     if (!result?.success || !result.stamps?.some((s) => s.usable)) {
@@ -143,6 +247,7 @@ async function ensureStampsAvailable() {
 
 async function handlePublishFile() {
   try {
+    const options = swarmOptions();
     const picked = await swarm.pickFileForPublish();
     if (!picked?.success && picked?.error) { showError(picked.error); return; }
     if (!picked?.path) return; // User cancelled
@@ -152,7 +257,12 @@ async function handlePublishFile() {
     showView('progress');
     setProgress('Uploading file\u2026', 0);
 
-    const result = await swarm.publishFilePath(picked.path);
+    const result =
+      network === 'ipfs'
+        ? await withIpfsProgress('Adding file\u2026', () =>
+            ipfs.publishFilePath(picked.path, ipfsOptions())
+          )
+        : await swarm.publishFilePath(picked.path, options);
 
     if (!result?.success) {
       showError(result?.error || 'Upload failed.');
@@ -171,6 +281,7 @@ async function handlePublishFile() {
 
 async function handlePublishFolder() {
   try {
+    const options = swarmOptions();
     const picked = await swarm.pickDirectoryForPublish();
     if (!picked?.success && picked?.error) { showError(picked.error); return; }
     if (!picked?.path) return; // User cancelled
@@ -180,7 +291,12 @@ async function handlePublishFolder() {
     showView('progress');
     setProgress('Uploading folder\u2026', 0);
 
-    const result = await swarm.publishDirectoryPath(picked.path);
+    const result =
+      network === 'ipfs'
+        ? await withIpfsProgress('Adding folder\u2026', () =>
+            ipfs.publishDirectoryPath(picked.path, ipfsOptions())
+          )
+        : await swarm.publishDirectoryPath(picked.path, options);
 
     if (!result?.success) {
       showError(result?.error || 'Upload failed.');
@@ -202,12 +318,16 @@ async function handlePublishText() {
   if (!text) return;
 
   try {
+    const options = swarmOptions();
     if (!(await ensureStampsAvailable())) return;
 
     showView('progress');
     setProgress('Publishing text\u2026', 0);
 
-    const result = await swarm.publishData(text);
+    const result =
+      network === 'ipfs'
+        ? await ipfs.publishData(text, ipfsOptions())
+        : await swarm.publishData(text, options);
 
     if (!result?.success) {
       showError(result?.error || 'Publish failed.');
@@ -220,6 +340,201 @@ async function handlePublishText() {
   }
 }
 
+// ============================================
+// Websites (feed-backed, redeployable)
+// ============================================
+
+const NEW_SITE = '__new__';
+
+async function loadWebsites() {
+  if (!swarm?.listWebsites) return [];
+  try {
+    const result = await swarm.listWebsites();
+    websites = result?.success ? result.sites : [];
+  } catch {
+    websites = [];
+  }
+  return websites;
+}
+
+async function showWebsiteForm() {
+  showView('website');
+  await loadWebsites();
+
+  if (siteSelect) {
+    siteSelect.innerHTML = '';
+    websites.forEach((site) => {
+      const option = document.createElement('option');
+      option.value = site.id;
+      option.textContent = site.name;
+      siteSelect.appendChild(option);
+    });
+    const newOption = document.createElement('option');
+    newOption.value = NEW_SITE;
+    newOption.textContent = 'New site\u2026';
+    siteSelect.appendChild(newOption);
+    siteSelect.value = websites[0]?.id || NEW_SITE;
+  }
+  updateWebsiteForm();
+}
+
+function updateWebsiteForm() {
+  const site = websites.find((entry) => entry.id === siteSelect?.value) || null;
+  siteNameField?.classList.toggle('hidden', Boolean(site));
+  if (siteIndexInput) siteIndexInput.value = site?.indexDocument || '';
+  if (siteErrorInput) siteErrorInput.value = site?.errorDocument || '';
+  if (siteUrl) {
+    siteUrl.textContent = site ? `Permanent URL: ${site.bzzUrl}` : '';
+    siteUrl.classList.toggle('hidden', !site);
+  }
+  if (!site) siteNameInput?.focus();
+}
+
+async function handleDeployWebsite() {
+  let site = websites.find((entry) => entry.id === siteSelect?.value) || null;
+  const documents = {
+    indexDocument: siteIndexInput?.value.trim() || '',
+    errorDocument: siteErrorInput?.value.trim() || '',
+  };
+  if (!site && !siteNameInput?.value.trim()) {
+    siteNameInput?.focus();
+    return;
+  }
+
+  try {
+    const picked = await swarm.pickDirectoryForPublish();
+    if (!picked?.success && picked?.error) {
+      showError(picked.error);
+      return;
+    }
+    if (!picked?.path) return; // User cancelled
+
+    if (!(await ensureStampsAvailable())) return;
+
+    const incremental = Boolean(siteIncrementalCheckbox?.checked);
+    if (incremental) {
+      showView('progress');
+      setProgress('Comparing with the last deploy\u2026', 0);
+      const planned = await swarm.planWebsiteDeploy(site?.id || null, picked.path);
+      if (!planned?.success) {
+        showError(planned?.error || 'Could not compare the folder.');
+        return;
+      }
+      if (!(await confirmDeployPlan(planned.plan))) {
+        showView('website');
+        return;
+      }
+    }
+
+    showView('progress');
+    if (!site) {
+      setProgress('Creating site feed\u2026', 0);
+      const created = await swarm.createWebsite({ name: siteNameInput.value, ...documents });
+      if (!created?.success) {
+        showError(created?.error || 'Could not create the site.');
+        return;
+      }
+      site = created.site;
+    }
+
+    setProgress('Deploying website\u2026', 0);
+    const result = await swarm.deployWebsite(site.id, picked.path, { ...documents, incremental });
+    if (!result?.success) {
+      showError(result?.error || 'Deploy failed.');
+      return;
+    }
+
+    if (result.tagUid) {
+      await pollProgress(result.tagUid, 'Sending website\u2026');
+    }
+
+    // The site's feed URL is what gets shared; the deploy's own root is the reference.
+    showResult({ reference: result.reference, bzzUrl: result.site.bzzUrl, website: true });
+  } catch (err) {
+    showError(err.message || 'Deploy failed.');
+  }
+}
+
+const MAX_PLAN_PATHS = 50;
+
+// Show "N changed, M unchanged" and wait for Deploy or Cancel.
+function confirmDeployPlan(plan) {
+  const parts = [`${plan.changed} changed`, `${plan.unchanged} unchanged`];
+  if (plan.removed > 0) parts.push(`${plan.removed} removed`);
+  if (planSummary)
+    planSummary.textContent = `${parts.join(', ')} (${formatBytes(plan.uploadBytes)} to upload)`;
+
+  if (planPaths) {
+    planPaths.innerHTML = '';
+    const rows = [
+      ...plan.changedPaths.map((filePath) => ({ filePath, removed: false })),
+      ...plan.removedPaths.map((filePath) => ({ filePath, removed: true })),
+    ];
+    rows.slice(0, MAX_PLAN_PATHS).forEach(({ filePath, removed }) => {
+      const li = document.createElement('li');
+      li.textContent = filePath;
+      li.classList.toggle('removed', removed);
+      planPaths.appendChild(li);
+    });
+    if (rows.length > MAX_PLAN_PATHS) {
+      const li = document.createElement('li');
+      li.textContent = `\u2026and ${rows.length - MAX_PLAN_PATHS} more`;
+      planPaths.appendChild(li);
+    }
+  }
+  if (planConfirmBtn) planConfirmBtn.disabled = plan.changed === 0 && plan.removed === 0;
+
+  showView('website-confirm');
+  return new Promise((resolve) => {
+    resolvePlanConfirm = resolve;
+  });
+}
+
+function settlePlanConfirm(confirmed) {
+  const resolve = resolvePlanConfirm;
+  resolvePlanConfirm = null;
+  resolve?.(confirmed);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function handleRollback(siteId, entryId, button) {
+  if (button) button.disabled = true;
+  try {
+    const result = await swarm.rollbackWebsite(siteId, entryId);
+    if (!result?.success) {
+      showBanner(result?.error || 'Rollback failed.', 'error');
+      return;
+    }
+    statusBanner?.classList.add('hidden');
+    loadHistory();
+  } catch (err) {
+    showBanner(err.message || 'Rollback failed.', 'error');
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+async function handleReupload(reference, button) {
+  if (button) button.disabled = true;
+  try {
+    const result = await swarm.reuploadContent(reference);
+    if (!result?.success) {
+      showBanner(result?.error || 'Re-upload failed.', 'error');
+      return;
+    }
+    showBanner('Re-uploaded. Availability is checked again on the next sweep.', 'success');
+  } catch (err) {
+    showBanner(err.message || 'Re-upload failed.', 'error');
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
 // ============================================
 // Progress polling
 // ============================================
@@ -258,6 +573,37 @@ async function pollProgress(tagUid, label) {
   });
 }
 
+// Encryption and ACT grantees for Swarm publishes. Throws when sharing is
+// on but no keys were entered; main validates the keys themselves.
+function swarmOptions() {
+  if (network !== 'swarm') return null;
+  const grantees = actCheckbox?.checked
+    ? (granteesInput?.value || '').split(/[\s,]+/).filter(Boolean)
+    : [];
+  if (actCheckbox?.checked && grantees.length === 0) {
+    granteesInput?.focus();
+    throw new Error('Enter at least one public key to share with.');
+  }
+  return { encrypt: Boolean(encryptCheckbox?.checked), grantees };
+}
+
+function ipfsOptions() {
+  return { wrapWithDirectory: Boolean(wrapCheckbox?.checked) };
+}
+
+// Kubo reports progress on the add response itself, which main forwards
+// while the publish call is pending — no tag to poll afterwards.
+async function withIpfsProgress(label, publish) {
+  const unsubscribe = ipfs.onPublishProgress?.((status) => {
+    setProgress(`${label} ${status.progress}%`, status.progress);
+  });
+  try {
+    return await publish();
+  } finally {
+    unsubscribe?.();
+  }
+}
+
 function stopProgressPoll() {
   if (progressPollTimeout) {
     clearTimeout(progressPollTimeout);
@@ -270,18 +616,440 @@ function stopProgressPoll() {
 // ============================================
 
 function showResult(result) {
-  lastResult = result;
+  const isIpfs = Boolean(result.ipfsUrl);
+  lastResult = { ...result, url: result.bzzUrl || result.ipfsUrl || null };
   showView('result');
   loadHistory();
 
+  if (resultUrlLabel) {
+    resultUrlLabel.textContent = result.website
+      ? 'Site URL'
+      : isIpfs
+        ? 'ipfs:// URL'
+        : 'bzz:// URL';
+  }
+  if (resultRefLabel) {
+    resultRefLabel.textContent = result.website ? 'This deploy' : isIpfs ? 'CID' : 'Reference';
+  }
+
   if (resultUrl) {
-    resultUrl.textContent = result.bzzUrl || '--';
+    resultUrl.textContent = lastResult.url || '--';
     resultUrl.href = '#';
   }
 
   if (resultRef) {
     resultRef.textContent = result.reference || '--';
   }
+
+  resultShare?.classList.toggle('hidden', !result.shareUrl);
+  copyShareBtn?.classList.toggle('hidden', !result.shareUrl);
+  if (resultShareUrl) resultShareUrl.textContent = result.shareUrl || '';
+
+  resultIpns?.classList.toggle('hidden', !isIpfs);
+  if (isIpfs) loadIpnsNames();
+
+  resultEns?.classList.toggle('hidden', !ens || !lastResult.url);
+  setEnsStatus(ensStatus, '');
+  if (ens && lastResult.url) loadEnsNames();
+}
+
+// ============================================
+// IPNS (point a name at an IPFS publish)
+// ============================================
+
+function setIpnsStatus(message, isError = false) {
+  if (!ipnsStatus) return;
+  ipnsStatus.textContent = message;
+  ipnsStatus.classList.toggle('error', isError);
+}
+
+async function loadIpnsNames() {
+  if (!ipnsSelect || !ipfs?.listIpnsNames) return;
+  setIpnsStatus('');
+  ipnsSelect.innerHTML = '';
+
+  let names;
+  try {
+    const result = await ipfs.listIpnsNames();
+    names = result?.success ? result.names : [];
+  } catch {
+    names = [];
+  }
+
+  names.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.site;
+    option.textContent = entry.site;
+    ipnsSelect.appendChild(option);
+  });
+  ipnsSelect.disabled = names.length === 0;
+  if (ipnsUpdateBtn) ipnsUpdateBtn.disabled = names.length === 0;
+  if (names.length === 0) setIpnsStatus('No IPNS names yet.');
+}
+
+async function handleIpnsUpdate() {
+  const site = ipnsSelect?.value;
+  if (!site || !lastResult?.url) return;
+
+  if (ipnsUpdateBtn) ipnsUpdateBtn.disabled = true;
+  setIpnsStatus('Publishing IPNS record…');
+  try {
+    const result = await ipfs.publishIpnsName(site, lastResult.url);
+    if (!result?.success) {
+      setIpnsStatus(result?.error || 'IPNS publish failed.', true);
+      return;
+    }
+    setIpnsStatus(`${result.entry.ipnsUrl} now points here.`);
+  } catch (err) {
+    setIpnsStatus(err.message || 'IPNS publish failed.', true);
+  } finally {
+    if (ipnsUpdateBtn) ipnsUpdateBtn.disabled = false;
+  }
+}
+
+// ============================================
+// ENS (point an owned name's contenthash at a publish)
+// ============================================
+
+function setEnsStatus(statusEl, message, isError = false, link = null) {
+  if (!statusEl) return;
+  statusEl.textContent = message;
+  statusEl.classList.toggle('error', isError);
+  if (link) {
+    const anchor = document.createElement('a');
+    anchor.href = '#';
+    anchor.textContent = link.label;
+    anchor.addEventListener('click', (e) => {
+      e.preventDefault();
+      window.freedomAPI?.openInNewTab?.(link.url);
+    });
+    statusEl.appendChild(anchor);
+  }
+}
+
+// Only primary names are suggested, labelled as such: names without a
+// reverse record can't be found without an indexer. Other names the vault
+// owns can still be typed in; main checks ownership either way.
+const ENS_NAME_HINT =
+  "Suggestions are your wallets' primary names. Type any other name a vault wallet owns.";
+
+async function loadEnsNames() {
+  if (ensNamesLoaded || !ensNameList || !ens?.listOwnedNames) return;
+  ensNamesLoaded = true;
+
+  let names;
+  try {
+    const result = await ens.listOwnedNames();
+    names = result?.success ? result.names : [];
+  } catch {
+    names = [];
+  }
+
+  ensNameList.innerHTML = '';
+  names.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.name;
+    option.label = `Primary name of ${entry.walletName || entry.address}`;
+    ensNameList.appendChild(option);
+  });
+  if (ensNameInput && !ensNameInput.value && names.length > 0) {
+    ensNameInput.value = names[0].name;
+  }
+}
+
+async function setContenthash(name, uri, statusEl, button) {
+  name = (name || '').trim();
+  if (!name) {
+    setEnsStatus(statusEl, 'Enter an ENS name you own.', true);
+    return;
+  }
+
+  if (button) button.disabled = true;
+  setEnsStatus(statusEl, 'Review the transaction in the wallet sidebar…');
+  try {
+    const sent = await ens.setContenthash(name, uri);
+    if (!sent?.success) {
+      setEnsStatus(statusEl, sent?.error || 'Contenthash update failed.', true);
+      return;
+    }
+
+    setEnsStatus(statusEl, 'Waiting for confirmation…');
+    const result = await ens.confirmContenthash(sent.name, sent.uri, sent.hash);
+    const link = result?.explorerUrl
+      ? { label: 'View transaction', url: result.explorerUrl }
+      : null;
+    if (!result?.success) {
+      setEnsStatus(statusEl, result?.error || 'Contenthash update failed.', true, link);
+    } else if (result.confirmed) {
+      const trust = result.trustLevel ? ` (${result.trustLevel})` : '';
+      setEnsStatus(statusEl, `${sent.name} now points here${trust}.`, false, link);
+    } else {
+      setEnsStatus(
+        statusEl,
+        `Transaction confirmed, but ${sent.name} still resolves to ${result.resolvedUri || 'nothing'}.`,
+        true,
+        link
+      );
+    }
+  } catch (err) {
+    setEnsStatus(statusEl, err.message || 'Contenthash update failed.', true);
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+// Collapsed "Set as contenthash for…" form under a completed history entry.
+function createHistoryEnsControls(entryUrl) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'publish-history-item-ens';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'publish-history-item-ens-toggle';
+  toggle.textContent = 'Set as contenthash for…';
+
+  const controls = document.createElement('div');
+  controls.className = 'publish-ipns-controls hidden';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'publish-ipns-select publish-ens-name';
+  input.placeholder = 'name.eth';
+  input.title = ENS_NAME_HINT;
+  input.spellcheck = false;
+  input.autocomplete = 'off';
+  if (ensNameList) input.setAttribute('list', ensNameList.id);
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'publish-copy-btn';
+  button.textContent = 'Set as Contenthash';
+  controls.append(input, button);
+
+  const status = document.createElement('div');
+  status.className = 'publish-ipns-status';
+
+  toggle.addEventListener('click', () => {
+    controls.classList.toggle('hidden');
+    if (!controls.classList.contains('hidden')) {
+      loadEnsNames();
+      input.focus();
+    }
+  });
+  button.addEventListener('click', () => setContenthash(input.value, entryUrl, status, button));
+
+  wrapper.append(toggle, controls, status);
+  return wrapper;
+}
+
+// ============================================
+// ACT shares (grantees of access-controlled publishes)
+// ============================================
+
+async function loadActShares() {
+  if (!swarm?.listActShares) return;
+  try {
+    const result = await swarm.listActShares();
+    actShares = new Map(
+      (result?.success ? result.shares : []).map((share) => [share.reference, share])
+    );
+  } catch {
+    actShares = new Map();
+  }
+}
+
+// Collapsed "Manage access" panel under an ACT publish: copy the share
+// link, revoke grantees, add new ones.
+function createHistoryActControls(initialShare) {
+  let share = initialShare;
+  const wrapper = document.createElement('div');
+  wrapper.className = 'publish-history-item-ens';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'publish-history-item-ens-toggle';
+
+  const panel = document.createElement('div');
+  panel.className = 'publish-act-panel hidden';
+  const list = document.createElement('ul');
+  list.className = 'publish-act-grantees';
+
+  const controls = document.createElement('div');
+  controls.className = 'publish-ipns-controls';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'publish-ipns-select publish-ens-name';
+  input.placeholder = 'Public key to add';
+  input.spellcheck = false;
+  input.autocomplete = 'off';
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'publish-copy-btn';
+  addBtn.textContent = 'Add';
+  const copyBtn = document.createElement('button');
+  copyBtn.type = 'button';
+  copyBtn.className = 'publish-copy-btn';
+  copyBtn.textContent = 'Copy Share Link';
+  controls.append(input, addBtn, copyBtn);
+
+  const status = document.createElement('div');
+  status.className = 'publish-ipns-status';
+
+  const render = () => {
+    toggle.textContent = `Manage access (${share.grantees.length} grantee${share.grantees.length === 1 ? '' : 's'})`;
+    list.innerHTML = '';
+    share.grantees.forEach((key) => {
+      const li = document.createElement('li');
+      const keyEl = document.createElement('code');
+      keyEl.textContent = `${key.slice(0, 10)}\u2026${key.slice(-8)}`;
+      keyEl.title = key;
+      const revokeBtn = document.createElement('button');
+      revokeBtn.type = 'button';
+      revokeBtn.className = 'publish-history-deploy-rollback';
+      revokeBtn.textContent = 'Revoke';
+      revokeBtn.addEventListener('click', () => update({ revoke: [key] }, revokeBtn));
+      li.append(keyEl, revokeBtn);
+      list.appendChild(li);
+    });
+  };
+
+  const update = async (changes, button) => {
+    button.disabled = true;
+    setEnsStatus(status, 'Updating grantee list\u2026');
+    try {
+      const result = await swarm.updateActGrantees(share.reference, changes);
+      if (!result?.success) {
+        setEnsStatus(status, result?.error || 'Could not update access.', true);
+        return;
+      }
+      share = result.share;
+      actShares.set(share.reference, share);
+      render();
+      if (changes.revoke) {
+        // Bee rotates the access key; earlier history entries keep the old one.
+        setEnsStatus(
+          status,
+          'Revoked for content published from now on. What the key could already read stays readable to it.'
+        );
+      } else {
+        input.value = '';
+        setEnsStatus(status, 'Grantee added.');
+      }
+    } catch (err) {
+      setEnsStatus(status, err.message || 'Could not update access.', true);
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  toggle.addEventListener('click', () => panel.classList.toggle('hidden'));
+  addBtn.addEventListener('click', () => {
+    const key = input.value.trim();
+    if (key) update({ add: [key] }, addBtn);
+  });
+  copyBtn.addEventListener('click', () => copyToClipboard(share.shareUrl));
+
+  render();
+  panel.append(list, controls, status);
+  wrapper.append(toggle, panel);
+  return wrapper;
+}
+
+// ============================================
+// Content health (stewardship)
+// ============================================
+
+async function loadContentHealth() {
+  if (!swarm?.getContentHealth) return;
+  try {
+    const result = await swarm.getContentHealth();
+    contentHealth = result?.success ? result.references || {} : {};
+  } catch {
+    contentHealth = {};
+  }
+}
+
+function describeHealth(record) {
+  if (!record?.checkedAt) return 'Availability not checked yet.';
+  const when = formatTimestamp(new Date(record.checkedAt).toISOString());
+  if (record.retrievable) return `Retrievable from the network (checked ${when}).`;
+  const reuploaded = record.reuploadedAt > record.checkedAt ? ' Re-uploaded since.' : '';
+  return `Not retrievable from the network (checked ${when}).${reuploaded}`;
+}
+
+// "Check availability" / "Re-upload" under a completed Swarm publish. The
+// badge goes into the entry's header when the last check failed.
+function createHistoryHealthControls(reference, header) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'publish-history-item-health';
+
+  const status = document.createElement('div');
+  status.className = 'publish-ipns-status';
+
+  const badge = document.createElement('span');
+  badge.className = 'publish-history-item-status hidden';
+  badge.dataset.status = 'unretrievable';
+  badge.textContent = 'unretrievable';
+  header?.insertBefore(badge, header.lastChild);
+
+  const render = () => {
+    const record = contentHealth[reference];
+    badge.classList.toggle('hidden', record?.retrievable !== false);
+    setEnsStatus(status, describeHealth(record), record?.retrievable === false);
+  };
+
+  const checkBtn = document.createElement('button');
+  checkBtn.type = 'button';
+  checkBtn.className = 'publish-history-deploy-rollback';
+  checkBtn.textContent = 'Check availability';
+  checkBtn.addEventListener('click', async () => {
+    checkBtn.disabled = true;
+    setEnsStatus(status, 'Asking the network for every chunk\u2026');
+    try {
+      const result = await swarm.checkAvailability(reference);
+      if (!result?.success) {
+        setEnsStatus(status, result?.error || 'Availability check failed.', true);
+        return;
+      }
+      contentHealth[reference] = result;
+      render();
+    } catch (err) {
+      setEnsStatus(status, err.message || 'Availability check failed.', true);
+    } finally {
+      checkBtn.disabled = false;
+    }
+  });
+
+  const reuploadBtn = document.createElement('button');
+  reuploadBtn.type = 'button';
+  reuploadBtn.className = 'publish-history-deploy-rollback';
+  reuploadBtn.textContent = 'Re-upload';
+  reuploadBtn.addEventListener('click', async () => {
+    reuploadBtn.disabled = true;
+    setEnsStatus(status, 'Re-uploading chunks\u2026');
+    try {
+      const result = await swarm.reuploadContent(reference);
+      if (!result?.success) {
+        setEnsStatus(status, result?.error || 'Re-upload failed.', true);
+        return;
+      }
+      contentHealth[reference] = { ...contentHealth[reference], reuploadedAt: Date.now() };
+      setEnsStatus(
+        status,
+        `Re-uploaded with batch ${result.batchId.slice(0, 8)}\u2026. Check again in a few minutes.`
+      );
+    } catch (err) {
+      setEnsStatus(status, err.message || 'Re-upload failed.', true);
+    } finally {
+      reuploadBtn.disabled = false;
+    }
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'publish-history-item-health-actions';
+  actions.append(checkBtn, reuploadBtn);
+
+  render();
+  wrapper.append(actions, status);
+  return wrapper;
 }
 
 function showError(message) {
@@ -304,7 +1072,12 @@ async function loadHistory() {
   if (!swarm?.getPublishHistory) return;
 
   try {
-    const result = await swarm.getPublishHistory();
+    const [result] = await Promise.all([
+      swarm.getPublishHistory(),
+      loadWebsites(),
+      loadActShares(),
+      loadContentHealth(),
+    ]);
     if (result?.success) {
       renderHistory(result.entries || []);
     }
@@ -324,8 +1097,20 @@ function renderHistory(entries) {
   }
 
   historyList.innerHTML = '';
+  const siteGroups = new Map();
 
   entries.forEach((entry) => {
+    // Website deploys collapse into one item per site, newest deploy first.
+    if (entry.site) {
+      let deploys = siteGroups.get(entry.site);
+      if (!deploys) {
+        deploys = renderSiteGroup(entry);
+        siteGroups.set(entry.site, deploys);
+      }
+      deploys.appendChild(renderDeploy(entry));
+      return;
+    }
+
     const item = document.createElement('div');
     item.className = 'publish-history-item';
 
@@ -336,7 +1121,10 @@ function renderHistory(entries) {
 
     const nameEl = document.createElement('span');
     nameEl.className = 'publish-history-item-name';
-    nameEl.textContent = `${typeIcon} ${entry.name || 'Untitled'}`;
+    const networkEl = document.createElement('span');
+    networkEl.className = 'publish-history-item-network';
+    networkEl.textContent = entry.protocol === 'ipfs' ? 'IPFS' : 'Swarm';
+    nameEl.append(networkEl, `${typeIcon} ${entry.name || 'Untitled'}`);
     header.appendChild(nameEl);
 
     const statusEl = document.createElement('span');
@@ -347,16 +1135,27 @@ function renderHistory(entries) {
 
     item.appendChild(header);
 
-    if (entry.bzzUrl && entry.status === 'completed') {
+    const entryUrl = entry.url || entry.bzzUrl;
+    if (entryUrl && entry.status === 'completed') {
       const urlEl = document.createElement('a');
       urlEl.className = 'publish-history-item-url';
       urlEl.href = '#';
-      urlEl.textContent = entry.bzzUrl;
+      urlEl.textContent = entryUrl;
       urlEl.addEventListener('click', (e) => {
         e.preventDefault();
-        window.freedomAPI?.openInNewTab?.(entry.bzzUrl);
+        window.freedomAPI?.openInNewTab?.(entryUrl);
       });
       item.appendChild(urlEl);
+
+      if (ens && /^(bzz|ipfs):\/\//.test(entryUrl)) {
+        item.appendChild(createHistoryEnsControls(entryUrl));
+      }
+      if (actShares.has(entry.reference)) {
+        item.appendChild(createHistoryActControls(actShares.get(entry.reference)));
+      }
+      if (entry.protocol !== 'ipfs' && swarm.checkAvailability) {
+        item.appendChild(createHistoryHealthControls(entry.reference, header));
+      }
     }
 
     const timeEl = document.createElement('div');
@@ -368,6 +1167,102 @@ function renderHistory(entries) {
   });
 }
 
+function renderSiteGroup(entry) {
+  const site = websites.find((candidate) => candidate.id === entry.site);
+  const item = document.createElement('div');
+  item.className = 'publish-history-item';
+
+  const header = document.createElement('div');
+  header.className = 'publish-history-item-header';
+  const nameEl = document.createElement('span');
+  nameEl.className = 'publish-history-item-name';
+  const networkEl = document.createElement('span');
+  networkEl.className = 'publish-history-item-network';
+  networkEl.textContent = 'Website';
+  nameEl.append(networkEl, `\u{1F310} ${site?.name || entry.name || 'Untitled'}`);
+  header.appendChild(nameEl);
+  item.appendChild(header);
+
+  if (site) {
+    const urlEl = document.createElement('a');
+    urlEl.className = 'publish-history-item-url';
+    urlEl.href = '#';
+    urlEl.textContent = site.bzzUrl;
+    urlEl.addEventListener('click', (e) => {
+      e.preventDefault();
+      window.freedomAPI?.openInNewTab?.(site.bzzUrl);
+    });
+    item.appendChild(urlEl);
+    if (ens) item.appendChild(createHistoryEnsControls(site.bzzUrl));
+  }
+
+  const deploys = document.createElement('div');
+  deploys.className = 'publish-history-deploys';
+  item.appendChild(deploys);
+  historyList.appendChild(item);
+  return deploys;
+}
+
+function renderDeploy(entry) {
+  const site = websites.find((candidate) => candidate.id === entry.site);
+  const row = document.createElement('div');
+  row.className = 'publish-history-deploy';
+
+  const timeEl = document.createElement('span');
+  timeEl.textContent = formatTimestamp(entry.timestamp);
+  row.appendChild(timeEl);
+
+  if (entry.status !== 'completed' || !entry.url) {
+    const statusEl = document.createElement('span');
+    statusEl.className = 'publish-history-item-status';
+    statusEl.dataset.status = entry.status;
+    statusEl.textContent = entry.status;
+    row.appendChild(statusEl);
+    return row;
+  }
+
+  const refEl = document.createElement('a');
+  refEl.className = 'publish-history-deploy-ref';
+  refEl.href = '#';
+  refEl.textContent = entry.reference.slice(0, 12);
+  refEl.title = entry.url;
+  refEl.addEventListener('click', (e) => {
+    e.preventDefault();
+    window.freedomAPI?.openInNewTab?.(entry.url);
+  });
+  row.appendChild(refEl);
+
+  if (contentHealth[entry.reference]?.retrievable === false) {
+    const lostEl = document.createElement('span');
+    lostEl.className = 'publish-history-item-status';
+    lostEl.dataset.status = 'unretrievable';
+    lostEl.textContent = 'unretrievable';
+    row.appendChild(lostEl);
+    const reuploadBtn = document.createElement('button');
+    reuploadBtn.type = 'button';
+    reuploadBtn.className = 'publish-history-deploy-rollback';
+    reuploadBtn.textContent = 'Re-upload';
+    reuploadBtn.addEventListener('click', () => handleReupload(entry.reference, reuploadBtn));
+    row.appendChild(reuploadBtn);
+  }
+
+  if (site?.currentEntryId === entry.id) {
+    const liveEl = document.createElement('span');
+    liveEl.className = 'publish-history-deploy-live';
+    liveEl.textContent = 'live';
+    row.appendChild(liveEl);
+  } else if (site) {
+    const rollbackBtn = document.createElement('button');
+    rollbackBtn.type = 'button';
+    rollbackBtn.className = 'publish-history-deploy-rollback';
+    rollbackBtn.textContent = 'Roll back to this';
+    rollbackBtn.addEventListener('click', () => handleRollback(site.id, entry.id, rollbackBtn));
+    row.appendChild(rollbackBtn);
+  }
+
+  return row;
+}
+
 function formatTimestamp(iso) {
   if (!iso) return '';
   try {
@@ -22,6 +22,30 @@ module.exports = {
   IPFS_STATUS_UPDATE: 'ipfs:statusUpdate',
   IPFS_CHECK_BINARY: 'ipfs:checkBinary',
 
+  // IPFS pinning
+  IPFS_PIN_ADD: 'ipfs:pin-add',
+  IPFS_PIN_REMOVE: 'ipfs:pin-remove',
+  IPFS_PIN_LIST: 'ipfs:pin-list',
+  IPFS_REPO_STAT: 'ipfs:repo-stat',
+
+  // IPNS names
+  IPFS_IPNS_LIST: 'ipfs:ipns-list',
+  IPFS_IPNS_CREATE: 'ipfs:ipns-create',
+  IPFS_IPNS_PUBLISH: 'ipfs:ipns-publish',
+  IPFS_IPNS_REPUBLISH: 'ipfs:ipns-republish',
+
+  // IPFS Provider Permissions
+  IPFS_GET_PERMISSION: 'ipfs:get-permission',
+  IPFS_GRANT_PERMISSION: 'ipfs:grant-permission',
+  IPFS_REVOKE_PERMISSION: 'ipfs:revoke-permission',
+  IPFS_GET_ALL_PERMISSIONS: 'ipfs:get-all-permissions',
+  IPFS_UPDATE_LAST_USED: 'ipfs:update-last-used',
+  IPFS_GET_AUTO_APPROVE: 'ipfs:get-auto-approve',
+  IPFS_SET_AUTO_APPROVE: 'ipfs:set-auto-approve',
+
+  // IPFS Provider (main-process authority)
+  IPFS_PROVIDER_EXECUTE: 'ipfs:provider-execute',
+
   // Radicle node management
   RADICLE_START: 'radicle:start',
   RADICLE_STOP: 'radicle:stop',
@@ -39,6 +63,23 @@ module.exports = {
   ENS_RESOLVE_REVERSE: 'ens:resolve-reverse',
   ENS_TEST_RPC: 'ens:test-rpc',
   ENS_INVALIDATE_CONTENT: 'ens:invalidate-content',
+  ENS_RESOLVE_TEXT: 'ens:resolve-text',
+  ENS_RESOLVE_PROFILE: 'ens:resolve-profile',
+  ENS_RESOLVE_AVATAR: 'ens:resolve-avatar',
+
+  // ENS bookmark change watcher
+  ENS_WATCH_LIST: 'ens-watch:list',
+  ENS_WATCH_MARK_SEEN: 'ens-watch:mark-seen',
+  ENS_WATCH_CLEAR: 'ens-watch:clear',
+  ENS_WATCH_CHECK: 'ens-watch:check',
+  ENS_WATCH_UPDATED: 'ens-watch:updated',
+
+  // Pointing an owned ENS name at a publish
+  ENS_PUBLISH_LIST_NAMES: 'ens-publish:list-names',
+  ENS_PUBLISH_SET_CONTENTHASH: 'ens-publish:set-contenthash',
+  ENS_PUBLISH_CONFIRM: 'ens-publish:confirm',
+  ENS_PUBLISH_REVIEW: 'ens-publish:review',
+  ENS_PUBLISH_REVIEW_RESULT: 'ens-publish:review-result',
 
   // Settings
   SETTINGS_GET: 'settings:get',
@@ -51,6 +92,7 @@ module.exports = {
   BZZ_START_PROBE: 'bzz:start-probe',
   BZZ_AWAIT_PROBE: 'bzz:await-probe',
   BZZ_CANCEL_PROBE: 'bzz:cancel-probe',
+  BZZ_RESOLVE_FEED: 'bzz:resolve-feed',
 
   // IPFS routing
   IPFS_SET_BASE: 'ipfs:set-base',
@@ -143,6 +185,7 @@ module.exports = {
   CHAIN_REGISTRY_GET_TOKEN: 'chain-registry:get-token',
   CHAIN_REGISTRY_ADD_CHAIN: 'chain-registry:add-chain',
   CHAIN_REGISTRY_ADD_TOKEN: 'chain-registry:add-token',
+  CHAIN_REGISTRY_ADD_SUGGESTED_CHAIN: 'chain-registry:add-suggested-chain',
   CHAIN_REGISTRY_REMOVE_CHAIN: 'chain-registry:remove-chain',
   CHAIN_REGISTRY_REMOVE_TOKEN: 'chain-registry:remove-token',
 
@@ -154,6 +197,12 @@ module.exports = {
   WALLET_SEND_TRANSACTION: 'wallet:send-transaction',
   WALLET_GET_TRANSACTION_STATUS: 'wallet:get-transaction-status',
   WALLET_WAIT_FOR_TRANSACTION: 'wallet:wait-for-transaction',
+  WALLET_REPLACE_TRANSACTION: 'wallet:replace-transaction',
+  WALLET_ANALYZE_TRANSACTION: 'wallet:analyze-transaction',
+  WALLET_GET_ACTIVITY: 'wallet:get-activity',
+  WALLET_CLEAR_ACTIVITY: 'wallet:clear-activity',
+  WALLET_ACTIVITY_UPDATED: 'wallet:activity-updated',
+  WALLET_SCAN_ALLOWANCES: 'wallet:scan-allowances',
 
   // dApp Permissions
   DAPP_GET_PERMISSION: 'dapp:get-permission',
@@ -183,6 +232,7 @@ module.exports = {
 
   // Swarm Provider (main-process authority)
   SWARM_PROVIDER_EXECUTE: 'swarm:provider-execute',
+  SWARM_PROVIDER_EVENT: 'swarm:provider-event',
 
   // Swarm Feed Store
   SWARM_GET_ALL_ORIGINS: 'swarm:get-all-origins',
@@ -191,4 +241,28 @@ module.exports = {
   SWARM_HAS_FEED_GRANT: 'swarm:has-feed-grant',
   SWARM_GET_IDENTITY_MODE: 'swarm:get-identity-mode',
   SWARM_REVOKE_FEED_ACCESS: 'swarm:revoke-feed-access',
+
+  // Website publishing (feed-backed sites)
+  SWARM_WEBSITE_LIST: 'swarm:website-list',
+  SWARM_WEBSITE_CREATE: 'swarm:website-create',
+  SWARM_WEBSITE_PLAN: 'swarm:website-plan',
+  SWARM_WEBSITE_DEPLOY: 'swarm:website-deploy',
+  SWARM_WEBSITE_ROLLBACK: 'swarm:website-rollback',
+
+  // ACT (access-controlled) shares
+  SWARM_ACT_LIST: 'swarm:act-list',
+  SWARM_ACT_UPDATE_GRANTEES: 'swarm:act-update-grantees',
+
+  // Postage stamp monitoring and auto top-up
+  SWARM_STAMP_MONITOR_STATUS: 'swarm:stamp-monitor-status',
+  SWARM_STAMP_MONITOR_SET_POLICY: 'swarm:stamp-monitor-set-policy',
+  SWARM_STAMP_MONITOR_CHECK: 'swarm:stamp-monitor-check',
+  SWARM_STAMP_MONITOR_UPDATED: 'swarm:stamp-monitor-updated',
+
+  // Content availability (stewardship) and re-upload
+  SWARM_CONTENT_HEALTH_STATUS: 'swarm:content-health-status',
+  SWARM_CHECK_AVAILABILITY: 'swarm:check-availability',
+  SWARM_REUPLOAD: 'swarm:reupload',
+  SWARM_CONTENT_HEALTH_CHECK: 'swarm:content-health-check',
+  SWARM_CONTENT_HEALTH_UPDATED: 'swarm:content-health-updated',
 };
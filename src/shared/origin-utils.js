@@ -16,6 +16,9 @@
  *   ipfs://myapp.eth/docs   → myapp.eth        (transport-aware ENS, name-keyed)
  *   ipns://host/guide       → ipns://host      (hostname, path-insensitive)
  *   ipns://myapp.eth/guide  → myapp.eth        (transport-aware ENS, name-keyed)
+ *   ar://label/img.png      → ar://label       (sandbox label, path-insensitive)
+ *   ar://myapp.eth/about    → myapp.eth        (transport-aware ENS, name-keyed)
+ *   bzz://example.com/page  → example.com      (DNS name resolved via ENS, name-keyed)
  *   rad://z123/tree         → rad://z123       (RID, path-insensitive)
  *   https://app.example.com → https://app.example.com
  *
@@ -40,6 +43,27 @@ function isEnsHost(host) {
   return lower.endsWith('.eth') || lower.endsWith('.box');
 }
 
+// Labels are LDH (letters, digits, hyphen); the TLD is alphabetic or an
+// IDNA `xn--` label, which rules out IP addresses and bare hex hashes.
+const DNS_NAME_RE =
+  /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+/**
+ * True when `host` is a plain DNS name (`example.com`) rather than an ENS
+ * TLD. ENS resolves these too — DNSSEC-imported names and offchain DNS
+ * resolvers answer through the Universal Resolver — so a DNS host in a
+ * `bzz://`, `ipfs://` or `ar://` URL can only mean an ENS lookup. `ipns://`
+ * DNS hosts are DNSLink names and are deliberately not covered here.
+ *
+ * @param {string} host
+ * @returns {boolean}
+ */
+function isDnsEnsName(host) {
+  if (!host || typeof host !== 'string') return false;
+  const lower = host.toLowerCase();
+  return !isEnsHost(lower) && DNS_NAME_RE.test(lower);
+}
+
 /**
  * Extract the permission key from a display URL.
  * Returns the root content identity, never including paths.
@@ -72,13 +96,16 @@ function getPermissionKey(displayUrl) {
   // legacy ens://name.eth form, so permissions don't fork across transport
   // and legacy displays of the same site). The host pattern excludes
   // ?, # and / so query/fragment components don't fork the key per route.
-  const dwebMatch = trimmed.match(/^(ipfs|bzz|ipns):\/\/([^/?#]+)/i);
+  // DNS names resolved through ENS (bzz://example.com) are keyed by name
+  // too, except under ipns:// where a DNS host is a DNSLink name.
+  const dwebMatch = trimmed.match(/^(ipfs|bzz|ipns|ar):\/\/([^/?#]+)/i);
   if (dwebMatch) {
+    const scheme = dwebMatch[1].toLowerCase();
     const host = dwebMatch[2];
-    if (isEnsHost(host)) {
+    if (isEnsHost(host) || (scheme !== 'ipns' && isDnsEnsName(host))) {
       return host.toLowerCase();
     }
-    return `${dwebMatch[1].toLowerCase()}://${host}`;
+    return `${scheme}://${host}`;
   }
 
   // rad:// protocol
@@ -110,4 +137,4 @@ function normalizeOrigin(origin) {
   return getPermissionKey(origin) || '';
 }
 
-module.exports = { getPermissionKey, isEnsHost, normalizeOrigin };
+module.exports = { getPermissionKey, isEnsHost, isDnsEnsName, normalizeOrigin };
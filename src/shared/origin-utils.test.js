@@ -1,4 +1,4 @@
-const { getPermissionKey, normalizeOrigin } = require('./origin-utils');
+const { getPermissionKey, isDnsEnsName, normalizeOrigin } = require('./origin-utils');
 
 describe('origin-utils', () => {
   describe('getPermissionKey', () => {
@@ -42,6 +42,17 @@ describe('origin-utils', () => {
       expect(getPermissionKey('ipns://docs.ipfs.tech/guide')).toBe('ipns://docs.ipfs.tech');
     });
 
+    test('ar:// with path', () => {
+      expect(getPermissionKey('ar://abc234/img.png')).toBe('ar://abc234');
+      expect(getPermissionKey('ar://permaweb.eth/about')).toBe('permaweb.eth');
+    });
+
+    test('DNS names resolved via ENS are name-keyed, except DNSLink ipns://', () => {
+      expect(getPermissionKey('bzz://Example.com/page')).toBe('example.com');
+      expect(getPermissionKey('ar://example.xyz/about')).toBe('example.xyz');
+      expect(getPermissionKey('ipns://example.com/page')).toBe('ipns://example.com');
+    });
+
     test('rad:// with path', () => {
       expect(getPermissionKey('rad://z123abc/tree/main')).toBe('rad://z123abc');
     });
@@ -130,3 +141,21 @@ describe('origin-utils', () => {
     });
   });
 });
+
+describe('isDnsEnsName', () => {
+  test('accepts plain DNS names', () => {
+    expect(isDnsEnsName('example.com')).toBe(true);
+    expect(isDnsEnsName('Docs.Example.ORG')).toBe(true);
+    expect(isDnsEnsName('shop.xn--p1ai')).toBe(true);
+  });
+
+  test('rejects ENS TLDs, single labels, IPs and content ids', () => {
+    expect(isDnsEnsName('vitalik.eth')).toBe(false);
+    expect(isDnsEnsName('myapp.box')).toBe(false);
+    expect(isDnsEnsName('localhost')).toBe(false);
+    expect(isDnsEnsName('127.0.0.1')).toBe(false);
+    expect(isDnsEnsName('a'.repeat(64))).toBe(false);
+    expect(isDnsEnsName('-bad.com')).toBe(false);
+    expect(isDnsEnsName(null)).toBe(false);
+  });
+});
@@ -0,0 +1,64 @@
+// In-memory fake of better-sqlite3 sized to the ens_content table only.
+// Mirrors the prepared SQL used by src/main/ens-cache-store.js; throws on
+// anything else so a schema drift surfaces as a test failure.
+
+const norm = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+class FakeBetterSqlite3EnsCacheDatabase {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.rows = new Map();
+    this.userVersion = 0;
+  }
+
+  pragma(statement, options = {}) {
+    if (statement === 'journal_mode = WAL') return 'wal';
+    if (statement === 'user_version' && options.simple) return this.userVersion;
+    const versionMatch = /^user_version = (\d+)$/.exec(statement);
+    if (versionMatch) {
+      this.userVersion = Number(versionMatch[1]);
+      return this.userVersion;
+    }
+    return null;
+  }
+
+  exec() {}
+
+  prepare(sql) {
+    const normalized = norm(sql);
+
+    if (normalized.startsWith('INSERT INTO ens_content')) {
+      return {
+        run: (name, resultJson, trustLevel, blockNumber, blockHash, verifiedAt) => {
+          this.rows.set(name, {
+            name,
+            result_json: resultJson,
+            trust_level: trustLevel,
+            block_number: blockNumber,
+            block_hash: blockHash,
+            verified_at: verifiedAt,
+          });
+          return { changes: 1 };
+        },
+      };
+    }
+
+    if (normalized === 'SELECT * FROM ens_content WHERE name = ?') {
+      return {
+        get: (name) => (this.rows.has(name) ? { ...this.rows.get(name) } : undefined),
+      };
+    }
+
+    if (normalized === 'DELETE FROM ens_content WHERE name = ?') {
+      return {
+        run: (name) => ({ changes: this.rows.delete(name) ? 1 : 0 }),
+      };
+    }
+
+    throw new Error(`Unsupported SQL in fake ens-cache database: ${normalized}`);
+  }
+
+  close() {}
+}
+
+module.exports = FakeBetterSqlite3EnsCacheDatabase;
@@ -8,8 +8,8 @@ function cloneRow(row) {
 
 const INSERT_SQL = `INSERT INTO publishes (
   type, name, status, reference, bzz_url, tag_uid, batch_id, origin, bytes_size,
-  started_at, completed_at, error_message
-) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  started_at, completed_at, error_message, protocol, site
+) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
 const UPDATE_SQL = `UPDATE publishes SET
   status = COALESCE(?, status),
@@ -43,7 +43,7 @@ const NORMALIZED = {
 
 const COLUMNS = [
   'type', 'name', 'status', 'reference', 'bzz_url', 'tag_uid', 'batch_id',
-  'origin', 'bytes_size', 'started_at', 'completed_at', 'error_message',
+  'origin', 'bytes_size', 'started_at', 'completed_at', 'error_message', 'protocol', 'site',
 ];
 
 class FakeBetterSqlite3PublishesDatabase {
@@ -57,15 +57,17 @@ class FakeBetterSqlite3PublishesDatabase {
   pragma(statement, options = {}) {
     if (statement === 'journal_mode = WAL') return 'wal';
     if (statement === 'user_version' && options.simple) return this.userVersion;
-    if (statement === 'user_version = 1') {
-      this.userVersion = 1;
+    const versionMatch = /^user_version = (\d+)$/.exec(statement);
+    if (versionMatch) {
+      this.userVersion = Number(versionMatch[1]);
       return this.userVersion;
     }
     return null;
   }
 
   exec() {
-    // CREATE TABLE / CREATE INDEX — fake storage doesn't enforce schema.
+    // CREATE TABLE / CREATE INDEX / ALTER TABLE — fake storage doesn't
+    // enforce schema.
   }
 
   prepare(sql) {
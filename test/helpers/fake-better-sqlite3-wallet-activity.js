@@ -0,0 +1,181 @@
+// In-memory fake of better-sqlite3 sized to the wallet_activity table only.
+// Mirrors the prepared SQL strings used by src/main/wallet/activity-store.js;
+// throws on anything else so a schema drift surfaces as a test failure.
+
+function cloneRow(row) {
+  return row ? { ...row } : row;
+}
+
+const INSERT_SQL = `INSERT INTO wallet_activity (
+  kind, status, hash, chain_id, nonce, from_address, to_address, value, data,
+  gas_limit, max_fee_per_gas, max_priority_fee_per_gas, gas_price, wallet_index,
+  origin, summary, created_at, completed_at, replaces_id
+) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+const UPDATE_SQL = `UPDATE wallet_activity SET
+  status = COALESCE(?, status),
+  block_number = COALESCE(?, block_number),
+  gas_used = COALESCE(?, gas_used),
+  completed_at = COALESCE(?, completed_at),
+  error_message = COALESCE(?, error_message)
+WHERE id = ?`;
+
+const SET_REPLACED_BY_SQL = `UPDATE wallet_activity SET replaced_by_id = ? WHERE id = ?`;
+const GET_ALL_SQL = `SELECT * FROM wallet_activity ORDER BY created_at DESC`;
+const GET_BY_ID_SQL = `SELECT * FROM wallet_activity WHERE id = ?`;
+const GET_BY_STATUS_SQL = `SELECT * FROM wallet_activity WHERE status = ? ORDER BY created_at ASC`;
+const CLEAR_SQL = `DELETE FROM wallet_activity WHERE status != ?`;
+
+const norm = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+const NORMALIZED = {
+  insert: norm(INSERT_SQL),
+  update: norm(UPDATE_SQL),
+  setReplacedBy: norm(SET_REPLACED_BY_SQL),
+  getAll: norm(GET_ALL_SQL),
+  getById: norm(GET_BY_ID_SQL),
+  getByStatus: norm(GET_BY_STATUS_SQL),
+  clear: norm(CLEAR_SQL),
+};
+
+const COLUMNS = [
+  'kind',
+  'status',
+  'hash',
+  'chain_id',
+  'nonce',
+  'from_address',
+  'to_address',
+  'value',
+  'data',
+  'gas_limit',
+  'max_fee_per_gas',
+  'max_priority_fee_per_gas',
+  'gas_price',
+  'wallet_index',
+  'origin',
+  'summary',
+  'created_at',
+  'completed_at',
+  'replaces_id',
+];
+
+class FakeBetterSqlite3WalletActivityDatabase {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.rows = [];
+    this.nextId = 1;
+    this.userVersion = 0;
+    // Schema statements run through exec(), for migration tests.
+    this.executed = [];
+  }
+
+  pragma(statement, options = {}) {
+    if (statement === 'journal_mode = WAL') return 'wal';
+    if (statement === 'user_version' && options.simple) return this.userVersion;
+    const versionMatch = /^user_version = (\d+)$/.exec(statement);
+    if (versionMatch) {
+      this.userVersion = Number(versionMatch[1]);
+      return this.userVersion;
+    }
+    return null;
+  }
+
+  exec(sql) {
+    // CREATE TABLE / CREATE INDEX / ALTER TABLE — fake storage doesn't
+    // enforce schema, only records it.
+    this.executed.push(norm(sql));
+  }
+
+  prepare(sql) {
+    const normalized = norm(sql);
+
+    if (normalized === NORMALIZED.insert) {
+      return {
+        run: (...values) => {
+          const row = {
+            id: this.nextId++,
+            block_number: null,
+            gas_used: null,
+            error_message: null,
+            replaced_by_id: null,
+          };
+          COLUMNS.forEach((col, i) => {
+            row[col] = values[i] ?? null;
+          });
+          this.rows.push(row);
+          return { changes: 1, lastInsertRowid: row.id };
+        },
+      };
+    }
+
+    if (normalized === NORMALIZED.update) {
+      return {
+        run: (status, blockNumber, gasUsed, completedAt, errorMessage, id) => {
+          const row = this.rows.find((r) => r.id === id);
+          if (!row) return { changes: 0 };
+          if (status !== null) row.status = status;
+          if (blockNumber !== null) row.block_number = blockNumber;
+          if (gasUsed !== null) row.gas_used = gasUsed;
+          if (completedAt !== null) row.completed_at = completedAt;
+          if (errorMessage !== null) row.error_message = errorMessage;
+          return { changes: 1 };
+        },
+      };
+    }
+
+    if (normalized === NORMALIZED.setReplacedBy) {
+      return {
+        run: (replacedById, id) => {
+          const row = this.rows.find((r) => r.id === id);
+          if (!row) return { changes: 0 };
+          row.replaced_by_id = replacedById;
+          return { changes: 1 };
+        },
+      };
+    }
+
+    if (normalized === NORMALIZED.getAll) {
+      return {
+        all: () =>
+          [...this.rows].sort((a, b) => b.created_at - a.created_at || b.id - a.id).map(cloneRow),
+      };
+    }
+
+    if (normalized === NORMALIZED.getById) {
+      return {
+        get: (id) => cloneRow(this.rows.find((r) => r.id === id) || null),
+      };
+    }
+
+    if (normalized === NORMALIZED.getByStatus) {
+      return {
+        all: (status) =>
+          this.rows
+            .filter((r) => r.status === status)
+            .sort((a, b) => a.created_at - b.created_at || a.id - b.id)
+            .map(cloneRow),
+      };
+    }
+
+    if (normalized === NORMALIZED.clear) {
+      return {
+        run: (keepStatus) => {
+          const before = this.rows.length;
+          this.rows = this.rows.filter((r) => r.status === keepStatus);
+          return { changes: before - this.rows.length };
+        },
+      };
+    }
+
+    throw new Error(`Unsupported SQL in fake-better-sqlite3-wallet-activity: ${normalized}`);
+  }
+
+  transaction(fn) {
+    return (...args) => fn(...args);
+  }
+
+  close() {}
+}
+
+module.exports = FakeBetterSqlite3WalletActivityDatabase;